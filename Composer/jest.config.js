@@ -49,6 +49,7 @@ module.exports = {
     '<rootDir>/packages/lib/ui-shared',
     '<rootDir>/packages/server',
     '<rootDir>/packages/electron-server',
+    '<rootDir>/packages/tools/composer-cli',
     '<rootDir>/packages/tools/language-servers/language-generation',
     '<rootDir>/packages/tools/language-servers/intellisense',
     '<rootDir>/packages/ui-plugins/lg',
@@ -8,5 +8,6 @@ describe('MenuTypes', () => {
     expect(MenuTypes.EdgeMenu).toBeTruthy();
     expect(MenuTypes.NodeMenu).toBeTruthy();
     expect(MenuEventTypes.Paste).toBeTruthy();
+    expect(MenuEventTypes.Snippet).toBeTruthy();
   });
 });
@@ -46,5 +46,8 @@ describe('useEditorEventApi', () => {
     handleEditorEvent('event.data.paste-selection--menu' as NodeEventTypes, {});
     handleEditorEvent('event.operation.undo' as NodeEventTypes, {});
     handleEditorEvent('event.operation.redo' as NodeEventTypes, {});
+    handleEditorEvent('event.debug.toggle-breakpoint' as NodeEventTypes, {});
+    handleEditorEvent('event.data.toggle-branch' as NodeEventTypes, {});
+    handleEditorEvent('event.data.save-selection-as-snippet' as NodeEventTypes, {});
   });
 });
@@ -3,10 +3,11 @@
 
 import React from 'react';
 import { render } from '@botframework-composer/test-utils';
-import { DialogGroup, SDKKinds } from '@bfc/shared';
+import { ActionSnippet, DialogGroup, SDKKinds } from '@bfc/shared';
 
 import { EdgeMenu } from '../../../src/adaptive-flow-editor/renderers/EdgeMenu';
 import { createActionMenu } from '../../../src/adaptive-flow-editor/renderers/EdgeMenu/createSchemaMenu';
+import { MenuEventTypes } from '../../../src/adaptive-flow-editor/constants/MenuTypes';
 
 describe('<EdgeMenu>', () => {
   it('can render.', () => {
@@ -79,4 +80,25 @@ describe('createActionMenu()', () => {
     expect(withCustomActions.findIndex((x) => x.key === 'Custom Actions')).toEqual(withCustomActions.length - 1);
     expect(withCustomActions[withCustomActions.length - 1].subMenuProps?.items.length).toEqual(3); // 2 action labels + 1 sep line
   });
+
+  it('should list the snippets by scope and report the clicked one.', () => {
+    const snippets: ActionSnippet[] = [
+      { name: 'Retry', scope: 'user', parameters: [], actions: [] },
+      { name: 'Auth check', scope: 'project', parameters: [], actions: [] },
+    ];
+    const onClick = jest.fn();
+    const menuItems = createActionMenu(onClick, { isSelfHosted: false, enablePaste: false, snippets }, []);
+    const snippetMenu = menuItems[menuItems.length - 1];
+    const items = snippetMenu.subMenuProps?.items ?? [];
+
+    expect(snippetMenu.key).toEqual('snippets');
+    expect(items.map(({ text }) => text)).toEqual(
+      expect.arrayContaining(['My snippets', 'Retry', 'Bot snippets', 'Auth check'])
+    );
+    items.find(({ text }) => text === 'Retry')?.onClick?.();
+    expect(onClick).toHaveBeenCalledWith({ key: MenuEventTypes.Snippet, data: snippets[0] });
+
+    const withoutSnippets = createActionMenu(() => null, { isSelfHosted: false, enablePaste: false, snippets: [] }, []);
+    expect(withoutSnippets.findIndex((x) => x.key === 'snippets')).toEqual(-1);
+  });
 });
@@ -40,6 +40,13 @@ describe('<NodeMenu />', () => {
     expect(clickResults.onDelete).toEqual([[NodeEventTypes.Delete, { id: 'nodeMenu' }]]);
   });
 
+  it('can toggle a breakpoint', async () => {
+    const [breakpointItem] = await getMenuItems('Add breakpoint');
+
+    fireEvent.click(breakpointItem);
+    expect(clickResults.onDelete).toEqual([[NodeEventTypes.ToggleBreakpoint, { id: 'nodeMenu' }]]);
+  });
+
   it('renders menu with available actions', async () => {
     const menuItems = await getMenuItems();
 
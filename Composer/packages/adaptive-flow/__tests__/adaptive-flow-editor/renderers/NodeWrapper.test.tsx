@@ -6,6 +6,10 @@ import { render, fireEvent } from '@botframework-composer/test-utils';
 import { EditorExtensionContext } from '@bfc/extension-client';
 
 import { ActionNodeWrapper } from '../../../src/adaptive-flow-editor/renderers/NodeWrapper';
+import {
+  defaultRendererContextValue,
+  NodeRendererContext,
+} from '../../../src/adaptive-flow-editor/contexts/NodeRendererContext';
 import { ShellApiStub } from '../stubs/ShellApiStub';
 
 describe('<ActionNodeWrapper>', () => {
@@ -27,4 +31,23 @@ describe('<ActionNodeWrapper>', () => {
     fireEvent.click(ele.getByTestId('ActionNodeWrapper'));
     expect(mockOnEvent).toHaveBeenCalled();
   });
+
+  it('marks the actions covered by Web Chat conversations.', () => {
+    const renderWithCoverage = (id: string, executedActions?: string[]) =>
+      render(
+        <EditorExtensionContext.Provider value={{ shellApi: ShellApiStub, shellData: {} as any, plugins: [] }}>
+          <NodeRendererContext.Provider value={{ ...defaultRendererContextValue, executedActions }}>
+            <ActionNodeWrapper data={{}} id={id} onEvent={jest.fn()} />
+          </NodeRendererContext.Provider>
+        </EditorExtensionContext.Provider>
+      );
+
+    expect(
+      renderWithCoverage('triggers[0].actions[0]', ['triggers[0].actions[0]']).queryByTestId('ActionExecuted')
+    ).toBeTruthy();
+    expect(
+      renderWithCoverage('triggers[0].actions[1]', ['triggers[0].actions[0]']).queryByTestId('ActionExecuted')
+    ).toBeNull();
+    expect(renderWithCoverage('triggers[0].actions[0]').queryByTestId('ActionExecuted')).toBeNull();
+  });
 });
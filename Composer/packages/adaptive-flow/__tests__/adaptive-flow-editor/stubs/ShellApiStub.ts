@@ -25,6 +25,7 @@ export const ShellApiStub: ShellApi = {
   removeLgTemplates: fnPromise,
   updateLgFile: fnPromise,
   debouncedUpdateLgTemplate: fnPromise,
+  evaluateLgTemplate: fnPromise,
   getLuIntent: fn,
   getLuIntents: fnList,
   addLuIntent: fnPromise,
@@ -37,6 +38,10 @@ export const ShellApiStub: ShellApi = {
   createDialog: fnPromise,
   addCoachMarkRef: fn,
   onCopy: fn,
+  toggleBreakpoint: fn,
+  clearCoverage: fn,
+  saveActionSnippet: fnPromise,
+  deleteActionSnippet: fnPromise,
   undo: fn,
   redo: fn,
   updateUserSettings: fn,
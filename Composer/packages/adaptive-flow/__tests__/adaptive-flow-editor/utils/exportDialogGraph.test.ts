@@ -0,0 +1,110 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { SDKKinds } from '@bfc/shared';
+
+import { buildDialogGraph, toGraphviz, toMermaid } from '../../../src/adaptive-flow-editor/utils/exportDialogGraph';
+
+const dialog = {
+  $kind: SDKKinds.AdaptiveDialog,
+  triggers: [
+    {
+      $kind: SDKKinds.OnBeginDialog,
+      $designer: { name: 'Greeting' },
+      actions: [
+        {
+          $kind: SDKKinds.IfCondition,
+          $designer: { name: 'Branch' },
+          condition: 'user.name == null',
+          actions: [{ $kind: SDKKinds.BeginDialog, $designer: { name: 'Ask name' }, dialog: 'askName' }],
+          elseActions: [],
+        },
+        { $kind: SDKKinds.SendActivity, $designer: { name: 'Say "hi"' } },
+      ],
+    },
+    {
+      $kind: SDKKinds.OnUnknownIntent,
+      $designer: { name: 'Fallback' },
+      actions: [
+        {
+          $kind: SDKKinds.Foreach,
+          $designer: { name: 'Loop' },
+          itemsProperty: 'dialog.items',
+          actions: [{ $kind: SDKKinds.SendActivity, $designer: { name: 'Item' } }],
+        },
+        { $kind: SDKKinds.ReplaceDialog, $designer: { name: 'Restart' }, dialog: 'main' },
+        { $kind: SDKKinds.SendActivity, $designer: { name: 'Unreachable' } },
+      ],
+    },
+  ],
+};
+
+describe('buildDialogGraph', () => {
+  it('links the actions of the triggers and the dialogs they call', () => {
+    const { nodes, edges } = buildDialogGraph(dialog, ['triggers[0]']);
+
+    expect(nodes).toEqual([
+      { id: 'triggers_0', label: 'Greeting', shape: 'trigger' },
+      { id: 'triggers_0_actions_0', label: 'Branch: user.name == null', shape: 'condition' },
+      { id: 'triggers_0_actions_0_actions_0', label: 'Ask name', shape: 'action' },
+      { id: 'dialog_askName', label: 'askName', shape: 'dialog' },
+      { id: 'triggers_0_actions_1', label: 'Say "hi"', shape: 'action' },
+    ]);
+    expect(edges).toEqual([
+      { from: 'triggers_0', to: 'triggers_0_actions_0', label: undefined },
+      { from: 'triggers_0_actions_0', to: 'triggers_0_actions_0_actions_0', label: 'true' },
+      { from: 'triggers_0_actions_0_actions_0', to: 'dialog_askName', dashed: true },
+      { from: 'triggers_0_actions_0_actions_0', to: 'triggers_0_actions_1', label: undefined },
+      { from: 'triggers_0_actions_0', to: 'triggers_0_actions_1', label: 'false' },
+    ]);
+  });
+
+  it('loops back to foreach and stops after dialogs are replaced', () => {
+    const { nodes, edges } = buildDialogGraph(dialog, ['triggers[1]']);
+
+    expect(edges).toContainEqual({
+      from: 'triggers_1_actions_0_actions_0',
+      to: 'triggers_1_actions_0',
+      label: undefined,
+      dashed: true,
+    });
+    expect(edges).toContainEqual({ from: 'triggers_1_actions_0', to: 'triggers_1_actions_1', label: 'done' });
+    expect(edges).toContainEqual({ from: 'triggers_1_actions_1', to: 'dialog_main', dashed: true });
+    expect(nodes.map(({ id }) => id)).toContain('triggers_1_actions_2');
+    expect(edges.some(({ to }) => to === 'triggers_1_actions_2')).toBe(false);
+  });
+
+  it('includes all the triggers by default', () => {
+    const { nodes } = buildDialogGraph(dialog);
+    expect(nodes.filter(({ shape }) => shape === 'trigger').map(({ label }) => label)).toEqual([
+      'Greeting',
+      'Fallback',
+    ]);
+  });
+});
+
+describe('toMermaid', () => {
+  it('writes a flowchart in the direction of the flow', () => {
+    const mermaid = toMermaid(buildDialogGraph(dialog, ['triggers[0]']), 'horizontal');
+
+    expect(mermaid.split('\n')[0]).toBe('flowchart LR');
+    expect(mermaid).toContain('  triggers_0(["Greeting"])');
+    expect(mermaid).toContain('  triggers_0_actions_0{"Branch: user.name == null"}');
+    expect(mermaid).toContain('  dialog_askName[["askName"]]');
+    expect(mermaid).toContain('  triggers_0_actions_1["Say #quot;hi#quot;"]');
+    expect(mermaid).toContain('  triggers_0_actions_0 -->|"true"| triggers_0_actions_0_actions_0');
+    expect(mermaid).toContain('  triggers_0_actions_0_actions_0 -.-> dialog_askName');
+  });
+});
+
+describe('toGraphviz', () => {
+  it('writes a digraph', () => {
+    const dot = toGraphviz(buildDialogGraph(dialog, ['triggers[0]']), 'main');
+
+    expect(dot.startsWith('digraph "main" {\n  rankdir=TB;')).toBe(true);
+    expect(dot).toContain('  triggers_0_actions_1 [label="Say \\"hi\\"", shape=box];');
+    expect(dot).toContain('  triggers_0_actions_0 -> triggers_0_actions_0_actions_0 [label="true"];');
+    expect(dot).toContain('  triggers_0_actions_0_actions_0 -> dialog_askName [style=dashed];');
+    expect(dot.trim().endsWith('}')).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { toFileName, toPng } from '../../../src/adaptive-flow-editor/utils/exportFlowImage';
+
+describe('toPng', () => {
+  const OriginalImage = window.Image;
+
+  beforeEach(() => {
+    // jsdom never loads images, load it as soon as the source is set
+    (window as any).Image = class {
+      onload: () => void = () => {};
+      onerror: () => void = () => {};
+      set src(_: string) {
+        setTimeout(() => this.onload());
+      }
+    };
+  });
+
+  afterEach(() => {
+    window.Image = OriginalImage;
+    jest.restoreAllMocks();
+  });
+
+  it('rejects when the image cannot be drawn', async () => {
+    const canvas = document.createElement('canvas');
+    jest.spyOn(canvas, 'getContext').mockReturnValue({
+      fillRect: jest.fn(),
+      scale: jest.fn(),
+      drawImage: () => {
+        throw new Error('The canvas is too large.');
+      },
+    } as any);
+    jest.spyOn(document, 'createElement').mockReturnValue(canvas);
+
+    await expect(toPng({ svg: '<svg />', width: 10, height: 10 })).rejects.toThrow('The canvas is too large.');
+  });
+});
+
+describe('toFileName', () => {
+  it('joins the words of the names', () => {
+    expect(toFileName('Main', 'Unknown intent')).toBe('main-unknown-intent');
+    expect(toFileName('!!!')).toBe('flow');
+  });
+});
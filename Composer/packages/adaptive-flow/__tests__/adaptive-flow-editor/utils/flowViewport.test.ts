@@ -0,0 +1,48 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getCenteredScroll, getFitRate, unionRects } from '../../../src/adaptive-flow-editor/utils/flowViewport';
+
+describe('unionRects', () => {
+  it('returns the rectangle around all rectangles', () => {
+    expect(
+      unionRects([
+        { x: 10, y: 20, width: 100, height: 50 },
+        { x: 50, y: 0, width: 100, height: 40 },
+      ])
+    ).toEqual({ x: 10, y: 0, width: 140, height: 70 });
+  });
+
+  it('returns undefined without rectangles', () => {
+    expect(unionRects([])).toBeUndefined();
+  });
+});
+
+describe('getFitRate', () => {
+  const zoom = { rateList: [0.25, 0.5, 1, 2, 4], minRate: 0.5, maxRate: 2 };
+
+  it('returns the largest rate at which the rectangle fits', () => {
+    expect(getFitRate({ x: 0, y: 0, width: 300, height: 100 }, { width: 800, height: 600 }, zoom)).toEqual(2);
+    expect(getFitRate({ x: 0, y: 0, width: 1000, height: 100 }, { width: 800, height: 600 }, zoom)).toEqual(0.5);
+  });
+
+  it('returns the minimum rate when the rectangle never fits', () => {
+    expect(getFitRate({ x: 0, y: 0, width: 5000, height: 100 }, { width: 800, height: 600 }, zoom)).toEqual(0.5);
+  });
+});
+
+describe('getCenteredScroll', () => {
+  it('centers the rectangle in the viewport at the zoom rate', () => {
+    expect(getCenteredScroll({ x: 400, y: 300, width: 200, height: 100 }, { width: 400, height: 200 }, 2)).toEqual({
+      left: 800,
+      top: 600,
+    });
+  });
+
+  it('does not scroll before the start of the flow', () => {
+    expect(getCenteredScroll({ x: 0, y: 0, width: 100, height: 100 }, { width: 400, height: 200 }, 1)).toEqual({
+      left: 0,
+      top: 0,
+    });
+  });
+});
@@ -16,6 +16,7 @@ describe('mapKeyboardCommandToEditorEvent()', () => {
         [KeyboardCommandTypes.Node.Copy]: NodeEventTypes.CopySelection,
         [KeyboardCommandTypes.Node.Cut]: NodeEventTypes.CutSelection,
         [KeyboardCommandTypes.Node.Paste]: NodeEventTypes.PasteSelection,
+        [KeyboardCommandTypes.Node.ToggleBreakpoint]: NodeEventTypes.ToggleBreakpoint,
       },
       [KeyboardPrimaryTypes.Operation]: {
         [KeyboardCommandTypes.Operation.Undo]: NodeEventTypes.Undo,
@@ -5,6 +5,8 @@ import { sequentialLayouter } from '../../../src/adaptive-flow-renderer/layouter
 import { Boundary } from '../../../src/adaptive-flow-renderer/models/Boundary';
 import { GraphNode } from '../../../src/adaptive-flow-renderer/models/GraphNode';
 import { calculateSequenceBoundary } from '../../../src/adaptive-flow-renderer/layouters/calculateNodeBoundary';
+import { EdgeDirection } from '../../../src/adaptive-flow-renderer/models/EdgeData';
+import { transposeBoundary } from '../../../src/adaptive-flow-renderer/layouters/transposeLayout';
 
 describe('sequentialLayouter', () => {
   let nodes;
@@ -29,4 +31,16 @@ describe('sequentialLayouter', () => {
   it('should reuturn a graphLayout whose nodes count is 3 when nodes.length is 3', () => {
     expect(sequentialLayouter(nodes).nodes.length).toEqual(3);
   });
+
+  it('should lay out the nodes from left to right when the direction is horizontal', () => {
+    const horizontal = sequentialLayouter(nodes, true, true, 'horizontal');
+
+    expect(horizontal.boundary).toEqual(
+      transposeBoundary(calculateSequenceBoundary(nodes.map((x) => transposeBoundary(x.boundary))))
+    );
+    expect(nodes.map((x) => x.offset.y)).toEqual([0, 0, 0]);
+    expect(nodes[1].offset.x).toBeGreaterThan(nodes[0].offset.x + nodes[0].boundary.width);
+    expect(nodes[0].boundary).toEqual(new Boundary(280, 80));
+    expect(horizontal.edges.every((x) => x.direction === EdgeDirection.Right)).toBeTruthy();
+  });
 });
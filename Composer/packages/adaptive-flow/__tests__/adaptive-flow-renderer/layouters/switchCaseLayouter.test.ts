@@ -25,4 +25,12 @@ describe('switchCaseLayouter', () => {
   it('should reuturn a graphLayout whose edges count is 9 when branchNodes.length = 3', () => {
     expect(switchCaseLayouter(conditionNode, choiceNode, branchNodes).edges.length).toEqual(9);
   });
+
+  it('should stack the branches from top to bottom when the direction is horizontal', () => {
+    const layout = switchCaseLayouter(conditionNode, choiceNode, branchNodes, 'horizontal');
+
+    expect(layout.edges.length).toEqual(9);
+    expect(branchNodes[1].offset.y).toBeGreaterThan(branchNodes[0].offset.y + branchNodes[0].boundary.height);
+    expect(branchNodes[0].offset.x).toBeGreaterThan(conditionNode.offset.x + conditionNode.boundary.width);
+  });
 });
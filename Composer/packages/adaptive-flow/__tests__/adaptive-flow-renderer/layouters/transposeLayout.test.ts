@@ -0,0 +1,52 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Boundary } from '../../../src/adaptive-flow-renderer/models/Boundary';
+import { GraphNode } from '../../../src/adaptive-flow-renderer/models/GraphNode';
+import { GraphLayout } from '../../../src/adaptive-flow-renderer/models/GraphLayout';
+import { EdgeDirection } from '../../../src/adaptive-flow-renderer/models/EdgeData';
+import { layoutInDirection, transposeBoundary } from '../../../src/adaptive-flow-renderer/layouters/transposeLayout';
+
+describe('transposeBoundary', () => {
+  it('swaps the width and height and the axes', () => {
+    const boundary = new Boundary(280, 80);
+    boundary.axisX = 100;
+
+    expect(transposeBoundary(boundary)).toEqual({ width: 80, height: 280, axisX: 40, axisY: 100 });
+  });
+});
+
+describe('layoutInDirection', () => {
+  let node: GraphNode;
+  const layouter = () => {
+    // a top-down layouter sees the transposed boundary of the node
+    node.offset = { x: 10, y: 20 };
+    return {
+      ...new GraphLayout(),
+      boundary: new Boundary(node.boundary.width + 10, node.boundary.height + 20),
+      edges: [{ id: 'edge', x: 5, y: 15, direction: EdgeDirection.Down, length: 30, options: { label: 'True' } }],
+    };
+  };
+
+  beforeEach(() => {
+    node = new GraphNode('0', {}, new Boundary(280, 80));
+  });
+
+  it('returns the top-down layout when the direction is vertical', () => {
+    const layout = layoutInDirection('vertical', [node], layouter);
+
+    expect(layout.boundary).toEqual(new Boundary(290, 100));
+    expect(node.offset).toEqual({ x: 10, y: 20 });
+  });
+
+  it('transposes the top-down layout when the direction is horizontal', () => {
+    const layout = layoutInDirection('horizontal', [node, node, null], layouter);
+
+    expect(layout.boundary).toEqual(new Boundary(300, 90));
+    expect(node.boundary).toEqual(new Boundary(280, 80));
+    expect(node.offset).toEqual({ x: 20, y: 10 });
+    expect(layout.edges).toEqual([
+      { id: 'edge', x: 15, y: 5, direction: EdgeDirection.Right, length: 30, options: { label: 'True' } },
+    ]);
+  });
+});
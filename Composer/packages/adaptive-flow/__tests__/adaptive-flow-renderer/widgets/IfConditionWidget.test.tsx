@@ -2,10 +2,11 @@
 // Licensed under the MIT License.
 
 import React from 'react';
-import { render } from '@botframework-composer/test-utils';
+import { fireEvent, render } from '@botframework-composer/test-utils';
 
 import { IfConditionWidget } from '../../../src/adaptive-flow-renderer/widgets';
 import { AdaptiveKinds } from '../../../src/adaptive-flow-renderer/constants/AdaptiveKinds';
+import { NodeEventTypes } from '../../../src/adaptive-flow-renderer/constants/NodeEventTypes';
 
 describe('IfConditionWidget', () => {
   it('can be rendered correctly.', () => {
@@ -20,4 +21,26 @@ describe('IfConditionWidget', () => {
     expect(ifCondition).toBeTruthy();
     expect(ifCondition.getByTestId('test-judgement')).toBeTruthy();
   });
+
+  it('renders a collapsed branch as a placeholder which expands it.', () => {
+    const onEvent = jest.fn();
+    const ifCondition = render(
+      <IfConditionWidget
+        data={{
+          $kind: AdaptiveKinds.IfCondition,
+          $designer: { collapsedBranches: ['elseActions'] },
+          elseActions: [{ $kind: AdaptiveKinds.SendActivity }, { $kind: AdaptiveKinds.SendActivity }],
+        }}
+        id="test"
+        judgement={<span>Condition Judgement</span>}
+        onEvent={onEvent}
+      />
+    );
+
+    const placeholder = ifCondition.getByTestId('CollapsedBranch');
+    expect(placeholder.textContent).toContain('2 actions');
+
+    fireEvent.click(placeholder);
+    expect(onEvent).toHaveBeenCalledWith(NodeEventTypes.ToggleBranch, { id: 'test', branch: 'elseActions' });
+  });
 });
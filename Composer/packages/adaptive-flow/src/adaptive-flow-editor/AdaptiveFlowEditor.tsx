@@ -4,7 +4,7 @@
 /** @jsx jsx */
 import { jsx, css, CacheProvider } from '@emotion/core';
 import createCache from '@emotion/cache';
-import React, { useRef, useMemo, useEffect } from 'react';
+import React, { useRef, useMemo, useEffect, useState } from 'react';
 import isEqual from 'lodash/isEqual';
 import formatMessage from 'format-message';
 import { DialogFactory, MicrosoftIDialog, SchemaDefinitions } from '@bfc/shared';
@@ -21,7 +21,7 @@ import { SelectionContext } from './contexts/SelectionContext';
 import { enableKeyboardCommandAttributes, KeyboardCommandHandler } from './components/KeyboardZone';
 import { mapKeyboardCommandToEditorEvent } from './utils/mapKeyboardCommandToEditorEvent';
 import { useSelectionEffect } from './hooks/useSelectionEffect';
-import { useEditorEventApi } from './hooks/useEditorEventApi';
+import { SnippetFormRequest, useEditorEventApi } from './hooks/useEditorEventApi';
 import {
   VisualEditorNodeMenu,
   VisualEditorEdgeMenu,
@@ -30,6 +30,10 @@ import {
 } from './renderers';
 import { useFlowUIOptions } from './hooks/useFlowUIOptions';
 import { FlowToolbar } from './components/FlowToolbar';
+import { SaveSnippetDialog } from './components/SaveSnippetDialog';
+import { InsertSnippetDialog } from './components/InsertSnippetDialog';
+import { ScreenReaderMessage } from './constants/ScreenReaderMessage';
+import { MenuEventTypes } from './constants/MenuTypes';
 
 formatMessage.setup({
   missingTranslation: 'ignore',
@@ -70,15 +74,30 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
     focusedActions,
     focusedTab,
     clipboardActions,
+    actionSnippets,
     hosted,
     schemas,
     flowZoomRate,
     flowCommentsVisible,
+    flowCoverageVisible,
+    flowLayoutDirection,
     topics,
     dialogs,
+    breakpoints,
+    pausedAction,
+    executedActions,
   } = shellData;
 
-  const { updateFlowZoomRate, toggleFlowComments } = shellApi;
+  const {
+    updateFlowZoomRate,
+    toggleFlowComments,
+    toggleFlowCoverage,
+    toggleFlowLayoutDirection,
+    clearCoverage,
+    saveActionSnippet,
+    announce,
+    addNotification,
+  } = shellApi;
 
   const dataCache = useRef({});
 
@@ -105,10 +124,14 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
     focusedEvent,
     focusedTab,
     clipboardActions: clipboardActions || [],
+    actionSnippets,
     dialogFactory: new DialogFactory(schema),
     customSchemas: customActionSchema ? [customActionSchema] : [],
     topics,
     dialogs,
+    breakpoints,
+    pausedAction,
+    executedActions,
   };
 
   const customFlowSchema: FlowUISchema = nodeContext.customSchemas.reduce((result, s) => {
@@ -122,14 +145,65 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
     return result;
   }, {} as FlowUISchema);
 
+  // shared by the canvas and the image export
+  const flowProps = {
+    dialogId,
+    dialogData: data,
+    layoutDirection: flowLayoutDirection,
+    sdkschema: schema?.definitions as SchemaDefinitions,
+    uischema: { ...customFlowSchema, ...schemaFromPlugins },
+    widgets: widgetsFromPlugins,
+  };
+
   const divRef = useRef<HTMLDivElement>(null);
   // send focus to the keyboard area when navigating to a new trigger
   useEffect(() => {
     divRef.current?.focus();
   }, [focusedEvent]);
 
+  const [snippetForm, setSnippetForm] = useState<SnippetFormRequest>();
+
   const { selection, ...selectionContext } = useSelectionEffect({ data, nodeContext }, shellApi);
-  const { handleEditorEvent } = useEditorEventApi({ path: dialogId, data, nodeContext, selectionContext }, shellApi);
+  const { handleEditorEvent } = useEditorEventApi(
+    { path: dialogId, data, nodeContext, selectionContext, openSnippetForm: setSnippetForm },
+    shellApi
+  );
+
+  const renderSnippetForm = () => {
+    if (snippetForm?.kind === 'save') {
+      return (
+        <SaveSnippetDialog
+          actions={snippetForm.actions}
+          onDismiss={() => setSnippetForm(undefined)}
+          onSave={async (snippet) => {
+            const saved = await saveActionSnippet(snippet);
+            if (saved) announce(ScreenReaderMessage.SnippetSaved);
+            return saved;
+          }}
+        />
+      );
+    }
+    if (snippetForm?.kind === 'insert') {
+      const { snippet, arrayId, position } = snippetForm;
+      return (
+        <InsertSnippetDialog
+          snippet={snippet}
+          onDismiss={() => setSnippetForm(undefined)}
+          onInsert={(values) => {
+            setSnippetForm(undefined);
+            handleEditorEvent(NodeEventTypes.Insert, {
+              id: arrayId,
+              position,
+              $kind: MenuEventTypes.Snippet,
+              snippet,
+              values,
+            });
+          }}
+        />
+      );
+    }
+    return null;
+  };
 
   const handleCommand: KeyboardCommandHandler = (command) => {
     const editorEvent = mapKeyboardCommandToEditorEvent(command);
@@ -160,11 +234,28 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
             <SelectionContext.Provider value={selectionContext}>
               <MarqueeSelection isDraggingConstrainedToRoot selection={selection} styles={marqueeStyles}>
                 <FlowToolbar
+                  clearCoverage={clearCoverage}
+                  dialogData={data}
+                  dialogId={dialogId}
                   flowCommentsVisible={flowCommentsVisible}
+                  flowCoverageVisible={flowCoverageVisible}
+                  flowLayoutDirection={flowLayoutDirection}
                   flowZoomRate={flowZoomRate}
+                  focusedEvent={focusedEvent}
                   focusedId={focusedId}
+                  renderFlow={(triggerId) => <AdaptiveDialog {...flowProps} activeTrigger={triggerId} />}
+                  selectedIds={selectionContext.selectedIds}
                   toggleFlowComments={toggleFlowComments}
+                  toggleFlowCoverage={toggleFlowCoverage}
+                  toggleFlowLayoutDirection={toggleFlowLayoutDirection}
                   updateFlowZoomRate={updateFlowZoomRate}
+                  onExportError={(error) =>
+                    addNotification({
+                      type: 'error',
+                      title: formatMessage('The image could not be exported'),
+                      description: error.message,
+                    })
+                  }
                 >
                   <div
                     className="flow-editor-container"
@@ -181,18 +272,14 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
                     }}
                   >
                     <AdaptiveDialog
+                      {...flowProps}
                       activeTrigger={focusedEvent}
-                      dialogData={data}
-                      dialogId={dialogId}
                       renderers={{
                         EdgeMenu: VisualEditorEdgeMenu,
                         NodeMenu: VisualEditorNodeMenu,
                         NodeWrapper: VisualEditorNodeWrapper,
                         ElementWrapper: VisualEditorElementWrapper,
                       }}
-                      sdkschema={schema?.definitions as SchemaDefinitions}
-                      uischema={{ ...customFlowSchema, ...schemaFromPlugins }}
-                      widgets={widgetsFromPlugins}
                       onEvent={(eventName, eventData) => {
                         divRef.current?.focus({ preventScroll: true });
                         handleEditorEvent(eventName, eventData);
@@ -203,6 +290,7 @@ const VisualDesigner: React.FC<VisualDesignerProps> = ({ onFocus, onBlur, schema
               </MarqueeSelection>
             </SelectionContext.Provider>
           </div>
+          {renderSnippetForm()}
         </SelfHostContext.Provider>
       </NodeRendererContext.Provider>
     </CacheProvider>
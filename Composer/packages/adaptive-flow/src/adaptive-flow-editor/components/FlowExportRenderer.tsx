@@ -0,0 +1,85 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React, { ReactNode, useEffect, useRef } from 'react';
+import { FlowLayoutDirection } from '@bfc/shared';
+
+// the flow is laid out again each time a widget is measured, it is ready once it stops changing
+const SettleTime = 300;
+const MaxRenderTime = 5000;
+
+const hiddenStyle = css`
+  position: fixed;
+  top: 0;
+  left: -100000px;
+  pointer-events: none;
+`;
+
+const contentStyle = (direction: FlowLayoutDirection) => css`
+  display: inline-flex;
+  flex-direction: ${direction === 'horizontal' ? 'column' : 'row'};
+  align-items: flex-start;
+  background: white;
+`;
+
+type FlowExportRendererProps = {
+  /** The triggers to render next to each other, such as 'triggers[0]'. */
+  triggerIds: string[];
+  direction: FlowLayoutDirection;
+  /** Renders the flow of a trigger without the menus and the selection of the canvas. */
+  renderFlow: (triggerId: string) => ReactNode;
+  onRendered: (element: HTMLElement) => void;
+};
+
+/**
+ * Renders flows off screen with the layouters and widgets of the canvas, to be exported as images.
+ */
+export const FlowExportRenderer: React.FC<FlowExportRendererProps> = ({
+  triggerIds,
+  direction,
+  renderFlow,
+  onRendered,
+}) => {
+  const contentRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const content = contentRef.current;
+    if (!content) return;
+
+    let settleTimer = 0;
+    let maxTimer = 0;
+    const observer = new MutationObserver(() => {
+      window.clearTimeout(settleTimer);
+      settleTimer = window.setTimeout(done, SettleTime);
+    });
+    function done() {
+      observer.disconnect();
+      window.clearTimeout(settleTimer);
+      window.clearTimeout(maxTimer);
+      onRendered(content as HTMLElement);
+    }
+
+    observer.observe(content, { subtree: true, childList: true, attributes: true, characterData: true });
+    settleTimer = window.setTimeout(done, SettleTime);
+    maxTimer = window.setTimeout(done, MaxRenderTime);
+    return () => {
+      observer.disconnect();
+      window.clearTimeout(settleTimer);
+      window.clearTimeout(maxTimer);
+    };
+  }, []);
+
+  return (
+    <div aria-hidden css={hiddenStyle}>
+      <div ref={contentRef} css={contentStyle(direction)} data-testid="FlowExportRenderer">
+        {triggerIds.map((triggerId) => (
+          <div key={triggerId} css={{ padding: '24px' }}>
+            {renderFlow(triggerId)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
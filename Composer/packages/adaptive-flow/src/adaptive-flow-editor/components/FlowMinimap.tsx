@@ -0,0 +1,169 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React, { useEffect, useRef, useState } from 'react';
+import formatMessage from 'format-message';
+import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { AttrNames } from '../constants/ElementAttributes';
+import { FlowRect, getCenteredScroll, getFlowRect, unionRects } from '../utils/flowViewport';
+
+const MinimapSize = { width: 200, height: 150 };
+
+const minimapStyle = css`
+  position: absolute;
+  right: 25px;
+  bottom: 25px;
+  width: ${MinimapSize.width}px;
+  height: ${MinimapSize.height}px;
+  background: rgba(255, 255, 255, 0.9);
+  border: 1px solid ${NeutralColors.gray60};
+  border-radius: 2px;
+  box-shadow: 0 1.6px 3.6px rgba(0, 0, 0, 0.13);
+  cursor: pointer;
+`;
+
+type MinimapNode = FlowRect & { id: string; focused: boolean };
+
+type MinimapSnapshot = {
+  bounds: FlowRect;
+  nodes: MinimapNode[];
+  viewport: FlowRect;
+};
+
+const takeSnapshot = (container: HTMLElement, rate: number, focusedId: string): MinimapSnapshot | undefined => {
+  const content = container.children[0] as HTMLElement | undefined;
+  if (!content) return undefined;
+
+  const nodes = Array.from(content.querySelectorAll(`[${AttrNames.NodeElement}]`)).map((element, index) => ({
+    ...getFlowRect(element, content, rate),
+    id: element.getAttribute(AttrNames.SelectedId) ?? `${index}`,
+    focused: !!focusedId && element.getAttribute(AttrNames.FocusedId) === focusedId,
+  }));
+  const viewport = {
+    x: container.scrollLeft / rate,
+    y: container.scrollTop / rate,
+    width: container.clientWidth / rate,
+    height: container.clientHeight / rate,
+  };
+  const bounds = unionRects([...nodes, { x: 0, y: 0, width: content.offsetWidth, height: content.offsetHeight }]);
+  if (!bounds || !bounds.width || !bounds.height) return undefined;
+
+  return { bounds, nodes, viewport };
+};
+
+type FlowMinimapProps = {
+  /** The scrolling container of the flow, its first child is the zoomed content. */
+  containerRef: React.RefObject<HTMLElement>;
+  rate: number;
+  focusedId: string;
+};
+
+/**
+ * Overview of the whole flow with the visible part framed. Clicking or dragging on it scrolls the flow.
+ */
+export const FlowMinimap: React.FC<FlowMinimapProps> = ({ containerRef, rate, focusedId }) => {
+  const [snapshot, setSnapshot] = useState<MinimapSnapshot>();
+  const dragging = useRef(false);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    let frame = 0;
+    const update = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => setSnapshot(takeSnapshot(container, rate, focusedId)));
+    };
+    update();
+
+    // the flow is laid out again whenever a node is measured, moved or added
+    const observer = new MutationObserver(update);
+    observer.observe(container, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['class', 'style'],
+    });
+    container.addEventListener('scroll', update);
+    window.addEventListener('resize', update);
+    return () => {
+      cancelAnimationFrame(frame);
+      observer.disconnect();
+      container.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [rate, focusedId]);
+
+  const navigate = (e: React.MouseEvent<SVGSVGElement>) => {
+    const container = containerRef.current;
+    if (!container || !snapshot) return;
+
+    // the content is centered in the minimap by the default 'preserveAspectRatio' of the svg
+    const { bounds } = snapshot;
+    const box = e.currentTarget.getBoundingClientRect();
+    const scale = Math.min(box.width / bounds.width, box.height / bounds.height);
+    const point = {
+      x: bounds.x + (e.clientX - box.left - (box.width - bounds.width * scale) / 2) / scale,
+      y: bounds.y + (e.clientY - box.top - (box.height - bounds.height * scale) / 2) / scale,
+      width: 0,
+      height: 0,
+    };
+    container.scrollTo(
+      getCenteredScroll(point, { width: container.clientWidth, height: container.clientHeight }, rate)
+    );
+  };
+
+  if (!snapshot) return null;
+
+  const { bounds, nodes, viewport } = snapshot;
+  return (
+    <svg
+      aria-label={formatMessage('Minimap')}
+      css={minimapStyle}
+      data-testid="FlowMinimap"
+      role="img"
+      viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+      onClick={(e) => e.stopPropagation()}
+      onMouseDown={(e) => {
+        // keep the marquee selection of the canvas from starting
+        e.stopPropagation();
+        dragging.current = true;
+        navigate(e);
+      }}
+      onMouseLeave={() => {
+        dragging.current = false;
+      }}
+      onMouseMove={(e) => {
+        if (dragging.current) navigate(e);
+      }}
+      onMouseUp={() => {
+        dragging.current = false;
+      }}
+    >
+      {nodes.map(({ id, x, y, width, height, focused }) => (
+        <rect
+          key={id}
+          fill={focused ? SharedColors.cyanBlue10 : NeutralColors.gray60}
+          height={height}
+          width={width}
+          x={x}
+          y={y}
+        />
+      ))}
+      <rect
+        data-testid="FlowMinimapViewport"
+        fill="rgba(0, 120, 212, 0.08)"
+        height={viewport.height}
+        stroke={SharedColors.cyanBlue10}
+        strokeWidth={2}
+        vectorEffect="non-scaling-stroke"
+        width={viewport.width}
+        x={viewport.x}
+        y={viewport.y}
+      />
+    </svg>
+  );
+};
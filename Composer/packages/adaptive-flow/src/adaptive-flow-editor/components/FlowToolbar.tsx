@@ -3,17 +3,25 @@
 
 /** @jsx jsx */
 import { jsx, css } from '@emotion/core';
-import { useRef, useEffect, ReactNode } from 'react';
-import { ZoomInfo } from '@bfc/shared';
+import { useRef, useEffect, useState, ReactNode } from 'react';
+import { FlowLayoutDirection, getFriendlyName, ZoomInfo } from '@bfc/shared';
 import { IconButton, IButtonStyles } from 'office-ui-fabric-react/lib/Button';
+import { ContextualMenuItemType, IContextualMenuItem } from 'office-ui-fabric-react/lib/ContextualMenu';
 import { IIconProps } from 'office-ui-fabric-react/lib/Icon';
 import formatMessage from 'format-message';
+import get from 'lodash/get';
 import { TooltipHost } from 'office-ui-fabric-react/lib/Tooltip';
 import { DirectionalHint } from 'office-ui-fabric-react/lib/Callout';
 import { NeutralColors } from '@uifabric/fluent-theme';
 
 import { scrollNodeIntoView } from '../utils/scrollNodeIntoView';
 import { AttrNames } from '../constants/ElementAttributes';
+import { getCenteredScroll, getFitRate, getFlowRect, unionRects } from '../utils/flowViewport';
+import { buildDialogGraph, toGraphviz, toMermaid } from '../utils/exportDialogGraph';
+import { downloadFile, renderFlowImage, toFileName, toPng } from '../utils/exportFlowImage';
+
+import { FlowMinimap } from './FlowMinimap';
+import { FlowExportRenderer } from './FlowExportRenderer';
 
 function scrollZoom(delta: number, rateList: number[], maxRate: number, minRate: number, currentRate: number): number {
   let rate: number = currentRate;
@@ -48,24 +56,58 @@ const TooltipWrapper = ({ tooltip, children }: { tooltip: string; children: Reac
   </TooltipHost>
 );
 
+type ImageExport = {
+  triggerIds: string[];
+  format: 'svg' | 'png';
+  fileName: string;
+};
+
 type FlowToolbarProps = {
+  dialogId: string;
+  dialogData: any;
+  focusedEvent: string;
   flowZoomRate: ZoomInfo;
   focusedId: string;
+  selectedIds: string[];
   flowCommentsVisible: boolean;
+  flowCoverageVisible: boolean;
+  flowLayoutDirection: FlowLayoutDirection;
   updateFlowZoomRate: (currentRate: number) => void;
   toggleFlowComments: () => void;
+  toggleFlowCoverage: () => void;
+  toggleFlowLayoutDirection: () => void;
+  clearCoverage: () => void;
+  /** Renders the flow of a trigger for the image export, without the menus and the selection of the canvas. */
+  renderFlow: (triggerId: string) => ReactNode;
+  /** Called when an image export fails, the export menu is closed by then. */
+  onExportError: (error: Error) => void;
   children?: ReactNode;
 };
 
 export const FlowToolbar: React.FC<FlowToolbarProps> = ({
+  dialogId,
+  dialogData,
+  focusedEvent,
   flowZoomRate,
   focusedId,
+  selectedIds,
   flowCommentsVisible,
+  flowCoverageVisible,
+  flowLayoutDirection,
   updateFlowZoomRate,
   toggleFlowComments,
+  toggleFlowCoverage,
+  toggleFlowLayoutDirection,
+  clearCoverage,
+  renderFlow,
+  onExportError,
   children,
 }) => {
   const divRef = useRef<HTMLDivElement>(null);
+  const [minimapVisible, setMinimapVisible] = useState(false);
+  const [imageExport, setImageExport] = useState<ImageExport | null>(null);
+  // scrolls to the selection once the content is scaled to its new zoom rate
+  const pendingScroll = useRef<(() => void) | null>(null);
   const { rateList, maxRate, minRate, currentRate } = flowZoomRate || {
     rateList: [0.5, 1, 3],
     maxRate: 3,
@@ -92,6 +134,11 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
     const target = container.children[0] as HTMLElement;
     target.style.transform = `scale(${currentRate})`;
     target.style.transformOrigin = 'top left';
+    if (pendingScroll.current) {
+      pendingScroll.current();
+      pendingScroll.current = null;
+      return;
+    }
     container.scroll({
       top: (container.scrollWidth - container.clientWidth) / 2,
       left: (container.scrollHeight - container.clientHeight) / 2,
@@ -102,6 +149,103 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
     }
   }, [currentRate]);
 
+  const selectionSelectors = [
+    ...selectedIds.map((id) => `[${AttrNames.SelectedId}="${id}"]`),
+    ...(focusedId ? [`[${AttrNames.FocusedId}="${focusedId}"]`] : []),
+  ];
+
+  const zoomToSelection = () => {
+    const content = container?.children[0] as HTMLElement | undefined;
+    if (!content || !selectionSelectors.length) return;
+
+    const selection = unionRects(
+      Array.from(content.querySelectorAll(selectionSelectors.join(','))).map((element) =>
+        getFlowRect(element, content, currentRate)
+      )
+    );
+    if (!selection) return;
+
+    const viewport = { width: container.clientWidth, height: container.clientHeight };
+    const rate = getFitRate(selection, viewport, { rateList, minRate, maxRate });
+    const scroll = () => container.scrollTo(getCenteredScroll(selection, viewport, rate));
+    if (rate === currentRate) {
+      scroll();
+    } else {
+      pendingScroll.current = scroll;
+      updateFlowZoomRate(rate);
+    }
+  };
+
+  const triggers: any[] = Array.isArray(dialogData?.triggers) ? dialogData.triggers : [];
+  const focusedTrigger = /^triggers\[(\d+)\]$/.test(focusedEvent) ? getFriendlyName(get(dialogData, focusedEvent)) : '';
+
+  const exportImage = (scope: 'trigger' | 'dialog', format: ImageExport['format']) => {
+    setImageExport(
+      scope === 'trigger'
+        ? { triggerIds: [focusedEvent], format, fileName: toFileName(dialogId, focusedTrigger) }
+        : { triggerIds: triggers.map((_, index) => `triggers[${index}]`), format, fileName: toFileName(dialogId) }
+    );
+  };
+
+  const saveImage = async (element: HTMLElement) => {
+    if (!imageExport) return;
+    const { format, fileName } = imageExport;
+    // serialized before the off screen flow is removed
+    const image = renderFlowImage(element);
+    setImageExport(null);
+    try {
+      const content = format === 'svg' ? new Blob([image.svg], { type: 'image/svg+xml' }) : await toPng(image);
+      downloadFile(`${fileName}.${format}`, content);
+    } catch (err) {
+      onExportError(err);
+    }
+  };
+
+  const exportText = (format: 'mmd' | 'dot') => {
+    const graph = buildDialogGraph(dialogData);
+    const text =
+      format === 'mmd' ? toMermaid(graph, flowLayoutDirection) : toGraphviz(graph, dialogId, flowLayoutDirection);
+    downloadFile(`${toFileName(dialogId)}.${format}`, new Blob([text], { type: 'text/plain' }));
+  };
+
+  const exportMenuItems: IContextualMenuItem[] = [
+    {
+      key: 'triggerSvg',
+      text: formatMessage('Export trigger as SVG'),
+      disabled: !focusedTrigger,
+      onClick: () => exportImage('trigger', 'svg'),
+    },
+    {
+      key: 'triggerPng',
+      text: formatMessage('Export trigger as PNG'),
+      disabled: !focusedTrigger,
+      onClick: () => exportImage('trigger', 'png'),
+    },
+    {
+      key: 'dialogSvg',
+      text: formatMessage('Export dialog as SVG'),
+      disabled: !triggers.length,
+      onClick: () => exportImage('dialog', 'svg'),
+    },
+    {
+      key: 'dialogPng',
+      text: formatMessage('Export dialog as PNG'),
+      disabled: !triggers.length,
+      onClick: () => exportImage('dialog', 'png'),
+    },
+    { key: 'divider', itemType: ContextualMenuItemType.Divider },
+    {
+      key: 'mermaid',
+      text: formatMessage('Export dialog as Mermaid diagram'),
+      onClick: () => exportText('mmd'),
+    },
+    {
+      key: 'graphviz',
+      text: formatMessage('Export dialog as Graphviz diagram'),
+      onClick: () => exportText('dot'),
+    },
+  ];
+
   const buttonRender = () => {
     const buttonBoxStyle = css({ position: 'absolute', left: '25px', bottom: '25px', width: '35px' });
     const iconStyle = (iconName: string): IIconProps => {
@@ -140,8 +284,39 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
       ? formatMessage('Hide notes on canvas')
       : formatMessage('Show notes on canvas');
 
+    const coverageLabel = flowCoverageVisible
+      ? formatMessage('Hide coverage by Web Chat conversations')
+      : formatMessage('Show coverage by Web Chat conversations');
+
+    const layoutLabel =
+      flowLayoutDirection === 'horizontal'
+        ? formatMessage('Lay out the flow from top to bottom')
+        : formatMessage('Lay out the flow from left to right');
+
+    const minimapLabel = minimapVisible ? formatMessage('Hide minimap') : formatMessage('Show minimap');
+
     return (
       <div css={buttonBoxStyle}>
+        <TooltipWrapper tooltip={coverageLabel}>
+          <IconButton
+            ariaLabel={coverageLabel}
+            checked={flowCoverageVisible}
+            data-testid="FlowCoverageButton"
+            iconProps={iconStyle('CheckList')}
+            styles={buttonStyle({ top: '2px', bottom: flowCoverageVisible ? undefined : '2px' })}
+            onClick={() => toggleFlowCoverage()}
+          />
+        </TooltipWrapper>
+        {flowCoverageVisible && (
+          <TooltipWrapper tooltip={formatMessage('Reset coverage')}>
+            <IconButton
+              ariaLabel={formatMessage('Reset coverage')}
+              iconProps={iconStyle('EraseTool')}
+              styles={buttonStyle({ bottom: '2px' })}
+              onClick={() => clearCoverage()}
+            />
+          </TooltipWrapper>
+        )}
         <TooltipWrapper tooltip={commentsLabel}>
           <IconButton
             ariaLabel={commentsLabel}
@@ -150,6 +325,36 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
             onClick={() => toggleFlowComments()}
           />
         </TooltipWrapper>
+        <TooltipWrapper tooltip={layoutLabel}>
+          <IconButton
+            ariaLabel={layoutLabel}
+            data-testid="FlowLayoutButton"
+            iconProps={iconStyle(flowLayoutDirection === 'horizontal' ? 'Org' : 'Rotate')}
+            styles={buttonStyle({ top: '2px' })}
+            onClick={() => toggleFlowLayoutDirection()}
+          />
+        </TooltipWrapper>
+        <TooltipWrapper tooltip={minimapLabel}>
+          <IconButton
+            ariaLabel={minimapLabel}
+            checked={minimapVisible}
+            data-testid="FlowMinimapButton"
+            iconProps={iconStyle('Nav2DMapView')}
+            styles={buttonStyle({})}
+            onClick={() => setMinimapVisible(!minimapVisible)}
+          />
+        </TooltipWrapper>
+        <TooltipWrapper tooltip={formatMessage('Export')}>
+          <IconButton
+            ariaLabel={formatMessage('Export')}
+            data-testid="FlowExportButton"
+            disabled={!!imageExport}
+            iconProps={iconStyle('Download')}
+            menuProps={{ items: exportMenuItems, directionalHint: DirectionalHint.rightBottomEdge }}
+            styles={buttonStyle({ bottom: '2px', margin: '0 0 8px' })}
+            onRenderMenuIcon={() => null}
+          />
+        </TooltipWrapper>
         <TooltipWrapper tooltip={formatMessage('Zoom in')}>
           <IconButton
             ariaLabel={formatMessage('Zoom in')}
@@ -168,6 +373,16 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
             onClick={() => handleZoom(100)}
           />
         </TooltipWrapper>
+        <TooltipWrapper tooltip={formatMessage('Zoom to selection')}>
+          <IconButton
+            ariaLabel={formatMessage('Zoom to selection')}
+            data-testid="ZoomToSelectionButton"
+            disabled={!selectionSelectors.length}
+            iconProps={iconStyle('FitPage')}
+            styles={buttonStyle({})}
+            onClick={zoomToSelection}
+          />
+        </TooltipWrapper>
         <TooltipWrapper tooltip={formatMessage('Reset view')}>
           <IconButton
             ariaLabel={formatMessage('Reset view')}
@@ -203,6 +418,15 @@ export const FlowToolbar: React.FC<FlowToolbarProps> = ({
         {children}
         {buttonRender()}
       </div>
+      {minimapVisible && <FlowMinimap containerRef={divRef} focusedId={focusedId} rate={currentRate} />}
+      {imageExport && (
+        <FlowExportRenderer
+          direction={flowLayoutDirection}
+          renderFlow={renderFlow}
+          triggerIds={imageExport.triggerIds}
+          onRendered={saveImage}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import { useState } from 'react';
+import formatMessage from 'format-message';
+import { ActionSnippet } from '@bfc/shared';
+import { Dialog, DialogType, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+
+type Props = {
+  snippet: ActionSnippet;
+  onInsert: (values: Record<string, string>) => void;
+  onDismiss: () => void;
+};
+
+/**
+ * Fills the parameters of a snippet before its actions are inserted.
+ */
+export const InsertSnippetDialog: React.FC<Props> = ({ snippet, onInsert, onDismiss }) => {
+  const [values, setValues] = useState<Record<string, string>>(() =>
+    snippet.parameters.reduce((result, { name, defaultValue }) => {
+      result[name] = defaultValue ?? '';
+      return result;
+    }, {})
+  );
+
+  const complete = snippet.parameters.every(({ name }) => values[name]);
+
+  return (
+    <Dialog
+      dialogContentProps={{
+        type: DialogType.normal,
+        title: formatMessage('Insert {name}', { name: snippet.name }),
+        subText: snippet.description,
+      }}
+      hidden={false}
+      minWidth={400}
+      modalProps={{ isBlocking: true }}
+      onDismiss={onDismiss}
+    >
+      <Stack tokens={{ childrenGap: 8 }}>
+        {snippet.parameters.map(({ name, description }) => (
+          <TextField
+            key={name}
+            required
+            description={description}
+            label={name}
+            value={values[name] ?? ''}
+            onChange={(_, newValue) => setValues({ ...values, [name]: newValue ?? '' })}
+          />
+        ))}
+      </Stack>
+      <DialogFooter>
+        <DefaultButton text={formatMessage('Cancel')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="InsertSnippet"
+          disabled={!complete}
+          text={formatMessage('Insert')}
+          onClick={() => onInsert(values)}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
@@ -0,0 +1,173 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import { useMemo, useState } from 'react';
+import formatMessage from 'format-message';
+import {
+  ActionSnippet,
+  ActionSnippetScope,
+  MicrosoftIDialog,
+  findSnippetParameters,
+  isValidSnippetParameterName,
+  replaceWithSnippetParameter,
+  toSnippetPlaceholder,
+} from '@bfc/shared';
+import { Dialog, DialogType, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { ChoiceGroup } from 'office-ui-fabric-react/lib/ChoiceGroup';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { ActionButton, DefaultButton, IconButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+
+// the name ends up in a file name of the bot project
+const validSnippetName = /^[\w\- ]+$/;
+
+type Replacement = { text: string; name: string };
+
+type Props = {
+  actions: MicrosoftIDialog[];
+  onSave: (snippet: ActionSnippet) => Promise<boolean>;
+  onDismiss: () => void;
+};
+
+/**
+ * Names the selected actions as a snippet. Texts of the actions, such as a property or a message, become parameters
+ * filled in when the snippet is inserted, with the text as their default value.
+ */
+export const SaveSnippetDialog: React.FC<Props> = ({ actions, onSave, onDismiss }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [scope, setScope] = useState<ActionSnippetScope>('user');
+  const [replacements, setReplacements] = useState<Replacement[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  const snippetActions = useMemo(
+    () =>
+      replacements.reduce(
+        (result, { text, name }) =>
+          isValidSnippetParameterName(name) ? replaceWithSnippetParameter(result, text, name) : result,
+        actions
+      ),
+    [actions, replacements]
+  );
+  const parameterNames = useMemo(() => findSnippetParameters(snippetActions), [snippetActions]);
+
+  const nameError = name && !validSnippetName.test(name) ? formatMessage('Use letters, numbers, -, _ and spaces') : '';
+  const replacementsValid = replacements.every(({ text, name }) => text && isValidSnippetParameterName(name));
+
+  const updateReplacement = (index: number, update: Partial<Replacement>) => {
+    setReplacements(replacements.map((replacement, i) => (i === index ? { ...replacement, ...update } : replacement)));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const saved = await onSave({
+      name,
+      scope,
+      description: description || undefined,
+      parameters: parameterNames.map((parameterName) => ({
+        name: parameterName,
+        defaultValue: replacements.find((replacement) => replacement.name === parameterName)?.text,
+      })),
+      actions: snippetActions,
+    });
+    setSaving(false);
+    if (saved) onDismiss();
+  };
+
+  return (
+    <Dialog
+      dialogContentProps={{
+        type: DialogType.normal,
+        title: formatMessage('Save as snippet'),
+        subText: formatMessage('{count, plural, =1 {1 action} other {# actions}}', { count: actions.length }),
+      }}
+      hidden={false}
+      minWidth={480}
+      modalProps={{ isBlocking: true }}
+      onDismiss={onDismiss}
+    >
+      <Stack tokens={{ childrenGap: 8 }}>
+        <TextField
+          required
+          errorMessage={nameError}
+          label={formatMessage('Name')}
+          value={name}
+          onChange={(_, newValue) => setName(newValue ?? '')}
+        />
+        <TextField
+          label={formatMessage('Description')}
+          value={description}
+          onChange={(_, newValue) => setDescription(newValue ?? '')}
+        />
+        <ChoiceGroup
+          label={formatMessage('Available to')}
+          options={[
+            { key: 'user', text: formatMessage('All my bots') },
+            { key: 'project', text: formatMessage('This bot, stored with its files') },
+          ]}
+          selectedKey={scope}
+          onChange={(_, option) => option && setScope(option.key as ActionSnippetScope)}
+        />
+        <Text block styles={{ root: { fontWeight: 600, marginTop: 8 } }}>
+          {formatMessage('Parameters')}
+        </Text>
+        {replacements.map(({ text, name: parameterName }, index) => (
+          <Stack key={index} horizontal tokens={{ childrenGap: 8 }} verticalAlign="end">
+            <TextField
+              ariaLabel={formatMessage('Text to replace')}
+              placeholder={formatMessage('Text to replace')}
+              styles={{ root: { flex: 1 } }}
+              value={text}
+              onChange={(_, newValue) => updateReplacement(index, { text: newValue ?? '' })}
+            />
+            <TextField
+              ariaLabel={formatMessage('Parameter name')}
+              errorMessage={
+                parameterName && !isValidSnippetParameterName(parameterName)
+                  ? formatMessage('Use letters, numbers and _')
+                  : ''
+              }
+              placeholder={formatMessage('Parameter name')}
+              styles={{ root: { flex: 1 } }}
+              value={parameterName}
+              onChange={(_, newValue) => updateReplacement(index, { name: newValue ?? '' })}
+            />
+            <IconButton
+              ariaLabel={formatMessage('Remove parameter')}
+              iconProps={{ iconName: 'Cancel' }}
+              onClick={() => setReplacements(replacements.filter((_, i) => i !== index))}
+            />
+          </Stack>
+        ))}
+        <ActionButton
+          iconProps={{ iconName: 'Add' }}
+          styles={{ root: { alignSelf: 'flex-start' } }}
+          onClick={() => setReplacements([...replacements, { text: '', name: '' }])}
+        >
+          {formatMessage('Add a parameter')}
+        </ActionButton>
+        <Text block variant="small">
+          {parameterNames.length
+            ? formatMessage('The snippet asks for {parameters} when it is inserted.', {
+                parameters: parameterNames.map(toSnippetPlaceholder).join(', '),
+              })
+            : formatMessage(
+                'Every occurrence of a text to replace in the actions and their responses becomes a parameter.'
+              )}
+        </Text>
+      </Stack>
+      <DialogFooter>
+        <DefaultButton text={formatMessage('Cancel')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="SaveSnippet"
+          disabled={saving || !name || !!nameError || !replacementsValid}
+          text={formatMessage('Save')}
+          onClick={save}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
@@ -21,6 +21,7 @@ export const KeyboardCommandTypes = {
     Copy: 'copy',
     Cut: 'cut',
     Paste: 'paste',
+    ToggleBreakpoint: 'toggle breakpoint',
   },
   Operation: {
     Redo: 'redo',
@@ -53,6 +54,8 @@ export const KeyboardPrimaryTypes = {
 const BasicShortcuts = {
   'Windows.Delete': KeyboardCommandTypes.Node.Delete,
   'Mac.Delete': KeyboardCommandTypes.Node.Delete,
+  'Windows.F9': KeyboardCommandTypes.Node.ToggleBreakpoint,
+  'Mac.F9': KeyboardCommandTypes.Node.ToggleBreakpoint,
 };
 
 const TabNavShortcuts = {
@@ -8,4 +8,6 @@ export const MenuTypes = {
 
 export const MenuEventTypes = {
   Paste: 'PASTE',
+  Snippet: 'SNIPPET',
+  DeleteSnippet: 'DELETE_SNIPPET',
 };
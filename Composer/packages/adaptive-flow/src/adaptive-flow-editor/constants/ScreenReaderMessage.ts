@@ -17,8 +17,10 @@ export const ScreenReaderMessage = {
   ActionsCreated: formatMessage('Actions created'),
   EventCreated: formatMessage('Event created'),
   ActionsCopied: formatMessage('Actions copied'),
+  SnippetSaved: formatMessage('Snippet saved'),
   ActionsCut: formatMessage('Actions cut'),
   ActionsMoved: formatMessage('Actions moved'),
   ActionUndo: formatMessage('Undo'),
   ActionRedo: formatMessage('Redo'),
+  BreakpointToggled: formatMessage('Breakpoint toggled'),
 };
@@ -2,17 +2,25 @@
 // Licensed under the MIT License.
 
 import React from 'react';
-import { DialogFactory, JSONSchema7, DialogInfo } from '@bfc/shared';
+import { ActionSnippet, DialogFactory, JSONSchema7, DialogInfo } from '@bfc/shared';
 
 export interface NodeRendererContextValue {
   focusedId?: string;
   focusedEvent?: string;
   focusedTab?: string;
   clipboardActions: any[];
+  /** snippets the edge menu inserts */
+  actionSnippets?: ActionSnippet[];
   dialogFactory: DialogFactory;
   customSchemas: JSONSchema7[];
   dialogs: DialogInfo[];
   topics: DialogInfo[];
+  /** ids of the actions with a breakpoint */
+  breakpoints?: string[];
+  /** id of the action the bot is paused on while debugging */
+  pausedAction?: string;
+  /** ids of the triggers and actions that ran in Web Chat, undefined when coverage is hidden */
+  executedActions?: string[];
 }
 
 export const defaultRendererContextValue = {
@@ -1,7 +1,16 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { DialogUtils, SDKKinds, ShellApi, registerEditorAPI, MicrosoftIDialog } from '@bfc/shared';
+import {
+  ActionSnippet,
+  DialogUtils,
+  SDKKinds,
+  ShellApi,
+  registerEditorAPI,
+  MicrosoftIDialog,
+  createSnippetActions,
+  fillSnippetParameters,
+} from '@bfc/shared';
 import get from 'lodash/get';
 
 // TODO: leak of visual-sdk domain (designerCache)
@@ -19,12 +28,18 @@ import { calculateRangeSelection } from '../utils/calculateRangeSelection';
 
 import { useDialogEditApi } from './useDialogEditApi';
 
+/** A form the editor shows to save the selected actions as a snippet, or to fill the parameters of one to insert. */
+export type SnippetFormRequest =
+  | { kind: 'save'; actions: MicrosoftIDialog[] }
+  | { kind: 'insert'; snippet: ActionSnippet; arrayId: string; position: number };
+
 export const useEditorEventApi = (
   state: {
     path: string;
     data: MicrosoftIDialog;
     nodeContext: NodeRendererContextValue;
     selectionContext: SelectionContextData;
+    openSnippetForm?: (request: SnippetFormRequest) => void;
   },
   shellApi: ShellApi
 ) => {
@@ -41,7 +56,7 @@ export const useEditorEventApi = (
     enableSelectedActions,
     updateRecognizer,
   } = useDialogEditApi(shellApi);
-  const { path, data, nodeContext, selectionContext } = state;
+  const { path, data, nodeContext, selectionContext, openSnippetForm } = state;
   const { focusedId, focusedTab, focusedEvent, clipboardActions, dialogFactory } = nodeContext;
   const { selectedIds, setSelectedIds, selectableElements } = selectionContext;
 
@@ -54,6 +69,8 @@ export const useEditorEventApi = (
     undo,
     redo,
     announce,
+    toggleBreakpoint,
+    telemetryClient,
   } = shellApi;
 
   const getClipboardTargetsFromContext = (): string[] => {
@@ -171,6 +188,22 @@ export const useEditorEventApi = (
           );
         };
         break;
+      case NodeEventTypes.ToggleBranch:
+        // the action and its parents are resized
+        trackActionChange(`${eventData.id}.${eventData.branch}`);
+        handler = (e: { id: string; branch: string }) => {
+          onChange(DialogUtils.toggleCollapsedBranch(data, e.id, e.branch));
+        };
+        break;
+      case NodeEventTypes.ToggleBreakpoint:
+        handler = (e) => {
+          // from the keyboard the breakpoint goes on the focused action
+          const actionId = e.id ?? focusedId;
+          if (!actionId) return;
+          toggleBreakpoint(actionId);
+          announce(ScreenReaderMessage.BreakpointToggled);
+        };
+        break;
       case NodeEventTypes.Insert:
         trackActionChange(eventData.id);
         if (eventData.$kind === MenuEventTypes.Paste) {
@@ -182,6 +215,26 @@ export const useEditorEventApi = (
               });
             });
           };
+        } else if (eventData.$kind === MenuEventTypes.Snippet) {
+          handler = (e: { id: string; position: number; snippet: ActionSnippet; values?: Record<string, string> }) => {
+            const { snippet } = e;
+            // the parameters are filled in a form, which raises the event again with their values
+            if (snippet.parameters.length && !e.values) {
+              openSnippetForm?.({ kind: 'insert', snippet, arrayId: e.id, position: e.position });
+              return;
+            }
+            const actions = fillSnippetParameters(snippet.actions, e.values ?? {});
+            insertActions(path, data, e.id, e.position, actions).then((dialog) => {
+              telemetryClient?.track('ActionSnippetInserted', {
+                scope: snippet.scope,
+                parameters: snippet.parameters.length,
+              });
+              return onChange(dialog, undefined, async () => {
+                await onFocusSteps([`${e.id}[${e.position || 0}]`]);
+                announce(ScreenReaderMessage.ActionsCreated);
+              });
+            });
+          };
         } else {
           handler = (e) => {
             const newAction = dialogFactory.create(e.$kind);
@@ -201,6 +254,15 @@ export const useEditorEventApi = (
           announce(ScreenReaderMessage.ActionsCopied);
         };
         break;
+      case NodeEventTypes.SaveSelectionAsSnippet:
+        handler = () => {
+          const actionIds = getClipboardTargetsFromContext();
+          if (!actionIds.length) return;
+          copySelectedActions(path, data, actionIds)
+            .then(createSnippetActions)
+            .then((actions) => openSnippetForm?.({ kind: 'save', actions }));
+        };
+        break;
       case NodeEventTypes.CutSelection:
         handler = () => {
           const actionIds = getClipboardTargetsFromContext();
@@ -354,6 +416,7 @@ export const useEditorEventApi = (
     DeleteSelection: () => handleEditorEvent(NodeEventTypes.DeleteSelection),
     DisableSelection: () => handleEditorEvent(NodeEventTypes.DisableSelection),
     EnableSelection: () => handleEditorEvent(NodeEventTypes.EnableSelection),
+    SaveSelectionAsSnippet: () => handleEditorEvent(NodeEventTypes.SaveSelectionAsSnippet),
   });
 
   return {
@@ -5,9 +5,9 @@
 import { jsx } from '@emotion/core';
 import { useContext, useState } from 'react';
 import formatMessage from 'format-message';
-import { DefinitionSummary } from '@bfc/shared';
+import { ActionSnippet, DefinitionSummary } from '@bfc/shared';
 import { TooltipHost, DirectionalHint } from 'office-ui-fabric-react/lib/Tooltip';
-import { useMenuConfig } from '@bfc/extension-client';
+import { useMenuConfig, useShellApi } from '@bfc/extension-client';
 import { IconMenu } from '@bfc/ui-shared';
 
 // TODO: leak of visual-sdk domain (EdgeAddButtonSize)
@@ -16,18 +16,18 @@ import { NodeRendererContext } from '../../contexts/NodeRendererContext';
 import { SelectionContext } from '../../contexts/SelectionContext';
 import { SelfHostContext } from '../../contexts/SelfHostContext';
 import { AttrNames } from '../../constants/ElementAttributes';
-import { MenuTypes } from '../../constants/MenuTypes';
+import { MenuEventTypes, MenuTypes } from '../../constants/MenuTypes';
 import { ObiColors } from '../../../adaptive-flow-renderer/constants/ElementColors';
 
 import { createActionMenu } from './createSchemaMenu';
 
 interface EdgeMenuProps {
   id: string;
-  onClick: (item: string | null) => void;
+  onClick: (item: string | null, snippet?: ActionSnippet) => void;
 }
 
 export const EdgeMenu: React.FC<EdgeMenuProps> = ({ id, onClick }) => {
-  const { clipboardActions, customSchemas } = useContext(NodeRendererContext);
+  const { clipboardActions, actionSnippets, customSchemas } = useContext(NodeRendererContext);
   const selfHosted = useContext(SelfHostContext);
   const { selectedIds } = useContext(SelectionContext);
   const nodeSelected = selectedIds.includes(`${id}${MenuTypes.EdgeMenu}`);
@@ -51,15 +51,31 @@ export const EdgeMenu: React.FC<EdgeMenuProps> = ({ id, onClick }) => {
     setMenuSelected(menuSelected);
   };
 
+  const { shellApi } = useShellApi();
+  const deleteSnippet = async ({ scope, name }: ActionSnippet) => {
+    const confirmed = await shellApi.confirm(
+      formatMessage('Delete snippet'),
+      scope === 'user'
+        ? formatMessage('Delete {name} from the snippets of all your bots?', { name })
+        : formatMessage('Delete {name} from the snippets of this bot?', { name })
+    );
+    if (confirmed) await shellApi.deleteActionSnippet(scope, name);
+  };
+
   const { menuSchema, forceDisabledActions } = useMenuConfig();
   const menuItems = createActionMenu(
     (item) => {
       if (!item) return;
-      onClick(item.key);
+      if (item.key === MenuEventTypes.DeleteSnippet) {
+        deleteSnippet(item.data);
+        return;
+      }
+      onClick(item.key, item.data);
     },
     {
       isSelfHosted: selfHosted,
       enablePaste: Array.isArray(clipboardActions) && !!clipboardActions.length,
+      snippets: actionSnippets,
     },
     forceDisabledActions,
     menuSchema,
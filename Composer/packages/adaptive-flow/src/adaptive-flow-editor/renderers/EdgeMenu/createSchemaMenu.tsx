@@ -8,7 +8,7 @@ import {
   ContextualMenuItemType,
 } from 'office-ui-fabric-react/lib/components/ContextualMenu/ContextualMenu.types';
 import { NeutralColors } from '@uifabric/fluent-theme';
-import { SDKKinds, DefinitionSummary, DisabledMenuActions } from '@bfc/shared';
+import { SDKKinds, DefinitionSummary, DisabledMenuActions, ActionSnippet } from '@bfc/shared';
 import { FontIcon } from 'office-ui-fabric-react/lib/Icon';
 import formatMessage from 'format-message';
 import { MenuUISchema, MenuOptions } from '@bfc/extension-client';
@@ -181,9 +181,38 @@ const createPasteButtonItem = (
   };
 };
 
+/**
+ * Snippets of the user, then of the bot, under a header each. Clicking one reports it as the data of an item keyed by
+ * the event type, Snippet to insert it or DeleteSnippet to delete it.
+ */
+const createSnippetMenuItems = (
+  snippets: ActionSnippet[],
+  onClick: ActionMenuItemClickHandler,
+  eventType: string = MenuEventTypes.Snippet
+) => {
+  const groups = [
+    { scope: 'user', title: formatMessage('My snippets') },
+    { scope: 'project', title: formatMessage('Bot snippets') },
+  ];
+  return groups.reduce((items: IContextualMenuItem[], { scope, title }) => {
+    const scopeSnippets = snippets.filter((snippet) => snippet.scope === scope);
+    if (!scopeSnippets.length) return items;
+    return items.concat(
+      { key: `snippets-${scope}`, text: title, itemType: ContextualMenuItemType.Header },
+      scopeSnippets.map((snippet) => ({
+        key: `${eventType}-${scope}-${snippet.name}`,
+        text: snippet.name,
+        title: snippet.description,
+        onClick: () => onClick({ key: eventType, data: snippet }),
+      }))
+    );
+  }, []);
+};
+
 interface ActionMenuOptions {
   isSelfHosted: boolean;
   enablePaste: boolean;
+  snippets?: ActionSnippet[];
 }
 
 const createSubMenu = (
@@ -267,6 +296,26 @@ export const createActionMenu = (
     }
   }
 
+  if (options.snippets?.length) {
+    resultItems.push(createDivider(), {
+      key: 'snippets',
+      text: formatMessage('Insert snippet'),
+      iconProps: { iconName: 'Library' },
+      subMenuProps: {
+        items: [
+          ...createSnippetMenuItems(options.snippets, onClick),
+          createDivider(),
+          {
+            key: 'snippets-delete',
+            text: formatMessage('Delete a snippet'),
+            iconProps: { iconName: 'Delete' },
+            subMenuProps: { items: createSnippetMenuItems(options.snippets, onClick, MenuEventTypes.DeleteSnippet) },
+          },
+        ],
+      },
+    });
+  }
+
   // paste button
   const pasteButtonDisabled = !options.enablePaste;
   const pasteButton = createPasteButtonItem(resultItems.length, pasteButtonDisabled, onClick);
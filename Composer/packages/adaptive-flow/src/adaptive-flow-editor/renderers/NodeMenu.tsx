@@ -25,8 +25,9 @@ interface NodeMenuProps {
   id: string;
   onEvent: EditorEventHandler;
   colors: ElementColor;
+  hasBreakpoint?: boolean;
 }
-export const NodeMenu: React.FC<NodeMenuProps> = ({ colors = { color: 'black' }, id, onEvent }) => {
+export const NodeMenu: React.FC<NodeMenuProps> = ({ colors = { color: 'black' }, id, onEvent, hasBreakpoint }) => {
   const menuItems = [
     {
       key: 'delete',
@@ -36,6 +37,14 @@ export const NodeMenu: React.FC<NodeMenuProps> = ({ colors = { color: 'black' },
       },
       onClick: () => onEvent(NodeEventTypes.Delete, { id }),
     },
+    {
+      key: 'breakpoint',
+      name: hasBreakpoint ? formatMessage('Remove breakpoint') : formatMessage('Add breakpoint'),
+      iconProps: {
+        iconName: 'CircleFill',
+      },
+      onClick: () => onEvent(NodeEventTypes.ToggleBreakpoint, { id }),
+    },
   ];
   const { selectedIds } = useContext(SelectionContext);
   const nodeSelected = selectedIds.includes(`${id}${MenuTypes.NodeMenu}`);
@@ -70,7 +79,7 @@ export const NodeMenu: React.FC<NodeMenuProps> = ({ colors = { color: 'black' },
           }}
           label={moreLabel}
           menuItems={menuItems}
-          menuWidth={100}
+          menuWidth={140}
         />
       </TooltipHost>
     </div>
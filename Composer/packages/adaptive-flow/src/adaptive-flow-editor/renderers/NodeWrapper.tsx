@@ -6,6 +6,7 @@
 /** @jsx jsx */
 import { jsx, css } from '@emotion/core';
 import { useContext, useCallback, useEffect } from 'react';
+import formatMessage from 'format-message';
 import { generateActionTitle, PromptTab } from '@bfc/shared';
 import { useShellApi } from '@bfc/extension-client';
 import { TooltipHost } from 'office-ui-fabric-react/lib/Tooltip';
@@ -30,6 +31,36 @@ const nodeBorderDoubleSelectedStyle = css`
   box-shadow: 0px 0px 0px 2px #0078d4, 0px 0px 0px 6px rgba(0, 120, 212, 0.3);
 `;
 
+// the action the bot is paused on while debugging
+const nodePausedStyle = css`
+  box-shadow: 0px 0px 0px 2px #ffb900, 0px 0px 0px 6px rgba(255, 185, 0, 0.3);
+`;
+
+const breakpointStyle = css`
+  position: absolute;
+  left: -16px;
+  top: 7px;
+  height: 10px;
+  width: 10px;
+  border-radius: 50%;
+  background-color: #e81123;
+`;
+
+// coverage, actions the Web Chat conversations went through and the ones none of them reached
+const nodeExecutedStyle = css`
+  position: absolute;
+  left: -6px;
+  top: 0;
+  bottom: 0;
+  width: 3px;
+  border-radius: 2px;
+  background-color: #107c10;
+`;
+
+const nodeNotExecutedStyle = css`
+  opacity: 0.45;
+`;
+
 /**
  * When comments are visible, the tooltip target is invisible.
  */
@@ -64,12 +95,19 @@ export type NodeWrapperProps = React.PropsWithChildren<{
 
 export const ActionNodeWrapper = ({ id, tab, data, onEvent, hideComment, children }: NodeWrapperProps): JSX.Element => {
   const selectableId = tab ? `${id}${tab}` : id;
-  const { focusedId, focusedEvent, focusedTab } = useContext(NodeRendererContext);
+  const { focusedId, focusedEvent, focusedTab, breakpoints = [], pausedAction, executedActions } = useContext(
+    NodeRendererContext
+  );
   const { selectedIds, getNodeIndex } = useContext(SelectionContext);
   const nodeFocused = focusedId === id || focusedEvent === id;
   const nodeDoubleSelected = tab && nodeFocused && tab === focusedTab;
   const nodeSelected = selectedIds.includes(id);
   const nodeId = `action-${selectableId}`;
+  // prompts are drawn as one node per tab, debugging state is shown on the first one
+  const showDebugState = !tab || tab === PromptTab.BOT_ASKS;
+  const hasBreakpoint = showDebugState && breakpoints.includes(id);
+  const nodePaused = showDebugState && pausedAction === id;
+  const nodeExecuted = executedActions?.includes(id);
 
   const declareElementAttributes = (selectedId: string, id: string) => {
     return {
@@ -113,6 +151,8 @@ export const ActionNodeWrapper = ({ id, tab, data, onEvent, hideComment, childre
         ${nodeSelected && nodeBorderSelectedStyle};
         ${nodeFocused && nodeBorderSelectedStyle};
         ${nodeDoubleSelected && nodeBorderDoubleSelectedStyle};
+        ${nodePaused && nodePausedStyle};
+        ${nodeExecuted === false && nodeNotExecutedStyle};
         &:hover {
           ${!nodeFocused && nodeBorderHoveredStyle}
         }
@@ -140,6 +180,17 @@ export const ActionNodeWrapper = ({ id, tab, data, onEvent, hideComment, childre
         onEvent(NodeEventTypes.Focus, payload);
       }}
     >
+      {nodeExecuted && (
+        <div
+          aria-label={formatMessage('Ran in Web Chat')}
+          css={nodeExecutedStyle}
+          data-testid="ActionExecuted"
+          role="img"
+        />
+      )}
+      {hasBreakpoint && (
+        <div aria-label={formatMessage('Breakpoint')} css={breakpointStyle} data-testid="ActionBreakpoint" role="img" />
+      )}
       {children}
     </div>
   );
@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import React from 'react';
+import React, { useContext } from 'react';
 
 import {
   NodeMenuComponent,
@@ -10,6 +10,7 @@ import {
   ElementWrapperComponent,
 } from '../../adaptive-flow-renderer/types/PluggableComponents.types';
 import { NodeEventTypes } from '../../adaptive-flow-renderer/constants/NodeEventTypes';
+import { NodeRendererContext } from '../contexts/NodeRendererContext';
 
 import { NodeMenu } from './NodeMenu';
 import { EdgeMenu } from './EdgeMenu';
@@ -17,14 +18,17 @@ import { ActionNodeWrapper } from './NodeWrapper';
 import { ElementWrapper } from './ElementWrapper';
 
 export const VisualEditorNodeMenu: NodeMenuComponent = ({ nodeId, onEvent, colors = { color: 'black' } }) => {
-  return <NodeMenu colors={colors} id={nodeId} onEvent={onEvent} />;
+  const { breakpoints = [] } = useContext(NodeRendererContext);
+  return <NodeMenu colors={colors} hasBreakpoint={breakpoints.includes(nodeId)} id={nodeId} onEvent={onEvent} />;
 };
 
 export const VisualEditorEdgeMenu: EdgeMenuComponent = ({ arrayId, arrayPosition, onEvent }) => {
   return (
     <EdgeMenu
       id={`${arrayId}[${arrayPosition}]`}
-      onClick={($kind) => onEvent(NodeEventTypes.Insert, { id: arrayId, position: arrayPosition, $kind })}
+      onClick={($kind, snippet) =>
+        onEvent(NodeEventTypes.Insert, { id: arrayId, position: arrayPosition, $kind, snippet })
+      }
     />
   );
 };
@@ -0,0 +1,188 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { FlowLayoutDirection, getFriendlyName, SDKKinds } from '@bfc/shared';
+
+export type DialogGraphNodeShape = 'trigger' | 'action' | 'condition' | 'loop' | 'dialog';
+
+export type DialogGraphNode = {
+  id: string;
+  label: string;
+  shape: DialogGraphNodeShape;
+};
+
+export type DialogGraphEdge = {
+  from: string;
+  to: string;
+  label?: string;
+  /** Not a step of the flow, e.g. the call of a child dialog or the next iteration of a loop. */
+  dashed?: boolean;
+};
+
+export type DialogGraph = {
+  nodes: DialogGraphNode[];
+  edges: DialogGraphEdge[];
+};
+
+/** Where the flow goes on from, the label names the branch it goes on with. */
+type Port = { id: string; label?: string };
+
+// the flow of the trigger does not go on after these actions
+const TerminalKinds: string[] = [
+  SDKKinds.EndDialog,
+  SDKKinds.CancelAllDialogs,
+  SDKKinds.RepeatDialog,
+  SDKKinds.ReplaceDialog,
+];
+
+const CallKinds: string[] = [SDKKinds.BeginDialog, SDKKinds.ReplaceDialog];
+
+const toNodeId = (path: string) => path.replace(/\W+/g, '_').replace(/_$/, '');
+
+/**
+ * Builds the graph of the triggers of a dialog: the steps of their actions, the branches of the conditions and loops,
+ * and the child dialogs called by 'BeginDialog' and 'ReplaceDialog'.
+ * @param dialogData The dialog JSON.
+ * @param triggerIds The triggers to include, such as 'triggers[0]'. All the triggers by default.
+ */
+export const buildDialogGraph = (dialogData: any, triggerIds?: string[]): DialogGraph => {
+  const nodes: DialogGraphNode[] = [];
+  const edges: DialogGraphEdge[] = [];
+
+  const addNode = (path: string, label: string, shape: DialogGraphNodeShape): string => {
+    const id = toNodeId(path);
+    if (!nodes.some((node) => node.id === id)) {
+      nodes.push({ id, label, shape });
+    }
+    return id;
+  };
+
+  const connect = (ports: Port[], to: string) => {
+    ports.forEach(({ id, label }) => edges.push({ from: id, to, label }));
+  };
+
+  const walkActions = (actions: any, path: string, incoming: Port[]): Port[] => {
+    if (!Array.isArray(actions)) return incoming;
+    return actions.reduce((ports: Port[], action, index) => walkAction(action, `${path}[${index}]`, ports), incoming);
+  };
+
+  const walkAction = (action: any, path: string, incoming: Port[]): Port[] => {
+    const $kind: string = action?.$kind ?? '';
+    const label = getFriendlyName(action);
+
+    switch ($kind) {
+      case SDKKinds.IfCondition: {
+        const id = addNode(path, action.condition ? `${label}: ${action.condition}` : label, 'condition');
+        connect(incoming, id);
+        return [
+          ...walkActions(action.actions ?? [], `${path}.actions`, [{ id, label: 'true' }]),
+          ...walkActions(action.elseActions ?? [], `${path}.elseActions`, [{ id, label: 'false' }]),
+        ];
+      }
+      case SDKKinds.SwitchCondition: {
+        const id = addNode(path, action.condition ? `${label}: ${action.condition}` : label, 'condition');
+        connect(incoming, id);
+        const cases: any[] = Array.isArray(action.cases) ? action.cases : [];
+        const caseEnds = cases.reduce(
+          (ports: Port[], switchCase, index) =>
+            ports.concat(
+              walkActions(switchCase.actions ?? [], `${path}.cases[${index}].actions`, [
+                { id, label: `${switchCase.value}` },
+              ])
+            ),
+          []
+        );
+        return [...caseEnds, ...walkActions(action.default ?? [], `${path}.default`, [{ id, label: 'default' }])];
+      }
+      case SDKKinds.Foreach:
+      case SDKKinds.ForeachPage: {
+        const id = addNode(path, action.itemsProperty ? `${label}: ${action.itemsProperty}` : label, 'loop');
+        connect(incoming, id);
+        const ends = walkActions(action.actions ?? [], `${path}.actions`, [{ id, label: 'each' }]);
+        ends
+          .filter((port) => port.id !== id)
+          .forEach((port) => edges.push({ from: port.id, to: id, label: port.label, dashed: true }));
+        return [{ id, label: 'done' }];
+      }
+      default: {
+        const id = addNode(path, label, 'action');
+        connect(incoming, id);
+        if (CallKinds.includes($kind) && typeof action.dialog === 'string' && action.dialog) {
+          const dialogId = addNode(`dialog.${action.dialog}`, action.dialog, 'dialog');
+          edges.push({ from: id, to: dialogId, dashed: true });
+        }
+        return TerminalKinds.includes($kind) ? [] : [{ id }];
+      }
+    }
+  };
+
+  const triggers: any[] = Array.isArray(dialogData?.triggers) ? dialogData.triggers : [];
+  const paths = triggerIds ?? triggers.map((_, index) => `triggers[${index}]`);
+  paths.forEach((path) => {
+    const index = Number(/^triggers\[(\d+)\]$/.exec(path)?.[1]);
+    const trigger = triggers[index];
+    if (!trigger) return;
+
+    const id = addNode(path, getFriendlyName(trigger), 'trigger');
+    walkActions(trigger.actions ?? [], `${path}.actions`, [{ id }]);
+  });
+
+  return { nodes, edges };
+};
+
+const escapeMermaid = (text: string) => text.replace(/"/g, '#quot;').replace(/\r?\n/g, ' ').trim();
+
+const MermaidShapes: Record<DialogGraphNodeShape, [string, string]> = {
+  trigger: ['([', '])'],
+  action: ['[', ']'],
+  condition: ['{', '}'],
+  loop: ['{{', '}}'],
+  dialog: ['[[', ']]'],
+};
+
+/**
+ * Mermaid flowchart of a dialog graph, it can be pasted in markdown wikis as a 'mermaid' code block.
+ */
+export const toMermaid = (graph: DialogGraph, direction: FlowLayoutDirection = 'vertical'): string => {
+  const lines = [`flowchart ${direction === 'horizontal' ? 'LR' : 'TD'}`];
+  graph.nodes.forEach(({ id, label, shape }) => {
+    const [open, close] = MermaidShapes[shape];
+    lines.push(`  ${id}${open}"${escapeMermaid(label)}"${close}`);
+  });
+  graph.edges.forEach(({ from, to, label, dashed }) => {
+    const arrow = dashed ? '-.->' : '-->';
+    lines.push(label ? `  ${from} ${arrow}|"${escapeMermaid(label)}"| ${to}` : `  ${from} ${arrow} ${to}`);
+  });
+  return lines.join('\n') + '\n';
+};
+
+const escapeDot = (text: string) => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+
+const DotShapes: Record<DialogGraphNodeShape, string> = {
+  trigger: 'shape=box, style="rounded,filled", fillcolor="#deecf9"',
+  action: 'shape=box',
+  condition: 'shape=diamond',
+  loop: 'shape=hexagon',
+  dialog: 'shape=component, style=filled, fillcolor="#f3f2f1"',
+};
+
+/**
+ * Graphviz (DOT) digraph of a dialog graph.
+ */
+export const toGraphviz = (graph: DialogGraph, name: string, direction: FlowLayoutDirection = 'vertical'): string => {
+  const lines = [
+    `digraph "${escapeDot(name)}" {`,
+    `  rankdir=${direction === 'horizontal' ? 'LR' : 'TB'};`,
+    '  node [fontname="Segoe UI", fontsize=10];',
+    '  edge [fontname="Segoe UI", fontsize=9];',
+  ];
+  graph.nodes.forEach(({ id, label, shape }) => {
+    lines.push(`  ${id} [label="${escapeDot(label)}", ${DotShapes[shape]}];`);
+  });
+  graph.edges.forEach(({ from, to, label, dashed }) => {
+    const attributes = [label ? `label="${escapeDot(label)}"` : '', dashed ? 'style=dashed' : ''].filter(Boolean);
+    lines.push(attributes.length ? `  ${from} -> ${to} [${attributes.join(', ')}];` : `  ${from} -> ${to};`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,128 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const SvgNamespace = 'http://www.w3.org/2000/svg';
+const XhtmlNamespace = 'http://www.w3.org/1999/xhtml';
+
+export type FlowImage = {
+  svg: string;
+  width: number;
+  height: number;
+};
+
+const escapeXml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * The css rules of the page which style the element or its descendants, emotion and fabric inject them in style sheets
+ * of the page so they have to be copied into the image.
+ */
+const collectStyles = (element: Element): string => {
+  const classNames = new Set<string>();
+  [element, ...Array.from(element.querySelectorAll('[class]'))].forEach((node) => {
+    node.classList.forEach((className) => classNames.add(className));
+  });
+
+  const rules: string[] = [];
+  Array.from(document.styleSheets).forEach((sheet) => {
+    let sheetRules: CSSRuleList;
+    try {
+      sheetRules = sheet.cssRules;
+    } catch (e) {
+      // the rules of cross-origin style sheets can't be read
+      return;
+    }
+    Array.from(sheetRules).forEach((rule) => {
+      const selector = (rule as CSSStyleRule).selectorText;
+      if (selector === undefined) {
+        if (rule.type === CSSRule.FONT_FACE_RULE) rules.push(rule.cssText);
+        return;
+      }
+      const selectorClasses = selector.match(/\.[\w-]+/g) ?? [];
+      if (selectorClasses.some((className) => classNames.has(className.substring(1)))) {
+        rules.push(rule.cssText);
+      }
+    });
+  });
+  return rules.join('\n');
+};
+
+/**
+ * Renders an element of the page to a standalone SVG document, the element is embedded as XHTML with the styles it
+ * uses so the image looks like the canvas without the page around it.
+ */
+export const renderFlowImage = (element: HTMLElement): FlowImage => {
+  const width = Math.ceil(element.scrollWidth);
+  const height = Math.ceil(element.scrollHeight);
+  const { fontFamily, fontSize, color } = window.getComputedStyle(element);
+  const content = new XMLSerializer().serializeToString(element);
+
+  const svg = [
+    `<svg xmlns="${SvgNamespace}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<foreignObject x="0" y="0" width="${width}" height="${height}">`,
+    `<div xmlns="${XhtmlNamespace}" style="${escapeXml(
+      `font-family: ${fontFamily}; font-size: ${fontSize}; color: ${color}; background: white;`
+    )}">`,
+    `<style>${escapeXml(collectStyles(element))}</style>`,
+    content,
+    '</div>',
+    '</foreignObject>',
+    '</svg>',
+  ].join('');
+
+  return { svg, width, height };
+};
+
+/**
+ * Rasterizes a flow image to PNG.
+ * @param scale Pixels per CSS pixel, 2 keeps the text sharp on high density screens.
+ */
+export const toPng = ({ svg, width, height }: FlowImage, scale = 2): Promise<Blob> =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        if (!context) {
+          reject(new Error('Canvas is not supported.'));
+          return;
+        }
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.scale(scale, scale);
+        // throws when the canvas is too large or tainted, e.g. by an image the SVG links to
+        context.drawImage(image, 0, 0, width, height);
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to render the PNG image.'))));
+      } catch (err) {
+        reject(err);
+      }
+    };
+    image.onerror = () => reject(new Error('Failed to load the SVG image.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+
+export const downloadFile = (fileName: string, content: Blob) => {
+  const url = window.URL.createObjectURL(content);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/** A file name made of the words of a dialog or trigger name, such as 'main-unknown-intent'. */
+export const toFileName = (...names: string[]): string =>
+  names
+    .map((name) =>
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+    )
+    .filter(Boolean)
+    .join('-') || 'flow';
@@ -0,0 +1,60 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+export type FlowRect = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+/**
+ * The rectangle of an element in the coordinates of the flow content before it is scaled by the zoom rate.
+ */
+export const getFlowRect = (element: Element, content: HTMLElement, rate: number): FlowRect => {
+  const contentBox = content.getBoundingClientRect();
+  const box = element.getBoundingClientRect();
+  return {
+    x: (box.left - contentBox.left) / rate,
+    y: (box.top - contentBox.top) / rate,
+    width: box.width / rate,
+    height: box.height / rate,
+  };
+};
+
+export const unionRects = (rects: FlowRect[]): FlowRect | undefined => {
+  if (!rects.length) return undefined;
+
+  const left = Math.min(...rects.map(({ x }) => x));
+  const top = Math.min(...rects.map(({ y }) => y));
+  const right = Math.max(...rects.map(({ x, width }) => x + width));
+  const bottom = Math.max(...rects.map(({ y, height }) => y + height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * The largest zoom rate of the list at which the rectangle and a margin around it fit in the viewport.
+ */
+export const getFitRate = (
+  rect: FlowRect,
+  viewport: { width: number; height: number },
+  zoom: { rateList: number[]; minRate: number; maxRate: number },
+  margin = 40
+): number => {
+  const { rateList, minRate, maxRate } = zoom;
+  const fitRate = Math.min(viewport.width / (rect.width + margin * 2), viewport.height / (rect.height + margin * 2));
+  const rates = rateList.filter((rate) => rate >= minRate && rate <= maxRate && rate <= fitRate);
+  return rates.length ? Math.max(...rates) : minRate;
+};
+
+/**
+ * The scroll position which centers the rectangle in the viewport at the given zoom rate.
+ */
+export const getCenteredScroll = (
+  rect: FlowRect,
+  viewport: { width: number; height: number },
+  rate: number
+): { left: number; top: number } => ({
+  left: Math.max(0, (rect.x + rect.width / 2) * rate - viewport.width / 2),
+  top: Math.max(0, (rect.y + rect.height / 2) * rate - viewport.height / 2),
+});
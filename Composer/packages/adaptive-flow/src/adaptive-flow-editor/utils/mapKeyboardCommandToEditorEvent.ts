@@ -20,6 +20,8 @@ export const mapKeyboardCommandToEditorEvent = ({
         case KeyboardCommandTypes.Node.Paste: {
           return { type: NodeEventTypes.PasteSelection };
         }
+        case KeyboardCommandTypes.Node.ToggleBreakpoint:
+          return { type: NodeEventTypes.ToggleBreakpoint };
       }
       break;
     case KeyboardPrimaryTypes.Cursor: {
@@ -6,12 +6,14 @@ import { jsx } from '@emotion/core';
 import { FC, Fragment } from 'react';
 import get from 'lodash/get';
 import { FlowEditorWidgetMap, FlowUISchema, SchemaDefinitions } from '@bfc/extension-client';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { EditorEventHandler } from '../constants/NodeEventTypes';
 import { RendererContext, DefaultRenderers, RendererContextData } from '../contexts/RendererContext';
 import builtinSchema from '../configs/builtinSchema';
 import builtinWidgets from '../configs/builtinWidgets';
 import { SchemaContext } from '../contexts/SchemaContext';
+import { LayoutContext } from '../contexts/LayoutContext';
 import { WidgetSchemaProvider } from '../utils/visual/WidgetSchemaProvider';
 
 import { AdaptiveTrigger } from './AdaptiveTrigger';
@@ -39,6 +41,9 @@ export interface AdaptiveDialogProps {
   sdkschema?: SchemaDefinitions;
 
   renderers?: Partial<RendererContextData>;
+
+  /** Actions follow each other top-down (default) or left-to-right. */
+  layoutDirection?: FlowLayoutDirection;
 }
 
 export const AdaptiveDialog: FC<AdaptiveDialogProps> = ({
@@ -50,6 +55,7 @@ export const AdaptiveDialog: FC<AdaptiveDialogProps> = ({
   uischema = builtinSchema,
   widgets = builtinWidgets,
   renderers = {},
+  layoutDirection = 'vertical',
 }): JSX.Element => {
   const activeTriggerData = get(dialogData, activeTrigger, null);
   if (!activeTriggerData) {
@@ -70,12 +76,14 @@ export const AdaptiveDialog: FC<AdaptiveDialogProps> = ({
           ...renderers,
         }}
       >
-        <AdaptiveTrigger
-          key={`${dialogId}/${activeTrigger}`}
-          triggerData={activeTriggerData}
-          triggerId={activeTrigger}
-          onEvent={onEvent}
-        />
+        <LayoutContext.Provider value={{ direction: layoutDirection }}>
+          <AdaptiveTrigger
+            key={`${dialogId}/${activeTrigger}`}
+            triggerData={activeTriggerData}
+            triggerId={activeTrigger}
+            onEvent={onEvent}
+          />
+        </LayoutContext.Provider>
       </RendererContext.Provider>
     </SchemaContext.Provider>
   );
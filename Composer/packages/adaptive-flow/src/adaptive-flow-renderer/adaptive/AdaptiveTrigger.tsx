@@ -10,7 +10,7 @@ import { OffsetContainer } from '../components/OffsetContainer';
 import { ElementInterval, TriggerSize, TerminatorSize } from '../constants/ElementSizes';
 import { measureJsonBoundary } from '../layouters/measureJsonBoundary';
 import { Boundary } from '../models/Boundary';
-import { EdgeDirection } from '../models/EdgeData';
+import { EdgeDirection, EdgeOptions } from '../models/EdgeData';
 import { SVGContainer } from '../components/SVGContainer';
 import { drawSVGEdge } from '../utils/visual/EdgeUtil';
 import { ObiColors } from '../constants/ElementColors';
@@ -21,8 +21,10 @@ import { transformObiRules } from '../transformers/transformObiRules';
 import { GraphNode } from '../models/GraphNode';
 import { TriggerSummary } from '../widgets/TriggerSummary';
 import { outlineObiJson } from '../utils/adaptive/outlineObiJson';
+import { LayoutContext } from '../contexts/LayoutContext';
+import { transposeBoundary } from '../layouters/transposeLayout';
 
-const HeadSize = new Boundary(TriggerSize.width, TriggerSize.height + ElementInterval.y / 2);
+const TriggerBoundary = new Boundary(TriggerSize.width, TriggerSize.height);
 const TailSize = new Boundary(TerminatorSize.width, TerminatorSize.height + ElementInterval.y / 2 + 5);
 
 const calculateNodeMap = (triggerId, triggerData): { [id: string]: GraphNode } => {
@@ -58,6 +60,7 @@ export const AdaptiveTrigger: React.FC<AdaptiveTriggerProps> = ({ triggerId, tri
   const { id, data } = stepGroup;
 
   const { EdgeMenu } = useContext(RendererContext);
+  const { direction } = useContext(LayoutContext);
   const [stepGroupBoundary, setStepGroupBoundary] = useState<Boundary>(measureJsonBoundary(data));
 
   const trigger = <TriggerSummary data={triggerData} />;
@@ -77,18 +80,39 @@ export const AdaptiveTrigger: React.FC<AdaptiveTriggerProps> = ({ triggerId, tri
       }}
     />
   );
-  const contentBoundary = hasNoSteps ? new Boundary(TerminatorSize.width, TerminatorSize.height) : stepGroupBoundary;
 
-  const editorAxisX = Math.max(0, HeadSize.axisX, TailSize.axisX, contentBoundary.axisX);
+  // The editor is measured top-down, then transposed to the screen when the flow goes left-to-right.
+  const horizontal = direction === 'horizontal';
+  const toLayout = (boundary: Boundary) => (horizontal ? transposeBoundary(boundary) : boundary);
+  const toScreen = ({ x, y }: { x: number; y: number }) => (horizontal ? { x: y, y: x } : { x, y });
+
+  const triggerBoundary = toLayout(TriggerBoundary);
+  const headSize = new Boundary(triggerBoundary.width, triggerBoundary.height + ElementInterval.y / 2);
+  const contentBoundary = toLayout(
+    hasNoSteps ? new Boundary(TerminatorSize.width, TerminatorSize.height) : stepGroupBoundary
+  );
+
+  const editorAxisX = Math.max(0, headSize.axisX, TailSize.axisX, contentBoundary.axisX);
   const editorWidth =
     editorAxisX +
     Math.max(
       0,
-      HeadSize.width - HeadSize.axisX,
+      headSize.width - headSize.axisX,
       TailSize.width - TailSize.axisX,
       contentBoundary.width - contentBoundary.axisX
     );
-  const editorHeight = HeadSize.height + TailSize.height + contentBoundary.height;
+  const editorHeight = headSize.height + TailSize.height + contentBoundary.height;
+  const editorSize = toScreen({ x: editorWidth, y: editorHeight });
+  const headScreenSize = toLayout(headSize);
+  const terminatorCenter = toScreen({
+    x: editorAxisX,
+    y: contentBoundary.height + headSize.height + ElementInterval.y / 2 + TerminatorSize.height / 2,
+  });
+
+  const drawEdge = (id: string, x: number, y: number, length: number, options?: EdgeOptions) => {
+    const start = toScreen({ x, y });
+    return drawSVGEdge(id, start.x, start.y, horizontal ? EdgeDirection.Right : EdgeDirection.Down, length, options);
+  };
 
   return (
     <div
@@ -115,33 +139,31 @@ export const AdaptiveTrigger: React.FC<AdaptiveTriggerProps> = ({ triggerId, tri
          * Limit the max width to parent width to avoid left overfow.
          */
         className="step-editor"
-        css={{ position: 'relative', width: editorWidth, height: editorHeight, maxWidth: '100%' }}
+        css={{ position: 'relative', width: editorSize.x, height: editorSize.y, maxWidth: '100%' }}
       >
-        <SVGContainer height={editorHeight} width={editorWidth}>
-          {drawSVGEdge('editor-edge__head', editorAxisX, TriggerSize.height, EdgeDirection.Down, ElementInterval.y / 2)}
-          {drawSVGEdge(
-            'editor-edge__tail',
-            editorAxisX,
-            contentBoundary.height + HeadSize.height,
-            EdgeDirection.Down,
-            ElementInterval.y / 2,
-            { directed: true }
-          )}
+        <SVGContainer height={editorSize.y} width={editorSize.x}>
+          {drawEdge('editor-edge__head', editorAxisX, triggerBoundary.height, ElementInterval.y / 2)}
+          {drawEdge('editor-edge__tail', editorAxisX, contentBoundary.height + headSize.height, ElementInterval.y / 2, {
+            directed: true,
+          })}
           <circle
-            cx={editorAxisX}
-            cy={contentBoundary.height + HeadSize.height + ElementInterval.y / 2 + TerminatorSize.height / 2}
+            cx={terminatorCenter.x}
+            cy={terminatorCenter.y}
             fill="none"
             r={TerminatorSize.height / 2 - 1}
             stroke={ObiColors.LightGray}
             strokeWidth="2"
           />
         </SVGContainer>
-        <OffsetContainer offset={{ x: editorAxisX - HeadSize.axisX, y: 0 }}>
-          <div className="step-editor__head" css={{ ...HeadSize, position: 'relative' }}>
+        <OffsetContainer offset={toScreen({ x: editorAxisX - headSize.axisX, y: 0 })}>
+          <div
+            className="step-editor__head"
+            css={{ width: headScreenSize.width, height: headScreenSize.height, position: 'relative' }}
+          >
             <OffsetContainer offset={{ x: 0, y: 0 }}>{trigger}</OffsetContainer>
           </div>
         </OffsetContainer>
-        <OffsetContainer offset={{ x: editorAxisX - contentBoundary.axisX, y: HeadSize.height }}>
+        <OffsetContainer offset={toScreen({ x: editorAxisX - contentBoundary.axisX, y: headSize.height })}>
           {content}
         </OffsetContainer>
       </div>
@@ -65,3 +65,13 @@ export const EdgeAddButtonSize = {
   width: 16,
   height: 16,
 };
+
+export const CollapsedBranchSize = {
+  width: 120,
+  height: 32,
+};
+
+export const BranchToggleSize = {
+  width: 16,
+  height: 16,
+};
@@ -17,8 +17,11 @@ export enum NodeEventTypes {
   DeleteSelection = 'event.data.delete-selection',
   DisableSelection = 'event.data.disable-selection',
   EnableSelection = 'event.data.enable-selection',
+  SaveSelectionAsSnippet = 'event.data.save-selection-as-snippet',
   AppendSelection = 'event.data.paste-selection--keyboard',
   InsertSelection = 'event.data.paste-selection--menu',
+  ToggleBranch = 'event.data.toggle-branch',
+  ToggleBreakpoint = 'event.debug.toggle-breakpoint',
   Undo = 'event.operation.undo',
   Redo = 'event.operation.redo',
 }
@@ -0,0 +1,14 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React from 'react';
+import { FlowLayoutDirection } from '@bfc/shared';
+
+export interface LayoutContextValue {
+  /** Actions follow each other top-down or left-to-right. */
+  direction: FlowLayoutDirection;
+}
+
+export const LayoutContext = React.createContext<LayoutContextValue>({
+  direction: 'vertical',
+});
@@ -1,11 +1,13 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useContext } from 'react';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { Boundary, areBoundariesEqual } from '../models/Boundary';
 import { GraphLayout } from '../models/GraphLayout';
 import { GraphNode } from '../models/GraphNode';
+import { LayoutContext } from '../contexts/LayoutContext';
 
 // 'T extends string' means an Enum. Reference: https://github.com/microsoft/TypeScript/issues/30611#issuecomment-565384924
 type MapWithEnumKey<KeyType extends string, ValueType> = { [key in KeyType]: ValueType };
@@ -16,12 +18,13 @@ export type GraphNodeMap<T extends string> = MapWithEnumKey<T, GraphNode>;
 
 export function useSmartLayout<T extends string>(
   nodeMap: GraphNodeMap<T>,
-  layouter: (nodeMap: GraphNodeMap<T>) => GraphLayout,
+  layouter: (nodeMap: GraphNodeMap<T>, direction: FlowLayoutDirection) => GraphLayout,
   onResize: (boundary: Boundary) => void
 ): {
   layout: GraphLayout;
   updateNodeBoundary: (nodeName: T, boundary: Boundary) => void;
 } {
+  const { direction } = useContext(LayoutContext);
   const [boundaryMap, setBoundaryMap] = useState<BoundaryMap<T>>({} as BoundaryMap<T>);
   /**
    * The object `accumulatedPatches` is used to collect all accumulated
@@ -55,8 +58,8 @@ export function useSmartLayout<T extends string>(
         node.boundary = boundaryMap[nodeName] || node.boundary;
       }
     });
-    return layouter(nodeMap);
-  }, [nodeMap, boundaryMap]);
+    return layouter(nodeMap, direction);
+  }, [nodeMap, boundaryMap, direction]);
 
   useEffect(() => {
     onResize?.(layout.boundary);
@@ -1,16 +1,19 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
+import { FlowLayoutDirection } from '@bfc/shared';
+
 import { ElementInterval } from '../constants/ElementSizes';
 import { GraphNode } from '../models/GraphNode';
 import { GraphLayout } from '../models/GraphLayout';
 import { Edge, EdgeDirection } from '../models/EdgeData';
 
 import { calculateForeachBoundary } from './calculateNodeBoundary';
+import { layoutInDirection } from './transposeLayout';
 
 const ForeachIntervalY = ElementInterval.y / 2;
 
-export const foreachLayouter = (
+const layoutForeachTopDown = (
   foreachNode: GraphNode | null,
   stepsNode: GraphNode | null,
   loopBeginNode: GraphNode,
@@ -92,3 +95,14 @@ export const foreachLayouter = (
     nodes: [],
   };
 };
+
+export const foreachLayouter = (
+  foreachNode: GraphNode | null,
+  stepsNode: GraphNode | null,
+  loopBeginNode: GraphNode,
+  loopEndNode: GraphNode,
+  direction: FlowLayoutDirection = 'vertical'
+): GraphLayout =>
+  layoutInDirection(direction, [foreachNode, stepsNode, loopBeginNode, loopEndNode], () =>
+    layoutForeachTopDown(foreachNode, stepsNode, loopBeginNode, loopEndNode)
+  );
@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 import formatMessage from 'format-message';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { BranchIntervalX, BranchIntervalY } from '../constants/ElementSizes';
 import { GraphNode } from '../models/GraphNode';
@@ -9,8 +10,9 @@ import { GraphLayout } from '../models/GraphLayout';
 import { Edge, EdgeDirection } from '../models/EdgeData';
 
 import { calculateIfElseBoundary } from './calculateNodeBoundary';
+import { layoutInDirection } from './transposeLayout';
 
-export function ifElseLayouter(
+function layoutIfElseTopDown(
   conditionNode: GraphNode | null,
   choiceNode: GraphNode | null,
   ifNode: GraphNode,
@@ -210,3 +212,15 @@ export function ifElseLayouter(
     nodes: [],
   };
 }
+
+export function ifElseLayouter(
+  conditionNode: GraphNode | null,
+  choiceNode: GraphNode | null,
+  ifNode: GraphNode,
+  elseNode: GraphNode,
+  direction: FlowLayoutDirection = 'vertical'
+): GraphLayout {
+  return layoutInDirection(direction, [conditionNode, choiceNode, ifNode, elseNode], () =>
+    layoutIfElseTopDown(conditionNode, choiceNode, ifNode, elseNode)
+  );
+}
@@ -1,17 +1,20 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
+import { FlowLayoutDirection } from '@bfc/shared';
+
 import { GraphNode } from '../models/GraphNode';
 import { ElementInterval } from '../constants/ElementSizes';
 import { GraphLayout } from '../models/GraphLayout';
 import { Edge, EdgeDirection } from '../models/EdgeData';
 
 import { calculateSequenceBoundary } from './calculateNodeBoundary';
+import { layoutInDirection } from './transposeLayout';
 
 const StepInterval = ElementInterval.y;
 const ExtraEdgeLength = ElementInterval.y / 2;
 
-export function sequentialLayouter(nodes: GraphNode[], withHeadEdge = true, withTrailingEdge = true): GraphLayout {
+function layoutSequenceTopDown(nodes: GraphNode[], withHeadEdge: boolean, withTrailingEdge: boolean): GraphLayout {
   if (!Array.isArray(nodes) || nodes.length === 0) {
     return new GraphLayout();
   }
@@ -71,3 +74,14 @@ export function sequentialLayouter(nodes: GraphNode[], withHeadEdge = true, with
 
   return { boundary: box, nodes, edges, nodeMap: {} };
 }
+
+export function sequentialLayouter(
+  nodes: GraphNode[],
+  withHeadEdge = true,
+  withTrailingEdge = true,
+  direction: FlowLayoutDirection = 'vertical'
+): GraphLayout {
+  return layoutInDirection(direction, Array.isArray(nodes) ? nodes : [], () =>
+    layoutSequenceTopDown(nodes, withHeadEdge, withTrailingEdge)
+  );
+}
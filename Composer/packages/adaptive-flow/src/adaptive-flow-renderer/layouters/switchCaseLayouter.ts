@@ -1,6 +1,8 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
+import { FlowLayoutDirection } from '@bfc/shared';
+
 import { BranchIntervalY } from '../constants/ElementSizes';
 import { GraphNode } from '../models/GraphNode';
 import { GraphLayout } from '../models/GraphLayout';
@@ -8,6 +10,7 @@ import { Edge, EdgeDirection } from '../models/EdgeData';
 
 import { calculateSwitchCaseBoundary } from './calculateNodeBoundary';
 import { calculateBranchNodesIntervalX } from './sharedLayouterUtils';
+import { layoutInDirection } from './transposeLayout';
 
 /**
  *        [switch]
@@ -15,10 +18,10 @@ import { calculateBranchNodesIntervalX } from './sharedLayouterUtils';
  *           ------------
  *           |   |  |   |
  */
-export function switchCaseLayouter(
+function layoutSwitchCaseTopDown(
   conditionNode: GraphNode | null,
   choiceNode: GraphNode,
-  branchNodes: GraphNode[] = []
+  branchNodes: GraphNode[]
 ): GraphLayout {
   if (!conditionNode) {
     return new GraphLayout();
@@ -114,3 +117,14 @@ export function switchCaseLayouter(
     nodes: [],
   };
 }
+
+export function switchCaseLayouter(
+  conditionNode: GraphNode | null,
+  choiceNode: GraphNode,
+  branchNodes: GraphNode[] = [],
+  direction: FlowLayoutDirection = 'vertical'
+): GraphLayout {
+  return layoutInDirection(direction, [conditionNode, choiceNode, ...branchNodes], () =>
+    layoutSwitchCaseTopDown(conditionNode, choiceNode, branchNodes)
+  );
+}
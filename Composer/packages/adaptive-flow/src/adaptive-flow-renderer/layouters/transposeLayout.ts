@@ -0,0 +1,71 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { FlowLayoutDirection } from '@bfc/shared';
+
+import { Boundary } from '../models/Boundary';
+import { GraphNode } from '../models/GraphNode';
+import { GraphLayout } from '../models/GraphLayout';
+import { Edge, EdgeDirection } from '../models/EdgeData';
+
+const TransposedDirections = {
+  [EdgeDirection.Up]: EdgeDirection.Left,
+  [EdgeDirection.Down]: EdgeDirection.Right,
+  [EdgeDirection.Left]: EdgeDirection.Up,
+  [EdgeDirection.Right]: EdgeDirection.Down,
+};
+
+/**
+ * Mirrors a boundary along its diagonal, the width becomes the height and axis X becomes axis Y.
+ */
+export const transposeBoundary = (boundary: Boundary): Boundary => {
+  const transposed = new Boundary(boundary.height, boundary.width);
+  transposed.axisX = boundary.axisY;
+  transposed.axisY = boundary.axisX;
+  return transposed;
+};
+
+const transposeEdge = (edge: Edge): Edge => {
+  const transposed: Edge = { ...edge, x: edge.y, y: edge.x, direction: TransposedDirections[edge.direction] };
+  const labelOptions = edge.options?.labelOptions;
+  if (labelOptions) {
+    const { offset } = labelOptions;
+    transposed.options = { ...edge.options, labelOptions: { ...labelOptions, offset: { x: offset.y, y: offset.x } } };
+  }
+  return transposed;
+};
+
+/**
+ * Runs a top-down layouter for the given direction.
+ *
+ * A left-to-right layout is the top-down layout of the transposed nodes, transposed back: layouters only know about
+ * the main axis (y) and the cross axis (x) so they don't need to be written twice.
+ * @param direction The direction of the flow.
+ * @param nodes The nodes positioned by the layouter, their boundaries are measured in the screen space.
+ * @param layouter Positions the nodes top-down.
+ */
+export function layoutInDirection(
+  direction: FlowLayoutDirection,
+  nodes: (GraphNode | null | undefined)[],
+  layouter: () => GraphLayout
+): GraphLayout {
+  if (direction !== 'horizontal') return layouter();
+
+  const uniqueNodes = Array.from(new Set(nodes.filter((x): x is GraphNode => !!x)));
+  uniqueNodes.forEach((node) => {
+    node.boundary = transposeBoundary(node.boundary);
+  });
+
+  const layout = layouter();
+
+  uniqueNodes.forEach((node) => {
+    node.boundary = transposeBoundary(node.boundary);
+    node.offset = { x: node.offset.y, y: node.offset.x };
+  });
+
+  return {
+    ...layout,
+    boundary: transposeBoundary(layout.boundary),
+    edges: layout.edges.map(transposeEdge),
+  };
+}
@@ -4,6 +4,7 @@
 /** @jsx jsx */
 import { jsx } from '@emotion/core';
 import { useMemo, FunctionComponent, useContext } from 'react';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { GraphNode } from '../models/GraphNode';
 import { sequentialLayouter } from '../layouters/sequentialLayouter';
@@ -17,6 +18,7 @@ import { GraphNodeMap, useSmartLayout } from '../hooks/useSmartLayout';
 import { designerCache } from '../utils/visual/DesignerCache';
 import { FlowEdges } from '../components/FlowEdges';
 import { RendererContext } from '../contexts/RendererContext';
+import { LayoutContext } from '../contexts/LayoutContext';
 
 import { StepRenderer } from './AdaptiveAction';
 
@@ -36,20 +38,31 @@ const calculateNodes = (groupId: string, data): GraphNodeMap<StepNodeKey> => {
   }, {} as GraphNodeMap<StepNodeKey>);
 };
 
-const calculateLayout = (nodeMap: GraphNodeMap<StepNodeKey>): GraphLayout => {
+const calculateLayout = (nodeMap: GraphNodeMap<StepNodeKey>, direction: FlowLayoutDirection): GraphLayout => {
   const nodes = Object.keys(nodeMap)
     .sort((a, b) => parseStepIndex(a) - parseStepIndex(b))
     .map((stepName) => nodeMap[stepName]);
-  return sequentialLayouter(nodes);
+  return sequentialLayouter(nodes, true, true, direction);
 };
 
 export const ActionGroup: FunctionComponent<NodeProps> = ({ id, data, onEvent, onResize }: NodeProps): JSX.Element => {
   const { EdgeMenu } = useContext(RendererContext);
+  const { direction } = useContext(LayoutContext);
   const initialNodes = useMemo(() => calculateNodes(id, data), [id, data]);
   const { layout, updateNodeBoundary } = useSmartLayout(initialNodes, calculateLayout, onResize);
 
   const { boundary, nodes, edges } = layout;
 
+  // the '+' buttons sit on the axis of the group, before the first step and after every step
+  const getEdgeMenuOffset = (node?: GraphNode) => {
+    if (direction === 'horizontal') {
+      const x = node ? node.offset.x + node.boundary.width + StepInterval / 2 : 0;
+      return { x: x - EdgeAddButtonSize.width / 2, y: boundary.axisY - EdgeAddButtonSize.height / 2 };
+    }
+    const y = node ? node.offset.y + node.boundary.height + StepInterval / 2 : 0;
+    return { x: boundary.axisX - EdgeAddButtonSize.width / 2, y: y - EdgeAddButtonSize.height / 2 };
+  };
+
   return (
     <div css={{ width: boundary.width, height: boundary.height, position: 'relative' }}>
       <SVGContainer hidden height={boundary.height} width={boundary.width}>
@@ -71,10 +84,7 @@ export const ActionGroup: FunctionComponent<NodeProps> = ({ id, data, onEvent, o
             </OffsetContainer>
           ))
         : null}
-      <OffsetContainer
-        css={{ zIndex: 100 }}
-        offset={{ x: boundary.axisX - EdgeAddButtonSize.width / 2, y: 0 - EdgeAddButtonSize.height / 2 }}
-      >
+      <OffsetContainer css={{ zIndex: 100 }} offset={getEdgeMenuOffset()}>
         <EdgeMenu arrayData={data} arrayId={id} arrayPosition={0} onEvent={onEvent} />
       </OffsetContainer>
       {nodes
@@ -82,10 +92,7 @@ export const ActionGroup: FunctionComponent<NodeProps> = ({ id, data, onEvent, o
             <OffsetContainer
               key={`stepGroup/${x.id}/footer/offset`}
               css={{ zIndex: 100 }}
-              offset={{
-                x: boundary.axisX - EdgeAddButtonSize.width / 2,
-                y: x.offset.y + x.boundary.height + StepInterval / 2 - EdgeAddButtonSize.height / 2,
-              }}
+              offset={getEdgeMenuOffset(x)}
             >
               <EdgeMenu arrayData={data} arrayId={id} arrayPosition={idx + 1} onEvent={onEvent} />
             </OffsetContainer>
@@ -0,0 +1,148 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React, { FunctionComponent, useContext, useEffect, useState } from 'react';
+import formatMessage from 'format-message';
+import { Icon } from 'office-ui-fabric-react/lib/Icon';
+
+import { NodeEventTypes } from '../constants/NodeEventTypes';
+import { ObiColors } from '../constants/ElementColors';
+import { BranchToggleSize, CollapsedBranchSize, EdgeAddButtonSize } from '../constants/ElementSizes';
+import { OffsetContainer } from '../components/OffsetContainer';
+import { LayoutContext } from '../contexts/LayoutContext';
+import { Boundary } from '../models/Boundary';
+import { NodeProps, defaultNodeProps } from '../types/nodeProps';
+
+import { ActionGroup } from './ActionGroup';
+
+const ToggleMargin = 4;
+
+const collapsedStyle = css`
+  width: ${CollapsedBranchSize.width}px;
+  height: ${CollapsedBranchSize.height}px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  box-sizing: border-box;
+  border: 1px dashed ${ObiColors.AzureGray2};
+  border-radius: 2px;
+  background: ${ObiColors.White};
+  color: ${ObiColors.AzureGray2};
+  font-size: 12px;
+  cursor: pointer;
+`;
+
+const toggleStyle = css`
+  width: ${BranchToggleSize.width}px;
+  height: ${BranchToggleSize.height}px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 0;
+  border: none;
+  border-radius: 2px;
+  background: transparent;
+  color: ${ObiColors.AzureGray2};
+  font-size: 10px;
+  cursor: pointer;
+  &:hover {
+    background: ${ObiColors.AzureGray3};
+  }
+`;
+
+/** The branch of an action is the path of its actions relative to the action, e.g. 'elseActions' or 'cases[1].actions'. */
+export const getBranchKey = (actionId: string, branchId: string): string => branchId.substring(actionId.length + 1);
+
+export interface BranchGroupProps extends NodeProps {
+  /** The action the branch belongs to, its '$designer' lists the collapsed branches. */
+  actionId: string;
+  actionData: any;
+}
+
+/**
+ * The actions of a branch of an IfCondition, SwitchCondition or Foreach, which can be collapsed to a placeholder.
+ */
+export const BranchGroup: FunctionComponent<BranchGroupProps> = ({
+  id,
+  data,
+  onEvent,
+  onResize,
+  actionId,
+  actionData,
+}): JSX.Element => {
+  const { direction } = useContext(LayoutContext);
+  const [boundary, setBoundary] = useState(new Boundary());
+
+  const branch = getBranchKey(actionId, id);
+  const actionCount = Array.isArray(data?.children) ? data.children.length : 0;
+  const collapsed = actionCount > 0 && !!actionData?.$designer?.collapsedBranches?.includes(branch);
+
+  useEffect(() => {
+    if (collapsed) {
+      onResize(new Boundary(CollapsedBranchSize.width, CollapsedBranchSize.height));
+    }
+  }, [collapsed]);
+
+  const toggle = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    onEvent(NodeEventTypes.ToggleBranch, { id: actionId, branch });
+  };
+
+  if (collapsed) {
+    return (
+      <button
+        aria-expanded={false}
+        aria-label={formatMessage('Expand branch')}
+        css={collapsedStyle}
+        data-testid="CollapsedBranch"
+        onClick={toggle}
+      >
+        <Icon css={{ marginRight: 4 }} iconName="ChevronRight" />
+        {formatMessage('{count, plural, =1 {1 action} other {# actions}}', { count: actionCount })}
+      </button>
+    );
+  }
+
+  // next to the first '+' of the branch, on the side without the edge label
+  const toggleOffset =
+    direction === 'horizontal'
+      ? {
+          x: -BranchToggleSize.width / 2,
+          y: boundary.axisY + EdgeAddButtonSize.height / 2 + ToggleMargin,
+        }
+      : {
+          x: boundary.axisX - EdgeAddButtonSize.width / 2 - ToggleMargin - BranchToggleSize.width,
+          y: -BranchToggleSize.height / 2,
+        };
+
+  return (
+    <div css={{ position: 'relative' }}>
+      <ActionGroup
+        data={data}
+        id={id}
+        onEvent={onEvent}
+        onResize={(size) => {
+          setBoundary(size);
+          onResize(size);
+        }}
+      />
+      {actionCount > 0 && (
+        <OffsetContainer css={{ zIndex: 100 }} offset={toggleOffset}>
+          <button
+            aria-expanded
+            aria-label={formatMessage('Collapse branch')}
+            css={toggleStyle}
+            data-testid="BranchToggle"
+            onClick={toggle}
+          >
+            <Icon iconName="ChevronDown" />
+          </button>
+        </OffsetContainer>
+      )}
+    </div>
+  );
+};
+
+BranchGroup.defaultProps = defaultNodeProps;
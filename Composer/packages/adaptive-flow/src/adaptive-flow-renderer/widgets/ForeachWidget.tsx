@@ -5,6 +5,7 @@
 import { jsx } from '@emotion/core';
 import { useMemo, FunctionComponent, useContext } from 'react';
 import { WidgetContainerProps } from '@bfc/extension-client';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { transformForeach } from '../transformers/transformForeach';
 import { foreachLayouter } from '../layouters/foreachLayouter';
@@ -19,7 +20,7 @@ import { designerCache } from '../utils/visual/DesignerCache';
 import { FlowEdges } from '../components/FlowEdges';
 import { RendererContext } from '../contexts/RendererContext';
 
-import { ActionGroup } from './ActionGroup';
+import { BranchGroup } from './BranchGroup';
 
 enum ForeachNodes {
   Foreach = 'foreachNode',
@@ -47,9 +48,9 @@ const calculateNodeMap = (jsonpath, data): GraphNodeMap<ForeachNodes> => {
   };
 };
 
-const calculateForeachLayout = (nodeMap: GraphNodeMap<ForeachNodes>) => {
+const calculateForeachLayout = (nodeMap: GraphNodeMap<ForeachNodes>, direction: FlowLayoutDirection) => {
   const { foreachNode, loopActionsNode, loopBeginNode, loopEndNode } = nodeMap;
-  return foreachLayouter(foreachNode, loopActionsNode, loopBeginNode, loopEndNode);
+  return foreachLayouter(foreachNode, loopActionsNode, loopBeginNode, loopEndNode, direction);
 };
 
 export interface ForeachWidgetProps extends WidgetContainerProps {
@@ -85,8 +86,10 @@ export const ForeachWidget: FunctionComponent<ForeachWidgetProps> = ({ id, data,
         </NodeWrapper>
       </OffsetContainer>
       <OffsetContainer offset={loopActionsNode.offset}>
-        <ActionGroup
+        <BranchGroup
           key={loopActionsNode.id}
+          actionData={data}
+          actionId={id}
           data={loopActionsNode.data}
           id={loopActionsNode.id}
           onEvent={onEvent}
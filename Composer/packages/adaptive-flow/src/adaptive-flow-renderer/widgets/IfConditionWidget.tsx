@@ -5,6 +5,7 @@
 import { jsx } from '@emotion/core';
 import { FunctionComponent, useMemo, useContext } from 'react';
 import { WidgetContainerProps } from '@bfc/extension-client';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { transformIfCondtion } from '../transformers/transformIfCondition';
 import { ifElseLayouter } from '../layouters/ifelseLayouter';
@@ -19,7 +20,7 @@ import { designerCache } from '../utils/visual/DesignerCache';
 import { FlowEdges } from '../components/FlowEdges';
 import { RendererContext } from '../contexts/RendererContext';
 
-import { ActionGroup } from './ActionGroup';
+import { BranchGroup } from './BranchGroup';
 
 enum IfElseNodes {
   Condition = 'conditionNode',
@@ -47,9 +48,9 @@ const calculateNodeMap = (path: string, data): GraphNodeMap<IfElseNodes> => {
   };
 };
 
-const calculateIfElseLayout = (nodeMap: GraphNodeMap<IfElseNodes>) => {
+const calculateIfElseLayout = (nodeMap: GraphNodeMap<IfElseNodes>, direction: FlowLayoutDirection) => {
   const { conditionNode, choiceNode, ifBranchNode, elseBranchNode } = nodeMap;
-  return ifElseLayouter(conditionNode, choiceNode, ifBranchNode, elseBranchNode);
+  return ifElseLayouter(conditionNode, choiceNode, ifBranchNode, elseBranchNode, direction);
 };
 
 export interface IfConditionWidgetProps extends WidgetContainerProps {
@@ -98,8 +99,10 @@ export const IfConditionWidget: FunctionComponent<IfConditionWidgetProps> = ({
         const node = nodeMap[nodeName];
         return (
           <OffsetContainer key={`${node.id}/offset`} offset={node.offset}>
-            <ActionGroup
+            <BranchGroup
               key={node.id}
+              actionData={data}
+              actionId={id}
               data={node.data}
               id={node.id}
               onEvent={onEvent}
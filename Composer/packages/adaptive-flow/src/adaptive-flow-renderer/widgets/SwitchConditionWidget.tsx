@@ -5,6 +5,7 @@
 import { jsx } from '@emotion/core';
 import { FunctionComponent, useMemo, useContext } from 'react';
 import { WidgetContainerProps } from '@bfc/extension-client';
+import { FlowLayoutDirection } from '@bfc/shared';
 
 import { NodeEventTypes } from '../constants/NodeEventTypes';
 import { transformSwitchCondition } from '../transformers/transformSwitchCondition';
@@ -19,7 +20,7 @@ import { designerCache } from '../utils/visual/DesignerCache';
 import { FlowEdges } from '../components/FlowEdges';
 import { RendererContext } from '../contexts/RendererContext';
 
-import { ActionGroup } from './ActionGroup';
+import { BranchGroup } from './BranchGroup';
 
 enum SwitchNodes {
   Switch = 'switchNode',
@@ -54,12 +55,12 @@ const calculateNodeMap = (path: string, data): GraphNodeMap<SwitchNodes | CaseNo
   return nodeMap;
 };
 
-const calculateLayout = (nodeMap: GraphNodeMap<SwitchNodes | CaseNodeKey>) => {
+const calculateLayout = (nodeMap: GraphNodeMap<SwitchNodes | CaseNodeKey>, direction: FlowLayoutDirection) => {
   const { switchNode, choiceNode, ...cases } = nodeMap as GraphNodeMap<SwitchNodes>;
   const casesNodes = Object.keys(cases)
     .sort((a, b) => parseCaseIndex(a) - parseCaseIndex(b))
     .map((caseName) => nodeMap[caseName]);
-  return switchCaseLayouter(switchNode, choiceNode, casesNodes);
+  return switchCaseLayouter(switchNode, choiceNode, casesNodes, direction);
 };
 
 export interface SwitchConditionWidgetProps extends WidgetContainerProps {
@@ -108,8 +109,10 @@ export const SwitchConditionWidget: FunctionComponent<SwitchConditionWidgetProps
       </OffsetContainer>
       {(casesNodes as any).map((x, index) => (
         <OffsetContainer key={`${x.id}/offset`} offset={x.offset}>
-          <ActionGroup
+          <BranchGroup
             key={x.id}
+            actionData={data}
+            actionId={id}
             data={x.data}
             id={x.id}
             onEvent={onEvent}
@@ -105,6 +105,7 @@ export const IntellisenseExpressionField: React.FC<FieldProps<string>> = (props)
         textFieldValue,
         focused,
         cursorPosition,
+        diagnostics,
         onValueChanged,
         onKeyDownTextField,
         onKeyUpTextField,
@@ -114,6 +115,7 @@ export const IntellisenseExpressionField: React.FC<FieldProps<string>> = (props)
           <StringField
             {...props}
             cursorPosition={cursorPosition}
+            error={props.error || diagnostics.map(({ message }) => message).join(' ') || undefined}
             focused={focused}
             id={id}
             value={textFieldValue}
@@ -0,0 +1,86 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import * as React from 'react';
+import { fireEvent } from '@botframework-composer/test-utils';
+
+import { renderWithRecoilAndCustomDispatchers } from '../../../testUtils';
+import {
+  botProjectFileState,
+  botProjectIdsState,
+  buildDryRunState,
+  dispatcherState,
+  projectMetaDataState,
+  settingsState,
+} from '../../../../src/recoilModel';
+import { BuildTabContent } from '../../../../src/pages/design/DebugPanel/TabExtensions/BuildTab/BuildTabContent';
+
+const projectId = 'test';
+const settings = { luis: { name: 'bot' }, qna: { subscriptionKey: '' }, orchestrator: {} };
+
+const result = {
+  crossTrained: [{ name: 'interruption/main.en-us.lu', content: '# Greeting\n- hello' }],
+  recognizers: [{ name: 'luis.settings.composer.westus.json', content: '{"luis":{}}' }],
+  downSampling: [
+    {
+      id: 'main.en-us.lu',
+      maxImbalanceRatio: 2,
+      intents: { Greeting: 3, Help: 5 },
+      interruptionUtterances: 20,
+      sampledInterruptionUtterances: 6,
+    },
+  ],
+  luisApplications: { 'main.en-us.lu': 'bot(composer)-main.en-us.lu' },
+  qnaKnowledgeBases: {},
+  orchestrator: [],
+  recognizerBuilders: [{ kind: 'Contoso.Recognizer', name: 'Contoso', luFiles: ['faq.en-us.lu', 'faq.fr-fr.lu'] }],
+};
+
+describe('<BuildTabContent />', () => {
+  const dryRunBuild = jest.fn();
+
+  const initRecoilState = (dryRun) => ({ set }) => {
+    set(botProjectIdsState, [projectId]);
+    set(projectMetaDataState(projectId), { isRootBot: true, isRemote: false });
+    set(botProjectFileState(projectId), { content: { name: 'test' } });
+    set(settingsState(projectId), settings);
+    set(buildDryRunState(projectId), dryRun);
+    set(dispatcherState, { dryRunBuild });
+  };
+
+  it('runs a dry run of the build with the settings of the bot', () => {
+    const { getByTestId } = renderWithRecoilAndCustomDispatchers(
+      <BuildTabContent isActive />,
+      initRecoilState({ running: false })
+    );
+
+    fireEvent.click(getByTestId('build-dry-run'));
+
+    expect(dryRunBuild).toHaveBeenCalledWith(projectId, settings.luis, settings.qna, settings.orchestrator);
+  });
+
+  it('shows the content of a generated file', () => {
+    const { getByTestId, getByText } = renderWithRecoilAndCustomDispatchers(
+      <BuildTabContent isActive />,
+      initRecoilState({ running: false, result })
+    );
+
+    fireEvent.click(getByTestId('BuildArtifact-interruption/main.en-us.lu'));
+
+    expect(getByTestId('BuildArtifactContent').textContent).toBe('# Greeting\n- hello');
+    getByText('bot(composer)-main.en-us.lu');
+    expect(getByTestId('BuildDownSampling-main.en-us.lu').textContent).toContain('6 of 20 interruption utterances');
+    expect(getByTestId('BuildRecognizerBuilder-Contoso.Recognizer').textContent).toBe(
+      'Contosofaq.en-us.lu, faq.fr-fr.lu'
+    );
+  });
+
+  it('shows the error of the dry run', () => {
+    const { getByText } = renderWithRecoilAndCustomDispatchers(
+      <BuildTabContent isActive />,
+      initRecoilState({ running: false, error: 'Please complete your LUIS settings' })
+    );
+
+    getByText('Please complete your LUIS settings');
+  });
+});
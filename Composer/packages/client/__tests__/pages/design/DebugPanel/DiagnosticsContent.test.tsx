@@ -2,9 +2,10 @@
 // Licensed under the MIT License.
 
 import * as React from 'react';
-import { fireEvent } from '@botframework-composer/test-utils';
+import { fireEvent, waitFor } from '@botframework-composer/test-utils';
 import { DiagnosticSeverity } from '@botframework-composer/types';
 import { Range, Position } from '@bfc/shared';
+import { BotIndexer } from '@bfc/indexers';
 
 import { renderWithRecoil } from '../../../testUtils';
 import { DiagnosticList } from '../../../../src/pages/design/DebugPanel/TabExtensions/DiagnosticsTab/DiagnosticList';
@@ -21,7 +22,9 @@ import {
   settingsState,
   projectMetaDataState,
   dialogState,
+  dispatcherState,
 } from '../../../../src/recoilModel';
+import { undoFunctionState } from '../../../../src/recoilModel/undo/history';
 import mockProjectResponse from '../../../../src/recoilModel/dispatchers/__tests__/mocks/mockProjectResponse.json';
 import { DiagnosticsContent } from '../../../../src/pages/design/DebugPanel/TabExtensions/DiagnosticsTab/DiagnosticsTabContent';
 
@@ -30,6 +33,19 @@ jest.mock('../../../../src/utils/navigation', () => ({
   navigateTo: (...args) => mockNavigationTo(...args),
 }));
 
+const mockOpenConfirmModal = jest.fn();
+jest.mock('@bfc/ui-shared', () => ({
+  ...jest.requireActual('@bfc/ui-shared'),
+  OpenConfirmModal: (...args) => mockOpenConfirmModal(...args),
+}));
+
+const mockAnalyzeReachability = (dialogs, lgFiles, luFiles) =>
+  Promise.resolve(BotIndexer.checkReachability({ dialogs, lgFiles, luFiles }));
+
+jest.mock('../../../../src/recoilModel/parsers/luWorker', () => ({
+  analyzeReachability: (dialogs, lgFiles, luFiles) => mockAnalyzeReachability(dialogs, lgFiles, luFiles),
+}));
+
 const state = {
   projectId: 'test',
   dialogs: [
@@ -154,11 +170,48 @@ describe('<DiagnosticList/>', () => {
   });
 
   it('should render the Diagnostics', () => {
-    const { getByText } = renderWithRecoil(<DiagnosticsContent isActive />, initRecoilState);
+    const { getAllByText } = renderWithRecoil(<DiagnosticsContent isActive />, initRecoilState);
 
-    fireEvent.click(getByText(/test.en-us.lg/));
+    // errors are listed before the warnings about unused templates and intents of the same files
+    fireEvent.click(getAllByText(/test.en-us.lg/)[0]);
     expect(mockNavigationTo).toBeCalledWith('/bot/test/language-generation/test/edit#L=13');
-    fireEvent.click(getByText(/test.en-us.lu/));
+    fireEvent.click(getAllByText(/test.en-us.lu/)[0]);
     expect(mockNavigationTo).nthCalledWith(2, '/bot/test/language-understanding/test/edit#L=7');
   });
+
+  it('should offer quick fixes for unused resources', async () => {
+    const { findByText, getAllByTestId } = renderWithRecoil(<DiagnosticsContent isActive />, initRecoilState);
+
+    // the reachability check runs in the LU worker
+    expect(await findByText(/Template bar is never used/)).toBeInTheDocument();
+    expect(await findByText(/Intent test has no trigger/)).toBeInTheDocument();
+    expect(getAllByTestId('DiagnosticQuickFix').length).toBeGreaterThan(0);
+  });
+
+  it('asks before a quick fix deletes a dialog and adds the fix to the undo history', async () => {
+    const applyQuickFix = jest.fn();
+    const commitChanges = jest.fn();
+    const fix = { kind: 'removeDialog', title: 'Delete the dialog', dialogId: 'unused' };
+    const items = [{ ...state.diagnostics[0], projectId: state.projectId, diagnostic: { quickFixes: [fix] } }];
+    const { getByTestId, findByText } = renderWithRecoil(
+      <DiagnosticList diagnosticItems={items as any} />,
+      ({ set }) => {
+        initRecoilState({ set });
+        set(dispatcherState, { applyQuickFix });
+        set(undoFunctionState(state.projectId), { commitChanges });
+      }
+    );
+
+    mockOpenConfirmModal.mockResolvedValueOnce(false);
+    fireEvent.click(getByTestId('DiagnosticQuickFix'));
+    fireEvent.click(await findByText('Delete the dialog'));
+    await waitFor(() => expect(mockOpenConfirmModal).toHaveBeenCalledTimes(1));
+    expect(applyQuickFix).not.toHaveBeenCalled();
+
+    mockOpenConfirmModal.mockResolvedValueOnce(true);
+    fireEvent.click(getByTestId('DiagnosticQuickFix'));
+    fireEvent.click(await findByText('Delete the dialog'));
+    await waitFor(() => expect(commitChanges).toHaveBeenCalled());
+    expect(applyQuickFix).toHaveBeenCalledWith(state.projectId, fix);
+  });
 });
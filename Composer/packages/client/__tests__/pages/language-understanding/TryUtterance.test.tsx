@@ -0,0 +1,67 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React from 'react';
+import { act, fireEvent, render } from '@botframework-composer/test-utils';
+
+import { TryUtterance } from '../../../src/pages/language-understanding/TryUtterance';
+import httpClient from '../../../src/utils/httpUtil';
+
+jest.mock('../../../src/utils/httpUtil');
+
+const content = `# BookFlight
+- book a flight to {@city=Paris}
+- fly to {@city}
+
+# Cancel
+- stop it
+
+# Stop
+- stop it!
+`;
+
+const intents = [
+  { Name: 'BookFlight', Body: '- book a flight to {@city=Paris}\n- fly to {@city}' },
+  { Name: 'Cancel', Body: '- stop it' },
+  { Name: 'Stop', Body: '- stop it!' },
+];
+
+const file = { id: 'a.en-us', content, intents, allIntents: intents, diagnostics: [] } as any;
+
+describe('<TryUtterance />', () => {
+  it('shows the top intents and the entities of the utterance', () => {
+    const { getByTestId } = render(<TryUtterance file={file} projectId="test" />);
+
+    fireEvent.change(getByTestId('TryUtteranceInput'), { target: { value: 'fly to Lyon' } });
+
+    expect(getByTestId('TryUtteranceIntents').textContent).toContain('BookFlight');
+    expect(getByTestId('TryUtteranceEntities').textContent).toContain('city = "Lyon"');
+  });
+
+  it('flags the utterances shared by several intents', () => {
+    const { getByTestId } = render(<TryUtterance file={file} projectId="test" />);
+
+    expect(getByTestId('TryUtteranceConflicts').textContent).toContain('Cancel: "stop it" and Stop: "stop it!"');
+  });
+
+  it('scores the utterance with Orchestrator', async () => {
+    (httpClient.post as jest.Mock).mockResolvedValue({
+      data: [
+        { intent: 'Cancel', score: 0.9, closestText: 'stop it' },
+        { intent: 'Stop', score: 0.85, closestText: 'stop it!' },
+      ],
+    });
+    const { getByTestId, findByText, getByText } = render(<TryUtterance file={file} projectId="test" />);
+
+    fireEvent.change(getByTestId('TryUtteranceInput'), { target: { value: 'please stop' } });
+    await act(async () => {
+      fireEvent.click(getByText('Score with Orchestrator'));
+    });
+
+    expect(httpClient.post).toHaveBeenCalledWith('/projects/test/orchestrator/score', {
+      luFileId: 'a.en-us',
+      utterance: 'please stop',
+    });
+    await findByText('Orchestrator');
+  });
+});
@@ -0,0 +1,82 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React, { Suspense } from 'react';
+import { fireEvent } from '@botframework-composer/test-utils';
+import { UtteranceOverlapAnalyzer } from '@bfc/indexers';
+
+import { UtteranceOverlap } from '../../../src/pages/language-understanding/UtteranceOverlap';
+import { renderWithRecoil } from '../../testUtils';
+import {
+  currentProjectIdState,
+  dialogsSelectorFamily,
+  localeState,
+  luFilesSelectorFamily,
+  qnaFilesSelectorFamily,
+} from '../../../src/recoilModel';
+
+const mockAnalyzeOverlap = (luFiles, qnaFiles, locale) =>
+  Promise.resolve(UtteranceOverlapAnalyzer.analyze({ luFiles, qnaFiles, locale }));
+
+jest.mock('../../../src/recoilModel/parsers/luWorker', () => {
+  return { analyzeOverlap: (luFiles, qnaFiles, locale) => mockAnalyzeOverlap(luFiles, qnaFiles, locale) };
+});
+
+const projectId = 'test';
+
+const createLuFile = (id: string, intents: { Name: string; Body: string }[]) => ({
+  id,
+  content: '',
+  intents,
+  allIntents: intents,
+  diagnostics: [],
+  isContentUnparsed: false,
+});
+
+const initRecoilState = ({ set }) => {
+  set(currentProjectIdState, projectId);
+  set(localeState(projectId), 'en-us');
+  set(dialogsSelectorFamily(projectId), [
+    { id: 'main', content: {}, skills: [], referredLuIntents: [] },
+    { id: 'booking', content: {}, skills: [], referredLuIntents: [] },
+  ]);
+  set(luFilesSelectorFamily(projectId), [
+    createLuFile('main.en-us', [{ Name: 'Greeting', Body: '- hello there' }]),
+    createLuFile('booking.en-us', [{ Name: 'Hello', Body: '- Hello there!' }]),
+    createLuFile('booking.fr-fr', [{ Name: 'Greeting', Body: '- hello there' }]),
+  ]);
+  set(qnaFilesSelectorFamily(projectId), []);
+};
+
+const renderOverlap = (dialogId?: string) =>
+  renderWithRecoil(
+    <Suspense fallback={null}>
+      <UtteranceOverlap dialogId={dialogId} projectId={projectId} />
+    </Suspense>,
+    initRecoilState
+  );
+
+describe('<UtteranceOverlap />', () => {
+  it('shows the overlapping intents of the locale in a heatmap', async () => {
+    const { findByTestId, getAllByRole } = renderOverlap();
+
+    const heatmap = await findByTestId('UtteranceOverlapHeatmap');
+    expect(heatmap.textContent).toContain('booking #Hello');
+    expect(heatmap.textContent).toContain('main #Greeting');
+    expect(getAllByRole('button', { name: /overlap at 100%/ })).toHaveLength(2);
+  });
+
+  it('shows the overlapping utterances of a pair', async () => {
+    const { findAllByRole, getByTestId } = renderOverlap();
+
+    fireEvent.click((await findAllByRole('button', { name: /overlap at 100%/ }))[0]);
+
+    expect(getByTestId('UtteranceOverlapExamples').textContent).toContain('"Hello there!" / "hello there"');
+  });
+
+  it('only shows the pairs of the dialog', async () => {
+    const { findByText } = renderOverlap('other');
+
+    await findByText('No utterance overlaps between the intents and QnA questions.');
+  });
+});
@@ -30,13 +30,14 @@ const state = {
 // const resolvers = { lgFileResolver: jest.fn((id) => state.lgFiles.find((file) => file.id === id)) };
 
 describe('use lgApi hooks', () => {
-  let removeLgTemplatesMock, initRecoilState, copyLgTemplateMock, updateLgTemplateMock;
+  let removeLgTemplatesMock, initRecoilState, copyLgTemplateMock, updateLgTemplateMock, evaluateLgTemplateMock;
   let result: RenderResult<any>;
 
   beforeEach(() => {
     updateLgTemplateMock = jest.fn();
     copyLgTemplateMock = jest.fn();
     removeLgTemplatesMock = jest.fn();
+    evaluateLgTemplateMock = jest.fn();
 
     initRecoilState = ({ set }) => {
       set(currentProjectIdState, state.projectId);
@@ -47,6 +48,7 @@ describe('use lgApi hooks', () => {
         updateLgTemplate: updateLgTemplateMock,
         copyLgTemplate: copyLgTemplateMock,
         removeLgTemplates: removeLgTemplatesMock,
+        evaluateLgTemplate: evaluateLgTemplateMock,
       }));
     };
 
@@ -123,4 +125,17 @@ describe('use lgApi hooks', () => {
     };
     expect(removeLgTemplatesMock).toBeCalledWith(arg);
   });
+
+  it('should call evaluate lg template action', () => {
+    result.current.evaluateLgTemplate('test.en-us', 'bar', { user: { name: 'Ann' } });
+
+    expect(evaluateLgTemplateMock).toBeCalledTimes(1);
+    const arg = {
+      id: 'test.en-us',
+      templateName: 'bar',
+      memory: { user: { name: 'Ann' } },
+      projectId: state.projectId,
+    };
+    expect(evaluateLgTemplateMock).toBeCalledWith(arg);
+  });
 });
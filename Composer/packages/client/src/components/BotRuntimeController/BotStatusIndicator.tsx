@@ -5,17 +5,45 @@
 import { jsx } from '@emotion/core';
 import { useRef, useState, useMemo } from 'react';
 import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
 import { SharedColors } from '@uifabric/fluent-theme';
+import { BuildSummary } from '@bfc/shared';
 
-import { botStatusState } from '../../recoilModel';
+import { botBuildSummaryState, botStatusState } from '../../recoilModel';
 import { BotStatus, BotStatusesCopy } from '../../constants';
 
+type ModelKind = Exclude<keyof BuildSummary, 'diagnostics'>;
+
+const modelNames: Record<ModelKind, () => string> = {
+  luis: () => formatMessage('LUIS'),
+  qna: () => formatMessage('QnA Maker'),
+  orchestrator: () => formatMessage('Orchestrator'),
+};
+
+/**
+ * One line per model kind and status of the last build, e.g. "LUIS skipped: main.en-us.lu".
+ */
+const getBuildSummaryText = (summary: BuildSummary) =>
+  (Object.keys(modelNames) as ModelKind[])
+    .reduce((lines: string[], kind) => {
+      const { rebuilt, skipped } = summary[kind];
+      if (rebuilt.length) {
+        lines.push(formatMessage('{model} rebuilt: {files}', { model: modelNames[kind](), files: rebuilt.join(', ') }));
+      }
+      if (skipped.length) {
+        lines.push(formatMessage('{model} skipped: {files}', { model: modelNames[kind](), files: skipped.join(', ') }));
+      }
+      return lines;
+    }, [])
+    .join('\n');
+
 type BotStatusIndicatorProps = {
   projectId: string;
 };
 
 export const BotStatusIndicator: React.FC<BotStatusIndicatorProps> = ({ projectId }) => {
   const botStatus = useRecoilValue(botStatusState(projectId));
+  const buildSummary = useRecoilValue(botBuildSummaryState(projectId));
   const botActionRef = useRef(null);
 
   const [botStatusStyle, setBotStatusStyle] = useState({});
@@ -46,7 +74,11 @@ export const BotStatusIndicator: React.FC<BotStatusIndicatorProps> = ({ projectI
         marginRight: '5px',
       }}
     >
-      <span aria-live={'assertive'} style={botStatusStyle}>
+      <span
+        aria-live={'assertive'}
+        style={botStatusStyle}
+        title={buildSummary && botStatus !== BotStatus.failed ? getBuildSummaryText(buildSummary) : undefined}
+      >
         {botStatusText}
       </span>
     </div>
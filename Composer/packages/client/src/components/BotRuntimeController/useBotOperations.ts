@@ -105,8 +105,8 @@ export function useBotOperations() {
     }
   };
 
-  const stopSingleBot = (projectId: string) => {
-    botRuntimeOperations?.stopBot(projectId);
+  const stopSingleBot = async (projectId: string) => {
+    await botRuntimeOperations?.stopBot(projectId);
   };
 
   return {
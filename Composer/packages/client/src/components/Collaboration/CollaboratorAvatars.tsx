@@ -0,0 +1,79 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React from 'react';
+import formatMessage from 'format-message';
+import { Collaborator } from '@bfc/shared';
+
+const MAX_AVATARS = 3;
+
+const avatar = (color: string, size: number) => css`
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  width: ${size}px;
+  height: ${size}px;
+  margin-left: -4px;
+  border: 1px solid white;
+  border-radius: 50%;
+  background: ${color};
+  color: white;
+  font-size: ${Math.round(size / 2)}px;
+  font-weight: 600;
+  flex-shrink: 0;
+`;
+
+const container = css`
+  display: inline-flex;
+  align-items: center;
+  padding: 0 4px 0 8px;
+`;
+
+const getInitials = (name: string) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+
+/**
+ * Collaborators whose selection is in the given dialog, or in the given trigger when one is passed.
+ */
+export const getCollaboratorsAt = (collaborators: Collaborator[], dialogId?: string, trigger?: number) =>
+  collaborators.filter(({ location }) => {
+    if (!location || location.dialogId !== dialogId) return false;
+    if (trigger === undefined) return true;
+    return !!location.selected?.startsWith(`triggers[${trigger}]`);
+  });
+
+type CollaboratorAvatarsProps = {
+  collaborators: Collaborator[];
+  size?: number;
+};
+
+export const CollaboratorAvatars: React.FC<CollaboratorAvatarsProps> = ({ collaborators, size = 16 }) => {
+  if (collaborators.length === 0) return null;
+
+  const names = collaborators.map(({ name }) => name).join(', ');
+  const hidden = collaborators.length - MAX_AVATARS;
+
+  return (
+    <span
+      aria-label={formatMessage('Also editing: {names}', { names })}
+      css={container}
+      data-testid="CollaboratorAvatars"
+      role="img"
+      title={formatMessage('Also editing: {names}', { names })}
+    >
+      {collaborators.slice(0, MAX_AVATARS).map(({ clientId, name, color }) => (
+        <span key={clientId} css={avatar(color, size)}>
+          {getInitials(name)}
+        </span>
+      ))}
+      {hidden > 0 && <span css={avatar('#605e5c', size)}>+{hidden}</span>}
+    </span>
+  );
+};
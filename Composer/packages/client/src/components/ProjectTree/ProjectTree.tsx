@@ -19,12 +19,16 @@ import {
   rootBotProjectIdSelector,
   TreeDataPerProject,
   jsonSchemaFilesByProjectIdSelector,
+  collaboratorsByProjectIdSelector,
+  coverageByProjectIdSelector,
+  flowCoverageVisibilityState,
   pageElementState,
   projectTreeSelectorFamily,
 } from '../../recoilModel';
 import { triggerNotSupported } from '../../utils/dialogValidator';
 import { useFeatureFlag } from '../../utils/hooks';
 import { LoadingSpinner } from '../LoadingSpinner';
+import { getCollaboratorsAt } from '../Collaboration/CollaboratorAvatars';
 import TelemetryClient from '../../telemetry/TelemetryClient';
 import { getBaseName } from '../../utils/fileUtil';
 
@@ -174,11 +178,22 @@ export const ProjectTree: React.FC<Props> = ({
   const rootProjectId = useRecoilValue(rootBotProjectIdSelector);
   const projectCollection: TreeDataPerProject[] = useRecoilValue(projectTreeSelectorFamily);
   const jsonSchemaFilesByProjectId = useRecoilValue(jsonSchemaFilesByProjectIdSelector);
+  const collaboratorsByProjectId = useRecoilValue(collaboratorsByProjectIdSelector);
+  const flowCoverageVisible = useRecoilValue(flowCoverageVisibilityState);
+  const coverageByProjectId = useRecoilValue(coverageByProjectIdSelector);
 
   // TODO Refactor to make sure tree is not generated until a new trigger/dialog is added. #5462
   const createSubtree = useCallback(() => {
     return projectCollection.map(createBotSubtree);
-  }, [projectCollection, selectedLink, leftSplitWidth, filter]);
+  }, [
+    projectCollection,
+    selectedLink,
+    leftSplitWidth,
+    filter,
+    collaboratorsByProjectId,
+    flowCoverageVisible,
+    coverageByProjectId,
+  ]);
 
   if (rootProjectId == null) {
     // this should only happen before a project is loaded in, so it won't last very long
@@ -273,6 +288,8 @@ export const ProjectTree: React.FC<Props> = ({
         >
           <TreeItem
             hasChildren
+            collaborators={getCollaboratorsAt(collaboratorsByProjectId[skillId] ?? [], dialog.id)}
+            coverage={flowCoverageVisible ? coverageByProjectId[skillId]?.[dialog.id]?.percentage : undefined}
             isActive={doesLinkMatch(dialogLink, selectedLink)}
             isChildSelected={isChildTriggerLinkSelected(dialogLink, selectedLink)}
             isMenuOpen={isMenuOpen}
@@ -344,6 +361,7 @@ export const ProjectTree: React.FC<Props> = ({
     return (
       <TreeItem
         key={`${item.id}_${item.index}`}
+        collaborators={getCollaboratorsAt(collaboratorsByProjectId[projectId] ?? [], dialog.id, item.index)}
         dialogName={dialog.displayName}
         extraSpace={16}
         isActive={doesLinkMatch(link, selectedLink)}
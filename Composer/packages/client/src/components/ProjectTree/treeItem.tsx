@@ -17,10 +17,12 @@ import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
 import { IButtonStyles } from 'office-ui-fabric-react/lib/Button';
 import { IContextualMenuStyles } from 'office-ui-fabric-react/lib/ContextualMenu';
 import { ICalloutContentStyles, Callout } from 'office-ui-fabric-react/lib/Callout';
-import { DiagnosticSeverity, Diagnostic, Icons } from '@bfc/shared';
+import { DiagnosticSeverity, Diagnostic, Icons, Collaborator } from '@bfc/shared';
 import isEmpty from 'lodash/isEmpty';
 import uniqueId from 'lodash/uniqueId';
 
+import { CollaboratorAvatars } from '../Collaboration/CollaboratorAvatars';
+
 import { THREE_DOTS_ICON_WIDTH } from './constants';
 import { TreeLink, TreeMenuItem } from './types';
 import { TreeItemContent } from './TreeItemContent';
@@ -54,6 +56,15 @@ const projectTreeItem = css`
   label: ProjectTreeItem;
 `;
 
+const coverageLabel = css`
+  flex-shrink: 0;
+  padding-left: 4px;
+  font-size: ${FontSizes.size10};
+  color: ${NeutralColors.gray130};
+
+  label: ProjectTreeItemCoverage;
+`;
+
 export const moreMenu: Partial<ICalloutContentStyles> = {
   root: {
     marginTop: '-1px',
@@ -287,6 +298,10 @@ type ITreeItemProps = {
   role?: string;
   href?: string;
   tooltip?: string;
+  /** other people with this dialog or trigger selected */
+  collaborators?: Collaborator[];
+  /** percentage of the triggers and actions that ran in Web Chat, shown while coverage is visible */
+  coverage?: number;
 };
 
 const renderTreeMenuItem = (link: TreeLink) => (item: TreeMenuItem) => {
@@ -423,6 +438,8 @@ export const TreeItem: React.FC<ITreeItemProps> = ({
   isMenuOpen = false,
   showErrors = true,
   role,
+  collaborators = [],
+  coverage,
 }) => {
   const [thisItemSelected, setThisItemSelected] = useState<boolean>(false);
 
@@ -609,6 +626,16 @@ export const TreeItem: React.FC<ITreeItemProps> = ({
           setThisItemSelected
         )}
       />
+      {coverage !== undefined && (
+        <span
+          aria-label={formatMessage('{percentage}% covered by Web Chat conversations', { percentage: coverage })}
+          css={coverageLabel}
+          data-testid="TreeItemCoverage"
+        >
+          {`${coverage}%`}
+        </span>
+      )}
+      <CollaboratorAvatars collaborators={collaborators} />
     </div>
   );
 };
@@ -0,0 +1,128 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React from 'react';
+import formatMessage from 'format-message';
+import { DialogTestActivity, DialogTestResult } from '@botframework-composer/types';
+import { DefaultButton } from 'office-ui-fabric-react/lib/Button';
+import { Dialog, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { FontIcon } from 'office-ui-fabric-react/lib/Icon';
+import { Spinner } from 'office-ui-fabric-react/lib/Spinner';
+import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { getReplayRows, ReplayRow } from './utils/dialogTestRecorder';
+
+const styles = {
+  list: css`
+    max-height: 420px;
+    overflow-y: auto;
+  `,
+  user: css`
+    text-align: right;
+    margin: 8px 0 4px;
+    color: ${NeutralColors.gray130};
+  `,
+  reply: (passed: boolean) => css`
+    padding: 4px 8px;
+    margin: 2px 0;
+    border-left: 3px solid ${passed ? SharedColors.green10 : SharedColors.red10};
+    background: ${passed ? 'transparent' : '#fde7e9'};
+  `,
+  expected: css`
+    text-decoration: line-through;
+    color: ${NeutralColors.gray130};
+  `,
+  summary: (passed: boolean) => css`
+    margin-bottom: 8px;
+    color: ${passed ? SharedColors.green10 : SharedColors.red10};
+  `,
+};
+
+const renderRow = (row: ReplayRow, index: number) => {
+  switch (row.kind) {
+    case 'user':
+      return (
+        <div key={index} css={styles.user}>
+          {row.text}
+        </div>
+      );
+    case 'unexpected':
+      return (
+        <div key={index} css={styles.reply(false)} data-testid="replay-row-changed">
+          <div>{row.actual}</div>
+          <div>{formatMessage('New reply, not in the recorded conversation')}</div>
+        </div>
+      );
+    default:
+      return (
+        <div
+          key={index}
+          css={styles.reply(row.passed)}
+          data-testid={row.passed ? 'replay-row-same' : 'replay-row-changed'}
+        >
+          {row.passed ? (
+            row.expected
+          ) : (
+            <React.Fragment>
+              <div css={styles.expected}>{row.expected}</div>
+              <div>{row.actual ?? row.message}</div>
+            </React.Fragment>
+          )}
+        </div>
+      );
+  }
+};
+
+type ReplayResultDialogProps = {
+  activities: DialogTestActivity[];
+  /** true while the bot is restarted for the replay */
+  restarting?: boolean;
+  /** undefined while the replay is running */
+  result?: DialogTestResult;
+  onDismiss: () => void;
+};
+
+/**
+ * The recorded conversation next to its replay, replies that changed are highlighted.
+ */
+export const ReplayResultDialog: React.FC<ReplayResultDialogProps> = ({
+  activities,
+  restarting,
+  result,
+  onDismiss,
+}) => {
+  const renderContent = () => {
+    if (restarting) return <Spinner label={formatMessage('Restarting the bot...')} />;
+    if (!result) return <Spinner label={formatMessage('Replaying the conversation...')} />;
+
+    const passed = result.status === 'passed';
+    return (
+      <React.Fragment>
+        <div css={styles.summary(passed)}>
+          <FontIcon iconName={passed ? 'CompletedSolid' : 'StatusErrorFull'} />{' '}
+          {passed
+            ? formatMessage('The bot replied the same way as in the recorded conversation.')
+            : result.error ?? formatMessage('Some replies of the bot changed.')}
+        </div>
+        <div css={styles.list}>{getReplayRows(activities, result).map(renderRow)}</div>
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <Dialog
+      dialogContentProps={{ title: formatMessage('Replay conversation') }}
+      hidden={false}
+      maxWidth={560}
+      minWidth={480}
+      onDismiss={onDismiss}
+    >
+      {renderContent()}
+      <DialogFooter>
+        <DefaultButton text={formatMessage('Close')} onClick={onDismiss} />
+      </DialogFooter>
+    </Dialog>
+  );
+};
@@ -0,0 +1,163 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React, { useState } from 'react';
+import formatMessage from 'format-message';
+import { DialogTestActivity, DialogTestMatcher } from '@botframework-composer/types';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Dialog, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { Dropdown, IDropdownOption } from 'office-ui-fabric-react/lib/Dropdown';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { NeutralColors } from '@uifabric/fluent-theme';
+
+import { toTestName } from './utils/dialogTestRecorder';
+
+const styles = {
+  list: css`
+    max-height: 360px;
+    overflow-y: auto;
+    margin-top: 16px;
+  `,
+  user: css`
+    align-self: flex-end;
+    max-width: 70%;
+    padding: 4px 8px;
+    margin: 4px 0;
+    border-radius: 4px;
+    background: ${NeutralColors.gray20};
+  `,
+  reply: css`
+    padding: 4px 0;
+    border-bottom: 1px solid ${NeutralColors.gray30};
+  `,
+};
+
+type MatcherType = DialogTestMatcher['type'];
+
+const getMatcherType = ({ assert }: DialogTestActivity): MatcherType => assert?.type ?? 'exact';
+
+const getMatcherValue = ({ assert, text }: DialogTestActivity) => {
+  if (!assert) return text ?? '';
+  return assert.type === 'lg' ? assert.template : assert.value;
+};
+
+const createMatcher = (type: MatcherType, value: string): DialogTestMatcher =>
+  type === 'lg' ? { type, template: value } : { type, value };
+
+type SaveAsTestDialogProps = {
+  botName: string;
+  activities: DialogTestActivity[];
+  onDismiss: () => void;
+  onSave: (name: string, activities: DialogTestActivity[]) => Promise<boolean>;
+};
+
+/**
+ * Turns a recorded Web Chat conversation into a test script. The recorded replies are
+ * compared exactly by default, each one can be changed to a regular expression or an LG template.
+ */
+export const SaveAsTestDialog: React.FC<SaveAsTestDialogProps> = ({ botName, activities, onDismiss, onSave }) => {
+  const [name, setName] = useState(toTestName(`${botName} conversation`));
+  const [steps, setSteps] = useState(activities);
+  const [saving, setSaving] = useState(false);
+
+  const matcherOptions: IDropdownOption[] = [
+    { key: 'exact', text: formatMessage('Exact text') },
+    { key: 'regex', text: formatMessage('Regular expression') },
+    { key: 'lg', text: formatMessage('LG template') },
+  ];
+
+  const updateMatcher = (index: number, type: MatcherType, value: string) => {
+    setSteps(
+      steps.map((step, stepIndex) => {
+        if (stepIndex !== index) return step;
+        if (type === 'exact') return { ...step, assert: undefined, text: value };
+        // the recorded text stays in the script so failures can still show what the bot used to say
+        return { ...step, assert: createMatcher(type, value) };
+      })
+    );
+  };
+
+  const changeType = (index: number, type: MatcherType) => {
+    const step = steps[index];
+    if (type === 'exact') {
+      updateMatcher(index, type, step.text ?? '');
+    } else {
+      // the current value is a good start for a regular expression, an LG template needs its name instead
+      updateMatcher(index, type, type === 'lg' ? '' : getMatcherValue(step));
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const saved = await onSave(name, steps);
+    setSaving(false);
+    if (saved) onDismiss();
+  };
+
+  const nameError = name && toTestName(name) !== name ? formatMessage('Use letters, numbers, spaces and dashes') : '';
+
+  return (
+    <Dialog
+      dialogContentProps={{
+        title: formatMessage('Save as test'),
+        subText: formatMessage(
+          'The messages you sent are replayed when the test runs, choose how each reply of the bot is checked.'
+        ),
+      }}
+      hidden={false}
+      maxWidth={640}
+      minWidth={560}
+      onDismiss={onDismiss}
+    >
+      <TextField
+        required
+        errorMessage={nameError}
+        label={formatMessage('Test name')}
+        value={name}
+        onChange={(_, value) => setName(value ?? '')}
+      />
+      <Stack css={styles.list}>
+        {steps.map((step, index) =>
+          step.from.role === 'user' ? (
+            <div key={index} css={styles.user}>
+              {step.text}
+            </div>
+          ) : (
+            <Stack key={index} horizontal css={styles.reply} tokens={{ childrenGap: 8 }} verticalAlign="start">
+              <Dropdown
+                ariaLabel={formatMessage('How reply {index} is checked', { index: index + 1 })}
+                options={matcherOptions}
+                selectedKey={getMatcherType(step)}
+                styles={{ root: { width: 160 } }}
+                onChange={(_, option) => option && changeType(index, option.key as MatcherType)}
+              />
+              <TextField
+                autoAdjustHeight
+                multiline
+                ariaLabel={formatMessage('Expected reply {index}', { index: index + 1 })}
+                placeholder={getMatcherType(step) === 'lg' ? formatMessage('Template name') : undefined}
+                resizable={false}
+                rows={1}
+                styles={{ root: { flex: 1 } }}
+                value={getMatcherValue(step)}
+                onChange={(_, value) => updateMatcher(index, getMatcherType(step), value ?? '')}
+              />
+            </Stack>
+          )
+        )}
+      </Stack>
+      <DialogFooter>
+        <DefaultButton text={formatMessage('Cancel')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="save-as-test-confirm"
+          disabled={!name || !!nameError || saving}
+          text={formatMessage('Save')}
+          onClick={save}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
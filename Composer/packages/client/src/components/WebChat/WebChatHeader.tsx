@@ -41,6 +41,8 @@ export type WebChatHeaderProps = {
   conversationId: string;
   onRestartConversation: (conversationId: string, requireNewUserId: boolean) => void;
   onSaveTranscript: (conversationId: string) => void;
+  onSaveAsTest: (conversationId: string) => void;
+  onReplay: (conversationId: string) => void;
   onOpenBotInEmulator: () => void;
   onCloseWebChat: () => void;
   isRestartButtonDisabled: boolean;
@@ -52,6 +54,8 @@ export const WebChatHeader: React.FC<WebChatHeaderProps> = ({
   currentRestartOption,
   onRestartConversation,
   onSaveTranscript,
+  onSaveAsTest,
+  onReplay,
   onOpenBotInEmulator: openBotInEmulator,
   onSetRestartOption,
   onCloseWebChat,
@@ -143,6 +147,21 @@ export const WebChatHeader: React.FC<WebChatHeaderProps> = ({
         title="Save chat transcripts"
         onClick={() => onSaveTranscript(conversationId)}
       />
+      <ActionButton
+        ariaDescription={formatMessage('Save conversation as a test of the bot')}
+        data-testid="save-as-test"
+        iconProps={{ iconName: 'TestBeaker' }}
+        title={formatMessage('Save as test')}
+        onClick={() => onSaveAsTest(conversationId)}
+      />
+      <ActionButton
+        ariaDescription={formatMessage('Replay the messages of this conversation and compare the replies')}
+        data-testid="replay-conversation"
+        disabled={isRestartButtonDisabled}
+        iconProps={{ iconName: 'Rerun' }}
+        title={formatMessage('Replay')}
+        onClick={() => onReplay(conversationId)}
+      />
       <ActionButton
         ariaDescription="Open the bot in Emulator"
         data-testid="open-emulator"
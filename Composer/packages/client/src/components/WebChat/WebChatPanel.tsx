@@ -7,6 +7,8 @@ import {
   ConversationActivityTraffic,
   ConversationNetworkTrafficItem,
   ConversationNetworkErrorItem,
+  DialogTestActivity,
+  DialogTestResult,
 } from '@botframework-composer/types';
 import { AxiosResponse } from 'axios';
 import formatMessage from 'format-message';
@@ -16,10 +18,14 @@ import throttle from 'lodash/throttle';
 import TelemetryClient from '../../telemetry/TelemetryClient';
 import { BotStatus } from '../../constants';
 import { dispatcherState } from '../../recoilModel';
+import { useBotOperations } from '../BotRuntimeController/useBotOperations';
 
 import { ConversationService } from './utils/conversationService';
+import { createTestActivities, hasUserTurns } from './utils/dialogTestRecorder';
 import { WebChatHeader } from './WebChatHeader';
 import { WebChatComposer } from './WebChatComposer';
+import { SaveAsTestDialog } from './SaveAsTestDialog';
+import { ReplayResultDialog } from './ReplayResultDialog';
 import { BotSecret, ChatData, RestartOption } from './types';
 
 const BASEPATH = process.env.PUBLIC_URL || 'http://localhost:3000/';
@@ -52,7 +58,10 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
     setDebugPanelExpansion,
     setActiveTabInDebugPanel,
     setWebChatPanelVisibility,
+    saveDialogTest,
+    replayDialogTest,
   } = useRecoilValue(dispatcherState);
+  const { startSingleBot, stopSingleBot } = useBotOperations();
   const { projectId, botUrl, secret, botName, activeLocale, botStatus } = botData;
   const [chats, setChatData] = useState<Record<string, ChatData>>({});
   const [currentConversation, setCurrentConversation] = useState<string>('');
@@ -61,6 +70,16 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
   const conversationService = useMemo(() => new ConversationService(directlineHostUrl), [directlineHostUrl]);
   const webChatPanelRef = useRef<HTMLDivElement>(null);
   const webChatTrafficChannel = useRef<WebSocket>();
+  // the last conversation with user messages, kept when the conversation or the bot is restarted so it can be replayed
+  const recordedActivities = useRef<DialogTestActivity[]>([]);
+  const [testActivities, setTestActivities] = useState<DialogTestActivity[]>();
+  const [replay, setReplay] = useState<{
+    activities: DialogTestActivity[];
+    /** the bot is restarted so the recorded turns do not leave their state in the replay */
+    restarting?: boolean;
+    result?: DialogTestResult;
+  }>();
+  const replayBotStopped = useRef(false);
 
   useEffect(() => {
     const bootstrapChat = async () => {
@@ -130,8 +149,24 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
     };
   }, []);
 
+  const recordConversation = async (conversationId: string) => {
+    if (!conversationId) return recordedActivities.current;
+    try {
+      const resp = await conversationService.getTranscriptsData(conversationId);
+      const activities = createTestActivities(resp.data);
+      if (hasUserTurns(activities)) {
+        recordedActivities.current = activities;
+      }
+    } catch (ex) {
+      // a conversation that is gone leaves the previous recording in place
+    }
+    return recordedActivities.current;
+  };
+
   useEffect(() => {
     if (botUrl) {
+      // the runtime restarted, its previous conversation can still be replayed against the new one
+      recordConversation(currentConversation);
       setCurrentConversation('');
     }
   }, [botUrl]);
@@ -140,6 +175,16 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
     setIsRestartButtonDisabled(botStatus !== BotStatus.connected);
   }, [botStatus]);
 
+  useEffect(() => {
+    if (!replay?.restarting || !replayBotStopped.current) return;
+
+    if (botStatus === BotStatus.connected) {
+      runReplay(replay.activities);
+    } else if (botStatus === BotStatus.failed) {
+      setReplay(undefined);
+    }
+  }, [botStatus]);
+
   const sendInitialActivities = async (chatData: ChatData) => {
     try {
       await conversationService.sendInitialActivity(chatData.conversationId, [chatData.user]);
@@ -187,6 +232,8 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
       async (oldChatData: ChatData, requireNewUserId: boolean) => {
         try {
           setIsRestartButtonDisabled(true);
+          // restarting clears the transcript on the server
+          await recordConversation(oldChatData.conversationId);
           const chatData = await conversationService.restartConversation(
             oldChatData,
             requireNewUserId,
@@ -245,6 +292,41 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
     }
   };
 
+  const onSaveAsTestClick = async (conversationId: string) => {
+    const activities = await recordConversation(conversationId);
+    if (hasUserTurns(activities)) {
+      setTestActivities(activities);
+      TelemetryClient.track('SaveAsTestClicked');
+    }
+  };
+
+  const onReplayClick = async (conversationId: string) => {
+    const activities = await recordConversation(conversationId);
+    if (!hasUserTurns(activities)) return;
+
+    setReplay({ activities, restarting: true });
+    replayBotStopped.current = false;
+    await stopSingleBot(projectId);
+    replayBotStopped.current = true;
+    startSingleBot(projectId);
+  };
+
+  const runReplay = async (activities: DialogTestActivity[]) => {
+    setReplay({ activities });
+    const result = await replayDialogTest(
+      projectId,
+      { botUrl, msaAppId: secret.msAppId, msaPassword: secret.msPassword, locale: activeLocale },
+      { name: 'replay', activities }
+    );
+    if (result) {
+      // the dialog may have been closed while the replay was running
+      setReplay((current) => current && { activities, result });
+      TelemetryClient.track('ConversationReplayed', { passed: result.status === 'passed' });
+    } else {
+      setReplay(undefined);
+    }
+  };
+
   return (
     <div ref={webChatPanelRef} style={{ height: `calc(100% - ${webChatHeaderHeight})` }}>
       <WebChatHeader
@@ -260,9 +342,11 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
           openBotInEmulator(projectId);
           TelemetryClient.track('EmulatorButtonClicked', { isRoot: true, projectId, location: 'WebChatPane' });
         }}
+        onReplay={onReplayClick}
         onRestartConversation={(oldConversationId: string, requireNewUserId: boolean) =>
           handleThrottledRestart(chats[oldConversationId], requireNewUserId)
         }
+        onSaveAsTest={onSaveAsTestClick}
         onSaveTranscript={onSaveTranscriptClick}
         onSetRestartOption={onSetRestartOption}
       />
@@ -274,6 +358,22 @@ export const WebChatPanel: React.FC<WebChatPanelProps> = ({
         currentConversation={currentConversation}
         isDisabled={botStatus !== BotStatus.connected}
       />
+      {testActivities && (
+        <SaveAsTestDialog
+          activities={testActivities}
+          botName={botName}
+          onDismiss={() => setTestActivities(undefined)}
+          onSave={(name, activities) => saveDialogTest(projectId, { name, activities })}
+        />
+      )}
+      {replay && (
+        <ReplayResultDialog
+          activities={replay.activities}
+          restarting={replay.restarting}
+          result={replay.result}
+          onDismiss={() => setReplay(undefined)}
+        />
+      )}
     </div>
   );
 };
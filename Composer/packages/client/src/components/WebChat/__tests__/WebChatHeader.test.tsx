@@ -19,6 +19,8 @@ describe('<WebChatHeader />', () => {
     conversationId: '123-abc-conv',
     onRestartConversation: mockOnRestartConversation,
     onSaveTranscript: mockOnSaveTranscript,
+    onSaveAsTest: jest.fn(),
+    onReplay: jest.fn(),
     onOpenBotInEmulator: jest.fn(),
     onCloseWebChat: jest.fn(),
     isRestartButtonDisabled: false,
@@ -42,6 +44,8 @@ describe('<WebChatHeader />', () => {
       conversationId: '123-abc-conv',
       onRestartConversation: mockOnRestartConversation,
       onSaveTranscript: mockOnSaveTranscript,
+      onSaveAsTest: jest.fn(),
+      onReplay: jest.fn(),
       onOpenBotInEmulator: jest.fn(),
       onCloseWebChat: jest.fn(),
       isRestartButtonDisabled: false,
@@ -68,6 +72,8 @@ describe('<WebChatHeader />', () => {
       conversationId: '123-abc-conv',
       onRestartConversation: mockOnRestartConversation,
       onSaveTranscript: mockOnSaveTranscript,
+      onSaveAsTest: jest.fn(),
+      onReplay: jest.fn(),
       onOpenBotInEmulator: jest.fn(),
       onCloseWebChat: jest.fn(),
       isRestartButtonDisabled: false,
@@ -91,4 +97,16 @@ describe('<WebChatHeader />', () => {
       expect(mockOnSaveTranscript).toHaveBeenLastCalledWith('123-abc-conv');
     });
   });
+
+  it('should save the conversation as a test and replay it', async () => {
+    const onSaveAsTest = jest.fn();
+    const onReplay = jest.fn();
+    const { findByTestId } = render(<WebChatHeader {...props} onReplay={onReplay} onSaveAsTest={onSaveAsTest} />);
+
+    fireEvent.click(await findByTestId('save-as-test'));
+    expect(onSaveAsTest).toHaveBeenLastCalledWith('123-abc-conv');
+
+    fireEvent.click(await findByTestId('replay-conversation'));
+    expect(onReplay).toHaveBeenLastCalledWith('123-abc-conv');
+  });
 });
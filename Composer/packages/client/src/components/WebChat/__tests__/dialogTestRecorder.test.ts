@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { createTestActivities, getReplayRows, toTestName } from '../utils/dialogTestRecorder';
+
+const transcript: any[] = [
+  { type: 'conversationUpdate', membersAdded: [{ id: 'user' }], recipient: { id: 'bot', role: 'bot' } },
+  { type: 'message', text: 'Welcome!', from: { id: 'bot', role: 'bot' }, recipient: { id: 'user', role: 'user' } },
+  {
+    id: '1',
+    type: 'message',
+    text: 'hello',
+    timestamp: '2021-01-01T00:00:00Z',
+    from: { id: 'user', role: 'user' },
+    recipient: { id: 'bot', role: 'bot' },
+  },
+  { type: 'trace', name: 'ReceivedActivity', recipient: { id: 'user', role: 'user' } },
+  { type: 'message', text: 'You said hello', from: { id: 'bot' }, recipient: { id: 'user', role: 'user' } },
+];
+
+describe('createTestActivities', () => {
+  it('keeps the messages and drops what belongs to the recorded conversation', () => {
+    expect(createTestActivities(transcript)).toEqual([
+      { type: 'message', from: { role: 'bot' }, text: 'Welcome!' },
+      { type: 'message', from: { role: 'user' }, text: 'hello' },
+      { type: 'message', from: { role: 'bot' }, text: 'You said hello' },
+    ]);
+  });
+});
+
+describe('toTestName', () => {
+  it('replaces characters that cannot be part of a file name', () => {
+    expect(toTestName('My bot: greeting/flow')).toBe('My bot- greeting-flow');
+    expect(toTestName('..weather..')).toBe('weather');
+  });
+});
+
+describe('getReplayRows', () => {
+  it('lines up the recorded replies with the replayed ones', () => {
+    const activities = createTestActivities(transcript);
+    const rows = getReplayRows(activities, {
+      name: 'replay',
+      status: 'failed',
+      duration: 10,
+      steps: [
+        { index: 0, passed: true, expected: 'Welcome!', actual: 'Welcome!' },
+        { index: 2, passed: false, expected: 'You said hello', actual: 'Hello!' },
+        { index: 3, passed: false, expected: '', actual: 'Anything else?', message: 'Unexpected reply' },
+      ],
+    });
+
+    expect(rows).toEqual([
+      { kind: 'reply', expected: 'Welcome!', passed: true, actual: undefined, message: undefined },
+      { kind: 'user', text: 'hello' },
+      { kind: 'reply', expected: 'You said hello', passed: false, actual: 'Hello!', message: undefined },
+      { kind: 'unexpected', actual: 'Anything else?' },
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import pickBy from 'lodash/pickBy';
+import { Activity, DialogTestActivity, DialogTestResult, DialogTestStepResult } from '@botframework-composer/types';
+
+import { ActivityType } from '../types';
+
+const isFromUser = (activity: Activity) =>
+  activity.recipient?.role === 'bot' || (!activity.recipient?.role && activity.from?.role === 'user');
+
+/**
+ * Turns the transcript of a Web Chat conversation into the activities of a test script.
+ * Only messages are kept, the replies of the bot are compared exactly until their assertions are edited.
+ */
+export const createTestActivities = (transcript: Activity[]): DialogTestActivity[] =>
+  transcript
+    .filter((activity) => activity.type === ActivityType.Message)
+    .map(
+      (activity): DialogTestActivity => {
+        if (isFromUser(activity)) {
+          // ids, timestamps and addresses belong to the recorded conversation, only the content is replayed
+          const { text, value, attachments } = activity;
+          return {
+            type: ActivityType.Message,
+            from: { role: 'user' },
+            ...pickBy({ text, value, attachments }, (property) => property !== undefined),
+          };
+        }
+        return { type: ActivityType.Message, from: { role: 'bot' }, text: activity.text ?? '' };
+      }
+    );
+
+export const hasUserTurns = (activities: DialogTestActivity[]) =>
+  activities.some((activity) => activity.from.role === 'user');
+
+/** File names of test scripts, the server rejects anything that is not a plain name. */
+export const toTestName = (name: string) =>
+  name
+    .replace(/[^\w\- ]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-\s]+|[-\s]+$/g, '');
+
+export type ReplayRow =
+  | { kind: 'user'; text: string }
+  /** a reply that was recorded, actual is what the bot replied this time when it differs */
+  | { kind: 'reply'; expected: string; passed: boolean; actual?: string; message?: string }
+  /** a reply that was not in the recording */
+  | { kind: 'unexpected'; actual: string };
+
+/**
+ * Lines up the recorded conversation with the result of its replay, one row per message.
+ */
+export const getReplayRows = (activities: DialogTestActivity[], result: DialogTestResult): ReplayRow[] => {
+  const stepsByIndex = result.steps.reduce((steps: Record<number, DialogTestStepResult[]>, step) => {
+    (steps[step.index] = steps[step.index] ?? []).push(step);
+    return steps;
+  }, {});
+
+  const unexpectedRows = (index: number): ReplayRow[] =>
+    (stepsByIndex[index] ?? [])
+      .filter(({ message }) => message === 'Unexpected reply')
+      .map(({ actual = '' }) => ({ kind: 'unexpected', actual }));
+
+  const rows: ReplayRow[] = [];
+  activities.forEach((activity, index) => {
+    if (activity.from.role === 'user') {
+      rows.push(...unexpectedRows(index), { kind: 'user', text: activity.text ?? '' });
+      return;
+    }
+    const step = stepsByIndex[index]?.[0];
+    rows.push({
+      kind: 'reply',
+      expected: activity.text ?? '',
+      passed: step?.passed ?? false,
+      actual: step?.passed ? undefined : step?.actual,
+      message: step?.message,
+    });
+  });
+  rows.push(...unexpectedRows(activities.length));
+  return rows;
+};
@@ -4,7 +4,7 @@
 import * as React from 'react';
 
 import { renderWithRecoil } from '../../../../__tests__/testUtils/renderWithRecoil';
-import { botBuildTimeErrorState, botStatusState } from '../../../recoilModel';
+import { botBuildSummaryState, botBuildTimeErrorState, botStatusState } from '../../../recoilModel';
 import { BotStatus, BotStatusesCopy } from '../../../constants';
 import { BotStatusIndicator } from '../../BotRuntimeController/BotStatusIndicator';
 
@@ -46,4 +46,19 @@ describe('<BotStatusIndicator />', () => {
     });
     expect(findByText('See Details')).toBeDefined();
   });
+
+  it('should show which models the last build rebuilt and skipped', async () => {
+    const { findByText } = renderWithRecoil(<BotStatusIndicator projectId={projectId} />, ({ set }) => {
+      set(botStatusState(projectId), BotStatus.connected);
+      set(botBuildSummaryState(projectId), {
+        luis: { rebuilt: ['main.en-us.lu'], skipped: ['booking.en-us.lu', 'booking.fr-fr.lu'] },
+        qna: { rebuilt: [], skipped: [] },
+        orchestrator: { rebuilt: [], skipped: ['help.en-us.lu'] },
+      });
+    });
+    const element = await findByText(BotStatusesCopy.connected);
+    expect(element.getAttribute('title')).toBe(
+      'LUIS rebuilt: main.en-us.lu\nLUIS skipped: booking.en-us.lu, booking.fr-fr.lu\nOrchestrator skipped: help.en-us.lu'
+    );
+  });
 });
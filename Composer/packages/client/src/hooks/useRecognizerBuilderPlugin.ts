@@ -0,0 +1,38 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { useMemo } from 'react';
+import { PluginConfig, UISchema } from '@bfc/extension-client';
+import { DialogInfo, SDKKinds } from '@bfc/shared';
+import { useRecoilValue } from 'recoil';
+
+import { recognizerBuildersState } from '../recoilModel';
+
+/**
+ * Lists the recognizers built by extensions in the recognizer picker. Like Orchestrator, their dialogs use the
+ * crosstrained recognizer set and the recognizer of each language has the kind of the builder.
+ */
+export const useRecognizerBuilderPlugin = (): PluginConfig => {
+  const recognizerBuilders = useRecoilValue(recognizerBuildersState);
+
+  return useMemo(() => {
+    const uiSchema: UISchema = {};
+    recognizerBuilders.forEach(({ kind, name, description }) => {
+      // declared by the schema of the bot rather than the SDK
+      uiSchema[kind as SDKKinds] = {
+        recognizer: {
+          displayName: name,
+          description: description ?? '',
+          intentEditor: 'LuIntentEditor',
+          isSelected: (_, dialog: DialogInfo) => dialog.luProvider === kind,
+          seedNewRecognizer: (shellData, shellApi) => {
+            const { currentDialog, projectId } = shellData;
+            shellApi.updateRecognizer(projectId, currentDialog.id, kind);
+            return `${currentDialog.id}.lu.qna`;
+          },
+        },
+      };
+    });
+    return { uiSchema };
+  }, [recognizerBuilders]);
+};
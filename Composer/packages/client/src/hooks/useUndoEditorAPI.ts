@@ -0,0 +1,35 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { useEffect } from 'react';
+import { getEditorAPI, registerEditorAPI } from '@bfc/shared';
+import { useRecoilValue } from 'recoil';
+
+import { undoFunctionState } from '../recoilModel/undo/history';
+import { undoStatusSelectorFamily } from '../recoilModel/selectors/undo';
+import { getUndoScopeId, UndoAssetType } from '../recoilModel/undo/trackedAtoms';
+
+/**
+ * Points the Undo / Redo editor commands at the history of the asset type edited on the current page,
+ * and gives them back to the previous page when it unmounts.
+ */
+export const useUndoEditorAPI = (projectId: string, assetType: UndoAssetType) => {
+  const scopeId = getUndoScopeId(projectId, assetType);
+  const { undo, redo } = useRecoilValue(undoFunctionState(scopeId));
+  const [canUndo, canRedo] = useRecoilValue(undoStatusSelectorFamily(scopeId));
+
+  useEffect(() => {
+    if (!undo || !redo) return;
+
+    const { Undo, Redo } = getEditorAPI().Editing;
+    registerEditorAPI('Editing', {
+      Undo: () => undo(),
+      Redo: () => redo(),
+    });
+    return () => {
+      registerEditorAPI('Editing', { Undo, Redo });
+    };
+  }, [undo, redo]);
+
+  return { undo, redo, canUndo, canRedo };
+};
@@ -0,0 +1,311 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React, { useMemo, useState } from 'react';
+import formatMessage from 'format-message';
+import get from 'lodash/get';
+import uniq from 'lodash/uniq';
+import { useRecoilValue } from 'recoil';
+import { conceptLabels, getFriendlyName } from '@bfc/shared';
+import { Panel, PanelType } from 'office-ui-fabric-react/lib/Panel';
+import { Checkbox } from 'office-ui-fabric-react/lib/Checkbox';
+import { ChoiceGroup, IChoiceGroupOption } from 'office-ui-fabric-react/lib/ChoiceGroup';
+import { ComboBox, IComboBoxOption } from 'office-ui-fabric-react/lib/ComboBox';
+import { Dropdown, IDropdownOption } from 'office-ui-fabric-react/lib/Dropdown';
+import { Link } from 'office-ui-fabric-react/lib/Link';
+import { MessageBar, MessageBarType } from 'office-ui-fabric-react/lib/MessageBar';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { NeutralColors } from '@uifabric/fluent-theme';
+
+import {
+  dialogsSelectorFamily,
+  dispatcherState,
+  localeState,
+  lgFilesSelectorFamily,
+  rootBotProjectIdSelector,
+} from '../../../recoilModel';
+import { undoFunctionState } from '../../../recoilModel/undo/history';
+import {
+  BulkEditMatch,
+  BulkEditOperation,
+  BulkEditQuery,
+  findBulkEditMatches,
+  isBulkEditQueryEmpty,
+  parseBulkEditValue,
+} from '../../../utils/bulkEditUtil';
+import { convertPathToUrl, navigateTo } from '../../../utils/navigation';
+import TelemetryClient from '../../../telemetry/TelemetryClient';
+
+const matchList = css`
+  flex: 1;
+  min-height: 120px;
+  overflow-y: auto;
+  margin: 8px 0 16px;
+  border: 1px solid ${NeutralColors.gray30};
+  ul {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+  }
+  li {
+    display: flex;
+    align-items: center;
+    padding: 6px 8px;
+    border-bottom: 1px solid ${NeutralColors.gray20};
+  }
+`;
+
+type OperationKind = BulkEditOperation['kind'];
+
+const getKindLabel = (kind: string) => conceptLabels()[kind]?.title ?? kind;
+
+const getMatchKey = ({ dialogId, path }: BulkEditMatch) => `${dialogId}#${path}`;
+
+type Props = {
+  projectId: string;
+  isOpen: boolean;
+  onDismiss: () => void;
+};
+
+/**
+ * Finds actions across the dialogs of a bot by type, property value or LG template, and changes all the checked ones
+ * at once: set a property, wrap them in a condition or delete them. The whole change is one step of the undo history.
+ */
+export const BulkEditPanel: React.FC<Props> = ({ projectId, isOpen, onDismiss }) => {
+  const dialogs = useRecoilValue(dialogsSelectorFamily(projectId));
+  const lgFiles = useRecoilValue(lgFilesSelectorFamily(projectId));
+  const locale = useRecoilValue(localeState(projectId));
+  const rootBotProjectId = useRecoilValue(rootBotProjectIdSelector) ?? projectId;
+  const { applyBulkEdit } = useRecoilValue(dispatcherState);
+  const { commitChanges } = useRecoilValue(undoFunctionState(projectId));
+
+  const [query, setQuery] = useState<BulkEditQuery>({});
+  const [unchecked, setUnchecked] = useState<string[]>([]);
+  const [operationKind, setOperationKind] = useState<OperationKind>('setProperty');
+  const [property, setProperty] = useState('');
+  const [value, setValue] = useState('');
+  const [condition, setCondition] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [changedCount, setChangedCount] = useState<number>();
+
+  const getLgTemplates = (dialogId: string) =>
+    lgFiles.find(({ id }) => id === `${dialogId}.${locale}`)?.allTemplates ?? [];
+
+  const matches = useMemo(() => findBulkEditMatches(dialogs, query, getLgTemplates), [dialogs, lgFiles, query]);
+  const checkedMatches = matches.filter((match) => !unchecked.includes(getMatchKey(match)));
+
+  const kindOptions: IDropdownOption[] = useMemo(() => {
+    // every action has a $kind
+    const kinds = uniq(
+      findBulkEditMatches(dialogs, { property: '$kind' }).map(({ action }) => action.$kind as string)
+    ).sort();
+    return [
+      { key: '', text: formatMessage('Any type') },
+      ...kinds.map((kind) => ({ key: kind, text: getKindLabel(kind) })),
+    ];
+  }, [dialogs]);
+
+  const templateOptions: IComboBoxOption[] = useMemo(
+    () =>
+      uniq(
+        lgFiles
+          .filter(({ id }) => id.endsWith(`.${locale}`))
+          .reduce((names: string[], { templates }) => names.concat(templates.map(({ name }) => name)), [])
+      )
+        .sort()
+        .map((name) => ({ key: name, text: name })),
+    [lgFiles, locale]
+  );
+
+  const operationOptions: IChoiceGroupOption[] = [
+    { key: 'setProperty', text: formatMessage('Set a property') },
+    { key: 'wrapInCondition', text: formatMessage('Wrap in a condition') },
+    { key: 'delete', text: formatMessage('Delete') },
+  ];
+
+  const updateQuery = (update: BulkEditQuery) => {
+    setQuery({ ...query, ...update });
+    setUnchecked([]);
+    setChangedCount(undefined);
+  };
+
+  const toggleMatch = (match: BulkEditMatch, checked?: boolean) => {
+    const key = getMatchKey(match);
+    setUnchecked(checked ? unchecked.filter((other) => other !== key) : [...unchecked, key]);
+  };
+
+  const getOperation = (): BulkEditOperation | undefined => {
+    switch (operationKind) {
+      case 'setProperty':
+        return property ? { kind: 'setProperty', property, value: parseBulkEditValue(value) } : undefined;
+      case 'wrapInCondition':
+        return condition ? { kind: 'wrapInCondition', condition } : undefined;
+      case 'delete':
+        return { kind: 'delete' };
+    }
+  };
+
+  const operation = getOperation();
+
+  const apply = async () => {
+    if (!operation || !checkedMatches.length) return;
+    setApplying(true);
+    const applied = await applyBulkEdit(projectId, checkedMatches, operation);
+    if (applied) {
+      // one commit for all the dialogs, so the whole change undoes at once
+      commitChanges();
+      TelemetryClient.track('BulkEditApplied', { operation: operation.kind, count: checkedMatches.length });
+      setChangedCount(checkedMatches.length);
+      setUnchecked([]);
+    }
+    setApplying(false);
+  };
+
+  const openMatch = ({ dialogId, path }: BulkEditMatch) => {
+    navigateTo(convertPathToUrl(rootBotProjectId, projectId, dialogId, `${dialogId}.${path}`));
+    onDismiss();
+  };
+
+  const renderMatch = (match: BulkEditMatch) => {
+    const dialog = dialogs.find(({ id }) => id === match.dialogId);
+    const triggerPath = match.path.substring(0, match.path.indexOf('.'));
+    const trigger = get(dialog?.content, triggerPath);
+    return (
+      <li key={getMatchKey(match)}>
+        <Checkbox
+          ariaLabel={getFriendlyName(match.action)}
+          checked={!unchecked.includes(getMatchKey(match))}
+          onChange={(_, checked) => toggleMatch(match, checked)}
+        />
+        <div css={{ flex: 1, minWidth: 0 }}>
+          <Link onClick={() => openMatch(match)}>{getFriendlyName(match.action)}</Link>
+          <Text block variant="small">
+            {`${dialog?.displayName ?? match.dialogId} › ${trigger ? getFriendlyName(trigger) : triggerPath}`}
+          </Text>
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <Panel
+      isLightDismiss
+      closeButtonAriaLabel={formatMessage('Close')}
+      headerText={formatMessage('Bulk edit actions')}
+      isOpen={isOpen}
+      styles={{ scrollableContent: { display: 'flex', flexDirection: 'column', height: '100%' } }}
+      type={PanelType.medium}
+      onDismiss={onDismiss}
+    >
+      <Stack tokens={{ childrenGap: 8 }}>
+        <Dropdown
+          label={formatMessage('Action type')}
+          options={kindOptions}
+          selectedKey={query.kind ?? ''}
+          onChange={(_, option) => updateQuery({ kind: (option?.key as string) || undefined })}
+        />
+        <Stack horizontal tokens={{ childrenGap: 8 }}>
+          <TextField
+            label={formatMessage('Property')}
+            placeholder={formatMessage('Any property')}
+            styles={{ root: { flex: 1 } }}
+            value={query.property ?? ''}
+            onChange={(_, newValue) => updateQuery({ property: newValue || undefined })}
+          />
+          <TextField
+            label={formatMessage('Value contains')}
+            styles={{ root: { flex: 1 } }}
+            value={query.value ?? ''}
+            onChange={(_, newValue) => updateQuery({ value: newValue || undefined })}
+          />
+        </Stack>
+        <ComboBox
+          allowFreeform
+          autoComplete="on"
+          label={formatMessage('Uses the LG template')}
+          options={templateOptions}
+          text={query.lgTemplate ?? ''}
+          onChange={(_, option, __, text) =>
+            updateQuery({ lgTemplate: ((option?.key as string) ?? text) || undefined })
+          }
+        />
+      </Stack>
+
+      <Text block css={{ marginTop: 16 }}>
+        {isBulkEditQueryEmpty(query)
+          ? formatMessage('Describe the actions to change.')
+          : formatMessage(
+              '{count, plural, =0 {No matching actions} =1 {1 matching action} other {# matching actions}}, {checked} checked',
+              { count: matches.length, checked: checkedMatches.length }
+            )}
+      </Text>
+      <div css={matchList} data-testid="BulkEditMatches">
+        <ul>{matches.map(renderMatch)}</ul>
+      </div>
+
+      <ChoiceGroup
+        label={formatMessage('Change')}
+        options={operationOptions}
+        selectedKey={operationKind}
+        onChange={(_, option) => option && setOperationKind(option.key as OperationKind)}
+      />
+      {operationKind === 'setProperty' && (
+        <Stack horizontal tokens={{ childrenGap: 8 }}>
+          <TextField
+            label={formatMessage('Property')}
+            placeholder={formatMessage('For example, disabled')}
+            styles={{ root: { flex: 1 } }}
+            value={property}
+            onChange={(_, newValue) => setProperty(newValue ?? '')}
+          />
+          <TextField
+            description={formatMessage('Read as JSON when it can be, such as true or 5. Empty removes the property.')}
+            label={formatMessage('Value')}
+            styles={{ root: { flex: 1 } }}
+            value={value}
+            onChange={(_, newValue) => setValue(newValue ?? '')}
+          />
+        </Stack>
+      )}
+      {operationKind === 'wrapInCondition' && (
+        <TextField
+          label={formatMessage('Condition')}
+          placeholder={formatMessage('For example, user.isVip')}
+          value={condition}
+          onChange={(_, newValue) => setCondition(newValue ?? '')}
+        />
+      )}
+      {operationKind === 'delete' && (
+        <Text block css={{ marginTop: 8 }}>
+          {formatMessage('The actions are deleted with the actions they hold, and their responses and intents.')}
+        </Text>
+      )}
+
+      {changedCount !== undefined && (
+        <MessageBar css={{ marginTop: 16 }} messageBarType={MessageBarType.success}>
+          {formatMessage(
+            '{count, plural, =1 {Changed 1 action} other {Changed # actions}}. Undo reverts the whole change.',
+            { count: changedCount }
+          )}
+        </MessageBar>
+      )}
+
+      <Stack horizontal horizontalAlign="end" styles={{ root: { marginTop: 16 } }} tokens={{ childrenGap: 8 }}>
+        <DefaultButton text={formatMessage('Close')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="BulkEditApply"
+          disabled={applying || !operation || checkedMatches.length === 0}
+          text={formatMessage('{count, plural, =1 {Apply to 1 action} other {Apply to # actions}}', {
+            count: checkedMatches.length,
+          })}
+          onClick={apply}
+        />
+      </Stack>
+    </Panel>
+  );
+};
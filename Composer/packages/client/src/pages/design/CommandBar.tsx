@@ -3,7 +3,7 @@
 
 /** @jsx jsx */
 import { jsx } from '@emotion/core';
-import React, { useMemo, useCallback, useEffect } from 'react';
+import React, { useMemo, useCallback, useEffect, useState } from 'react';
 import formatMessage from 'format-message';
 import get from 'lodash/get';
 import { getEditorAPI, registerEditorAPI } from '@bfc/shared';
@@ -21,6 +21,8 @@ import { undoStatusSelectorFamily } from '../../recoilModel/selectors/undo';
 import TelemetryClient from '../../telemetry/TelemetryClient';
 
 import implementedDebugExtensions from './DebugPanel/TabExtensions';
+import { DialogCallGraphPanel } from './DialogCallGraph/DialogCallGraphPanel';
+import { BulkEditPanel } from './BulkEdit/BulkEditPanel';
 
 type CommandBarProps = { projectId: string };
 
@@ -32,6 +34,8 @@ const CommandBar: React.FC<CommandBarProps> = React.memo(({ projectId }) => {
   const [canUndo, canRedo] = useRecoilValue(undoStatusSelectorFamily(projectId));
 
   const { onboardingAddCoachMarkRef } = useRecoilValue(dispatcherState);
+  const [showCallGraph, setShowCallGraph] = useState(false);
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
 
   useEffect(() => {
     registerEditorAPI('Editing', {
@@ -141,6 +145,23 @@ const CommandBar: React.FC<CommandBarProps> = React.memo(({ projectId }) => {
                 TelemetryClient.track('ToolbarButtonClicked', { name: 'delete' });
               },
             },
+            {
+              key: 'edit.snippet',
+              text: formatMessage('Save as snippet...'),
+              disabled: !actionSelected,
+              onClick: () => {
+                EditorAPI.Actions.SaveSelectionAsSnippet();
+                TelemetryClient.track('ToolbarButtonClicked', { name: 'saveAsSnippet' });
+              },
+            },
+            {
+              key: 'edit.bulk',
+              text: formatMessage('Bulk edit...'),
+              onClick: () => {
+                setShowBulkEdit(true);
+                TelemetryClient.track('ToolbarButtonClicked', { name: 'bulkEdit' });
+              },
+            },
           ],
         },
       },
@@ -178,6 +199,19 @@ const CommandBar: React.FC<CommandBarProps> = React.memo(({ projectId }) => {
           ],
         },
       },
+      {
+        type: 'action',
+        text: formatMessage('Call graph'),
+        align: 'left',
+        dataTestid: 'CallGraphButton',
+        buttonProps: {
+          iconProps: { iconName: 'BranchFork2' },
+          onClick: () => {
+            setShowCallGraph(true);
+            TelemetryClient.track('ToolbarButtonClicked', { name: 'callGraph' });
+          },
+        },
+      },
     ],
     [showDisableBtn, showEnableBtn, actionSelected, canUndo, canRedo, debugItems]
   );
@@ -194,6 +228,8 @@ const CommandBar: React.FC<CommandBarProps> = React.memo(({ projectId }) => {
         data-testid="CoachmarkRef-AddNew"
       />
       <Toolbar toolbarItems={toolbarItems} />
+      {showCallGraph && <DialogCallGraphPanel isOpen onDismiss={() => setShowCallGraph(false)} />}
+      {showBulkEdit && <BulkEditPanel isOpen projectId={projectId} onDismiss={() => setShowBulkEdit(false)} />}
     </div>
   );
 });
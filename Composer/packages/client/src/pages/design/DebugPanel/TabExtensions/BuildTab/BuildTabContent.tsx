@@ -0,0 +1,234 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React, { useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+import { BuildArtifact, BuildDryRunResult } from '@bfc/shared';
+import { ActionButton } from 'office-ui-fabric-react/lib/Button';
+import { Spinner, SpinnerSize } from 'office-ui-fabric-react/lib/Spinner';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { FluentTheme, NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { DebugPanelTabHeaderProps } from '../types';
+import {
+  buildDryRunState,
+  buildEssentialsSelector,
+  dispatcherState,
+  rootBotProjectIdSelector,
+} from '../../../../../recoilModel';
+
+const styles = {
+  root: css`
+    height: 100%;
+    overflow-y: auto;
+    padding: 0 16px;
+    font-size: ${FluentTheme.fonts.small.fontSize};
+  `,
+  columns: css`
+    display: flex;
+    align-items: flex-start;
+  `,
+  list: css`
+    width: 320px;
+    flex-shrink: 0;
+    margin-right: 16px;
+  `,
+  section: css`
+    color: ${NeutralColors.gray130};
+    font-weight: ${FluentTheme.fonts.small.fontWeight};
+    margin: 8px 0 2px;
+  `,
+  item: css`
+    display: block;
+    width: 100%;
+    padding: 2px 4px;
+    border: none;
+    background: none;
+    text-align: left;
+    font-size: inherit;
+    cursor: pointer;
+    &:hover {
+      background: ${NeutralColors.gray20};
+    }
+  `,
+  selectedItem: css`
+    background: ${NeutralColors.gray30};
+  `,
+  detail: css`
+    padding: 2px 4px;
+  `,
+  label: css`
+    color: ${NeutralColors.gray130};
+    margin-right: 4px;
+  `,
+  content: css`
+    flex: 1;
+    min-width: 0;
+    margin: 8px 0;
+    padding: 8px;
+    background: ${NeutralColors.gray10};
+    font-family: Consolas, monospace;
+    white-space: pre-wrap;
+    word-break: break-all;
+  `,
+  error: css`
+    color: ${SharedColors.red10};
+    padding: 8px 0;
+  `,
+  empty: css`
+    color: ${NeutralColors.gray130};
+    padding: 8px 0;
+  `,
+};
+
+const buttonStyles = { root: { height: 24, fontSize: FluentTheme.fonts.small.fontSize } };
+
+const ArtifactList: React.FC<{
+  title: string;
+  artifacts: BuildArtifact[];
+  selected?: BuildArtifact;
+  onSelect: (artifact: BuildArtifact) => void;
+}> = ({ title, artifacts, selected, onSelect }) => {
+  if (!artifacts.length) return null;
+  return (
+    <React.Fragment>
+      <div css={styles.section}>{title}</div>
+      {artifacts.map((artifact) => (
+        <button
+          key={artifact.name}
+          css={[styles.item, artifact === selected && styles.selectedItem]}
+          data-testid={`BuildArtifact-${artifact.name}`}
+          onClick={() => onSelect(artifact)}
+        >
+          {artifact.name}
+        </button>
+      ))}
+    </React.Fragment>
+  );
+};
+
+const DryRunSummary: React.FC<{ result: BuildDryRunResult }> = ({ result }) => {
+  const { downSampling, luisApplications, qnaKnowledgeBases, orchestrator, recognizerBuilders } = result;
+  const services = [...Object.entries(luisApplications), ...Object.entries(qnaKnowledgeBases)];
+
+  return (
+    <React.Fragment>
+      {services.length > 0 && <div css={styles.section}>{formatMessage('LUIS applications and knowledge bases')}</div>}
+      {services.map(([file, name]) => (
+        <div key={file} css={styles.detail}>
+          <span css={styles.label}>{file}</span>
+          {name}
+        </div>
+      ))}
+
+      <div css={styles.section}>{formatMessage('Downsampling')}</div>
+      {downSampling.length === 0 && <div css={styles.detail}>{formatMessage('Downsampling is turned off.')}</div>}
+      {downSampling.map(({ id, maxImbalanceRatio, intents, interruptionUtterances, sampledInterruptionUtterances }) => {
+        const counts = Object.keys(intents).map((intent) => intents[intent]);
+        return (
+          <div key={id} css={styles.detail} data-testid={`BuildDownSampling-${id}`}>
+            <span css={styles.label}>{id}</span>
+            {formatMessage(
+              '{sampled} of {total} interruption utterances kept, at most {ratio} times the {min} utterances of the smallest of {count, plural, =1 {1 intent} other {# intents}}',
+              {
+                sampled: sampledInterruptionUtterances,
+                total: interruptionUtterances,
+                ratio: maxImbalanceRatio,
+                min: counts.length ? Math.min(...counts) : 0,
+                count: counts.length,
+              }
+            )}
+          </div>
+        );
+      })}
+
+      {orchestrator.length > 0 && <div css={styles.section}>{formatMessage('Orchestrator snapshots')}</div>}
+      {orchestrator.map(({ lang, model, modelDownloaded, snapshots }) => (
+        <div key={lang} css={styles.detail} data-testid={`BuildOrchestrator-${lang}`}>
+          <span css={styles.label}>{lang}</span>
+          {model ?? formatMessage('default model')}
+          {model && !modelDownloaded && <span css={styles.error}> {formatMessage('(not downloaded)')}</span>}
+          {Object.values(snapshots).map((snapshot) => (
+            <div key={snapshot}>{snapshot}</div>
+          ))}
+        </div>
+      ))}
+
+      {recognizerBuilders.length > 0 && (
+        <div css={styles.section}>{formatMessage('Recognizers built by extensions')}</div>
+      )}
+      {recognizerBuilders.map(({ kind, name, luFiles }) => (
+        <div key={kind} css={styles.detail} data-testid={`BuildRecognizerBuilder-${kind}`}>
+          <span css={styles.label}>{name}</span>
+          {luFiles.join(', ')}
+        </div>
+      ))}
+    </React.Fragment>
+  );
+};
+
+export const BuildTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }) => {
+  const projectId = useRecoilValue(rootBotProjectIdSelector) ?? '';
+  const { running, result, error } = useRecoilValue(buildDryRunState(projectId));
+  const { configuration } = useRecoilValue(buildEssentialsSelector(projectId));
+  const { dryRunBuild } = useRecoilValue(dispatcherState);
+  const [selected, setSelected] = useState<BuildArtifact | undefined>();
+
+  if (!isActive || !projectId) return null;
+
+  const dryRun = () => {
+    setSelected(undefined);
+    dryRunBuild(projectId, configuration.luis, configuration.qna, configuration.orchestrator ?? {});
+  };
+
+  return (
+    <div css={styles.root} data-testid="BuildTabContent">
+      <Stack horizontal verticalAlign="center">
+        <ActionButton
+          data-testid="build-dry-run"
+          disabled={running}
+          iconProps={{ iconName: 'Build' }}
+          styles={buttonStyles}
+          text={formatMessage('Dry run')}
+          onClick={dryRun}
+        />
+        {running && <Spinner size={SpinnerSize.xSmall} />}
+      </Stack>
+      {error && <div css={styles.error}>{error}</div>}
+      {!result && !error && (
+        <div css={styles.empty}>
+          {formatMessage(
+            'A dry run cross trains the .lu and .qna files and lists what the build would generate, without calling LUIS, QnA Maker or Orchestrator.'
+          )}
+        </div>
+      )}
+      {result && (
+        <div css={styles.columns}>
+          <div css={styles.list}>
+            <ArtifactList
+              artifacts={result.crossTrained}
+              selected={selected}
+              title={formatMessage('Crosstrained files')}
+              onSelect={setSelected}
+            />
+            <ArtifactList
+              artifacts={result.recognizers}
+              selected={selected}
+              title={formatMessage('Recognizers and settings')}
+              onSelect={setSelected}
+            />
+            <DryRunSummary result={result} />
+          </div>
+          {selected && (
+            <pre css={styles.content} data-testid="BuildArtifactContent">
+              {selected.content}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
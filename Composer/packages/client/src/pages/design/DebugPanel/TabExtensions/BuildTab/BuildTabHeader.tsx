@@ -0,0 +1,36 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+
+import { DebugPanelTabHeaderProps } from '../types';
+import { buildDryRunState, rootBotProjectIdSelector } from '../../../../../recoilModel';
+import { DebugPanelErrorIndicator } from '../DebugPanelErrorIndicator';
+
+export const BuildTabHeader: React.FC<DebugPanelTabHeaderProps> = () => {
+  const rootBotId = useRecoilValue(rootBotProjectIdSelector) ?? '';
+  const { error } = useRecoilValue(buildDryRunState(rootBotId));
+
+  return (
+    <div
+      css={css`
+        display: flex;
+        flex-direction: row;
+        align-items: center;
+      `}
+      data-testid="Tab-Build"
+    >
+      <div
+        css={css`
+          margin-right: ${error ? 4 : 0}px;
+        `}
+      >
+        {formatMessage('Build')}
+      </div>
+      <DebugPanelErrorIndicator hasError={!!error} />
+    </div>
+  );
+};
@@ -0,0 +1,16 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import formatMessage from 'format-message';
+
+import { TabExtensionConfig, BuildTabKey } from '../types';
+
+import { BuildTabHeader } from './BuildTabHeader';
+import { BuildTabContent } from './BuildTabContent';
+
+export const BuildTabConfig: TabExtensionConfig = {
+  key: BuildTabKey,
+  description: () => formatMessage('Build tab which shows what the LUIS, QnA Maker and Orchestrator build generates.'),
+  HeaderWidget: BuildTabHeader,
+  ContentWidget: BuildTabContent,
+};
@@ -22,14 +22,20 @@ import { useRecoilValue, useSetRecoilState } from 'recoil';
 import { Link } from 'office-ui-fabric-react/lib/Link';
 import { useEffect, useState, useMemo } from 'react';
 import { ScrollablePane } from 'office-ui-fabric-react/lib/ScrollablePane';
+import { IconButton } from 'office-ui-fabric-react/lib/Button';
+import { DiagnosticQuickFix } from '@bfc/shared';
+import { OpenConfirmModal } from '@bfc/ui-shared';
 
 import {
   botDisplayNameState,
   botProjectSpaceSelector,
+  dispatcherState,
   exportSkillModalInfoState,
   localeState,
   rootBotProjectIdSelector,
 } from '../../../../../recoilModel';
+import { undoFunctionState } from '../../../../../recoilModel/undo/history';
+import { DialogDeleting } from '../../../../../constants';
 import { navigateTo } from '../../../../../utils/navigation';
 
 import { IDiagnosticInfo } from './DiagnosticType';
@@ -116,6 +122,45 @@ const BotNameRender: React.FC<{ item: IDiagnosticInfo }> = ({ item }) => {
   );
 };
 
+const QuickFixRender: React.FC<{ item: IDiagnosticInfo }> = ({ item }) => {
+  const { applyQuickFix } = useRecoilValue(dispatcherState);
+  const { commitChanges } = useRecoilValue(undoFunctionState(item.projectId));
+  const quickFixes: DiagnosticQuickFix[] = item.diagnostic?.quickFixes ?? [];
+  if (!quickFixes.length) return null;
+
+  const handleQuickFix = async (fix: DiagnosticQuickFix) => {
+    // the dialog is deleted with its files, ask first like the project tree does
+    if (fix.kind === 'removeDialog') {
+      const confirmed = await OpenConfirmModal(DialogDeleting.NO_LINKED_TITLE, '', {
+        confirmBtnText: formatMessage('Yes'),
+        cancelBtnText: formatMessage('Cancel'),
+      });
+      if (!confirmed) return;
+    }
+    await applyQuickFix(item.projectId, fix);
+    commitChanges();
+  };
+
+  return (
+    <IconButton
+      ariaLabel={formatMessage('Quick fixes')}
+      data-testid="DiagnosticQuickFix"
+      iconProps={{ iconName: 'Lightbulb' }}
+      menuProps={{
+        items: quickFixes.map((fix, index) => ({
+          key: `${fix.kind}-${index}`,
+          text: fix.title,
+          onClick: () => {
+            handleQuickFix(fix);
+          },
+        })),
+      }}
+      styles={{ menuIcon: { display: 'none' } }}
+      title={formatMessage('Quick fixes')}
+    />
+  );
+};
+
 export const DiagnosticList: React.FC<IDiagnosticListProps> = ({ diagnosticItems }) => {
   const setExportSkillModalInfo = useSetRecoilState(exportSkillModalInfoState);
   const botProjectSpace = useRecoilValue(botProjectSpaceSelector);
@@ -229,6 +274,14 @@ export const DiagnosticList: React.FC<IDiagnosticListProps> = ({ diagnosticItems
       },
       isPadded: true,
     },
+    {
+      key: 'DiagnosticQuickFix',
+      name: '',
+      fieldName: 'quickFix',
+      minWidth: 32,
+      maxWidth: 32,
+      onRender: (item: IDiagnosticInfo) => <QuickFixRender item={item} />,
+    },
   ];
   const [columns, setColumns] = useState<IColumn[]>(staticColumns);
 
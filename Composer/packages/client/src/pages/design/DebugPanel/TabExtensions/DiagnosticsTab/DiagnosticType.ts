@@ -154,7 +154,10 @@ export class DialogDiagnostic extends DiagnosticInfo {
     dialogs: DialogInfo[]
   ) {
     super(rootProjectId, projectId, id, location, diagnostic);
-    this.message = `In ${replaceDialogDiagnosticLabel(diagnostic.path)} ${diagnostic.message}`;
+    // diagnostics of a whole dialog have no path
+    this.message = diagnostic.path
+      ? `In ${replaceDialogDiagnosticLabel(diagnostic.path)} ${diagnostic.message}`
+      : diagnostic.message;
     this.dialogPath = diagnostic.path;
     const friendlyPath = getFriendlyPath(this.dialogPath, dialogs);
     if (friendlyPath.length) {
@@ -0,0 +1,161 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React, { useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+import { ActionButton } from 'office-ui-fabric-react/lib/Button';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { FluentTheme, NeutralColors, CommunicationColors } from '@uifabric/fluent-theme';
+
+import { DebugPanelTabHeaderProps } from '../types';
+import { currentProjectIdState, rootBotProjectIdSelector } from '../../../../../recoilModel';
+import { undoFunctionState, undoRecordsState } from '../../../../../recoilModel/undo/history';
+import { undoStatusSelectorFamily } from '../../../../../recoilModel/selectors/undo';
+import {
+  getUndoAssetTypeLabel,
+  getUndoScopeId,
+  UndoAssetType,
+  undoAssetTypes,
+} from '../../../../../recoilModel/undo/trackedAtoms';
+import { UndoRecord } from '../../../../../recoilModel/undo/undoHistory';
+
+import { LocalHistoryDialog } from './LocalHistoryDialog';
+
+const styles = {
+  root: css`
+    height: 100%;
+    overflow-y: auto;
+    padding: 0 16px;
+  `,
+  section: css`
+    min-width: 220px;
+    max-width: 320px;
+    font-size: ${FluentTheme.fonts.small.fontSize};
+  `,
+  sectionTitle: css`
+    font-weight: 600;
+    margin-right: 8px;
+  `,
+  entry: css`
+    padding: 4px 8px;
+    border-left: 2px solid ${NeutralColors.gray60};
+  `,
+  nextUndo: css`
+    border-left-color: ${CommunicationColors.primary};
+    background: ${NeutralColors.gray20};
+  `,
+  undone: css`
+    color: ${NeutralColors.gray110};
+    font-style: italic;
+  `,
+  time: css`
+    color: ${NeutralColors.gray130};
+    margin-left: 8px;
+  `,
+  empty: css`
+    color: ${NeutralColors.gray130};
+    padding: 4px 0;
+  `,
+};
+
+const buttonStyles = { root: { height: 24, fontSize: FluentTheme.fonts.small.fontSize } };
+
+const describeRecord = (record: UndoRecord, index: number) => {
+  if (index === 0) return record.restored ? formatMessage('Earlier session') : formatMessage('Project opened');
+  if (record.assets.length === 0) return formatMessage('Changes');
+  return record.assets.join(', ');
+};
+
+const AssetTimeline: React.FC<{ projectId: string; assetType: UndoAssetType }> = ({ projectId, assetType }) => {
+  const scopeId = getUndoScopeId(projectId, assetType);
+  const { records, present } = useRecoilValue(undoRecordsState(scopeId));
+  const { undo, redo } = useRecoilValue(undoFunctionState(scopeId));
+  const [canUndo, canRedo] = useRecoilValue(undoStatusSelectorFamily(scopeId));
+
+  // newest entry first, the same order the undo stack is unwound in
+  const entries = records.map((record, index) => ({ record, index })).reverse();
+
+  return (
+    <div css={styles.section} data-testid={`UndoHistory-${assetType}`}>
+      <Stack horizontal verticalAlign="center">
+        <span css={styles.sectionTitle}>{getUndoAssetTypeLabel(assetType)}</span>
+        <ActionButton
+          disabled={!canUndo}
+          iconProps={{ iconName: 'Undo' }}
+          styles={buttonStyles}
+          text={formatMessage('Undo')}
+          onClick={() => undo()}
+        />
+        <ActionButton
+          disabled={!canRedo}
+          iconProps={{ iconName: 'Redo' }}
+          styles={buttonStyles}
+          text={formatMessage('Redo')}
+          onClick={() => redo()}
+        />
+      </Stack>
+      {records.length <= 1 ? (
+        <div css={styles.empty}>{formatMessage('No changes yet')}</div>
+      ) : (
+        <ul
+          aria-label={formatMessage('{type} history', { type: getUndoAssetTypeLabel(assetType) })}
+          css={css`
+            list-style: none;
+            margin: 0;
+            padding: 0;
+          `}
+        >
+          {entries.map(({ record, index }) => {
+            const isNextUndo = index === present && index > 0;
+            const isUndone = index > present;
+            return (
+              <li
+                key={`${record.timestamp}-${index}`}
+                css={[styles.entry, isNextUndo && styles.nextUndo, isUndone && styles.undone]}
+                title={isNextUndo ? formatMessage('Undo reverts this change') : undefined}
+              >
+                {describeRecord(record, index)}
+                <span css={styles.time}>
+                  {record.restored
+                    ? new Date(record.timestamp).toLocaleString()
+                    : new Date(record.timestamp).toLocaleTimeString()}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export const HistoryTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }) => {
+  const currentProjectId = useRecoilValue(currentProjectIdState);
+  const rootBotId = useRecoilValue(rootBotProjectIdSelector);
+  const projectId = currentProjectId || rootBotId;
+  const [showLocalHistory, setShowLocalHistory] = useState(false);
+
+  if (!isActive || !projectId) return null;
+
+  return (
+    <div css={styles.root} data-testid="HistoryTabContent">
+      <ActionButton
+        data-testid="open-local-history"
+        iconProps={{ iconName: 'History' }}
+        styles={buttonStyles}
+        text={formatMessage('Local history')}
+        title={formatMessage('Changes undo cannot reach any more can still be restored from the local history')}
+        onClick={() => setShowLocalHistory(true)}
+      />
+      <Stack horizontal wrap tokens={{ childrenGap: 24 }}>
+        {undoAssetTypes.map((assetType) => (
+          <AssetTimeline key={assetType} assetType={assetType} projectId={projectId} />
+        ))}
+      </Stack>
+      {showLocalHistory && <LocalHistoryDialog projectId={projectId} onDismiss={() => setShowLocalHistory(false)} />}
+    </div>
+  );
+};
@@ -0,0 +1,29 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import formatMessage from 'format-message';
+
+import { DebugPanelTabHeaderProps } from '../types';
+
+export const HistoryTabHeader: React.FC<DebugPanelTabHeaderProps> = () => {
+  return (
+    <div
+      css={css`
+        display: flex;
+        flex-direction: row;
+        align-items: center;
+      `}
+      data-testid="Tab-History"
+    >
+      <div
+        css={css`
+          margin-right: 4px;
+        `}
+      >
+        {formatMessage('History')}
+      </div>
+    </div>
+  );
+};
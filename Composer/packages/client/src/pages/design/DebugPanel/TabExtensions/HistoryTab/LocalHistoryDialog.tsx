@@ -0,0 +1,236 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Checkbox } from 'office-ui-fabric-react/lib/Checkbox';
+import { ChoiceGroup } from 'office-ui-fabric-react/lib/ChoiceGroup';
+import { Dialog, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { NeutralColors } from '@uifabric/fluent-theme';
+
+import { dispatcherState, locationState } from '../../../../../recoilModel';
+import { undoFunctionState } from '../../../../../recoilModel/undo/history';
+import { undoAssetFilesSelectorFamily } from '../../../../../recoilModel/selectors/undo';
+import { getUndoAssetTypeLabel, UndoAssetType } from '../../../../../recoilModel/undo/trackedAtoms';
+import { localHistory, LocalHistoryEntry, restoreHistoryFile } from '../../../../../recoilModel/undo/localHistory';
+import { SemanticDiffView } from '../../../../source-control/SemanticDiffView';
+
+type SnapshotSide = 'before' | 'after';
+
+const styles = {
+  entryList: css`
+    width: 240px;
+    max-height: 480px;
+    overflow-y: auto;
+    border-right: 1px solid ${NeutralColors.gray30};
+  `,
+  entry: (selected: boolean) => css`
+    display: block;
+    width: 100%;
+    text-align: left;
+    padding: 6px 8px;
+    border: none;
+    cursor: pointer;
+    background: ${selected ? NeutralColors.gray30 : 'transparent'};
+    &:hover {
+      background: ${NeutralColors.gray20};
+    }
+  `,
+  entryFiles: css`
+    color: ${NeutralColors.gray130};
+    font-size: 12px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  `,
+  details: css`
+    flex: 1;
+    min-width: 0;
+    max-height: 480px;
+    overflow-y: auto;
+  `,
+  fileRow: (selected: boolean) => css`
+    padding: 4px;
+    background: ${selected ? NeutralColors.gray20 : 'transparent'};
+    cursor: pointer;
+  `,
+  empty: css`
+    padding: 16px;
+    color: ${NeutralColors.gray130};
+  `,
+};
+
+type LocalHistoryDialogProps = {
+  projectId: string;
+  onDismiss: () => void;
+};
+
+export const LocalHistoryDialog: React.FC<LocalHistoryDialogProps> = ({ projectId, onDismiss }) => {
+  const location = useRecoilValue(locationState(projectId));
+  const currentFiles = useRecoilValue(undoAssetFilesSelectorFamily(projectId));
+  const { commitChanges } = useRecoilValue(undoFunctionState(projectId));
+  const dispatcher = useRecoilValue(dispatcherState);
+
+  const [entries, setEntries] = useState<LocalHistoryEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedEntryId, setSelectedEntryId] = useState<number>();
+  const [side, setSide] = useState<SnapshotSide>('after');
+  const [selectedFile, setSelectedFile] = useState('');
+  const [checkedFiles, setCheckedFiles] = useState<string[]>([]);
+
+  useEffect(() => {
+    localHistory
+      .getEntries(location)
+      .then(setEntries)
+      .catch(() => setEntries([]))
+      .finally(() => setLoading(false));
+  }, [location]);
+
+  const entry = entries.find(({ id }) => id === selectedEntryId);
+  const snapshotFiles = entry?.[side] ?? {};
+  const fileNames = entry ? Array.from(new Set([...Object.keys(entry.before), ...Object.keys(entry.after)])) : [];
+
+  // a snapshot can only be restored into a file that is still part of the bot
+  const isRestorable = (assetType: UndoAssetType, name: string) =>
+    name in snapshotFiles && name in currentFiles[assetType];
+
+  const diff = useMemo(() => {
+    if (!entry || !selectedFile) return undefined;
+    return {
+      path: selectedFile,
+      original: snapshotFiles[selectedFile] ?? '',
+      modified: currentFiles[entry.assetType][selectedFile] ?? '',
+    };
+  }, [entry, selectedFile, side, currentFiles]);
+
+  const selectEntry = (id?: number) => {
+    setSelectedEntryId(id);
+    setSelectedFile('');
+    setCheckedFiles([]);
+  };
+
+  const toggleFile = (name: string, checked?: boolean) => {
+    setCheckedFiles(checked ? [...checkedFiles, name] : checkedFiles.filter((file) => file !== name));
+  };
+
+  const restore = async () => {
+    if (!entry) return;
+    for (const name of checkedFiles.filter((file) => isRestorable(entry.assetType, file))) {
+      await restoreHistoryFile(dispatcher, projectId, entry.assetType, name, snapshotFiles[name]);
+    }
+    // the design page commits its own changes, the restore has to be undoable as well
+    if (entry.assetType === 'dialog') commitChanges();
+    onDismiss();
+  };
+
+  const clearHistory = async () => {
+    await localHistory.clear(location);
+    setEntries([]);
+    selectEntry(undefined);
+  };
+
+  const renderEntries = () => {
+    if (loading) return <div css={styles.empty}>{formatMessage('Loading...')}</div>;
+    if (!localHistory.isSupported) {
+      return <div css={styles.empty}>{formatMessage('Local history is not supported in this browser.')}</div>;
+    }
+    if (entries.length === 0) return <div css={styles.empty}>{formatMessage('No local history yet.')}</div>;
+
+    return entries.map(({ id, timestamp, assetType, before, after }) => (
+      <button
+        key={id}
+        css={styles.entry(id === selectedEntryId)}
+        data-testid="local-history-entry"
+        type="button"
+        onClick={() => selectEntry(id)}
+      >
+        <div>
+          {new Date(timestamp).toLocaleString()} - {getUndoAssetTypeLabel(assetType)}
+        </div>
+        <div css={styles.entryFiles}>
+          {Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).join(', ')}
+        </div>
+      </button>
+    ));
+  };
+
+  return (
+    <Dialog
+      dialogContentProps={{
+        title: formatMessage('Local history'),
+        subText: formatMessage(
+          'Undo goes back into earlier sessions until a change that added or removed files, or the files were changed outside of Composer. Pick any earlier change to compare its files with the current ones and restore the files you select.'
+        ),
+      }}
+      hidden={false}
+      maxWidth={1000}
+      minWidth={800}
+      onDismiss={onDismiss}
+    >
+      <Stack horizontal tokens={{ childrenGap: 16 }}>
+        <div aria-label={formatMessage('Local history entries')} css={styles.entryList} role="list">
+          {renderEntries()}
+        </div>
+        <div css={styles.details}>
+          {entry ? (
+            <React.Fragment>
+              <ChoiceGroup
+                label={formatMessage('Snapshot')}
+                options={[
+                  { key: 'after', text: formatMessage('After this change') },
+                  { key: 'before', text: formatMessage('Before this change') },
+                ]}
+                selectedKey={side}
+                styles={{ flexContainer: { display: 'flex', gap: 16 } }}
+                onChange={(_, option) => option && setSide(option.key as SnapshotSide)}
+              />
+              {fileNames.map((name) => (
+                <Stack
+                  key={name}
+                  horizontal
+                  css={styles.fileRow(name === selectedFile)}
+                  verticalAlign="center"
+                  onClick={() => setSelectedFile(name)}
+                >
+                  <Checkbox
+                    ariaLabel={formatMessage('Restore {name}', { name })}
+                    checked={checkedFiles.includes(name)}
+                    disabled={!isRestorable(entry.assetType, name)}
+                    onChange={(_, checked) => toggleFile(name, checked)}
+                  />
+                  <span
+                    title={
+                      isRestorable(entry.assetType, name)
+                        ? undefined
+                        : formatMessage('The file is missing in this snapshot or no longer in the bot')
+                    }
+                  >
+                    {name}
+                  </span>
+                </Stack>
+              ))}
+              <SemanticDiffView diff={diff} />
+            </React.Fragment>
+          ) : (
+            <div css={styles.empty}>{formatMessage('Select a change to see its files')}</div>
+          )}
+        </div>
+      </Stack>
+      <DialogFooter>
+        <DefaultButton disabled={entries.length === 0} text={formatMessage('Clear history')} onClick={clearHistory} />
+        <DefaultButton text={formatMessage('Cancel')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="local-history-restore"
+          disabled={!entry || checkedFiles.length === 0}
+          text={formatMessage('Restore selected files')}
+          onClick={restore}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
@@ -0,0 +1,16 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import formatMessage from 'format-message';
+
+import { TabExtensionConfig, HistoryTabKey } from '../types';
+
+import { HistoryTabHeader } from './HistoryTabHeader';
+import { HistoryTabContent } from './HistoryTabContent';
+
+export const HistoryTabConfig: TabExtensionConfig = {
+  key: HistoryTabKey,
+  description: () => formatMessage('Undo history tab'),
+  HeaderWidget: HistoryTabHeader,
+  ContentWidget: HistoryTabContent,
+};
@@ -0,0 +1,224 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { css, jsx } from '@emotion/core';
+import React, { useEffect, useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+import { DialogTestResult, DialogTestScript } from '@bfc/shared';
+import { ActionButton, IconButton } from 'office-ui-fabric-react/lib/Button';
+import { FontIcon } from 'office-ui-fabric-react/lib/Icon';
+import { Spinner, SpinnerSize } from 'office-ui-fabric-react/lib/Spinner';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { FluentTheme, NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { DebugPanelTabHeaderProps } from '../types';
+import {
+  dialogTestResultsState,
+  dialogTestsRunningState,
+  dialogTestsState,
+  dispatcherState,
+  rootBotProjectIdSelector,
+  webChatEssentialsSelector,
+} from '../../../../../recoilModel';
+import { BotStatus } from '../../../../../constants';
+
+const styles = {
+  root: css`
+    height: 100%;
+    overflow-y: auto;
+    padding: 0 16px;
+    font-size: ${FluentTheme.fonts.small.fontSize};
+  `,
+  row: css`
+    padding: 2px 0;
+    border-bottom: 1px solid ${NeutralColors.gray30};
+  `,
+  name: css`
+    flex: 1;
+    margin-left: 8px;
+    cursor: pointer;
+  `,
+  duration: css`
+    color: ${NeutralColors.gray130};
+    margin: 0 8px;
+  `,
+  steps: css`
+    margin: 0 0 4px 24px;
+    padding: 0;
+    list-style: none;
+  `,
+  step: css`
+    padding: 2px 0;
+    font-family: ${FluentTheme.fonts.small.fontFamily};
+  `,
+  error: css`
+    color: ${SharedColors.red10};
+  `,
+  label: css`
+    color: ${NeutralColors.gray130};
+    margin-right: 4px;
+  `,
+  empty: css`
+    color: ${NeutralColors.gray130};
+    padding: 8px 0;
+  `,
+};
+
+const buttonStyles = { root: { height: 24, fontSize: FluentTheme.fonts.small.fontSize } };
+const iconButtonStyles = { root: { height: 24, width: 24 }, icon: { fontSize: 12 } };
+
+const statusIcons: Record<DialogTestResult['status'], { iconName: string; color: string }> = {
+  passed: { iconName: 'CompletedSolid', color: SharedColors.green10 },
+  failed: { iconName: 'StatusErrorFull', color: SharedColors.red10 },
+  error: { iconName: 'WarningSolid', color: SharedColors.orange10 },
+};
+
+const TestStatusIcon: React.FC<{ result?: DialogTestResult; running: boolean }> = ({ result, running }) => {
+  if (running) return <Spinner size={SpinnerSize.xSmall} />;
+  if (!result) {
+    return (
+      <FontIcon aria-label={formatMessage('Not run')} css={{ color: NeutralColors.gray90 }} iconName="CircleRing" />
+    );
+  }
+  const { iconName, color } = statusIcons[result.status];
+  return <FontIcon aria-label={result.status} css={{ color }} iconName={iconName} />;
+};
+
+const TestResultDetails: React.FC<{ result: DialogTestResult }> = ({ result }) => {
+  const failures = result.steps.filter(({ passed }) => !passed);
+  return (
+    <ul css={styles.steps}>
+      {result.error && <li css={[styles.step, styles.error]}>{result.error}</li>}
+      {failures.map(({ index, expected, actual, message }) => (
+        <li key={`${index}-${actual}`} css={styles.step}>
+          <span css={styles.label}>{formatMessage('Step {index}', { index: index + 1 })}</span>
+          {message && <span css={styles.label}>{message}.</span>}
+          {expected && (
+            <React.Fragment>
+              <span css={styles.label}>{formatMessage('Expected')}</span>
+              <code>{expected}</code>{' '}
+            </React.Fragment>
+          )}
+          {actual !== undefined && (
+            <React.Fragment>
+              <span css={styles.label}>{formatMessage('Actual')}</span>
+              <code>{actual}</code>
+            </React.Fragment>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export const TestsTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }) => {
+  const projectId = useRecoilValue(rootBotProjectIdSelector) ?? '';
+  const tests = useRecoilValue(dialogTestsState(projectId));
+  const results = useRecoilValue(dialogTestResultsState(projectId));
+  const running = useRecoilValue(dialogTestsRunningState(projectId));
+  const { botUrl, secret, activeLocale, botStatus } = useRecoilValue(webChatEssentialsSelector(projectId));
+  const { fetchDialogTests, runDialogTests, deleteDialogTest } = useRecoilValue(dispatcherState);
+  const [expanded, setExpanded] = useState<string[]>([]);
+
+  useEffect(() => {
+    if (isActive && projectId) fetchDialogTests(projectId);
+  }, [isActive, projectId]);
+
+  if (!isActive || !projectId) return null;
+
+  const canRun = botStatus === BotStatus.connected && !!botUrl && running.length === 0;
+
+  const run = (names?: string[]) => {
+    runDialogTests(projectId, {
+      botUrl,
+      msaAppId: secret.msAppId,
+      msaPassword: secret.msPassword,
+      locale: activeLocale,
+      names,
+    });
+  };
+
+  const toggleExpanded = (name: string) => {
+    setExpanded(expanded.includes(name) ? expanded.filter((item) => item !== name) : [...expanded, name]);
+  };
+
+  const passed = tests.filter(({ name }) => results[name]?.status === 'passed').length;
+  const ran = tests.filter(({ name }) => results[name]).length;
+
+  const renderTest = ({ name, activities }: DialogTestScript) => {
+    const result = results[name];
+    const isExpanded = expanded.includes(name) && !!result && result.status !== 'passed';
+    return (
+      <div key={name} css={styles.row} data-testid={`DialogTest-${name}`}>
+        <Stack horizontal verticalAlign="center">
+          <TestStatusIcon result={result} running={running.includes(name)} />
+          <span
+            aria-expanded={isExpanded}
+            css={styles.name}
+            role="button"
+            tabIndex={0}
+            onClick={() => toggleExpanded(name)}
+          >
+            {name}
+          </span>
+          <span css={styles.duration}>
+            {result
+              ? formatMessage('{duration} ms', { duration: result.duration })
+              : formatMessage('{count, plural, =1 {1 activity} other {# activities}}', { count: activities.length })}
+          </span>
+          <IconButton
+            ariaLabel={formatMessage('Run {name}', { name })}
+            disabled={!canRun}
+            iconProps={{ iconName: 'Play' }}
+            styles={iconButtonStyles}
+            onClick={() => run([name])}
+          />
+          <IconButton
+            ariaLabel={formatMessage('Delete {name}', { name })}
+            disabled={running.length > 0}
+            iconProps={{ iconName: 'Delete' }}
+            styles={iconButtonStyles}
+            onClick={() => deleteDialogTest(projectId, name)}
+          />
+        </Stack>
+        {isExpanded && result && <TestResultDetails result={result} />}
+      </div>
+    );
+  };
+
+  return (
+    <div css={styles.root} data-testid="TestsTabContent">
+      <Stack horizontal verticalAlign="center">
+        <ActionButton
+          data-testid="run-all-tests"
+          disabled={!canRun || tests.length === 0}
+          iconProps={{ iconName: 'Play' }}
+          styles={buttonStyles}
+          text={formatMessage('Run all')}
+          onClick={() => run()}
+        />
+        <ActionButton
+          iconProps={{ iconName: 'Refresh' }}
+          styles={buttonStyles}
+          text={formatMessage('Refresh')}
+          onClick={() => fetchDialogTests(projectId)}
+        />
+        {ran > 0 && <span css={styles.duration}>{formatMessage('{passed} of {ran} passed', { passed, ran })}</span>}
+      </Stack>
+      {botStatus !== BotStatus.connected && (
+        <div css={styles.empty}>{formatMessage('Start the bot to run its tests.')}</div>
+      )}
+      {tests.length === 0 ? (
+        <div css={styles.empty}>
+          {formatMessage(
+            'No tests yet. Tests are .transcript files in the tests folder of the bot: activities from the user are sent to the bot and activities from the bot are the replies it has to send.'
+          )}
+        </div>
+      ) : (
+        tests.map(renderTest)
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,37 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import { useRecoilValue } from 'recoil';
+import formatMessage from 'format-message';
+
+import { DebugPanelTabHeaderProps } from '../types';
+import { dialogTestResultsState, rootBotProjectIdSelector } from '../../../../../recoilModel';
+import { DebugPanelErrorIndicator } from '../DebugPanelErrorIndicator';
+
+export const TestsTabHeader: React.FC<DebugPanelTabHeaderProps> = () => {
+  const rootBotId = useRecoilValue(rootBotProjectIdSelector) ?? '';
+  const results = useRecoilValue(dialogTestResultsState(rootBotId));
+  const hasFailure = Object.values(results).some(({ status }) => status !== 'passed');
+
+  return (
+    <div
+      css={css`
+        display: flex;
+        flex-direction: row;
+        align-items: center;
+      `}
+      data-testid="Tab-Tests"
+    >
+      <div
+        css={css`
+          margin-right: ${hasFailure ? 4 : 0}px;
+        `}
+      >
+        {formatMessage('Tests')}
+      </div>
+      <DebugPanelErrorIndicator hasError={hasFailure} />
+    </div>
+  );
+};
@@ -0,0 +1,16 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import formatMessage from 'format-message';
+
+import { TabExtensionConfig, TestsTabKey } from '../types';
+
+import { TestsTabHeader } from './TestsTabHeader';
+import { TestsTabContent } from './TestsTabContent';
+
+export const TestsTabConfig: TabExtensionConfig = {
+  key: TestsTabKey,
+  description: () => formatMessage('Dialog tests tab which runs test scripts against the local bot.'),
+  HeaderWidget: TestsTabHeader,
+  ContentWidget: TestsTabContent,
+};
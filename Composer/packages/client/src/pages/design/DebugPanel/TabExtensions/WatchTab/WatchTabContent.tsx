@@ -8,7 +8,7 @@ import { useRecoilValue } from 'recoil';
 import { v4 as uuidv4 } from 'uuid';
 import { ConversationActivityTrafficItem, Activity, UserSettings } from '@botframework-composer/types';
 import { Stack } from 'office-ui-fabric-react/lib/Stack';
-import { CommandBar, ICommandBarStyles } from 'office-ui-fabric-react/lib/CommandBar';
+import { CommandBar, ICommandBarItemProps, ICommandBarStyles } from 'office-ui-fabric-react/lib/CommandBar';
 import {
   DetailsList,
   DetailsListLayoutMode,
@@ -33,7 +33,10 @@ import { IButtonStyles } from 'office-ui-fabric-react/lib/Button';
 
 import { DebugPanelTabHeaderProps } from '../types';
 import {
+  botEndpointsState,
+  botStatusState,
   currentProjectIdState,
+  debuggerState,
   dispatcherState,
   userSettingsState,
   watchedVariablesState,
@@ -41,6 +44,7 @@ import {
 } from '../../../../../recoilModel';
 import { WatchVariablePicker } from '../../WatchVariablePicker/WatchVariablePicker';
 import TelemetryClient from '../../../../../telemetry/TelemetryClient';
+import { BotStatus } from '../../../../../constants';
 
 import { WatchTabObjectValue } from './WatchTabObjectValue';
 
@@ -120,6 +124,21 @@ const addButtonStyles: Partial<IButtonStyles> = {
   },
 };
 
+const pausedState = css`
+  font-family: ${FluentTheme.fonts.small.fontFamily};
+  font-size: ${FluentTheme.fonts.small.fontSize};
+  line-height: ${toolbarHeight}px;
+  padding-right: 16px;
+`;
+
+const scopeName = css`
+  font-family: ${FluentTheme.fonts.small.fontFamily};
+  font-size: ${FluentTheme.fonts.small.fontSize};
+  font-weight: ${FluentTheme.fonts.small.fontWeight};
+  display: block;
+  padding: 8px 0 4px;
+`;
+
 const NameColumnKey = 'watchTabNameColumn';
 const ValueColumnKey = 'watchTabValueColumn';
 
@@ -153,7 +172,10 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
   const currentProjectId = useRecoilValue(currentProjectIdState);
   const rawWebChatTraffic = useRecoilValue(webChatTrafficState(currentProjectId));
   const watchedVariables = useRecoilValue(watchedVariablesState(currentProjectId));
-  const { setWatchedVariables } = useRecoilValue(dispatcherState);
+  const debuggerStatus = useRecoilValue(debuggerState(currentProjectId));
+  const botStatus = useRecoilValue(botStatusState(currentProjectId));
+  const debugPort = useRecoilValue(botEndpointsState)[currentProjectId]?.debugPort;
+  const { setWatchedVariables, sendDebuggerCommand, startDebugging, stopDebugging } = useRecoilValue(dispatcherState);
   const [uncommittedWatchedVariables, setUncommittedWatchedVariables] = useState<Record<string, string>>({});
   const [selectedVariables, setSelectedVariables] = useState<IObjectWithKey[]>();
   const userSettings = useRecoilValue(userSettingsState);
@@ -181,6 +203,16 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
     }
   }, [rawWebChatTraffic]);
 
+  const paused = debuggerStatus.status === 'paused';
+
+  // while the bot is paused in the debugger its memory scopes replace the last bot state trace
+  const botMemory = useMemo(() => {
+    if (paused) {
+      return { value: debuggerStatus.scopes ?? {} } as Activity;
+    }
+    return mostRecentBotState?.activity;
+  }, [paused, debuggerStatus.scopes, mostRecentBotState]);
+
   const onRenderVariableName = useCallback(
     (item: { key: string; value: string }, index: number | undefined, column: IColumn | undefined) => {
       return <WatchVariablePicker key={item.key} path={item.value} variableId={item.key} />;
@@ -190,14 +222,14 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
 
   const onRenderVariableValue = useCallback(
     (item: { key: string; value: string }, index: number | undefined, column: IColumn | undefined) => {
-      if (mostRecentBotState) {
+      if (botMemory) {
         const variable = watchedVariables[item.key];
         if (variable === undefined) {
           // the variable has not been committed yet
           return null;
         }
         // try to determine the value and render it accordingly
-        const { propertyIsAvailable, value } = getValueFromBotTraceMemory(variable, mostRecentBotState?.activity);
+        const { propertyIsAvailable, value } = getValueFromBotTraceMemory(variable, botMemory);
         if (propertyIsAvailable) {
           if (value !== null && typeof value === 'object') {
             // render monaco view
@@ -221,7 +253,7 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
         ) : null;
       }
     },
-    [mostRecentBotState, userSettings, watchedVariables]
+    [botMemory, userSettings, watchedVariables]
   );
 
   // TODO: update to office-ui-fabric-react@7.170.x to gain access to "flexGrow" column property to distribute proprotional column widths
@@ -260,7 +292,7 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
         value: watchedVariables[key] ?? value,
       };
     });
-  }, [mostRecentBotState, uncommittedWatchedVariables, watchedVariables]);
+  }, [botMemory, uncommittedWatchedVariables, watchedVariables]);
 
   const renderRow = useCallback((props?: IDetailsRowProps) => {
     return props ? <DetailsRow {...props} styles={rowStyles()} /> : null;
@@ -306,6 +338,48 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
     );
   };
 
+  // only runtimes with a debug adapter report a debug port
+  const canDebug = botStatus === BotStatus.connected && !!debugPort;
+
+  const debuggerItems: ICommandBarItemProps[] = useMemo(() => {
+    if (debuggerStatus.status === 'detached') {
+      if (!canDebug) return [];
+      return [
+        {
+          key: 'startDebugging',
+          text: formatMessage('Start debugging'),
+          iconProps: { iconName: 'Bug' },
+          onClick: () => startDebugging(currentProjectId),
+        },
+      ];
+    }
+    const command = (key: string, text: string, iconName: string, onClick: () => void, disabled = !paused) => ({
+      key,
+      text,
+      iconOnly: key !== 'continue',
+      iconProps: { iconName },
+      disabled,
+      onClick,
+    });
+    return [
+      command('continue', formatMessage('Continue'), 'Play', () => sendDebuggerCommand(currentProjectId, 'continue')),
+      command('stepOver', formatMessage('Step over'), 'Redo', () => sendDebuggerCommand(currentProjectId, 'next')),
+      command('stepIn', formatMessage('Step into'), 'Down', () => sendDebuggerCommand(currentProjectId, 'stepIn')),
+      command('stepOut', formatMessage('Step out'), 'Up', () => sendDebuggerCommand(currentProjectId, 'stepOut')),
+      command('pause', formatMessage('Pause'), 'Pause', () => sendDebuggerCommand(currentProjectId, 'pause'), paused),
+      command('stopDebugging', formatMessage('Stop debugging'), 'Stop', () => stopDebugging(currentProjectId), false),
+    ];
+  }, [currentProjectId, debuggerStatus.status, paused, canDebug]);
+
+  const pausedItems: ICommandBarItemProps[] = useMemo(() => {
+    if (!paused) return [];
+    const { location } = debuggerStatus;
+    const text = location
+      ? formatMessage('Paused on {action} in {dialog}', { action: location.path, dialog: location.dialogId })
+      : formatMessage('Paused');
+    return [{ key: 'pausedOn', onRender: () => <span css={pausedState}>{text}</span> }];
+  }, [paused, debuggerStatus.location]);
+
   if (!isActive) {
     return null;
   }
@@ -318,6 +392,7 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
           padding: '8px 16px 16px 16px',
           alignItems: 'center',
         }}
+        farItems={pausedItems}
         items={[
           {
             key: 'addProperty',
@@ -333,6 +408,7 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
             iconProps: { iconName: 'Cancel' },
             onClick: onClickRemove,
           },
+          ...debuggerItems,
         ]}
         styles={commandBarStyles}
       />
@@ -368,6 +444,16 @@ export const WatchTabContent: React.FC<DebugPanelTabHeaderProps> = ({ isActive }
               )}
             </span>
           )}
+          {paused && (
+            <div data-testid="debugger-scopes">
+              {Object.entries(debuggerStatus.scopes ?? {}).map(([name, value]) => (
+                <div key={name}>
+                  <span css={scopeName}>{name}</span>
+                  <WatchTabObjectValue value={value} />
+                </div>
+              ))}
+            </div>
+          )}
         </ScrollablePane>
       </Stack.Item>
     </Stack>
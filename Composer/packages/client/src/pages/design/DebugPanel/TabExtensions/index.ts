@@ -6,12 +6,18 @@ import { DiagnosticsTabConfig } from './DiagnosticsTab';
 import { WebChatLogTabConfig } from './WebChatLog/config';
 import { RuntimeOutputTabConfig } from './RuntimeOutputLog';
 import { WatchTabConfig } from './WatchTab/config';
+import { HistoryTabConfig } from './HistoryTab/config';
+import { TestsTabConfig } from './TestsTab/config';
+import { BuildTabConfig } from './BuildTab/config';
 
 const implementedDebugExtensions: TabExtensionConfig[] = [
   DiagnosticsTabConfig,
   WebChatLogTabConfig,
   RuntimeOutputTabConfig,
   WatchTabConfig,
+  HistoryTabConfig,
+  TestsTabConfig,
+  BuildTabConfig,
 ];
 
 export default implementedDebugExtensions;
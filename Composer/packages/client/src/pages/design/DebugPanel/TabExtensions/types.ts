@@ -7,12 +7,18 @@ export const DiagnosticsTabKey = 'Diagnostics';
 export const WebChatInspectorTabKey = 'WebChatInspector';
 export const RuntimeLogTabKey = 'RuntimeLog';
 export const WatchTabKey = 'Watch';
+export const HistoryTabKey = 'History';
+export const TestsTabKey = 'Tests';
+export const BuildTabKey = 'Build';
 
 export type DebugDrawerKeys =
   | typeof DiagnosticsTabKey
   | typeof WebChatInspectorTabKey
   | typeof RuntimeLogTabKey
-  | typeof WatchTabKey;
+  | typeof WatchTabKey
+  | typeof HistoryTabKey
+  | typeof TestsTabKey
+  | typeof BuildTabKey;
 
 export type DebugPanelTabHeaderProps = {
   isActive: boolean;
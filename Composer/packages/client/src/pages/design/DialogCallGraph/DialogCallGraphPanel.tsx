@@ -0,0 +1,301 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx, css } from '@emotion/core';
+import React, { useMemo, useState } from 'react';
+import formatMessage from 'format-message';
+import uniq from 'lodash/uniq';
+import { useRecoilValue } from 'recoil';
+import { conceptLabels } from '@bfc/shared';
+import { CallGraphEdge, CallGraphNode } from '@bfc/indexers';
+import { Panel, PanelType } from 'office-ui-fabric-react/lib/Panel';
+import { Checkbox } from 'office-ui-fabric-react/lib/Checkbox';
+import { Dropdown, IDropdownOption } from 'office-ui-fabric-react/lib/Dropdown';
+import { Link } from 'office-ui-fabric-react/lib/Link';
+import { MessageBar, MessageBarType } from 'office-ui-fabric-react/lib/MessageBar';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { dialogCallGraphSelector, rootBotProjectIdSelector } from '../../../recoilModel';
+import { convertPathToUrl, navigateTo } from '../../../utils/navigation';
+
+import { CallGraphLink, layoutCallGraph } from './callGraphLayout';
+
+const graphContainer = css`
+  flex: 1;
+  overflow: auto;
+  border: 1px solid ${NeutralColors.gray30};
+`;
+
+const callList = css`
+  width: 300px;
+  overflow-y: auto;
+  padding-left: 16px;
+  ul {
+    padding-left: 16px;
+  }
+  li {
+    margin-bottom: 8px;
+  }
+`;
+
+const CallKindLabels = {
+  begin: () => formatMessage('begins'),
+  replace: () => formatMessage('replaces the dialog with'),
+  repeat: () => formatMessage('repeats'),
+  skill: () => formatMessage('calls the skill'),
+};
+
+const getTriggerKindLabel = (kind: string) => conceptLabels()[kind]?.title ?? kind;
+
+const getNodeColors = (node: CallGraphNode, selected: boolean, inCycle: boolean) => ({
+  fill: selected ? SharedColors.cyanBlue10 : node.kind === 'skill' ? NeutralColors.gray20 : NeutralColors.white,
+  stroke: inCycle ? SharedColors.red10 : node.isRoot ? SharedColors.cyanBlue10 : NeutralColors.gray90,
+  text: selected ? NeutralColors.white : NeutralColors.gray160,
+});
+
+type Selection = { kind: 'node' | 'link'; id: string };
+
+type Props = {
+  isOpen: boolean;
+  onDismiss: () => void;
+};
+
+/**
+ * How the dialogs of the bots of the project space call each other and their skills, with the cycles of calls.
+ * Selecting a dialog or a link lists the calling actions, which open in the flow editor.
+ */
+export const DialogCallGraphPanel: React.FC<Props> = ({ isOpen, onDismiss }) => {
+  const graph = useRecoilValue(dialogCallGraphSelector);
+  const rootBotProjectId = useRecoilValue(rootBotProjectIdSelector) ?? '';
+  const [hiddenTriggerKinds, setHiddenTriggerKinds] = useState<string[]>([]);
+  const [cyclesOnly, setCyclesOnly] = useState(false);
+  const [selection, setSelection] = useState<Selection>();
+
+  const triggerKindOptions: IDropdownOption[] = useMemo(
+    () =>
+      uniq(graph.edges.map(({ triggerKind }) => triggerKind)).map((kind) => ({
+        key: kind,
+        text: getTriggerKindLabel(kind),
+        selected: !hiddenTriggerKinds.includes(kind),
+      })),
+    [graph.edges, hiddenTriggerKinds]
+  );
+
+  const { nodes, edges } = useMemo(() => {
+    const cycleNodes = new Set(graph.cycles.reduce((result: string[], cycle) => result.concat(cycle), []));
+    const edges = graph.edges.filter(
+      ({ triggerKind, inCycle }) => !hiddenTriggerKinds.includes(triggerKind) && (!cyclesOnly || inCycle)
+    );
+    const linked = new Set(edges.reduce((result: string[], { from, to }) => result.concat(from, to), []));
+    const nodes = graph.nodes.filter(({ id, kind, isMissing }) =>
+      cyclesOnly ? cycleNodes.has(id) : linked.has(id) || (kind === 'dialog' && !isMissing)
+    );
+    return { nodes, edges };
+  }, [graph, hiddenTriggerKinds, cyclesOnly]);
+
+  const layout = useMemo(() => layoutCallGraph(nodes, edges), [nodes, edges]);
+  const nodesById = useMemo(() => new Map(graph.nodes.map((node) => [node.id, node])), [graph.nodes]);
+  const cycleNodeIds = useMemo(() => new Set(edges.filter(({ inCycle }) => inCycle).map(({ from }) => from)), [edges]);
+
+  const getNodeName = (id: string) => {
+    const node = nodesById.get(id);
+    if (!node) return id;
+    return node.kind === 'dialog' && graph.nodes.some((other) => other.projectId !== node.projectId)
+      ? `${node.botName} / ${node.displayName}`
+      : node.displayName;
+  };
+
+  const selectedCalls: CallGraphEdge[] = !selection
+    ? []
+    : selection.kind === 'link'
+    ? layout.links.find(({ id }) => id === selection.id)?.calls ?? []
+    : edges.filter(({ from, to }) => from === selection.id || to === selection.id);
+
+  const openCall = ({ projectId, dialogId, path }: CallGraphEdge) => {
+    navigateTo(convertPathToUrl(rootBotProjectId, projectId, dialogId, `${dialogId}.${path}`));
+    onDismiss();
+  };
+
+  const openDialog = (node: CallGraphNode) => {
+    if (node.kind !== 'dialog' || node.isMissing) return;
+    navigateTo(convertPathToUrl(rootBotProjectId, node.projectId, node.dialogId));
+    onDismiss();
+  };
+
+  const renderLink = (link: CallGraphLink) => {
+    const selected = selection?.kind === 'link' && selection.id === link.id;
+    const color = link.inCycle ? SharedColors.red10 : selected ? SharedColors.cyanBlue10 : NeutralColors.gray90;
+    const dashed = link.calls.every(({ kind }) => kind === 'replace' || kind === 'repeat');
+    return (
+      <g
+        key={link.id}
+        aria-label={formatMessage('{from} calls {to}', { from: getNodeName(link.from), to: getNodeName(link.to) })}
+        css={{ cursor: 'pointer' }}
+        data-testid="CallGraphLink"
+        role="button"
+        tabIndex={0}
+        onClick={() => setSelection({ kind: 'link', id: link.id })}
+        onKeyDown={(e) => e.key === 'Enter' && setSelection({ kind: 'link', id: link.id })}
+      >
+        {/* wider invisible stroke to make the link easier to click */}
+        <path d={link.path} fill="none" stroke="transparent" strokeWidth={10} />
+        <path
+          d={link.path}
+          fill="none"
+          markerEnd={link.inCycle ? 'url(#callGraphArrowCycle)' : 'url(#callGraphArrow)'}
+          stroke={color}
+          strokeDasharray={dashed ? '4 3' : undefined}
+          strokeWidth={selected ? 2 : 1}
+        />
+        {link.calls.length > 1 && (
+          <text fill={color} fontSize={11} textAnchor="middle" x={link.labelX} y={link.labelY}>
+            {`×${link.calls.length}`}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  const renderNode = (node: CallGraphNode) => {
+    const box = layout.boxes[node.id];
+    if (!box) return null;
+    const selected = selection?.kind === 'node' && selection.id === node.id;
+    const colors = getNodeColors(node, selected, cycleNodeIds.has(node.id));
+    return (
+      <g
+        key={node.id}
+        aria-label={getNodeName(node.id)}
+        css={{ cursor: 'pointer' }}
+        data-testid="CallGraphNode"
+        role="button"
+        tabIndex={0}
+        onClick={() => setSelection({ kind: 'node', id: node.id })}
+        onDoubleClick={() => openDialog(node)}
+        onKeyDown={(e) => e.key === 'Enter' && setSelection({ kind: 'node', id: node.id })}
+      >
+        <title>{getNodeName(node.id)}</title>
+        <rect
+          fill={colors.fill}
+          height={box.height}
+          rx={node.kind === 'skill' ? box.height / 2 : 2}
+          stroke={colors.stroke}
+          strokeDasharray={node.isMissing ? '4 3' : undefined}
+          strokeWidth={node.isRoot ? 2 : 1}
+          width={box.width}
+          x={box.x}
+          y={box.y}
+        />
+        <text
+          dominantBaseline="middle"
+          fill={colors.text}
+          fontSize={12}
+          textAnchor="middle"
+          x={box.x + box.width / 2}
+          y={box.y + box.height / 2}
+        >
+          {node.displayName.length > 24 ? `${node.displayName.substring(0, 23)}…` : node.displayName}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <Panel
+      isLightDismiss
+      closeButtonAriaLabel={formatMessage('Close')}
+      headerText={formatMessage('Dialog call graph')}
+      isOpen={isOpen}
+      styles={{ scrollableContent: { display: 'flex', flexDirection: 'column', height: '100%' } }}
+      type={PanelType.large}
+      onDismiss={onDismiss}
+    >
+      <Stack horizontal tokens={{ childrenGap: 16 }} verticalAlign="end">
+        <Dropdown
+          multiSelect
+          label={formatMessage('Triggers')}
+          options={triggerKindOptions}
+          placeholder={formatMessage('No triggers')}
+          styles={{ root: { width: 280 } }}
+          onChange={(_, option) => {
+            if (!option) return;
+            const kind = option.key as string;
+            setHiddenTriggerKinds(
+              option.selected ? hiddenTriggerKinds.filter((hidden) => hidden !== kind) : [...hiddenTriggerKinds, kind]
+            );
+          }}
+        />
+        <Checkbox
+          checked={cyclesOnly}
+          label={formatMessage('Only show cycles')}
+          styles={{ root: { marginBottom: 6 } }}
+          onChange={(_, checked) => setCyclesOnly(!!checked)}
+        />
+      </Stack>
+
+      {graph.cycles.length > 0 && (
+        <MessageBar css={{ margin: '12px 0' }} messageBarType={MessageBarType.warning}>
+          {formatMessage(
+            '{count, plural, =1 {1 cycle of calls} other {# cycles of calls}}: {cycles}. A dialog that begins itself again without ending keeps growing the dialog stack.',
+            {
+              count: graph.cycles.length,
+              cycles: graph.cycles
+                .map((cycle) => [...cycle, cycle[0]].map((id) => nodesById.get(id)?.displayName ?? id).join(' → '))
+                .join('; '),
+            }
+          )}
+        </MessageBar>
+      )}
+
+      <div css={{ display: 'flex', flex: 1, minHeight: 0, marginTop: 12 }}>
+        <div css={graphContainer} data-testid="DialogCallGraph">
+          <svg height={layout.height} width={layout.width}>
+            <defs>
+              {[
+                ['callGraphArrow', NeutralColors.gray90],
+                ['callGraphArrowCycle', SharedColors.red10],
+              ].map(([id, color]) => (
+                <marker key={id} id={id} markerHeight={8} markerWidth={8} orient="auto" refX={8} refY={4}>
+                  <path d="M 0 0 L 8 4 L 0 8 z" fill={color} />
+                </marker>
+              ))}
+            </defs>
+            {layout.links.map(renderLink)}
+            {nodes.map(renderNode)}
+          </svg>
+        </div>
+
+        <div css={callList} data-testid="DialogCallGraphCalls">
+          {!selection ? (
+            <Text>
+              {formatMessage(
+                'Select a dialog or a link to list the actions calling it. Double click a dialog to open it.'
+              )}
+            </Text>
+          ) : selectedCalls.length === 0 ? (
+            <Text>{formatMessage('No calls.')}</Text>
+          ) : (
+            <ul>
+              {selectedCalls.map((call) => (
+                <li key={`${call.from}/${call.path}`}>
+                  <Link onClick={() => openCall(call)}>
+                    {formatMessage('{dialog} {action} {target}', {
+                      dialog: getNodeName(call.from),
+                      action: CallKindLabels[call.kind](),
+                      target: getNodeName(call.to),
+                    })}
+                  </Link>
+                  <Text block variant="small">
+                    {getTriggerKindLabel(call.triggerKind)}
+                  </Text>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Panel>
+  );
+};
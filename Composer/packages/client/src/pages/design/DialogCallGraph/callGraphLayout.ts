@@ -0,0 +1,151 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { CallGraphEdge, CallGraphNode } from '@bfc/indexers';
+
+export const NodeSize = { width: 180, height: 44 };
+const ColumnGap = 100;
+const RowGap = 28;
+// room for the loops above the nodes and the back links below them
+const Margin = 60;
+
+export type CallGraphBox = { x: number; y: number; width: number; height: number };
+
+/** All the calls from one node to another, drawn as one link. */
+export type CallGraphLink = {
+  id: string;
+  from: string;
+  to: string;
+  calls: CallGraphEdge[];
+  inCycle: boolean;
+  path: string;
+  labelX: number;
+  labelY: number;
+};
+
+export type CallGraphLayout = {
+  width: number;
+  height: number;
+  boxes: Record<string, CallGraphBox>;
+  links: CallGraphLink[];
+};
+
+/**
+ * The column of each node: the root dialogs come first and each dialog is one column right of the closest dialog
+ * calling it. The dialogs nothing reaches from the root start new columns of their own.
+ */
+export const rankNodes = (nodes: CallGraphNode[], edges: CallGraphEdge[]): Map<string, number> => {
+  const ranks = new Map<string, number>();
+  const called = new Set(edges.filter(({ from, to }) => from !== to).map(({ to }) => to));
+
+  const visit = (start: string) => {
+    ranks.set(start, 0);
+    const queue = [start];
+    while (queue.length) {
+      const id = queue.shift() as string;
+      edges
+        .filter(({ from, to }) => from === id && !ranks.has(to))
+        .forEach(({ to }) => {
+          ranks.set(to, (ranks.get(id) as number) + 1);
+          queue.push(to);
+        });
+    }
+  };
+
+  [
+    ...nodes.filter(({ isRoot }) => isRoot),
+    ...nodes.filter(({ id }) => !called.has(id)),
+    // the rest only sits in cycles nothing else reaches
+    ...nodes,
+  ].forEach(({ id }) => {
+    if (!ranks.has(id)) visit(id);
+  });
+  return ranks;
+};
+
+const linkPath = (from: CallGraphBox, to: CallGraphBox, isSelf: boolean) => {
+  if (isSelf) {
+    const start = { x: from.x + from.width - 40, y: from.y };
+    const end = { x: from.x + from.width, y: from.y + from.height / 2 };
+    return {
+      path: `M ${start.x} ${start.y} C ${start.x} ${start.y - 40}, ${end.x + 40} ${end.y}, ${end.x} ${end.y}`,
+      labelX: end.x + 12,
+      labelY: start.y - 16,
+    };
+  }
+
+  if (to.x > from.x) {
+    const start = { x: from.x + from.width, y: from.y + from.height / 2 };
+    const end = { x: to.x, y: to.y + to.height / 2 };
+    const bend = (end.x - start.x) / 2;
+    return {
+      path: `M ${start.x} ${start.y} C ${start.x + bend} ${start.y}, ${end.x - bend} ${end.y}, ${end.x} ${end.y}`,
+      labelX: (start.x + end.x) / 2,
+      labelY: (start.y + end.y) / 2 - 6,
+    };
+  }
+
+  // links going back to a column on the left or in the same column pass below the nodes
+  const start = { x: from.x + from.width / 2, y: from.y + from.height };
+  const end = { x: to.x + to.width / 2, y: to.y + to.height };
+  const depth = 30 + Math.abs(start.x - end.x) * 0.1;
+  const bottom = Math.max(start.y, end.y) + depth;
+  return {
+    path: `M ${start.x} ${start.y} C ${start.x} ${bottom}, ${end.x} ${bottom}, ${end.x} ${end.y}`,
+    labelX: (start.x + end.x) / 2,
+    labelY: bottom - 6,
+  };
+};
+
+/**
+ * Places the nodes of the call graph in columns and draws the links between them.
+ */
+export const layoutCallGraph = (nodes: CallGraphNode[], edges: CallGraphEdge[]): CallGraphLayout => {
+  const ranks = rankNodes(nodes, edges);
+  const columns: CallGraphNode[][] = [];
+  nodes.forEach((node) => {
+    const rank = ranks.get(node.id) ?? 0;
+    (columns[rank] = columns[rank] ?? []).push(node);
+  });
+
+  const boxes: Record<string, CallGraphBox> = {};
+  columns.forEach((column, rank) => {
+    column.forEach(({ id }, row) => {
+      boxes[id] = {
+        x: Margin + rank * (NodeSize.width + ColumnGap),
+        y: Margin + row * (NodeSize.height + RowGap),
+        ...NodeSize,
+      };
+    });
+  });
+
+  const linksById = new Map<string, CallGraphLink>();
+  edges.forEach((edge) => {
+    const id = `${edge.from}\n${edge.to}`;
+    const link = linksById.get(id);
+    if (link) {
+      link.calls.push(edge);
+      link.inCycle = link.inCycle || edge.inCycle;
+      return;
+    }
+    const from = boxes[edge.from];
+    const to = boxes[edge.to];
+    if (!from || !to) return;
+    linksById.set(id, {
+      id,
+      from: edge.from,
+      to: edge.to,
+      calls: [edge],
+      inCycle: edge.inCycle,
+      ...linkPath(from, to, edge.from === edge.to),
+    });
+  });
+
+  const rows = Math.max(0, ...columns.map((column) => column?.length ?? 0));
+  return {
+    width: Margin * 2 + columns.length * NodeSize.width + Math.max(0, columns.length - 1) * ColumnGap,
+    height: Margin * 2 + rows * NodeSize.height + Math.max(0, rows - 1) * RowGap,
+    boxes,
+    links: Array.from(linksById.values()),
+  };
+};
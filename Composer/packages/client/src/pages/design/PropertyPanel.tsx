@@ -19,6 +19,7 @@ import {
 } from '../../recoilModel';
 import { undoVersionState } from '../../recoilModel/undo/history';
 import { LoadingSpinner } from '../../components/LoadingSpinner';
+import { useRecognizerBuilderPlugin } from '../../hooks/useRecognizerBuilderPlugin';
 
 import { PropertyEditor } from './PropertyEditor';
 import { ManifestEditor } from './ManifestEditor';
@@ -46,12 +47,13 @@ const PropertyPanel: React.FC<PropertyViewProps> = React.memo(({ projectId = '',
   }, [skills, isSkill, skillsByProjectId]);
 
   const shellForPropertyEditor = useShell('PropertyEditor', projectId);
+  const recognizerBuilderPlugin = useRecognizerBuilderPlugin();
 
   const pluginConfig: PluginConfig = useMemo(() => {
     const sdkUISchema = schemas?.ui?.content ?? {};
     const userUISchema = schemas?.uiOverrides?.content ?? {};
-    return mergePluginConfigs({ uiSchema: sdkUISchema }, plugins, { uiSchema: userUISchema });
-  }, [schemas?.ui?.content, schemas?.uiOverrides?.content]);
+    return mergePluginConfigs({ uiSchema: sdkUISchema }, plugins, recognizerBuilderPlugin, { uiSchema: userUISchema });
+  }, [schemas?.ui?.content, schemas?.uiOverrides?.content, recognizerBuilderPlugin]);
 
   return (
     <EditorExtension plugins={pluginConfig} projectId={projectId} shell={shellForPropertyEditor}>
@@ -13,9 +13,22 @@ import { useFormConfig, useShellApi } from '@bfc/extension-client';
 import clone from 'lodash/clone';
 
 import grayComposerIcon from '../../images/grayComposerIcon.svg';
-import { dispatcherState, dialogsSelectorFamily, schemasState, designPageLocationState } from '../../recoilModel';
+import {
+  dispatcherState,
+  dialogsSelectorFamily,
+  schemasState,
+  designPageLocationState,
+  collaboratorsState,
+} from '../../recoilModel';
+import { CollaboratorAvatars, getCollaboratorsAt } from '../../components/Collaboration/CollaboratorAvatars';
 
-import { middleTriggerContainer, middleTriggerElements, triggerButton, visualEditor } from './styles';
+import {
+  collaboratorsBanner,
+  middleTriggerContainer,
+  middleTriggerElements,
+  triggerButton,
+  visualEditor,
+} from './styles';
 
 const addIconProps = {
   iconName: 'CircleAddition',
@@ -69,11 +82,15 @@ const VisualEditor: React.FC<VisualEditorProps> = (props) => {
   const { projectId, currentDialog } = shellData;
   const { openNewTriggerModal, onFocus, onBlur, isRemoteSkill } = props;
   const [triggerButtonVisible, setTriggerButtonVisibility] = useState(false);
-  const { onboardingAddCoachMarkRef } = useRecoilValue(dispatcherState);
+  const { onboardingAddCoachMarkRef, fetchActionSnippets } = useRecoilValue(dispatcherState);
   const dialogs = useRecoilValue(dialogsSelectorFamily(projectId));
   const schemas = useRecoilValue(schemasState(projectId));
   const designPageLocation = useRecoilValue(designPageLocationState(projectId));
   const { dialogId, selected } = designPageLocation;
+  const collaborators = useRecoilValue(collaboratorsState(projectId));
+  const triggerIndex = /^triggers\[(\d+)\]/.exec(selected ?? '')?.[1];
+  const collaboratorsHere =
+    triggerIndex === undefined ? [] : getCollaboratorsAt(collaborators, dialogId, Number(triggerIndex));
 
   const addRef = useCallback((visualEditor) => onboardingAddCoachMarkRef({ visualEditor }), []);
 
@@ -98,6 +115,10 @@ const VisualEditor: React.FC<VisualEditorProps> = (props) => {
     setTriggerButtonVisibility(visible);
   }, [dialogs, dialogId]);
 
+  useEffect(() => {
+    if (projectId) fetchActionSnippets(projectId);
+  }, [projectId]);
+
   return (
     <React.Fragment>
       <div
@@ -106,6 +127,14 @@ const VisualEditor: React.FC<VisualEditorProps> = (props) => {
         css={visualEditor(triggerButtonVisible || !selected)}
         data-testid="VisualEditor"
       >
+        {collaboratorsHere.length > 0 && (
+          <div css={collaboratorsBanner} data-testid="VisualEditorCollaborators">
+            <CollaboratorAvatars collaborators={collaboratorsHere} size={20} />
+            {formatMessage('{names} also editing this trigger', {
+              names: collaboratorsHere.map(({ name }) => name).join(', '),
+            })}
+          </div>
+        )}
         {!isRemoteSkill ? (
           <VisualDesigner
             data={currentDialog.content ?? {}}
@@ -5,7 +5,15 @@ import { act, fireEvent } from '@botframework-composer/test-utils';
 import * as React from 'react';
 
 import { renderWithRecoil } from '../../../../__tests__/testUtils/renderWithRecoil';
-import { botProjectIdsState, projectMetaDataState } from '../../../recoilModel';
+import {
+  botEndpointsState,
+  botProjectIdsState,
+  botStatusState,
+  currentProjectIdState,
+  debuggerState,
+  projectMetaDataState,
+} from '../../../recoilModel';
+import { BotStatus } from '../../../constants';
 import { getValueFromBotTraceMemory, WatchTabContent } from '../DebugPanel/TabExtensions/WatchTab/WatchTabContent';
 
 describe('<WatchTabContent />', () => {
@@ -55,6 +63,46 @@ describe('<WatchTabContent />', () => {
       const nonexistentRow = queryByPlaceholderText('Add property path to watch');
       expect(nonexistentRow).toBeNull();
     });
+
+    it('should show where the bot is paused in the debugger', async () => {
+      const projectId = '123-adc';
+      const { findByText } = renderWithRecoil(<WatchTabContent isActive />, ({ set }) => {
+        set(currentProjectIdState, projectId);
+        set(debuggerState(projectId), {
+          status: 'paused',
+          location: { dialogId: 'main', path: 'triggers[0].actions[0]' },
+          scopes: {},
+        });
+      });
+
+      await findByText('Paused on triggers[0].actions[0] in main');
+      await findByText('Continue');
+    });
+
+    it('should offer to start debugging only when the runtime has a debug adapter', async () => {
+      const projectId = '123-adc';
+      const { findByText, queryByText } = renderWithRecoil(<WatchTabContent isActive />, ({ set }) => {
+        set(currentProjectIdState, projectId);
+        set(botStatusState(projectId), BotStatus.connected);
+        set(botEndpointsState, { [projectId]: { url: 'http://localhost:3979/api/messages', port: 3979 } });
+      });
+
+      await findByText('Add property');
+      expect(queryByText('Start debugging')).toBeNull();
+    });
+
+    it('should start debugging a runtime with a debug adapter', async () => {
+      const projectId = '123-adc';
+      const { findByText } = renderWithRecoil(<WatchTabContent isActive />, ({ set }) => {
+        set(currentProjectIdState, projectId);
+        set(botStatusState(projectId), BotStatus.connected);
+        set(botEndpointsState, {
+          [projectId]: { url: 'http://localhost:3979/api/messages', port: 3979, debugPort: 4712 },
+        });
+      });
+
+      await findByText('Start debugging');
+    });
   });
 
   describe('getValueFromBotTraceMemory', () => {
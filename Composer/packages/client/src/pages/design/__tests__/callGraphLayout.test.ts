@@ -0,0 +1,72 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { CallGraphEdge, CallGraphNode } from '@bfc/indexers';
+
+import { layoutCallGraph, NodeSize, rankNodes } from '../DialogCallGraph/callGraphLayout';
+
+const node = (id: string, isRoot = false): CallGraphNode => ({
+  id,
+  kind: 'dialog',
+  projectId: 'bot',
+  dialogId: id,
+  displayName: id,
+  botName: 'Bot',
+  isRoot,
+  isMissing: false,
+});
+
+const edge = (from: string, to: string, path = 'triggers[0].actions[0]', inCycle = false): CallGraphEdge => ({
+  from,
+  to,
+  kind: 'begin',
+  projectId: 'bot',
+  dialogId: from,
+  triggerId: 'triggers[0]',
+  triggerKind: 'Microsoft.OnBeginDialog',
+  path,
+  inCycle,
+});
+
+describe('rankNodes', () => {
+  it('puts each dialog one column right of the closest dialog calling it', () => {
+    const nodes = [node('b'), node('main', true), node('c'), node('orphan')];
+    const edges = [edge('main', 'b'), edge('b', 'c'), edge('main', 'c'), edge('c', 'b', 'triggers[0].actions[1]')];
+    const ranks = rankNodes(nodes, edges);
+
+    expect(ranks).toEqual(
+      new Map([
+        ['main', 0],
+        ['b', 1],
+        ['c', 1],
+        ['orphan', 0],
+      ])
+    );
+  });
+
+  it('ranks cycles nothing else reaches', () => {
+    const ranks = rankNodes([node('a'), node('b')], [edge('a', 'b'), edge('b', 'a')]);
+    expect(ranks).toEqual(
+      new Map([
+        ['a', 0],
+        ['b', 1],
+      ])
+    );
+  });
+});
+
+describe('layoutCallGraph', () => {
+  it('groups the calls between two dialogs in one link', () => {
+    const layout = layoutCallGraph(
+      [node('main', true), node('b')],
+      [edge('main', 'b'), edge('main', 'b', 'triggers[1].actions[0]'), edge('b', 'b', 'triggers[0].actions[0]', true)]
+    );
+
+    expect(layout.boxes.b.x).toBeGreaterThan(layout.boxes.main.x + NodeSize.width);
+    expect(layout.links).toHaveLength(2);
+    expect(layout.links[0].calls).toHaveLength(2);
+    expect(layout.links[1]).toMatchObject({ from: 'b', to: 'b', inCycle: true });
+    expect(layout.width).toBeGreaterThan(layout.boxes.b.x + NodeSize.width);
+    expect(layout.height).toBeGreaterThan(layout.boxes.main.y + NodeSize.height);
+  });
+});
@@ -38,6 +38,7 @@ import {
 } from '../../publish/Notifications';
 import { createNotification } from '../../../recoilModel/dispatchers/notification';
 import { getManifestUrl } from '../../../utils/skillManifestUtil';
+import { useUndoEditorAPI } from '../../../hooks/useUndoEditorAPI';
 
 import { editorSteps, ManifestEditorSteps, order } from './constants';
 import { generateSkillManifest } from './generateSkillManifest';
@@ -58,6 +59,7 @@ const ExportSkillModal: React.FC<ExportSkillModalProps> = ({ onSubmit, onDismiss
   const qnaFiles = useRecoilValue(qnaFilesSelectorFamily(projectId));
   const skillManifests = useRecoilValue(skillManifestsState(projectId));
   const { updateSkillManifest, publishToTarget, addNotification, updateNotification } = useRecoilValue(dispatcherState);
+  useUndoEditorAPI(projectId, 'skillManifest');
 
   const [currentStep, setCurrentStep] = useState(0);
   const [errors, setErrors] = useState({});
@@ -233,3 +233,17 @@ export const removeSkillDialogContentStyle = css`
   margin: 10px 0;
   white-space: pre-line;
 `;
+
+export const collaboratorsBanner = css`
+  position: absolute;
+  top: 8px;
+  right: 16px;
+  z-index: 1;
+  display: flex;
+  align-items: center;
+  padding: 2px 8px 2px 4px;
+  border-radius: 12px;
+  background: white;
+  box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+  font-size: 12px;
+`;
@@ -20,6 +20,7 @@ import {
 } from '../../recoilModel';
 import { createNotification } from '../../recoilModel/dispatchers/notification';
 import { renderThinSplitter } from '../../components/Split/ThinSplitter';
+import { useUndoEditorAPI } from '../../hooks/useUndoEditorAPI';
 
 import CreateFormDialogSchemaModal from './CreateFormDialogSchemaModal';
 import { FormDialogSchemaList } from './FormDialogSchemaList';
@@ -54,6 +55,7 @@ const FormDialogPage: React.FC<Props> = React.memo((props: Props) => {
   } = useRecoilValue(dispatcherState);
 
   const { setPageElementState } = useRecoilValue(dispatcherState);
+  useUndoEditorAPI(projectId, 'formDialogSchema');
 
   const generationStartedRef = React.useRef(false);
   const generationPendingNotificationIdRef = React.useRef<string | undefined>();
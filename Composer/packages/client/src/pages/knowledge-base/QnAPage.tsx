@@ -22,6 +22,7 @@ import {
 } from '../../recoilModel';
 import { CreateQnAModal } from '../../components/QnA';
 import TelemetryClient from '../../telemetry/TelemetryClient';
+import { useUndoEditorAPI } from '../../hooks/useUndoEditorAPI';
 
 import TableView, { qnaSuffix } from './table-view';
 import { TabHeader } from './TabHeader';
@@ -57,6 +58,7 @@ const QnAPage: React.FC<RouteComponentProps<{
   const { defaultLanguage } = settings;
   const languages = defaultLanguage === locale ? [defaultLanguage] : [locale, defaultLanguage];
   const [currentLocale, setCurrentLocale] = useState(locale);
+  useUndoEditorAPI(actualProjectId, 'qna');
 
   const showTabBar = useMemo(() => {
     const targetFileId = dialogId.endsWith(qnaSuffix(locale)) ? dialogId : `${dialogId}.${locale}`;
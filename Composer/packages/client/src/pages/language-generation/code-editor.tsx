@@ -3,7 +3,7 @@
 
 /* eslint-disable react/display-name */
 /** @jsx jsx */
-import { EditorDidMount, LgCodeEditor } from '@bfc/code-editor';
+import { EditorDidMount, LgCodeEditor, LspWorkspaceEdit } from '@bfc/code-editor';
 import { LgFile } from '@bfc/extension-client';
 import { filterTemplateDiagnostics } from '@bfc/indexers';
 import { CodeEditorSettings } from '@bfc/shared';
@@ -48,6 +48,8 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
   const {
     updateLgTemplate: updateLgTemplateDispatcher,
     updateLgFile: updateLgFileDispatcher,
+    renameLgTemplate,
+    evaluateLgTemplate,
     updateUserSettings,
     setLocale,
   } = useRecoilValue(dispatcherState);
@@ -194,6 +196,27 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
     [actualProjectId, locale]
   );
 
+  const renameTemplate = useCallback(
+    (templateName: string, newTemplateName: string, edit: LspWorkspaceEdit, documentUri: string) => {
+      renameLgTemplate({
+        projectId: actualProjectId,
+        templateName,
+        newTemplateName,
+        edit,
+        documentUri,
+        fileId: file?.id || dialogId,
+        templateId: template?.name,
+      });
+    },
+    [actualProjectId, file?.id, dialogId, template?.name]
+  );
+
+  const evaluateTemplate = useCallback(
+    (templateName: string, memory: Record<string, unknown>) =>
+      evaluateLgTemplate({ projectId: actualProjectId, id: file?.id ?? dialogId, templateName, memory }),
+    [actualProjectId, file?.id, dialogId]
+  );
+
   const currentLanguageFileEditor = useMemo(() => {
     return (
       <LgCodeEditor
@@ -212,7 +235,9 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
         value={content}
         onChange={onChange}
         onChangeSettings={handleSettingsChange}
+        onEvaluateTemplate={evaluateTemplate}
         onNavigateToLgPage={navigateToLgPage}
+        onRenameTemplate={renameTemplate}
       />
     );
   }, [lgOption, userSettings.codeEditor]);
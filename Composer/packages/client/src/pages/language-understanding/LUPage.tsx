@@ -2,7 +2,7 @@
 // Licensed under the MIT License.
 /** @jsx jsx */
 import { jsx } from '@emotion/core';
-import React, { Fragment, Suspense, useCallback, useEffect } from 'react';
+import React, { Fragment, Suspense, useCallback, useEffect, useState } from 'react';
 import formatMessage from 'format-message';
 import { ActionButton } from 'office-ui-fabric-react/lib/Button';
 import { RouteComponentProps, Router } from '@reach/router';
@@ -14,6 +14,8 @@ import { Page } from '../../components/Page';
 import { localeState, luFilesSelectorFamily } from '../../recoilModel';
 
 import TableView from './table-view';
+import { TryUtterance } from './TryUtterance';
+import { UtteranceOverlap } from './UtteranceOverlap';
 
 const CodeEditor = React.lazy(() => import('./code-editor'));
 
@@ -26,6 +28,8 @@ const LUPage: React.FC<RouteComponentProps<{
   const { dialogId = '', projectId = '', skillId, luFileId = '' } = props;
   const actualProjectId = skillId ?? projectId;
   const locale = useRecoilValue(localeState(actualProjectId));
+  const [showTryUtterance, setShowTryUtterance] = useState(false);
+  const [showOverlap, setShowOverlap] = useState(false);
   const luFiles = useRecoilValue(luFilesSelectorFamily(actualProjectId));
 
   const path = props.location?.pathname ?? '';
@@ -50,14 +54,25 @@ const LUPage: React.FC<RouteComponentProps<{
   }, [dialogId, projectId, luFileId, edit]);
 
   const onRenderHeaderContent = () => {
+    const overlapButton = (
+      <ActionButton data-testid="utteranceOverlap" onClick={() => setShowOverlap(!showOverlap)}>
+        {showOverlap ? formatMessage('Hide overlap') : formatMessage('Analyze overlap')}
+      </ActionButton>
+    );
     if (!isRoot) {
       return (
-        <ActionButton data-testid="showcode" onClick={onToggleEditMode}>
-          {edit ? formatMessage('Hide code') : formatMessage('Show code')}
-        </ActionButton>
+        <Fragment>
+          {overlapButton}
+          <ActionButton data-testid="tryUtterance" onClick={() => setShowTryUtterance(!showTryUtterance)}>
+            {showTryUtterance ? formatMessage('Hide utterance test') : formatMessage('Try utterance')}
+          </ActionButton>
+          <ActionButton data-testid="showcode" onClick={onToggleEditMode}>
+            {edit ? formatMessage('Hide code') : formatMessage('Show code')}
+          </ActionButton>
+        </Fragment>
       );
     }
-    return null;
+    return overlapButton;
   };
 
   return (
@@ -75,6 +90,12 @@ const LUPage: React.FC<RouteComponentProps<{
       toolbarItems={[]}
       onRenderHeaderContent={onRenderHeaderContent}
     >
+      {showOverlap && (
+        <Suspense fallback={<LoadingSpinner />}>
+          <UtteranceOverlap dialogId={isRoot ? undefined : dialogId} projectId={actualProjectId} />
+        </Suspense>
+      )}
+      {showTryUtterance && !isRoot && <TryUtterance file={activeFile} projectId={actualProjectId} />}
       <Suspense fallback={<LoadingSpinner />}>
         <Router component={Fragment} primary={false}>
           <CodeEditor
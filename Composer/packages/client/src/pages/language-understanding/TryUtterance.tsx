@@ -0,0 +1,181 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import React, { useMemo, useState } from 'react';
+import formatMessage from 'format-message';
+import { DefaultButton } from 'office-ui-fabric-react/lib/Button';
+import { MessageBar, MessageBarType } from 'office-ui-fabric-react/lib/MessageBar';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { findUtteranceConflicts, matchUtterance } from '@bfc/indexers';
+import { LuFile, OrchestratorIntentScore } from '@bfc/shared';
+
+import httpClient from '../../utils/httpUtil';
+
+import { tryUtteranceContainer, tryUtteranceList, tryUtteranceSection } from './styles';
+
+// the recognition is ambiguous when the two best intents are that close
+const AMBIGUITY_MARGIN = 0.1;
+
+const stackTokens = { childrenGap: 8 };
+
+const formatScore = (score: number) => score.toFixed(2);
+
+const isAmbiguous = (scores: { score: number }[]) =>
+  scores.length > 1 && scores[0].score - scores[1].score < AMBIGUITY_MARGIN;
+
+const kindLabels = {
+  exact: () => formatMessage('exact'),
+  pattern: () => formatMessage('pattern'),
+  similar: () => formatMessage('similar'),
+};
+
+type Props = {
+  projectId: string;
+  file?: LuFile;
+};
+
+/**
+ * Console to try an utterance against the intents of an .lu file. The utterance is matched locally and can be scored
+ * with Orchestrator once its model is downloaded.
+ */
+export const TryUtterance: React.FC<Props> = ({ projectId, file }) => {
+  const [utterance, setUtterance] = useState('');
+  const [orchestratorScores, setOrchestratorScores] = useState<OrchestratorIntentScore[] | undefined>();
+  const [orchestratorError, setOrchestratorError] = useState('');
+
+  const intents = useMemo(() => file?.allIntents ?? file?.intents ?? [], [file]);
+  const conflicts = useMemo(() => findUtteranceConflicts(intents), [intents]);
+  const result = useMemo(
+    () => (utterance.trim() ? matchUtterance(utterance, intents, file?.content ?? '') : undefined),
+    [utterance, intents, file?.content]
+  );
+
+  const onChangeUtterance = (_, newValue?: string) => {
+    setUtterance(newValue ?? '');
+    setOrchestratorScores(undefined);
+    setOrchestratorError('');
+  };
+
+  const scoreWithOrchestrator = async () => {
+    if (!file) return;
+    try {
+      const response = await httpClient.post<OrchestratorIntentScore[]>(`/projects/${projectId}/orchestrator/score`, {
+        luFileId: file.id,
+        utterance,
+      });
+      setOrchestratorScores(response.data.slice(0, 5));
+      setOrchestratorError('');
+    } catch (err) {
+      setOrchestratorScores(undefined);
+      setOrchestratorError(
+        err.response?.status === 404
+          ? formatMessage('Download the Orchestrator model from the settings to score with it.')
+          : err.response?.data?.message ?? err.message
+      );
+    }
+  };
+
+  return (
+    <div css={tryUtteranceContainer} data-testid="TryUtterance">
+      <Stack tokens={stackTokens}>
+        <Stack horizontal tokens={stackTokens} verticalAlign="end">
+          <Stack.Item grow>
+            <TextField
+              ariaLabel={formatMessage('Utterance')}
+              data-testid="TryUtteranceInput"
+              label={formatMessage('Try utterance')}
+              placeholder={formatMessage('Type what a user could say')}
+              value={utterance}
+              onChange={onChangeUtterance}
+            />
+          </Stack.Item>
+          <DefaultButton disabled={!utterance.trim() || !file} onClick={scoreWithOrchestrator}>
+            {formatMessage('Score with Orchestrator')}
+          </DefaultButton>
+        </Stack>
+
+        {result && (
+          <div css={tryUtteranceSection}>
+            <Text variant="mediumPlus">{formatMessage('Top intents')}</Text>
+            {result.intents.length ? (
+              <ul css={tryUtteranceList} data-testid="TryUtteranceIntents">
+                {result.intents.map(({ intent, score, kind, utterance: closest }) => (
+                  <li key={intent} title={closest}>
+                    {intent} <Text variant="small">{`${formatScore(score)} (${kindLabels[kind]()})`}</Text>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <Text block variant="small">
+                {formatMessage('No intent matches this utterance.')}
+              </Text>
+            )}
+            {isAmbiguous(result.intents) && (
+              <MessageBar messageBarType={MessageBarType.warning}>
+                {formatMessage('{first} and {second} are close, the recognition is ambiguous.', {
+                  first: result.intents[0].intent,
+                  second: result.intents[1].intent,
+                })}
+              </MessageBar>
+            )}
+
+            <Text variant="mediumPlus">{formatMessage('Entities')}</Text>
+            {result.entities.length ? (
+              <ul css={tryUtteranceList} data-testid="TryUtteranceEntities">
+                {result.entities.map(({ name, value, text, start, source }) => (
+                  <li key={`${name}-${start}-${source}`}>
+                    {name} = {value === text ? `"${text}"` : `"${text}" (${value})`}{' '}
+                    <Text variant="small">{source}</Text>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <Text block variant="small">
+                {formatMessage('No entity found.')}
+              </Text>
+            )}
+          </div>
+        )}
+
+        {orchestratorError && <MessageBar messageBarType={MessageBarType.error}>{orchestratorError}</MessageBar>}
+        {orchestratorScores && (
+          <div css={tryUtteranceSection}>
+            <Text variant="mediumPlus">{formatMessage('Orchestrator')}</Text>
+            <ul css={tryUtteranceList}>
+              {orchestratorScores.map(({ intent, score, closestText }) => (
+                <li key={intent} title={closestText}>
+                  {intent} <Text variant="small">{formatScore(score)}</Text>
+                </li>
+              ))}
+            </ul>
+            {isAmbiguous(orchestratorScores) && (
+              <MessageBar messageBarType={MessageBarType.warning}>
+                {formatMessage('{first} and {second} are close, the recognition is ambiguous.', {
+                  first: orchestratorScores[0].intent,
+                  second: orchestratorScores[1].intent,
+                })}
+              </MessageBar>
+            )}
+          </div>
+        )}
+
+        {conflicts.length > 0 && (
+          <div css={tryUtteranceSection} data-testid="TryUtteranceConflicts">
+            <Text variant="mediumPlus">{formatMessage('Conflicting utterances')}</Text>
+            <ul css={tryUtteranceList}>
+              {conflicts.map(({ intents: [first, second], utterances: [a, b], similarity }) => (
+                <li key={`${first}-${a}-${second}-${b}`}>
+                  {formatMessage('{first}: "{a}" and {second}: "{b}"', { first, a, second, b })}{' '}
+                  <Text variant="small">{formatScore(similarity)}</Text>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Stack>
+    </div>
+  );
+};
@@ -0,0 +1,147 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import React, { useMemo, useState } from 'react';
+import formatMessage from 'format-message';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import { useRecoilValue } from 'recoil';
+import { OverlapPair, OverlapTarget } from '@bfc/indexers';
+
+import { utteranceOverlapDiagnosticsSelectorFamily, utteranceOverlapSelectorFamily } from '../../recoilModel';
+import { DiagnosticList } from '../design/DebugPanel/TabExtensions/DiagnosticsTab/DiagnosticList';
+
+import {
+  overlapContainer,
+  overlapDiagnostics,
+  overlapHeatmap,
+  overlapHeatmapCell,
+  overlapHeatmapLabel,
+  tryUtteranceList,
+} from './styles';
+
+// more targets than that make the heatmap unreadable, the diagnostics still list every pair
+const MAX_HEATMAP_TARGETS = 20;
+
+const pairKey = (a: string, b: string) => (a < b ? `${a}\n${b}` : `${b}\n${a}`);
+
+const formatPercent = (similarity: number) => `${Math.round(similarity * 100)}%`;
+
+const getTargetLabel = ({ kind, name, dialogId }: OverlapTarget) =>
+  kind === 'intent'
+    ? `${dialogId} #${name}`
+    : formatMessage('{dialog} QnA: {question}', { dialog: dialogId, question: name });
+
+/**
+ * The intents and questions with the most overlapping utterances first.
+ */
+const getHeatmapTargets = (targets: OverlapTarget[], pairs: OverlapPair[]) => {
+  const weights = new Map<string, number>();
+  pairs.forEach(({ targets: ids, examples }) =>
+    ids.forEach((id) => weights.set(id, (weights.get(id) ?? 0) + examples.length))
+  );
+  return targets
+    .filter(({ id }) => weights.has(id))
+    .sort((a, b) => (weights.get(b.id) ?? 0) - (weights.get(a.id) ?? 0))
+    .slice(0, MAX_HEATMAP_TARGETS);
+};
+
+type Props = {
+  projectId: string;
+  /** the pairs of the whole bot are shown without a dialog */
+  dialogId?: string;
+};
+
+/**
+ * Confusion heatmap of the intents and QnA questions whose utterances overlap, with the overlapping utterances of
+ * each pair as diagnostics.
+ */
+export const UtteranceOverlap: React.FC<Props> = ({ projectId, dialogId }) => {
+  const { targets, pairs } = useRecoilValue(utteranceOverlapSelectorFamily({ projectId, dialogId }));
+  const diagnostics = useRecoilValue(utteranceOverlapDiagnosticsSelectorFamily({ projectId, dialogId }));
+  const [selectedPair, setSelectedPair] = useState<OverlapPair | undefined>();
+
+  const heatmapTargets = useMemo(() => getHeatmapTargets(targets, pairs), [targets, pairs]);
+  const pairsByKey = useMemo(() => new Map(pairs.map((pair) => [pairKey(pair.targets[0], pair.targets[1]), pair])), [
+    pairs,
+  ]);
+  const targetsById = useMemo(() => new Map(targets.map((target) => [target.id, target])), [targets]);
+
+  if (!pairs.length) {
+    return (
+      <div css={overlapContainer} data-testid="UtteranceOverlap">
+        <Text>{formatMessage('No utterance overlaps between the intents and QnA questions.')}</Text>
+      </div>
+    );
+  }
+
+  return (
+    <div css={overlapContainer} data-testid="UtteranceOverlap">
+      <Text block variant="mediumPlus">
+        {formatMessage('Utterance overlap')}
+      </Text>
+      <table css={overlapHeatmap} data-testid="UtteranceOverlapHeatmap">
+        <thead>
+          <tr>
+            <th />
+            {heatmapTargets.map((target, index) => (
+              <th key={target.id} title={getTargetLabel(target)}>
+                {index + 1}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {heatmapTargets.map((row, rowIndex) => (
+            <tr key={row.id}>
+              <th css={overlapHeatmapLabel} title={getTargetLabel(row)}>
+                {`${rowIndex + 1}. ${getTargetLabel(row)}`}
+              </th>
+              {heatmapTargets.map((column) => {
+                const pair = row.id === column.id ? undefined : pairsByKey.get(pairKey(row.id, column.id));
+                return (
+                  <td key={column.id}>
+                    {pair && (
+                      <button
+                        aria-label={formatMessage('{a} and {b} overlap at {similarity}', {
+                          a: getTargetLabel(row),
+                          b: getTargetLabel(column),
+                          similarity: formatPercent(pair.similarity),
+                        })}
+                        css={overlapHeatmapCell(pair.similarity, pair === selectedPair)}
+                        title={formatPercent(pair.similarity)}
+                        onClick={() => setSelectedPair(pair)}
+                      />
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selectedPair && (
+        <div data-testid="UtteranceOverlapExamples">
+          <Text block variant="medium">
+            {selectedPair.targets
+              .map((id) => targetsById.get(id))
+              .map((target) => (target ? getTargetLabel(target) : ''))
+              .join(' / ')}
+          </Text>
+          <ul css={tryUtteranceList}>
+            {selectedPair.examples.map(({ utterances: [a, b], similarity }) => (
+              <li key={`${a}\n${b}`}>
+                {`"${a}" / "${b}"`} <Text variant="small">{formatPercent(similarity)}</Text>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div css={overlapDiagnostics}>
+        <DiagnosticList diagnosticItems={diagnostics} />
+      </div>
+    </div>
+  );
+};
@@ -15,6 +15,7 @@ import { LuFile } from '@bfc/shared';
 
 import { dialogState, localeState, settingsState } from '../../recoilModel/atoms';
 import { userSettingsState, dispatcherState, luFilesSelectorFamily } from '../../recoilModel';
+import { undoFunctionState } from '../../recoilModel/undo/history';
 import { navigateTo } from '../../utils/navigation';
 import TelemetryClient from '../../telemetry/TelemetryClient';
 
@@ -35,6 +36,7 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
   const {
     updateLuIntent: updateLuIntentDispatcher,
     updateLuFile: updateLuFileDispatcher,
+    renameLuItem,
     updateUserSettings,
     setLocale,
   } = useRecoilValue(dispatcherState);
@@ -45,6 +47,7 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
   const locale = useRecoilValue(localeState(actualProjectId));
   const settings = useRecoilValue(settingsState(actualProjectId));
   const currentDialog = useRecoilValue(dialogState({ projectId: actualProjectId, dialogId }));
+  const { commitChanges } = useRecoilValue(undoFunctionState(actualProjectId));
 
   const { languages, defaultLanguage } = settings;
 
@@ -148,18 +151,32 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
   };
 
   const navigateToLuPage = useCallback(
-    (luFileId: string, sectionId?: string) => {
+    (luFileId: string, sectionId?: string, line?: number) => {
       // eslint-disable-next-line security/detect-non-literal-regexp
       const pattern = new RegExp(`.${locale}`, 'g');
       const fileId = currentDialog.isFormDialog ? luFileId : luFileId.replace(pattern, '');
-      const url = currentDialog.isFormDialog
+      let url = currentDialog.isFormDialog
         ? `/bot/${projectId}/language-understanding/${currentDialog.id}/item/${fileId}`
-        : `/bot/${projectId}/language-understanding/${fileId}${sectionId ? `/edit?t=${sectionId}` : ''}`;
+        : `/bot/${projectId}/language-understanding/${fileId}`;
+      if (line) {
+        url = url + `/edit#L=${line}`;
+      } else if (sectionId && !currentDialog.isFormDialog) {
+        url = url + `/edit?t=${sectionId}`;
+      }
       navigateTo(url);
     },
     [projectId, locale, currentDialog]
   );
 
+  const renameItem = useCallback(
+    async ({ kind, name }: { kind: 'intent' | 'entity'; name: string }, newName: string) => {
+      await renameLuItem({ projectId: actualProjectId, fileId: file?.id || dialogId, kind, name, newName });
+      // one commit for the .lu files and the dialogs, so the whole rename undoes at once
+      commitChanges();
+    },
+    [actualProjectId, file?.id, dialogId, commitChanges]
+  );
+
   const currentLanguageFileEditor = useMemo(() => {
     return (
       <LuEditor
@@ -176,6 +193,7 @@ const CodeEditor: React.FC<CodeEditorProps> = (props) => {
         onChange={onChange}
         onChangeSettings={handleSettingsChange}
         onNavigateToLuPage={navigateToLuPage}
+        onRenameLuItem={renameItem}
       />
     );
   }, [luOption, file]);
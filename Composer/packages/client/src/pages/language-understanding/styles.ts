@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 import { css } from '@emotion/core';
+import { NeutralColors } from '@uifabric/fluent-theme';
 import { FontSizes, mergeStyles } from 'office-ui-fabric-react/lib/Styling';
 
 export const actionButton = css`
@@ -109,3 +110,70 @@ export const dropdown = {
 export const editableFieldContainer = css`
   outline: none;
 `;
+
+export const tryUtteranceContainer = css`
+  padding: 12px 24px;
+  border-bottom: 1px solid ${NeutralColors.gray30};
+  max-height: 40vh;
+  overflow-y: auto;
+`;
+
+export const tryUtteranceSection = css`
+  display: flex;
+  flex-direction: column;
+`;
+
+export const tryUtteranceList = css`
+  margin: 4px 0 8px;
+  padding-left: 20px;
+  font-size: 14px;
+  line-height: 22px;
+`;
+
+export const overlapContainer = css`
+  padding: 12px 24px;
+  border-bottom: 1px solid ${NeutralColors.gray30};
+  max-height: 60vh;
+  overflow-y: auto;
+`;
+
+export const overlapHeatmap = css`
+  border-collapse: collapse;
+  margin: 8px 0;
+  font-size: 12px;
+  th {
+    font-weight: normal;
+    color: ${NeutralColors.gray130};
+  }
+  td {
+    width: 20px;
+    height: 20px;
+    padding: 1px;
+    border: 1px solid ${NeutralColors.gray20};
+  }
+`;
+
+export const overlapHeatmapLabel = css`
+  max-width: 240px;
+  padding-right: 8px;
+  overflow: hidden;
+  text-align: left;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+// the closer the utterances, the darker the cell
+export const overlapHeatmapCell = (similarity: number, selected: boolean) => css`
+  display: block;
+  width: 100%;
+  height: 100%;
+  padding: 0;
+  border: ${selected ? `2px solid ${NeutralColors.black}` : 'none'};
+  background-color: rgba(209, 52, 56, ${Math.max(0.2, similarity)});
+  cursor: pointer;
+`;
+
+export const overlapDiagnostics = css`
+  position: relative;
+  height: 240px;
+`;
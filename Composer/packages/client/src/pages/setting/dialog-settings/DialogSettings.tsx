@@ -22,6 +22,7 @@ import {
   settingsState,
 } from '../../../recoilModel';
 import { languageListTemplates } from '../../../components/MultiLanguage';
+import { useUndoEditorAPI } from '../../../hooks/useUndoEditorAPI';
 
 import { settingsEditor, toolbar } from './style';
 import { BotSettings } from './constants';
@@ -33,6 +34,7 @@ export const DialogSettings: React.FC<RouteComponentProps<{ projectId: string }>
   const settings = useRecoilValue(settingsState(projectId));
   const userSettings = useRecoilValue(userSettingsState);
   const { setSettings, setLocale, addLanguageDialogBegin } = useRecoilValue(dispatcherState);
+  useUndoEditorAPI(projectId, 'settings');
 
   const { languages, defaultLanguage } = settings;
 
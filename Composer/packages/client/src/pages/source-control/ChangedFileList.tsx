@@ -0,0 +1,161 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import React, { useState } from 'react';
+import formatMessage from 'format-message';
+import { GitFileChange } from '@bfc/shared';
+import { IconButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import { Checkbox } from 'office-ui-fabric-react/lib/Checkbox';
+
+import { isSemanticDiffSupported } from './semanticDiff';
+import { fileItem, fileListStyle, fileName, groupHeader, statusBadge } from './styles';
+
+const statusLetters = {
+  modified: 'M',
+  added: 'A',
+  deleted: 'D',
+  renamed: 'R',
+  untracked: 'U',
+  conflicted: 'C',
+};
+
+type ChangedFileListProps = {
+  files: GitFileChange[];
+  selected?: GitFileChange;
+  onSelect: (file: GitFileChange) => void;
+  onStage: (paths: string[]) => void;
+  onUnstage: (paths: string[]) => void;
+  onCommit: (message: string) => void;
+};
+
+type FileGroupProps = {
+  title: string;
+  files: GitFileChange[];
+  selected?: GitFileChange;
+  actionIcon: string;
+  actionLabel: string;
+  onAction: (paths: string[]) => void;
+  onSelect: (file: GitFileChange) => void;
+};
+
+const isSameChange = (a?: GitFileChange, b?: GitFileChange) => !!a && !!b && a.path === b.path && a.staged === b.staged;
+
+const FileGroup: React.FC<FileGroupProps> = ({
+  title,
+  files,
+  selected,
+  actionIcon,
+  actionLabel,
+  onAction,
+  onSelect,
+}) => {
+  if (files.length === 0) return null;
+
+  return (
+    <div role="group">
+      <div css={groupHeader}>
+        {title} ({files.length})
+        <IconButton
+          ariaLabel={formatMessage('{action} all', { action: actionLabel })}
+          iconProps={{ iconName: actionIcon }}
+          title={formatMessage('{action} all', { action: actionLabel })}
+          onClick={() => onAction(files.map(({ path }) => path))}
+        />
+      </div>
+      {files.map((file) => (
+        <div
+          key={`${file.path}-${file.staged}`}
+          aria-selected={isSameChange(file, selected)}
+          css={fileItem(isSameChange(file, selected))}
+          data-testid="changed-file"
+          role="option"
+          onClick={() => onSelect(file)}
+        >
+          <span css={statusBadge(file.status)} title={file.status}>
+            {statusLetters[file.status]}
+          </span>
+          <span css={fileName} title={file.originalPath ? `${file.originalPath} → ${file.path}` : file.path}>
+            {file.path}
+          </span>
+          {file.status !== 'conflicted' && (
+            <IconButton
+              ariaLabel={actionLabel}
+              iconProps={{ iconName: actionIcon }}
+              title={actionLabel}
+              onClick={(e) => {
+                e.stopPropagation();
+                onAction([file.path]);
+              }}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const ChangedFileList: React.FC<ChangedFileListProps> = (props) => {
+  const { files, selected, onSelect, onStage, onUnstage, onCommit } = props;
+  const [message, setMessage] = useState('');
+  const [botFilesOnly, setBotFilesOnly] = useState(true);
+
+  const visibleFiles = botFilesOnly ? files.filter(({ path }) => isSemanticDiffSupported(path)) : files;
+  const staged = visibleFiles.filter((file) => file.staged);
+  const unstaged = visibleFiles.filter((file) => !file.staged);
+  const canCommit = !!message.trim() && files.some((file) => file.staged);
+
+  const commit = () => {
+    if (canCommit) {
+      onCommit(message);
+      setMessage('');
+    }
+  };
+
+  return (
+    <div aria-label={formatMessage('Changed files')} css={fileListStyle} role="listbox">
+      <TextField
+        multiline
+        ariaLabel={formatMessage('Commit message')}
+        placeholder={formatMessage('Commit message')}
+        rows={3}
+        value={message}
+        onChange={(_, value) => setMessage(value ?? '')}
+      />
+      <PrimaryButton
+        data-testid="git-commit-button"
+        disabled={!canCommit}
+        styles={{ root: { marginTop: 8, width: '100%' } }}
+        text={formatMessage('Commit staged changes')}
+        onClick={commit}
+      />
+      <Checkbox
+        checked={botFilesOnly}
+        label={formatMessage('Show only dialog, LG, LU and QnA files')}
+        styles={{ root: { marginTop: 12 } }}
+        onChange={(_, checked) => setBotFilesOnly(!!checked)}
+      />
+      <FileGroup
+        actionIcon="Remove"
+        actionLabel={formatMessage('Unstage')}
+        files={staged}
+        selected={selected}
+        title={formatMessage('Staged changes')}
+        onAction={onUnstage}
+        onSelect={onSelect}
+      />
+      <FileGroup
+        actionIcon="Add"
+        actionLabel={formatMessage('Stage')}
+        files={unstaged}
+        selected={selected}
+        title={formatMessage('Changes')}
+        onAction={onStage}
+        onSelect={onSelect}
+      />
+      {visibleFiles.length === 0 && <p>{formatMessage('There are no changes to commit.')}</p>}
+    </div>
+  );
+};
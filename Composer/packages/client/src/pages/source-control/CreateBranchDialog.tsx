@@ -0,0 +1,56 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import formatMessage from 'format-message';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/components/Button';
+import { Dialog, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import React, { useState } from 'react';
+
+// a conservative subset of what git check-ref-format accepts
+const branchNameRegex = /^(?!-)(?!.*\.\.)(?!.*\/\/)[\w\-./]*[\w-]$/;
+
+type CreateBranchDialogProps = {
+  branches: string[];
+  onSubmit: (branch: string) => void;
+  onDismiss: () => void;
+};
+
+export const CreateBranchDialog: React.FC<CreateBranchDialogProps> = ({ branches, onSubmit, onDismiss }) => {
+  const [name, setName] = useState('');
+
+  const errorMessage = !name
+    ? undefined
+    : !branchNameRegex.test(name)
+    ? formatMessage('Branch names can only contain letters, numbers, ".", "/", "-" and "_".')
+    : branches.includes(name)
+    ? formatMessage('A branch named {name} already exists.', { name })
+    : undefined;
+
+  return (
+    <Dialog
+      dialogContentProps={{ title: formatMessage('Create a branch') }}
+      hidden={false}
+      minWidth={420}
+      onDismiss={onDismiss}
+    >
+      <TextField
+        autoFocus
+        data-testid="new-branch-name"
+        errorMessage={errorMessage}
+        label={formatMessage('Branch name')}
+        value={name}
+        onChange={(_, value) => setName(value ?? '')}
+      />
+      <DialogFooter>
+        <DefaultButton text={formatMessage('Cancel')} onClick={onDismiss} />
+        <PrimaryButton
+          data-testid="new-branch-confirm"
+          disabled={!name || !!errorMessage}
+          text={formatMessage('Create and switch')}
+          onClick={() => onSubmit(name)}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
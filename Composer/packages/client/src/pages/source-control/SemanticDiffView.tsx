@@ -0,0 +1,49 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import React, { useMemo } from 'react';
+import formatMessage from 'format-message';
+import { GitFileDiff } from '@bfc/shared';
+
+import { computeSemanticDiff, SemanticChangeKind } from './semanticDiff';
+import { changeCard, changeContent, changeTitle, diffViewStyle, emptyView } from './styles';
+
+type SemanticDiffViewProps = {
+  diff?: GitFileDiff;
+};
+
+const kindLabels: Record<SemanticChangeKind, () => string> = {
+  added: () => formatMessage('Added'),
+  removed: () => formatMessage('Removed'),
+  modified: () => formatMessage('Modified'),
+};
+
+export const SemanticDiffView: React.FC<SemanticDiffViewProps> = ({ diff }) => {
+  const changes = useMemo(() => (diff ? computeSemanticDiff(diff.path, diff.original, diff.modified) : []), [diff]);
+
+  if (!diff) {
+    return <div css={emptyView}>{formatMessage('Select a changed file to see its changes')}</div>;
+  }
+
+  if (changes.length === 0) {
+    return <div css={emptyView}>{formatMessage('No content changes in {path}', { path: diff.path })}</div>;
+  }
+
+  return (
+    <div aria-label={formatMessage('Changes in {path}', { path: diff.path })} css={diffViewStyle} role="region">
+      {changes.map((change, index) => (
+        <div key={`${change.label}-${index}`} css={changeCard(change.kind)} data-testid="semantic-change">
+          <div css={changeTitle}>
+            {kindLabels[change.kind]()}: {change.label}
+          </div>
+          <div css={changeContent}>
+            {change.before !== undefined && <pre aria-label={formatMessage('Before')}>{change.before}</pre>}
+            {change.after !== undefined && <pre aria-label={formatMessage('After')}>{change.after}</pre>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
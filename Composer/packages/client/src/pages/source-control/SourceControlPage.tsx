@@ -0,0 +1,179 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import { jsx } from '@emotion/core';
+import React, { Fragment, useEffect, useState } from 'react';
+import { RouteComponentProps } from '@reach/router';
+import formatMessage from 'format-message';
+import { useRecoilValue } from 'recoil';
+import { GitFileChange } from '@bfc/shared';
+import { MessageBar, MessageBarType } from 'office-ui-fabric-react/lib/MessageBar';
+import { Split } from '@geoffcox/react-splitter';
+
+import {
+  dispatcherState,
+  gitBranchesState,
+  gitFileDiffState,
+  gitPullResultState,
+  gitStatusState,
+} from '../../recoilModel';
+import { renderThinSplitter } from '../../components/Split/ThinSplitter';
+import { LoadingSpinner } from '../../components/LoadingSpinner';
+
+import { SourceControlToolbar } from './SourceControlToolbar';
+import { ChangedFileList } from './ChangedFileList';
+import { SemanticDiffView } from './SemanticDiffView';
+import { CreateBranchDialog } from './CreateBranchDialog';
+import { contentStyle, emptyView, headerStyle, headerText } from './styles';
+
+const SourceControlPage: React.FC<RouteComponentProps<{ projectId: string }>> = (props) => {
+  const { projectId = '' } = props;
+  const status = useRecoilValue(gitStatusState(projectId));
+  const branches = useRecoilValue(gitBranchesState(projectId));
+  const diff = useRecoilValue(gitFileDiffState(projectId));
+  const pullResult = useRecoilValue(gitPullResultState(projectId));
+  const {
+    fetchGitStatus,
+    fetchGitBranches,
+    fetchGitFileDiff,
+    clearGitFileDiff,
+    stageGitFiles,
+    unstageGitFiles,
+    commitGitChanges,
+    checkoutGitBranch,
+    pullGitChanges,
+    clearGitPullResult,
+  } = useRecoilValue(dispatcherState);
+
+  const [selectedFile, setSelectedFile] = useState<GitFileChange>();
+  const [busy, setBusy] = useState(false);
+  const [createBranchDialogVisible, setCreateBranchDialogVisible] = useState(false);
+
+  const run = async (operation: () => Promise<void>) => {
+    setBusy(true);
+    try {
+      await operation();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const refresh = () =>
+    run(async () => {
+      await fetchGitStatus(projectId);
+      await fetchGitBranches(projectId);
+    });
+
+  useEffect(() => {
+    clearGitFileDiff(projectId);
+    clearGitPullResult(projectId);
+    setSelectedFile(undefined);
+    refresh();
+  }, [projectId]);
+
+  const selectFile = (file: GitFileChange) => {
+    setSelectedFile(file);
+    fetchGitFileDiff(projectId, file.path);
+  };
+
+  const checkout = (branch: string, create = false) =>
+    run(async () => {
+      setSelectedFile(undefined);
+      await checkoutGitBranch(projectId, branch, create);
+    });
+
+  const renderContent = () => {
+    if (!status) {
+      return <LoadingSpinner />;
+    }
+
+    if (!status.isRepository) {
+      return (
+        <div css={emptyView}>
+          {formatMessage(
+            'This bot is not in a git repository. Initialize a repository in the bot folder to track its changes.'
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div css={contentStyle} role="main">
+        <Split
+          resetOnDoubleClick
+          initialPrimarySize="320px"
+          minPrimarySize="280px"
+          minSecondarySize="400px"
+          renderSplitter={renderThinSplitter}
+        >
+          <ChangedFileList
+            files={status.files}
+            selected={selectedFile}
+            onCommit={(message) => run(() => commitGitChanges(projectId, message))}
+            onSelect={selectFile}
+            onStage={(paths) => run(() => stageGitFiles(projectId, paths))}
+            onUnstage={(paths) => run(() => unstageGitFiles(projectId, paths))}
+          />
+          <SemanticDiffView diff={selectedFile && diff?.path === selectedFile.path ? diff : undefined} />
+        </Split>
+      </div>
+    );
+  };
+
+  return (
+    <Fragment>
+      <SourceControlToolbar
+        branches={branches}
+        disabled={busy || !status?.isRepository}
+        onCheckout={(branch) => checkout(branch)}
+        onCreateBranch={() => setCreateBranchDialogVisible(true)}
+        onPull={() => run(() => pullGitChanges(projectId))}
+        onRefresh={refresh}
+      />
+      <div css={headerStyle}>
+        <h1 css={headerText}>{formatMessage('Source control')}</h1>
+        {status?.isRepository && (
+          <span>
+            {status.upstream
+              ? formatMessage('{branch} · {ahead} ahead, {behind} behind {upstream}', {
+                  branch: status.branch,
+                  ahead: status.ahead,
+                  behind: status.behind,
+                  upstream: status.upstream,
+                })
+              : status.branch}
+          </span>
+        )}
+      </div>
+      {pullResult && (
+        <MessageBar
+          messageBarType={pullResult.success ? MessageBarType.success : MessageBarType.severeWarning}
+          onDismiss={() => clearGitPullResult(projectId)}
+        >
+          {pullResult.success
+            ? pullResult.filesChanged
+              ? formatMessage('Pulled the latest changes and reloaded the project.')
+              : formatMessage('Already up to date.')
+            : formatMessage('{message} Conflicting files: {files}', {
+                message: pullResult.message,
+                files: pullResult.conflicts.join(', '),
+              })}
+        </MessageBar>
+      )}
+      {renderContent()}
+      {createBranchDialogVisible && (
+        <CreateBranchDialog
+          branches={branches.branches}
+          onDismiss={() => setCreateBranchDialogVisible(false)}
+          onSubmit={(branch) => {
+            setCreateBranchDialogVisible(false);
+            checkout(branch, true);
+          }}
+        />
+      )}
+    </Fragment>
+  );
+};
+
+export default SourceControlPage;
@@ -0,0 +1,77 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React from 'react';
+import formatMessage from 'format-message';
+import { Dropdown } from 'office-ui-fabric-react/lib/Dropdown';
+import { Toolbar, IToolbarItem, defaultToolbarButtonStyles } from '@bfc/ui-shared';
+import { GitBranchList } from '@bfc/shared';
+
+type SourceControlToolbarProps = {
+  branches: GitBranchList;
+  disabled: boolean;
+  onRefresh: () => void;
+  onPull: () => void;
+  onCheckout: (branch: string) => void;
+  onCreateBranch: () => void;
+};
+
+export const SourceControlToolbar: React.FC<SourceControlToolbarProps> = (props) => {
+  const { branches, disabled, onRefresh, onPull, onCheckout, onCreateBranch } = props;
+
+  const toolbarItems: IToolbarItem[] = [
+    {
+      type: 'action',
+      text: formatMessage('Refresh'),
+      buttonProps: {
+        iconProps: { iconName: 'Refresh' },
+        onClick: onRefresh,
+        styles: defaultToolbarButtonStyles,
+      },
+      align: 'left',
+      dataTestid: 'sourceControl-Toolbar-Refresh',
+      disabled,
+    },
+    {
+      type: 'action',
+      text: formatMessage('Pull'),
+      buttonProps: {
+        iconProps: { iconName: 'Download' },
+        onClick: onPull,
+        styles: defaultToolbarButtonStyles,
+      },
+      align: 'left',
+      dataTestid: 'sourceControl-Toolbar-Pull',
+      disabled,
+    },
+    {
+      type: 'element',
+      align: 'left',
+      element: (
+        <Dropdown
+          ariaLabel={formatMessage('Branch')}
+          data-testid="sourceControl-Toolbar-Branch"
+          disabled={disabled}
+          options={branches.branches.map((branch) => ({ key: branch, text: branch }))}
+          selectedKey={branches.current}
+          styles={{ root: { width: 200, marginLeft: 8 } }}
+          onChange={(_, option) => option && option.key !== branches.current && onCheckout(option.key as string)}
+        />
+      ),
+    },
+    {
+      type: 'action',
+      text: formatMessage('New branch'),
+      buttonProps: {
+        iconProps: { iconName: 'BranchFork2' },
+        onClick: onCreateBranch,
+        styles: defaultToolbarButtonStyles,
+      },
+      align: 'left',
+      dataTestid: 'sourceControl-Toolbar-NewBranch',
+      disabled,
+    },
+  ];
+
+  return <Toolbar toolbarItems={toolbarItems} />;
+};
@@ -0,0 +1,87 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { computeSemanticDiff, splitSections } from '../semanticDiff';
+
+const dialog = (actions: any[], extra = {}) =>
+  JSON.stringify({
+    $kind: 'Microsoft.AdaptiveDialog',
+    $designer: { id: 'root', name: 'main' },
+    ...extra,
+    triggers: [
+      {
+        $kind: 'Microsoft.OnBeginDialog',
+        $designer: { id: 'trigger1' },
+        actions,
+      },
+    ],
+  });
+
+describe('splitSections', () => {
+  it('splits content by headers and keeps the file header', () => {
+    const sections = splitSections('> comment\n# A\n- hi\n# B\n- bye', /^\s*#\s*(.+?)\s*$/);
+    expect(Array.from(sections.keys())).toEqual(['(file header)', 'A', 'B']);
+    expect(sections.get('A')?.content).toBe('# A\n- hi');
+  });
+
+  it('keeps duplicated headers apart', () => {
+    const sections = splitSections('# A\n- one\n# A\n- two', /^\s*#\s*(.+?)\s*$/);
+    expect(Array.from(sections.keys())).toEqual(['A', 'A (2)']);
+  });
+});
+
+describe('computeSemanticDiff', () => {
+  it('returns nothing for identical content', () => {
+    expect(computeSemanticDiff('a.lg', '# A\n- hi', '# A\n- hi')).toEqual([]);
+  });
+
+  it('reports lg templates', () => {
+    const changes = computeSemanticDiff('a.lg', '# A\n- hi\n# B\n- bye', '# A\n- hello\n# C\n- new');
+    expect(changes.map(({ kind, label }) => [kind, label])).toEqual([
+      ['modified', 'A'],
+      ['removed', 'B'],
+      ['added', 'C'],
+    ]);
+  });
+
+  it('reports lu intents', () => {
+    const changes = computeSemanticDiff('a.lu', '# Greeting\n- hi', '# Greeting\n- hi\n# Cancel\n- stop');
+    expect(changes).toEqual([{ kind: 'added', label: 'Cancel', after: '# Cancel\n- stop' }]);
+  });
+
+  it('reports qna questions', () => {
+    const changes = computeSemanticDiff('a.qna', '# ? hours\n```\n9-5\n```', '# ? hours\n```\n9-6\n```');
+    expect(changes.map(({ kind, label }) => [kind, label])).toEqual([['modified', 'hours']]);
+  });
+
+  it('reports dialog actions by designer id', () => {
+    const send = { $kind: 'Microsoft.SendActivity', $designer: { id: 'a1' }, activity: '${SendActivity_a1()}' };
+    const end = { $kind: 'Microsoft.EndDialog', $designer: { id: 'a2', name: 'end' } };
+
+    const changes = computeSemanticDiff('main.dialog', dialog([send]), dialog([{ ...send, activity: 'hi' }, end]));
+    expect(changes.map(({ kind, label }) => [kind, label])).toEqual([
+      ['modified', 'Microsoft.SendActivity (a1)'],
+      ['added', 'Microsoft.EndDialog (end)'],
+    ]);
+  });
+
+  it('does not report parents of a changed action', () => {
+    const send = { $kind: 'Microsoft.SendActivity', $designer: { id: 'a1' }, activity: 'one' };
+    const changes = computeSemanticDiff('main.dialog', dialog([send]), dialog([{ ...send, activity: 'two' }]));
+    expect(changes).toHaveLength(1);
+  });
+
+  it('reports dialog level properties', () => {
+    const changes = computeSemanticDiff('main.dialog', dialog([]), dialog([], { autoEndDialog: false }));
+    expect(changes.map(({ kind, label }) => [kind, label])).toEqual([['modified', 'Dialog properties']]);
+  });
+
+  it('falls back to a whole file change', () => {
+    expect(computeSemanticDiff('main.dialog', '{', '{}')).toEqual([
+      { kind: 'modified', label: 'main.dialog', before: '{', after: '{}' },
+    ]);
+    expect(computeSemanticDiff('readme.md', '', 'hi')).toEqual([
+      { kind: 'added', label: 'readme.md', before: undefined, after: 'hi' },
+    ]);
+  });
+});
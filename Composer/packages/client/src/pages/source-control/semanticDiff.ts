@@ -0,0 +1,202 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import isEqual from 'lodash/isEqual';
+
+export type SemanticChangeKind = 'added' | 'removed' | 'modified';
+
+export type SemanticChange = {
+  kind: SemanticChangeKind;
+  /** what changed, e.g. a template name or an action kind */
+  label: string;
+  before?: string;
+  after?: string;
+};
+
+type Section = { label: string; content: string };
+
+const FILE_HEADER = '(file header)';
+
+const lgHeader = /^\s*#\s*(.+?)\s*$/;
+const luHeader = /^\s*#\s*(?!\?)(.+?)\s*$/;
+const qnaHeader = /^\s*#\s*\?\s*(.+?)\s*$/;
+
+/**
+ * Splits text content into named sections, every line matching the header pattern starts a new section.
+ * Lines before the first header are collected in a "file header" section.
+ */
+export const splitSections = (content: string, header: RegExp): Map<string, Section> => {
+  const sections = new Map<string, Section>();
+  let current: Section = { label: FILE_HEADER, content: '' };
+  const lines: string[] = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text || current.label !== FILE_HEADER) {
+      let key = current.label;
+      // keep duplicated section names apart, the indexer reports them anyway
+      for (let i = 2; sections.has(key); i++) {
+        key = `${current.label} (${i})`;
+      }
+      sections.set(key, { label: key, content: text });
+    }
+    lines.length = 0;
+  };
+
+  content.split(/\r?\n/).forEach((line) => {
+    const match = header.exec(line);
+    if (match) {
+      flush();
+      current = { label: match[1], content: '' };
+    }
+    lines.push(line);
+  });
+  flush();
+
+  return sections;
+};
+
+const diffSections = (original: Map<string, Section>, modified: Map<string, Section>): SemanticChange[] => {
+  const changes: SemanticChange[] = [];
+  original.forEach((section, key) => {
+    const next = modified.get(key);
+    if (!next) {
+      changes.push({ kind: 'removed', label: section.label, before: section.content });
+    } else if (next.content !== section.content) {
+      changes.push({ kind: 'modified', label: section.label, before: section.content, after: next.content });
+    }
+  });
+  modified.forEach((section, key) => {
+    if (!original.has(key)) {
+      changes.push({ kind: 'added', label: section.label, after: section.content });
+    }
+  });
+  return changes;
+};
+
+type DialogNode = { label: string; ownProperties: Record<string, unknown> };
+
+const getDesignerId = (value: any): string | undefined =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value.$designer?.id : undefined;
+
+/**
+ * Strips every nested object that carries its own $designer id so a change in a child action
+ * is not reported again on each of its ancestors.
+ */
+const stripChildNodes = (value: unknown): unknown => {
+  if (Array.isArray(value)) {
+    return value.filter((item) => !getDesignerId(item)).map(stripChildNodes);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value as object).reduce((result, key) => {
+      const child = value[key];
+      if (!getDesignerId(child)) {
+        result[key] = stripChildNodes(child);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const collectDialogNodes = (value: unknown, nodes: Map<string, DialogNode>) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectDialogNodes(item, nodes));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  const id = getDesignerId(value);
+  if (id && !nodes.has(id)) {
+    const { $kind = '', $designer } = value as any;
+    const name = $designer?.name || $designer?.comment;
+    nodes.set(id, {
+      label: name ? `${$kind} (${name})` : `${$kind} (${id})`,
+      ownProperties: stripChildNodes(value) as Record<string, unknown>,
+    });
+  }
+  Object.keys(value as object).forEach((key) => collectDialogNodes((value as Record<string, unknown>)[key], nodes));
+};
+
+const stringify = (value: unknown) => JSON.stringify(value, null, 2);
+
+/**
+ * Compares two versions of a .dialog file action by action, matching triggers and actions by their $designer id.
+ */
+export const diffDialog = (original: string, modified: string): SemanticChange[] => {
+  const before = original ? JSON.parse(original) : {};
+  const after = modified ? JSON.parse(modified) : {};
+  const changes: SemanticChange[] = [];
+
+  // the dialog itself is compared separately so it's reported even without a $designer id
+  const beforeRoot = stripChildNodes(before);
+  const afterRoot = stripChildNodes(after);
+  if (original && modified && !isEqual(beforeRoot, afterRoot)) {
+    changes.push({
+      kind: 'modified',
+      label: 'Dialog properties',
+      before: stringify(beforeRoot),
+      after: stringify(afterRoot),
+    });
+  }
+
+  const beforeNodes = new Map<string, DialogNode>();
+  const afterNodes = new Map<string, DialogNode>();
+  Object.keys(before).forEach((key) => collectDialogNodes(before[key], beforeNodes));
+  Object.keys(after).forEach((key) => collectDialogNodes(after[key], afterNodes));
+
+  beforeNodes.forEach((node, id) => {
+    const next = afterNodes.get(id);
+    if (!next) {
+      changes.push({ kind: 'removed', label: node.label, before: stringify(node.ownProperties) });
+    } else if (!isEqual(node.ownProperties, next.ownProperties)) {
+      changes.push({
+        kind: 'modified',
+        label: next.label,
+        before: stringify(node.ownProperties),
+        after: stringify(next.ownProperties),
+      });
+    }
+  });
+  afterNodes.forEach((node, id) => {
+    if (!beforeNodes.has(id)) {
+      changes.push({ kind: 'added', label: node.label, after: stringify(node.ownProperties) });
+    }
+  });
+
+  return changes;
+};
+
+const sectionHeaders: Record<string, RegExp> = {
+  '.lg': lgHeader,
+  '.lu': luHeader,
+  '.qna': qnaHeader,
+};
+
+export const isSemanticDiffSupported = (path: string) =>
+  path.endsWith('.dialog') || Object.keys(sectionHeaders).some((ext) => path.endsWith(ext));
+
+/**
+ * Computes a list of meaningful changes between two versions of a bot file:
+ * triggers and actions for dialogs, templates for LG, intents for LU and questions for QnA files.
+ * Falls back to a single whole-file change when the content can't be understood.
+ */
+export const computeSemanticDiff = (path: string, original: string, modified: string): SemanticChange[] => {
+  if (original === modified) return [];
+
+  if (path.endsWith('.dialog')) {
+    try {
+      return diffDialog(original, modified);
+    } catch (err) {
+      // invalid json, fall through to the whole file change
+    }
+  } else {
+    const ext = Object.keys(sectionHeaders).find((ext) => path.endsWith(ext));
+    if (ext) {
+      return diffSections(splitSections(original, sectionHeaders[ext]), splitSections(modified, sectionHeaders[ext]));
+    }
+  }
+
+  const kind: SemanticChangeKind = !original ? 'added' : !modified ? 'removed' : 'modified';
+  return [{ kind, label: path, before: original || undefined, after: modified || undefined }];
+};
@@ -0,0 +1,127 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { css } from '@emotion/core';
+import { FontWeights, FontSizes } from 'office-ui-fabric-react/lib/Styling';
+import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+
+import { SemanticChangeKind } from './semanticDiff';
+
+export const headerStyle = css`
+  padding: 5px 20px;
+  height: 60px;
+  display: flex;
+  flex-shrink: 0;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+export const headerText = css`
+  font-size: ${FontSizes.xLarge};
+  font-weight: ${FontWeights.semibold};
+  margin-right: 10px;
+`;
+
+export const contentStyle = css`
+  display: flex;
+  height: calc(100% - 105px);
+  border-top: 1px solid ${NeutralColors.gray30};
+`;
+
+export const fileListStyle = css`
+  width: 100%;
+  height: 100%;
+  overflow-y: auto;
+  border-right: 1px solid ${NeutralColors.gray30};
+  box-sizing: border-box;
+  padding: 8px 12px;
+`;
+
+export const groupHeader = css`
+  font-size: ${FontSizes.small};
+  font-weight: ${FontWeights.semibold};
+  text-transform: uppercase;
+  color: ${NeutralColors.gray130};
+  margin: 12px 0 4px;
+`;
+
+export const fileItem = (selected: boolean) => css`
+  display: flex;
+  align-items: center;
+  height: 32px;
+  padding: 0 4px;
+  cursor: pointer;
+  background: ${selected ? NeutralColors.gray30 : 'transparent'};
+  &:hover {
+    background: ${NeutralColors.gray20};
+  }
+`;
+
+export const fileName = css`
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const statusColors = {
+  modified: SharedColors.orange20,
+  added: SharedColors.green20,
+  untracked: SharedColors.green20,
+  renamed: SharedColors.cyanBlue10,
+  deleted: SharedColors.red20,
+  conflicted: SharedColors.red20,
+};
+
+export const statusBadge = (status: string) => css`
+  width: 16px;
+  font-weight: ${FontWeights.semibold};
+  color: ${statusColors[status] ?? NeutralColors.gray130};
+  text-align: center;
+`;
+
+export const diffViewStyle = css`
+  height: 100%;
+  overflow-y: auto;
+  padding: 12px 20px;
+  box-sizing: border-box;
+`;
+
+const changeColors: Record<SemanticChangeKind, string> = {
+  added: SharedColors.green20,
+  removed: SharedColors.red20,
+  modified: SharedColors.orange20,
+};
+
+export const changeCard = (kind: SemanticChangeKind) => css`
+  border-left: 3px solid ${changeColors[kind]};
+  background: ${NeutralColors.gray10};
+  margin-bottom: 12px;
+  padding: 8px 12px;
+`;
+
+export const changeTitle = css`
+  font-weight: ${FontWeights.semibold};
+  margin-bottom: 8px;
+`;
+
+export const changeContent = css`
+  display: flex;
+  & > pre {
+    flex: 1;
+    min-width: 0;
+    margin: 0 4px;
+    padding: 8px;
+    overflow-x: auto;
+    font-size: ${FontSizes.small};
+    background: white;
+  }
+`;
+
+export const emptyView = css`
+  display: flex;
+  height: 100%;
+  align-items: center;
+  justify-content: center;
+  opacity: 0.5;
+`;
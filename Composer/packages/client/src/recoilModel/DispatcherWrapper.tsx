@@ -13,6 +13,9 @@ import { createMissingLgTemplatesForDialogs } from '../utils/lgUtil';
 
 import { dialogsSelectorFamily, luFilesSelectorFamily, qnaFilesSelectorFamily } from './selectors';
 import { UndoRoot } from './undo/history';
+import { undoAssetTypes } from './undo/trackedAtoms';
+import { CollaborationRoot } from './collaboration/CollaborationRoot';
+import { DebuggerRoot } from './debugger/DebuggerRoot';
 import { prepareAxios } from './../utils/auth';
 import createDispatchers, { Dispatcher } from './dispatchers';
 import {
@@ -132,8 +135,12 @@ export const DispatcherWrapper = ({ children }) => {
     <Fragment>
       {botProjects.map((projectId) => (
         <Fragment key={projectId}>
-          <UndoRoot projectId={projectId} />
+          {undoAssetTypes.map((assetType) => (
+            <UndoRoot key={assetType} assetType={assetType} projectId={projectId} />
+          ))}
           <Recognizer projectId={projectId} />
+          <CollaborationRoot projectId={projectId} />
+          <DebuggerRoot projectId={projectId} />
         </Fragment>
       ))}
       <InitDispatcher onLoad={setLoaded} />
@@ -10,6 +10,7 @@ import {
   LuProviderType,
   QnALocales,
   LUISLocales,
+  RecognizerBuilderInfo,
 } from '@bfc/shared';
 import React, { useEffect, useRef } from 'react';
 import { useRecoilState, useSetRecoilState } from 'recoil';
@@ -22,7 +23,7 @@ import { getLuProvider } from '../utils/dialogUtil';
 
 import * as luUtil from './../utils/luUtil';
 import * as buildUtil from './../utils/buildUtil';
-import { crossTrainConfigState, filePersistenceState, settingsState } from './atoms';
+import { crossTrainConfigState, filePersistenceState, recognizerBuildersState, settingsState } from './atoms';
 import { dialogsSelectorFamily, luFilesSelectorFamily, qnaFilesSelectorFamily } from './selectors';
 import { recognizersSelectorFamily } from './selectors/recognizers';
 
@@ -74,6 +75,13 @@ export const OrchestratorRecognizerTemplate = (target: string, fileName: string)
   };
 };
 
+export const CustomRecognizerTemplate = ({ kind, recognizer }: RecognizerBuilderInfo, fileName: string) => ({
+  ...recognizer,
+  // declared by the schema of the bot rather than the SDK
+  $kind: kind as SDKKinds,
+  id: fileName,
+});
+
 export const getMultiLanguagueRecognizerDialog = (
   target: string,
   files: { empty: boolean; id: string }[],
@@ -116,6 +124,12 @@ export const getOrchestratorRecognizerDialogs = (target: string, luFiles: LuFile
     .map((item) => ({ id: `${item.id}.lu.dialog`, content: OrchestratorRecognizerTemplate(target, item.id) }));
 };
 
+export const getCustomRecognizerDialogs = (target: string, luFiles: LuFile[], builder: RecognizerBuilderInfo) => {
+  return luFiles
+    .filter((item) => getBaseName(item.id) === target)
+    .map((item) => ({ id: `${item.id}.lu.dialog`, content: CustomRecognizerTemplate(builder, item.id) }));
+};
+
 export const getQnAMakerRecognizerDialogs = (target: string, qnaFiles: QnAFile[]) => {
   return qnaFiles
     .filter((item) => !item.empty)
@@ -150,12 +164,16 @@ export const generateRecognizers = (
   luFiles: LuFile[],
   qnaFiles: QnAFile[],
   luProvide?: LuProviderType,
-  defaultLanguage = 'en-us'
+  defaultLanguage = 'en-us',
+  recognizerBuilders: RecognizerBuilderInfo[] = []
 ) => {
   const isCrossTrain = isCrossTrainedRecognizerSet(dialog);
   const isOrchestrator = luProvide === SDKKinds.OrchestratorRecognizer;
+  const recognizerBuilder = recognizerBuilders.find(({ kind }) => kind === luProvide);
   const luisRecognizers = isOrchestrator
     ? getOrchestratorRecognizerDialogs(dialog.id, luFiles)
+    : recognizerBuilder
+    ? getCustomRecognizerDialogs(dialog.id, luFiles, recognizerBuilder)
     : getLuisRecognizerDialogs(dialog.id, luFiles);
   const luMultiLanguageRecognizer = getMultiLanguagueRecognizerDialog(
     dialog.id,
@@ -207,6 +225,7 @@ export const Recognizer = React.memo((props: { projectId: string }) => {
   const qnaFiles = useRecoilValue(qnaFilesSelectorFamily(projectId));
   const settings = useRecoilValue(settingsState(projectId));
   const defaultLanguage = settings.defaultLanguage;
+  const recognizerBuilders = useRecoilValue(recognizerBuildersState);
   const curRecognizers = useRecoilValue(recognizersSelectorFamily(projectId));
   const curRecognizersRef = useRef(curRecognizers);
   const filePersistence = useRecoilValue(filePersistenceState(projectId));
@@ -230,7 +249,7 @@ export const Recognizer = React.memo((props: { projectId: string }) => {
           crossTrainedRecognizer,
           qnaMultiLanguagueRecognizer,
           qnaMakeRecognizers,
-        } = generateRecognizers(dialog, filteredLus, filteredQnas, luProvide, defaultLanguage);
+        } = generateRecognizers(dialog, filteredLus, filteredQnas, luProvide, defaultLanguage, recognizerBuilders);
 
         if (luisRecognizers.length) {
           recognizers.push(luMultiLanguageRecognizer);
@@ -247,7 +266,7 @@ export const Recognizer = React.memo((props: { projectId: string }) => {
     if (!isEqual([...recognizers].sort(), [...curRecognizersRef.current].sort())) {
       setRecognizers(recognizers);
     }
-  }, [dialogs, luFiles, qnaFiles, filePersistence, defaultLanguage]);
+  }, [dialogs, luFiles, qnaFiles, filePersistence, defaultLanguage, recognizerBuilders]);
 
   useEffect(() => {
     try {
@@ -1,7 +1,14 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 import { atom, atomFamily } from 'recoil';
-import { FormDialogSchemaTemplate, FeatureFlagMap, BotTemplate, UserSettings, ExtensionSettings } from '@bfc/shared';
+import {
+  FormDialogSchemaTemplate,
+  FeatureFlagMap,
+  BotTemplate,
+  UserSettings,
+  ExtensionSettings,
+  RecognizerBuilderInfo,
+} from '@bfc/shared';
 import { ExtensionMetadata } from '@bfc/extension-client';
 
 import {
@@ -166,7 +173,7 @@ export const runtimeSettingsState = atom<{
   },
 });
 
-export const botEndpointsState = atom<Record<string, { url: string; port: number }>>({
+export const botEndpointsState = atom<Record<string, { url: string; port: number; debugPort?: number }>>({
   key: getFullyQualifiedKey('botEndpoints'),
   default: {},
 });
@@ -205,6 +212,12 @@ export const extensionSettingsState = atom<ExtensionSettings>({
   default: {},
 });
 
+// recognizers built by extensions, they are offered in the recognizer picker
+export const recognizerBuildersState = atom<RecognizerBuilderInfo[]>({
+  key: getFullyQualifiedKey('recognizerBuilders'),
+  default: [],
+});
+
 export const botProjectIdsState = atom<string[]>({
   key: getFullyQualifiedKey('botProjectIdsState'),
   default: [],
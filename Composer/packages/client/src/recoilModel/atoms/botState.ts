@@ -5,6 +5,8 @@ import {
   BotProjectFile,
   BotProjectSpace,
   BotSchemas,
+  BuildDryRunResult,
+  BuildSummary,
   CrosstrainConfig,
   Diagnostic,
   DialogInfo,
@@ -18,6 +20,18 @@ import {
   SkillManifestFile,
   RecognizerFile,
   PublishTarget,
+  GitBranchList,
+  GitFileDiff,
+  GitPullResult,
+  GitStatus,
+  Collaborator,
+  DialogTestResult,
+  DialogTestScript,
+  DebuggerBreakpoint,
+  DebuggerLocation,
+  DebuggerScopes,
+  DebuggerStatus,
+  ActionSnippet,
 } from '@bfc/shared';
 import { ConversationTrafficItem } from '@botframework-composer/types';
 import { atomFamily } from 'recoil';
@@ -216,6 +230,12 @@ export const botDiagnosticsState = atomFamily<Diagnostic[], string>({
   },
 });
 
+/** which models the last build of the bot trained again and which ones it kept */
+export const botBuildSummaryState = atomFamily<BuildSummary | undefined, string>({
+  key: getFullyQualifiedKey('botBuildSummary'),
+  default: undefined,
+});
+
 export const botBuildTimeErrorState = atomFamily<BotStartError, string>({
   key: getFullyQualifiedKey('botLoadErrorMsg'),
   default: (id) => {
@@ -451,3 +471,81 @@ export const runtimeStandardOutputDataState = atomFamily<RuntimeOutputData, stri
     standardOutput: '',
   },
 });
+
+export const gitStatusState = atomFamily<GitStatus | undefined, string>({
+  key: getFullyQualifiedKey('gitStatus'),
+  default: undefined,
+});
+
+export const gitBranchesState = atomFamily<GitBranchList, string>({
+  key: getFullyQualifiedKey('gitBranches'),
+  default: {
+    current: '',
+    branches: [],
+  },
+});
+
+export const gitFileDiffState = atomFamily<GitFileDiff | undefined, string>({
+  key: getFullyQualifiedKey('gitFileDiff'),
+  default: undefined,
+});
+
+export const gitPullResultState = atomFamily<GitPullResult | undefined, string>({
+  key: getFullyQualifiedKey('gitPullResult'),
+  default: undefined,
+});
+
+/** other people editing the same bot, the current client is not included */
+export const collaboratorsState = atomFamily<Collaborator[], string>({
+  key: getFullyQualifiedKey('collaborators'),
+  default: [],
+});
+
+export const dialogTestsState = atomFamily<DialogTestScript[], string>({
+  key: getFullyQualifiedKey('dialogTests'),
+  default: [],
+});
+
+/** results of the last run, keyed by test name */
+export const dialogTestResultsState = atomFamily<Record<string, DialogTestResult>, string>({
+  key: getFullyQualifiedKey('dialogTestResults'),
+  default: {},
+});
+
+/** names of the tests that are running */
+export const dialogTestsRunningState = atomFamily<string[], string>({
+  key: getFullyQualifiedKey('dialogTestsRunning'),
+  default: [],
+});
+
+/** snippets of the user and of the bot, in that order */
+export const actionSnippetsState = atomFamily<ActionSnippet[], string>({
+  key: getFullyQualifiedKey('actionSnippets'),
+  default: [],
+});
+
+/** breakpoints set on actions in the visual editor, verified once the runtime bound them */
+export const breakpointsState = atomFamily<DebuggerBreakpoint[], string>({
+  key: getFullyQualifiedKey('breakpoints'),
+  default: [],
+});
+
+export const debuggerState = atomFamily<
+  { status: DebuggerStatus; location?: DebuggerLocation; scopes?: DebuggerScopes },
+  string
+>({
+  key: getFullyQualifiedKey('debugger'),
+  default: { status: 'detached' },
+});
+
+/** designer ids of the triggers and actions traced during the Web Chat conversations, kept until coverage is reset */
+export const executedDesignerIdsState = atomFamily<string[], string>({
+  key: getFullyQualifiedKey('executedDesignerIds'),
+  default: [],
+});
+
+/** what the last dry run of the LUIS, QnA Maker and Orchestrator build would generate */
+export const buildDryRunState = atomFamily<{ running: boolean; result?: BuildDryRunResult; error?: string }, string>({
+  key: getFullyQualifiedKey('buildDryRun'),
+  default: { running: false },
+});
@@ -2,7 +2,7 @@
 // Licensed under the MIT License.
 
 import { atom } from 'recoil';
-import { ZoomInfo } from '@bfc/shared';
+import { FlowLayoutDirection, ZoomInfo } from '@bfc/shared';
 
 const getFullyQualifiedKey = (value: string) => {
   return `Zoom_${value}_State`;
@@ -22,3 +22,13 @@ export const flowCommentsVisibilityState = atom<boolean>({
   key: getFullyQualifiedKey('flowCommentsVisibility'),
   default: false,
 });
+
+export const flowCoverageVisibilityState = atom<boolean>({
+  key: getFullyQualifiedKey('flowCoverageVisibility'),
+  default: false,
+});
+
+export const flowLayoutDirectionState = atom<FlowLayoutDirection>({
+  key: getFullyQualifiedKey('flowLayoutDirection'),
+  default: 'vertical',
+});
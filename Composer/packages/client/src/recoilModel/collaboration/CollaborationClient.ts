@@ -0,0 +1,120 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { CollaborationClientMessage, CollaborationServerMessage, CollaboratorLocation, FileDelta } from '@bfc/shared';
+import formatMessage from 'format-message';
+
+import storage from '../../utils/storage';
+
+const USER_KEY = 'CollaborationUser';
+const SERVER_PATH = '/collaboration';
+const MAX_RECONNECT_DELAY = 30000;
+
+const colors = ['#0078d4', '#8764b8', '#038387', '#ca5010', '#c239b3', '#498205', '#da3b01', '#005b70'];
+
+/**
+ * Name and color shown to the other people editing the bot, kept across sessions.
+ */
+export const getCollaborationUser = (name?: string) => {
+  const saved = storage.get<{ name: string; color: string }>(USER_KEY);
+  if (saved && (!name || saved.name === name)) return saved;
+
+  const user = {
+    name: name || formatMessage('Guest {number}', { number: Math.floor(1000 + Math.random() * 9000) }),
+    color: colors[Math.floor(Math.random() * colors.length)],
+  };
+  storage.set(USER_KEY, user);
+  return user;
+};
+
+const getServerUrl = () => {
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  // websockets cannot send headers, the server checks the CSRF token in the query string
+  const { __csrf__ = '' } = window;
+  return `${protocol}://${location.host}${SERVER_PATH}?csrf=${encodeURIComponent(__csrf__)}`;
+};
+
+/**
+ * One websocket to the collaboration hub of the server per bot project, reconnects when the server goes away.
+ */
+class CollaborationClient {
+  private _projectId: string;
+  private _user: { name: string; color: string };
+  private _socket: WebSocket | null = null;
+  private _handler: (message: CollaborationServerMessage) => void = () => undefined;
+  private _reconnectDelay = 1000;
+  private _reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private _location?: CollaboratorLocation;
+  private _closed = false;
+
+  constructor(projectId: string, user: { name: string; color: string }) {
+    this._projectId = projectId;
+    this._user = user;
+  }
+
+  public get projectId() {
+    return this._projectId;
+  }
+
+  public get isConnected() {
+    return this._socket?.readyState === WebSocket.OPEN;
+  }
+
+  public onMessage(handler: (message: CollaborationServerMessage) => void) {
+    this._handler = handler;
+  }
+
+  public connect() {
+    if (typeof WebSocket === 'undefined') return;
+    this._closed = false;
+
+    const socket = new WebSocket(getServerUrl());
+    socket.onopen = () => {
+      this._reconnectDelay = 1000;
+      this.send({ type: 'join', projectId: this._projectId, ...this._user });
+      if (this._location) this.send({ type: 'presence', location: this._location });
+    };
+    socket.onmessage = (event) => {
+      try {
+        this._handler(JSON.parse(event.data));
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(err);
+      }
+    };
+    socket.onclose = () => {
+      this._socket = null;
+      if (!this._closed) this.scheduleReconnect();
+    };
+    this._socket = socket;
+  }
+
+  public close() {
+    this._closed = true;
+    if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    this._socket?.close();
+    this._socket = null;
+  }
+
+  public sendPresence(location?: CollaboratorLocation) {
+    this._location = location;
+    this.send({ type: 'presence', location });
+  }
+
+  public sendChange(file: string, delta: FileDelta, version: number) {
+    return this.send({ type: 'change', file, delta, version });
+  }
+
+  private send(message: CollaborationClientMessage) {
+    if (!this.isConnected) return false;
+    this._socket?.send(JSON.stringify(message));
+    return true;
+  }
+
+  private scheduleReconnect() {
+    this._reconnectTimer = setTimeout(() => this.connect(), this._reconnectDelay);
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+}
+
+export default CollaborationClient;
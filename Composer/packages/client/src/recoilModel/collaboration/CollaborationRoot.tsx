@@ -0,0 +1,193 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React, { useEffect, useRef } from 'react';
+import {
+  CallbackInterface,
+  Snapshot,
+  useRecoilCallback,
+  useRecoilTransactionObserver_UNSTABLE as useRecoilTransactionObserver,
+  useRecoilValue,
+} from 'recoil';
+import { CollaborationServerMessage, Collaborator } from '@bfc/shared';
+import formatMessage from 'format-message';
+
+import {
+  collaboratorsState,
+  currentUserState,
+  designPageLocationState,
+  dispatcherState,
+  filePersistenceState,
+} from '../atoms';
+import { getAtomFiles, trackedAtoms, UndoAssetType } from '../undo/trackedAtoms';
+import { addNotificationInternal, createNotification } from '../dispatchers/notification';
+import { CardProps } from '../../components/Notifications/NotificationCard';
+
+import CollaborationClient, { getCollaborationUser } from './CollaborationClient';
+import { FileSync } from './fileSync';
+
+// the assets edited as text or JSON trees, settings and manifests are still saved as whole files
+const collaborativeAssetTypes: UndoAssetType[] = ['dialog', 'qna'];
+
+const getFiles = (snapshot: Snapshot, projectId: string) => {
+  const files: Record<string, string> = {};
+  collaborativeAssetTypes.forEach((assetType) => {
+    trackedAtoms(projectId, assetType).forEach((atom, index) => {
+      Object.assign(files, getAtomFiles(assetType, index, snapshot.getLoadable(atom).contents));
+    });
+  });
+  return files;
+};
+
+// content before and after the transaction of the files held by the atoms that changed
+const getChangedFiles = (snapshot: Snapshot, previousSnapshot: Snapshot, projectId: string) => {
+  const changes: { file: string; previous: string; current: string }[] = [];
+  collaborativeAssetTypes.forEach((assetType) => {
+    trackedAtoms(projectId, assetType).forEach((atom, index) => {
+      const value = snapshot.getLoadable(atom).contents;
+      const previousValue = previousSnapshot.getLoadable(atom).contents;
+      if (value === previousValue) return;
+
+      const files = getAtomFiles(assetType, index, value);
+      const previousFiles = getAtomFiles(assetType, index, previousValue);
+      Object.keys(files).forEach((file) => {
+        if (file in previousFiles && files[file] !== previousFiles[file]) {
+          changes.push({ file, previous: previousFiles[file], current: files[file] });
+        }
+      });
+    });
+  });
+  return changes;
+};
+
+type CollaborationRootProps = {
+  projectId: string;
+};
+
+/**
+ * Sends the changes made in this window to the other people editing the bot and merges theirs in,
+ * see FileSync for how the versions of the files are kept in step with the server.
+ */
+export const CollaborationRoot = React.memo(({ projectId }: CollaborationRootProps) => {
+  const currentUser = useRecoilValue(currentUserState);
+  const client = useRef<CollaborationClient | null>(null);
+  const clientId = useRef('');
+  const fileSync = useRef<FileSync | null>(null);
+
+  const setCollaborators = useRecoilCallback(({ set }: CallbackInterface) => (collaborators: Collaborator[]) => {
+    set(
+      collaboratorsState(projectId),
+      collaborators.filter((collaborator) => collaborator.clientId !== clientId.current)
+    );
+  });
+
+  // the state is updated with the dispatchers, the file is only saved again when it holds local changes too
+  const applyFile = async (snapshot: Snapshot, file: string, content: string, saved: boolean) => {
+    if (saved) {
+      const filePersistence = await snapshot.getPromise(filePersistenceState(projectId));
+      filePersistence.skipUpdate?.(file, content);
+    }
+    const { updateDialog, updateLuFile, updateLgFile, updateQnAFile } = await snapshot.getPromise(dispatcherState);
+    const extension = file.substring(file.lastIndexOf('.'));
+    const id = file.substring(0, file.lastIndexOf('.'));
+    switch (extension) {
+      case '.dialog':
+        return updateDialog({ id, content: JSON.parse(content), projectId });
+      case '.lu':
+        return updateLuFile({ id, content, projectId });
+      case '.lg':
+        return updateLgFile({ id, content, projectId });
+      case '.qna':
+        return updateQnAFile({ id, content, projectId });
+    }
+  };
+
+  const notify = useRecoilCallback((callbackHelpers: CallbackInterface) => (notification: CardProps) => {
+    addNotificationInternal(callbackHelpers, createNotification(notification));
+  });
+
+  const receiveChange = useRecoilCallback(
+    ({ snapshot }: CallbackInterface) => async (message: Extract<CollaborationServerMessage, { type: 'change' }>) => {
+      const { file, delta, baseVersion, version } = message;
+      const local = getFiles(snapshot, projectId)[file];
+      // files added or removed by others show up after a reload
+      if (local === undefined || !fileSync.current) return;
+
+      const result = fileSync.current.remoteChange(file, delta, baseVersion, version, local);
+      if (!result) return;
+
+      if (result.content !== local) {
+        await applyFile(snapshot, file, result.content, fileSync.current.isConfirmed(file, result.content));
+      }
+      if (result.conflict) {
+        notify({
+          type: 'warning',
+          title: formatMessage('Conflicting edits in {file}', { file }),
+          description: formatMessage(
+            'Someone else changed the same part of {file}. Your version was kept, check the file before you continue.',
+            { file }
+          ),
+        });
+      }
+    }
+  );
+
+  const handleMessage = (message: CollaborationServerMessage) => {
+    switch (message.type) {
+      case 'welcome':
+        clientId.current = message.clientId;
+        fileSync.current?.reset(message.versions);
+        return setCollaborators(message.collaborators);
+      case 'collaborators':
+        return setCollaborators(message.collaborators);
+      case 'ack':
+        return fileSync.current?.ack(message.file, message.version);
+      case 'reject':
+        return fileSync.current?.reject(message.file, message.version);
+      case 'change':
+        return receiveChange(message);
+    }
+  };
+
+  useEffect(() => {
+    const collaborationClient = new CollaborationClient(projectId, getCollaborationUser(currentUser?.name));
+    fileSync.current = new FileSync({
+      send: (file, delta, version) => collaborationClient.sendChange(file, delta, version),
+      onOutOfSync: (file) =>
+        notify({
+          type: 'warning',
+          title: formatMessage('{file} is out of sync', { file }),
+          description: formatMessage(
+            'The changes others made to {file} could not be merged. Reload the bot to get their latest version.',
+            { file }
+          ),
+        }),
+    });
+    collaborationClient.onMessage(handleMessage);
+    collaborationClient.connect();
+    client.current = collaborationClient;
+    return () => {
+      collaborationClient.close();
+      client.current = null;
+      fileSync.current = null;
+    };
+  }, [projectId]);
+
+  useRecoilTransactionObserver(({ snapshot, previousSnapshot }) => {
+    const collaborationClient = client.current;
+    if (!collaborationClient?.isConnected) return;
+
+    const location = snapshot.getLoadable(designPageLocationState(projectId)).contents;
+    if (location !== previousSnapshot.getLoadable(designPageLocationState(projectId)).contents) {
+      collaborationClient.sendPresence(
+        location ? { dialogId: location.dialogId, selected: location.selected } : undefined
+      );
+    }
+
+    getChangedFiles(snapshot, previousSnapshot, projectId).forEach(({ file, previous, current }) => {
+      fileSync.current?.localChange(file, previous, current);
+    });
+  });
+
+  return null;
+});
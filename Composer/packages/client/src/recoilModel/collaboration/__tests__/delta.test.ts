@@ -0,0 +1,109 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  applyFileDelta,
+  applyJsonDelta,
+  applyTextDelta,
+  createFileDelta,
+  createJsonDelta,
+  createTextDelta,
+  mergeFile,
+  mergeJson,
+  mergeText,
+} from '../delta';
+
+const lg = (...lines: string[]) => lines.join('\n');
+
+describe('text deltas', () => {
+  it('describes a change as one replaced block', () => {
+    const delta = createTextDelta(lg('# a', '- 1', '# b', '- 2'), lg('# a', '- one', '# b', '- 2'));
+    expect(delta).toEqual({ kind: 'text', start: 1, deleteCount: 1, insert: ['- one'] });
+  });
+
+  it('round trips through apply', () => {
+    const previous = lg('# a', '- 1', '# b', '- 2');
+    const next = lg('# a', '- 1', '- 1.5', '# c', '- 3');
+    expect(applyTextDelta(previous, createTextDelta(previous, next))).toBe(next);
+  });
+
+  it('merges changes on different lines', () => {
+    const base = lg('# a', '- 1', '# b', '- 2');
+    const local = lg('# a', '- one', '# b', '- 2');
+    const remote = lg('# a', '- 1', '# b', '- two');
+    expect(mergeText(base, local, remote)).toEqual({ content: lg('# a', '- one', '# b', '- two'), conflict: false });
+  });
+
+  it('keeps the local change when both sides edit the same lines', () => {
+    const base = lg('# a', '- 1');
+    expect(mergeText(base, lg('# a', '- local'), lg('# a', '- remote'))).toEqual({
+      content: lg('# a', '- local'),
+      conflict: true,
+    });
+  });
+
+  it('takes the remote content when there is no local change', () => {
+    expect(mergeText('a', 'a', 'b')).toEqual({ content: 'b', conflict: false });
+  });
+});
+
+describe('json deltas', () => {
+  const base = {
+    $kind: 'Microsoft.AdaptiveDialog',
+    triggers: [
+      { $kind: 'Microsoft.OnBeginDialog', actions: [{ $kind: 'Microsoft.SendActivity', activity: 'a' }] },
+      { $kind: 'Microsoft.OnIntent', intent: 'Help', actions: [] },
+    ],
+  };
+
+  it('describes edits in place as operations on the changed nodes', () => {
+    const next = { ...base, triggers: [base.triggers[0], { ...base.triggers[1], intent: 'Cancel' }] };
+    expect(createJsonDelta(base, next).operations).toEqual([
+      { op: 'set', path: ['triggers', 1, 'intent'], value: 'Cancel' },
+    ]);
+    expect(applyJsonDelta(base, createJsonDelta(base, next))).toEqual(next);
+  });
+
+  it('removes deleted properties', () => {
+    const next = { triggers: base.triggers };
+    expect(applyJsonDelta(base, createJsonDelta(base, next))).toEqual(next);
+  });
+
+  it('merges changes to different triggers', () => {
+    const local = { ...base, triggers: [base.triggers[0], { ...base.triggers[1], intent: 'Cancel' }] };
+    const remote = {
+      ...base,
+      triggers: [
+        { ...base.triggers[0], actions: [{ $kind: 'Microsoft.SendActivity', activity: 'b' }] },
+        base.triggers[1],
+      ],
+    };
+    const { document, conflict } = mergeJson(base, local, remote);
+    expect(conflict).toBe(false);
+    expect(document.triggers[0].actions[0].activity).toBe('b');
+    expect(document.triggers[1].intent).toBe('Cancel');
+  });
+
+  it('keeps the local change when both sides edit the same node', () => {
+    const local = { ...base, triggers: [base.triggers[0], { ...base.triggers[1], intent: 'Cancel' }] };
+    const remote = { ...base, triggers: [base.triggers[0], { ...base.triggers[1], intent: 'Stop' }] };
+    const { document, conflict } = mergeJson(base, local, remote);
+    expect(conflict).toBe(true);
+    expect(document.triggers[1].intent).toBe('Cancel');
+  });
+});
+
+describe('file deltas', () => {
+  it('uses json deltas for dialogs and text deltas for the other files', () => {
+    expect(createFileDelta('main.dialog', '{"a":1}', '{"a":2}').kind).toBe('json');
+    expect(createFileDelta('main.dialog', '{"a":1}', '{"a":').kind).toBe('text');
+    expect(createFileDelta('main.en-us.lg', '# a', '# b').kind).toBe('text');
+  });
+
+  it('applies and merges file content', () => {
+    const delta = createFileDelta('main.dialog', '{"a":1}', '{"a":2}');
+    expect(JSON.parse(applyFileDelta('{"a":1}', delta))).toEqual({ a: 2 });
+    const merged = mergeFile('main.dialog', '{"a":1,"b":1}', '{"a":2,"b":1}', '{"a":1,"b":2}');
+    expect(JSON.parse(merged.content)).toEqual({ a: 2, b: 2 });
+  });
+});
@@ -0,0 +1,77 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { FileDelta } from '@bfc/shared';
+
+import { FileSync } from '../fileSync';
+
+const lg = (...lines: string[]) => lines.join('\n');
+const file = 'main.lg';
+
+type Sent = { delta: FileDelta; version: number };
+
+const createClient = () => {
+  const sent: Sent[] = [];
+  const onOutOfSync = jest.fn();
+  const sync = new FileSync({
+    send: (_, delta, version) => {
+      sent.push({ delta, version });
+      return true;
+    },
+    onOutOfSync,
+  });
+  sync.reset({});
+  return { sync, sent, onOutOfSync };
+};
+
+describe('FileSync', () => {
+  const base = lg('# a', '- 1', '# b', '- 2');
+
+  it('sends one change at a time against the confirmed version', () => {
+    const { sync, sent } = createClient();
+    sync.localChange(file, base, lg('# a', '- one', '# b', '- 2'));
+    sync.localChange(file, lg('# a', '- one', '# b', '- 2'), lg('# a', '- one', '# b', '- two'));
+    expect(sent).toHaveLength(1);
+
+    sync.ack(file, 1);
+    expect(sent).toHaveLength(2);
+    expect(sent[1]).toEqual({ delta: { kind: 'text', start: 3, deleteCount: 1, insert: ['- two'] }, version: 1 });
+  });
+
+  it('merges concurrent changes against the version they were made on and sends the rejected one again', () => {
+    const ada = createClient();
+    const bob = createClient();
+
+    // both edit version 0, the hub accepts Ada's change first
+    const adaContent = lg('# a', '- one', '# b', '- 2');
+    const bobContent = lg('# a', '- 1', '# b', '- two');
+    ada.sync.localChange(file, base, adaContent);
+    bob.sync.localChange(file, base, bobContent);
+    ada.sync.ack(file, 1);
+
+    // Bob still has his unacknowledged change in his content, it is kept
+    const result = bob.sync.remoteChange(file, ada.sent[0].delta, 0, 1, bobContent);
+    const merged = lg('# a', '- one', '# b', '- two');
+    expect(result).toEqual({ content: merged, conflict: false });
+    // the merged content has Bob's change, which the author of the remote one did not save
+    expect(bob.sync.isConfirmed(file, merged)).toBe(false);
+
+    bob.sync.reject(file, 1);
+    expect(bob.sent[1]).toEqual({ delta: { kind: 'text', start: 3, deleteCount: 1, insert: ['- two'] }, version: 1 });
+
+    // Ada gets Bob's change made against her version
+    expect(ada.sync.remoteChange(file, bob.sent[1].delta, 1, 2, adaContent)).toEqual({
+      content: merged,
+      conflict: false,
+    });
+    expect(ada.sync.isConfirmed(file, merged)).toBe(true);
+    expect(bob.onOutOfSync).not.toHaveBeenCalled();
+  });
+
+  it('reports a change made against another version', () => {
+    const { sync, onOutOfSync } = createClient();
+    const delta: FileDelta = { kind: 'text', start: 0, deleteCount: 1, insert: ['# c'] };
+    expect(sync.remoteChange(file, delta, 3, 4, base)).toBeUndefined();
+    expect(onOutOfSync).toHaveBeenCalledWith(file);
+  });
+});
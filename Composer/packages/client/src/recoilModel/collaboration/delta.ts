@@ -0,0 +1,184 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import isEqual from 'lodash/isEqual';
+import cloneDeep from 'lodash/cloneDeep';
+import { FileDelta, JsonDelta, JsonOperation, JsonPathSegment, TextDelta } from '@bfc/shared';
+
+export type MergeResult = {
+  content: string;
+  /** true when both sides changed the same lines or the same part of the dialog, the local change was kept */
+  conflict: boolean;
+};
+
+const splitLines = (content: string) => content.split(/\r?\n/);
+
+/**
+ * Describes the change between two texts as one replaced block of lines.
+ */
+export const createTextDelta = (previous: string, next: string): TextDelta => {
+  const before = splitLines(previous);
+  const after = splitLines(next);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  return {
+    kind: 'text',
+    start,
+    deleteCount: before.length - start - end,
+    insert: after.slice(start, after.length - end),
+  };
+};
+
+export const applyTextDelta = (content: string, { start, deleteCount, insert }: TextDelta) => {
+  const lines = splitLines(content);
+  lines.splice(start, deleteCount, ...insert);
+  return lines.join('\n');
+};
+
+const isObject = (value: any) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const diffJson = (previous: any, next: any, path: JsonPathSegment[], operations: JsonOperation[]) => {
+  if (isEqual(previous, next)) return;
+
+  if (isObject(previous) && isObject(next)) {
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((key) => {
+      if (!(key in next)) {
+        operations.push({ op: 'remove', path: [...path, key] });
+      } else {
+        diffJson(previous[key], next[key], [...path, key], operations);
+      }
+    });
+    return;
+  }
+
+  // arrays of the same length are edits in place, anything else replaces the whole array
+  if (Array.isArray(previous) && Array.isArray(next) && previous.length === next.length) {
+    next.forEach((item, index) => diffJson(previous[index], item, [...path, index], operations));
+    return;
+  }
+
+  operations.push({ op: 'set', path, value: next });
+};
+
+/**
+ * Describes the change between two JSON documents as a list of set and remove operations.
+ */
+export const createJsonDelta = (previous: any, next: any): JsonDelta => {
+  const operations: JsonOperation[] = [];
+  diffJson(previous, next, [], operations);
+  return { kind: 'json', operations };
+};
+
+export const applyJsonDelta = (document: any, { operations }: JsonDelta) => {
+  let result = cloneDeep(document);
+  operations.forEach((operation) => {
+    const { path } = operation;
+    if (path.length === 0) {
+      result = operation.op === 'set' ? cloneDeep(operation.value) : undefined;
+      return;
+    }
+
+    const parent = path.slice(0, -1).reduce((node, segment) => node?.[segment], result);
+    if (parent === null || typeof parent !== 'object') return;
+
+    const key = path[path.length - 1];
+    if (operation.op === 'set') {
+      parent[key] = cloneDeep(operation.value);
+    } else if (Array.isArray(parent)) {
+      parent.splice(key as number, 1);
+    } else {
+      delete parent[key];
+    }
+  });
+  return result;
+};
+
+const isPrefix = (a: JsonPathSegment[], b: JsonPathSegment[]) => a.every((segment, index) => b[index] === segment);
+
+const overlaps = (a: JsonPathSegment[], b: JsonPathSegment[]) => isPrefix(a, b) || isPrefix(b, a);
+
+/**
+ * Three way merge of dialog JSON: remote operations are applied unless the local side changed the same node,
+ * one of its parents or one of its children.
+ */
+export const mergeJson = (base: any, local: any, remote: any) => {
+  const localOperations = createJsonDelta(base, local).operations;
+  const remoteOperations = createJsonDelta(base, remote).operations;
+
+  let conflict = false;
+  const accepted = remoteOperations.filter((operation) => {
+    const clash = localOperations.find((localOperation) => overlaps(localOperation.path, operation.path));
+    if (clash && !isEqual(clash, operation)) {
+      conflict = true;
+      return false;
+    }
+    return true;
+  });
+
+  return { document: applyJsonDelta(local, { kind: 'json', operations: accepted }), conflict };
+};
+
+/**
+ * Three way merge of text files: both changes are kept when they touch different lines.
+ */
+export const mergeText = (base: string, local: string, remote: string): MergeResult => {
+  if (local === base || local === remote) return { content: remote, conflict: false };
+  if (remote === base) return { content: local, conflict: false };
+
+  const localDelta = createTextDelta(base, local);
+  const remoteDelta = createTextDelta(base, remote);
+  const localEnd = localDelta.start + localDelta.deleteCount;
+  const remoteEnd = remoteDelta.start + remoteDelta.deleteCount;
+
+  // blocks that touch or overlap in the base text cannot be merged line by line
+  if (localDelta.start <= remoteEnd && remoteDelta.start <= localEnd) {
+    return { content: local, conflict: true };
+  }
+
+  // apply the later block first so the line numbers of the earlier one stay valid
+  const [first, second] = localDelta.start > remoteDelta.start ? [localDelta, remoteDelta] : [remoteDelta, localDelta];
+  return { content: applyTextDelta(applyTextDelta(base, first), second), conflict: false };
+};
+
+const isJsonFile = (file: string) => file.endsWith('.dialog');
+
+export const createFileDelta = (file: string, previous: string, next: string): FileDelta => {
+  if (isJsonFile(file)) {
+    try {
+      return createJsonDelta(JSON.parse(previous), JSON.parse(next));
+    } catch (err) {
+      // not valid JSON while typing in the JSON editor, fall back to lines
+    }
+  }
+  return createTextDelta(previous, next);
+};
+
+export const applyFileDelta = (content: string, delta: FileDelta) => {
+  if (delta.kind === 'json') {
+    return JSON.stringify(applyJsonDelta(JSON.parse(content), delta), null, 2);
+  }
+  return applyTextDelta(content, delta);
+};
+
+export const mergeFile = (file: string, base: string, local: string, remote: string): MergeResult => {
+  if (isJsonFile(file)) {
+    try {
+      const { document, conflict } = mergeJson(JSON.parse(base), JSON.parse(local), JSON.parse(remote));
+      return { content: JSON.stringify(document, null, 2), conflict };
+    } catch (err) {
+      // fall back to lines
+    }
+  }
+  return mergeText(base, local, remote);
+};
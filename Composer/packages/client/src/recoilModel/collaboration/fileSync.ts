@@ -0,0 +1,145 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { FileDelta } from '@bfc/shared';
+
+import { applyFileDelta, createFileDelta, mergeFile, MergeResult } from './delta';
+
+type FileState = {
+  /** content of the version last confirmed by the server */
+  confirmed: string;
+  version: number;
+  /** content sent to the server and not acknowledged yet, one change per file is in flight at a time */
+  inflight?: string;
+  /** latest content of the file in this window */
+  local: string;
+};
+
+type FileSyncOptions = {
+  /** sends a delta made against the given version, returns false when the server cannot be reached */
+  send: (file: string, delta: FileDelta, version: number) => boolean;
+  /** a remote change could not be applied, this window no longer has the content the others have */
+  onOutOfSync: (file: string) => void;
+};
+
+const isEmptyDelta = (delta: FileDelta) =>
+  delta.kind === 'json' ? delta.operations.length === 0 : delta.deleteCount === 0 && delta.insert.length === 0;
+
+/**
+ * Keeps the files of this window in sync with the collaboration hub.
+ * The hub only accepts a change made against the current version of a file. Local changes are sent one at a time
+ * against the confirmed content. Remote changes are applied to the confirmed content and merged with the local
+ * content, which holds the changes still in flight. The hub rejects those, and they are sent again merged.
+ */
+export class FileSync {
+  private files = new Map<string, FileState>();
+  private versions: Record<string, number> = {};
+  private options: FileSyncOptions;
+
+  constructor(options: FileSyncOptions) {
+    this.options = options;
+  }
+
+  /** starts over after joining, the content of this window is taken as the version the server has */
+  public reset(versions: Record<string, number>) {
+    this.files.clear();
+    this.versions = versions;
+  }
+
+  public localChange(file: string, previous: string, current: string) {
+    const state = this.getState(file, previous);
+    state.local = current;
+    this.flush(file, state);
+  }
+
+  public ack(file: string, version: number) {
+    const state = this.files.get(file);
+    if (state?.inflight === undefined) return;
+
+    state.confirmed = state.inflight;
+    state.version = version;
+    state.inflight = undefined;
+    this.flush(file, state);
+  }
+
+  public reject(file: string, version: number) {
+    const state = this.files.get(file);
+    if (!state) return;
+
+    // the changes that made the sent one stale arrive before the rejection, they are merged in already
+    state.inflight = undefined;
+    if (state.version !== version) {
+      this.resync(file, state, version);
+    }
+    this.flush(file, state);
+  }
+
+  /**
+   * Applies a change made by someone else and returns the content this window should have,
+   * or undefined when the change cannot be applied.
+   */
+  public remoteChange(
+    file: string,
+    delta: FileDelta,
+    baseVersion: number,
+    version: number,
+    local: string
+  ): MergeResult | undefined {
+    const state = this.getState(file, local);
+    state.local = local;
+    if (state.version !== baseVersion) {
+      this.resync(file, state, version);
+      return;
+    }
+
+    let remote: string;
+    try {
+      remote = applyFileDelta(state.confirmed, delta);
+    } catch (err) {
+      this.resync(file, state, version);
+      return;
+    }
+
+    const result = mergeFile(file, state.confirmed, local, remote);
+    state.confirmed = remote;
+    state.version = version;
+    state.local = result.content;
+    return result;
+  }
+
+  /** true when the file has the content of the version last confirmed by the server, which its author saved */
+  public isConfirmed(file: string, content: string) {
+    return this.files.get(file)?.confirmed === content;
+  }
+
+  private getState(file: string, content: string) {
+    let state = this.files.get(file);
+    if (!state) {
+      state = { confirmed: content, version: this.versions[file] ?? 0, local: content };
+      this.files.set(file, state);
+    }
+    return state;
+  }
+
+  private flush(file: string, state: FileState) {
+    if (state.inflight !== undefined || state.confirmed === state.local) return;
+
+    const delta = createFileDelta(file, state.confirmed, state.local);
+    // the same dialog serialized differently
+    if (isEmptyDelta(delta)) {
+      state.confirmed = state.local;
+      return;
+    }
+    if (this.options.send(file, delta, state.version)) {
+      state.inflight = state.local;
+    }
+  }
+
+  // the local content becomes the base of the current version so editing can go on, the others keep theirs
+  private resync(file: string, state: FileState, version: number) {
+    state.confirmed = state.local;
+    state.version = version;
+    state.inflight = undefined;
+    this.options.onOutOfSync(file);
+  }
+}
@@ -0,0 +1,91 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DebuggerClientMessage, DebuggerLocation, DebuggerServerMessage } from '@bfc/shared';
+
+const SERVER_PATH = '/debugger';
+
+export type DebuggerCommand = Extract<
+  DebuggerClientMessage['type'],
+  'continue' | 'next' | 'stepIn' | 'stepOut' | 'pause'
+>;
+
+const getServerUrl = () => {
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  // websockets cannot send headers, the server checks the CSRF token in the query string
+  const { __csrf__ = '' } = window;
+  return `${protocol}://${location.host}${SERVER_PATH}?csrf=${encodeURIComponent(__csrf__)}`;
+};
+
+const clients = new Map<string, DebuggerClient>();
+
+/**
+ * Websocket to the debug session of the server for a bot started locally. The server relays the messages
+ * to the debug adapter of the runtime, the connection lives until debugging stops or the bot stops.
+ */
+class DebuggerClient {
+  private _projectId: string;
+  private _socket: WebSocket | null = null;
+  private _handler: (message: DebuggerServerMessage) => void = () => undefined;
+
+  constructor(projectId: string) {
+    this._projectId = projectId;
+  }
+
+  /** the client of a bot that is being debugged, used to send commands from the debug panel */
+  public static get(projectId: string) {
+    return clients.get(projectId);
+  }
+
+  public onMessage(handler: (message: DebuggerServerMessage) => void) {
+    this._handler = handler;
+  }
+
+  public attach(breakpoints: DebuggerLocation[]) {
+    if (typeof WebSocket === 'undefined') return;
+
+    const socket = new WebSocket(getServerUrl());
+    socket.onopen = () => {
+      this.send({ type: 'attach', projectId: this._projectId, breakpoints });
+    };
+    socket.onmessage = (event) => {
+      try {
+        this._handler(JSON.parse(event.data));
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(err);
+      }
+    };
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+      this._socket = null;
+      this._handler({ type: 'detached' });
+    };
+    this._socket = socket;
+    clients.set(this._projectId, this);
+  }
+
+  public detach() {
+    const socket = this._socket;
+    this._socket = null;
+    if (clients.get(this._projectId) === this) clients.delete(this._projectId);
+    if (socket?.readyState === WebSocket.OPEN) this.send({ type: 'detach' }, socket);
+    socket?.close();
+  }
+
+  public setBreakpoints(breakpoints: DebuggerLocation[]) {
+    this.send({ type: 'setBreakpoints', breakpoints });
+  }
+
+  public sendCommand(command: DebuggerCommand) {
+    this.send({ type: command });
+  }
+
+  private send(message: DebuggerClientMessage, socket = this._socket) {
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+}
+
+export default DebuggerClient;
@@ -0,0 +1,125 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { CallbackInterface, useRecoilCallback, useRecoilValue } from 'recoil';
+import { DebuggerServerMessage, DebuggerStatus } from '@bfc/shared';
+import formatMessage from 'format-message';
+
+import {
+  botEndpointsState,
+  botStatusState,
+  breakpointsState,
+  debugPanelActiveTabState,
+  debugPanelExpansionState,
+  debuggerState,
+} from '../atoms';
+import { rootBotProjectIdSelector } from '../selectors';
+import { addNotificationInternal, createNotification } from '../dispatchers/notification';
+import { BotStatus } from '../../constants';
+import { convertPathToUrl, navigateTo } from '../../utils/navigation';
+import { WatchTabKey } from '../../pages/design/DebugPanel/TabExtensions/types';
+
+import DebuggerClient from './DebuggerClient';
+
+type DebuggerRootProps = {
+  projectId: string;
+};
+
+/**
+ * Attaches to the debug adapter of the runtime once debugging is started for a bot running locally, keeps the
+ * breakpoints of the runtime in sync with the ones set in the visual editor and shows the action the bot paused on.
+ */
+export const DebuggerRoot = React.memo(({ projectId }: DebuggerRootProps) => {
+  const botStatus = useRecoilValue(botStatusState(projectId));
+  const debugPort = useRecoilValue(botEndpointsState)[projectId]?.debugPort;
+  const breakpoints = useRecoilValue(breakpointsState(projectId));
+  const { status } = useRecoilValue(debuggerState(projectId));
+  const client = useRef<DebuggerClient | null>(null);
+  // the runtime only reports a debug port when it starts a debug adapter
+  const running = botStatus === BotStatus.connected && !!debugPort;
+  const requested = status !== 'detached';
+
+  // the verified flag set by the runtime does not change the locations sent to it
+  const locations = useMemo(() => breakpoints.map(({ dialogId, path }) => ({ dialogId, path })), [breakpoints]);
+  const locationsKey = JSON.stringify(locations);
+
+  const setStatus = useRecoilCallback(({ set }: CallbackInterface) => (status: DebuggerStatus) => {
+    set(debuggerState(projectId), { status });
+  });
+
+  // the client keeps the first handler it gets, state is read from the snapshot instead of the render
+  const handleMessage = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (message: DebuggerServerMessage) => {
+      const { set, snapshot } = callbackHelpers;
+      switch (message.type) {
+        case 'attached':
+        case 'continued':
+          return setStatus('running');
+        case 'detached':
+          return setStatus('detached');
+        case 'breakpoints':
+          set(breakpointsState(projectId), (current) =>
+            current.map((breakpoint) => {
+              const match = message.breakpoints.find(
+                ({ dialogId, path }) => dialogId === breakpoint.dialogId && path === breakpoint.path
+              );
+              return match ? { ...breakpoint, verified: match.verified } : breakpoint;
+            })
+          );
+          return;
+        case 'stopped': {
+          const { location, scopes } = message;
+          set(debuggerState(projectId), { status: 'paused', location, scopes });
+          set(debugPanelExpansionState, true);
+          set(debugPanelActiveTabState, WatchTabKey);
+          const rootBotProjectId = await snapshot.getPromise(rootBotProjectIdSelector);
+          if (location && rootBotProjectId) {
+            const skillId = projectId === rootBotProjectId ? null : projectId;
+            navigateTo(
+              convertPathToUrl(rootBotProjectId, skillId, location.dialogId, `${location.dialogId}.${location.path}`)
+            );
+          }
+          return;
+        }
+        case 'error': {
+          const { status } = await snapshot.getPromise(debuggerState(projectId));
+          if (status === 'attaching') setStatus('detached');
+          addNotificationInternal(
+            callbackHelpers,
+            createNotification({
+              type: 'warning',
+              title: formatMessage('Debugger'),
+              description: message.message,
+            })
+          );
+          return;
+        }
+      }
+    }
+  );
+
+  useEffect(() => {
+    if (!requested) return;
+    if (!running) {
+      setStatus('detached');
+      return;
+    }
+
+    const debuggerClient = new DebuggerClient(projectId);
+    debuggerClient.onMessage(handleMessage);
+    debuggerClient.attach(locations);
+    client.current = debuggerClient;
+    return () => {
+      debuggerClient.detach();
+      client.current = null;
+      setStatus('detached');
+    };
+  }, [projectId, running, requested]);
+
+  useEffect(() => {
+    client.current?.setBreakpoints(locations);
+  }, [locationsKey]);
+
+  return null;
+});
@@ -0,0 +1,206 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React from 'react';
+import { useRecoilValue } from 'recoil';
+import { act, RenderResult } from '@botframework-composer/test-utils/lib/hooks';
+import { LuMetaData, LuType } from '@bfc/shared';
+
+import { bulkEditDispatcher } from '../bulkEdit';
+import { dialogsDispatcher } from '../dialogs';
+import { lgDispatcher } from '../lg';
+import { luDispatcher } from '../lu';
+import { renderRecoilHook } from '../../../../__tests__/testUtils';
+import {
+  botProjectIdsState,
+  currentProjectIdState,
+  designPageLocationState,
+  dispatcherState,
+  projectMetaDataState,
+  schemasState,
+} from '../../atoms';
+import { dialogsSelectorFamily, lgFilesSelectorFamily, luFilesSelectorFamily } from '../../selectors';
+import { UndoRoot, undoFunctionState, undoHistoryState } from '../../undo/history';
+import UndoHistory from '../../undo/undoHistory';
+import { Dispatcher } from '..';
+
+const mockParseDialog = jest.fn();
+
+jest.mock('@bfc/indexers', () => {
+  return {
+    dialogIndexer: {
+      parse: (...args) => mockParseDialog(...args),
+    },
+    validateDialog: () => [],
+    autofixReferInDialog: (_, content) => content,
+    lgIndexer: {
+      parse: (content, id: string) => ({ id, content }),
+    },
+    luIndexer: {
+      parse: (content, id: string) => ({ id, content }),
+    },
+    qnaIndexer: {
+      parse: (id: string, content) => ({ id, content }),
+    },
+    lgUtil: {
+      parse: (id: string, content) => ({ id, content }),
+    },
+    luUtil: {
+      parse: (id: string, content) => ({ id, content }),
+    },
+    qnaUtil: {
+      parse: (id: string, content) => ({ id, content }),
+    },
+  };
+});
+
+jest.mock('../../parsers/lgWorker', () => ({
+  removeTemplates: (projectId, lgFile, templateNames: string[]) => ({
+    ...lgFile,
+    templates: lgFile.templates.filter(({ name }) => !templateNames.includes(name)),
+  }),
+}));
+
+jest.mock('../../parsers/luWorker', () => ({
+  removeIntent: (luFile, intentName: string) => ({
+    ...luFile,
+    intents: luFile.intents.filter(({ Name }) => Name !== intentName),
+  }),
+}));
+
+const projectId = '42345.23432';
+
+const inputIntent = new LuMetaData(new LuType('Microsoft.TextInput').toString(), 'c3').toString();
+const sendActivity = (id: string) => ({
+  $kind: 'Microsoft.SendActivity',
+  $designer: { id },
+  activity: `\${SendActivity_${id}()}`,
+});
+const textInput = { $kind: 'Microsoft.TextInput', $designer: { id: 'c3' }, prompt: '${TextInput_Prompt_c3()}' };
+const dialogContent = (actions: any[]) => ({
+  $kind: 'Microsoft.AdaptiveDialog',
+  triggers: [{ $kind: 'Microsoft.OnBeginDialog', actions }],
+});
+
+const dialogs = [
+  { id: '1', content: dialogContent([sendActivity('a1'), textInput]) },
+  { id: '2', content: dialogContent([sendActivity('b2')]) },
+];
+// the selector lists the diagnostics of every LG file
+const lgFiles = [
+  {
+    id: '1.en-us',
+    content: '',
+    templates: [{ name: 'SendActivity_a1' }, { name: 'TextInput_Prompt_c3' }],
+    diagnostics: [],
+  },
+  { id: '2.en-us', content: '', templates: [{ name: 'SendActivity_b2' }], diagnostics: [] },
+];
+const luFiles = [
+  { id: '1.en-us', content: '', intents: [{ Name: inputIntent }] },
+  { id: '2.en-us', content: '', intents: [] },
+];
+const matches = [
+  { dialogId: '1', path: 'triggers[0].actions[0]', action: sendActivity('a1') },
+  { dialogId: '1', path: 'triggers[0].actions[1]', action: textInput },
+  { dialogId: '2', path: 'triggers[0].actions[0]', action: sendActivity('b2') },
+];
+
+// the undo history starts once the project is loaded
+const UndoRootWrapper = () => {
+  const botProjects = useRecoilValue(botProjectIdsState);
+  return botProjects.length > 0 ? <UndoRoot projectId={projectId} /> : null;
+};
+
+describe('bulk edit dispatcher', () => {
+  const useRecoilTestHook = () => {
+    const currentDispatcher = useRecoilValue(dispatcherState);
+    const { undo, commitChanges } = useRecoilValue(undoFunctionState(projectId));
+    return {
+      currentDispatcher,
+      undo,
+      commitChanges,
+      dialogs: useRecoilValue(dialogsSelectorFamily(projectId)),
+      lgFiles: useRecoilValue(lgFilesSelectorFamily(projectId)),
+      luFiles: useRecoilValue(luFilesSelectorFamily(projectId)),
+    };
+  };
+  let renderedComponent: RenderResult<ReturnType<typeof useRecoilTestHook>>, dispatcher: Dispatcher;
+
+  beforeEach(() => {
+    mockParseDialog.mockReset();
+    mockParseDialog.mockImplementation((id: string, content) => ({ id, content }));
+
+    const { result } = renderRecoilHook(useRecoilTestHook, {
+      wrapper: ({ children }) => (
+        <div>
+          <UndoRootWrapper />
+          {children}
+        </div>
+      ),
+      states: [
+        { recoilState: botProjectIdsState, initialValue: [projectId] },
+        { recoilState: currentProjectIdState, initialValue: projectId },
+        { recoilState: projectMetaDataState(projectId), initialValue: { isRootBot: true } },
+        { recoilState: dialogsSelectorFamily(projectId), initialValue: dialogs },
+        { recoilState: lgFilesSelectorFamily(projectId), initialValue: lgFiles },
+        { recoilState: luFilesSelectorFamily(projectId), initialValue: luFiles },
+        { recoilState: schemasState(projectId), initialValue: { sdk: { content: {} } } },
+        { recoilState: undoHistoryState(projectId), initialValue: new UndoHistory(projectId) },
+        { recoilState: designPageLocationState(projectId), initialValue: { dialogId: '1', focused: '', selected: '' } },
+      ],
+      dispatcher: {
+        recoilState: dispatcherState,
+        initialValue: {
+          bulkEditDispatcher,
+          dialogsDispatcher,
+          lgDispatcher,
+          luDispatcher,
+          navigationDispatcher: () => ({ selectAndFocus: jest.fn() }),
+        },
+      },
+    });
+    renderedComponent = result;
+    dispatcher = renderedComponent.current.currentDispatcher;
+  });
+
+  it('undoes a bulk delete with the LG templates and LU intents of the actions in one step', async () => {
+    let applied;
+    await act(async () => {
+      applied = await dispatcher.applyBulkEdit(projectId, matches, { kind: 'delete' });
+    });
+
+    expect(applied).toBe(true);
+    expect(renderedComponent.current.dialogs.map(({ content }) => content.triggers[0].actions)).toEqual([[], []]);
+    expect(renderedComponent.current.lgFiles.map(({ templates }) => templates)).toEqual([[], []]);
+    expect(renderedComponent.current.luFiles.map(({ intents }) => intents)).toEqual([[], []]);
+
+    act(() => {
+      renderedComponent.current.commitChanges();
+    });
+    await act(async () => {
+      await renderedComponent.current.undo();
+    });
+
+    expect(renderedComponent.current.dialogs).toEqual(dialogs);
+    expect(renderedComponent.current.lgFiles).toEqual(lgFiles);
+    expect(renderedComponent.current.luFiles).toEqual(luFiles);
+  });
+
+  it('puts back the dialogs already changed when a later dialog fails', async () => {
+    mockParseDialog.mockImplementation((id: string, content) => {
+      if (id === '2') throw new Error('dialog 2 is broken');
+      return { id, content };
+    });
+
+    let applied;
+    await act(async () => {
+      applied = await dispatcher.applyBulkEdit(projectId, matches, { kind: 'delete' });
+    });
+
+    expect(applied).toBe(false);
+    expect(renderedComponent.current.dialogs).toEqual(dialogs);
+    expect(renderedComponent.current.lgFiles).toEqual(lgFiles);
+    expect(renderedComponent.current.luFiles).toEqual(luFiles);
+  });
+});
@@ -145,4 +145,42 @@ describe('Lg dispatcher', () => {
 
     expect(renderedComponent.current.lgFiles[0].content).toBe(``);
   });
+
+  const renameEdit = (line: number) => ({
+    changes: {
+      'composer://test/a.en-us.lg': [
+        { range: { start: { line, character: 2 }, end: { line, character: 7 } }, newText: 'Greet' },
+      ],
+    },
+  });
+
+  it('should rename a lg template with the previewed edit', async () => {
+    await act(async () => {
+      await dispatcher.renameLgTemplate({
+        projectId,
+        templateName: 'Hello',
+        newTemplateName: 'Greet',
+        edit: renameEdit(1),
+        documentUri: 'inmemory://model/1',
+        fileId: 'b.en-us',
+      });
+    });
+
+    expect(renderedComponent.current.lgFiles[0].content).toBe(`\r\n# Greet\r\n-hi`);
+  });
+
+  it('should not rename when the file changed since the preview', async () => {
+    await act(async () => {
+      await dispatcher.renameLgTemplate({
+        projectId,
+        templateName: 'Hello',
+        newTemplateName: 'Greet',
+        edit: renameEdit(2),
+        documentUri: 'inmemory://model/1',
+        fileId: 'b.en-us',
+      });
+    });
+
+    expect(renderedComponent.current.lgFiles[0].content).toBe(`\r\n# Hello\r\n-hi`);
+  });
 });
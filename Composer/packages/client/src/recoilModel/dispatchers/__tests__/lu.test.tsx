@@ -117,4 +117,32 @@ describe('Lu dispatcher', () => {
 
     expect(renderedComponent.current.luFiles[0].content).toBe(``);
   });
+
+  it('should rename a lu intent and its references', async () => {
+    await act(async () => {
+      await dispatcher.renameLuItem({
+        projectId,
+        fileId: 'common.en-us',
+        kind: 'intent',
+        name: 'Hello',
+        newName: 'Greeting',
+      });
+    });
+
+    expect(renderedComponent.current.luFiles[0].content).toBe(`\r\n# Greeting\r\n-hi`);
+  });
+
+  it('should only rename in the lu files of the dialog and the files that import them', async () => {
+    await act(async () => {
+      await dispatcher.renameLuItem({
+        projectId,
+        fileId: 'main.en-us',
+        kind: 'intent',
+        name: 'Hello',
+        newName: 'Greeting',
+      });
+    });
+
+    expect(renderedComponent.current.luFiles[0].content).toBe(`\r\n# Hello\r\n-hi`);
+  });
 });
@@ -8,6 +8,7 @@ import { Dispatcher } from '..';
 import { renderRecoilHook } from '../../../../__tests__/testUtils';
 import {
   dispatcherState,
+  executedDesignerIdsState,
   isWebChatPanelVisibleState,
   webChatInspectionDataState,
   webChatTrafficState,
@@ -20,12 +21,14 @@ describe('web chat dispatcher', () => {
     const inspectionDataState = useRecoilValue(webChatInspectionDataState(projectId));
     const trafficState = useRecoilValue(webChatTrafficState(projectId));
     const visibilityState = useRecoilValue(isWebChatPanelVisibleState);
+    const executedDesignerIds = useRecoilValue(executedDesignerIdsState(projectId));
     const currentDispatcher = useRecoilValue(dispatcherState);
     return {
       currentDispatcher,
       inspectionDataState,
       trafficState,
       visibilityState,
+      executedDesignerIds,
     };
   };
 
@@ -36,6 +39,7 @@ describe('web chat dispatcher', () => {
       states: [
         { recoilState: webChatInspectionDataState(projectId), initialValue: undefined },
         { recoilState: webChatTrafficState(projectId), initialValue: [] },
+        { recoilState: executedDesignerIdsState(projectId), initialValue: [] },
       ],
       dispatcher: {
         recoilState: dispatcherState,
@@ -102,6 +106,30 @@ describe('web chat dispatcher', () => {
     expect(renderedComponent.current.trafficState.length).toBe(0);
   });
 
+  it('should keep the executed actions after the log is cleared', async () => {
+    const traceItem = (id: string, timestamp: number) => ({
+      activity: { type: 'trace', value: { $kind: 'Microsoft.SendActivity', $designer: { id } } } as any,
+      id: '',
+      timestamp,
+      trafficType: 'activity' as 'activity',
+    });
+    await act(async () => {
+      await dispatcher.appendWebChatTraffic(projectId, [traceItem('a1', 1), traceItem('a2', 2)]);
+    });
+    await act(async () => {
+      await dispatcher.clearWebChatLogs(projectId);
+      await dispatcher.appendWebChatTraffic(projectId, traceItem('a1', 3));
+    });
+
+    expect(renderedComponent.current.executedDesignerIds).toEqual(['a1', 'a2']);
+
+    await act(async () => {
+      await dispatcher.clearCoverage(projectId);
+    });
+
+    expect(renderedComponent.current.executedDesignerIds).toEqual([]);
+  });
+
   it('should set inspection data state', async () => {
     const inspectionData = {
       item: {} as any,
@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+
+import { ActionSnippet, ActionSnippetScope } from '@bfc/shared';
+import { CallbackInterface, useRecoilCallback } from 'recoil';
+
+import httpClient from '../../utils/httpUtil';
+import TelemetryClient from '../../telemetry/TelemetryClient';
+import { actionSnippetsState } from '../atoms/botState';
+
+import { setError } from './shared';
+
+const isSameSnippet = (snippet: ActionSnippet, scope: ActionSnippetScope, name: string) =>
+  snippet.scope === scope && snippet.name === name;
+
+const sortSnippets = (snippets: ActionSnippet[]) =>
+  [...snippets].sort((a, b) => (a.scope === b.scope ? a.name.localeCompare(b.name) : a.scope === 'user' ? -1 : 1));
+
+export const actionSnippetsDispatcher = () => {
+  const fetchActionSnippets = useRecoilCallback((callbackHelpers: CallbackInterface) => async (projectId: string) => {
+    try {
+      const response = await httpClient.get<ActionSnippet[]>(`/projects/${projectId}/snippets`);
+      callbackHelpers.set(actionSnippetsState(projectId), response.data);
+    } catch (ex) {
+      setError(callbackHelpers, ex);
+    }
+  });
+
+  /** Resolves to false when the snippet could not be saved, the error is shown by the app. */
+  const saveActionSnippet = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, snippet: ActionSnippet) => {
+      const { name, scope, description, parameters, actions } = snippet;
+      try {
+        const response = await httpClient.put<ActionSnippet>(
+          `/projects/${projectId}/snippets/${scope}/${encodeURIComponent(name)}`,
+          { description, parameters, actions }
+        );
+        callbackHelpers.set(actionSnippetsState(projectId), (snippets) =>
+          sortSnippets([...snippets.filter((other) => !isSameSnippet(other, scope, name)), response.data])
+        );
+        TelemetryClient.track('ActionSnippetSaved', {
+          scope,
+          actions: actions.length,
+          parameters: parameters.length,
+        });
+        return true;
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+        return false;
+      }
+    }
+  );
+
+  const deleteActionSnippet = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, scope: ActionSnippetScope, name: string) => {
+      try {
+        await httpClient.delete(`/projects/${projectId}/snippets/${scope}/${encodeURIComponent(name)}`);
+        callbackHelpers.set(actionSnippetsState(projectId), (snippets) =>
+          snippets.filter((other) => !isSameSnippet(other, scope, name))
+        );
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  return {
+    fetchActionSnippets,
+    saveActionSnippet,
+    deleteActionSnippet,
+  };
+};
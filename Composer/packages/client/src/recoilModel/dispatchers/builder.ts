@@ -3,7 +3,7 @@
 /* eslint-disable react-hooks/rules-of-hooks */
 
 import { useRecoilCallback, CallbackInterface } from 'recoil';
-import { ILuisConfig, IQnAConfig, IOrchestratorConfig } from '@bfc/shared';
+import { BuildDryRunResult, BuildSummary, ILuisConfig, IQnAConfig, IOrchestratorConfig } from '@bfc/shared';
 
 import * as luUtil from '../../utils/luUtil';
 import * as qnaUtil from '../../utils/qnaUtil';
@@ -11,13 +11,23 @@ import { Text, BotStatus } from '../../constants';
 import httpClient from '../../utils/httpUtil';
 import luFileStatusStorage from '../../utils/luFileStatusStorage';
 import qnaFileStatusStorage from '../../utils/qnaFileStatusStorage';
-import { botStatusState, botBuildTimeErrorState } from '../atoms';
+import { botStatusState, botBuildSummaryState, botBuildTimeErrorState, buildDryRunState } from '../atoms';
 import { dialogsWithLuProviderSelectorFamily, luFilesSelectorFamily, qnaFilesSelectorFamily } from '../selectors';
 
 const checkEmptyQuestionOrAnswerInQnAFile = (sections) => {
   return sections.some((s) => !s.Answer || s.Questions.some((q) => !q.content));
 };
 
+const getReferredFiles = async ({ snapshot }: CallbackInterface, projectId: string) => {
+  const dialogs = await snapshot.getPromise(dialogsWithLuProviderSelectorFamily(projectId));
+  const luFiles = await snapshot.getPromise(luFilesSelectorFamily(projectId));
+  const qnaFiles = await snapshot.getPromise(qnaFilesSelectorFamily(projectId));
+  return {
+    referredLuFiles: luUtil.checkLuisBuild(luFiles, dialogs),
+    referredQnaFiles: qnaUtil.checkQnaBuild(qnaFiles, dialogs),
+  };
+};
+
 export const builderDispatcher = () => {
   const build = useRecoilCallback(
     (callbackHelpers: CallbackInterface) => async (
@@ -26,12 +36,8 @@ export const builderDispatcher = () => {
       qnaConfig: IQnAConfig,
       orchestratorConfig: IOrchestratorConfig
     ) => {
-      const { set, snapshot } = callbackHelpers;
-      const dialogs = await snapshot.getPromise(dialogsWithLuProviderSelectorFamily(projectId));
-      const luFiles = await snapshot.getPromise(luFilesSelectorFamily(projectId));
-      const qnaFiles = await snapshot.getPromise(qnaFilesSelectorFamily(projectId));
-      const referredLuFiles = luUtil.checkLuisBuild(luFiles, dialogs);
-      const referredQnaFiles = qnaUtil.checkQnaBuild(qnaFiles, dialogs);
+      const { set } = callbackHelpers;
+      const { referredLuFiles, referredQnaFiles } = await getReferredFiles(callbackHelpers, projectId);
       const errorMsg = referredQnaFiles.reduce(
         (result, file) => {
           if (
@@ -51,7 +57,7 @@ export const builderDispatcher = () => {
         return;
       }
       try {
-        await httpClient.post(`/projects/${projectId}/build`, {
+        const response = await httpClient.post<BuildSummary>(`/projects/${projectId}/build`, {
           luisConfig,
           qnaConfig,
           orchestratorConfig,
@@ -61,6 +67,7 @@ export const builderDispatcher = () => {
         });
         luFileStatusStorage.publishAll(projectId);
         qnaFileStatusStorage.publishAll(projectId);
+        set(botBuildSummaryState(projectId), response.data);
         set(botStatusState(projectId), BotStatus.published);
       } catch (err) {
         set(botStatusState(projectId), BotStatus.failed);
@@ -71,7 +78,39 @@ export const builderDispatcher = () => {
       }
     }
   );
+
+  /**
+   * Runs the build up to the calls to LUIS, QnA Maker and Orchestrator and keeps what it would generate.
+   */
+  const dryRunBuild = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (
+      projectId: string,
+      luisConfig: ILuisConfig,
+      qnaConfig: IQnAConfig,
+      orchestratorConfig: IOrchestratorConfig
+    ) => {
+      const { set } = callbackHelpers;
+      const { referredLuFiles, referredQnaFiles } = await getReferredFiles(callbackHelpers, projectId);
+      set(buildDryRunState(projectId), (current) => ({ ...current, running: true }));
+      try {
+        const response = await httpClient.post<BuildDryRunResult>(`/projects/${projectId}/build`, {
+          luisConfig,
+          qnaConfig,
+          orchestratorConfig,
+          projectId,
+          dryRun: true,
+          luFiles: referredLuFiles.map((file) => ({ id: file.id, isEmpty: file.empty })),
+          qnaFiles: referredQnaFiles.map((file) => ({ id: file.id, isEmpty: file.empty })),
+        });
+        set(buildDryRunState(projectId), { running: false, result: response.data });
+      } catch (err) {
+        set(buildDryRunState(projectId), { running: false, error: err.response?.data?.message || err.message });
+      }
+    }
+  );
+
   return {
     build,
+    dryRunBuild,
   };
 };
@@ -0,0 +1,80 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+import { useRecoilCallback, CallbackInterface } from 'recoil';
+import { deleteActions, DialogFactory, LgTemplateRef } from '@bfc/shared';
+import uniq from 'lodash/uniq';
+
+import { dialogState, localeState, schemasState } from '../atoms/botState';
+import { dispatcherState } from '../atoms';
+import { dialogsSelectorFamily, lgFilesSelectorFamily, luFilesSelectorFamily } from '../selectors';
+import { applyBulkEditToDialog, BulkEditMatch, BulkEditOperation } from '../../utils/bulkEditUtil';
+
+import { setError } from './shared';
+
+export const bulkEditDispatcher = () => {
+  /**
+   * Applies an operation to the matched actions of the dialogs of a bot. The caller commits the changes to the undo
+   * history once they are all made, so that they undo together. A change that fails puts the dialogs and their LG and
+   * LU files back as they were, nothing is left half applied.
+   * @returns whether the change was applied
+   */
+  const applyBulkEdit = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (
+      projectId: string,
+      matches: BulkEditMatch[],
+      operation: BulkEditOperation
+    ): Promise<boolean> => {
+      const { snapshot, set } = callbackHelpers;
+      try {
+        const { updateDialog, removeLgTemplates, removeLuIntent } = await snapshot.getPromise(dispatcherState);
+        const schemas = await snapshot.getPromise(schemasState(projectId));
+        const locale = await snapshot.getPromise(localeState(projectId));
+        const luFiles = await snapshot.getPromise(luFilesSelectorFamily(projectId));
+        const factory = new DialogFactory(schemas.sdk?.content);
+
+        // every dialog is edited before the first one is updated
+        const edits: { dialogId: string; content: any; removed: any[] }[] = [];
+        for (const dialogId of uniq(matches.map((match) => match.dialogId))) {
+          const dialog = await snapshot.getPromise(dialogState({ projectId, dialogId }));
+          if (!dialog) throw new Error(`dialog ${dialogId} not found`);
+
+          const paths = matches.filter((match) => match.dialogId === dialogId).map(({ path }) => path);
+          edits.push({ dialogId, ...applyBulkEditToDialog(dialog.content, paths, operation, factory) });
+        }
+
+        for (const { dialogId, content, removed } of edits) {
+          await updateDialog({ id: dialogId, projectId, content });
+          if (!removed.length) continue;
+
+          // Clean action resources
+          const luFile = luFiles.find((file) => file.id === `${dialogId}.${locale}`);
+          await deleteActions(
+            removed,
+            (templateNames: string[]) =>
+              removeLgTemplates({
+                id: `${dialogId}.${locale}`,
+                templateNames: templateNames.map((name) => LgTemplateRef.parse(name)?.name ?? name),
+                projectId,
+              }),
+            (intentNames: string[]) =>
+              Promise.all(
+                luFile ? intentNames.map((intentName) => removeLuIntent({ id: luFile.id, intentName, projectId })) : []
+              )
+          );
+        }
+        return true;
+      } catch (ex) {
+        set(dialogsSelectorFamily(projectId), await snapshot.getPromise(dialogsSelectorFamily(projectId)));
+        set(lgFilesSelectorFamily(projectId), await snapshot.getPromise(lgFilesSelectorFamily(projectId)));
+        set(luFilesSelectorFamily(projectId), await snapshot.getPromise(luFilesSelectorFamily(projectId)));
+        setError(callbackHelpers, ex);
+        return false;
+      }
+    }
+  );
+
+  return {
+    applyBulkEdit,
+  };
+};
@@ -0,0 +1,53 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+
+import { DebuggerBreakpoint } from '@bfc/shared';
+import { CallbackInterface, useRecoilCallback } from 'recoil';
+
+import TelemetryClient from '../../telemetry/TelemetryClient';
+import { breakpointsState, debuggerState } from '../atoms/botState';
+import DebuggerClient, { DebuggerCommand } from '../debugger/DebuggerClient';
+
+export const debuggerDispatcher = () => {
+  const toggleBreakpoint = useRecoilCallback(
+    ({ set, snapshot }: CallbackInterface) => (projectId: string, dialogId: string, path: string) => {
+      const breakpoints = snapshot.getLoadable(breakpointsState(projectId)).contents as DebuggerBreakpoint[];
+      const exists = breakpoints.some((item) => item.dialogId === dialogId && item.path === path);
+      set(
+        breakpointsState(projectId),
+        exists
+          ? breakpoints.filter((item) => item.dialogId !== dialogId || item.path !== path)
+          : [...breakpoints, { dialogId, path }]
+      );
+      TelemetryClient.track('BreakpointToggled', { enabled: !exists });
+    }
+  );
+
+  const clearBreakpoints = useRecoilCallback(({ set }: CallbackInterface) => (projectId: string) => {
+    set(breakpointsState(projectId), []);
+  });
+
+  // the debugger root attaches while the bot runs and the status is not detached
+  const startDebugging = useRecoilCallback(({ set }: CallbackInterface) => (projectId: string) => {
+    TelemetryClient.track('DebuggerStarted');
+    set(debuggerState(projectId), { status: 'attaching' });
+  });
+
+  const stopDebugging = useRecoilCallback(({ set }: CallbackInterface) => (projectId: string) => {
+    set(debuggerState(projectId), { status: 'detached' });
+  });
+
+  const sendDebuggerCommand = useRecoilCallback(() => (projectId: string, command: DebuggerCommand) => {
+    TelemetryClient.track('DebuggerCommandSent', { command });
+    DebuggerClient.get(projectId)?.sendCommand(command);
+  });
+
+  return {
+    toggleBreakpoint,
+    clearBreakpoints,
+    startDebugging,
+    stopDebugging,
+    sendDebuggerCommand,
+  };
+};
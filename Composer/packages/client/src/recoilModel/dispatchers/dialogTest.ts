@@ -0,0 +1,108 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+
+import { DialogTestResult, DialogTestRunOptions, DialogTestScript } from '@bfc/shared';
+import { CallbackInterface, useRecoilCallback } from 'recoil';
+import keyBy from 'lodash/keyBy';
+import omit from 'lodash/omit';
+
+import httpClient from '../../utils/httpUtil';
+import TelemetryClient from '../../telemetry/TelemetryClient';
+import { dialogTestResultsState, dialogTestsRunningState, dialogTestsState } from '../atoms/botState';
+
+import { setError } from './shared';
+
+export const dialogTestDispatcher = () => {
+  const fetchDialogTests = useRecoilCallback((callbackHelpers: CallbackInterface) => async (projectId: string) => {
+    try {
+      const response = await httpClient.get<DialogTestScript[]>(`/projects/${projectId}/tests`);
+      callbackHelpers.set(dialogTestsState(projectId), response.data);
+    } catch (ex) {
+      setError(callbackHelpers, ex);
+    }
+  });
+
+  /** Resolves to false when the test could not be saved, the error is shown by the app. */
+  const saveDialogTest = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, script: DialogTestScript) => {
+      try {
+        const response = await httpClient.put<DialogTestScript>(
+          `/projects/${projectId}/tests/${encodeURIComponent(script.name)}`,
+          { activities: script.activities }
+        );
+        callbackHelpers.set(dialogTestsState(projectId), (tests) =>
+          [...tests.filter(({ name }) => name !== script.name), response.data].sort((a, b) =>
+            a.name.localeCompare(b.name)
+          )
+        );
+        return true;
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+        return false;
+      }
+    }
+  );
+
+  const deleteDialogTest = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, name: string) => {
+      try {
+        await httpClient.delete(`/projects/${projectId}/tests/${encodeURIComponent(name)}`);
+        callbackHelpers.set(dialogTestsState(projectId), (tests) => tests.filter((test) => test.name !== name));
+        callbackHelpers.set(dialogTestResultsState(projectId), (results) => omit(results, name));
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const runDialogTests = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, options: DialogTestRunOptions) => {
+      const { set, snapshot } = callbackHelpers;
+      const names = options.names ?? (await snapshot.getPromise(dialogTestsState(projectId))).map(({ name }) => name);
+      set(dialogTestsRunningState(projectId), names);
+      try {
+        const response = await httpClient.post<DialogTestResult[]>(`/projects/${projectId}/tests/run`, {
+          ...options,
+          names,
+        });
+        set(dialogTestResultsState(projectId), (results) => ({ ...results, ...keyBy(response.data, 'name') }));
+        TelemetryClient.track('DialogTestsRun', {
+          total: response.data.length,
+          passed: response.data.filter(({ status }) => status === 'passed').length,
+        });
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      } finally {
+        set(dialogTestsRunningState(projectId), []);
+      }
+    }
+  );
+
+  /** Runs a script that is not saved in the bot, resolves to undefined when the run could not be started. */
+  const replayDialogTest = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (
+      projectId: string,
+      options: DialogTestRunOptions,
+      script: DialogTestScript
+    ): Promise<DialogTestResult | undefined> => {
+      try {
+        const response = await httpClient.post<DialogTestResult[]>(`/projects/${projectId}/tests/run`, {
+          ...options,
+          scripts: [script],
+        });
+        return response.data[0];
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  return {
+    fetchDialogTests,
+    saveDialogTest,
+    deleteDialogTest,
+    runDialogTests,
+    replayDialogTest,
+  };
+};
@@ -6,19 +6,21 @@ import { CallbackInterface, useRecoilCallback } from 'recoil';
 import { ExtensionMetadata } from '@bfc/extension-client';
 
 import httpClient from '../../utils/httpUtil';
-import { extensionsState, extensionSettingsState } from '../atoms';
+import { extensionsState, extensionSettingsState, recognizerBuildersState } from '../atoms';
 
 export const extensionsDispatcher = () => {
   const fetchExtensions = useRecoilCallback((callbackHelpers: CallbackInterface) => async () => {
     const { set } = callbackHelpers;
     try {
-      const [extensionsRes, settingsRes] = await Promise.all([
+      const [extensionsRes, settingsRes, recognizerBuildersRes] = await Promise.all([
         httpClient.get('/extensions'),
         httpClient.get('/extensions/settings?_all'),
+        httpClient.get('/extensions/recognizerBuilders'),
       ]);
 
       set(extensionsState, extensionsRes.data);
       set(extensionSettingsState, settingsRes.data);
+      set(recognizerBuildersState, recognizerBuildersRes.data);
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error(err);
@@ -4,7 +4,12 @@
 
 import { CallbackInterface, useRecoilCallback } from 'recoil';
 
-import { rateInfoState, flowCommentsVisibilityState } from '../atoms/flowState';
+import {
+  rateInfoState,
+  flowCommentsVisibilityState,
+  flowCoverageVisibilityState,
+  flowLayoutDirectionState,
+} from '../atoms/flowState';
 
 export const flowDispatcher = () => {
   const updateZoomRate = useRecoilCallback(({ set }: CallbackInterface) => async ({ currentRate }) => {
@@ -17,8 +22,18 @@ export const flowDispatcher = () => {
     set(flowCommentsVisibilityState, (current) => !current);
   });
 
+  const toggleFlowCoverage = useRecoilCallback(({ set }) => () => {
+    set(flowCoverageVisibilityState, (current) => !current);
+  });
+
+  const toggleFlowLayoutDirection = useRecoilCallback(({ set }) => () => {
+    set(flowLayoutDirectionState, (current) => (current === 'vertical' ? 'horizontal' : 'vertical'));
+  });
+
   return {
     updateZoomRate,
     toggleFlowComments,
+    toggleFlowCoverage,
+    toggleFlowLayoutDirection,
   };
 };
@@ -30,6 +30,12 @@ import { recognizerDispatcher } from './recognizers';
 import { orchestratorDispatcher } from './orchestrator';
 import { webChatLogDispatcher } from './webchat';
 import { userDispatcher } from './user';
+import { sourceControlDispatcher } from './sourceControl';
+import { dialogTestDispatcher } from './dialogTest';
+import { debuggerDispatcher } from './debugger';
+import { quickFixDispatcher } from './quickFix';
+import { bulkEditDispatcher } from './bulkEdit';
+import { actionSnippetsDispatcher } from './actionSnippets';
 
 const createDispatchers = () => {
   return {
@@ -62,6 +68,12 @@ const createDispatchers = () => {
     ...recognizerDispatcher(),
     ...orchestratorDispatcher(),
     ...webChatLogDispatcher(),
+    ...sourceControlDispatcher(),
+    ...dialogTestDispatcher(),
+    ...debuggerDispatcher(),
+    ...quickFixDispatcher(),
+    ...bulkEditDispatcher(),
+    ...actionSnippetsDispatcher(),
   };
 };
 
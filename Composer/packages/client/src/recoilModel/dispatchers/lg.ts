@@ -1,13 +1,15 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 /* eslint-disable react-hooks/rules-of-hooks */
-import { LgTemplate, LgFile } from '@bfc/shared';
+import { LgTemplate, LgFile, LgTemplateEvaluation } from '@bfc/shared';
+import { applyLgTemplateRename, getLgTemplateBodyStart, LgTemplateReference } from '@bfc/indexers';
 import { useRecoilCallback, CallbackInterface } from 'recoil';
 import differenceBy from 'lodash/differenceBy';
 import formatMessage from 'format-message';
 
 import { getBaseName, getExtension } from '../../utils/fileUtil';
 import { lgFilesSelectorFamily } from '../selectors/lg';
+import { dialogsSelectorFamily } from '../selectors/dialogs';
 import { dispatcherState } from '../atoms';
 
 import { setError } from './shared';
@@ -22,6 +24,15 @@ const templateIsNotEmpty = ({ name }) => {
 // fill other locale lgFile new added template with '- '
 const initialBody = '- ';
 
+type WorkspaceEdit = {
+  changes?: Record<
+    string,
+    { range: { start: { line: number; character: number }; end: { line: number; character: number } } }[]
+  >;
+};
+
+const resourceUriPattern = /^composer:\/\/[^/]*\/(.+)$/;
+
 /**
  * Recoil state from snapshot can be expired, use updater can make fine-gained operations.
  *
@@ -456,6 +467,122 @@ export const lgDispatcher = () => {
     }
   );
 
+  /**
+   * Renames a template by applying the edit the language server previewed, in the .lg files of all locales and in
+   * the dialogs. Nothing is updated when a file changed since the preview.
+   * @param documentUri uri of the open document in the edit, the other files have composer://projectId/fileName uris
+   * @param templateId set when the open document is the body of this template of the file, not the whole file
+   */
+  const renameLgTemplate = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async ({
+      projectId,
+      templateName,
+      newTemplateName,
+      edit,
+      documentUri,
+      fileId,
+      templateId,
+    }: {
+      projectId: string;
+      templateName: string;
+      newTemplateName: string;
+      edit: WorkspaceEdit;
+      documentUri: string;
+      fileId: string;
+      templateId?: string;
+    }) => {
+      try {
+        const { snapshot } = callbackHelpers;
+        const lgFiles = await snapshot.getPromise(lgFilesSelectorFamily(projectId));
+        const dialogs = await snapshot.getPromise(dialogsSelectorFamily(projectId));
+
+        const lgContents: Record<string, string> = {};
+        const dialogContents: Record<string, any> = {};
+        for (const [uri, edits] of Object.entries(edit.changes ?? {})) {
+          const fileName = uri === documentUri ? `${fileId}.lg` : resourceUriPattern.exec(uri)?.[1] ?? uri;
+          const id = getBaseName(fileName);
+          const toReferences = (lineOffset: number): LgTemplateReference[] =>
+            edits.map(({ range }) => ({
+              line: range.start.line + lineOffset,
+              start: range.start.character,
+              end: range.end.character,
+            }));
+
+          if (getExtension(fileName) === 'lg') {
+            const file = lgFiles.find((file) => file.id === id);
+            if (!file) throw new Error(formatMessage('{fileName} was not found.', { fileName }));
+            // the lines of an inline editor are relative to the body of its template
+            const lineOffset = uri === documentUri && templateId ? getLgTemplateBodyStart(file.content, templateId) : 0;
+            if (lineOffset < 0) throw new Error(formatMessage('{name} was not found.', { name: templateId }));
+            const references = toReferences(lineOffset);
+            lgContents[id] = applyLgTemplateRename(file.content, references, templateName, newTemplateName);
+          } else if (getExtension(fileName) === 'dialog') {
+            const dialog = dialogs.find((dialog) => dialog.id === id);
+            if (!dialog) throw new Error(formatMessage('{fileName} was not found.', { fileName }));
+            // the language server finds the references in the dialog as it is saved
+            const text = applyLgTemplateRename(
+              JSON.stringify(dialog.content, null, 2),
+              toReferences(0),
+              templateName,
+              newTemplateName
+            );
+            dialogContents[id] = JSON.parse(text);
+          } else {
+            throw new Error(formatMessage('{fileName} cannot be renamed.', { fileName }));
+          }
+        }
+
+        const updatedFiles: LgFile[] = [];
+        for (const [id, content] of Object.entries(lgContents)) {
+          updatedFiles.push((await LgWorker.parse(projectId, id, content, lgFiles)) as LgFile);
+        }
+        // every locale is in the edit, syncing the templates across locales is not needed
+        updateLgFiles(callbackHelpers, projectId, { updates: updatedFiles });
+
+        const { updateDialog } = await snapshot.getPromise(dispatcherState);
+        for (const [id, content] of Object.entries(dialogContents)) {
+          await updateDialog({ id, projectId, content });
+        }
+      } catch (error) {
+        setError(callbackHelpers, error);
+      }
+    }
+  );
+
+  /**
+   * Evaluates a template against a sample memory for the preview of the editors, nothing is updated.
+   */
+  const evaluateLgTemplate = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async ({
+      id,
+      templateName,
+      memory,
+      projectId,
+    }: {
+      id: string;
+      templateName: string;
+      memory: Record<string, unknown>;
+      projectId: string;
+    }) => {
+      try {
+        const { snapshot } = callbackHelpers;
+        const lgFiles = await snapshot.getPromise(lgFilesSelectorFamily(projectId));
+        const lgFile = lgFiles.find((file) => file.id === id);
+        if (!lgFile) return;
+
+        return (await LgWorker.evaluateTemplate(
+          projectId,
+          lgFile,
+          templateName,
+          memory,
+          lgFiles
+        )) as LgTemplateEvaluation;
+      } catch (error) {
+        setError(callbackHelpers, error);
+      }
+    }
+  );
+
   const reparseAllLgFiles = useRecoilCallback(
     (callbackHelpers: CallbackInterface) => async ({ projectId }: { projectId: string }) => {
       try {
@@ -492,6 +619,8 @@ export const lgDispatcher = () => {
     removeLgTemplate,
     removeLgTemplates,
     copyLgTemplate,
+    renameLgTemplate,
+    evaluateLgTemplate,
     reparseAllLgFiles,
     updateAllLgFiles,
   };
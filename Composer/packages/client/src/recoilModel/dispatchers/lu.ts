@@ -2,6 +2,13 @@
 // Licensed under the MIT License.
 /* eslint-disable react-hooks/rules-of-hooks */
 import { LuFile, LuIntentSection, ILUFeaturesConfig } from '@bfc/shared';
+import {
+  getLuFileDialogId,
+  getLuRenameFileIds,
+  LuReferenceKind,
+  renameLuReferences,
+  renameLuReferencesInDialog,
+} from '@bfc/indexers';
 import { useRecoilCallback, CallbackInterface } from 'recoil';
 import differenceBy from 'lodash/differenceBy';
 import formatMessage from 'format-message';
@@ -11,7 +18,8 @@ import { getBaseName, getExtension } from '../../utils/fileUtil';
 import luFileStatusStorage from '../../utils/luFileStatusStorage';
 import { localeState, settingsState, luFileIdsState } from '../atoms/botState';
 import { luFilesSelectorFamily } from '../selectors/lu';
-import { luFileLuFeatureSelector } from '../selectors';
+import { dialogsSelectorFamily, luFileLuFeatureSelector } from '../selectors';
+import { dispatcherState } from '../atoms';
 
 import { luFileState } from './../atoms/botState';
 import { setError } from './shared';
@@ -355,11 +363,60 @@ export const luDispatcher = () => {
     }
   );
 
+  /**
+   * Renames an intent or an entity of the dialog of an .lu file and every reference to it, in the .lu files of the
+   * dialog in all locales, the .lu files that import them and the triggers of the dialog. The cross-train
+   * configuration is built again from the renamed dialog.
+   */
+  const renameLuItem = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async ({
+      projectId,
+      fileId,
+      kind,
+      name,
+      newName,
+    }: {
+      projectId: string;
+      fileId: string;
+      kind: LuReferenceKind;
+      name: string;
+      newName: string;
+    }) => {
+      try {
+        const { snapshot } = callbackHelpers;
+        const luFiles = await snapshot.getPromise(luFilesSelectorFamily(projectId));
+        const dialogId = getLuFileDialogId(fileId);
+        const fileIds = getLuRenameFileIds(dialogId, luFiles);
+        const updatedFiles: LuFile[] = [];
+        for (const file of luFiles.filter(({ id }) => fileIds.includes(id))) {
+          const content = renameLuReferences(file.content, kind, name, newName);
+          if (content === file.content) continue;
+          const luFeatures = await snapshot.getPromise(luFileLuFeatureSelector({ projectId, id: file.id }));
+          updatedFiles.push((await luWorker.parse(file.id, content, luFeatures, luFiles)) as LuFile);
+        }
+        // every locale is renamed here, syncing the intents across locales is not needed
+        updateLuFiles(callbackHelpers, projectId, { updates: updatedFiles });
+
+        const { updateDialog } = await snapshot.getPromise(dispatcherState);
+        const dialogs = await snapshot.getPromise(dialogsSelectorFamily(projectId));
+        for (const dialog of dialogs.filter(({ id }) => id === dialogId)) {
+          const content = renameLuReferencesInDialog(dialog.content, kind, name, newName);
+          if (content !== dialog.content) {
+            await updateDialog({ id: dialog.id, projectId, content });
+          }
+        }
+      } catch (error) {
+        setError(callbackHelpers, error);
+      }
+    }
+  );
+
   return {
     batchUpdateLuFiles,
     updateLuFile,
     updateLuIntent,
     createLuIntent,
     removeLuIntent,
+    renameLuItem,
   };
 };
@@ -64,13 +64,13 @@ export const publisherDispatcher = () => {
 
   const publishSuccess = async ({ set }: CallbackInterface, projectId: string, data: PublishResult, target) => {
     TelemetryClient.track('PublishSuccess');
-    const { endpointURL, status, port } = data;
+    const { endpointURL, status, port, debugPort } = data;
     if (target.name === defaultPublishConfig.name) {
       if (status === PUBLISH_SUCCESS && endpointURL) {
         set(botStatusState(projectId), BotStatus.connected);
         set(botEndpointsState, (botEndpoints) => ({
           ...botEndpoints,
-          [projectId]: { url: `${endpointURL}/api/messages`, port: port || defaultBotPort },
+          [projectId]: { url: `${endpointURL}/api/messages`, port: port || defaultBotPort, debugPort },
         }));
       } else {
         set(botStatusState(projectId), BotStatus.starting);
@@ -100,7 +100,7 @@ export const publisherDispatcher = () => {
   ) => {
     if (data == null) return;
     const { set, snapshot } = callbackHelpers;
-    const { endpointURL, status, port } = data;
+    const { endpointURL, status, port, debugPort } = data;
 
     // remove job id in publish storage if published
     if (status === PUBLISH_SUCCESS || status === PUBLISH_FAILED) {
@@ -151,7 +151,7 @@ export const publisherDispatcher = () => {
         set(botStatusState(projectId), BotStatus.connected);
         set(botEndpointsState, (botEndpoints) => ({
           ...botEndpoints,
-          [projectId]: { url: `${endpointURL}/api/messages`, port: port || defaultBotPort },
+          [projectId]: { url: `${endpointURL}/api/messages`, port: port || defaultBotPort, debugPort },
         }));
       } else if (status === PUBLISH_PENDING) {
         set(botStatusState(projectId), BotStatus.starting);
@@ -0,0 +1,51 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+import { useRecoilCallback, CallbackInterface } from 'recoil';
+import { DiagnosticQuickFix, DialogFactory } from '@bfc/shared';
+
+import { dialogState, schemasState } from '../atoms/botState';
+import { dispatcherState } from '../atoms';
+import { applyDialogQuickFix, getQuickFixDialogId } from '../../utils/quickFixUtil';
+
+import { setError } from './shared';
+
+export const quickFixDispatcher = () => {
+  const applyQuickFix = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, fix: DiagnosticQuickFix) => {
+      try {
+        const { snapshot } = callbackHelpers;
+        const { removeDialog, removeLgTemplate, removeLuIntent, updateDialog } = await snapshot.getPromise(
+          dispatcherState
+        );
+
+        switch (fix.kind) {
+          case 'removeDialog':
+            await removeDialog(fix.dialogId, projectId);
+            return;
+          case 'removeLgTemplate':
+            await removeLgTemplate({ id: fix.lgFileId, templateName: fix.templateName, projectId });
+            return;
+          case 'removeLuIntent':
+            await removeLuIntent({ id: fix.luFileId, intentName: fix.intentName, projectId });
+            return;
+        }
+
+        const dialogId = getQuickFixDialogId(fix);
+        if (!dialogId) return;
+        const dialog = await snapshot.getPromise(dialogState({ projectId, dialogId }));
+        if (!dialog) throw new Error(`dialog ${dialogId} not found`);
+        const schemas = await snapshot.getPromise(schemasState(projectId));
+
+        const content = applyDialogQuickFix(dialog.content, fix, new DialogFactory(schemas.sdk?.content));
+        await updateDialog({ id: dialogId, projectId, content });
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  return {
+    applyQuickFix,
+  };
+};
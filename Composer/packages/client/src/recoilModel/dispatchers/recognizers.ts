@@ -1,18 +1,18 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 /* eslint-disable react-hooks/rules-of-hooks */
-import { SDKKinds } from '@bfc/shared';
+import { RecognizerFile, SDKKinds } from '@bfc/shared';
 import { LuProviderType } from '@botframework-composer/types';
 import { CallbackInterface, useRecoilCallback } from 'recoil';
 
-import { recognizerState } from '../atoms';
-import { LuisRecognizerTemplate, OrchestratorRecognizerTemplate } from '../Recognizers';
+import { recognizerBuildersState, recognizerState } from '../atoms';
+import { CustomRecognizerTemplate, LuisRecognizerTemplate, OrchestratorRecognizerTemplate } from '../Recognizers';
 
 import { recognizersSelectorFamily } from './../selectors/recognizers';
 
 const LuProviderRecognizer = [SDKKinds.OrchestratorRecognizer, SDKKinds.LuisRecognizer];
 
-const templates = {
+const templates: Record<string, (target: string, fileName: string) => RecognizerFile['content']> = {
   [SDKKinds.OrchestratorRecognizer]: OrchestratorRecognizerTemplate,
   [SDKKinds.LuisRecognizer]: LuisRecognizerTemplate,
 };
@@ -21,10 +21,13 @@ export const recognizerDispatcher = () => {
   const updateRecognizer = useRecoilCallback(
     ({ set, snapshot }: CallbackInterface) => async (projectId: string, dialogId: string, kind: LuProviderType) => {
       const recognizers = await snapshot.getPromise(recognizersSelectorFamily(projectId));
+      const recognizerBuilders = await snapshot.getPromise(recognizerBuildersState);
+      const recognizerBuilder = recognizerBuilders.find((builder) => builder.kind === kind);
+      const luProviderKinds: string[] = [...LuProviderRecognizer, ...recognizerBuilders.map((builder) => builder.kind)];
 
       const updates = recognizers.filter(
         ({ id, content }) =>
-          id.split('.')[0] === dialogId && LuProviderRecognizer.includes(content.$kind) && content.$kind !== kind
+          id.split('.')[0] === dialogId && luProviderKinds.includes(content.$kind) && content.$kind !== kind
       );
 
       const mutlilangRecognizer = recognizers.find(
@@ -41,9 +44,12 @@ export const recognizerDispatcher = () => {
       }
 
       updates.forEach(({ id }) => {
+        const fileName = id.replace('.lu.dialog', '');
         set(recognizerState({ projectId, id }), {
           id,
-          content: templates[kind](dialogId, id.replace('.lu.dialog', '')),
+          content: recognizerBuilder
+            ? CustomRecognizerTemplate(recognizerBuilder, fileName)
+            : templates[kind](dialogId, fileName),
         });
       });
     }
@@ -0,0 +1,156 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/* eslint-disable react-hooks/rules-of-hooks */
+
+import { GitBranchList, GitCommitResult, GitFileDiff, GitPullResult, GitStatus } from '@bfc/shared';
+import formatMessage from 'format-message';
+import { CallbackInterface, useRecoilCallback } from 'recoil';
+
+import httpClient from '../../utils/httpUtil';
+import TelemetryClient from '../../telemetry/TelemetryClient';
+import { dispatcherState } from '../atoms/appState';
+import { gitBranchesState, gitFileDiffState, gitPullResultState, gitStatusState } from '../atoms/botState';
+
+import { createNotification, addNotificationInternal } from './notification';
+import { setError } from './shared';
+
+export const sourceControlDispatcher = () => {
+  /** Files changed underneath the project, reload it so every editor picks up the new content. */
+  const reloadChangedProject = async ({ snapshot }: CallbackInterface, projectId: string) => {
+    const { reloadProject } = await snapshot.getPromise(dispatcherState);
+    await reloadProject(projectId);
+  };
+
+  const fetchGitStatus = useRecoilCallback((callbackHelpers: CallbackInterface) => async (projectId: string) => {
+    try {
+      const response = await httpClient.get<GitStatus>(`/projects/${projectId}/git/status`);
+      callbackHelpers.set(gitStatusState(projectId), response.data);
+    } catch (ex) {
+      setError(callbackHelpers, ex);
+    }
+  });
+
+  const fetchGitFileDiff = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, path: string) => {
+      try {
+        const response = await httpClient.get<GitFileDiff>(`/projects/${projectId}/git/diff`, { params: { path } });
+        callbackHelpers.set(gitFileDiffState(projectId), response.data);
+      } catch (ex) {
+        callbackHelpers.reset(gitFileDiffState(projectId));
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const clearGitFileDiff = useRecoilCallback(({ reset }: CallbackInterface) => (projectId: string) => {
+    reset(gitFileDiffState(projectId));
+  });
+
+  const stageGitFiles = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, files: string[]) => {
+      try {
+        const response = await httpClient.post<GitStatus>(`/projects/${projectId}/git/stage`, { files });
+        callbackHelpers.set(gitStatusState(projectId), response.data);
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const unstageGitFiles = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, files: string[]) => {
+      try {
+        const response = await httpClient.post<GitStatus>(`/projects/${projectId}/git/unstage`, { files });
+        callbackHelpers.set(gitStatusState(projectId), response.data);
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const commitGitChanges = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, message: string) => {
+      try {
+        const response = await httpClient.post<GitCommitResult>(`/projects/${projectId}/git/commit`, { message });
+        TelemetryClient.track('GitChangesCommitted');
+        addNotificationInternal(
+          callbackHelpers,
+          createNotification({
+            type: 'success',
+            title: formatMessage('Changes committed'),
+            description: formatMessage('{commit} {summary}', {
+              commit: response.data.commit,
+              summary: response.data.summary,
+            }),
+          })
+        );
+        callbackHelpers.reset(gitFileDiffState(projectId));
+        await fetchGitStatus(projectId);
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const fetchGitBranches = useRecoilCallback((callbackHelpers: CallbackInterface) => async (projectId: string) => {
+    try {
+      const response = await httpClient.get<GitBranchList>(`/projects/${projectId}/git/branches`);
+      callbackHelpers.set(gitBranchesState(projectId), response.data);
+    } catch (ex) {
+      setError(callbackHelpers, ex);
+    }
+  });
+
+  const checkoutGitBranch = useRecoilCallback(
+    (callbackHelpers: CallbackInterface) => async (projectId: string, branch: string, create = false) => {
+      try {
+        await httpClient.post(`/projects/${projectId}/git/checkout`, { branch, create });
+        TelemetryClient.track('GitBranchCheckedOut', { created: create });
+        callbackHelpers.reset(gitFileDiffState(projectId));
+        await reloadChangedProject(callbackHelpers, projectId);
+        await fetchGitBranches(projectId);
+        await fetchGitStatus(projectId);
+      } catch (ex) {
+        setError(callbackHelpers, ex);
+      }
+    }
+  );
+
+  const pullGitChanges = useRecoilCallback((callbackHelpers: CallbackInterface) => async (projectId: string) => {
+    callbackHelpers.reset(gitPullResultState(projectId));
+    try {
+      const response = await httpClient.post<GitPullResult>(`/projects/${projectId}/git/pull`);
+      callbackHelpers.set(gitPullResultState(projectId), response.data);
+      TelemetryClient.track('GitChangesPulled', { filesChanged: response.data.filesChanged });
+      if (response.data.filesChanged) {
+        callbackHelpers.reset(gitFileDiffState(projectId));
+        await reloadChangedProject(callbackHelpers, projectId);
+      }
+      await fetchGitStatus(projectId);
+    } catch (ex) {
+      // a conflicting pull is aborted on the server and reported back with the conflicting files
+      if (ex?.response?.status === 409 && ex.response.data?.conflicts) {
+        callbackHelpers.set(gitPullResultState(projectId), ex.response.data);
+      } else {
+        setError(callbackHelpers, ex);
+      }
+    }
+  });
+
+  const clearGitPullResult = useRecoilCallback(({ reset }: CallbackInterface) => (projectId: string) => {
+    reset(gitPullResultState(projectId));
+  });
+
+  return {
+    fetchGitStatus,
+    fetchGitFileDiff,
+    clearGitFileDiff,
+    stageGitFiles,
+    unstageGitFiles,
+    commitGitChanges,
+    fetchGitBranches,
+    checkoutGitBranch,
+    pullGitChanges,
+    clearGitPullResult,
+  };
+};
@@ -95,6 +95,7 @@ import {
 } from '../../selectors';
 import { undoHistoryState } from '../../undo/history';
 import UndoHistory from '../../undo/undoHistory';
+import { getUndoScopeId, undoAssetTypes } from '../../undo/trackedAtoms';
 import { logMessage, setError } from '../shared';
 import { setRootBotSettingState } from '../setting';
 import { lgFilesSelectorFamily } from '../../selectors/lg';
@@ -353,6 +354,8 @@ export const loadProjectData = async (data) => {
     ...assets,
     setting: settings,
     botProjectFile: assets.botProjectSpaceFiles[0],
+    // the reachability check runs in the LU worker once the files are parsed
+    skipReachability: true,
   });
 
   const botFiles = { ...assets, mergedSettings, diagnostics };
@@ -552,7 +555,9 @@ export const initBotState = async (callbackHelpers: CallbackInterface, data: any
   set(projectReadmeState(projectId), readme);
 
   set(filePersistenceState(projectId), new FilePersistence(projectId));
-  set(undoHistoryState(projectId), new UndoHistory(projectId));
+  undoAssetTypes.forEach((assetType) => {
+    set(undoHistoryState(getUndoScopeId(projectId, assetType)), new UndoHistory(projectId, assetType));
+  });
   set(projectIndexingState(projectId), true);
   parseAllAssets(callbackHelpers, projectId, botFiles);
 
@@ -10,8 +10,10 @@ import {
   webChatInspectionDataState,
   isWebChatPanelVisibleState,
   watchedVariablesState,
+  executedDesignerIdsState,
 } from '../atoms';
 import { WebChatInspectionData } from '../types';
+import { getExecutedDesignerIds } from '../../utils/coverageUtil';
 
 export const webChatLogDispatcher = () => {
   const clearWebChatLogs = useRecoilCallback((callbackHelpers: CallbackInterface) => (projectId: string) => {
@@ -38,9 +40,22 @@ export const webChatLogDispatcher = () => {
           return [...currentTraffic, traffic].sort((t1, t2) => t1.timestamp - t2.timestamp);
         }
       });
+      // coverage adds up across conversations, restarting one clears the traffic but not the ids
+      const executedIds = getExecutedDesignerIds(Array.isArray(traffic) ? traffic : [traffic]);
+      if (executedIds.length) {
+        set(executedDesignerIdsState(projectId), (currentIds) => [
+          ...currentIds,
+          ...executedIds.filter((id) => !currentIds.includes(id)),
+        ]);
+      }
     }
   );
 
+  const clearCoverage = useRecoilCallback((callbackHelpers: CallbackInterface) => (projectId: string) => {
+    const { set } = callbackHelpers;
+    set(executedDesignerIdsState(projectId), []);
+  });
+
   const setWebChatInspectionData = useRecoilCallback(
     (callbackHelpers: CallbackInterface) => (projectId: string, inspectionData: WebChatInspectionData) => {
       const { set } = callbackHelpers;
@@ -61,5 +76,6 @@ export const webChatLogDispatcher = () => {
     setWatchedVariables,
     setWebChatPanelVisibility,
     setWebChatInspectionData,
+    clearCoverage,
   };
 };
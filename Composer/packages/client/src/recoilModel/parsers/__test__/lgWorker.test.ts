@@ -122,6 +122,12 @@ describe('test lg worker', () => {
     lgFiles[0] = result;
   });
 
+  it('get expected evaluate template result', async () => {
+    const result: any = await lgWorker.evaluateTemplate('test', lgFiles[0], 'Hello', {}, lgFiles);
+    expect(result.result.text).toBe('hi');
+    expect(result.variations).toHaveLength(1);
+  });
+
   it('clean project', async () => {
     await lgWorker.removeProject('test');
     expect(lgCache.projects.has('test')).toBeFalsy();
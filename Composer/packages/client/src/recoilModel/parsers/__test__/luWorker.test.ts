@@ -111,4 +111,19 @@ hi
     const result: any = await luWorker.removeIntents(luFile, ['New1', 'New'], luFeatures, []);
     expect(result.intents.length).toBe(1);
   });
+
+  it('get expected overlap of the locale', async () => {
+    const main: any = await luWorker.parse('main.en-us', '# Greeting\n- hello there', luFeatures, []);
+    const booking: any = await luWorker.parse('booking.en-us', '# Hello\n- Hello there!', luFeatures, []);
+    const french: any = await luWorker.parse('booking.fr-fr', '# Greeting\n- hello there', luFeatures, []);
+    const result: any = await luWorker.analyzeOverlap([main, booking, french], [], 'en-us');
+    expect(result.targets.map(({ id }) => id)).toEqual(['main.en-us#Greeting', 'booking.en-us#Hello']);
+    expect(result.pairs[0].targets).toEqual(['booking.en-us#Hello', 'main.en-us#Greeting']);
+  });
+
+  it('get expected reachability diagnostics', async () => {
+    const dialog = (id: string, isRoot = false): any => ({ id, displayName: id, isRoot, content: {} });
+    const result: any = await luWorker.analyzeReachability([dialog('main', true), dialog('orphan')], [], []);
+    expect(result.map(({ code, source }) => `${code} ${source}`)).toEqual(['UnreachableDialog orphan.dialog']);
+  });
 });
@@ -16,6 +16,7 @@ import {
   LgNewCachePayload,
   LgCleanCachePayload,
   LgParseAllPayload,
+  LgEvaluateTemplatePayload,
 } from './types';
 
 // Wrapper class
@@ -87,6 +88,22 @@ class LgWorker extends BaseWorker<LgActionType> {
       projectId,
     });
   }
+
+  evaluateTemplate(
+    projectId: string,
+    lgFile: LgFile,
+    templateName: string,
+    memory: Record<string, unknown>,
+    lgFiles: LgFile[]
+  ) {
+    return this.sendMsg<LgEvaluateTemplatePayload>(LgActionType.EvaluateTemplate, {
+      lgFile,
+      templateName,
+      memory,
+      lgFiles,
+      projectId,
+    });
+  }
 }
 
 export default new LgWorker(new Worker());
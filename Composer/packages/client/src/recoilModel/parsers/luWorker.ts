@@ -1,6 +1,6 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
-import { LuIntentSection, LuFile, TextFile, ILUFeaturesConfig } from '@bfc/shared';
+import { LuIntentSection, LuFile, TextFile, ILUFeaturesConfig, QnAFile, DialogInfo, LgFile } from '@bfc/shared';
 
 import Worker from './workers/luParser.worker.ts';
 import { BaseWorker } from './baseWorker';
@@ -13,6 +13,8 @@ import {
   LuRemoveIntentPayload,
   LuUpdateIntentPayload,
   LuParseAllPayload,
+  LuAnalyzeOverlapPayload,
+  LuAnalyzeReachabilityPayload,
 } from './types';
 // Wrapper class
 class LuWorker extends BaseWorker<LuActionType> {
@@ -56,6 +58,16 @@ class LuWorker extends BaseWorker<LuActionType> {
     const payload = { luFile, intentNames, luFeatures, luFiles };
     return this.sendMsg<LuRemoveIntentsPayload>(LuActionType.RemoveIntents, payload);
   }
+
+  analyzeOverlap(luFiles: LuFile[], qnaFiles: QnAFile[], locale: string) {
+    const payload = { luFiles, qnaFiles, locale };
+    return this.sendMsg<LuAnalyzeOverlapPayload>(LuActionType.AnalyzeOverlap, payload);
+  }
+
+  analyzeReachability(dialogs: DialogInfo[], lgFiles: LgFile[], luFiles: LuFile[]) {
+    const payload = { dialogs, lgFiles, luFiles };
+    return this.sendMsg<LuAnalyzeReachabilityPayload>(LuActionType.AnalyzeReachability, payload);
+  }
 }
 
 export default new LuWorker(new Worker());
@@ -1,6 +1,16 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
-import { LuIntentSection, LgFile, LuFile, FileInfo, LgTemplate, ILUFeaturesConfig, TextFile } from '@bfc/shared';
+import {
+  LuIntentSection,
+  LgFile,
+  LuFile,
+  FileInfo,
+  LgTemplate,
+  ILUFeaturesConfig,
+  TextFile,
+  QnAFile,
+  DialogInfo,
+} from '@bfc/shared';
 
 import { FileAsset } from '../persistence/types';
 
@@ -52,6 +62,18 @@ export type LuRemoveIntentsPayload = {
   luFiles: LuFile[];
 };
 
+export type LuAnalyzeOverlapPayload = {
+  luFiles: LuFile[];
+  qnaFiles: QnAFile[];
+  locale: string;
+};
+
+export type LuAnalyzeReachabilityPayload = {
+  dialogs: DialogInfo[];
+  lgFiles: LgFile[];
+  luFiles: LuFile[];
+};
+
 export type LgParsePayload = {
   projectId: string;
   id: string;
@@ -116,6 +138,14 @@ export interface LgCopyTemplatePayload {
   lgFiles: LgFile[];
 }
 
+export interface LgEvaluateTemplatePayload {
+  projectId: string;
+  lgFile: LgFile;
+  templateName: string;
+  memory: Record<string, unknown>;
+  lgFiles: LgFile[];
+}
+
 export type IndexPayload = {
   files: FileInfo;
   botName: string;
@@ -141,6 +171,8 @@ export enum LuActionType {
   AddIntents = 'add-intents',
   RemoveIntents = 'remove-intents',
   ParseAll = 'parse-all',
+  AnalyzeOverlap = 'analyze-overlap',
+  AnalyzeReachability = 'analyze-reachability',
 }
 
 export enum LgActionType {
@@ -154,6 +186,7 @@ export enum LgActionType {
   RemoveAllTemplates = 'remove-all-templates',
   CopyTemplate = 'copy-template',
   ParseAll = 'parse-all',
+  EvaluateTemplate = 'evaluate-template',
 }
 
 export enum IndexerActionType {
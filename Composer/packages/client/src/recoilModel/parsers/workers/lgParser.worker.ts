@@ -15,6 +15,7 @@ import {
   LgNewCachePayload,
   LgCleanCachePayload,
   LgParseAllPayload,
+  LgEvaluateTemplatePayload,
 } from '../types';
 
 const ctx: Worker = self as any;
@@ -85,6 +86,12 @@ type ParseAllMessage = {
   payload: LgParseAllPayload;
 };
 
+type EvaluateTemplateMessage = {
+  id: string;
+  type: LgActionType.EvaluateTemplate;
+  payload: LgEvaluateTemplatePayload;
+};
+
 type LgMessageEvent =
   | NewCacheMessage
   | CleanCacheMeassage
@@ -95,7 +102,8 @@ type LgMessageEvent =
   | RemoveMessage
   | RemoveAllMessage
   | CopyMessage
-  | ParseAllMessage;
+  | ParseAllMessage
+  | EvaluateTemplateMessage;
 
 type LgResources = Map<string, LgFile>;
 
@@ -253,6 +261,17 @@ export const handleMessage = (msg: LgMessageEvent) => {
       payload = filterParseResult(result);
       break;
     }
+
+    case LgActionType.EvaluateTemplate: {
+      const { lgFile, templateName, memory, lgFiles, projectId } = msg.payload;
+      payload = lgUtil.evaluateTemplate(
+        getTargetFile(projectId, lgFile),
+        templateName,
+        memory,
+        lgFileResolver(lgFiles)
+      );
+      break;
+    }
   }
   return payload;
 };
@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { luUtil } from '@bfc/indexers';
+import { BotIndexer, luUtil, UtteranceOverlapAnalyzer } from '@bfc/indexers';
 import { luImportResolverGenerator } from '@bfc/shared';
 
 import {
@@ -13,6 +13,8 @@ import {
   LuAddIntentsPayload,
   LuAddIntentPayload,
   LuParseAllPayload,
+  LuAnalyzeOverlapPayload,
+  LuAnalyzeReachabilityPayload,
 } from '../types';
 const ctx: Worker = self as any;
 
@@ -58,6 +60,18 @@ type ParseAllMessage = {
   payload: LuParseAllPayload;
 };
 
+type AnalyzeOverlapMessage = {
+  id: string;
+  type: LuActionType.AnalyzeOverlap;
+  payload: LuAnalyzeOverlapPayload;
+};
+
+type AnalyzeReachabilityMessage = {
+  id: string;
+  type: LuActionType.AnalyzeReachability;
+  payload: LuAnalyzeReachabilityPayload;
+};
+
 type LuMessageEvent =
   | ParseMessage
   | AddMessage
@@ -65,7 +79,9 @@ type LuMessageEvent =
   | UpdateMessage
   | RemoveMessage
   | RemoveIntentsMessage
-  | ParseAllMessage;
+  | ParseAllMessage
+  | AnalyzeOverlapMessage
+  | AnalyzeReachabilityMessage;
 
 const luFileResolver = (luFiles) => {
   return luImportResolverGenerator(luFiles, '.lu');
@@ -115,6 +131,18 @@ export const handleMessage = (msg: LuMessageEvent) => {
       result = luUtil.removeIntents(luFile, intentNames, luFeatures, luFileResolver(luFiles));
       break;
     }
+
+    case LuActionType.AnalyzeOverlap: {
+      const { luFiles, qnaFiles, locale } = msg.payload;
+      result = UtteranceOverlapAnalyzer.analyze({ luFiles, qnaFiles, locale });
+      break;
+    }
+
+    case LuActionType.AnalyzeReachability: {
+      const { dialogs, lgFiles, luFiles } = msg.payload;
+      result = BotIndexer.checkReachability({ dialogs, lgFiles, luFiles });
+      break;
+    }
   }
   return result;
 };
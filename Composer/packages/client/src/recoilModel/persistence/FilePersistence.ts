@@ -15,6 +15,8 @@ class FilePersistence {
   private _projectId = '';
   private _handleError?: (err) => void;
   private _isFlushing = false;
+  // content of the files another window changed and saved already, by file name
+  private _savedElsewhere: Record<string, string> = {};
 
   private _operator = {
     [ChangeType.CREATE]: this.create,
@@ -35,13 +37,22 @@ class FilePersistence {
   }
 
   public async notify(currentAssets: BotAssets, previousAssets: BotAssets) {
-    const fileChanges: IFileChange[] = await this.getAssetsChanges(currentAssets, previousAssets);
+    const fileChanges: IFileChange[] = (await this.getAssetsChanges(currentAssets, previousAssets)).filter(
+      (fileChange) => !this.isSavedElsewhere(fileChange)
+    );
 
     this.createTaskQueue(fileChanges);
 
     await this.flush();
   }
 
+  /**
+   * The next update of the file is not written when it has this content, another window saved it already.
+   */
+  public skipUpdate(id: string, content: string) {
+    this._savedElsewhere[id] = content;
+  }
+
   public createTaskQueue(fileChanges: IFileChange[]) {
     for (const change of fileChanges) {
       if (!this._taskQueue[change.id]) {
@@ -102,6 +113,15 @@ class FilePersistence {
     await client.createFile(projectId, id, change);
   }
 
+  private isSavedElsewhere({ id, change, type }: IFileChange) {
+    if (type !== ChangeType.UPDATE || !(id in this._savedElsewhere)) return false;
+
+    const saved = this._savedElsewhere[id];
+    delete this._savedElsewhere[id];
+    // dialogs are saved formatted by the window that wrote them
+    return id.endsWith(FileExtensions.Dialog) ? isEqual(JSON.parse(saved), JSON.parse(change)) : saved === change;
+  }
+
   private isEmpty() {
     return keys(this._taskQueue).every((key) => !this._taskQueue[key].length);
   }
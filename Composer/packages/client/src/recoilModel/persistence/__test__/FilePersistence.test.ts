@@ -133,4 +133,27 @@ describe('test persistence layer', () => {
     await filePersistence.flush();
     expect(filePersistence.taskQueue['b.en-us.lu'].length).toBe(0);
   });
+
+  it('does not write an update another window saved', async () => {
+    const previous = {
+      projectId: 'test',
+      dialogs: ([{ id: 'a', content: { a: 'a' } }] as unknown) as DialogInfo[],
+      lgFiles: [{ id: 'a.en-us', content: 'a' }] as LgFile[],
+      luFiles: [{ id: 'a.en-us', content: 'a' }] as LuFile[],
+    } as BotAssets;
+
+    const current = {
+      projectId: 'test',
+      dialogs: ([{ id: 'a', content: { a: 'remote' } }] as unknown) as DialogInfo[],
+      lgFiles: [{ id: 'a.en-us', content: 'remote.lg' }] as LgFile[],
+      luFiles: [{ id: 'a.en-us', content: 'local.lu' }] as LuFile[],
+    } as BotAssets;
+
+    filePersistence.skipUpdate('a.dialog', JSON.stringify({ a: 'remote' }));
+    filePersistence.skipUpdate('a.en-us.lg', 'remote.lg');
+    filePersistence.skipUpdate('a.en-us.lu', 'remote.lu');
+    const createTaskQueue = jest.spyOn(filePersistence, 'createTaskQueue');
+    await filePersistence.notify(current, previous);
+    expect(createTaskQueue.mock.calls[0][0].map(({ id }) => id)).toEqual(['a.en-us.lu']);
+  });
 });
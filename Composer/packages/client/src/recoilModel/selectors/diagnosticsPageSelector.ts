@@ -1,14 +1,22 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { BotIndexer, validateSchema } from '@bfc/indexers';
-import { selectorFamily, selector } from 'recoil';
+import {
+  BotIndexer,
+  ReachabilityCodes,
+  UtteranceOverlapAnalyzer,
+  UtteranceOverlapReport,
+  validateSchema,
+} from '@bfc/indexers';
+import { selectorFamily, selector, noWait } from 'recoil';
 import lodashGet from 'lodash/get';
 import formatMessage from 'format-message';
-import { getFriendlyName } from '@bfc/shared';
+import { Diagnostic, getFriendlyName } from '@bfc/shared';
 import { DiagnosticSeverity } from '@botframework-composer/types/src';
 
+import { getBaseName } from '../../utils/fileUtil';
 import { getReferredLuFiles } from '../../utils/luUtil';
+import luWorker from '../parsers/luWorker';
 import { INavTreeItem } from '../../components/NavTree';
 import { botDisplayNameState, dialogIdsState } from '../atoms/botState';
 import {
@@ -23,11 +31,13 @@ import {
   SchemaDiagnostic,
 } from '../../pages/design/DebugPanel/TabExtensions/DiagnosticsTab/DiagnosticType';
 import {
+  botBuildSummaryState,
   botDiagnosticsState,
   botProjectFileState,
   botProjectIdsState,
   dialogSchemasState,
   jsonSchemaFilesState,
+  localeState,
   projectMetaDataState,
   settingsState,
   skillManifestsState,
@@ -92,6 +102,11 @@ export const botDiagnosticsSelectorFamily = selectorFamily({
       diagnosticList.push(new BotDiagnostic(rootProjectId, projectId, '', d.source, d));
     });
 
+    // reported by the recognizer builders of the extensions during the last build
+    get(botBuildSummaryState(projectId))?.diagnostics?.forEach((d) => {
+      diagnosticList.push(new BotDiagnostic(rootProjectId, projectId, '', d.source, d));
+    });
+
     //manifest.json
     //Manifest should exist
     if (rootProjectId !== projectId) {
@@ -298,6 +313,121 @@ export const qnaDiagnosticsSelectorFamily = selectorFamily({
   },
 });
 
+// parses every expression of the bot, it runs in the LU worker like the check of BotIndexer.validate
+const reachabilityReportSelectorFamily = selectorFamily<Diagnostic[], string>({
+  key: 'reachabilityReportSelectorFamily',
+  get: (projectId: string) => async ({ get }) => {
+    const botAssets = get(botAssetsSelectFamily(projectId));
+    if (botAssets === null) return [];
+
+    const { dialogs, lgFiles, luFiles } = botAssets;
+    return (await luWorker.analyzeReachability(dialogs, lgFiles, luFiles)) as Diagnostic[];
+  },
+});
+
+/**
+ * Warnings about dialogs, LG templates, LU intents and properties nothing reaches. They are left out until the
+ * worker is done, the other diagnostics don't wait for them.
+ */
+export const reachabilityDiagnosticsSelectorFamily = selectorFamily({
+  key: 'reachabilityDiagnosticsSelectorFamily',
+  get: (projectId: string) => ({ get }) => {
+    const botAssets = get(botAssetsSelectFamily(projectId));
+    const report = get(noWait(reachabilityReportSelectorFamily(projectId)));
+    if (botAssets === null || report.state !== 'hasValue') return [];
+
+    const { dialogs, lgFiles, luFiles } = botAssets;
+    const rootProjectId = get(rootBotProjectIdSelector) ?? projectId;
+
+    // the source of a reachability diagnostic is its file name
+    return report.contents.reduce((result: DiagnosticInfo[], d) => {
+      const id = getBaseName(d.source);
+      switch (d.code) {
+        case ReachabilityCodes.UnreachableDialog:
+        case ReachabilityCodes.UnsetProperty:
+          result.push(new DialogDiagnostic(rootProjectId, projectId, id, d.source, d, dialogs));
+          break;
+        case ReachabilityCodes.UnusedLgTemplate: {
+          const lgFile = lgFiles.find((file) => file.id === id);
+          if (lgFile) {
+            result.push(new LgDiagnostic(rootProjectId, projectId, id, d.source, d, lgFile, dialogs));
+          }
+          break;
+        }
+        case ReachabilityCodes.UnusedLuIntent: {
+          const luFile = luFiles.find((file) => file.id === id);
+          if (luFile) {
+            result.push(new LuDiagnostic(rootProjectId, projectId, id, d.source, d, luFile, dialogs));
+          }
+          break;
+        }
+      }
+      return result;
+    }, []);
+  },
+});
+
+// compares every utterance with all the others, it runs in the LU worker and only for the current locale
+const utteranceOverlapReportSelectorFamily = selectorFamily<UtteranceOverlapReport, string>({
+  key: 'utteranceOverlapReportSelectorFamily',
+  get: (projectId: string) => async ({ get }) => {
+    const luFiles = get(luFilesSelectorFamily(projectId));
+    const qnaFiles = get(qnaFilesSelectorFamily(projectId));
+    const locale = get(localeState(projectId));
+    return (await luWorker.analyzeOverlap(luFiles, qnaFiles, locale)) as UtteranceOverlapReport;
+  },
+});
+
+/**
+ * Intents and QnA questions of the current locale whose utterances overlap, the pairs are the ones of the dialog
+ * when there is one.
+ */
+export const utteranceOverlapSelectorFamily = selectorFamily<
+  UtteranceOverlapReport,
+  { projectId: string; dialogId?: string }
+>({
+  key: 'utteranceOverlapSelectorFamily',
+  get: ({ projectId, dialogId }) => ({ get }) => {
+    const { targets, pairs } = get(utteranceOverlapReportSelectorFamily(projectId));
+
+    const dialogIds = new Set(
+      targets.filter((target) => !dialogId || target.dialogId === dialogId).map(({ id }) => id)
+    );
+    return {
+      targets,
+      pairs: pairs.filter(({ targets: [a, b] }) => dialogIds.has(a) || dialogIds.has(b)),
+    };
+  },
+});
+
+/**
+ * Warnings about the overlapping utterances. They are shown on the LU page rather than with the other diagnostics,
+ * some overlap is expected while the intents of a bot are being written.
+ */
+export const utteranceOverlapDiagnosticsSelectorFamily = selectorFamily<
+  DiagnosticInfo[],
+  { projectId: string; dialogId?: string }
+>({
+  key: 'utteranceOverlapDiagnosticsSelectorFamily',
+  get: ({ projectId, dialogId }) => ({ get }) => {
+    const dialogs = get(dialogsWithLuProviderSelectorFamily(projectId));
+    const luFiles = get(luFilesSelectorFamily(projectId));
+    const qnaFiles = get(qnaFilesSelectorFamily(projectId));
+    const rootProjectId = get(rootBotProjectIdSelector) ?? projectId;
+    const report = get(utteranceOverlapSelectorFamily({ projectId, dialogId }));
+
+    return UtteranceOverlapAnalyzer.getDiagnostics(report).reduce((result: DiagnosticInfo[], d) => {
+      const luFile = luFiles.find(({ id }) => id === d.source);
+      if (luFile) {
+        result.push(new LuDiagnostic(rootProjectId, projectId, d.source, `${d.source}.lu`, d, luFile, dialogs));
+      } else if (qnaFiles.some(({ id }) => id === d.source)) {
+        result.push(new QnADiagnostic(rootProjectId, projectId, d.source, `${d.source}.qna`, d));
+      }
+      return result;
+    }, []);
+  },
+});
+
 export const diagnosticsSelectorFamily = selectorFamily({
   key: 'diagnosticsSelector',
   get: (projectId: string) => ({ get }) => [
@@ -309,6 +439,7 @@ export const diagnosticsSelectorFamily = selectorFamily({
     ...get(lgDiagnosticsSelectorFamily(projectId)),
     ...get(qnaDiagnosticsSelectorFamily(projectId)),
     ...get(schemaDiagnosticsSelectorFamily(projectId)),
+    ...get(reachabilityDiagnosticsSelectorFamily(projectId)),
   ],
 });
 
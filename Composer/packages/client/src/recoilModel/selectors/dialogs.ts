@@ -2,11 +2,13 @@
 // Licensed under the MIT License.
 
 import { DialogInfo } from '@bfc/shared';
-import { selectorFamily } from 'recoil';
+import { DialogCallGraph, DialogCallGraphBuilder } from '@bfc/indexers';
+import { selector, selectorFamily } from 'recoil';
 
-import { dialogIdsState, dialogState } from '../atoms';
+import { botDisplayNameState, botProjectIdsState, dialogIdsState, dialogState } from '../atoms';
 
 import { dialogsWithLuProviderSelectorFamily } from './validatedDialogs';
+import { skillsStateSelector } from './skills';
 
 export const dialogsSelectorFamily = selectorFamily<DialogInfo[], string>({
   key: 'dialogs',
@@ -73,3 +75,24 @@ export const rootDialogSelector = selectorFamily<DialogInfo | undefined, string>
     return dialogs.find((d) => d.isRoot);
   },
 });
+
+/**
+ * The calls between the dialogs of all the bots of the project space and the skills they call.
+ */
+export const dialogCallGraphSelector = selector<DialogCallGraph>({
+  key: 'dialogCallGraph',
+  get: ({ get }) => {
+    const bots = get(botProjectIdsState).map((projectId) => ({
+      projectId,
+      botName: get(botDisplayNameState(projectId)),
+      dialogs: get(dialogsSelectorFamily(projectId)),
+    }));
+    // remote skills have no dialogs to link to
+    const skillsByName = get(skillsStateSelector);
+    const skills = Object.keys(skillsByName).map((name) => ({
+      name,
+      projectId: skillsByName[name].remote ? undefined : skillsByName[name].id,
+    }));
+    return DialogCallGraphBuilder.build({ bots, skills });
+  },
+});
@@ -4,6 +4,7 @@
 import { BotIndexer } from '@bfc/indexers';
 import {
   BotAssets,
+  Collaborator,
   checkForPVASchema,
   DialogInfo,
   FormDialogSchema,
@@ -13,10 +14,11 @@ import {
 } from '@bfc/shared';
 import isEmpty from 'lodash/isEmpty';
 import uniqBy from 'lodash/uniqBy';
-import { selector, selectorFamily } from 'recoil';
+import { DefaultValue, selector, selectorFamily } from 'recoil';
 
 import { LanguageFileImport } from '../../../../types/src';
 import { BotStatus } from '../../constants';
+import { DialogCoverage, getCoverage } from '../../utils/coverageUtil';
 import {
   botDisplayNameState,
   botErrorState,
@@ -39,6 +41,8 @@ import {
   localeState,
   botStatusState,
   botProjectSpaceLoadedState,
+  collaboratorsState,
+  executedDesignerIdsState,
 } from '../atoms';
 import {
   dialogsSelectorFamily,
@@ -136,6 +140,15 @@ export const formDialogSchemasSelectorFamily = selectorFamily<FormDialogSchema[]
     const formDialogSchemaIds = get(formDialogSchemaIdsState(projectId));
     return formDialogSchemaIds.map((schemaId) => get(formDialogSchemaState({ projectId, schemaId })));
   },
+  set: (projectId: string) => ({ set }, newSchemas: FormDialogSchema[] | DefaultValue) => {
+    if (newSchemas instanceof DefaultValue) return;
+
+    set(
+      formDialogSchemaIdsState(projectId),
+      newSchemas.map((schema) => schema.id)
+    );
+    newSchemas.forEach((schema) => set(formDialogSchemaState({ projectId, schemaId: schema.id }), schema));
+  },
 });
 
 // Given a form dialog schema, indicates if the dialog exist for it (aka is generated)
@@ -188,7 +201,8 @@ export const botProjectSpaceSelector = selector({
         crossTrainConfig: {},
       };
 
-      const diagnostics = BotIndexer.validate({ ...botAssets, isRemote, isRootBot });
+      // the reachability check runs in the LU worker, see reachabilityDiagnosticsSelectorFamily
+      const diagnostics = BotIndexer.validate({ ...botAssets, isRemote, isRootBot, skipReachability: true });
       const publishTypes = get(publishTypesState(projectId));
 
       return {
@@ -237,6 +251,32 @@ export const jsonSchemaFilesByProjectIdSelector = selector({
   },
 });
 
+export const collaboratorsByProjectIdSelector = selector({
+  key: 'collaboratorsByProjectIdSelector',
+  get: ({ get }) => {
+    const projectIds = get(botProjectIdsState);
+    const result: Record<string, Collaborator[]> = {};
+    projectIds.forEach((projectId) => {
+      result[projectId] = get(collaboratorsState(projectId));
+    });
+    return result;
+  },
+});
+
+/** coverage of the dialogs by the Web Chat conversations with each bot */
+export const coverageByProjectIdSelector = selector({
+  key: 'coverageByProjectIdSelector',
+  get: ({ get }) => {
+    const projectIds = get(botProjectIdsState);
+    const result: Record<string, Record<string, DialogCoverage>> = {};
+    projectIds.forEach((projectId) => {
+      const dialogs = [...get(dialogsSelectorFamily(projectId)), ...get(topicsSelectorFamily(projectId))];
+      result[projectId] = getCoverage(dialogs, get(executedDesignerIdsState(projectId)));
+    });
+    return result;
+  },
+});
+
 export const perProjectDiagnosticsSelectorFamily = selectorFamily({
   key: 'perProjectDiagnosticsSelectorFamily',
   get: (projectId: string) => ({ get }) => {
@@ -268,7 +308,8 @@ export const perProjectDiagnosticsSelectorFamily = selectorFamily({
       recognizers: [],
       crossTrainConfig: {},
     };
-    return BotIndexer.validate({ ...botAssets, isRemote, isRootBot }, rootSetting);
+    // the reachability check runs in the LU worker, see reachabilityDiagnosticsSelectorFamily
+    return BotIndexer.validate({ ...botAssets, isRemote, isRootBot, skipReachability: true }, rootSetting);
   },
 });
 
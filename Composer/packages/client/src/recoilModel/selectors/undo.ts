@@ -3,6 +3,7 @@
 import { selectorFamily } from 'recoil';
 
 import { canRedoState, canUndoState } from '../atoms/botState';
+import { getAtomFiles, trackedAtoms, UndoAssetType, undoAssetTypes } from '../undo/trackedAtoms';
 
 export const undoStatusSelectorFamily = selectorFamily<[boolean, boolean], string>({
   key: 'undoStatus',
@@ -12,3 +13,17 @@ export const undoStatusSelectorFamily = selectorFamily<[boolean, boolean], strin
     return [canUndo, canRedo];
   },
 });
+
+// current content of every asset that has an undo history, by asset type and file name
+export const undoAssetFilesSelectorFamily = selectorFamily<Record<UndoAssetType, Record<string, string>>, string>({
+  key: 'undoAssetFiles',
+  get: (projectId: string) => ({ get }) => {
+    return undoAssetTypes.reduce((result, assetType) => {
+      result[assetType] = trackedAtoms(projectId, assetType).reduce(
+        (files, atom, index) => ({ ...files, ...getAtomFiles(assetType, index, get(atom)) }),
+        {}
+      );
+      return result;
+    }, {} as Record<UndoAssetType, Record<string, string>>);
+  },
+});
@@ -16,10 +16,12 @@ import {
   canUndoState,
   canRedoState,
   dispatcherState,
+  settingsState,
 } from '../../atoms';
 import { dialogsSelectorFamily, lgFilesSelectorFamily, luFilesSelectorFamily } from '../../selectors';
 import { renderRecoilHook } from '../../../../__tests__/testUtils/react-recoil-hooks-testing-library';
 import UndoHistory from '../undoHistory';
+import { getUndoScopeId } from '../trackedAtoms';
 import { undoStatusSelectorFamily } from '../../selectors/undo';
 
 import { mockDialog } from './mockDialog';
@@ -176,3 +178,94 @@ describe('<UndoRoot/>', () => {
     expect(renderedComponent.current.history.stack.length).toBe(1);
   });
 });
+
+describe('<UndoRoot/> of the settings', () => {
+  const scopeId = getUndoScopeId(projectId, 'settings');
+  const setSettings = jest.fn();
+
+  const useRecoilTestHook = () => {
+    const { undo, redo, commitChanges } = useRecoilValue(undoFunctionState(scopeId));
+    const [settings, setSettingsState] = useRecoilState(settingsState(projectId));
+    const canRedo = useRecoilValue(canRedoState(scopeId));
+    return { undo, redo, commitChanges, settings, setSettingsState, canRedo };
+  };
+
+  beforeEach(() => {
+    setSettings.mockReset();
+  });
+
+  it('restores the settings through the dispatcher that keeps the sensitive ones out of the file', async () => {
+    const { result } = renderRecoilHook(useRecoilTestHook, {
+      wrapper: ({ children }) => {
+        return (
+          <div>
+            <UndoRoot assetType="settings" projectId={projectId} />
+            {children}
+          </div>
+        );
+      },
+      states: [
+        { recoilState: settingsState(projectId), initialValue: { luis: { authoringKey: 'old' } } },
+        { recoilState: undoHistoryState(scopeId), initialValue: new UndoHistory(projectId, 'settings') },
+        { recoilState: dispatcherState, initialValue: { setSettings } },
+      ],
+    });
+
+    act(() => {
+      result.current.setSettingsState({ luis: { authoringKey: 'new' } } as any);
+    });
+    act(() => {
+      result.current.commitChanges();
+    });
+    await act(async () => {
+      await result.current.undo();
+    });
+
+    expect(setSettings).toHaveBeenCalledWith(projectId, { luis: { authoringKey: 'old' } });
+    // only the dispatcher sets the atom
+    expect(result.current.settings).toEqual({ luis: { authoringKey: 'new' } });
+  });
+
+  it('redoes an undone settings change after the undone settings are committed', async () => {
+    const { result } = renderRecoilHook(useRecoilTestHook, {
+      wrapper: ({ children }) => {
+        return (
+          <div>
+            <UndoRoot assetType="settings" projectId={projectId} />
+            {children}
+          </div>
+        );
+      },
+      states: [
+        { recoilState: settingsState(projectId), initialValue: { luis: { authoringKey: 'old' } } },
+        { recoilState: undoHistoryState(scopeId), initialValue: new UndoHistory(projectId, 'settings') },
+        { recoilState: dispatcherState, initialValue: { setSettings } },
+      ],
+    });
+    // like the dispatcher, the settings come back as a new object with the same content
+    setSettings.mockImplementation((id, settings) => result.current.setSettingsState(settings));
+
+    act(() => {
+      result.current.setSettingsState({ luis: { authoringKey: 'new' } } as any);
+    });
+    act(() => {
+      result.current.commitChanges();
+    });
+    await act(async () => {
+      await result.current.undo();
+    });
+    act(() => {
+      result.current.commitChanges();
+    });
+
+    expect(result.current.settings).toEqual({ luis: { authoringKey: 'old' } });
+    expect(result.current.canRedo).toBeTruthy();
+
+    await act(async () => {
+      await result.current.redo();
+    });
+
+    expect(setSettings).toHaveBeenLastCalledWith(projectId, { luis: { authoringKey: 'new' } });
+    expect(result.current.settings).toEqual({ luis: { authoringKey: 'new' } });
+  });
+});
@@ -0,0 +1,79 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  getEntriesToEvict,
+  getEntrySize,
+  getRestorableChanges,
+  LocalHistoryEntry,
+  parseHistoryFileName,
+} from '../localHistory';
+
+const entry = (id: number, timestamp: number, size: number): LocalHistoryEntry => ({
+  id,
+  location: '/bots/test',
+  assetType: 'dialog',
+  timestamp,
+  before: {},
+  after: {},
+  size,
+});
+
+describe('local history', () => {
+  it('should count the content of both sides of an entry', () => {
+    expect(getEntrySize({ before: { 'main.dialog': 'abc' }, after: { 'main.dialog': 'abcd', 'a.lg': 'x' } })).toBe(8);
+  });
+
+  it('should evict the oldest entries first', () => {
+    const entries = [entry(1, 100, 40), entry(2, 300, 40), entry(3, 200, 40)];
+    expect(getEntriesToEvict(entries, 100)).toEqual([1]);
+    expect(getEntriesToEvict(entries, 50)).toEqual([3, 1]);
+    expect(getEntriesToEvict(entries, 200)).toEqual([]);
+  });
+
+  it('should always keep the newest entry', () => {
+    expect(getEntriesToEvict([entry(1, 100, 500)], 100)).toEqual([]);
+  });
+
+  it('should split history file names', () => {
+    expect(parseHistoryFileName('dialog', 'main.en-us.lu')).toEqual({ id: 'main.en-us', extension: '.lu' });
+    expect(parseHistoryFileName('dialog', 'main.dialog')).toEqual({ id: 'main', extension: '.dialog' });
+    expect(parseHistoryFileName('settings', 'appsettings.json')).toEqual({ id: '', extension: '' });
+  });
+});
+
+describe('restorable changes', () => {
+  const change = (
+    timestamp: number,
+    before: Record<string, string>,
+    after: Record<string, string>,
+    assetType: LocalHistoryEntry['assetType'] = 'dialog'
+  ): LocalHistoryEntry => ({ location: '/bots/test', assetType, timestamp, before, after, size: 0 });
+
+  const files = { 'main.dialog': '3', 'main.lg': 'b' };
+
+  it('should chain the changes that lead up to the current files, oldest first', () => {
+    const entries = [
+      change(1, { 'main.dialog': '1' }, { 'main.dialog': '2' }),
+      change(3, { 'main.dialog': '2', 'main.lg': 'a' }, { 'main.dialog': '3', 'main.lg': 'b' }),
+      change(2, { 'a.qna': 'x' }, { 'a.qna': 'y' }, 'qna'),
+    ];
+    expect(getRestorableChanges(entries, 'dialog', files, 30).map(({ timestamp }) => timestamp)).toEqual([1, 3]);
+    expect(getRestorableChanges(entries, 'dialog', files, 1).map(({ timestamp }) => timestamp)).toEqual([3]);
+  });
+
+  it('should stop at a change that does not lead to the files that followed', () => {
+    const entries = [
+      change(1, { 'main.dialog': '0' }, { 'main.dialog': '1' }),
+      // main.dialog was changed outside of Composer between these entries
+      change(2, { 'main.dialog': '2' }, { 'main.dialog': '3' }),
+    ];
+    expect(getRestorableChanges(entries, 'dialog', files, 30).map(({ timestamp }) => timestamp)).toEqual([2]);
+    expect(getRestorableChanges(entries, 'dialog', { 'main.dialog': 'edited' }, 30)).toEqual([]);
+  });
+
+  it('should stop at a change that added or removed files', () => {
+    const entries = [change(1, {}, { 'main.lg': 'b' }), change(2, { 'main.dialog': '2' }, { 'main.dialog': '3' })];
+    expect(getRestorableChanges(entries, 'dialog', files, 30).map(({ timestamp }) => timestamp)).toEqual([2]);
+  });
+});
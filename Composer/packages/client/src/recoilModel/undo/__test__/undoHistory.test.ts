@@ -3,7 +3,7 @@
 
 import undoHistoryImpl from '../undoHistory';
 
-import { dialogsSelectorFamily } from './../../selectors';
+import { dialogsSelectorFamily, qnaFilesSelectorFamily } from './../../selectors';
 
 const projectId = '12a-sdaas';
 const undoHistory = new undoHistoryImpl(projectId);
@@ -20,7 +20,7 @@ describe('undoHistory class', () => {
   it('should do undo', () => {
     expect(undoHistory.canUndo()).toBeTruthy();
     const result = undoHistory.undo();
-    expect(result.get(dialogsSelectorFamily(projectId))).toBe('stack 1');
+    expect(result?.get(dialogsSelectorFamily(projectId))).toBe('stack 1');
     expect(undoHistory.stack.length).toBe(2);
   });
 
@@ -35,7 +35,7 @@ describe('undoHistory class', () => {
     undoHistory.undo();
     expect(undoHistory.canRedo()).toBeTruthy();
     const result = undoHistory.redo();
-    expect(result.get(dialogsSelectorFamily(projectId))).toBe('stack 3');
+    expect(result?.get(dialogsSelectorFamily(projectId))).toBe('stack 3');
     expect(undoHistory.stack.length).toBe(2);
   });
 
@@ -45,6 +45,14 @@ describe('undoHistory class', () => {
     expect(undoHistory.stack.length).toBe(2);
   });
 
+  it('should keep the redo when the present value is replaced after undo', () => {
+    undoHistory.undo();
+    undoHistory.replace(new Map().set(dialogsSelectorFamily(projectId), 'stack 5'));
+    expect(undoHistory.canRedo()).toBeTruthy();
+    expect(undoHistory.redo()?.get(dialogsSelectorFamily(projectId))).toBe('stack 4');
+    expect(undoHistory.stack.length).toBe(2);
+  });
+
   it('should clear history', () => {
     undoHistory.clear();
     expect(undoHistory.stack.length).toBe(0);
@@ -56,6 +64,78 @@ describe('undoHistory class', () => {
     }
     expect(undoHistory.stack.length).toBe(30);
     expect(undoHistory.getPresentAssets()?.get(dialogsSelectorFamily(projectId))).toBe('39');
-    expect(undoHistory.stack[0].get(dialogsSelectorFamily(projectId))).toBe('10');
+    expect(undoHistory.stack[0]?.get(dialogsSelectorFamily(projectId))).toBe('10');
+  });
+});
+
+describe('undoHistory records', () => {
+  const history = new undoHistoryImpl(projectId, 'qna');
+
+  it('should keep one record per stack entry', () => {
+    history.add(new Map().set(qnaFilesSelectorFamily(projectId), 'initial'));
+    history.add(new Map().set(qnaFilesSelectorFamily(projectId), 'edit 1'), ['a.en-us']);
+    history.add(new Map().set(qnaFilesSelectorFamily(projectId), 'edit 2'), ['b.en-us']);
+    expect(history.assetType).toBe('qna');
+    expect(history.records.map(({ assets }) => assets)).toEqual([[], ['a.en-us'], ['b.en-us']]);
+  });
+
+  it('should drop the undone records when a new change is added', () => {
+    history.undo();
+    history.add(new Map().set(qnaFilesSelectorFamily(projectId), 'edit 3'), ['c.en-us']);
+    expect(history.records.map(({ assets }) => assets)).toEqual([[], ['a.en-us'], ['c.en-us']]);
+    expect(history.records.length).toBe(history.stack.length);
+  });
+
+  it('should shift the records with the stack', () => {
+    for (let i = 0; i < 40; i++) {
+      history.add(new Map().set(qnaFilesSelectorFamily(projectId), `${i}`), [`${i}`]);
+    }
+    expect(history.records.length).toBe(30);
+    expect(history.records[0].assets).toEqual(['10']);
+  });
+
+  it('should clear the records', () => {
+    history.clear();
+    expect(history.records.length).toBe(0);
+  });
+});
+
+describe('undoHistory restored entries', () => {
+  const history = new undoHistoryImpl(projectId, 'qna');
+  const loaded = new Map().set(qnaFilesSelectorFamily(projectId), 'loaded');
+  const change = (name: string, timestamp: number) => ({
+    assets: [name],
+    timestamp,
+    before: { [name]: 'before' },
+    after: { [name]: 'after' },
+  });
+
+  it('should put the changes of earlier sessions below the loaded state', () => {
+    history.add(loaded);
+    history.prepend([change('a.qna', 1), change('b.qna', 2)]);
+    expect(history.stack).toEqual([undefined, undefined, loaded]);
+    expect(history.present).toBe(2);
+    expect(history.records.map(({ assets, restored }) => ({ assets, restored }))).toEqual([
+      { assets: [], restored: true },
+      { assets: ['a.qna'], restored: true },
+      { assets: ['b.qna'], restored: true },
+    ]);
+    expect(history.records[2].files).toEqual({ before: { 'b.qna': 'before' }, after: { 'b.qna': 'after' } });
+  });
+
+  it('should keep the assets of a restored entry once undo gets to it', () => {
+    expect(history.undo()).toBeUndefined();
+    const restored = new Map().set(qnaFilesSelectorFamily(projectId), 'restored');
+    history.setAssets(history.present, restored);
+    expect(history.getPresentAssets()).toBe(restored);
+    expect(history.redo()).toBe(loaded);
+  });
+
+  it('should keep the newest changes that fit in the stack', () => {
+    history.clear();
+    history.add(loaded);
+    history.prepend(Array.from({ length: 40 }, (_, index) => change(`${index}.qna`, index)));
+    expect(history.stack.length).toBe(30);
+    expect(history.records[1].assets).toEqual(['11.qna']);
   });
 });
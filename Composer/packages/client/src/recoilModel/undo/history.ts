@@ -10,11 +10,23 @@ import {
 import { atomFamily, Snapshot, useRecoilCallback, CallbackInterface, useSetRecoilState } from 'recoil';
 import uniqueId from 'lodash/uniqueId';
 import isEmpty from 'lodash/isEmpty';
+import cloneDeep from 'lodash/cloneDeep';
 
 import { rootBotProjectIdSelector } from './../selectors/project';
-import { canRedoState, canUndoState, designPageLocationState, dispatcherState } from './../atoms';
-import { trackedAtoms, AtomAssetsMap } from './trackedAtoms';
-import UndoHistory from './undoHistory';
+import {
+  canRedoState,
+  canUndoState,
+  designPageLocationState,
+  dispatcherState,
+  locationState,
+  settingsState,
+} from './../atoms';
+import { trackedAtoms, AtomAssetsMap, UndoAssetType, getUndoScopeId, getAtomFiles } from './trackedAtoms';
+import { getRestorableChanges, localHistory, restoreHistoryFile } from './localHistory';
+import UndoHistory, { MAX_STACK_LENGTH, UndoRecord } from './undoHistory';
+
+// edits on the form based pages arrive one keystroke at a time, group them into one history entry
+const AUTO_COMMIT_DELAY = 500;
 
 type IUndoRedo = {
   undo: () => void;
@@ -41,19 +53,55 @@ export const undoVersionState = atomFamily({
   dangerouslyAllowMutability: true,
 });
 
-const getAtomAssetsMap = (snap: Snapshot, projectId: string): AtomAssetsMap => {
+export const undoRecordsState = atomFamily<{ records: UndoRecord[]; present: number }, string>({
+  key: 'undoRecords',
+  default: { records: [], present: -1 },
+});
+
+const getAtomAssetsMap = (snap: Snapshot, projectId: string, assetType: UndoAssetType = 'dialog'): AtomAssetsMap => {
   const atomMap = new Map<RecoilState<any>, any>();
-  const atomsToBeTracked = trackedAtoms(projectId);
+  const atomsToBeTracked = trackedAtoms(projectId, assetType);
   atomsToBeTracked.forEach((atom) => {
     const loadable = snap.getLoadable(atom);
     atomMap.set(atom, loadable.state === 'hasValue' ? loadable.contents : null);
   });
 
   //should record the location state
-  atomMap.set(designPageLocationState(projectId), snap.getLoadable(designPageLocationState(projectId)).contents);
+  if (assetType === 'dialog') {
+    atomMap.set(designPageLocationState(projectId), snap.getLoadable(designPageLocationState(projectId)).contents);
+  }
   return atomMap;
 };
 
+// file contents before and after the change of every changed asset
+const getChangedFiles = (
+  current: AtomAssetsMap,
+  previous: AtomAssetsMap,
+  atoms: RecoilState<any>[],
+  assetType: UndoAssetType
+) => {
+  const before: Record<string, string> = {};
+  const after: Record<string, string> = {};
+  atoms.forEach((atom, index) => {
+    if (current.get(atom) === previous.get(atom)) return;
+    const currentFiles = getAtomFiles(assetType, index, current.get(atom));
+    const previousFiles = getAtomFiles(assetType, index, previous.get(atom));
+    new Set([...Object.keys(currentFiles), ...Object.keys(previousFiles)]).forEach((name) => {
+      if (currentFiles[name] === previousFiles[name]) return;
+      if (name in previousFiles) before[name] = previousFiles[name];
+      if (name in currentFiles) after[name] = currentFiles[name];
+    });
+  });
+  return { before, after, names: Array.from(new Set([...Object.keys(before), ...Object.keys(after)])) };
+};
+
+// file contents of the tracked assets
+const getAssetFiles = (assets: AtomAssetsMap, atoms: RecoilState<any>[], assetType: UndoAssetType) =>
+  atoms.reduce(
+    (files, atom, index) => Object.assign(files, getAtomFiles(assetType, index, assets.get(atom))),
+    {} as Record<string, string>
+  );
+
 const checkAtomChanged = (current: AtomAssetsMap, previous: AtomAssetsMap, atom: RecoilState<any>) => {
   const currVal = current.get(atom);
   const prevVal = previous.get(atom);
@@ -72,9 +120,10 @@ function mapTrackedAtomsOntoSnapshot(
   target: Snapshot,
   currentAssets: AtomAssetsMap,
   nextAssets: AtomAssetsMap,
-  projectId: string
+  projectId: string,
+  assetType: UndoAssetType = 'dialog'
 ): Snapshot {
-  trackedAtoms(projectId).forEach((atom) => {
+  trackedAtoms(projectId, assetType).forEach((atom) => {
     const current = currentAssets.get(atom);
     const next = nextAssets.get(atom);
     if (current !== next) {
@@ -82,6 +131,8 @@ function mapTrackedAtomsOntoSnapshot(
     }
   });
 
+  if (assetType !== 'dialog') return target;
+
   //add design page location to snapshot
   const currentLocation = currentAssets.get(designPageLocationState(projectId));
   const nextLocation = nextAssets.get(designPageLocationState(projectId));
@@ -100,28 +151,54 @@ function setInitialLocation(snapshot: Snapshot, projectId: string, undoHistory:
 }
 interface UndoRootProps {
   projectId: string;
+  assetType?: UndoAssetType;
 }
 
 export const UndoRoot = React.memo((props: UndoRootProps) => {
-  const { projectId } = props;
-  const undoHistory = useRecoilValue(undoHistoryState(projectId));
+  const { projectId, assetType = 'dialog' } = props;
+  const scopeId = getUndoScopeId(projectId, assetType);
+  const isDialog = assetType === 'dialog';
+  const undoHistory = useRecoilValue(undoHistoryState(scopeId));
   const rootBotProjectId = useRecoilValue(rootBotProjectIdSelector);
   const history: UndoHistory = useRef(undoHistory).current;
   const [initialStateLoaded, setInitialStateLoaded] = useState(false);
-  const setCanUndo = useSetRecoilState(canUndoState(projectId));
-  const setCanRedo = useSetRecoilState(canRedoState(projectId));
-  const setUndoFunction = useSetRecoilState(undoFunctionState(projectId));
+  const setCanUndo = useSetRecoilState(canUndoState(scopeId));
+  const setCanRedo = useSetRecoilState(canRedoState(scopeId));
+  const setUndoFunction = useSetRecoilState(undoFunctionState(scopeId));
+  const setRecords = useSetRecoilState(undoRecordsState(scopeId));
   const [, forceUpdate] = useState([]);
-  const setVersion = useSetRecoilState(undoVersionState(projectId));
+  const setVersion = useSetRecoilState(undoVersionState(scopeId));
+  const autoCommitTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
   const rootBotId = useRef('');
-  const { selectAndFocus } = useRecoilValue(dispatcherState);
+  const dispatcher = useRecoilValue(dispatcherState);
+  // files of a restored entry are being written back, those changes are not new undo steps
+  const restoring = useRef(false);
+  // the entry that gets the assets of the transaction that sets the version to token
+  const pendingCapture = useRef<{ index: number; token: string } | null>(null);
   rootBotId.current = rootBotProjectId || '';
   //use to record the first time change, this will help to get the init location
   //init location is used to undo navigate
   const assetsChanged = useRef(false);
 
   useRecoilTransactionObserver(({ snapshot, previousSnapshot }) => {
-    if (initialStateLoaded && !assetsChanged.current) {
+    const capture = pendingCapture.current;
+    if (capture && snapshot.getLoadable(undoVersionState(scopeId)).contents === capture.token) {
+      // the version is set after the restored files, this transaction holds all of them
+      history.setAssets(capture.index, getAtomAssetsMap(snapshot, projectId, assetType));
+      pendingCapture.current = null;
+      restoring.current = false;
+      return;
+    }
+    if (!initialStateLoaded || restoring.current) return;
+
+    if (!isDialog) {
+      // the design page commits explicitly, the other pages save on every change
+      const currentAssets = getAtomAssetsMap(snapshot, projectId, assetType);
+      const previousAssets = getAtomAssetsMap(previousSnapshot, projectId, assetType);
+      if (checkAtomsChanged(currentAssets, previousAssets, trackedAtoms(projectId, assetType))) {
+        scheduleCommit();
+      }
+    } else if (!assetsChanged.current) {
       const currentAssets = getAtomAssetsMap(snapshot, projectId);
       const previousAssets = getAtomAssetsMap(previousSnapshot, projectId);
       if (checkAtomsChanged(currentAssets, previousAssets, trackedAtoms(projectId))) {
@@ -131,17 +208,45 @@ export const UndoRoot = React.memo((props: UndoRootProps) => {
     }
   });
 
+  // the undo stack holds parsed assets, the steps of earlier sessions are rebuilt from the local history below the
+  // loaded state and get their assets when undo restores their files
+  const restoreEarlierSessions = (initialAssets: AtomAssetsMap, location: string) => {
+    const loadedAt = Date.now();
+    localHistory
+      .getEntries(location)
+      .then((entries) => {
+        // the stack was cleared or went past its size in the meantime
+        if (history.stack[0] !== initialAssets) return;
+
+        const files = getAssetFiles(initialAssets, trackedAtoms(projectId, assetType), assetType);
+        const earlierEntries = entries.filter(({ timestamp }) => timestamp < loadedAt);
+        history.prepend(
+          getRestorableChanges(earlierEntries, assetType, files, MAX_STACK_LENGTH - history.stack.length)
+        );
+        updateUndoResult();
+      })
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(error);
+      });
+  };
+
   const setInitialProjectState = useRecoilCallback(({ snapshot }: CallbackInterface) => () => {
     if (!isEmpty(undoHistory)) {
       undoHistory.clear();
-      const assetMap = getAtomAssetsMap(snapshot, projectId);
+      const assetMap = getAtomAssetsMap(snapshot, projectId, assetType);
       undoHistory.add(assetMap);
+      updateUndoResult();
       setInitialStateLoaded(true);
+      restoreEarlierSessions(assetMap, snapshot.getLoadable(locationState(projectId)).contents);
     }
   });
 
   useEffect(() => {
     setInitialProjectState();
+    return () => {
+      if (autoCommitTimer.current) clearTimeout(autoCommitTimer.current);
+    };
   }, []);
 
   const navigate = (next: AtomAssetsMap, skillId: string, projectId: string) => {
@@ -149,7 +254,7 @@ export const UndoRoot = React.memo((props: UndoRootProps) => {
     if (!location || !projectId) return;
 
     const { dialogId, selected, focused, promptTab } = location;
-    selectAndFocus(projectId, skillId, dialogId, selected, focused, promptTab);
+    dispatcher.selectAndFocus(projectId, skillId, dialogId, selected, focused, promptTab);
   };
 
   const undoAssets = (
@@ -159,47 +264,122 @@ export const UndoRoot = React.memo((props: UndoRootProps) => {
     gotoSnapshot: (snapshot: Snapshot) => void,
     projectId: string
   ) => {
-    target = mapTrackedAtomsOntoSnapshot(target, current, next, projectId);
+    target = mapTrackedAtomsOntoSnapshot(target, current, next, projectId, assetType);
     gotoSnapshot(target);
-    navigate(next, projectId, rootBotId.current);
+    if (isDialog) navigate(next, projectId, rootBotId.current);
+  };
+
+  // the dispatcher keeps the sensitive settings in the local storage, setting the atom would leave them in the file
+  const undoSettings = async (next: AtomAssetsMap) => {
+    const settings = next.get(settingsState(projectId));
+    if (settings) await dispatcher.setSettings(projectId, cloneDeep(settings));
   };
 
   const updateUndoResult = () => {
     setCanRedo(history.canRedo());
     setCanUndo(history.canUndo());
+    setRecords({ records: [...history.records], present: history.present });
   };
 
-  const undo = useRecoilCallback(({ snapshot, gotoSnapshot }: CallbackInterface) => () => {
-    if (history.canUndo()) {
+  // a restored entry has no assets yet, its files are written back and the assets they parse into are kept
+  const restoreFiles = async (files: Record<string, string>, index: number) => {
+    restoring.current = true;
+    try {
+      for (const [name, content] of Object.entries(files)) {
+        await restoreHistoryFile(dispatcher, projectId, assetType, name, content);
+      }
+      const token = uniqueId();
+      pendingCapture.current = { index, token };
+      setVersion(token);
+    } catch (error) {
+      restoring.current = false;
+      // eslint-disable-next-line no-console
+      console.error(error);
+    }
+  };
+
+  const goTo = async (
+    present: AtomAssetsMap | null | undefined,
+    next: AtomAssetsMap | undefined,
+    files: Record<string, string> | undefined,
+    snapshot: Snapshot,
+    gotoSnapshot: (snapshot: Snapshot) => void
+  ) => {
+    if (present && next) {
+      if (assetType === 'settings') {
+        await undoSettings(next);
+      } else {
+        undoAssets(snapshot, present, next, gotoSnapshot, projectId);
+      }
+      setVersion(uniqueId());
+    } else if (files) {
+      await restoreFiles(files, history.present);
+    }
+    updateUndoResult();
+  };
+
+  const undo = useRecoilCallback(({ snapshot, gotoSnapshot }: CallbackInterface) => async () => {
+    flushCommit();
+    if (history.canUndo() && !restoring.current) {
       const present = history.getPresentAssets();
+      const files = history.records[history.present].files?.before;
       const next = history.undo();
-      if (present) undoAssets(snapshot, present, next, gotoSnapshot, projectId);
-      setVersion(uniqueId());
-      updateUndoResult();
+      await goTo(present, next, files, snapshot, gotoSnapshot);
     }
   });
 
-  const redo = useRecoilCallback(({ snapshot, gotoSnapshot }: CallbackInterface) => () => {
-    if (history.canRedo()) {
+  const redo = useRecoilCallback(({ snapshot, gotoSnapshot }: CallbackInterface) => async () => {
+    flushCommit();
+    if (history.canRedo() && !restoring.current) {
       const present = history.getPresentAssets();
       const next = history.redo();
-      if (present) undoAssets(snapshot, present, next, gotoSnapshot, projectId);
-      setVersion(uniqueId());
-      updateUndoResult();
+      const files = history.records[history.present].files?.after;
+      await goTo(present, next, files, snapshot, gotoSnapshot);
     }
   });
 
   const commit = useRecoilCallback(({ snapshot }) => () => {
-    const currentAssets = getAtomAssetsMap(snapshot, projectId);
+    const atoms = trackedAtoms(projectId, assetType);
+    const currentAssets = getAtomAssetsMap(snapshot, projectId, assetType);
     const previousAssets = history.getPresentAssets();
     //filter some invalid changes
 
-    if (previousAssets && checkAtomsChanged(currentAssets, previousAssets, trackedAtoms(projectId))) {
-      history.add(getAtomAssetsMap(snapshot, projectId));
+    if (previousAssets && checkAtomsChanged(currentAssets, previousAssets, atoms)) {
+      const { before, after, names } = getChangedFiles(currentAssets, previousAssets, atoms, assetType);
+      if (!isDialog && names.length === 0) {
+        // same content in new objects, e.g. a reload from the server
+        history.replace(currentAssets);
+        return;
+      }
+      history.add(currentAssets, names);
       updateUndoResult();
+
+      if (names.length) {
+        const location = snapshot.getLoadable(locationState(projectId)).contents;
+        localHistory.add({ location, assetType, timestamp: Date.now(), before, after }).catch((error) => {
+          // eslint-disable-next-line no-console
+          console.error(error);
+        });
+      }
     }
   });
 
+  const scheduleCommit = () => {
+    if (autoCommitTimer.current) clearTimeout(autoCommitTimer.current);
+    autoCommitTimer.current = setTimeout(() => {
+      autoCommitTimer.current = null;
+      commit();
+    }, AUTO_COMMIT_DELAY);
+  };
+
+  const flushCommit = () => {
+    if (autoCommitTimer.current) {
+      clearTimeout(autoCommitTimer.current);
+      autoCommitTimer.current = null;
+      commit();
+    }
+  };
+
   const commitChanges = useCallback(() => {
     //gurarantee the snapshot get the latset state
     forceUpdate([]);
@@ -208,8 +388,9 @@ export const UndoRoot = React.memo((props: UndoRootProps) => {
 
   const clearUndo = useRecoilCallback(({ snapshot }) => () => {
     history.clear();
-    history.add(getAtomAssetsMap(snapshot, projectId));
+    history.add(getAtomAssetsMap(snapshot, projectId, assetType));
     assetsChanged.current = false;
+    updateUndoResult();
   });
 
   useEffect(() => {
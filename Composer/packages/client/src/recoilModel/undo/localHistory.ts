@@ -0,0 +1,181 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Dispatcher } from '../dispatchers';
+
+import { SETTINGS_FILE_NAME, UndoAssetType } from './trackedAtoms';
+import { RestoredChange } from './undoHistory';
+
+const DB_NAME = 'composer-local-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+const LOCATION_INDEX = 'location';
+
+// history of a single bot is trimmed to this many characters of file content, oldest entries go first
+export const MAX_HISTORY_SIZE = 5 * 1024 * 1024;
+
+export type LocalHistoryEntry = {
+  id?: number;
+  /** location of the bot on disk, project ids are not stable across sessions */
+  location: string;
+  assetType: UndoAssetType;
+  timestamp: number;
+  /** content of the changed files before the change, added files are missing */
+  before: Record<string, string>;
+  /** content of the changed files after the change, removed files are missing */
+  after: Record<string, string>;
+  size: number;
+};
+
+export const getEntrySize = ({ before, after }: Pick<LocalHistoryEntry, 'before' | 'after'>) =>
+  [...Object.values(before), ...Object.values(after)].reduce((size, content) => size + content.length, 0);
+
+/**
+ * Ids of the oldest entries to remove so the history fits in maxSize. The newest entry is always kept.
+ */
+export const getEntriesToEvict = (entries: LocalHistoryEntry[], maxSize = MAX_HISTORY_SIZE): number[] => {
+  const sorted = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+  const evicted: number[] = [];
+  let total = 0;
+  sorted.forEach((entry, index) => {
+    total += entry.size;
+    if (index > 0 && total > maxSize && entry.id !== undefined) {
+      evicted.push(entry.id);
+    }
+  });
+  return evicted;
+};
+
+/**
+ * Splits a file name of a history entry into the asset id and the extension that tells which atom holds it.
+ */
+export const parseHistoryFileName = (assetType: UndoAssetType, fileName: string) => {
+  if (assetType === 'settings' || fileName === SETTINGS_FILE_NAME) {
+    return { id: '', extension: '' };
+  }
+  const index = fileName.lastIndexOf('.');
+  return { id: fileName.substring(0, index), extension: fileName.substring(index) };
+};
+
+/**
+ * Writes the content of a history file back into its asset, the file must still be part of the bot.
+ */
+export const restoreHistoryFile = (
+  dispatcher: Dispatcher,
+  projectId: string,
+  assetType: UndoAssetType,
+  name: string,
+  content: string
+) => {
+  const { id, extension } = parseHistoryFileName(assetType, name);
+  switch (assetType) {
+    case 'dialog':
+      if (extension === '.dialog') return dispatcher.updateDialog({ id, content: JSON.parse(content), projectId });
+      if (extension === '.lu') return dispatcher.updateLuFile({ id, content, projectId });
+      return dispatcher.updateLgFile({ id, content, projectId });
+    case 'qna':
+      return dispatcher.updateQnAFile({ id, content, projectId });
+    case 'settings':
+      return dispatcher.setSettings(projectId, JSON.parse(content));
+    case 'skillManifest':
+      return dispatcher.updateSkillManifest({ id, content: JSON.parse(content) }, projectId);
+    case 'formDialogSchema':
+      return dispatcher.updateFormDialogSchema({ id, content, projectId });
+  }
+};
+
+/**
+ * The changes of earlier sessions that lead up to the given files, oldest first, which the undo stack can restore.
+ * Going back from the newest entry, the chain stops at an entry that added or removed files, as restoring only
+ * rewrites files that exist, or whose content after the change is not what followed, e.g. after an edit outside
+ * of Composer.
+ */
+export const getRestorableChanges = (
+  entries: LocalHistoryEntry[],
+  assetType: UndoAssetType,
+  files: Record<string, string>,
+  maxLength: number
+): RestoredChange[] => {
+  const changes: RestoredChange[] = [];
+  let current = files;
+  const sorted = entries.filter((entry) => entry.assetType === assetType).sort((a, b) => b.timestamp - a.timestamp);
+  for (const { timestamp, before, after } of sorted) {
+    const assets = Object.keys(after);
+    if (changes.length === maxLength) break;
+    if (assets.length !== Object.keys(before).length || assets.some((name) => !(name in before))) break;
+    if (assets.some((name) => current[name] !== after[name])) break;
+
+    changes.unshift({ assets, timestamp, before, after });
+    current = { ...current, ...before };
+  }
+  return changes;
+};
+
+const requestToPromise = <T>(request: IDBRequest<T>) =>
+  new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Keeps every committed undo step in IndexedDB so it can still be undone, browsed and restored after a reload.
+ */
+class LocalHistoryStorage {
+  private db: Promise<IDBDatabase> | null = null;
+
+  public get isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  private open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex(LOCATION_INDEX, 'location');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.db = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.db;
+  }
+
+  private async getStore(mode: IDBTransactionMode) {
+    const db = await this.open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  public async getEntries(location: string): Promise<LocalHistoryEntry[]> {
+    if (!this.isSupported || !location) return [];
+    const store = await this.getStore('readonly');
+    const entries = await requestToPromise<LocalHistoryEntry[]>(store.index(LOCATION_INDEX).getAll(location));
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  public async add(entry: Omit<LocalHistoryEntry, 'size'>) {
+    if (!this.isSupported || !entry.location) return;
+    const store = await this.getStore('readwrite');
+    await requestToPromise(store.add({ ...entry, size: getEntrySize(entry) }));
+
+    const evicted = getEntriesToEvict(await this.getEntries(entry.location));
+    if (evicted.length) {
+      const trimStore = await this.getStore('readwrite');
+      await Promise.all(evicted.map((id) => requestToPromise(trimStore.delete(id))));
+    }
+  }
+
+  public async clear(location: string) {
+    if (!this.isSupported || !location) return;
+    const ids = (await this.getEntries(location)).map(({ id }) => id as number);
+    const store = await this.getStore('readwrite');
+    await Promise.all(ids.map((id) => requestToPromise(store.delete(id))));
+  }
+}
+
+export const localHistory = new LocalHistoryStorage();
@@ -2,12 +2,85 @@
 // Licensed under the MIT License.
 
 import { RecoilState } from 'recoil';
+import formatMessage from 'format-message';
 
-import { dialogsSelectorFamily, luFilesSelectorFamily } from '../selectors';
+import { dialogsSelectorFamily, formDialogSchemasSelectorFamily, luFilesSelectorFamily } from '../selectors';
 import { lgFilesSelectorFamily } from '../selectors/lg';
+import { qnaFilesSelectorFamily } from '../selectors/qna';
+import { settingsState, skillManifestsState } from '../atoms/botState';
 
 export type AtomAssetsMap = Map<RecoilState<any>, any>;
 
-export const trackedAtoms = (projectId: string): RecoilState<any>[] => {
-  return [dialogsSelectorFamily(projectId), luFilesSelectorFamily(projectId), lgFilesSelectorFamily(projectId)];
+/**
+ * Each asset type keeps its own undo history, so undoing on one page never reverts an edit made on another.
+ * Dialogs are versioned together with their LU and LG files because the visual editor changes them together.
+ */
+export type UndoAssetType = 'dialog' | 'qna' | 'settings' | 'skillManifest' | 'formDialogSchema';
+
+export const undoAssetTypes: UndoAssetType[] = ['dialog', 'qna', 'settings', 'skillManifest', 'formDialogSchema'];
+
+export const getUndoAssetTypeLabel = (assetType: UndoAssetType) => {
+  switch (assetType) {
+    case 'qna':
+      return formatMessage('Knowledge base');
+    case 'settings':
+      return formatMessage('Bot settings');
+    case 'skillManifest':
+      return formatMessage('Skill manifests');
+    case 'formDialogSchema':
+      return formatMessage('Form dialog schemas');
+    default:
+      return formatMessage('Dialogs');
+  }
+};
+
+/**
+ * Key of the undo states (history, functions, can undo/redo) of an asset type.
+ * The dialog history is keyed by the project id alone, as it was before the other asset types were versioned.
+ */
+export const getUndoScopeId = (projectId: string, assetType: UndoAssetType = 'dialog') =>
+  assetType === 'dialog' ? projectId : `${projectId}/${assetType}`;
+
+// file extension of the assets held by each tracked atom, in the order of trackedAtoms
+const trackedExtensions: Record<UndoAssetType, string[]> = {
+  dialog: ['.dialog', '.lu', '.lg'],
+  qna: ['.qna'],
+  settings: [''],
+  skillManifest: ['.json'],
+  formDialogSchema: ['.form'],
+};
+
+export const SETTINGS_FILE_NAME = 'appsettings.json';
+
+const serializeContent = (content: any) =>
+  typeof content === 'string' ? content : JSON.stringify(content ?? null, null, 2);
+
+/**
+ * Serializes the value of a tracked atom into a map of file name to file content.
+ */
+export const getAtomFiles = (assetType: UndoAssetType, atomIndex: number, value: any): Record<string, string> => {
+  if (assetType === 'settings') {
+    return value ? { [SETTINGS_FILE_NAME]: serializeContent(value) } : {};
+  }
+
+  const extension = trackedExtensions[assetType][atomIndex];
+  return ((value ?? []) as { id: string; content: any }[]).reduce((files, { id, content }) => {
+    files[`${id}${extension}`] = serializeContent(content);
+    return files;
+  }, {} as Record<string, string>);
+};
+
+export const trackedAtoms = (projectId: string, assetType: UndoAssetType = 'dialog'): RecoilState<any>[] => {
+  switch (assetType) {
+    case 'qna':
+      return [qnaFilesSelectorFamily(projectId)];
+    case 'settings':
+      return [settingsState(projectId)];
+    case 'skillManifest':
+      return [skillManifestsState(projectId)];
+    case 'formDialogSchema':
+      return [formDialogSchemasSelectorFamily(projectId)];
+    default:
+      return [dialogsSelectorFamily(projectId), luFilesSelectorFamily(projectId), lgFilesSelectorFamily(projectId)];
+  }
 };
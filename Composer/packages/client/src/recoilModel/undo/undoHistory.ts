@@ -3,21 +3,43 @@
 import formatMessage from 'format-message';
 import { RecoilState } from 'recoil';
 
-import { AtomAssetsMap } from './trackedAtoms';
+import { AtomAssetsMap, UndoAssetType } from './trackedAtoms';
 
 // use number to limit the stack size first
-const MAX_STACK_LENGTH = 30;
+export const MAX_STACK_LENGTH = 30;
+
+export type UndoRecord = {
+  /** names of the files or settings changed by this entry */
+  assets: string[];
+  timestamp: number;
+  /** the entry comes from an earlier session, restored from the local history */
+  restored?: boolean;
+  /** content of the changed files before and after the change, kept for the restored entries */
+  files?: { before: Record<string, string>; after: Record<string, string> };
+};
+
+export type RestoredChange = {
+  assets: string[];
+  timestamp: number;
+  before: Record<string, string>;
+  after: Record<string, string>;
+};
 
 export default class {
   private _projectId = '';
+  private _assetType: UndoAssetType = 'dialog';
   /**
    *
    */
-  constructor(projectId) {
+  constructor(projectId, assetType: UndoAssetType = 'dialog') {
     this._projectId = projectId;
+    this._assetType = assetType;
   }
 
-  public stack: AtomAssetsMap[] = [];
+  // the assets of the restored entries are unknown until undo gets to them
+  public stack: (AtomAssetsMap | undefined)[] = [];
+  // one record per stack entry, shown in the history timeline
+  public records: UndoRecord[] = [];
   public present = -1;
 
   public undo() {
@@ -34,36 +56,70 @@ export default class {
     return this.stack[this.present];
   }
 
-  public add(assets: AtomAssetsMap) {
+  public add(assets: AtomAssetsMap, changedAssets: string[] = []) {
     if (this.present !== -1 && this.canRedo()) {
       this.stack.splice(this.present + 1, this.stack.length - this.present - 1);
+      this.records.splice(this.present + 1, this.records.length - this.present - 1);
     }
 
     if (this.stack.length === MAX_STACK_LENGTH) {
       this.stack.shift();
+      this.records.shift();
       this.present--;
     }
 
     this.stack.push(assets);
+    this.records.push({ assets: changedAssets, timestamp: Date.now() });
 
     this.present++;
   }
 
+  // swaps the assets of the present entry, the entries after it stay so a redo is still possible
   public replace(assets: AtomAssetsMap) {
-    if (this.present !== -1 && this.canRedo()) {
-      this.stack.splice(this.present, this.stack.length - this.present - 1);
-    }
+    if (this.present === -1) return;
+
     this.stack[this.present] = assets;
   }
 
+  /**
+   * Puts the changes of earlier sessions, oldest first, below the first entry, which is the state they lead to.
+   */
+  public prepend(changes: RestoredChange[]) {
+    const count = Math.min(changes.length, MAX_STACK_LENGTH - this.stack.length);
+    if (this.stack.length === 0 || count <= 0) return;
+
+    const restored = changes.slice(changes.length - count);
+    this.stack = [...new Array(count).fill(undefined), ...this.stack];
+    this.records = [
+      // the state before the oldest change
+      { assets: [], timestamp: restored[0].timestamp, restored: true },
+      ...restored.map(({ assets, timestamp, before, after }) => ({
+        assets,
+        timestamp,
+        restored: true,
+        files: { before, after },
+      })),
+      ...this.records.slice(1),
+    ];
+    this.present += count;
+  }
+
+  /** sets the assets of a restored entry once its files are back */
+  public setAssets(index: number, assets: AtomAssetsMap) {
+    if (index >= 0 && index < this.stack.length) {
+      this.stack[index] = assets;
+    }
+  }
+
   public clear() {
     this.present = -1;
     this.stack = [];
+    this.records = [];
   }
 
   public setInitialValue(atom: RecoilState<any>, v: any) {
     if (this.stack.length === 1) {
-      this.stack[0].set(atom, v);
+      this.stack[0]?.set(atom, v);
     }
   }
 
@@ -77,4 +133,8 @@ export default class {
   public get projectId() {
     return this._projectId;
   }
+
+  public get assetType() {
+    return this._assetType;
+  }
 }
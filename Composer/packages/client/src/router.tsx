@@ -41,6 +41,7 @@ const ExtensionsPage = React.lazy(() => import('./pages/extensions/ExtensionsPag
 const Publish = React.lazy(() => import('./pages/publish/Publish'));
 const BotCreationFlowRouter = React.lazy(() => import('./components/CreationFlow/CreationFlow'));
 const FormDialogPage = React.lazy(() => import('./pages/form-dialog/FormDialogPage'));
+const SourceControlPage = React.lazy(() => import('./pages/source-control/SourceControlPage'));
 
 export const root = css`
   height: calc(100vh - 50px);
@@ -122,6 +123,7 @@ const Routes = (props) => {
                 <LGPage path="language-generation/:dialogId/*" />
                 <QnAPage path="knowledge-base/:dialogId/*" />
                 <Publish path="publish/:targetName" />
+                <SourceControlPage path="source-control" />
                 <BotProjectSettings path="botProjectsSettings" />
                 <FormDialogPage path="forms/:schemaId/*" />
                 <FormDialogPage path="forms/*" />
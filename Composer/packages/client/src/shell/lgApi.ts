@@ -135,6 +135,19 @@ function createLgApi(
     });
   };
 
+  const evaluateLgTemplate = async (id: string, templateName: string, memory: Record<string, unknown>) => {
+    const file = lgFileResolver(id);
+    if (!file) throw new Error(fileNotFound(id));
+    if (!templateName) throw new Error(TEMPLATE_ERROR);
+
+    return await actions.evaluateLgTemplate({
+      id: file.id,
+      templateName,
+      memory,
+      projectId: state.projectId,
+    });
+  };
+
   return {
     updateLgFile,
     addLgTemplate: updateLgTemplate,
@@ -144,6 +157,7 @@ function createLgApi(
     removeLgTemplate,
     removeLgTemplates,
     copyLgTemplate,
+    evaluateLgTemplate,
   };
 }
 
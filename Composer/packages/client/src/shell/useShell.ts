@@ -41,8 +41,14 @@ import {
   luFilesSelectorFamily,
   rateInfoState,
   flowCommentsVisibilityState,
+  flowCoverageVisibilityState,
+  flowLayoutDirectionState,
+  coverageByProjectIdSelector,
   rootBotProjectIdSelector,
   featureFlagsState,
+  breakpointsState,
+  debuggerState,
+  actionSnippetsState,
 } from '../recoilModel';
 import { undoFunctionState } from '../recoilModel/undo/history';
 import {
@@ -108,6 +114,9 @@ export function useShell(source: EventSource, projectId: string): Shell {
   const settings = useRecoilValue(settingsState(projectId));
   const flowZoomRate = useRecoilValue(rateInfoState);
   const flowCommentsVisible = useRecoilValue(flowCommentsVisibilityState);
+  const flowCoverageVisible = useRecoilValue(flowCoverageVisibilityState);
+  const flowLayoutDirection = useRecoilValue(flowLayoutDirectionState);
+  const coverageByProjectId = useRecoilValue(coverageByProjectIdSelector);
   const rootBotProjectId = useRecoilValue(rootBotProjectIdSelector);
   const isRootBot = rootBotProjectId === projectId;
   const isAuthenticated = useRecoilValue(isAuthenticatedState);
@@ -122,6 +131,9 @@ export function useShell(source: EventSource, projectId: string): Shell {
   const userSettings = useRecoilValue(userSettingsState);
   const clipboardActions = useRecoilValue(clipboardActionsState(projectId));
   const featureFlags = useRecoilValue(featureFlagsState);
+  const breakpoints = useRecoilValue(breakpointsState(projectId));
+  const debuggerStatus = useRecoilValue(debuggerState(projectId));
+  const actionSnippets = useRecoilValue(actionSnippetsState(projectId));
   const {
     updateDialog,
     updateDialogSchema,
@@ -138,6 +150,8 @@ export function useShell(source: EventSource, projectId: string): Shell {
     updateSkillsDataInBotProjectFile: updateEndpointInBotProjectFile,
     updateZoomRate,
     toggleFlowComments,
+    toggleFlowCoverage,
+    toggleFlowLayoutDirection,
     reloadProject,
     setApplicationLevelError,
     updateRecognizer,
@@ -146,6 +160,10 @@ export function useShell(source: EventSource, projectId: string): Shell {
     hideNotification,
     markNotificationAsRead,
     requireUserLogin,
+    toggleBreakpoint,
+    clearCoverage,
+    saveActionSnippet,
+    deleteActionSnippet,
   } = useRecoilValue(dispatcherState);
 
   const lgApi = useLgApi(projectId);
@@ -260,6 +278,10 @@ export function useShell(source: EventSource, projectId: string): Shell {
     onFocusSteps: focusSteps,
     onSelect: setVisualEditorSelection,
     onCopy: (clipboardActions) => setVisualEditorClipboard(clipboardActions, projectId),
+    toggleBreakpoint: (actionId: string) => toggleBreakpoint(projectId, dialogId, actionId),
+    clearCoverage: () => clearCoverage(projectId),
+    saveActionSnippet: (snippet) => saveActionSnippet(projectId, snippet),
+    deleteActionSnippet: (scope, name) => deleteActionSnippet(projectId, scope, name),
     createDialog: (actionsSeed = []) => {
       return new Promise((resolve) => {
         createDialogBegin(
@@ -284,6 +306,8 @@ export function useShell(source: EventSource, projectId: string): Shell {
     },
     updateFlowZoomRate,
     toggleFlowComments,
+    toggleFlowCoverage,
+    toggleFlowLayoutDirection,
     reloadProject: () => reloadProject(projectId),
     stopBot: (targetProjectId: string) => {
       stopSingleBot(targetProjectId);
@@ -355,12 +379,21 @@ export function useShell(source: EventSource, projectId: string): Shell {
     focusedSteps: focused ? [focused] : selected ? [selected] : [],
     focusedTab: promptTab,
     clipboardActions,
+    actionSnippets,
+    breakpoints: breakpoints.filter((breakpoint) => breakpoint.dialogId === dialogId).map(({ path }) => path),
+    pausedAction:
+      debuggerStatus.status === 'paused' && debuggerStatus.location?.dialogId === dialogId
+        ? debuggerStatus.location.path
+        : undefined,
+    executedActions: flowCoverageVisible ? coverageByProjectId[projectId]?.[dialogId]?.executed ?? [] : undefined,
     hosted: !!isAbsHosted(),
     luFeatures: settings.luFeatures,
     skills,
     skillsSettings: settings.skill || {},
     flowZoomRate,
     flowCommentsVisible,
+    flowCoverageVisible,
+    flowLayoutDirection,
     forceDisabledActions: isRootBot
       ? []
       : [
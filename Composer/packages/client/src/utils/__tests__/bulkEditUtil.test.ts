@@ -0,0 +1,154 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogFactory, DialogInfo, SDKKinds } from '@bfc/shared';
+
+import { applyBulkEditToDialog, findBulkEditMatches, getUsedLgTemplates, parseBulkEditValue } from '../bulkEditUtil';
+
+const factory = new DialogFactory({});
+
+const main: any = {
+  $kind: SDKKinds.AdaptiveDialog,
+  triggers: [
+    {
+      $kind: SDKKinds.OnBeginDialog,
+      actions: [
+        { $kind: SDKKinds.SendActivity, $designer: { id: 'a1' }, activity: '${SendActivity_a1()}' },
+        {
+          $kind: SDKKinds.IfCondition,
+          $designer: { id: 'a2' },
+          condition: 'user.vip',
+          actions: [{ $kind: SDKKinds.SetProperty, $designer: { id: 'a3' }, property: 'user.tier', value: 'gold' }],
+          elseActions: [{ $kind: SDKKinds.SendActivity, $designer: { id: 'a4' }, activity: '${SendActivity_a4()}' }],
+        },
+      ],
+    },
+  ],
+};
+
+const booking: any = {
+  $kind: SDKKinds.AdaptiveDialog,
+  triggers: [
+    {
+      $kind: SDKKinds.OnIntent,
+      intent: 'Book',
+      actions: [
+        {
+          $kind: SDKKinds.SwitchCondition,
+          $designer: { id: 'b1' },
+          condition: 'turn.city',
+          cases: [
+            { value: 'Paris', actions: [{ $kind: SDKKinds.SetProperty, property: 'user.city', value: 'Paris' }] },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+const dialogs = [
+  { id: 'main', content: main },
+  { id: 'booking', content: booking },
+] as DialogInfo[];
+
+const templates = {
+  main: [
+    { name: 'SendActivity_a1', body: '- ${greeting()}, welcome', parameters: [] },
+    { name: 'SendActivity_a4', body: '- Bye', parameters: [] },
+    { name: 'greeting', body: '- Hello', parameters: [] },
+  ],
+};
+
+const paths = (query) => findBulkEditMatches(dialogs, query, (id) => templates[id] ?? []).map(({ path }) => path);
+
+describe('findBulkEditMatches', () => {
+  it('finds the actions of a kind across dialogs, nested ones included', () => {
+    expect(findBulkEditMatches(dialogs, { kind: SDKKinds.SetProperty })).toEqual([
+      expect.objectContaining({ dialogId: 'main', path: 'triggers[0].actions[1].actions[0]' }),
+      expect.objectContaining({ dialogId: 'booking', path: 'triggers[0].actions[0].cases[0].actions[0]' }),
+    ]);
+  });
+
+  it('matches the value of a property', () => {
+    expect(paths({ property: 'value', value: 'GOLD' })).toEqual(['triggers[0].actions[1].actions[0]']);
+    expect(paths({ property: 'condition' })).toEqual(['triggers[0].actions[1]', 'triggers[0].actions[0]']);
+  });
+
+  it('matches a value of the action itself without the actions it holds', () => {
+    expect(paths({ value: 'paris' })).toEqual(['triggers[0].actions[0].cases[0].actions[0]']);
+  });
+
+  it('matches the LG templates the actions use through other templates', () => {
+    expect(getUsedLgTemplates(main.triggers[0].actions[0], templates.main)).toEqual(['SendActivity_a1', 'greeting']);
+    expect(paths({ lgTemplate: 'greeting' })).toEqual(['triggers[0].actions[0]']);
+    expect(paths({ kind: SDKKinds.SendActivity, lgTemplate: 'SendActivity_a4' })).toEqual([
+      'triggers[0].actions[1].elseActions[0]',
+    ]);
+  });
+
+  it('matches nothing for an empty query', () => {
+    expect(findBulkEditMatches(dialogs, {})).toEqual([]);
+  });
+});
+
+describe('applyBulkEditToDialog', () => {
+  const targets = ['triggers[0].actions[0]', 'triggers[0].actions[1].elseActions[0]'];
+
+  it('sets and removes a property', () => {
+    const { content } = applyBulkEditToDialog(
+      main,
+      targets,
+      { kind: 'setProperty', property: 'disabled', value: true },
+      factory
+    );
+    expect(content.triggers[0].actions[0].disabled).toBe(true);
+    expect(content.triggers[0].actions[1].elseActions[0].disabled).toBe(true);
+    expect(content.triggers[0].actions[1].disabled).toBeUndefined();
+    expect(main.triggers[0].actions[0]).not.toHaveProperty('disabled');
+
+    const { content: restored } = applyBulkEditToDialog(
+      content,
+      targets,
+      { kind: 'setProperty', property: 'disabled' },
+      factory
+    );
+    expect(restored).toEqual(main);
+  });
+
+  it('wraps the actions in a condition', () => {
+    const { content } = applyBulkEditToDialog(
+      main,
+      targets,
+      { kind: 'wrapInCondition', condition: 'turn.debug' },
+      factory
+    );
+    expect(content.triggers[0].actions[0]).toMatchObject({
+      $kind: SDKKinds.IfCondition,
+      condition: 'turn.debug',
+      actions: [main.triggers[0].actions[0]],
+    });
+    expect(content.triggers[0].actions[0].$designer.id).toBeTruthy();
+    expect(content.triggers[0].actions[1].elseActions[0].actions).toEqual([main.triggers[0].actions[1].elseActions[0]]);
+  });
+
+  it('deletes the actions and returns them', () => {
+    const { content, removed } = applyBulkEditToDialog(
+      main,
+      ['triggers[0].actions[0]', 'triggers[0].actions[1].actions[0]'],
+      { kind: 'delete' },
+      factory
+    );
+    expect(content.triggers[0].actions).toHaveLength(1);
+    expect(content.triggers[0].actions[0]).toMatchObject({ $designer: { id: 'a2' }, actions: [] });
+    expect(removed.map(({ $designer }) => $designer.id)).toEqual(['a1', 'a3']);
+  });
+});
+
+describe('parseBulkEditValue', () => {
+  it('reads JSON values and keeps the other text', () => {
+    expect(parseBulkEditValue('true')).toBe(true);
+    expect(parseBulkEditValue('5')).toBe(5);
+    expect(parseBulkEditValue('=user.name')).toBe('=user.name');
+    expect(parseBulkEditValue('')).toBeUndefined();
+  });
+});
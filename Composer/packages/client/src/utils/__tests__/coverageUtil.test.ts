@@ -0,0 +1,112 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ConversationTrafficItem } from '@bfc/shared';
+
+import { getCoverage, getDialogCoverage, getDialogNodes, getExecutedDesignerIds } from '../coverageUtil';
+
+const dialog = {
+  $kind: 'Microsoft.AdaptiveDialog',
+  triggers: [
+    {
+      $kind: 'Microsoft.OnBeginDialog',
+      $designer: { id: 't1' },
+      actions: [
+        { $kind: 'Microsoft.SendActivity', $designer: { id: 'a1' }, activity: '${SendActivity_a1()}' },
+        {
+          $kind: 'Microsoft.SwitchCondition',
+          $designer: { id: 'a2' },
+          cases: [{ value: 'yes', actions: [{ $kind: 'Microsoft.SendActivity', $designer: { id: 'a3' } }] }],
+          default: [{ $kind: 'Microsoft.EndDialog', $designer: { id: 'a4' } }],
+        },
+      ],
+    },
+    {
+      $kind: 'Microsoft.OnUnknownIntent',
+      $designer: { id: 't2' },
+      actions: [{ $kind: 'Microsoft.SendActivity', $designer: { id: 'a5' } }],
+    },
+  ],
+};
+
+const trace = (value: any, timestamp = 0): ConversationTrafficItem => ({
+  id: `${timestamp}`,
+  timestamp,
+  trafficType: 'activity',
+  activity: { type: 'trace', name: 'Microsoft.SendActivity', value } as any,
+});
+
+describe('getExecutedDesignerIds', () => {
+  it('collects the designer ids of traced triggers and actions once', () => {
+    const traffic = [
+      trace({ $kind: 'Microsoft.OnBeginDialog', $designer: { id: 't1' } }, 1),
+      trace({ $kind: 'Microsoft.SendActivity', $designer: { id: 'a1' } }, 2),
+      trace({ $kind: 'Microsoft.SendActivity', $designer: { id: 'a1' } }, 3),
+    ];
+    expect(getExecutedDesignerIds(traffic)).toEqual(['t1', 'a1']);
+  });
+
+  it('ignores other activities and traces without a designer id', () => {
+    const traffic: ConversationTrafficItem[] = [
+      {
+        id: '1',
+        timestamp: 1,
+        trafficType: 'activity',
+        activity: { type: 'message', value: { $designer: { id: 'x' } } } as any,
+      },
+      trace({ dialog: {} }, 2),
+    ];
+    expect(getExecutedDesignerIds(traffic)).toEqual([]);
+  });
+});
+
+describe('getDialogNodes', () => {
+  it('lists triggers and nested actions by flow id', () => {
+    expect(getDialogNodes(dialog).map(({ id }) => id)).toEqual([
+      'triggers[0]',
+      'triggers[0].actions[0]',
+      'triggers[0].actions[1]',
+      'triggers[0].actions[1].cases[0].actions[0]',
+      'triggers[0].actions[1].default[0]',
+      'triggers[1]',
+      'triggers[1].actions[0]',
+    ]);
+  });
+
+  it('handles dialogs without triggers', () => {
+    expect(getDialogNodes({ $kind: 'Microsoft.AdaptiveDialog' })).toEqual([]);
+    expect(getDialogNodes(undefined)).toEqual([]);
+  });
+});
+
+describe('getDialogCoverage', () => {
+  it('marks the containers of a traced action as executed', () => {
+    const coverage = getDialogCoverage(dialog, ['a3']);
+    expect(coverage.executed).toEqual([
+      'triggers[0]',
+      'triggers[0].actions[1]',
+      'triggers[0].actions[1].cases[0].actions[0]',
+    ]);
+    expect(coverage.total).toBe(7);
+    expect(coverage.percentage).toBe(43);
+  });
+
+  it('is empty when nothing ran', () => {
+    expect(getDialogCoverage(dialog, [])).toEqual({ executed: [], total: 7, percentage: 0 });
+    expect(getDialogCoverage({}, ['a1'])).toEqual({ executed: [], total: 0, percentage: 0 });
+  });
+});
+
+describe('getCoverage', () => {
+  it('computes the coverage of every dialog', () => {
+    const coverage = getCoverage(
+      [
+        { id: 'main', content: dialog },
+        { id: 'other', content: { triggers: [{ $kind: 'Microsoft.OnIntent', $designer: { id: 'b1' } }] } },
+      ],
+      ['t2', 'a5', 'b1']
+    );
+    expect(coverage.main.executed).toEqual(['triggers[1]', 'triggers[1].actions[0]']);
+    expect(coverage.other.percentage).toBe(100);
+  });
+});
@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { DialogInfo } from '@bfc/shared';
+import { DialogInfo, RecognizerFile, SDKKinds } from '@bfc/shared';
 
 import {
   getDialogData,
@@ -13,6 +13,7 @@ import {
   deleteTrigger,
   getBreadcrumbLabel,
   getSelected,
+  getLuProvider,
 } from '../dialogUtil';
 
 const dialogsMap = {
@@ -196,3 +197,25 @@ describe('getSelected', () => {
     expect(res).toEqual('focused=triggers[0]');
   });
 });
+
+describe('getLuProvider', () => {
+  const recognizer = (id: string, $kind: string) => ({ id, content: { $kind } } as RecognizerFile);
+
+  it('returns the kind of the recognizers of each language', () => {
+    const recognizers = [
+      recognizer('main.lu.dialog', SDKKinds.MultiLanguageRecognizer),
+      recognizer('main.en-us.lu.dialog', SDKKinds.LuisRecognizer),
+      recognizer('main.en-us.qna.dialog', SDKKinds.QnAMakerRecognizer),
+    ];
+    expect(getLuProvider('main', recognizers)).toBe(SDKKinds.LuisRecognizer);
+  });
+
+  it('returns the kind of the recognizers built by extensions', () => {
+    const recognizers = [
+      recognizer('main.lu.dialog', SDKKinds.MultiLanguageRecognizer),
+      recognizer('main.en-us.lu.dialog', 'Contoso.NluRecognizer'),
+      recognizer('other.en-us.lu.dialog', SDKKinds.OrchestratorRecognizer),
+    ];
+    expect(getLuProvider('main', recognizers)).toBe('Contoso.NluRecognizer');
+  });
+});
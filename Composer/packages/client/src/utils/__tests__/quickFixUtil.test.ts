@@ -0,0 +1,84 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogFactory, SDKKinds } from '@bfc/shared';
+
+import { applyDialogQuickFix, getQuickFixDialogId } from '../quickFixUtil';
+
+const factory = new DialogFactory({});
+
+const dialog = {
+  $kind: SDKKinds.AdaptiveDialog,
+  triggers: [
+    { $kind: SDKKinds.OnConversationUpdateActivity, actions: [] },
+    { $kind: SDKKinds.OnBeginDialog, actions: [{ $kind: SDKKinds.SendActivity }] },
+  ],
+};
+
+describe('applyDialogQuickFix', () => {
+  it('begins a dialog at the end of OnBeginDialog', () => {
+    const content = applyDialogQuickFix(
+      dialog,
+      { kind: 'beginDialog', title: '', dialogId: 'orphan', fromDialogId: 'main' },
+      factory
+    );
+    expect(content.triggers[1].actions[1]).toMatchObject({ $kind: SDKKinds.BeginDialog, dialog: 'orphan' });
+    expect(content.triggers[1].actions[1].$designer.id).toBeTruthy();
+    expect(dialog.triggers[1].actions).toHaveLength(1);
+  });
+
+  it('adds an OnBeginDialog trigger when there is none', () => {
+    const content = applyDialogQuickFix(
+      { $kind: SDKKinds.AdaptiveDialog },
+      { kind: 'setProperty', title: '', dialogId: 'main', property: 'user.name' },
+      factory
+    );
+    expect(content.triggers).toHaveLength(1);
+    expect(content.triggers[0].$kind).toBe(SDKKinds.OnBeginDialog);
+    expect(content.triggers[0].actions).toEqual([
+      expect.objectContaining({ $kind: SDKKinds.SetProperty, property: 'user.name' }),
+    ]);
+    expect(content.triggers[0].actions[0]).not.toHaveProperty('value');
+  });
+
+  it('sets a property before the other actions', () => {
+    const content = applyDialogQuickFix(
+      dialog,
+      { kind: 'setProperty', title: '', dialogId: 'main', property: 'dialog.city' },
+      factory
+    );
+    expect(content.triggers[1].actions.map(({ $kind }) => $kind)).toEqual([
+      SDKKinds.SetProperty,
+      SDKKinds.SendActivity,
+    ]);
+  });
+
+  it('adds an intent trigger', () => {
+    const content = applyDialogQuickFix(
+      dialog,
+      { kind: 'addIntentTrigger', title: '', dialogId: 'main', intentName: 'Cancel' },
+      factory
+    );
+    expect(content.triggers[2]).toMatchObject({
+      $kind: SDKKinds.OnIntent,
+      $designer: { name: 'Cancel' },
+      intent: 'Cancel',
+      actions: [],
+    });
+  });
+
+  it('leaves the dialog alone for fixes of other files', () => {
+    const fix = { kind: 'removeLgTemplate' as const, title: '', lgFileId: 'main.en-us', templateName: 'Greet' };
+    expect(applyDialogQuickFix(dialog, fix, factory)).toBe(dialog);
+    expect(getQuickFixDialogId(fix)).toBeUndefined();
+  });
+});
+
+describe('getQuickFixDialogId', () => {
+  it('returns the dialog a fix edits', () => {
+    expect(getQuickFixDialogId({ kind: 'beginDialog', title: '', dialogId: 'orphan', fromDialogId: 'main' })).toBe(
+      'main'
+    );
+    expect(getQuickFixDialogId({ kind: 'removeDialog', title: '', dialogId: 'orphan' })).toBeUndefined();
+  });
+});
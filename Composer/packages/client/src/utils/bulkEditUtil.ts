@@ -0,0 +1,208 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogFactory, DialogInfo, extractLgTemplateRefs, LgTemplate, SDKKinds } from '@bfc/shared';
+import cloneDeep from 'lodash/cloneDeep';
+import get from 'lodash/get';
+import set from 'lodash/set';
+import unset from 'lodash/unset';
+
+export type BulkEditQuery = {
+  /** The $kind of the actions. */
+  kind?: string;
+  /** Path of a property of the actions, such as 'property' or '$designer.name'. */
+  property?: string;
+  /** Text the value of the property contains. Without a property, any value of the action may contain it. */
+  value?: string;
+  /** Name of an LG template the actions use, directly or through the templates they use. */
+  lgTemplate?: string;
+};
+
+export type BulkEditMatch = {
+  dialogId: string;
+  /** Path of the action in the dialog, such as 'triggers[0].actions[1]'. */
+  path: string;
+  action: any;
+};
+
+export type BulkEditOperation =
+  /** Leaving the value undefined removes the property. */
+  | { kind: 'setProperty'; property: string; value?: unknown }
+  | { kind: 'wrapInCondition'; condition: string }
+  | { kind: 'delete' };
+
+const isObject = (value: any) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isAction = (value: any) => isObject(value) && typeof value.$kind === 'string';
+
+/** Whether a value of an action holds other actions, such as 'actions' or the 'cases' of a switch. */
+const holdsActions = (value: any): boolean => {
+  if (Array.isArray(value)) return value.some(holdsActions);
+  return isObject(value) && (isAction(value) || Object.keys(value).some((key) => holdsActions(value[key])));
+};
+
+/** The values of an action itself, without the actions it holds. */
+const getOwnValues = (action: any): any[] =>
+  Object.keys(action)
+    .filter((key) => key !== '$kind' && !holdsActions(action[key]))
+    .map((key) => action[key]);
+
+const containsText = (value: any, text: string) => {
+  if (value === undefined || value === null) return false;
+  const content = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return content.toLowerCase().includes(text.toLowerCase());
+};
+
+/**
+ * Calls back with every action of a dialog, the ones held by other actions included, and its path.
+ */
+const walkDialogActions = (content: any, visit: (action: any, path: string) => void) => {
+  const walk = (value: any, path: string) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`));
+    } else if (isObject(value)) {
+      if (isAction(value)) visit(value, path);
+      Object.keys(value)
+        .filter((key) => !key.startsWith('$'))
+        .forEach((key) => walk(value[key], `${path}.${key}`));
+    }
+  };
+
+  (content?.triggers ?? []).forEach((trigger: any, index: number) => {
+    if (!isObject(trigger)) return;
+    Object.keys(trigger)
+      .filter((key) => !key.startsWith('$'))
+      .forEach((key) => walk(trigger[key], `triggers[${index}].${key}`));
+  });
+};
+
+/**
+ * Names of the LG templates an action refers to in its values, and of the templates these refer to in turn.
+ */
+export const getUsedLgTemplates = (action: any, templates: LgTemplate[]): string[] => {
+  const bodies = new Map(templates.map(({ name, body }) => [name, body]));
+  const used = new Set<string>();
+  const addRefs = (text: string) => {
+    extractLgTemplateRefs(text).forEach(({ name }) => {
+      if (used.has(name)) return;
+      used.add(name);
+      const body = bodies.get(name);
+      if (body) addRefs(body);
+    });
+  };
+
+  getOwnValues(action).forEach((value) => {
+    if (value !== undefined && value !== null) addRefs(typeof value === 'object' ? JSON.stringify(value) : `${value}`);
+  });
+  return Array.from(used);
+};
+
+export const isBulkEditQueryEmpty = ({ kind, property, value, lgTemplate }: BulkEditQuery) =>
+  !kind && !property && !value && !lgTemplate;
+
+const matchesQuery = (action: any, query: BulkEditQuery, templates: LgTemplate[]) => {
+  const { kind, property, value, lgTemplate } = query;
+  if (kind && action.$kind !== kind) return false;
+  if (property) {
+    const propertyValue = get(action, property);
+    if (propertyValue === undefined) return false;
+    if (value && !containsText(propertyValue, value)) return false;
+  } else if (value && !getOwnValues(action).some((ownValue) => containsText(ownValue, value))) {
+    return false;
+  }
+  if (lgTemplate && !getUsedLgTemplates(action, templates).includes(lgTemplate)) return false;
+  return true;
+};
+
+/**
+ * Finds the actions of the dialogs matching every part of the query. An empty query matches nothing.
+ * @param getLgTemplates The templates of the LG file of a dialog, to follow the templates the actions use.
+ */
+export const findBulkEditMatches = (
+  dialogs: DialogInfo[],
+  query: BulkEditQuery,
+  getLgTemplates: (dialogId: string) => LgTemplate[] = () => []
+): BulkEditMatch[] => {
+  if (isBulkEditQueryEmpty(query)) return [];
+
+  const matches: BulkEditMatch[] = [];
+  dialogs.forEach(({ id: dialogId, content }) => {
+    const templates = query.lgTemplate ? getLgTemplates(dialogId) : [];
+    walkDialogActions(content, (action, path) => {
+      if (matchesQuery(action, query, templates)) matches.push({ dialogId, path, action });
+    });
+  });
+  return matches;
+};
+
+/**
+ * Reads a value typed for a property: JSON when it parses, such as true or 5, a string otherwise.
+ * An empty value is undefined, which removes the property.
+ */
+export const parseBulkEditValue = (text: string): unknown => {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Applies an operation to the actions at the given paths of a copy of the dialog content.
+ * Returns the new content and the deleted actions, whose LG templates and LU intents are left to clean.
+ */
+export const applyBulkEditToDialog = (
+  content: any,
+  paths: string[],
+  operation: BulkEditOperation,
+  factory: DialogFactory
+): { content: any; removed: any[] } => {
+  const copy = cloneDeep(content);
+  // the paths of the copy are resolved first, so deleting an action doesn't move the next ones
+  const targets = new Set(paths.map((path) => get(copy, path)).filter(isAction));
+  const removed: any[] = [];
+
+  const transform = (value: any) => {
+    if (Array.isArray(value)) {
+      return value.reduce((result: any[], item) => {
+        if (!targets.has(item)) {
+          result.push(transform(item));
+          return result;
+        }
+
+        switch (operation.kind) {
+          case 'delete':
+            removed.push(item);
+            break;
+          case 'wrapInCondition':
+            result.push(
+              factory.create(SDKKinds.IfCondition, { condition: operation.condition, actions: [transform(item)] })
+            );
+            break;
+          case 'setProperty':
+            if (operation.value === undefined) {
+              unset(item, operation.property);
+            } else {
+              set(item, operation.property, cloneDeep(operation.value));
+            }
+            result.push(transform(item));
+            break;
+        }
+        return result;
+      }, []);
+    }
+
+    if (isObject(value)) {
+      Object.keys(value)
+        .filter((key) => !key.startsWith('$'))
+        .forEach((key) => {
+          value[key] = transform(value[key]);
+        });
+    }
+    return value;
+  };
+
+  if (Array.isArray(copy?.triggers)) copy.triggers = transform(copy.triggers);
+  return { content: copy, removed };
+};
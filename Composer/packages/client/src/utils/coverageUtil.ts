@@ -0,0 +1,83 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ConversationTrafficItem } from '@bfc/shared';
+
+export type DialogCoverage = {
+  /** ids of the triggers and actions that ran, in the format of the flow editor, e.g. triggers[0].actions[1] */
+  executed: string[];
+  /** number of triggers and actions in the dialog */
+  total: number;
+  percentage: number;
+};
+
+type DialogNode = { id: string; designerId?: string };
+
+const isObject = (value: any) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Designer ids of the triggers and actions the runtime traced while the conversation went through them.
+ * The value of these trace activities is the declarative object of the trigger or action.
+ */
+export const getExecutedDesignerIds = (traffic: ConversationTrafficItem[]): string[] => {
+  const ids = new Set<string>();
+  traffic.forEach((item) => {
+    if (item.trafficType !== 'activity' || item.activity.type !== 'trace') return;
+    const id = item.activity.value?.$designer?.id;
+    if (typeof id === 'string') ids.add(id);
+  });
+  return Array.from(ids);
+};
+
+/**
+ * Every trigger and action of a dialog, nested actions included.
+ */
+export const getDialogNodes = (content: any): DialogNode[] => {
+  const nodes: DialogNode[] = [];
+  const visit = (value: any, path: string) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}[${index}]`));
+      return;
+    }
+    if (!isObject(value)) return;
+
+    // switch cases and the like are array items without a $kind, only their actions count
+    if (typeof value.$kind === 'string' && path.endsWith(']')) {
+      nodes.push({ id: path, designerId: value.$designer?.id });
+    }
+    Object.keys(value)
+      .filter((key) => !key.startsWith('$'))
+      .forEach((key) => visit(value[key], `${path}.${key}`));
+  };
+
+  visit(content?.triggers, 'triggers');
+  return nodes;
+};
+
+export const getDialogCoverage = (content: any, executedDesignerIds: string[]): DialogCoverage => {
+  const nodes = getDialogNodes(content);
+  const traced = nodes
+    .filter(({ designerId }) => designerId && executedDesignerIds.includes(designerId))
+    .map(({ id }) => id);
+
+  // the trigger and the containers of an action that ran have run too, even when they were not traced
+  const executed = nodes
+    .filter(({ id }) => traced.some((tracedId) => tracedId === id || tracedId.startsWith(`${id}.`)))
+    .map(({ id }) => id);
+
+  return {
+    executed,
+    total: nodes.length,
+    percentage: nodes.length ? Math.round((executed.length / nodes.length) * 100) : 0,
+  };
+};
+
+export const getCoverage = (
+  dialogs: { id: string; content: any }[],
+  executedDesignerIds: string[]
+): Record<string, DialogCoverage> => {
+  return dialogs.reduce((result, { id, content }) => {
+    result[id] = getDialogCoverage(content, executedDesignerIds);
+    return result;
+  }, {} as Record<string, DialogCoverage>);
+};
@@ -261,10 +261,12 @@ export const getLuProvider = (dialogId: string, recognizers: RecognizerFile[]) =
     id,
     content: { $kind },
   } of recognizers) {
-    if (id.split('.')[0] === dialogId) {
-      if ($kind === SDKKinds.OrchestratorRecognizer) return $kind;
-      if ($kind === SDKKinds.LuisRecognizer) kind = $kind;
+    // the recognizer of each language, extensions build the ones that are neither LUIS nor Orchestrator
+    if (id.split('.')[0] !== dialogId || !id.endsWith('.lu.dialog') || $kind === SDKKinds.MultiLanguageRecognizer) {
+      continue;
     }
+    if ($kind === SDKKinds.OrchestratorRecognizer) return $kind;
+    kind = $kind;
   }
 
   return kind;
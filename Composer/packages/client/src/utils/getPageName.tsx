@@ -14,6 +14,7 @@ const PagesRegex = {
   [PageNames.BotProjectsSettings]: /\/botProjectsSettings/i,
   [PageNames.Plugin]: /\/plugin/i,
   [PageNames.Settings]: /\/settings/i,
+  [PageNames.SourceControl]: /\/source-control/i,
 
   // Extensions
   [PageNames.Forms]: /\/forms/i,
@@ -30,7 +30,9 @@ export function getLuisBuildLuFiles(luFiles: LuFile[], dialogs: DialogInfo[]) {
     const idWithoutLocale = getBaseName(file.id);
     return dialogs.some(
       (dialog) =>
-        dialog.luFile === idWithoutLocale && dialog.luProvider !== SDKKinds.OrchestratorRecognizer && !file.empty
+        dialog.luFile === idWithoutLocale &&
+        (!dialog.luProvider || dialog.luProvider === SDKKinds.LuisRecognizer) &&
+        !file.empty
     );
   });
 }
@@ -97,6 +97,13 @@ export const topLinks = (
       disabled: !botLoaded,
       isDisabledForPVA: false,
     },
+    {
+      to: `/bot/${rootProjectId || projectId}/source-control`,
+      iconName: 'BranchFork2',
+      labelName: formatMessage('Source control'),
+      disabled: !botLoaded,
+      isDisabledForPVA: false,
+    },
   ];
 
   if (pluginPages.length > 0) {
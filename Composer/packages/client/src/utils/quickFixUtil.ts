@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogFactory, DiagnosticQuickFix, SDKKinds } from '@bfc/shared';
+import cloneDeep from 'lodash/cloneDeep';
+
+/**
+ * Returns the actions of the OnBeginDialog trigger of a dialog, the trigger is added first when the dialog has none.
+ */
+const getBeginDialogActions = (content: any, factory: DialogFactory): any[] => {
+  if (!Array.isArray(content.triggers)) content.triggers = [];
+  let trigger = content.triggers.find(({ $kind }) => $kind === SDKKinds.OnBeginDialog);
+  if (!trigger) {
+    trigger = factory.create(SDKKinds.OnBeginDialog, { actions: [] });
+    content.triggers.unshift(trigger);
+  }
+  if (!Array.isArray(trigger.actions)) trigger.actions = [];
+  return trigger.actions;
+};
+
+/**
+ * Applies the quick fixes that edit a dialog to a copy of its content. Returns the content unchanged for the others.
+ */
+export const applyDialogQuickFix = (content: any, fix: DiagnosticQuickFix, factory: DialogFactory) => {
+  const copy = cloneDeep(content);
+  switch (fix.kind) {
+    case 'beginDialog':
+      getBeginDialogActions(copy, factory).push(factory.create(SDKKinds.BeginDialog, { dialog: fix.dialogId }));
+      break;
+    case 'addIntentTrigger':
+      if (!Array.isArray(copy.triggers)) copy.triggers = [];
+      copy.triggers.push(
+        factory.create(SDKKinds.OnIntent, { $designer: { name: fix.intentName }, intent: fix.intentName, actions: [] })
+      );
+      break;
+    case 'setProperty':
+      // set first so every action of the trigger reads it, the value is left to the author
+      getBeginDialogActions(copy, factory).unshift(factory.create(SDKKinds.SetProperty, { property: fix.property }));
+      break;
+    default:
+      return content;
+  }
+  return copy;
+};
+
+/**
+ * Id of the dialog a quick fix edits, if it edits one.
+ */
+export const getQuickFixDialogId = (fix: DiagnosticQuickFix): string | undefined => {
+  switch (fix.kind) {
+    case 'beginDialog':
+      return fix.fromDialogId;
+    case 'addIntentTrigger':
+    case 'setProperty':
+      return fix.dialogId;
+    default:
+      return undefined;
+  }
+};
@@ -19,6 +19,7 @@ const LG_KEYS = [
   'api.debouncedUpdateLgTemplate',
   'api.removeLgTemplate',
   'api.removeLgTemplates',
+  'api.evaluateLgTemplate',
 ];
 
 export function useLgApi(): LgContextApi {
@@ -15,6 +15,7 @@ import {
   IExtensionRegistration,
   ExtensionMetadata,
   ExtensionSettings,
+  RecognizerBuilder,
 } from '@botframework-composer/types';
 import { PassportStatic } from 'passport';
 
@@ -106,6 +107,27 @@ export class ExtensionRegistration implements IExtensionRegistration {
     };
   }
 
+  /**************************************************************************************
+   * Recognizer builders
+   *************************************************************************************/
+  public async addRecognizerBuilder(builder: RecognizerBuilder) {
+    if (this.context.extensions.recognizerBuilders[builder.kind]) {
+      throw new Error(`Duplicate recognizer builder. Cannot register recognizer builder for kind ${builder.kind}.`);
+    }
+
+    log('registering recognizer builder', builder.kind);
+    this.context.extensions.recognizerBuilders[builder.kind] = {
+      plugin: {
+        kind: builder.kind,
+        name: builder.name,
+        description: builder.description || this.description,
+        recognizer: builder.recognizer,
+        extensionId: this.name,
+      },
+      methods: builder,
+    };
+  }
+
   /**************************************************************************************
    * Runtime Templates
    *************************************************************************************/
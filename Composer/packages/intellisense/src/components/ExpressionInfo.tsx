@@ -0,0 +1,94 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** @jsx jsx */
+import React from 'react';
+import { Hover, MarkupContent, SignatureHelp } from 'vscode-languageserver-types';
+import { css, jsx } from '@emotion/core';
+
+const styles = {
+  info: css`
+    position: absolute;
+    top: 32px;
+    left: 0;
+    width: 100%;
+    padding: 4px 8px;
+    box-sizing: border-box;
+    background-color: white;
+    font-size: 12px;
+    box-shadow: 0 4px 8px 0 rgba(0, 0, 0, 0.2), 0 6px 20px 0 rgba(0, 0, 0, 0.19);
+    z-index: 2000;
+  `,
+  code: css`
+    font-family: Consolas, monospace;
+  `,
+  documentation: css`
+    margin-top: 4px;
+  `,
+};
+
+const getText = (content: string | MarkupContent | undefined) =>
+  typeof content === 'string' ? content : content?.value ?? '';
+
+// The code blocks of the markdown are the odd segments between the ~~~ fences
+const renderMarkdown = (value: string) =>
+  value
+    .split(/~~~\n?/)
+    .filter((segment) => segment.trim())
+    .map((segment, index) =>
+      value.trim().startsWith('~~~') === (index % 2 === 0) ? (
+        <div key={index} css={styles.code}>
+          {segment.trim()}
+        </div>
+      ) : (
+        <div key={index} css={styles.documentation}>
+          {segment.trim()}
+        </div>
+      )
+    );
+
+const renderSignature = ({ signatures, activeSignature, activeParameter }: SignatureHelp) => {
+  const signature = signatures[activeSignature ?? 0] ?? signatures[0];
+  const parameter = signature.parameters?.[activeParameter ?? 0];
+  const parameterLabel = typeof parameter?.label === 'string' ? parameter.label : '';
+  const start = parameterLabel ? signature.label.indexOf(parameterLabel) : -1;
+
+  return (
+    <React.Fragment>
+      <div css={styles.code}>
+        {start === -1 ? (
+          signature.label
+        ) : (
+          <React.Fragment>
+            {signature.label.slice(0, start)}
+            <strong>{parameterLabel}</strong>
+            {signature.label.slice(start + parameterLabel.length)}
+          </React.Fragment>
+        )}
+      </div>
+      {signature.documentation ? <div css={styles.documentation}>{getText(signature.documentation)}</div> : null}
+    </React.Fragment>
+  );
+};
+
+/**
+ * Shows the signature of the function being called at the cursor, or what is under the cursor.
+ */
+export const ExpressionInfo = (props: { signatureHelp: SignatureHelp | null; hover: Hover | null }) => {
+  const { signatureHelp, hover } = props;
+
+  if (signatureHelp?.signatures.length) {
+    return (
+      <div css={styles.info} data-testid="expression-info">
+        {renderSignature(signatureHelp)}
+      </div>
+    );
+  }
+
+  const hoverText = hover && !Array.isArray(hover.contents) ? getText(hover.contents as MarkupContent) : '';
+  return hoverText ? (
+    <div css={styles.info} data-testid="expression-info">
+      {renderMarkdown(hoverText)}
+    </div>
+  ) : null;
+};
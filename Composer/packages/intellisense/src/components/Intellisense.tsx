@@ -2,11 +2,13 @@
 // Licensed under the MIT License.
 
 import React from 'react';
+import { Diagnostic } from 'vscode-languageserver-types';
 
 import { useLanguageServer } from '../hooks/useLanguageServer';
 import { checkIsOutside } from '../utils/uiUtils';
 
 import { CompletionList } from './CompletionList';
+import { ExpressionInfo } from './ExpressionInfo';
 
 export const Intellisense = React.memo(
   (props: {
@@ -24,6 +26,7 @@ export const Intellisense = React.memo(
       textFieldValue: any;
       focused?: boolean;
       cursorPosition?: number;
+      diagnostics: Diagnostic[];
       onValueChanged: (newValue: any) => void;
       onKeyDownTextField: (event: React.KeyboardEvent<HTMLInputElement>) => void;
       onKeyUpTextField: (event: React.KeyboardEvent<HTMLInputElement>) => void;
@@ -53,7 +56,14 @@ export const Intellisense = React.memo(
     const mainContainerRef = React.useRef<HTMLDivElement>(null);
     const completionListRef = React.useRef<HTMLDivElement>(null);
 
-    const completionItems = useLanguageServer(url, scopes, id, textFieldValue, cursorPosition, projectId);
+    const { completionItems, signatureHelp, hover, diagnostics } = useLanguageServer(
+      url,
+      scopes,
+      id,
+      textFieldValue,
+      cursorPosition,
+      projectId
+    );
     const completionListOverride =
       completionListOverrideResolver !== undefined && focused ? completionListOverrideResolver(textFieldValue) : null;
 
@@ -200,6 +210,7 @@ export const Intellisense = React.memo(
           textFieldValue,
           focused,
           cursorPosition,
+          diagnostics,
           onValueChanged,
           onKeyDownTextField,
           onKeyUpTextField,
@@ -214,6 +225,8 @@ export const Intellisense = React.memo(
             onClickCompletionItem={onClickCompletionItem}
             completionListOverride={completionListOverride}
           />
+        ) : focused ? (
+          <ExpressionInfo hover={hover} signatureHelp={signatureHelp} />
         ) : null}
       </div>
     );
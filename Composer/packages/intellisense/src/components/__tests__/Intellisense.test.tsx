@@ -9,12 +9,25 @@ import { CompletionItem } from 'vscode-languageserver-types';
 import { Intellisense } from '../Intellisense';
 
 jest.mock('../../hooks/useLanguageServer', () => ({
-  useLanguageServer: (url, scopes, documentUri, textFieldValue): CompletionItem[] => {
-    if (textFieldValue !== '' && 'completionItem'.startsWith(textFieldValue)) {
-      return [{ label: 'completionItem', data: {} }];
-    } else {
-      return [];
-    }
+  useLanguageServer: (url, scopes, documentUri, textFieldValue) => {
+    const completionItems: CompletionItem[] =
+      textFieldValue !== '' && 'completionItem'.startsWith(textFieldValue)
+        ? [{ label: 'completionItem', data: {} }]
+        : [];
+    const signatureHelp =
+      textFieldValue === '=add(1, '
+        ? {
+            signatures: [
+              {
+                label: 'add(num1: number, num2: number): number',
+                parameters: [{ label: 'num1: number' }, { label: 'num2: number' }],
+              },
+            ],
+            activeSignature: 0,
+            activeParameter: 1,
+          }
+        : null;
+    return { completionItems, signatureHelp, hover: null, diagnostics: [] };
   },
 }));
 
@@ -91,4 +104,13 @@ describe('<Intellisense />', () => {
     );
     expect(hasCompletionItem).toBeFalsy();
   });
+
+  it('shows the signature of the function being called', async () => {
+    textFieldValue = '=add(1, ';
+    await rerender(<IntellisenseFieldWrapper value={textFieldValue} />);
+
+    const info = container.querySelector('[data-testid="expression-info"]');
+    expect(info?.textContent).toBe('add(num1: number, num2: number): number');
+    expect(info?.querySelector('strong')?.textContent).toBe('num2: number');
+  });
 });
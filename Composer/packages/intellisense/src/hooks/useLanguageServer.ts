@@ -2,21 +2,33 @@
 // Licensed under the MIT License.
 
 import React from 'react';
-import { CompletionItem } from 'vscode-languageserver-types';
+import { CompletionItem, Diagnostic, Hover, SignatureHelp } from 'vscode-languageserver-types';
 import { w3cwebsocket as W3CWebSocket } from 'websocket';
 
 import {
   getCompletionRequestMessage,
   getConfigurationChangedMessage,
   getDocumentChangedMessage,
+  getHoverRequestMessage,
   getInitializeMessage,
+  getSignatureHelpRequestMessage,
   getTextDocumentOpenedMessage,
 } from '../utils/lspMessagesUtils';
 
 const LANGUAGE_NAME = 'intellisense';
 
+type RequestKind = 'completion' | 'signatureHelp' | 'hover';
+
+export type LanguageServerResults = {
+  completionItems: CompletionItem[];
+  signatureHelp: SignatureHelp | null;
+  hover: Hover | null;
+  diagnostics: Diagnostic[];
+};
+
 /**
- * A hook that connects to a LSP server. It takes information about a textField (value, position) and returns completion results
+ * A hook that connects to a LSP server. It takes information about a textField (value, position) and returns completion results,
+ * the signature help and the hover information at the cursor, and the diagnostics of the value
  * @param url url of the LSP server
  * @param scopes scopes are used to filter the type of completion results to show (variables, expressions, etc..)
  * @param documentUri a unique identifier for the textField
@@ -30,13 +42,18 @@ export const useLanguageServer = (
   textFieldValue: string,
   cursorPosition: number,
   projectId?: string
-): CompletionItem[] => {
+): LanguageServerResults => {
   const ws = React.useRef<W3CWebSocket>();
 
   const latestMessageId = React.useRef(0);
   const latestDocumentVersion = React.useRef(0);
+  // The kind of the pending requests by id, to know how to handle their responses
+  const pendingRequests = React.useRef<Record<number, RequestKind>>({});
 
   const [completionItems, setCompletionItems] = React.useState<CompletionItem[]>([]);
+  const [signatureHelp, setSignatureHelp] = React.useState<SignatureHelp | null>(null);
+  const [hover, setHover] = React.useState<Hover | null>(null);
+  const [diagnostics, setDiagnostics] = React.useState<Diagnostic[]>([]);
 
   // Initialize websocket connection for a specific url
   React.useEffect(() => {
@@ -68,11 +85,16 @@ export const useLanguageServer = (
     }
   }, [textFieldValue]);
 
-  // Get completion results when selection changes
+  // Get completion results, signature help and hover information when selection changes
   React.useEffect(() => {
     // cursorPosition of -1 means the field is not focused
     if (ws.current && ws.current.readyState === WebSocket.OPEN && cursorPosition >= 0) {
-      getCompletionItems();
+      sendRequest('completion', getCompletionRequestMessage);
+      sendRequest('signatureHelp', getSignatureHelpRequestMessage);
+      sendRequest('hover', getHoverRequestMessage);
+    } else {
+      setSignatureHelp(null);
+      setHover(null);
     }
   }, [cursorPosition]);
 
@@ -81,13 +103,26 @@ export const useLanguageServer = (
     const message = JSON.parse(messageText.data);
     const id = message.id;
 
-    // Only completion messages have an id
-    // In the future, if other types of messages use id, then we would have to keep a table of {id: typeOfMessage} to know how to handle each message based on their id
+    // Diagnostics are notifications, they do not have an id
+    if (message.method === 'textDocument/publishDiagnostics' && message.params?.uri === documentUri) {
+      setDiagnostics(message.params.diagnostics ?? []);
+      return;
+    }
+
     if (id) {
-      if (message.result?.items) {
-        setCompletionItems(message.result?.items);
-      } else {
-        setCompletionItems([]);
+      const kind = pendingRequests.current[id];
+      delete pendingRequests.current[id];
+
+      switch (kind) {
+        case 'completion':
+          setCompletionItems(message.result?.items ?? []);
+          break;
+        case 'signatureHelp':
+          setSignatureHelp(message.result?.signatures?.length ? message.result : null);
+          break;
+        case 'hover':
+          setHover(message.result ?? null);
+          break;
       }
     }
   };
@@ -101,13 +136,17 @@ export const useLanguageServer = (
     }
   };
 
-  // Requests completion results
-  const getCompletionItems = () => {
+  // Requests results for the position of the cursor
+  const sendRequest = (
+    kind: RequestKind,
+    getMessage: (id: number, uri: string, position: { line: number; character: number }) => object
+  ) => {
     latestMessageId.current += 1;
+    pendingRequests.current[latestMessageId.current] = kind;
 
     ws.current.send(
       JSON.stringify(
-        getCompletionRequestMessage(latestMessageId.current, documentUri, {
+        getMessage(latestMessageId.current, documentUri, {
           line: 0,
           character: cursorPosition,
         })
@@ -115,5 +154,5 @@ export const useLanguageServer = (
     );
   };
 
-  return completionItems;
+  return { completionItems, signatureHelp, hover, diagnostics };
 };
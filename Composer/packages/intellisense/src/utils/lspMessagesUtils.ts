@@ -8,6 +8,7 @@ import {
   DidOpenTextDocumentParams,
   InitializeParams,
   Position,
+  TextDocumentPositionParams,
 } from 'monaco-languageclient';
 
 export const getInitializeMessage = (scopes: string[], projectId?: string) => {
@@ -85,3 +86,24 @@ export const getCompletionRequestMessage = (id: number, uri: string, position: P
     params: params,
   };
 };
+
+const getTextDocumentPositionRequestMessage = (method: string, id: number, uri: string, position: Position) => {
+  const params: TextDocumentPositionParams = {
+    position,
+    textDocument: {
+      uri,
+    },
+  };
+  return {
+    id,
+    jsonrpc: '2.0',
+    method,
+    params: params,
+  };
+};
+
+export const getSignatureHelpRequestMessage = (id: number, uri: string, position: Position) =>
+  getTextDocumentPositionRequestMessage('textDocument/signatureHelp', id, uri, position);
+
+export const getHoverRequestMessage = (id: number, uri: string, position: Position) =>
+  getTextDocumentPositionRequestMessage('textDocument/hover', id, uri, position);
@@ -1,6 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
+import { getLuReferenceAtPosition, LuReferenceKind } from '@bfc/indexers';
 import { LuFile, TelemetryClient } from '@botframework-composer/types';
 import styled from '@emotion/styled';
 import { EditorDidMount, Monaco } from '@monaco-editor/react';
@@ -18,8 +19,10 @@ import { listen, MessageConnection } from 'vscode-ws-jsonrpc';
 
 import { BaseEditor, BaseEditorProps, OnInit } from './BaseEditor';
 import { EditorPopExpandDialog } from './components/EditorPopExpandDialog';
+import { ReferencesDialog } from './components/ReferencesDialog';
 import { defaultPlaceholder, LU_HELP } from './constants';
 import { useEditorToolbarPopExpandItem } from './hooks/useEditorToolbarPopExpandItem';
+import { useReferencesDialog } from './hooks/useReferencesDialog';
 import { registerLULanguage } from './languages';
 import { getDefaultMlEntityName } from './lu/constants';
 import { useLuEntities } from './lu/hooks/useLuEntities';
@@ -27,7 +30,13 @@ import { LuEditorToolbar as DefaultLuEditorToolbar } from './lu/LuEditorToolbar'
 import { LuLabelingMenu } from './lu/LuLabelingMenu';
 import { ToolbarLuEntityType } from './lu/types';
 import { LUOption } from './utils';
-import { createLanguageClient, createUrl, createWebSocket, sendRequestWithRetry } from './utils/lspUtil';
+import {
+  createLanguageClient,
+  createUrl,
+  createWebSocket,
+  referencesMiddleware,
+  sendRequestWithRetry,
+} from './utils/lspUtil';
 import { computeDefineLuEntityEdits, computeInsertLuEntityEdits } from './utils/luUtils';
 import { withTooltip } from './utils/withTooltip';
 
@@ -85,7 +94,9 @@ export type LULSPEditorProps = BaseEditorProps & {
     tooltip: string;
   }>;
   telemetryClient: TelemetryClient;
-  onNavigateToLuPage?: (luFileId: string, luSectionId?: string) => void;
+  onNavigateToLuPage?: (luFileId: string, luSectionId?: string, line?: number) => void;
+  /** when set, the editor can rename an intent or an entity across the bot after previewing the edits */
+  onRenameLuItem?: (item: { kind: LuReferenceKind; name: string }, newName: string) => void;
 };
 
 const defaultLUServer = {
@@ -139,6 +150,7 @@ const LuEditor: React.FC<LULSPEditorProps> = (props) => {
   const {
     toolbarOptions,
     onNavigateToLuPage,
+    onRenameLuItem,
     luOption,
     luFile,
     languageServer,
@@ -163,6 +175,14 @@ const LuEditor: React.FC<LULSPEditorProps> = (props) => {
 
   const [editor, setEditor] = useState<any>();
   const entities = useLuEntities(luFile);
+  const references = useReferencesDialog({
+    editor,
+    monaco: monacoRef.current,
+    getLanguageClient: () => window.monacoLUEditorInstance,
+    getTarget: getLuReferenceAtPosition,
+    canRename: !!onRenameLuItem,
+    disabled: props.options?.readOnly,
+  });
 
   const [labelingMenuVisible, setLabelingMenuVisible] = useState(false);
   const editorDomRef = useRef<HTMLElement | null>(null);
@@ -199,7 +219,12 @@ const LuEditor: React.FC<LULSPEditorProps> = (props) => {
       listen({
         webSocket,
         onConnection: (connection: MessageConnection) => {
-          const languageClient = createLanguageClient(formatMessage('LU Language Client'), ['lu'], connection);
+          const languageClient = createLanguageClient(
+            formatMessage('LU Language Client'),
+            ['lu'],
+            connection,
+            referencesMiddleware
+          );
           onLuNavigationMsg(languageClient, onNavigateToLuPage);
           const m = monacoRef.current;
           if (m) {
@@ -323,6 +348,14 @@ const LuEditor: React.FC<LULSPEditorProps> = (props) => {
     onNavigateToLuPage?.(luOption?.fileId ?? 'common', luOption?.sectionId);
   }, [onNavigateToLuPage, luOption]);
 
+  const navigateToReference = React.useCallback(
+    (luFileId: string, line: number) => {
+      references.dismiss();
+      onNavigateToLuPage?.(luFileId, undefined, line);
+    },
+    [onNavigateToLuPage, references.dismiss]
+  );
+
   const onLabelingMenuToggled = React.useCallback((visible: boolean) => setLabelingMenuVisible(visible), []);
 
   return (
@@ -378,6 +411,21 @@ const LuEditor: React.FC<LULSPEditorProps> = (props) => {
           onDismiss={dismiss}
         />
       )}
+      {references.request && (
+        <ReferencesDialog
+          // the body of an inline section has its own line numbers
+          documentFileName={luOption?.sectionId ? `#${luOption.sectionId}` : `${luOption?.fileId}.lu`}
+          documentUri={references.request.uri}
+          fileExtension=".lu"
+          mode={references.request.mode}
+          name={references.request.target.name}
+          requestReferences={references.requestReferences}
+          requestRename={references.requestRename}
+          onDismiss={references.dismiss}
+          onNavigate={luOption?.projectId && onNavigateToLuPage ? navigateToReference : undefined}
+          onRename={(newName) => references.request && onRenameLuItem?.(references.request.target, newName)}
+        />
+      )}
     </>
   );
 };
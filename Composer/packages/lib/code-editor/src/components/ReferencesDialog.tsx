@@ -0,0 +1,205 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+import formatMessage from 'format-message';
+import { DefaultButton, PrimaryButton } from 'office-ui-fabric-react/lib/Button';
+import { Dialog, DialogFooter } from 'office-ui-fabric-react/lib/Dialog';
+import { Link } from 'office-ui-fabric-react/lib/Link';
+import { Spinner } from 'office-ui-fabric-react/lib/Spinner';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import { TextField } from 'office-ui-fabric-react/lib/TextField';
+import React, { useEffect, useState } from 'react';
+
+import {
+  FileReferences,
+  groupReferencesByFile,
+  LspLocation,
+  LspWorkspaceEdit,
+  workspaceEditToLocations,
+} from '../utils/referenceUtils';
+
+export type ReferencesDialogMode = 'references' | 'rename';
+
+type Props = {
+  mode: ReferencesDialogMode;
+  /** name of the template, intent or entity */
+  name: string;
+  /** extension of the files that can be navigated to, like .lg */
+  fileExtension: string;
+  documentUri: string;
+  documentFileName: string;
+  requestReferences: () => Promise<LspLocation[] | null>;
+  requestRename: (newName: string) => Promise<LspWorkspaceEdit | null>;
+  onNavigate?: (fileId: string, line: number) => void;
+  /** called with the edit of the preview, the one the user saw */
+  onRename: (newName: string, edit: LspWorkspaceEdit) => void;
+  onDismiss: () => void;
+};
+
+const modalStyles = { main: { maxWidth: '640px !important', width: '640px !important' } };
+const listTokens = { childrenGap: 8 };
+const lineTokens = { childrenGap: 2 };
+const fileNameStyles = { root: { fontWeight: 600 } };
+const lineStyles = { root: { color: NeutralColors.gray130, paddingLeft: 12 } };
+const errorStyles = { root: { color: SharedColors.red10 } };
+
+const ReferenceList: React.FC<{
+  files: FileReferences[];
+  fileExtension: string;
+  renderLine: (line: number) => React.ReactNode;
+  onNavigate?: (fileId: string, line: number) => void;
+}> = ({ files, fileExtension, renderLine, onNavigate }) => (
+  <Stack tokens={listTokens}>
+    {files.map(({ fileName, lines }) => (
+      <Stack key={fileName} tokens={lineTokens}>
+        <Text styles={fileNameStyles}>{fileName}</Text>
+        {lines.map((line, index) =>
+          onNavigate && fileName.endsWith(fileExtension) ? (
+            <Link
+              key={index}
+              styles={lineStyles}
+              onClick={() => onNavigate(fileName.substring(0, fileName.length - fileExtension.length), line)}
+            >
+              {renderLine(line)}
+            </Link>
+          ) : (
+            <Text key={index} styles={lineStyles}>
+              {renderLine(line)}
+            </Text>
+          )
+        )}
+      </Stack>
+    ))}
+  </Stack>
+);
+
+/**
+ * Lists the references of an LG template, an LU intent or an LU entity across the files of the bot. In rename mode
+ * it previews every edit of the rename before it is applied.
+ */
+export const ReferencesDialog: React.FC<Props> = (props) => {
+  const {
+    mode,
+    name,
+    fileExtension,
+    documentUri,
+    documentFileName,
+    requestReferences,
+    requestRename,
+    onNavigate,
+    onRename,
+    onDismiss,
+  } = props;
+
+  const [files, setFiles] = useState<FileReferences[]>();
+  const [newName, setNewName] = useState(name);
+  const [preview, setPreview] = useState<{ newName: string; edit: LspWorkspaceEdit; files: FileReferences[] }>();
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (mode !== 'references') return;
+    requestReferences()
+      .then((locations) => setFiles(groupReferencesByFile(locations ?? [], documentUri, documentFileName)))
+      .catch((error) => setErrorMessage(error.message));
+  }, [mode]);
+
+  const previewRename = async () => {
+    setErrorMessage('');
+    try {
+      const edit = (await requestRename(newName)) ?? {};
+      setPreview({
+        newName,
+        edit,
+        files: groupReferencesByFile(workspaceEditToLocations(edit), documentUri, documentFileName),
+      });
+    } catch (error) {
+      setPreview(undefined);
+      setErrorMessage(error.message);
+    }
+  };
+
+  const changeNewName = (_, value?: string) => {
+    setNewName(value ?? '');
+    setPreview(undefined);
+  };
+
+  const renderContent = () => {
+    if (mode === 'references') {
+      if (errorMessage) return <Text styles={errorStyles}>{errorMessage}</Text>;
+      if (!files) return <Spinner />;
+      if (!files.length) return <Text>{formatMessage('No references found.')}</Text>;
+      return (
+        <ReferenceList
+          fileExtension={fileExtension}
+          files={files}
+          renderLine={(line) => formatMessage('Line {line}', { line })}
+          onNavigate={onNavigate}
+        />
+      );
+    }
+
+    return (
+      <Stack tokens={listTokens}>
+        <TextField
+          autoFocus
+          label={formatMessage('New name')}
+          value={newName}
+          onChange={changeNewName}
+          onKeyDown={(e) => e.key === 'Enter' && previewRename()}
+        />
+        {errorMessage && <Text styles={errorStyles}>{errorMessage}</Text>}
+        {preview && (
+          <ReferenceList
+            fileExtension={fileExtension}
+            files={preview.files}
+            renderLine={(line) =>
+              formatMessage('Line {line}: {name} → {newName}', { line, name, newName: preview.newName })
+            }
+          />
+        )}
+      </Stack>
+    );
+  };
+
+  const canApply = !!preview && preview.newName === newName && preview.files.length > 0;
+
+  return (
+    <Dialog
+      dialogContentProps={{
+        title:
+          mode === 'references'
+            ? formatMessage('References to {name}', { name })
+            : formatMessage('Rename {name}', { name }),
+      }}
+      hidden={false}
+      modalProps={{ isBlocking: mode === 'rename', styles: modalStyles }}
+      onDismiss={onDismiss}
+    >
+      {renderContent()}
+      <DialogFooter>
+        {mode === 'rename' &&
+          (canApply ? (
+            <PrimaryButton
+              text={formatMessage('Apply')}
+              onClick={() => {
+                preview && onRename(newName, preview.edit);
+                onDismiss();
+              }}
+            />
+          ) : (
+            <PrimaryButton
+              disabled={!newName || newName === name}
+              text={formatMessage('Preview')}
+              onClick={previewRename}
+            />
+          ))}
+        <DefaultButton
+          text={mode === 'rename' ? formatMessage('Cancel') : formatMessage('Close')}
+          onClick={onDismiss}
+        />
+      </DialogFooter>
+    </Dialog>
+  );
+};
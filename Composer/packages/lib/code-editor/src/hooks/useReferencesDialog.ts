@@ -0,0 +1,111 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Monaco } from '@monaco-editor/react';
+import formatMessage from 'format-message';
+import { MonacoLanguageClient } from 'monaco-languageclient';
+import React, { useEffect, useState } from 'react';
+
+import { ReferencesDialogMode } from '../components/ReferencesDialog';
+import { LspLocation, LspWorkspaceEdit } from '../utils/referenceUtils';
+
+export type ReferencesRequest<T extends { name: string }> = {
+  mode: ReferencesDialogMode;
+  target: T;
+  uri: string;
+  /** 0 based, like the language server protocol */
+  position: { line: number; character: number };
+};
+
+type Options<T extends { name: string }> = {
+  editor: any;
+  monaco?: Monaco;
+  /** the language client is shared by the editors and created by the first one */
+  getLanguageClient: () => MonacoLanguageClient | undefined;
+  /** what the references are looked for, from the line and 0 based column of the cursor */
+  getTarget: (lineText: string, character: number) => T | undefined;
+  canRename: boolean;
+  disabled?: boolean;
+};
+
+/**
+ * Adds the "Find all references" and "Rename" actions to an editor. They open a ReferencesDialog for the returned
+ * request, the requests go to the language server as monaco only knows the open document.
+ */
+export const useReferencesDialog = <T extends { name: string }>({
+  editor,
+  monaco,
+  getLanguageClient,
+  getTarget,
+  canRename,
+  disabled,
+}: Options<T>) => {
+  const [request, setRequest] = useState<ReferencesRequest<T>>();
+
+  useEffect(() => {
+    if (!editor || !monaco || disabled) return;
+
+    const openReferencesDialog = (mode: ReferencesDialogMode) => (ed) => {
+      const model = ed.getModel();
+      const position = ed.getPosition();
+      if (!model || !position) return;
+      const target = getTarget(model.getLineContent(position.lineNumber), position.column - 1);
+      if (!target) return;
+      setRequest({
+        mode,
+        target,
+        uri: model.uri.toString(),
+        position: { line: position.lineNumber - 1, character: position.column - 1 },
+      });
+    };
+
+    const actions = [
+      editor.addAction({
+        id: 'composer.findAllReferences',
+        label: formatMessage('Find all references'),
+        // eslint-disable-next-line no-bitwise
+        keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.F12],
+        contextMenuGroupId: 'navigation',
+        run: openReferencesDialog('references'),
+      }),
+    ];
+    if (canRename) {
+      actions.push(
+        editor.addAction({
+          id: 'composer.rename',
+          label: formatMessage('Rename'),
+          keybindings: [monaco.KeyCode.F2],
+          contextMenuGroupId: 'navigation',
+          run: openReferencesDialog('rename'),
+        })
+      );
+    }
+
+    return () => actions.forEach((action) => action.dispose());
+  }, [editor, monaco, canRename, disabled]);
+
+  const requestReferences = React.useCallback(async (): Promise<LspLocation[] | null> => {
+    const languageClient = getLanguageClient();
+    if (!request || !languageClient) return null;
+    const { uri, position } = request;
+    return languageClient.sendRequest('textDocument/references', {
+      textDocument: { uri },
+      position,
+      context: { includeDeclaration: true },
+    });
+  }, [request]);
+
+  const requestRename = React.useCallback(
+    async (newName: string): Promise<LspWorkspaceEdit | null> => {
+      const languageClient = getLanguageClient();
+      if (!request || !languageClient) return null;
+      const { uri, position } = request;
+      return languageClient.sendRequest('textDocument/rename', { textDocument: { uri }, position, newName });
+    },
+    [request]
+  );
+
+  const dismiss = React.useCallback(() => setRequest(undefined), []);
+
+  return { request, requestReferences, requestRename, dismiss };
+};
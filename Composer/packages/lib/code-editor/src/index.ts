@@ -24,4 +24,5 @@ export * from './QnAEditor';
 export * from './constants';
 export * from './utils/lgValidate';
 export * from './types';
+export { LspWorkspaceEdit } from './utils/referenceUtils';
 export * from './components/toolbar';
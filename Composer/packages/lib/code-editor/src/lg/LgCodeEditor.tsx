@@ -2,7 +2,7 @@
 // Licensed under the MIT License.
 
 import styled from '@emotion/styled';
-import { EditorDidMount } from '@monaco-editor/react';
+import { EditorDidMount, Monaco } from '@monaco-editor/react';
 import { FluentTheme, NeutralColors } from '@uifabric/fluent-theme';
 import formatMessage from 'format-message';
 import get from 'lodash/get';
@@ -12,21 +12,31 @@ import { Icon } from 'office-ui-fabric-react/lib/Icon';
 import { Link } from 'office-ui-fabric-react/lib/Link';
 import { Stack } from 'office-ui-fabric-react/lib/Stack';
 import { Text } from 'office-ui-fabric-react/lib/Text';
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { listen, MessageConnection } from 'vscode-ws-jsonrpc';
 
 import { BaseEditor, OnInit } from '../BaseEditor';
 import { EditorPopExpandDialog } from '../components/EditorPopExpandDialog';
+import { ReferencesDialog } from '../components/ReferencesDialog';
 import { FieldToolbar } from '../components/toolbar/FieldToolbar';
 import { LG_HELP } from '../constants';
 import { useEditorToolbarPopExpandItem } from '../hooks/useEditorToolbarPopExpandItem';
+import { useReferencesDialog } from '../hooks/useReferencesDialog';
 import { registerLGLanguage } from '../languages';
 import { LgCodeEditorProps, ToolbarButtonPayload } from '../types';
-import { computeRequiredEdits } from '../utils/lgUtils';
-import { createLanguageClient, createUrl, createWebSocket, sendRequestWithRetry } from '../utils/lspUtil';
+import { computeRequiredEdits, getTemplateNameAtLine } from '../utils/lgUtils';
+import {
+  createLanguageClient,
+  createUrl,
+  createWebSocket,
+  referencesMiddleware,
+  sendRequestWithRetry,
+} from '../utils/lspUtil';
+import { getWordAtCharacter } from '../utils/referenceUtils';
 import { withTooltip } from '../utils/withTooltip';
 
 import { jsLgToolbarMenuClassName } from './constants';
+import { LgTemplatePreview } from './LgTemplatePreview';
 
 const placeholder = formatMessage(
   `> To learn more about the LG file format, read the documentation at
@@ -74,6 +84,11 @@ const defaultLGServer = {
   path: '/lg-language-server',
 };
 
+const getTemplateAtCharacter = (lineText: string, character: number) => {
+  const name = getWordAtCharacter(lineText, character);
+  return name ? { name } : undefined;
+};
+
 declare global {
   interface Window {
     monacoServiceInstance: MonacoServices;
@@ -100,6 +115,8 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
     telemetryClient,
     showDirectTemplateLink,
     onNavigateToLgPage,
+    onRenameTemplate,
+    onEvaluateTemplate,
     popExpandOptions,
     onChange,
     ...restProps
@@ -120,6 +137,15 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
   }
 
   const [editor, setEditor] = useState<any>();
+  const monacoRef = useRef<Monaco>();
+  const references = useReferencesDialog({
+    editor,
+    monaco: monacoRef.current,
+    getLanguageClient: () => window.monacoLGEditorInstance,
+    getTarget: getTemplateAtCharacter,
+    canRename: !!onRenameTemplate,
+    disabled: props.options?.readOnly,
+  });
 
   useEffect(() => {
     if (props.options?.readOnly) {
@@ -143,7 +169,8 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
           const languageClient = createLanguageClient(
             formatMessage('LG Language Client'),
             ['botbuilderlg'],
-            connection
+            connection,
+            referencesMiddleware
           );
 
           sendRequestWithRetry(languageClient, 'initializeDocuments', { lgOption, uri });
@@ -174,8 +201,29 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
     }
   }, [editor, onNavigateToLgPage]);
 
+  // the preview of a whole .lg file follows the template at the cursor
+  const [cursorTemplateId, setCursorTemplateId] = useState<string>();
+  useEffect(() => {
+    if (!editor || !onEvaluateTemplate || lgOption?.templateId) return;
+
+    const disposable = editor.onDidChangeCursorPosition(({ position }) => {
+      const lines: string[] = editor.getModel()?.getLinesContent() ?? [];
+      setCursorTemplateId(getTemplateNameAtLine(lines, position.lineNumber - 1));
+    });
+    return () => disposable.dispose();
+  }, [editor, onEvaluateTemplate, lgOption?.templateId]);
+
+  const navigateToReference = React.useCallback(
+    (lgFileId: string, line: number) => {
+      references.dismiss();
+      onNavigateToLgPage?.(lgFileId, { line });
+    },
+    [onNavigateToLgPage, references.dismiss]
+  );
+
   const onInit: OnInit = (monaco) => {
     registerLGLanguage(monaco);
+    monacoRef.current = monaco;
 
     if (typeof onInitProp === 'function') {
       onInitProp(monaco);
@@ -259,6 +307,13 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
             </LgTemplateLink>
           </Stack>
         )}
+        {onEvaluateTemplate && (
+          <LgTemplatePreview
+            templateId={lgOption?.templateId ?? cursorTemplateId}
+            value={props.value}
+            onEvaluateTemplate={onEvaluateTemplate}
+          />
+        )}
       </Stack>
       {isExpanded && (
         <EditorPopExpandDialog<LgCodeEditorProps>
@@ -270,6 +325,24 @@ export const LgCodeEditor = (props: LgCodeEditorProps) => {
           onDismiss={dismiss}
         />
       )}
+      {references.request && (
+        <ReferencesDialog
+          // the body of an inline template has its own line numbers
+          documentFileName={lgOption?.templateId ? `#${lgOption.templateId}` : `${lgOption?.fileId}.lg`}
+          documentUri={references.request.uri}
+          fileExtension=".lg"
+          mode={references.request.mode}
+          name={references.request.target.name}
+          requestReferences={references.requestReferences}
+          requestRename={references.requestRename}
+          onDismiss={references.dismiss}
+          onNavigate={lgOption?.projectId && onNavigateToLgPage ? navigateToReference : undefined}
+          onRename={(newName, edit) =>
+            references.request &&
+            onRenameTemplate?.(references.request.target.name, newName, edit, references.request.uri)
+          }
+        />
+      )}
     </>
   );
 };
@@ -6,6 +6,7 @@ import * as React from 'react';
 import { LgResponseEditorProps } from '../types';
 import { getStructuredResponseFromTemplate } from '../utils/structuredResponse';
 
+import { LgTemplatePreview } from './LgTemplatePreview';
 import { ModalityPivot } from './ModalityPivot';
 
 export const LgResponseEditor = React.memo(
@@ -17,20 +18,30 @@ export const LgResponseEditor = React.memo(
     editorSettings,
     onTemplateChange,
     onRemoveTemplate = () => {},
+    onEvaluateTemplate,
   }: LgResponseEditorProps) => {
     const structuredResponse = getStructuredResponseFromTemplate(lgOption?.template);
 
     return (
-      <ModalityPivot
-        editorSettings={editorSettings}
-        lgOption={lgOption}
-        lgTemplates={lgTemplates}
-        memoryVariables={memoryVariables}
-        structuredResponse={structuredResponse}
-        telemetryClient={telemetryClient}
-        onRemoveTemplate={onRemoveTemplate}
-        onTemplateChange={onTemplateChange}
-      />
+      <React.Fragment>
+        <ModalityPivot
+          editorSettings={editorSettings}
+          lgOption={lgOption}
+          lgTemplates={lgTemplates}
+          memoryVariables={memoryVariables}
+          structuredResponse={structuredResponse}
+          telemetryClient={telemetryClient}
+          onRemoveTemplate={onRemoveTemplate}
+          onTemplateChange={onTemplateChange}
+        />
+        {onEvaluateTemplate && (
+          <LgTemplatePreview
+            templateId={lgOption?.templateId}
+            value={lgOption?.template?.body}
+            onEvaluateTemplate={onEvaluateTemplate}
+          />
+        )}
+      </React.Fragment>
     );
   }
 );
@@ -0,0 +1,200 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { LgTemplateEvaluation, LgTemplatePreview as Preview } from '@bfc/shared';
+import styled from '@emotion/styled';
+import { FluentTheme, NeutralColors, SharedColors } from '@uifabric/fluent-theme';
+import formatMessage from 'format-message';
+import { ActionButton } from 'office-ui-fabric-react/lib/Button';
+import { Link } from 'office-ui-fabric-react/lib/Link';
+import { Stack } from 'office-ui-fabric-react/lib/Stack';
+import { Text } from 'office-ui-fabric-react/lib/Text';
+import React, { useEffect, useState } from 'react';
+
+import { JsonEditor } from '../JsonEditor';
+
+// the template is evaluated again when the user stops typing
+const EVALUATION_DELAY = 500;
+
+const defaultMemory = { user: {}, dialog: {}, turn: {} };
+
+const linkStyles = { root: { fontSize: FluentTheme.fonts.small.fontSize } };
+const variationButtonStyles = {
+  root: { height: 24, minWidth: 24, padding: '0 4px', fontSize: FluentTheme.fonts.small.fontSize },
+  rootChecked: { backgroundColor: NeutralColors.gray30 },
+};
+const sectionTokens = { childrenGap: 4 };
+
+const Root = styled.div({
+  borderTop: `1px solid ${NeutralColors.gray30}`,
+  padding: '4px 0',
+});
+
+const Output = styled.div({
+  border: `1px solid ${NeutralColors.gray30}`,
+  padding: 8,
+  marginTop: 4,
+  fontSize: FluentTheme.fonts.small.fontSize,
+  wordBreak: 'break-word',
+});
+
+const Label = styled.div({
+  color: NeutralColors.gray130,
+  fontSize: FluentTheme.fonts.xSmall.fontSize,
+  marginTop: 4,
+});
+
+const Attachment = styled.pre({
+  margin: 0,
+  padding: 4,
+  maxHeight: 120,
+  overflow: 'auto',
+  backgroundColor: NeutralColors.gray10,
+  fontSize: FluentTheme.fonts.xSmall.fontSize,
+});
+
+const SuggestedAction = styled.span({
+  display: 'inline-block',
+  border: `1px solid ${FluentTheme.palette.accent}`,
+  borderRadius: 12,
+  color: FluentTheme.palette.accent,
+  padding: '0 8px',
+  marginRight: 4,
+});
+
+const ErrorMessage = styled.div({
+  color: SharedColors.red20,
+  fontSize: FluentTheme.fonts.small.fontSize,
+  marginTop: 4,
+});
+
+const PreviewOutput = ({ preview }: { preview: Preview }) => {
+  const { text, speak, attachments, suggestedActions } = preview;
+
+  return (
+    <Output data-testid="LgTemplatePreviewOutput">
+      {text !== undefined && (
+        <React.Fragment>
+          <Label>{formatMessage('Text')}</Label>
+          <div>{text}</div>
+        </React.Fragment>
+      )}
+      {speak !== undefined && (
+        <React.Fragment>
+          <Label>{formatMessage('Speech')}</Label>
+          <div>{speak}</div>
+        </React.Fragment>
+      )}
+      {attachments.map(({ contentType, content }, index) => (
+        <React.Fragment key={index}>
+          <Label>{formatMessage('Attachment: {contentType}', { contentType })}</Label>
+          <Attachment>{typeof content === 'string' ? content : JSON.stringify(content, null, 2)}</Attachment>
+        </React.Fragment>
+      ))}
+      {suggestedActions.length > 0 && (
+        <React.Fragment>
+          <Label>{formatMessage('Suggested actions')}</Label>
+          <div>
+            {suggestedActions.map((action, index) => (
+              <SuggestedAction key={index}>{action}</SuggestedAction>
+            ))}
+          </div>
+        </React.Fragment>
+      )}
+    </Output>
+  );
+};
+
+type Props = {
+  /** name of the template to preview */
+  templateId?: string;
+  /** content the template is evaluated from, the preview is refreshed when it changes */
+  value?: string;
+  onEvaluateTemplate: (
+    templateId: string,
+    memory: Record<string, unknown>
+  ) => Promise<LgTemplateEvaluation | undefined>;
+};
+
+/**
+ * Collapsible preview of what the bot sends for a template, evaluated against a memory the user can edit.
+ */
+export const LgTemplatePreview: React.FC<Props> = ({ templateId, value, onEvaluateTemplate }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [memory, setMemory] = useState<Record<string, unknown>>(defaultMemory);
+  const [evaluation, setEvaluation] = useState<LgTemplateEvaluation | undefined>();
+  // index of the variation picked by the user, undefined for a random evaluation
+  const [variationIndex, setVariationIndex] = useState<number | undefined>();
+  const [evaluationCount, setEvaluationCount] = useState(0);
+
+  useEffect(() => {
+    if (!expanded || !templateId) {
+      setEvaluation(undefined);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      const result = await onEvaluateTemplate(templateId, memory);
+      if (!cancelled) {
+        setEvaluation(result);
+        setVariationIndex(undefined);
+      }
+    }, EVALUATION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [expanded, templateId, value, memory, evaluationCount]);
+
+  const changeMemory = React.useCallback((newMemory?: object) => {
+    setMemory((newMemory as Record<string, unknown>) ?? {});
+  }, []);
+
+  const preview = variationIndex === undefined ? evaluation?.result : evaluation?.variations[variationIndex];
+  const variations = evaluation?.variations ?? [];
+
+  return (
+    <Root>
+      <Link as="button" styles={linkStyles} onClick={() => setExpanded(!expanded)}>
+        {expanded ? formatMessage('Hide preview') : formatMessage('Show preview')}
+      </Link>
+      {expanded && (
+        <Stack tokens={sectionTokens}>
+          <Label>{formatMessage('Sample memory')}</Label>
+          <JsonEditor height={120} id="lg-template-preview-memory" value={memory} onChange={changeMemory} />
+          {!templateId ? (
+            <Text variant="small">{formatMessage('Place the cursor in a template to preview it.')}</Text>
+          ) : (
+            <React.Fragment>
+              <Stack horizontal wrap verticalAlign="center">
+                <Text variant="small">{formatMessage('Preview of #{templateId}()', { templateId })}</Text>
+                <ActionButton
+                  iconProps={{ iconName: 'Refresh' }}
+                  styles={variationButtonStyles}
+                  title={formatMessage('Evaluate again')}
+                  onClick={() => setEvaluationCount(evaluationCount + 1)}
+                />
+                {variations.length > 1 &&
+                  variations.map((_, index) => (
+                    <ActionButton
+                      key={index}
+                      checked={index === variationIndex}
+                      styles={variationButtonStyles}
+                      title={formatMessage('Show variation {number}', { number: index + 1 })}
+                      onClick={() => setVariationIndex(index)}
+                    >
+                      {index + 1}
+                    </ActionButton>
+                  ))}
+              </Stack>
+              {evaluation?.error && <ErrorMessage>{evaluation.error}</ErrorMessage>}
+              {preview && <PreviewOutput preview={preview} />}
+            </React.Fragment>
+          )}
+        </Stack>
+      )}
+    </Root>
+  );
+};
@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import React from 'react';
+import { fireEvent, render } from '@botframework-composer/test-utils';
+
+import { LgTemplatePreview } from '../LgTemplatePreview';
+
+jest.mock('../../JsonEditor', () => ({
+  JsonEditor: () => <div>Memory Editor</div>,
+}));
+
+const evaluation = {
+  result: { text: 'Hello Ann', attachments: [], suggestedActions: ['Help'] },
+  variations: [
+    { text: 'Hi Ann', attachments: [], suggestedActions: ['Help'] },
+    { text: 'Hello Ann', attachments: [], suggestedActions: ['Help'] },
+  ],
+};
+
+describe('<LgTemplatePreview />', () => {
+  it('evaluates the template once expanded', async () => {
+    const onEvaluateTemplate = jest.fn().mockResolvedValue(evaluation);
+    const { findByText, getByText } = render(
+      <LgTemplatePreview templateId="Greeting" value="- hi" onEvaluateTemplate={onEvaluateTemplate} />
+    );
+    expect(onEvaluateTemplate).not.toHaveBeenCalled();
+
+    fireEvent.click(getByText('Show preview'));
+
+    expect(await findByText('Hello Ann')).toBeInTheDocument();
+    expect(getByText('Help')).toBeInTheDocument();
+    expect(onEvaluateTemplate).toHaveBeenCalledWith('Greeting', { user: {}, dialog: {}, turn: {} });
+  });
+
+  it('shows the variation picked by the user', async () => {
+    const onEvaluateTemplate = jest.fn().mockResolvedValue(evaluation);
+    const { findByText, getByText, queryByText } = render(
+      <LgTemplatePreview templateId="Greeting" value="- hi" onEvaluateTemplate={onEvaluateTemplate} />
+    );
+
+    fireEvent.click(getByText('Show preview'));
+    fireEvent.click(await findByText('1'));
+
+    expect(getByText('Hi Ann')).toBeInTheDocument();
+    expect(queryByText('Hello Ann')).not.toBeInTheDocument();
+  });
+
+  it('shows the evaluation error', async () => {
+    const onEvaluateTemplate = jest.fn().mockResolvedValue({ variations: [], error: 'user.name is undefined' });
+    const { findByText, getByText } = render(
+      <LgTemplatePreview templateId="Greeting" onEvaluateTemplate={onEvaluateTemplate} />
+    );
+
+    fireEvent.click(getByText('Show preview'));
+
+    expect(await findByText('user.name is undefined')).toBeInTheDocument();
+  });
+});
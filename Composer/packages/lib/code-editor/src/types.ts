@@ -1,9 +1,10 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { CodeEditorSettings, LgTemplate, TelemetryClient } from '@bfc/shared';
+import { CodeEditorSettings, LgTemplate, LgTemplateEvaluation, TelemetryClient } from '@bfc/shared';
 
 import { BaseEditorProps } from './BaseEditor';
+import { LspWorkspaceEdit } from './utils/referenceUtils';
 import { LGOption } from './utils/types';
 
 /**
@@ -14,6 +15,11 @@ type LgCommonEditorProps = {
   memoryVariables?: readonly string[];
   lgOption?: LGOption;
   telemetryClient: TelemetryClient;
+  /** when set, the editors preview the template evaluated against a sample memory */
+  onEvaluateTemplate?: (
+    templateId: string,
+    memory: Record<string, unknown>
+  ) => Promise<LgTemplateEvaluation | undefined>;
 };
 
 /**
@@ -33,6 +39,16 @@ export type LgCodeEditorProps = LgCommonEditorProps &
     toolbarOptions?: Partial<{ hidden: boolean }>;
     showDirectTemplateLink?: boolean;
     onNavigateToLgPage?: (lgFileId: string, options?: { templateId?: string; line?: number }) => void;
+    /**
+     * When set, the editor can rename a template across the bot after previewing the edits. The edit is the previewed
+     * one, documentUri is the uri of the open document in it.
+     */
+    onRenameTemplate?: (
+      templateName: string,
+      newTemplateName: string,
+      edit: LspWorkspaceEdit,
+      documentUri: string
+    ) => void;
     languageServer?:
       | {
           host?: string;
@@ -0,0 +1,18 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getTemplateNameAtLine } from '../lgUtils';
+
+describe('getTemplateNameAtLine', () => {
+  const lines = ['> comment', '# Greeting', '- hi', '', '# Welcome(name)', '- hello ${name}'];
+
+  it('returns the template the line belongs to', () => {
+    expect(getTemplateNameAtLine(lines, 1)).toBe('Greeting');
+    expect(getTemplateNameAtLine(lines, 3)).toBe('Greeting');
+    expect(getTemplateNameAtLine(lines, 5)).toBe('Welcome');
+  });
+
+  it('returns nothing above the first template', () => {
+    expect(getTemplateNameAtLine(lines, 0)).toBeUndefined();
+  });
+});
@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  getReferenceFileName,
+  getWordAtCharacter,
+  groupReferencesByFile,
+  workspaceEditToLocations,
+} from '../referenceUtils';
+
+const range = (line: number) => ({ start: { line, character: 0 }, end: { line, character: 5 } });
+
+describe('referenceUtils', () => {
+  it('getReferenceFileName: returns the name of the file a uri points to', () => {
+    expect(getReferenceFileName('inmemory://model/1', 'inmemory://model/1', 'main.en-us.lg')).toBe('main.en-us.lg');
+    expect(getReferenceFileName('composer://1.234/main.dialog', 'inmemory://model/1', 'main.en-us.lg')).toBe(
+      'main.dialog'
+    );
+  });
+
+  it('groupReferencesByFile: groups the lines by file with the open document first', () => {
+    const locations = [
+      { uri: 'composer://1/common.en-us.lg', range: range(2) },
+      { uri: 'inmemory://model/1', range: range(0) },
+      { uri: 'composer://1/common.en-us.lg', range: range(7) },
+    ];
+    expect(groupReferencesByFile(locations, 'inmemory://model/1', 'main.en-us.lg')).toEqual([
+      { fileName: 'main.en-us.lg', lines: [1] },
+      { fileName: 'common.en-us.lg', lines: [3, 8] },
+    ]);
+  });
+
+  it('workspaceEditToLocations: lists the edited ranges', () => {
+    const edit = { changes: { 'composer://1/main.dialog': [{ range: range(4), newText: 'Hi' }] } };
+    expect(workspaceEditToLocations(edit)).toEqual([{ uri: 'composer://1/main.dialog', range: range(4) }]);
+    expect(workspaceEditToLocations({})).toEqual([]);
+  });
+
+  it('getWordAtCharacter: returns the word under the cursor', () => {
+    expect(getWordAtCharacter('- ${Greet.a-b(user.name)}', 5)).toBe('Greet.a-b');
+    expect(getWordAtCharacter('- ${Greet()}', 1)).toBeUndefined();
+  });
+});
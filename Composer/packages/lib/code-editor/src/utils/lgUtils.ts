@@ -130,3 +130,17 @@ export const getUniqueTemplateName = (templateId: string, templates?: readonly L
     ? (getUniqueTemplateName(templateId, templates) as string)
     : id;
 };
+
+const templateNamePattern = /^\s*#\s*([^\s(]+)/;
+
+/**
+ * Finds the name of the template a line of an .lg document belongs to.
+ * @param lines Lines of the LG document.
+ * @param lineIndex 0 based index of the line.
+ */
+export const getTemplateNameAtLine = (lines: string[], lineIndex: number): string | undefined => {
+  for (let i = Math.min(lineIndex, lines.length - 1); i >= 0; i--) {
+    const name = templateNamePattern.exec(lines[i])?.[1];
+    if (name) return name;
+  }
+};
@@ -35,10 +35,23 @@ export function createWebSocket(url: string): WebSocket {
   return new ReconnectingWebSocket(url, [], socketOptions);
 }
 
+/**
+ * Monaco only knows the open document: its references are kept, a rename that edits other files is left to a
+ * ReferencesDialog that previews it before the host applies it.
+ */
+export const referencesMiddleware: LanguageClientOptions['middleware'] = {
+  provideReferences: (document, position, options, token, next) =>
+    Promise.resolve(next(document, position, options, token)).then((locations) =>
+      locations?.filter(({ uri }) => uri.toString() === document.uri.toString())
+    ),
+  provideRenameEdits: () => undefined,
+};
+
 export function createLanguageClient(
   name: string,
   documentSelector: LanguageClientOptions['documentSelector'],
-  connection: MessageConnection
+  connection: MessageConnection,
+  middleware?: LanguageClientOptions['middleware']
 ): MonacoLanguageClient {
   return new MonacoLanguageClient({
     name,
@@ -50,6 +63,7 @@ export function createLanguageClient(
         error: () => ErrorAction.Continue,
         closed: () => CloseAction.DoNotRestart,
       },
+      middleware,
     },
     // create a language client connection from the JSON RPC connection on demand
     connectionProvider: {
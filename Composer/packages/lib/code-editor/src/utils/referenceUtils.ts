@@ -0,0 +1,61 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+type LspRange = { start: { line: number; character: number }; end: { line: number; character: number } };
+
+export type LspLocation = { uri: string; range: LspRange };
+
+export type LspWorkspaceEdit = { changes?: Record<string, { range: LspRange; newText: string }[]> };
+
+export type FileReferences = {
+  /** name of the file with its extension, like main.en-us.lg or main.dialog */
+  fileName: string;
+  /** 1 based line numbers, one per reference */
+  lines: number[];
+};
+
+const resourceUriPattern = /^composer:\/\/[^/]*\/(.+)$/;
+
+/**
+ * The language server refers to the open document with its own uri and to the other files of the bot with
+ * composer://projectId/fileName uris.
+ */
+export const getReferenceFileName = (uri: string, documentUri: string, documentFileName: string) => {
+  if (uri === documentUri) return documentFileName;
+  return resourceUriPattern.exec(uri)?.[1] ?? uri;
+};
+
+export const groupReferencesByFile = (
+  locations: LspLocation[],
+  documentUri: string,
+  documentFileName: string
+): FileReferences[] => {
+  return locations.reduce((result: FileReferences[], { uri, range }) => {
+    const fileName = getReferenceFileName(uri, documentUri, documentFileName);
+    let file = result.find((item) => item.fileName === fileName);
+    if (!file) {
+      file = { fileName, lines: [] };
+      // the open document first
+      uri === documentUri ? result.unshift(file) : result.push(file);
+    }
+    file.lines.push(range.start.line + 1);
+    return result;
+  }, []);
+};
+
+export const workspaceEditToLocations = (edit: LspWorkspaceEdit): LspLocation[] => {
+  return Object.keys(edit.changes ?? {}).reduce((result: LspLocation[], uri) => {
+    return result.concat((edit.changes?.[uri] ?? []).map(({ range }) => ({ uri, range })));
+  }, []);
+};
+
+/**
+ * The word at a 0 based column of a line, words of templates names by default.
+ */
+export const getWordAtCharacter = (lineText: string, character: number, wordPattern = /[a-zA-Z_][\w.-]*/g) => {
+  wordPattern.lastIndex = 0;
+  let match: RegExpExecArray | null;
+  while ((match = wordPattern.exec(lineText)) !== null) {
+    if (match.index <= character && character <= match.index + match[0].length) return match[0];
+  }
+};
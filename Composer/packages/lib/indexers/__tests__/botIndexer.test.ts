@@ -23,6 +23,7 @@ const {
   checkLUISLocales,
   checkQnALocales,
   filterLUISFilesToPublish,
+  validate,
   filterQnAFilesToPublish,
 } = BotIndexer;
 
@@ -214,6 +215,24 @@ describe('checkSkillSetting', () => {
   });
 });
 
+describe('validate', () => {
+  const dialog = (id: string, isRoot = false) =>
+    ({ id, displayName: id, isRoot, skills: [], content: { $kind: SDKKinds.AdaptiveDialog } } as DialogInfo);
+  const assets = { ...botAssets, dialogs: [dialog('main', true), dialog('orphan')], isRootBot: true };
+
+  it('should check the parts of the bot nothing reaches', () => {
+    const diagnostics = validate(assets);
+    expect(diagnostics.filter(({ code }) => code === 'UnreachableDialog').map(({ source }) => source)).toEqual([
+      'orphan.dialog',
+    ]);
+  });
+
+  it('should skip the reachability check when asked to', () => {
+    const diagnostics = validate({ ...assets, skipReachability: true });
+    expect(diagnostics.some(({ code }) => code === 'UnreachableDialog')).toBe(false);
+  });
+});
+
 describe('filterLUISFilesToPublish', () => {
   it('should filter luFiles left LUIS supported locale file', () => {
     const luFilesToPublish = filterLUISFilesToPublish(botAssets.luFiles, botAssets.dialogs);
@@ -259,6 +278,13 @@ describe('filterLUISFilesToPublish', () => {
       empty: false,
     });
   });
+
+  it('should not filter locales for the recognizers built by extensions', () => {
+    const luFiles = [{ id: 'a.af', empty: false } as LuFile];
+    const dialogs = [{ luFile: 'a', luProvider: 'Contoso.NluRecognizer' } as DialogInfo];
+
+    expect(filterLUISFilesToPublish(luFiles, dialogs)).toEqual(luFiles);
+  });
   describe('filterQnAFilesToPublish', () => {
     it('should filter qnaFiles left QnA supported locale file', () => {
       const botAssets2 = {
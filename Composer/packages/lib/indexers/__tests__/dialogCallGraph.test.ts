@@ -0,0 +1,153 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogInfo, SDKKinds } from '@bfc/shared';
+
+import { dialogIndexer } from '../src/dialogIndexer';
+import { DialogCallGraphBuilder } from '../src/dialogCallGraph';
+
+const createDialog = (id: string, triggers: any[], isRoot = false): DialogInfo => ({
+  isRoot,
+  isTopic: false,
+  ...dialogIndexer.parse(id, { $kind: SDKKinds.AdaptiveDialog, triggers }),
+});
+
+const bot = {
+  projectId: 'bot',
+  botName: 'Bot',
+  dialogs: [
+    createDialog(
+      'main',
+      [
+        {
+          $kind: SDKKinds.OnConversationUpdateActivity,
+          actions: [{ $kind: SDKKinds.BeginDialog, dialog: 'booking' }],
+        },
+        {
+          $kind: SDKKinds.OnIntent,
+          intent: 'Help',
+          actions: [
+            {
+              $kind: SDKKinds.IfCondition,
+              condition: 'true',
+              actions: [{ $kind: SDKKinds.BeginSkill, skillEndpoint: "=settings.skill['weather'].endpointUrl" }],
+              elseActions: [{ $kind: SDKKinds.BeginSkill, skillEndpoint: "=settings.skill['local'].endpointUrl" }],
+            },
+            { $kind: SDKKinds.BeginDialog, dialog: 'missing' },
+            { $kind: SDKKinds.BeginDialog, dialog: '=turn.next' },
+            { $kind: SDKKinds.BeginDialog, dialog: 'help', disabled: true },
+          ],
+        },
+      ],
+      true
+    ),
+    createDialog('booking', [
+      {
+        $kind: SDKKinds.OnBeginDialog,
+        actions: [{ $kind: SDKKinds.BeginDialog, dialog: 'payment' }],
+      },
+    ]),
+    createDialog('payment', [
+      {
+        $kind: SDKKinds.OnBeginDialog,
+        actions: [{ $kind: SDKKinds.ReplaceDialog, dialog: 'booking' }, { $kind: SDKKinds.RepeatDialog }],
+      },
+    ]),
+  ],
+};
+
+const localSkill = {
+  projectId: 'localBot',
+  botName: 'Local skill',
+  dialogs: [createDialog('skillMain', [{ $kind: SDKKinds.OnBeginDialog, actions: [] }], true)],
+};
+
+describe('DialogCallGraphBuilder', () => {
+  const graph = DialogCallGraphBuilder.build({
+    bots: [bot, localSkill],
+    skills: [{ name: 'weather' }, { name: 'local', projectId: 'localBot' }],
+  });
+
+  it('links the calling actions to the dialogs and skills they call', () => {
+    expect(graph.edges.map(({ from, to, kind, path, triggerKind }) => ({ from, to, kind, path, triggerKind }))).toEqual(
+      [
+        {
+          from: 'bot/main',
+          to: 'bot/booking',
+          kind: 'begin',
+          path: 'triggers[0].actions[0]',
+          triggerKind: SDKKinds.OnConversationUpdateActivity,
+        },
+        {
+          from: 'bot/main',
+          to: 'skill/weather',
+          kind: 'skill',
+          path: 'triggers[1].actions[0].actions[0]',
+          triggerKind: SDKKinds.OnIntent,
+        },
+        {
+          from: 'bot/main',
+          to: 'localBot/skillMain',
+          kind: 'skill',
+          path: 'triggers[1].actions[0].elseActions[0]',
+          triggerKind: SDKKinds.OnIntent,
+        },
+        {
+          from: 'bot/main',
+          to: 'bot/missing',
+          kind: 'begin',
+          path: 'triggers[1].actions[1]',
+          triggerKind: SDKKinds.OnIntent,
+        },
+        {
+          from: 'bot/booking',
+          to: 'bot/payment',
+          kind: 'begin',
+          path: 'triggers[0].actions[0]',
+          triggerKind: SDKKinds.OnBeginDialog,
+        },
+        {
+          from: 'bot/payment',
+          to: 'bot/booking',
+          kind: 'replace',
+          path: 'triggers[0].actions[0]',
+          triggerKind: SDKKinds.OnBeginDialog,
+        },
+        {
+          from: 'bot/payment',
+          to: 'bot/payment',
+          kind: 'repeat',
+          path: 'triggers[0].actions[1]',
+          triggerKind: SDKKinds.OnBeginDialog,
+        },
+      ]
+    );
+  });
+
+  it('adds the skills outside of the project space and the missing dialogs', () => {
+    expect(graph.nodes.find(({ id }) => id === 'skill/weather')).toMatchObject({ kind: 'skill', isMissing: false });
+    expect(graph.nodes.find(({ id }) => id === 'bot/missing')).toMatchObject({ kind: 'dialog', isMissing: true });
+    expect(graph.nodes.find(({ id }) => id === 'bot/main')).toMatchObject({ isRoot: true, displayName: 'main' });
+  });
+
+  it('finds the cycles of calls', () => {
+    expect(graph.cycles).toEqual([['bot/booking', 'bot/payment']]);
+    expect(graph.edges.filter(({ inCycle }) => inCycle).map(({ kind }) => kind)).toEqual([
+      'begin',
+      'replace',
+      'repeat',
+    ]);
+  });
+
+  it('finds dialogs calling themselves', () => {
+    expect(
+      DialogCallGraphBuilder.findCycles(
+        ['a', 'b'],
+        [
+          { from: 'a', to: 'a' },
+          { from: 'a', to: 'b' },
+        ]
+      )
+    ).toEqual([['a']]);
+  });
+});
@@ -0,0 +1,44 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogInfo } from '@bfc/shared';
+
+import { extractSchemaProperties, extractSchemaPropertyTypes } from '../src/extractSchemaProperties';
+
+const schema = {
+  $schema: 'http://json-schema.org/draft-07/schema',
+  properties: {
+    name: { type: 'string' },
+    age: { type: 'integer' },
+    address: { type: ['string', 'object'] },
+  },
+};
+
+const dialog = ({ id: 'main', content: { schema: 'main.json' } } as unknown) as DialogInfo;
+
+describe('extractSchemaProperties', () => {
+  it('returns the properties of the schema file of the dialog', () => {
+    expect(extractSchemaProperties(dialog, [{ id: 'main', content: schema }])).toEqual(['name', 'age', 'address']);
+  });
+
+  it('returns the public properties of an inline schema', () => {
+    const inlineDialog = ({
+      id: 'main',
+      content: { schema: { ...schema, $public: ['name'] } },
+    } as unknown) as DialogInfo;
+    expect(extractSchemaProperties(inlineDialog, [])).toEqual(['name']);
+  });
+});
+
+describe('extractSchemaPropertyTypes', () => {
+  it('returns the types of the properties with a single type', () => {
+    expect(extractSchemaPropertyTypes(dialog, [{ id: 'main', content: schema }])).toEqual({
+      name: 'string',
+      age: 'integer',
+    });
+  });
+
+  it('returns no types without a schema', () => {
+    expect(extractSchemaPropertyTypes(dialog, [])).toEqual({});
+  });
+});
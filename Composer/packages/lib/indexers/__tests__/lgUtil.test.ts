@@ -10,6 +10,8 @@ import {
   removeTemplate,
   extractOptionByKey,
   parse,
+  evaluateTemplate,
+  toTemplatePreview,
 } from '../src/utils/lgUtil';
 
 describe('update lg template', () => {
@@ -184,3 +186,60 @@ describe('extract option by key', () => {
     expect(strict).toBe('false');
   });
 });
+
+describe('evaluate lg template', () => {
+  const content = `# Greeting
+- Hi \${user.name}
+- Hello \${user.name}
+
+# Welcome
+[Activity
+    Text = \${Greeting()}
+    Speak = Welcome
+    SuggestedActions = Help | Cancel
+]`;
+
+  it('should evaluate every variation of a template with the memory', () => {
+    const lgFile = parse('a.lg', content, []);
+    const evaluation = evaluateTemplate(lgFile, 'Greeting', { user: { name: 'Ann' } });
+    expect(['Hi Ann', 'Hello Ann']).toContain(evaluation.result?.text);
+    expect(evaluation.variations.map(({ text }) => text)).toEqual(['Hi Ann', 'Hello Ann']);
+  });
+
+  it('should evaluate a structured response', () => {
+    const lgFile = parse('a.lg', content, []);
+    const { result } = evaluateTemplate(lgFile, 'Welcome', { user: { name: 'Ann' } });
+    expect(result?.speak).toEqual('Welcome');
+    expect(result?.suggestedActions).toEqual(['Help', 'Cancel']);
+  });
+
+  it('should not expand a template whose nested alternatives multiply past the limit', () => {
+    // ten alternatives on each of four levels make ten thousand variations of A
+    const alternatives = (name: string, call = '') =>
+      [`# ${name}`, ...['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'].map((i) => `- ${i}${call}`)].join('\n');
+    const content = [
+      alternatives('A', ' ${B()}'),
+      alternatives('B', ' ${C()}'),
+      alternatives('C', ' ${D()}'),
+      alternatives('D'),
+    ].join('\n\n');
+    const lgFile = parse('a.lg', content, []);
+
+    const evaluation = evaluateTemplate(lgFile, 'A', {});
+    expect(evaluation.result?.text).toMatch(/^\d \d \d \d$/);
+    expect(evaluation.variations).toEqual([]);
+    expect(evaluateTemplate(lgFile, 'C', {}).variations).toHaveLength(20);
+  });
+
+  it('should return the error of a template that does not evaluate', () => {
+    const lgFile = parse('a.lg', content, []);
+    expect(evaluateTemplate(lgFile, 'Missing', {}).error).toBeTruthy();
+  });
+
+  it('should convert a card to an attachment', () => {
+    expect(toTemplatePreview({ lgType: 'HeroCard', title: 'Hi' })).toEqual({
+      attachments: [{ contentType: 'HeroCard', content: { title: 'Hi' } }],
+      suggestedActions: [],
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogInfo, LgFile, LuFile, SDKKinds } from '@bfc/shared';
+
+import { dialogIndexer } from '../src/dialogIndexer';
+import { ReachabilityAnalyzer, ReachabilityCodes } from '../src/reachabilityAnalyzer';
+
+const { checkDialogs, checkLgTemplates, checkLuIntents, checkProperties, analyze } = ReachabilityAnalyzer;
+
+const createDialog = (id: string, content: any, isRoot = false): DialogInfo => ({
+  isRoot,
+  isTopic: false,
+  ...dialogIndexer.parse(id, content),
+});
+
+const main = createDialog(
+  'main',
+  {
+    $kind: SDKKinds.AdaptiveDialog,
+    recognizer: 'main.lu.qna',
+    generator: 'main.lg',
+    triggers: [
+      {
+        $kind: SDKKinds.OnIntent,
+        intent: 'Greeting',
+        actions: [
+          { $kind: SDKKinds.SendActivity, activity: '${SendActivity_a1b2c3()}' },
+          { $kind: SDKKinds.BeginDialog, dialog: 'booking', options: { city: '=turn.activity.text' } },
+        ],
+      },
+      {
+        $kind: SDKKinds.OnBeginDialog,
+        actions: [
+          { $kind: SDKKinds.SetProperty, property: 'user.name', value: '=turn.activity.from.name' },
+          { $kind: SDKKinds.IfCondition, condition: 'user.name != null && conversation.topic == 1', actions: [] },
+        ],
+      },
+    ],
+  },
+  true
+);
+
+const booking = createDialog('booking', {
+  $kind: SDKKinds.AdaptiveDialog,
+  triggers: [
+    {
+      $kind: SDKKinds.OnBeginDialog,
+      actions: [
+        {
+          $kind: SDKKinds.SendActivity,
+          activity: '${Confirm()} ${dialog.city} ${$date}',
+        },
+        { $kind: SDKKinds.SetProperties, assignments: [{ property: 'dialog.nights', value: '=1' }] },
+        { $kind: SDKKinds.IfCondition, condition: 'dialog.nights.count > 1 && user.profile.age', actions: [] },
+      ],
+    },
+  ],
+});
+
+const orphan = createDialog('orphan', { $kind: SDKKinds.AdaptiveDialog, triggers: [] });
+
+const lgFile = {
+  id: 'main.en-us',
+  isContentUnparsed: false,
+  templates: [
+    { name: 'SendActivity_a1b2c3', body: '- ${Greet(user.name)}', parameters: [] },
+    { name: 'Greet', body: '- hi ${name}', parameters: ['name'] },
+    { name: 'Confirm', body: '- ok', parameters: [] },
+    {
+      name: 'Recursive',
+      body: '- ${Recursive()}',
+      parameters: [],
+      range: { start: { line: 7, character: 0 }, end: { line: 8, character: 0 } },
+    },
+  ],
+} as LgFile;
+
+const luFile = {
+  id: 'main.en-us',
+  isContentUnparsed: false,
+  intents: [{ Name: 'Greeting' }, { Name: 'None' }, { Name: 'Cancel', range: { start: { line: 4, character: 0 } } }],
+} as LuFile;
+
+describe('checkDialogs', () => {
+  it('warns about dialogs no action begins', () => {
+    const diagnostics = checkDialogs({ dialogs: [main, booking, orphan], lgFiles: [], luFiles: [] });
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].source).toBe('orphan.dialog');
+    expect(diagnostics[0].code).toBe(ReachabilityCodes.UnreachableDialog);
+    expect(diagnostics[0].quickFixes?.map(({ kind }) => kind)).toEqual(['beginDialog', 'removeDialog']);
+    expect(diagnostics[0].quickFixes?.[0]).toMatchObject({ dialogId: 'orphan', fromDialogId: 'main' });
+  });
+
+  it('skips the check when a dialog is begun by an expression', () => {
+    const dynamic = createDialog('dynamic', {
+      $kind: SDKKinds.AdaptiveDialog,
+      triggers: [{ $kind: SDKKinds.OnBeginDialog, actions: [{ $kind: SDKKinds.BeginDialog, dialog: '=dialog.next' }] }],
+    });
+    expect(checkDialogs({ dialogs: [main, booking, orphan, dynamic], lgFiles: [], luFiles: [] })).toEqual([]);
+  });
+});
+
+describe('checkLgTemplates', () => {
+  it('warns about templates nothing calls', () => {
+    const diagnostics = checkLgTemplates({ dialogs: [main, booking], lgFiles: [lgFile], luFiles: [] });
+    expect(diagnostics.map(({ source, message }) => `${source}: ${message}`)).toEqual([
+      'main.en-us.lg: Template Recursive is never used.',
+    ]);
+    expect(diagnostics[0].range?.start.line).toBe(7);
+    expect(diagnostics[0].quickFixes).toEqual([
+      { kind: 'removeLgTemplate', title: 'Delete the template', lgFileId: 'main.en-us', templateName: 'Recursive' },
+    ]);
+  });
+
+  it('waits for every LG file to be parsed', () => {
+    const unparsed = { ...lgFile, id: 'common.en-us', isContentUnparsed: true, templates: [] };
+    expect(checkLgTemplates({ dialogs: [main], lgFiles: [lgFile, unparsed], luFiles: [] })).toEqual([]);
+  });
+});
+
+describe('checkLuIntents', () => {
+  it('warns about intents without a trigger', () => {
+    const diagnostics = checkLuIntents({ dialogs: [main, booking], lgFiles: [], luFiles: [luFile] });
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].message).toBe('Intent Cancel has no trigger in main.');
+    expect(diagnostics[0].source).toBe('main.en-us.lu');
+    expect(diagnostics[0].quickFixes?.map(({ kind }) => kind)).toEqual(['addIntentTrigger', 'removeLuIntent']);
+  });
+
+  it('ignores LU files without a dialog', () => {
+    const common = { ...luFile, id: 'common.en-us' };
+    expect(checkLuIntents({ dialogs: [main], lgFiles: [], luFiles: [common] })).toEqual([]);
+  });
+});
+
+describe('checkProperties', () => {
+  it('warns about properties read but never set', () => {
+    const diagnostics = checkProperties({ dialogs: [main, booking], lgFiles: [], luFiles: [] });
+    expect(diagnostics.map(({ source, message }) => `${source}: ${message}`)).toEqual([
+      'main.dialog: Property conversation.topic is read but never set.',
+      'booking.dialog: Property dialog.date is read but never set.',
+      'booking.dialog: Property user.profile.age is read but never set.',
+    ]);
+    expect(diagnostics[0].path).toBe('main.triggers[1].actions[1]#Microsoft.IfCondition#condition');
+    expect(diagnostics[0].quickFixes).toEqual([
+      {
+        kind: 'setProperty',
+        title: 'Set it when the dialog begins',
+        dialogId: 'main',
+        property: 'conversation.topic',
+      },
+    ]);
+  });
+
+  it('only reads properties in expressions', () => {
+    const links = createDialog('links', {
+      $kind: SDKKinds.AdaptiveDialog,
+      triggers: [
+        {
+          $kind: SDKKinds.OnBeginDialog,
+          actions: [
+            { $kind: SDKKinds.SendActivity, activity: 'See user.example.com or ${Link(conversation.site)}' },
+            { $kind: SDKKinds.SetProperty, property: 'dialog.url', value: "=concat('user.example.com', $path[0].x)" },
+          ],
+        },
+      ],
+    });
+    const diagnostics = checkProperties({ dialogs: [links], lgFiles: [], luFiles: [] });
+    expect(diagnostics.map(({ message }) => message)).toEqual([
+      'Property conversation.site is read but never set.',
+      'Property dialog.path is read but never set.',
+    ]);
+  });
+});
+
+describe('analyze', () => {
+  it('runs every check', () => {
+    const diagnostics = analyze({ dialogs: [main, booking, orphan], lgFiles: [lgFile], luFiles: [luFile] });
+    expect(diagnostics.map(({ code }) => code)).toEqual([
+      ReachabilityCodes.UnreachableDialog,
+      ReachabilityCodes.UnusedLgTemplate,
+      ReachabilityCodes.UnusedLuIntent,
+      ReachabilityCodes.UnsetProperty,
+      ReachabilityCodes.UnsetProperty,
+      ReachabilityCodes.UnsetProperty,
+    ]);
+  });
+});
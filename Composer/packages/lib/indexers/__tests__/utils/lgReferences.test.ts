@@ -0,0 +1,149 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  applyLgTemplateRename,
+  findLgTemplateReferences,
+  findLgTemplateReferencesInDialog,
+  getLgTemplateBodyStart,
+  isValidLgTemplateName,
+  renameLgTemplateInDialog,
+  renameLgTemplateReferences,
+} from '../../src/utils/lgReferences';
+
+const lgText = `> Greet() in a comment
+# Greet(name)
+- hi \${name}
+# Welcome
+- \${Greet(user.name)} and \${Greet2()}
+- IF: \${ Greet ( 'x' ) == 'hi'}
+- \${ Greet }
+- \${user.Greet()}`;
+
+describe('findLgTemplateReferences', () => {
+  it('finds the definition and the calls of a template', () => {
+    expect(findLgTemplateReferences(lgText, 'Greet')).toEqual([
+      { line: 1, start: 2, end: 7 },
+      { line: 4, start: 4, end: 9 },
+      { line: 5, start: 9, end: 14 },
+      { line: 6, start: 5, end: 10 },
+    ]);
+  });
+
+  it('only finds calls outside of .lg files', () => {
+    const dialogText = `{\n  "activity": "\${Greet()}",\n  "# Greet": "- text"\n}`;
+    expect(findLgTemplateReferences(dialogText, 'Greet', false)).toEqual([{ line: 1, start: 17, end: 22 }]);
+  });
+
+  it('only finds the calls in expressions', () => {
+    const text = `# Welcome
+- greet (formally) then \${greet()}
+- \\\${greet()} \${concat('greet(', "}")} \${greet()}
+[Activity
+    Text = greet (again) \${ greet() }
+]`;
+    expect(findLgTemplateReferences(text, 'greet')).toEqual([
+      { line: 1, start: 26, end: 31 },
+      { line: 2, start: 41, end: 46 },
+      { line: 4, start: 28, end: 33 },
+    ]);
+  });
+
+  it('escapes the name', () => {
+    expect(findLgTemplateReferences('- ${a.b()} ${axb()}', 'a.b', false)).toEqual([{ line: 0, start: 4, end: 7 }]);
+  });
+});
+
+describe('findLgTemplateReferencesInDialog', () => {
+  const text = JSON.stringify(
+    {
+      $kind: 'Microsoft.IfCondition',
+      condition: "Greet() == 'hi'",
+      value: '=Greet()',
+      activity: 'Greet() ${Greet()}',
+      prompt: 'Greet()',
+      items: ['=Greet()', 'Greet()'],
+    },
+    null,
+    2
+  );
+
+  it('finds the references in expressions, strings starting with = and ${} expressions', () => {
+    expect(findLgTemplateReferencesInDialog(text, 'Greet')).toEqual([
+      { line: 2, start: 16, end: 21 },
+      { line: 3, start: 13, end: 18 },
+      { line: 4, start: 25, end: 30 },
+      { line: 7, start: 6, end: 11 },
+    ]);
+  });
+});
+
+describe('getLgTemplateBodyStart', () => {
+  it('returns the line after the definition', () => {
+    expect(getLgTemplateBodyStart(lgText, 'Welcome')).toBe(4);
+    expect(getLgTemplateBodyStart(lgText, 'Missing')).toBe(-1);
+  });
+});
+
+describe('applyLgTemplateRename', () => {
+  it('renames at the references', () => {
+    expect(applyLgTemplateRename('- ${Greet()}', [{ line: 0, start: 4, end: 9 }], 'Greet', 'Hi')).toBe('- ${Hi()}');
+  });
+
+  it('throws when the name is not at a reference', () => {
+    expect(() => applyLgTemplateRename('- ${Other()}', [{ line: 0, start: 4, end: 9 }], 'Greet', 'Hi')).toThrow();
+  });
+});
+
+describe('renameLgTemplateReferences', () => {
+  it('renames every reference of an .lg file', () => {
+    expect(renameLgTemplateReferences(lgText, 'Greet', 'SayHi')).toBe(`> Greet() in a comment
+# SayHi(name)
+- hi \${name}
+# Welcome
+- \${SayHi(user.name)} and \${Greet2()}
+- IF: \${ SayHi ( 'x' ) == 'hi'}
+- \${ SayHi }
+- \${user.Greet()}`);
+  });
+
+  it('keeps windows line endings', () => {
+    expect(renameLgTemplateReferences('# Greet\r\n- ${Greet()}\r\n', 'Greet', 'Hi')).toBe('# Hi\r\n- ${Hi()}\r\n');
+  });
+});
+
+describe('renameLgTemplateInDialog', () => {
+  const dialog = {
+    $kind: 'Microsoft.AdaptiveDialog',
+    triggers: [{ actions: [{ activity: '${Greet()}' }, { activity: '${Other()}' }] }],
+  };
+
+  it('renames the template in every string', () => {
+    const renamed = renameLgTemplateInDialog(dialog, 'Greet', 'SayHi');
+    expect(renamed.triggers[0].actions[0].activity).toBe('${SayHi()}');
+    expect(renamed.triggers[0].actions[1]).toBe(dialog.triggers[0].actions[1]);
+    expect(dialog.triggers[0].actions[0].activity).toBe('${Greet()}');
+  });
+
+  it('renames the template in expression properties and strings starting with =', () => {
+    const renamed = renameLgTemplateInDialog(
+      { condition: "Greet() == 'x'", value: '=Greet()', prompt: 'Greet()' },
+      'Greet',
+      'SayHi'
+    );
+    expect(renamed).toEqual({ condition: "SayHi() == 'x'", value: '=SayHi()', prompt: 'Greet()' });
+  });
+
+  it('returns the same dialog when nothing refers to the template', () => {
+    expect(renameLgTemplateInDialog(dialog, 'Missing', 'SayHi')).toBe(dialog);
+  });
+});
+
+describe('isValidLgTemplateName', () => {
+  it('accepts letters, digits, underscores, dots and dashes', () => {
+    expect(isValidLgTemplateName('Send_Activity-1.a')).toBe(true);
+    expect(isValidLgTemplateName('1abc')).toBe(false);
+    expect(isValidLgTemplateName('a b')).toBe(false);
+    expect(isValidLgTemplateName('')).toBe(false);
+  });
+});
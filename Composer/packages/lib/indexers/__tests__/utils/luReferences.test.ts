@@ -0,0 +1,138 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  findLuReferences,
+  findLuReferencesInDialog,
+  getLuFileDialogId,
+  getLuReferenceAtPosition,
+  getLuRenameFileIds,
+  isValidLuName,
+  renameLuReferences,
+  renameLuReferencesInDialog,
+} from '../../src/utils/luReferences';
+
+const luText = `> # BookFlight in a comment
+# BookFlight
+- book a flight to {city=Seattle}
+- fly to {@city=Paris} from {fromCity=Rome}
+@ intent BookFlight usesFeatures city, airport
+@ ml city
+@ ml fromCity usesFeature city
+- [import](common.lu#BookFlight)
+## BookFlight`;
+
+describe('findLuReferences', () => {
+  it('finds the references to an intent', () => {
+    expect(findLuReferences(luText, 'intent', 'BookFlight')).toEqual([
+      { line: 1, start: 2, end: 12 },
+      { line: 4, start: 9, end: 19 },
+      { line: 7, start: 21, end: 31 },
+    ]);
+  });
+
+  it('finds the references to an entity', () => {
+    expect(findLuReferences(luText, 'entity', 'city')).toEqual([
+      { line: 2, start: 20, end: 24 },
+      { line: 3, start: 11, end: 15 },
+      { line: 4, start: 33, end: 37 },
+      { line: 5, start: 5, end: 9 },
+      { line: 6, start: 26, end: 30 },
+    ]);
+  });
+
+  it('does not take an entity type for a name', () => {
+    expect(findLuReferences('@ ml city\n@ list ml =', 'entity', 'ml')).toEqual([{ line: 1, start: 7, end: 9 }]);
+  });
+});
+
+describe('renameLuReferences', () => {
+  it('renames every reference of an entity', () => {
+    expect(renameLuReferences(luText, 'entity', 'city', 'toCity')).toBe(`> # BookFlight in a comment
+# BookFlight
+- book a flight to {toCity=Seattle}
+- fly to {@toCity=Paris} from {fromCity=Rome}
+@ intent BookFlight usesFeatures toCity, airport
+@ ml toCity
+@ ml fromCity usesFeature toCity
+- [import](common.lu#BookFlight)
+## BookFlight`);
+  });
+});
+
+describe('dialogs', () => {
+  const dialog = {
+    $kind: 'Microsoft.AdaptiveDialog',
+    triggers: [
+      { $kind: 'Microsoft.OnIntent', intent: 'BookFlight', entities: ['city', 'date'] },
+      { $kind: 'Microsoft.OnIntent', intent: 'Help', entities: [] },
+    ],
+  };
+  const dialogText = JSON.stringify(dialog, null, 2);
+
+  it('finds the intents and entities of a dialog file', () => {
+    expect(findLuReferencesInDialog(dialogText, 'intent', 'BookFlight')).toEqual([{ line: 5, start: 17, end: 27 }]);
+    expect(findLuReferencesInDialog(dialogText, 'entity', 'city')).toEqual([{ line: 7, start: 9, end: 13 }]);
+    // the positions are the ones of the dialog as Composer saves it
+    const onIntentText = '{ "$kind": "Microsoft.OnIntent", "entities": ["date", "city"], "x": "city" }';
+    expect(findLuReferencesInDialog(onIntentText, 'entity', 'city')).toEqual([{ line: 4, start: 5, end: 9 }]);
+  });
+
+  it('renames the intents and entities of a dialog', () => {
+    const renamed = renameLuReferencesInDialog(dialog, 'intent', 'BookFlight', 'Book');
+    expect(renamed.triggers[0].intent).toBe('Book');
+    expect(renamed.triggers[1]).toBe(dialog.triggers[1]);
+    expect(renameLuReferencesInDialog(dialog, 'entity', 'city', 'toCity').triggers[0].entities).toEqual([
+      'toCity',
+      'date',
+    ]);
+    expect(renameLuReferencesInDialog(dialog, 'entity', 'missing', 'toCity')).toBe(dialog);
+  });
+
+  it('only renames the intents and entities of OnIntent triggers', () => {
+    const other = {
+      $kind: 'Microsoft.AdaptiveDialog',
+      triggers: [{ $kind: 'Microsoft.OnChooseIntent', intent: 'BookFlight', entities: ['city'] }],
+      recognizer: { $kind: 'Custom.Recognizer', intent: 'BookFlight' },
+    };
+    expect(renameLuReferencesInDialog(other, 'intent', 'BookFlight', 'Book')).toBe(other);
+    expect(renameLuReferencesInDialog(other, 'entity', 'city', 'toCity')).toBe(other);
+    expect(findLuReferencesInDialog(JSON.stringify(other), 'intent', 'BookFlight')).toEqual([]);
+    expect(findLuReferencesInDialog(JSON.stringify(other), 'entity', 'city')).toEqual([]);
+  });
+});
+
+describe('getLuRenameFileIds', () => {
+  const luFiles = [
+    { id: 'main.en-us', content: '# Help' },
+    { id: 'main.fr-fr', content: '# Help' },
+    { id: 'mainDialog.en-us', content: '# Help' },
+    { id: 'common.en-us', content: '[import](main.lu)\n- [help](main.lu#Help)' },
+    { id: 'other.en-us', content: '> [import](main.lu)\n- see main.lu' },
+  ];
+
+  it('returns the .lu files of the dialog in every locale and the files that import them', () => {
+    expect(getLuRenameFileIds('main', luFiles)).toEqual(['main.en-us', 'main.fr-fr', 'common.en-us']);
+  });
+
+  it('returns the dialog of an .lu file', () => {
+    expect(getLuFileDialogId('main.en-us')).toBe('main');
+    expect(getLuFileDialogId('main')).toBe('main');
+  });
+});
+
+describe('getLuReferenceAtPosition', () => {
+  it('returns the intent or entity under the cursor', () => {
+    expect(getLuReferenceAtPosition('# BookFlight', 4)).toEqual({ kind: 'intent', name: 'BookFlight' });
+    expect(getLuReferenceAtPosition('- to {city=Seattle}', 7)).toEqual({ kind: 'entity', name: 'city' });
+    expect(getLuReferenceAtPosition('- to {city=Seattle}', 13)).toBeUndefined();
+  });
+});
+
+describe('isValidLuName', () => {
+  it('accepts letters, digits, underscores and dashes', () => {
+    expect(isValidLuName('Book_Flight-1')).toBe(true);
+    expect(isValidLuName('Book Flight')).toBe(false);
+    expect(isValidLuName('')).toBe(false);
+  });
+});
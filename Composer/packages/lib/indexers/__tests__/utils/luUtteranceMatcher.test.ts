@@ -0,0 +1,107 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { LuIntentSection } from '@bfc/shared';
+
+import { findUtteranceConflicts, matchUtterance } from '../../src/utils/luUtteranceMatcher';
+
+const content = `# BookFlight
+- book a flight to {city=Seattle}
+- book flight from {@city} to {@city}
+- I want to (fly|travel) to {city} [please]
+
+# Cancel
+- cancel
+- stop it
+
+# Help
+- help me book a flight
+
+@ regex zipcode = /[0-9]{5}/
+
+@ list city =
+    - Seattle :
+        - SEA
+        - Emerald city
+    - Paris :
+        - CDG
+`;
+
+const intents: LuIntentSection[] = [
+  {
+    Name: 'BookFlight',
+    Body: `- book a flight to {city=Seattle}
+- book flight from {@city} to {@city}
+- I want to (fly|travel) to {city} [please]`,
+  },
+  { Name: 'Cancel', Body: '- cancel\n- stop it' },
+  { Name: 'Help', Body: '- help me book a flight' },
+];
+
+describe('matchUtterance', () => {
+  it('matches an utterance exactly', () => {
+    expect(matchUtterance('Cancel!', intents, content).intents[0]).toEqual({
+      intent: 'Cancel',
+      score: 1,
+      kind: 'exact',
+      utterance: 'cancel',
+    });
+    expect(matchUtterance('book a flight to Seattle', intents, content).intents[0]).toMatchObject({
+      intent: 'BookFlight',
+      kind: 'exact',
+    });
+  });
+
+  it('matches patterns and extracts their entities', () => {
+    const result = matchUtterance('I want to travel to Lyon', intents, content);
+    expect(result.intents[0]).toMatchObject({ intent: 'BookFlight', kind: 'pattern' });
+    expect(result.entities).toContainEqual({
+      name: 'city',
+      value: 'Lyon',
+      text: 'Lyon',
+      start: 20,
+      end: 24,
+      source: 'pattern',
+    });
+  });
+
+  it('ranks the intents by similarity', () => {
+    const result = matchUtterance('please help me book', intents, content);
+    expect(result.intents.map(({ intent }) => intent)).toEqual(['Help', 'BookFlight']);
+    expect(result.intents[0].kind).toBe('similar');
+  });
+
+  it('extracts regex, list and labeled entities', () => {
+    const { entities } = matchUtterance('fly from SEA to 98052 via seattle', intents, content);
+    expect(entities).toEqual([
+      { name: 'city', value: 'Seattle', text: 'SEA', start: 9, end: 12, source: 'list' },
+      { name: 'zipcode', value: '98052', text: '98052', start: 16, end: 21, source: 'regex' },
+      { name: 'city', value: 'Seattle', text: 'seattle', start: 26, end: 33, source: 'list' },
+      { name: 'city', value: 'seattle', text: 'seattle', start: 26, end: 33, source: 'label' },
+    ]);
+  });
+});
+
+describe('findUtteranceConflicts', () => {
+  it('flags near-identical utterances of different intents', () => {
+    const conflicting = [
+      ...intents,
+      { Name: 'Stop', Body: '- Stop it!' },
+      { Name: 'Flights', Body: '- book flight from {@city} to {@city}' },
+    ];
+    expect(findUtteranceConflicts(conflicting)).toEqual([
+      {
+        intents: ['BookFlight', 'Flights'],
+        utterances: ['book flight from {@city} to {@city}', 'book flight from {@city} to {@city}'],
+        similarity: 1,
+      },
+      { intents: ['Cancel', 'Stop'], utterances: ['stop it', 'Stop it!'], similarity: 1 },
+    ]);
+  });
+
+  it('skips the nested intent sections', () => {
+    expect(
+      findUtteranceConflicts([{ Name: 'Parent', Body: '- hi', Children: [{ Name: 'Child', Body: '- hi' }] }])
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DiagnosticSeverity, LuFile, QnAFile } from '@bfc/shared';
+
+import { UtteranceOverlapAnalyzer, UtteranceOverlapCodes } from '../src/utteranceOverlapAnalyzer';
+
+const { analyze, getDiagnostics } = UtteranceOverlapAnalyzer;
+
+const range = (line: number) => ({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } });
+
+const createLuFile = (id: string, intents: { Name: string; Body: string }[]) =>
+  (({
+    id,
+    content: '',
+    intents: intents.map((intent, index) => ({ ...intent, range: range(index * 3 + 1) })),
+    allIntents: intents,
+    diagnostics: [],
+    isContentUnparsed: false,
+  } as unknown) as LuFile);
+
+const createQnAFile = (id: string, questions: string[][]) =>
+  (({
+    id,
+    content: '',
+    qnaSections: questions.map((section, index) => ({
+      sectionId: `s${index}`,
+      Questions: section.map((content, questionIndex) => ({ content, id: `${index}-${questionIndex}` })),
+      Answer: 'answer',
+      Body: '',
+      range: range(index * 5 + 1),
+    })),
+    diagnostics: [],
+    isContentUnparsed: false,
+  } as unknown) as QnAFile);
+
+const luFiles = [
+  createLuFile('main.en-us', [
+    { Name: 'Greeting', Body: '- hello there\n- good morning' },
+    { Name: 'Help', Body: '- what can you do' },
+  ]),
+  createLuFile('booking.en-us', [
+    { Name: 'Hello', Body: '- Hello there!\n- Good morning!\n- good morning to you' },
+    { Name: 'BookFlight', Body: '- book a flight to {@city=Paris}' },
+  ]),
+  createLuFile('booking.fr-fr', [{ Name: 'Greeting', Body: '- hello there' }]),
+];
+
+const qnaFiles = [createQnAFile('main.en-us', [['What can you do?', 'what are your skills']])];
+
+describe('Utterance overlap analyzer', () => {
+  it('groups the overlapping utterances by pair of intents or questions', () => {
+    const { pairs } = analyze({ luFiles, qnaFiles });
+
+    expect(pairs).toEqual([
+      {
+        targets: ['booking.en-us#Hello', 'main.en-us#Greeting'],
+        similarity: 1,
+        examples: [
+          { utterances: ['Hello there!', 'hello there'], similarity: 1 },
+          { utterances: ['Good morning!', 'good morning'], similarity: 1 },
+        ],
+      },
+      {
+        targets: ['main.en-us#Help', 'main.en-us?s0'],
+        similarity: 1,
+        examples: [{ utterances: ['what can you do', 'What can you do?'], similarity: 1 }],
+      },
+    ]);
+  });
+
+  it('only compares the utterances of the same locale', () => {
+    const { pairs } = analyze({ luFiles, qnaFiles });
+
+    expect(pairs.some(({ targets }) => targets.some((id) => id.startsWith('booking.fr-fr')))).toBe(false);
+  });
+
+  it('describes the intents and questions', () => {
+    const { targets } = analyze({ luFiles, qnaFiles });
+
+    expect(targets).toContainEqual({
+      id: 'main.en-us?s0',
+      kind: 'qna',
+      name: 'What can you do?',
+      fileId: 'main.en-us',
+      dialogId: 'main',
+      locale: 'en-us',
+      range: range(1),
+    });
+    expect(targets.filter(({ kind }) => kind === 'intent')).toHaveLength(5);
+  });
+
+  it('only analyzes the files of the locale', () => {
+    const { targets, pairs } = analyze({ luFiles, qnaFiles, locale: 'fr-fr' });
+
+    expect(targets.map(({ id }) => id)).toEqual(['booking.fr-fr#Greeting']);
+    expect(pairs).toEqual([]);
+    expect(analyze({ luFiles, qnaFiles, locale: 'en-us' }).pairs).toEqual(analyze({ luFiles, qnaFiles }).pairs);
+  });
+
+  it('takes a similarity threshold', () => {
+    expect(analyze({ luFiles, qnaFiles }, 0.6).pairs[0].examples).toHaveLength(3);
+    expect(analyze({ luFiles: [luFiles[0]], qnaFiles: [] }, 0.1).pairs).toEqual([]);
+  });
+
+  it('warns about each pair on the intent', () => {
+    const diagnostics = getDiagnostics(analyze({ luFiles, qnaFiles }));
+
+    expect(diagnostics).toHaveLength(2);
+    expect(diagnostics[0]).toMatchObject({
+      source: 'booking.en-us',
+      severity: DiagnosticSeverity.Warning,
+      code: UtteranceOverlapCodes.DuplicateUtterance,
+      range: range(1),
+    });
+    expect(diagnostics[0].message).toContain('and 1 more');
+    expect(diagnostics[1]).toMatchObject({ source: 'main.en-us', range: range(4) });
+    expect(diagnostics[1].message).toContain('"what can you do" and "What can you do?"');
+  });
+});
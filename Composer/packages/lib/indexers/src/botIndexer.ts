@@ -23,6 +23,7 @@ import {
 import difference from 'lodash/difference';
 
 import { getBaseName, getLocale } from './utils/help';
+import { ReachabilityAnalyzer } from './reachabilityAnalyzer';
 
 /**
  * Check skill manifest.json.
@@ -195,6 +196,14 @@ const checkSkillSetting = (assets: { dialogs: DialogInfo[]; botProjectFile: BotP
   return diagnostics;
 };
 
+/**
+ * Check the parts of the bot nothing reaches
+ * 1. dialogs no action begins, LG templates nothing calls, LU intents without a trigger, properties never set
+ */
+const checkReachability = (assets: { dialogs: DialogInfo[]; lgFiles: LgFile[]; luFiles: LuFile[] }): Diagnostic[] => {
+  return ReachabilityAnalyzer.analyze(assets);
+};
+
 const validate = (
   assets: {
     dialogs: DialogInfo[];
@@ -207,25 +216,30 @@ const validate = (
     recognizers: RecognizerFile[];
     isRemote?: boolean;
     isRootBot?: boolean;
+    /** the client runs the reachability check in a worker, it parses every expression of the bot */
+    skipReachability?: boolean;
   },
   rootSetting?: DialogSetting
 ): Diagnostic[] => {
   if (assets.isRemote) return [];
-  const settingDiagnostics = [
+  const diagnostics = [
     ...checkSetting(assets, rootSetting),
     ...checkLUISLocales(assets),
     ...checkQnALocales(assets),
     ...checkSkillSetting(assets),
+    ...(assets.skipReachability ? [] : checkReachability(assets)),
   ];
-  if (assets.isRootBot) return settingDiagnostics;
-  return [...checkManifest(assets), ...settingDiagnostics];
+  if (assets.isRootBot) return diagnostics;
+  return [...checkManifest(assets), ...diagnostics];
 };
 
 const filterLUISFilesToPublish = (luFiles: LuFile[], dialogFiles: DialogInfo[]): LuFile[] => {
   return luFiles.filter((file) => {
     if (
+      // only LUIS is limited to its locales, Orchestrator and the extensions build the other recognizers
       dialogFiles.some(
-        (dialog) => dialog.luFile === getBaseName(file.id) && dialog.luProvider === SDKKinds.OrchestratorRecognizer
+        (dialog) =>
+          dialog.luFile === getBaseName(file.id) && !!dialog.luProvider && dialog.luProvider !== SDKKinds.LuisRecognizer
       )
     ) {
       return true;
@@ -249,6 +263,7 @@ export const BotIndexer = {
   checkLUISLocales,
   checkQnALocales,
   checkSkillSetting,
+  checkReachability,
   filterLUISFilesToPublish,
   filterQnAFilesToPublish,
   shouldUseLuis,
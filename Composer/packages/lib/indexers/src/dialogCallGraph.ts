@@ -0,0 +1,230 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/**
+ * Build the graph of the calls between the dialogs of the bots of a project space: the dialogs each action begins,
+ * replaces or repeats and the skills it calls, with the cycles these calls make.
+ */
+import { DialogInfo, getSkillNameFromSetting, SDKKinds } from '@bfc/shared';
+
+export type DialogCallKind = 'begin' | 'replace' | 'repeat' | 'skill';
+
+export type CallGraphNode = {
+  /** '{projectId}/{dialogId}' for dialogs, 'skill/{name}' for the skills that are not in the project space. */
+  id: string;
+  kind: 'dialog' | 'skill';
+  projectId: string;
+  dialogId: string;
+  displayName: string;
+  botName: string;
+  isRoot: boolean;
+  /** Called by name but there is no such dialog in the bot. */
+  isMissing: boolean;
+};
+
+export type CallGraphEdge = {
+  from: string;
+  to: string;
+  kind: DialogCallKind;
+  /** The calling action. */
+  projectId: string;
+  dialogId: string;
+  triggerId: string;
+  triggerKind: string;
+  path: string;
+  /** Both ends are part of a cycle of calls. */
+  inCycle: boolean;
+};
+
+export type DialogCallGraph = {
+  nodes: CallGraphNode[];
+  edges: CallGraphEdge[];
+  /** The node ids of each cycle of calls. */
+  cycles: string[][];
+};
+
+export type CallGraphBot = {
+  projectId: string;
+  botName: string;
+  dialogs: DialogInfo[];
+};
+
+type CallGraphAssets = {
+  bots: CallGraphBot[];
+  /** The skills called by name, the ones in the project space link to the root dialog of their bot. */
+  skills: { name: string; projectId?: string }[];
+};
+
+const CallKinds: Record<string, DialogCallKind> = {
+  [SDKKinds.BeginDialog]: 'begin',
+  [SDKKinds.ReplaceDialog]: 'replace',
+  [SDKKinds.RepeatDialog]: 'repeat',
+  [SDKKinds.BeginSkill]: 'skill',
+};
+
+const isObject = (value: any) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const getDialogNodeId = (projectId: string, dialogId: string) => `${projectId}/${dialogId}`;
+
+/**
+ * Calls back with every enabled action of a trigger and its path, such as 'triggers[0].actions[1]'.
+ */
+const walkActions = (value: any, path: string, visit: (action: any, path: string) => void) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walkActions(item, `${path}[${index}]`, visit));
+  } else if (isObject(value)) {
+    // disabled actions and the ones they hold are not run
+    if (value.disabled === true) return;
+    if (typeof value.$kind === 'string') visit(value, path);
+    Object.keys(value)
+      .filter((key) => !key.startsWith('$'))
+      .forEach((key) => walkActions(value[key], `${path}.${key}`, visit));
+  }
+};
+
+/**
+ * The strongly connected components of the graph with more than one node or a node calling itself (Tarjan).
+ */
+const findCycles = (nodeIds: string[], edges: { from: string; to: string }[]): string[][] => {
+  const targets = new Map<string, string[]>(nodeIds.map((id) => [id, []]));
+  edges.forEach(({ from, to }) => targets.get(from)?.push(to));
+
+  let counter = 0;
+  const indexes = new Map<string, number>();
+  const lowLinks = new Map<string, number>();
+  const stack: string[] = [];
+  const onStack = new Set<string>();
+  const cycles: string[][] = [];
+
+  const connect = (id: string) => {
+    indexes.set(id, counter);
+    lowLinks.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    (targets.get(id) ?? []).forEach((target) => {
+      if (!indexes.has(target)) {
+        connect(target);
+        lowLinks.set(id, Math.min(lowLinks.get(id) as number, lowLinks.get(target) as number));
+      } else if (onStack.has(target)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id) as number, indexes.get(target) as number));
+      }
+    });
+
+    if (lowLinks.get(id) === indexes.get(id)) {
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop() as string;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || targets.get(id)?.includes(id)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  nodeIds.forEach((id) => {
+    if (!indexes.has(id)) connect(id);
+  });
+  return cycles;
+};
+
+const build = ({ bots, skills }: CallGraphAssets): DialogCallGraph => {
+  const nodes: CallGraphNode[] = [];
+  const edges: CallGraphEdge[] = [];
+
+  bots.forEach(({ projectId, botName, dialogs }) => {
+    dialogs.forEach(({ id, displayName, isRoot }) => {
+      nodes.push({
+        id: getDialogNodeId(projectId, id),
+        kind: 'dialog',
+        projectId,
+        dialogId: id,
+        displayName,
+        botName,
+        isRoot,
+        isMissing: false,
+      });
+    });
+  });
+
+  const addNode = (node: CallGraphNode) => {
+    if (!nodes.some(({ id }) => id === node.id)) nodes.push(node);
+    return node.id;
+  };
+
+  const getSkillTarget = (name: string) => {
+    const projectId = skills.find((skill) => skill.name === name)?.projectId;
+    const rootDialog = bots.find((bot) => bot.projectId === projectId)?.dialogs.find(({ isRoot }) => isRoot);
+    if (projectId && rootDialog) return getDialogNodeId(projectId, rootDialog.id);
+
+    return addNode({
+      id: `skill/${name}`,
+      kind: 'skill',
+      projectId: '',
+      dialogId: '',
+      displayName: name,
+      botName: name,
+      isRoot: false,
+      isMissing: false,
+    });
+  };
+
+  const getDialogTarget = (projectId: string, botName: string, dialogId: string) =>
+    addNode({
+      id: getDialogNodeId(projectId, dialogId),
+      kind: 'dialog',
+      projectId,
+      dialogId,
+      displayName: dialogId,
+      botName,
+      isRoot: false,
+      isMissing: true,
+    });
+
+  bots.forEach(({ projectId, botName, dialogs }) => {
+    dialogs.forEach(({ id: dialogId, triggers }) => {
+      const from = getDialogNodeId(projectId, dialogId);
+      triggers.forEach(({ id: triggerId, type: triggerKind, content }) => {
+        walkActions(content, triggerId, (action, path) => {
+          const kind = CallKinds[action.$kind];
+          if (!kind) return;
+
+          let to: string | undefined;
+          if (kind === 'repeat') {
+            to = from;
+          } else if (kind === 'skill') {
+            const skillName = getSkillNameFromSetting(action.skillEndpoint);
+            to = skillName ? getSkillTarget(skillName) : undefined;
+          } else if (typeof action.dialog === 'string' && action.dialog && !action.dialog.startsWith('=')) {
+            // a dialog picked by an expression can't be known until the bot runs
+            to = getDialogTarget(projectId, botName, action.dialog);
+          }
+          if (!to) return;
+
+          edges.push({ from, to, kind, projectId, dialogId, triggerId, triggerKind, path, inCycle: false });
+        });
+      });
+    });
+  });
+
+  const cycles = findCycles(
+    nodes.map(({ id }) => id),
+    edges
+  );
+  const cycleOf = new Map<string, number>();
+  cycles.forEach((cycle, index) => cycle.forEach((id) => cycleOf.set(id, index)));
+  edges.forEach((edge) => {
+    edge.inCycle = cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to);
+  });
+
+  return { nodes, edges, cycles };
+};
+
+export const DialogCallGraphBuilder = {
+  build,
+  findCycles,
+};
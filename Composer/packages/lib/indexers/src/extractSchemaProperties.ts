@@ -5,31 +5,49 @@ import { DialogInfo, JsonSchemaFile } from '@bfc/shared';
 
 import { getBaseName } from './utils/help';
 
-export const extractSchemaProperties = (dialog: DialogInfo, jsonSchemaFiles: JsonSchemaFile[]): string[] => {
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const getDialogSchema = (dialog: DialogInfo, jsonSchemaFiles: JsonSchemaFile[]): any => {
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   const schemaRef: any = dialog.content?.schema;
+  if (!schemaRef) return;
 
-  if (schemaRef) {
-    // eslint-disable-next-line @typescript-eslint/no-explicit-any
-    let schema: any = undefined;
+  if (schemaRef.$public || schemaRef.properties) {
+    return schemaRef;
+  }
+  return jsonSchemaFiles.find(
+    (file) => file.id === getBaseName(schemaRef as string) || file.id === dialog.content.schema
+  )?.content;
+};
 
-    if (schemaRef.$public || schemaRef.properties) {
-      schema = schemaRef;
-    } else {
-      schema = jsonSchemaFiles.find(
-        (file) => file.id === getBaseName(schemaRef as string) || file.id === dialog.content.schema
-      )?.content;
-    }
+export const extractSchemaProperties = (dialog: DialogInfo, jsonSchemaFiles: JsonSchemaFile[]): string[] => {
+  const schema = getDialogSchema(dialog, jsonSchemaFiles);
 
-    if (schema) {
-      if (schema?.$public && Array.isArray(schema.$public)) {
-        return schema.$public;
-      }
-      if (schema?.properties) {
-        return Object.keys(schema.properties) ?? [];
-      }
+  if (schema) {
+    if (schema?.$public && Array.isArray(schema.$public)) {
+      return schema.$public;
+    }
+    if (schema?.properties) {
+      return Object.keys(schema.properties) ?? [];
     }
   }
 
   return [];
 };
+
+/**
+ * The json schema types of the properties of a dialog schema, a property with several types has none.
+ */
+export const extractSchemaPropertyTypes = (
+  dialog: DialogInfo,
+  jsonSchemaFiles: JsonSchemaFile[]
+): Record<string, string> => {
+  const properties = getDialogSchema(dialog, jsonSchemaFiles)?.properties ?? {};
+
+  return extractSchemaProperties(dialog, jsonSchemaFiles).reduce((types: Record<string, string>, name) => {
+    const type = properties[name]?.type;
+    if (typeof type === 'string') {
+      types[name] = type;
+    }
+    return types;
+  }, {});
+};
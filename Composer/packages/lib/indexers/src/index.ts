@@ -108,3 +108,6 @@ export * from './skillIndexer';
 export * from './botProjectSpaceIndexer';
 export * from './extractSchemaProperties';
 export * from './groupTriggers';
+export * from './reachabilityAnalyzer';
+export * from './utteranceOverlapAnalyzer';
+export * from './dialogCallGraph';
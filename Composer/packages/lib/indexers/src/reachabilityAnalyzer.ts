@@ -0,0 +1,336 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/**
+ * Find the parts of a bot nothing reaches: dialogs no action begins, LG templates nothing calls,
+ * LU intents without a trigger and properties read but never set. The source of a diagnostic is its file name,
+ * like main.dialog or common.en-us.lg.
+ */
+import { Diagnostic, DiagnosticSeverity, DialogInfo, LgFile, LuFile, SDKKinds } from '@bfc/shared';
+import { Expression, ExpressionEvaluator, ReturnType } from 'adaptive-expressions';
+import formatMessage from 'format-message';
+import flatten from 'lodash/flatten';
+import uniq from 'lodash/uniq';
+
+import { getBaseName } from './utils/help';
+import { createPath } from './validations/expressionValidation/utils';
+
+export const ReachabilityCodes = {
+  UnreachableDialog: 'UnreachableDialog',
+  UnusedLgTemplate: 'UnusedLgTemplate',
+  UnusedLuIntent: 'UnusedLuIntent',
+  UnsetProperty: 'UnsetProperty',
+};
+
+type ReachabilityAssets = {
+  dialogs: DialogInfo[];
+  lgFiles: LgFile[];
+  luFiles: LuFile[];
+};
+
+const dialogCallingKinds: string[] = [SDKKinds.BeginDialog, SDKKinds.ReplaceDialog];
+
+// fields holding the property an action writes to
+const setterKeys = ['property', 'resultProperty', 'itemsProperty'];
+
+// properties the runtime sets itself
+const implicitProperties = ['dialog.foreach'];
+
+// memory scopes whose properties a dialog can set
+const memoryScopes = ['user', 'conversation', 'dialog'];
+
+// fields holding an expression even without the leading =
+const expressionKeys = ['condition'];
+
+const identifierPattern = /^[A-Za-z_]\w*$/;
+const templateCallPattern = /([A-Za-z_][\w.-]*)\s*\(/g;
+const templateRefPattern = /\$\{\s*([A-Za-z_][\w.-]*)\s*\}/g;
+const expressionPattern = /\$\{([^}]*)\}/g;
+
+const isObject = (value: any) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchAll = (pattern: RegExp, text: string, map: (match: RegExpExecArray) => string) => {
+  const result: string[] = [];
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  const reg = new RegExp(pattern.source, 'g');
+  let match: RegExpExecArray | null;
+  while ((match = reg.exec(text)) !== null) {
+    result.push(map(match));
+  }
+  return result;
+};
+
+/**
+ * Calls back with every string of the dialog, its path and the kind of the closest action or trigger around it.
+ */
+const walkStrings = (
+  path: string,
+  value: any,
+  kind: string,
+  visit: (text: string, key: string, kind: string, path: string) => void,
+  key = ''
+) => {
+  if (typeof value === 'string') {
+    visit(value, key, kind, path);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => walkStrings(`${path}[${index}]`, item, kind, visit, key));
+  } else if (isObject(value)) {
+    const current = typeof value.$kind === 'string' ? value.$kind : kind;
+    Object.keys(value)
+      .filter((childKey) => !childKey.startsWith('$'))
+      .forEach((childKey) => walkStrings(`${path}.${childKey}`, value[childKey], current, visit, childKey));
+  }
+};
+
+const walkNodes = (value: any, visit: (node: any) => void) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => walkNodes(item, visit));
+  } else if (isObject(value)) {
+    if (typeof value.$kind === 'string') visit(value);
+    Object.keys(value).forEach((key) => walkNodes(value[key], visit));
+  }
+};
+
+/**
+ * Dialogs other than the root dialog that no BeginDialog or ReplaceDialog names.
+ */
+const checkDialogs = ({ dialogs }: ReachabilityAssets): Diagnostic[] => {
+  const called = new Set<string>();
+  let hasDynamicCalls = false;
+  dialogs.forEach(({ content }) => {
+    walkNodes(content, (node) => {
+      if (!dialogCallingKinds.includes(node.$kind) || typeof node.dialog !== 'string') return;
+      if (node.dialog.startsWith('=')) {
+        hasDynamicCalls = true;
+      } else {
+        called.add(node.dialog);
+      }
+    });
+  });
+  // a dialog picked by an expression could be any of them
+  if (hasDynamicCalls) return [];
+
+  const rootDialog = dialogs.find(({ isRoot }) => isRoot);
+  return dialogs
+    .filter(({ id, isRoot, isTopic }) => !isRoot && !isTopic && !called.has(id))
+    .map(({ id, displayName }) => {
+      const diagnostic = new Diagnostic(
+        formatMessage('Dialog {name} is never started, no action begins it.', { name: displayName }),
+        `${id}.dialog`,
+        DiagnosticSeverity.Warning
+      );
+      diagnostic.code = ReachabilityCodes.UnreachableDialog;
+      diagnostic.quickFixes = [
+        ...(rootDialog
+          ? [
+              {
+                kind: 'beginDialog' as const,
+                title: formatMessage('Begin it from {name}', { name: rootDialog.displayName }),
+                dialogId: id,
+                fromDialogId: rootDialog.id,
+              },
+            ]
+          : []),
+        { kind: 'removeDialog' as const, title: formatMessage('Delete the dialog'), dialogId: id },
+      ];
+      return diagnostic;
+    });
+};
+
+/**
+ * LG templates no dialog and no other template calls.
+ */
+const checkLgTemplates = ({ dialogs, lgFiles }: ReachabilityAssets): Diagnostic[] => {
+  // templates of files that are not loaded yet are unknown, so are the templates they call
+  if (lgFiles.some(({ isContentUnparsed }) => isContentUnparsed)) return [];
+
+  const called = new Set<string>();
+  const addCalls = (text: string, self?: string) => {
+    [
+      ...matchAll(templateCallPattern, text, (match) => match[1]),
+      ...matchAll(templateRefPattern, text, (match) => match[1]),
+    ]
+      .filter((name) => name !== self)
+      .forEach((name) => called.add(name));
+  };
+
+  dialogs.forEach(({ id, content }) => walkStrings(id, content, '', (text) => addCalls(text)));
+  lgFiles.forEach(({ templates }) => templates.forEach(({ name, body }) => addCalls(body, name)));
+
+  const diagnostics: Diagnostic[] = [];
+  lgFiles.forEach(({ id, templates }) => {
+    templates
+      .filter(({ name }) => !called.has(name))
+      .forEach(({ name, range }) => {
+        const diagnostic = new Diagnostic(
+          formatMessage('Template {name} is never used.', { name }),
+          `${id}.lg`,
+          DiagnosticSeverity.Warning
+        );
+        diagnostic.code = ReachabilityCodes.UnusedLgTemplate;
+        diagnostic.range = range;
+        diagnostic.quickFixes = [
+          { kind: 'removeLgTemplate', title: formatMessage('Delete the template'), lgFileId: id, templateName: name },
+        ];
+        diagnostics.push(diagnostic);
+      });
+  });
+  return diagnostics;
+};
+
+/**
+ * Intents of the LU file of a dialog that no trigger of the dialog handles.
+ */
+const checkLuIntents = ({ dialogs, luFiles }: ReachabilityAssets): Diagnostic[] => {
+  const diagnostics: Diagnostic[] = [];
+  luFiles
+    .filter(({ isContentUnparsed }) => !isContentUnparsed)
+    .forEach(({ id, intents }) => {
+      const dialog = dialogs.find(({ luFile }) => luFile && luFile === getBaseName(id));
+      if (!dialog) return;
+
+      const handled = dialog.referredLuIntents.map(({ name }) => name);
+      intents
+        .filter(({ Name }) => Name !== 'None' && !handled.includes(Name))
+        .forEach(({ Name, range }) => {
+          const diagnostic = new Diagnostic(
+            formatMessage('Intent {name} has no trigger in {dialog}.', { name: Name, dialog: dialog.displayName }),
+            `${id}.lu`,
+            DiagnosticSeverity.Warning
+          );
+          diagnostic.code = ReachabilityCodes.UnusedLuIntent;
+          diagnostic.range = range;
+          diagnostic.quickFixes = [
+            {
+              kind: 'addIntentTrigger',
+              title: formatMessage('Add a trigger for it'),
+              dialogId: dialog.id,
+              intentName: Name,
+            },
+            { kind: 'removeLuIntent', title: formatMessage('Delete the intent'), luFileId: id, intentName: Name },
+          ];
+          diagnostics.push(diagnostic);
+        });
+    });
+  return diagnostics;
+};
+
+const normalizeProperty = (property: string) => {
+  const trimmed = property.trim().replace(/^=/, '');
+  return trimmed.startsWith('$') ? `dialog.${trimmed.substring(1)}` : trimmed;
+};
+
+// the leading segments that are identifiers, the path of 'user.name..x' is user.name
+const getPath = (segments: string[]) => {
+  const end = segments.findIndex((segment) => !identifierPattern.test(segment));
+  return (end === -1 ? segments : segments.slice(0, end)).join('.');
+};
+
+const toProperty = (token: string) => {
+  if (token.startsWith('$')) {
+    const path = getPath(token.substring(1).split('.'));
+    return path ? `dialog.${path}` : '';
+  }
+  const [scope, ...segments] = token.split('.');
+  const path = getPath(segments);
+  return memoryScopes.includes(scope) && path ? `${scope}.${path}` : '';
+};
+
+// LG templates and custom functions are called like built-in functions, their arguments are read all the same
+const lookupFunction = (name: string) =>
+  Expression.lookup(name) ?? new ExpressionEvaluator(name, () => ({ value: undefined, error: '' }), ReturnType.Object);
+
+const findProperties = (expression: string) => {
+  try {
+    return Expression.parse(expression, lookupFunction)
+      .references()
+      .map((reference) => toProperty(reference.split('[')[0]))
+      .filter(Boolean);
+  } catch (err) {
+    // expressions that don't parse are reported by the expression validation
+    return [];
+  }
+};
+
+// the expressions of a string: all of it after a leading =, the ${} parts of a text or all of an expression field
+const getExpressions = (text: string, key: string) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('=')) return [trimmed.substring(1)];
+  if (text.includes('${')) return matchAll(expressionPattern, text, (match) => match[1]);
+  return expressionKeys.includes(key) ? [text] : [];
+};
+
+// one property covers the other when it is the same, one of its parents or one of its children
+const overlaps = (a: string, b: string) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+/**
+ * Properties a dialog reads in its expressions but no action sets. The dialog scope belongs to each dialog,
+ * the user and conversation scopes are shared by the whole bot. LG templates are left out, they are often
+ * shared between dialogs.
+ */
+const checkProperties = ({ dialogs }: ReachabilityAssets): Diagnostic[] => {
+  const setByDialog: Record<string, string[]> = {};
+  const sharedSet: string[] = [];
+  const addSet = (dialogId: string, property: string) => {
+    const normalized = normalizeProperty(property);
+    if (normalized.startsWith('dialog.')) {
+      (setByDialog[dialogId] = setByDialog[dialogId] ?? []).push(normalized);
+    } else {
+      sharedSet.push(normalized);
+    }
+  };
+
+  dialogs.forEach(({ id, content }) => {
+    walkNodes(content, (node) => {
+      setterKeys.forEach((key) => typeof node[key] === 'string' && addSet(id, node[key]));
+      if (Array.isArray(node.assignments)) {
+        node.assignments.forEach(({ property }) => typeof property === 'string' && addSet(id, property));
+      }
+      // options of a begun dialog end up in its dialog scope
+      if (node.$kind === SDKKinds.BeginDialog && typeof node.dialog === 'string' && isObject(node.options)) {
+        Object.keys(node.options).forEach((key) => addSet(node.dialog, `dialog.${key}`));
+      }
+    });
+  });
+
+  const diagnostics: Diagnostic[] = [];
+  dialogs
+    .filter(({ isFormDialog }) => !isFormDialog)
+    .forEach(({ id, content }) => {
+      const isSet = (property: string) =>
+        [...implicitProperties, ...sharedSet, ...(setByDialog[id] ?? [])].some((set) => overlaps(set, property));
+      const reported: string[] = [];
+
+      walkStrings(id, content, '', (text, key, kind, path) => {
+        if (setterKeys.includes(key) || !kind) return;
+        uniq(flatten(getExpressions(text, key).map(findProperties)))
+          .filter((property) => !isSet(property) && !reported.includes(property))
+          .forEach((property) => {
+            reported.push(property);
+            const diagnostic = new Diagnostic(
+              formatMessage('Property {property} is read but never set.', { property }),
+              `${id}.dialog`,
+              DiagnosticSeverity.Warning,
+              createPath(path, kind)
+            );
+            diagnostic.code = ReachabilityCodes.UnsetProperty;
+            diagnostic.quickFixes = [
+              { kind: 'setProperty', title: formatMessage('Set it when the dialog begins'), dialogId: id, property },
+            ];
+            diagnostics.push(diagnostic);
+          });
+      });
+    });
+  return diagnostics;
+};
+
+const analyze = (assets: ReachabilityAssets): Diagnostic[] => {
+  return [...checkDialogs(assets), ...checkLgTemplates(assets), ...checkLuIntents(assets), ...checkProperties(assets)];
+};
+
+export const ReachabilityAnalyzer = {
+  analyze,
+  checkDialogs,
+  checkLgTemplates,
+  checkLuIntents,
+  checkProperties,
+};
@@ -4,6 +4,9 @@
 export * from './diagnosticUtil';
 export * from './jsonWalk';
 export * from './dialogCheckUtil';
+export * from './lgReferences';
+export * from './luReferences';
+export * from './luUtteranceMatcher';
 export * as lgUtil from './lgUtil';
 export * as luUtil from './luUtil';
 export * as qnaUtil from './qnaUtil';
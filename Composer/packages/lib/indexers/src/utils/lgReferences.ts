@@ -0,0 +1,234 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/**
+ * Finds and renames the references to an LG template in the text of .lg files and in dialogs.
+ * A reference is the name in the template definition, or a call like name(...) or a ${name} expression inside
+ * a ${} expression. Text around the expressions, like the one of structured templates, is not searched. In dialogs,
+ * strings starting with = and the strings of expression properties are whole expressions.
+ */
+
+export type LgTemplateReference = {
+  /** 0 based */
+  line: number;
+  start: number;
+  end: number;
+};
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/* eslint-disable security/detect-non-literal-regexp */
+const createPatterns = (name: string) => {
+  const escaped = escapeRegExp(name);
+  return {
+    definition: new RegExp(`^(\\s*#\\s*)(${escaped})(?=\\s*(\\(|$))`),
+    // member calls like user.name() are not template calls
+    call: new RegExp(`(^|[^\\w.])(${escaped})(?=\\s*\\()`, 'g'),
+    expression: new RegExp(`(\\$\\{\\s*)(${escaped})(?=\\s*\\})`, 'g'),
+  };
+};
+/* eslint-enable security/detect-non-literal-regexp */
+
+/**
+ * Properties of the SDK kinds whose strings are expressions without the = prefix, like the condition of an IfCondition
+ * or of a trigger. The strings of the other properties are text with ${} expressions, unless they start with =.
+ */
+const expressionProperties = [
+  'condition',
+  'disabled',
+  'allowInterruptions',
+  'alwaysPrompt',
+  'maxTurnCount',
+  'priority',
+  'expression',
+];
+
+const isDialogExpression = (value: string, property: string) =>
+  value.startsWith('=') || expressionProperties.includes(property);
+
+/**
+ * Blanks what is not in a ${} expression and the string literals of the expressions, the positions stay the same.
+ * @param isExpression the whole text is an expression, only its string literals are blanked
+ */
+const getExpressionText = (lineText: string, isExpression = false) => {
+  const text = new Array<string>(lineText.length).fill(' ');
+  let depth = isExpression ? 1 : 0;
+  let quote = '';
+  for (let index = 0; index < lineText.length; index++) {
+    const char = lineText[index];
+    if (char === '\\' && (depth === 0 || quote)) {
+      // an escaped \${ or quote
+      index++;
+    } else if (depth === 0) {
+      if (char === '$' && lineText[index + 1] === '{') {
+        text[index] = '$';
+        text[++index] = '{';
+        depth = 1;
+      }
+    } else if (quote) {
+      if (char === quote) {
+        text[index] = char;
+        quote = '';
+      }
+    } else {
+      text[index] = char;
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+  }
+  return text.join('');
+};
+
+/**
+ * The expression text of a line of a dialog file: the JSON strings that are expressions are kept whole, the ${}
+ * expressions of the other strings are kept, everything else is blanked.
+ */
+const getDialogExpressionText = (lineText: string) => {
+  const text = new Array<string>(lineText.length).fill(' ');
+  let property = '';
+  for (let index = 0; index < lineText.length; index++) {
+    if (lineText[index] !== '"') continue;
+
+    let end = index + 1;
+    while (end < lineText.length && lineText[end] !== '"') {
+      end += lineText[end] === '\\' ? 2 : 1;
+    }
+    const value = lineText.substring(index + 1, end);
+    if (/^\s*:/.test(lineText.substring(end + 1))) {
+      property = value;
+    } else {
+      const valueText = getExpressionText(value, isDialogExpression(value, property));
+      for (let offset = 0; offset < valueText.length; offset++) {
+        text[index + 1 + offset] = valueText[offset];
+      }
+      property = '';
+    }
+    index = end;
+  }
+  return text.join('');
+};
+
+type TextKind = 'lg' | 'template' | 'expression' | 'dialog';
+
+const getLineExpressionText = (lineText: string, kind: TextKind) =>
+  kind === 'dialog' ? getDialogExpressionText(lineText) : getExpressionText(lineText, kind === 'expression');
+
+function findReferences(text: string, name: string, kind: TextKind): LgTemplateReference[] {
+  const { definition, call, expression } = createPatterns(name);
+  const references: LgTemplateReference[] = [];
+
+  text.split('\n').forEach((lineText, line) => {
+    if (kind === 'lg' && /^\s*>/.test(lineText)) return;
+
+    if (kind === 'lg' && /^\s*#/.test(lineText)) {
+      const match = definition.exec(lineText);
+      if (match) {
+        const start = match[1].length;
+        references.push({ line, start, end: start + name.length });
+      }
+      return;
+    }
+
+    const expressionText = getLineExpressionText(lineText, kind);
+    [call, expression].forEach((pattern) => {
+      pattern.lastIndex = 0;
+      let match: RegExpExecArray | null;
+      while ((match = pattern.exec(expressionText)) !== null) {
+        const start = match.index + match[1].length;
+        references.push({ line, start, end: start + name.length });
+      }
+    });
+  });
+
+  return references.sort((a, b) => a.line - b.line || a.start - b.start);
+}
+
+/**
+ * Template names can be letters, digits, underscores, dots and dashes.
+ */
+export const isValidLgTemplateName = (name: string) => /^[a-zA-Z_][\w.-]*$/.test(name);
+
+/**
+ * @param isLgFile the text is an .lg file, its definition and comment lines are handled. Otherwise the text is
+ * a single template body where only the calls count.
+ */
+export function findLgTemplateReferences(text: string, name: string, isLgFile = true): LgTemplateReference[] {
+  return findReferences(text, name, isLgFile ? 'lg' : 'template');
+}
+
+/**
+ * References to the template in the text of a dialog file.
+ */
+export function findLgTemplateReferencesInDialog(text: string, name: string): LgTemplateReference[] {
+  return findReferences(text, name, 'dialog');
+}
+
+/**
+ * The line after the definition of the template in an .lg file, where its body starts, or -1 when it is not defined.
+ */
+export function getLgTemplateBodyStart(content: string, name: string): number {
+  const lines = content.split('\n');
+  const definition = findLgTemplateReferences(content, name).find(({ line }) => /^\s*#/.test(lines[line]));
+  return definition ? definition.line + 1 : -1;
+}
+
+/**
+ * Replaces the name of the template at each reference.
+ * @throws when the text at a reference is not the name, the references were found in another version of the text
+ */
+export function applyLgTemplateRename(
+  text: string,
+  references: LgTemplateReference[],
+  name: string,
+  newName: string
+): string {
+  if (!references.length) return text;
+
+  const lines = text.split('\n');
+  const sorted = [...references].sort((a, b) => a.line - b.line || a.start - b.start);
+  // from the end so the positions of the remaining references stay valid
+  sorted.reverse().forEach(({ line, start, end }) => {
+    if (lines[line]?.substring(start, end) !== name) {
+      throw new Error(`The reference to ${name} on line ${line + 1} was not found, the file changed since.`);
+    }
+    lines[line] = `${lines[line].substring(0, start)}${newName}${lines[line].substring(end)}`;
+  });
+  return lines.join('\n');
+}
+
+export function renameLgTemplateReferences(text: string, name: string, newName: string, isLgFile = true): string {
+  return applyLgTemplateRename(text, findLgTemplateReferences(text, name, isLgFile), name, newName);
+}
+
+/**
+ * Renames the template in every string of a dialog. Returns the same object when nothing refers to it.
+ */
+export function renameLgTemplateInDialog<T>(content: T, name: string, newName: string): T {
+  const rename = (value: any, property = '') => {
+    if (typeof value === 'string') {
+      const kind = isDialogExpression(value, property) ? 'expression' : 'template';
+      return applyLgTemplateRename(value, findReferences(value, name, kind), name, newName);
+    }
+    if (Array.isArray(value)) {
+      const items = value.map((item) => rename(item));
+      return items.some((item, index) => item !== value[index]) ? items : value;
+    }
+    if (value !== null && typeof value === 'object') {
+      let changed = false;
+      const result = Object.keys(value).reduce((result, key) => {
+        result[key] = rename(value[key], key);
+        changed = changed || result[key] !== value[key];
+        return result;
+      }, {});
+      return changed ? result : value;
+    }
+    return value;
+  };
+
+  return rename(content);
+}
@@ -18,10 +18,13 @@ import {
   LgFile,
   DiagnosticSeverity,
   LgTemplateRef,
+  LgTemplateEvaluation,
+  LgTemplatePreview,
 } from '@bfc/shared';
 import formatMessage from 'format-message';
 import isEmpty from 'lodash/isEmpty';
 import cloneDeep from 'lodash/cloneDeep';
+import escapeRegExp from 'lodash/escapeRegExp';
 import { SourceRange } from 'botbuilder-lg/lib/sourceRange';
 
 import { lgIndexer } from '../lgIndexer';
@@ -348,6 +351,117 @@ export function filterCustomFunctionError(diagnostics: Diagnostic[] = [], custom
   }, []);
 }
 
+// expanding a template multiplies the alternatives of the templates it calls
+const MAX_TEMPLATE_VARIATIONS = 20;
+// larger expansions would hold up every parse of the LG worker, only one evaluation of them is shown
+const MAX_EXPANDED_VARIATIONS = 1000;
+
+const callsTemplate = (body: string, name: string) =>
+  new RegExp(`(^|[^\\w.])${escapeRegExp(name)}\\s*\\(`).test(body);
+
+/**
+ * Upper bound of the variations a template expands to, its alternatives times those of every template it calls.
+ * Counting stops above the limit, recursive templates count as above it.
+ */
+function countTemplateVariations(resource: Templates, templateName: string, limit: number): number {
+  const templates = resource.allTemplates;
+  const counts = new Map<string, number>();
+
+  const count = (name: string): number => {
+    const known = counts.get(name);
+    if (known !== undefined) return known;
+
+    const template = templates.find((t) => t.name === name);
+    if (!template) return 1;
+
+    // a call back to a template still being counted
+    counts.set(name, limit + 1);
+    const alternatives = template.body.split('\n').filter((line) => line.trim().startsWith('-')).length;
+    const total = templates
+      .filter((t) => callsTemplate(template.body, t.name))
+      .reduce((total, t) => Math.min(total * count(t.name), limit + 1), Math.max(alternatives, 1));
+    counts.set(name, total);
+    return total;
+  };
+
+  return count(templateName);
+}
+
+// properties of structured templates keep the case they are written with
+const getProperty = (value: object, name: string): unknown =>
+  Object.entries(value).find(([key]) => key.toLowerCase() === name)?.[1];
+
+const toArray = (value: unknown): unknown[] =>
+  value === undefined || value === null ? [] : Array.isArray(value) ? value : [value];
+
+const toText = (value: unknown): string | undefined => {
+  if (value === undefined || value === null) return undefined;
+  // a property with several values separated by | is an array
+  if (Array.isArray(value)) return toText(value[0]);
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const toAttachment = (value: unknown) => {
+  if (!value || typeof value !== 'object') {
+    return { contentType: 'attachment', content: value };
+  }
+  const { lgType, ...content } = value as Record<string, unknown>;
+  const contentType =
+    typeof lgType === 'string' ? lgType : typeof content.type === 'string' ? content.type : 'attachment';
+  return { contentType, content };
+};
+
+const toSuggestedAction = (value: unknown) =>
+  value && typeof value === 'object'
+    ? toText(getProperty(value, 'title') ?? getProperty(value, 'value')) ?? ''
+    : String(value);
+
+/**
+ * Converts the value of an evaluated template to what the bot would send, as the runtime activity factory does.
+ */
+export function toTemplatePreview(value: unknown): LgTemplatePreview {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const lgType = getProperty(value, 'lgtype');
+    if (typeof lgType === 'string' && lgType.toLowerCase() === 'activity') {
+      return {
+        text: toText(getProperty(value, 'text')),
+        speak: toText(getProperty(value, 'speak')),
+        attachments: toArray(getProperty(value, 'attachments')).map(toAttachment),
+        suggestedActions: toArray(getProperty(value, 'suggestedactions')).map(toSuggestedAction),
+      };
+    }
+    // a card template is sent as the attachment of an activity
+    if (lgType) {
+      return { attachments: [toAttachment(value)], suggestedActions: [] };
+    }
+  }
+
+  return { text: toText(value), attachments: [], suggestedActions: [] };
+}
+
+/**
+ * Evaluates a template against the memory, once and with every variation of it unless it has too many.
+ */
+export function evaluateTemplate(
+  lgFile: LgFile,
+  templateName: string,
+  memory: Record<string, unknown>,
+  importResolver?: ImportResolverDelegate
+): LgTemplateEvaluation {
+  try {
+    const resource = getLgResource(lgFile, importResolver);
+    const result = toTemplatePreview(resource.evaluate(templateName, memory));
+    const variations =
+      countTemplateVariations(resource, templateName, MAX_EXPANDED_VARIATIONS) > MAX_EXPANDED_VARIATIONS
+        ? []
+        : resource.expandTemplate(templateName, memory).slice(0, MAX_TEMPLATE_VARIATIONS).map(toTemplatePreview);
+
+    return { result, variations };
+  } catch (error) {
+    return { variations: [], error: error.message };
+  }
+}
+
 export function parse(id: string, content: string, lgFiles: TextFile[]): LgFile {
   const lgImportResolver = lgImportResolverGenerator(lgFiles, '.lg');
 
@@ -0,0 +1,232 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/**
+ * Finds and renames the references to LU intents and entities in the text of .lu files and in dialogs.
+ * An intent is referred to by its # section, @ intent definitions and imports like [](file.lu#name).
+ * An entity is referred to by its @ definitions, usesFeature lists and the {name} labels of utterances.
+ * In dialogs, intents are the "intent" and entities the "entities" items of the OnIntent triggers.
+ * The items of a dialog belong to its .lu files, a rename covers them in every locale, the .lu files that import them
+ * and the dialog.
+ */
+
+import { SDKKinds } from '@bfc/shared';
+
+import { getBaseName, getLocale } from './help';
+
+export type LuReferenceKind = 'intent' | 'entity';
+
+export type LuReference = {
+  /** 0 based */
+  line: number;
+  start: number;
+  end: number;
+};
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const entityTypes = 'ml|list|regex|prebuilt|composite|phraseList|phraselist|patternAny|patternany';
+
+/* eslint-disable security/detect-non-literal-regexp */
+const createPatterns = (kind: LuReferenceKind, name: string) => {
+  const escaped = escapeRegExp(name);
+  if (kind === 'intent') {
+    return [
+      new RegExp(`^(\\s*#(?!#)\\s*)(${escaped})(?=\\s*$)`),
+      new RegExp(`^(\\s*@\\s*intent\\s+)(${escaped})(?=\\s|$)`),
+      new RegExp(`(\\.lu#)(${escaped})(?=[)*])`, 'g'),
+    ];
+  }
+  return [
+    // the name of a definition follows its type, if any
+    new RegExp(`^(\\s*-?\\s*@\\s*(?:(?:${entityTypes})\\s+|(?!(?:${entityTypes})\\s)))(${escaped})(?=\\s*(=|,|$)|\\s)`),
+    new RegExp(`(\\busesFeatures?\\s+(?:[\\w.-]+\\s*,\\s*)*)(${escaped})(?=\\s*(,|$))`, 'g'),
+    new RegExp(`(\\{\\s*@?)(${escaped})(?=\\s*[=}:])`, 'g'),
+  ];
+};
+/* eslint-enable security/detect-non-literal-regexp */
+
+const findMatches = (lineText: string, line: number, patterns: RegExp[], references: LuReference[]) => {
+  patterns.forEach((pattern) => {
+    if (!pattern.global) {
+      const match = pattern.exec(lineText);
+      if (match) {
+        const start = match.index + match[1].length;
+        references.push({ line, start, end: start + match[2].length });
+      }
+      return;
+    }
+
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(lineText)) !== null) {
+      const start = match.index + match[1].length;
+      references.push({ line, start, end: start + match[2].length });
+    }
+  });
+};
+
+const sortReferences = (references: LuReference[]) => references.sort((a, b) => a.line - b.line || a.start - b.start);
+
+const replaceReferences = (text: string, references: LuReference[], newName: string) => {
+  if (!references.length) return text;
+
+  const lines = text.split('\n');
+  // from the end so the positions of the remaining references stay valid
+  [...references].reverse().forEach(({ line, start, end }) => {
+    lines[line] = `${lines[line].substring(0, start)}${newName}${lines[line].substring(end)}`;
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Intent and entity names can be letters, digits, underscores and dashes.
+ */
+export const isValidLuName = (name: string) => /^[a-zA-Z0-9_-]+$/.test(name);
+
+export function findLuReferences(text: string, kind: LuReferenceKind, name: string): LuReference[] {
+  const patterns = createPatterns(kind, name);
+  const references: LuReference[] = [];
+
+  text.split('\n').forEach((lineText, line) => {
+    if (/^\s*>/.test(lineText)) return;
+    findMatches(lineText, line, patterns, references);
+  });
+
+  return sortReferences(references);
+}
+
+export function renameLuReferences(text: string, kind: LuReferenceKind, name: string, newName: string): string {
+  return replaceReferences(text, findLuReferences(text, kind, name), newName);
+}
+
+/**
+ * The dialog of an .lu file, main.en-us belongs to main.
+ */
+export const getLuFileDialogId = (fileId: string) => (getLocale(fileId) ? getBaseName(fileId) : fileId);
+
+/**
+ * Ids of the .lu files a rename of an item of the dialog covers: the .lu files of the dialog in every locale and the
+ * .lu files that import them.
+ */
+export function getLuRenameFileIds(dialogId: string, luFiles: { id: string; content: string }[]): string[] {
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  const importPattern = new RegExp(
+    `^\\s*-?\\s*\\[[^\\]]*\\]\\(\\s*(?:[^)]*/)?${escapeRegExp(dialogId)}(?:\\.[\\w-]+)?\\.lu(?:#[^)]*)?\\s*\\)`,
+    'm'
+  );
+  return luFiles
+    .filter(({ id, content }) => getLuFileDialogId(id) === dialogId || importPattern.test(content))
+    .map(({ id }) => id);
+}
+
+/**
+ * The "intent" of an OnIntent trigger or its "entities" array.
+ */
+const isDialogLuProperty = (kind: LuReferenceKind, key: string, parent: any) =>
+  parent?.$kind === SDKKinds.OnIntent && key === (kind === 'intent' ? 'intent' : 'entities');
+
+/**
+ * Positions of the strings of a dialog written as JSON.stringify(content, null, 2), the way Composer saves dialogs.
+ */
+const findStringsInDialog = (content: any, matches: (value: string, key: string, parent: any) => boolean) => {
+  const references: LuReference[] = [];
+  let line = 0;
+  let column = 0;
+  const newLine = (depth: number) => {
+    line++;
+    column = depth * 2;
+  };
+
+  // array items have the key and the parent of their array
+  const visit = (value: any, depth: number, key: string, parent: any) => {
+    if (value === null || typeof value !== 'object') {
+      const text = JSON.stringify(value);
+      if (typeof value === 'string' && matches(value, key, parent)) {
+        references.push({ line, start: column + 1, end: column + text.length - 1 });
+      }
+      column += text.length;
+      return;
+    }
+
+    const isArray = Array.isArray(value);
+    const keys = isArray ? value.map((_, index) => index) : Object.keys(value);
+    column++;
+    keys.forEach((itemKey, index) => {
+      newLine(depth + 1);
+      if (!isArray) column += JSON.stringify(itemKey).length + 2;
+      visit(value[itemKey], depth + 1, isArray ? key : itemKey, isArray ? parent : value);
+      if (index < keys.length - 1) column++;
+    });
+    if (keys.length) newLine(depth);
+    column++;
+  };
+
+  visit(content, 0, '', undefined);
+  return references;
+};
+
+/**
+ * Works on the text of a dialog file, the positions are the ones of the dialog as Composer saves it.
+ */
+export function findLuReferencesInDialog(text: string, kind: LuReferenceKind, name: string): LuReference[] {
+  let content;
+  try {
+    content = JSON.parse(text);
+  } catch (error) {
+    return [];
+  }
+  return findStringsInDialog(content, (value, key, parent) => value === name && isDialogLuProperty(kind, key, parent));
+}
+
+const mapDialog = (value: any, map: (key: string, value: any, parent: any) => any) => {
+  if (Array.isArray(value)) {
+    const items = value.map((item) => mapDialog(item, map));
+    return items.some((item, index) => item !== value[index]) ? items : value;
+  }
+  if (value !== null && typeof value === 'object') {
+    let changed = false;
+    const result = Object.keys(value).reduce((result, key) => {
+      result[key] = mapDialog(map(key, value[key], value), map);
+      changed = changed || result[key] !== value[key];
+      return result;
+    }, {});
+    return changed ? result : value;
+  }
+  return value;
+};
+
+/**
+ * Renames an intent or an entity in the OnIntent triggers of a dialog, their intent and entities. Returns the same
+ * object when nothing refers to it.
+ */
+export function renameLuReferencesInDialog<T>(content: T, kind: LuReferenceKind, name: string, newName: string): T {
+  return mapDialog(content, (key, value, parent) => {
+    if (!isDialogLuProperty(kind, key, parent)) return value;
+    if (kind === 'intent' && value === name) return newName;
+    if (kind === 'entity' && Array.isArray(value) && value.includes(name)) {
+      return value.map((item) => (item === name ? newName : item));
+    }
+    return value;
+  });
+}
+
+/**
+ * The intent or entity at a position of a line of an .lu file.
+ */
+export function getLuReferenceAtPosition(
+  lineText: string,
+  character: number
+): { kind: LuReferenceKind; name: string } | undefined {
+  const wordPattern = /[\w-]+/g;
+  let match: RegExpExecArray | null;
+  while ((match = wordPattern.exec(lineText)) !== null) {
+    if (match.index <= character && character <= match.index + match[0].length) break;
+  }
+  if (!match) return;
+
+  const name = match[0];
+  const kinds: LuReferenceKind[] = ['intent', 'entity'];
+  const kind = kinds.find((kind) => findLuReferences(lineText, kind, name).some(({ start }) => start === match?.index));
+  return kind && { kind, name };
+}
@@ -0,0 +1,376 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/**
+ * Matches a test utterance against the intents and entities of an .lu file without training a model.
+ * Intents are matched with their utterances exactly, with their patterns ({entity} placeholders, [optional] text
+ * and (a|b) alternatives) or by word similarity. Entities are extracted with the regex and list definitions,
+ * the placeholders of the matched pattern and the values labeled in utterances.
+ */
+
+import { LuIntentSection } from '@bfc/shared';
+
+export type UtteranceMatchKind = 'exact' | 'pattern' | 'similar';
+
+export type IntentMatch = {
+  intent: string;
+  score: number;
+  kind: UtteranceMatchKind;
+  /** the utterance of the intent that matched best */
+  utterance: string;
+};
+
+export type EntityMatchSource = 'regex' | 'list' | 'pattern' | 'label';
+
+export type EntityMatch = {
+  name: string;
+  /** the normalized value of list entities, the matched text otherwise */
+  value: string;
+  text: string;
+  start: number;
+  end: number;
+  source: EntityMatchSource;
+};
+
+export type UtteranceMatchResult = {
+  intents: IntentMatch[];
+  entities: EntityMatch[];
+};
+
+export type UtteranceConflict = {
+  intents: [string, string];
+  utterances: [string, string];
+  similarity: number;
+};
+
+type IntentUtterance = {
+  intent: string;
+  /** as written in the file */
+  raw: string;
+  /** labels replaced by their values */
+  text: string;
+  words: Set<string>;
+  pattern?: { regExp: RegExp; entities: string[] };
+};
+
+const EXACT_SCORE = 1;
+const PATTERN_SCORE = 0.95;
+// a similar utterance never scores as much as a pattern
+const SIMILARITY_WEIGHT = 0.9;
+const MAX_INTENTS = 5;
+
+const utterancePattern = /^\s*[-*+]\s+(.*)$/;
+const labelPattern = /\{\s*@?\s*([\w.-]+)\s*=\s*([^}]*)\}/g;
+const placeholderPattern = /\{\s*@?\s*([\w.-]+)\s*\}/;
+const regexEntityPattern = /^\s*@\s*regex\s+([\w.-]+)\s*=\s*\/(.*)\/\s*$/;
+const listEntityPattern = /^\s*@\s*list\s+([\w.-]+)\s*=?\s*$/;
+const listItemPattern = /^\s*[-*+]\s+(.*?)\s*(:)?\s*$/;
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalize = (text: string) =>
+  text
+    .toLowerCase()
+    .replace(/[.,!?;:"]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const getWords = (text: string) => new Set(normalize(text).split(' ').filter(Boolean));
+
+// Dice coefficient of the words of both utterances
+const getSimilarity = (a: Set<string>, b: Set<string>) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+const removeLabels = (utterance: string) => utterance.replace(labelPattern, (_, _name, value) => value.trim());
+
+const toPatternRegExp = (utterance: string) => {
+  const entities: string[] = [];
+  let source = '';
+  let i = 0;
+  while (i < utterance.length) {
+    const char = utterance[i];
+    const rest = utterance.slice(i);
+    const placeholder = char === '{' ? placeholderPattern.exec(rest) : null;
+    if (placeholder && placeholder.index === 0) {
+      entities.push(placeholder[1]);
+      source += '(.+?)';
+      i += placeholder[0].length;
+    } else if (char === '[' && rest.includes(']')) {
+      const end = rest.indexOf(']');
+      source += `(?:${escapeRegExp(normalize(rest.slice(1, end)))})?`;
+      i += end + 1;
+    } else if (char === '(' && rest.includes(')') && rest.slice(0, rest.indexOf(')')).includes('|')) {
+      const end = rest.indexOf(')');
+      const alternatives = rest
+        .slice(1, end)
+        .split('|')
+        .map((alternative) => escapeRegExp(normalize(alternative)));
+      source += `(?:${alternatives.join('|')})`;
+      i += end + 1;
+    } else {
+      // spaces and punctuation are normalized away, optional parts leave spaces around them
+      const normalized = normalize(char);
+      source += normalized ? escapeRegExp(normalized) : '\\s*';
+      i++;
+    }
+  }
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  return { regExp: new RegExp(`^\\s*${source}\\s*$`, 'i'), entities };
+};
+
+const isPattern = (utterance: string) => placeholderPattern.test(utterance);
+
+/**
+ * The utterances of the intents, nested intents are named parent/child.
+ */
+const getIntentUtterances = (intents: LuIntentSection[]): IntentUtterance[] =>
+  intents
+    .filter(({ Children }) => !Children?.length)
+    .reduce((utterances: IntentUtterance[], { Name, Body }) => {
+      Body.split('\n').forEach((line) => {
+        const raw = utterancePattern.exec(line)?.[1]?.trim();
+        if (!raw) return;
+        const text = removeLabels(raw);
+        utterances.push({
+          intent: Name,
+          raw,
+          text,
+          words: getWords(text),
+          pattern: isPattern(raw) ? toPatternRegExp(raw) : undefined,
+        });
+      });
+      return utterances;
+    }, []);
+
+const getRegexEntities = (content: string) =>
+  content.split('\n').reduce((entities: { name: string; regExp: RegExp }[], line) => {
+    const match = regexEntityPattern.exec(line);
+    if (match) {
+      try {
+        // eslint-disable-next-line security/detect-non-literal-regexp
+        entities.push({ name: match[1], regExp: new RegExp(match[2], 'gi') });
+      } catch (e) {
+        // the diagnostics of the file report invalid expressions
+      }
+    }
+    return entities;
+  }, []);
+
+const getListEntities = (content: string) => {
+  const entities: { name: string; values: { value: string; text: string }[] }[] = [];
+  let current: { name: string; values: { value: string; text: string }[] } | undefined;
+  let canonical = '';
+
+  content.split('\n').forEach((line) => {
+    const definition = listEntityPattern.exec(line);
+    if (definition) {
+      current = { name: definition[1], values: [] };
+      canonical = '';
+      entities.push(current);
+      return;
+    }
+    const item = current && listItemPattern.exec(line);
+    if (!current || !item) {
+      current = undefined;
+      return;
+    }
+    // canonical values end with a colon and are followed by their synonyms
+    if (item[2]) {
+      canonical = item[1];
+    }
+    current.values.push({ value: canonical || item[1], text: item[1] });
+  });
+
+  return entities;
+};
+
+const getLabeledValues = (intents: LuIntentSection[]) => {
+  const values = new Map<string, Set<string>>();
+  intents.forEach(({ Body }) => {
+    let match: RegExpExecArray | null;
+    labelPattern.lastIndex = 0;
+    while ((match = labelPattern.exec(Body)) !== null) {
+      const value = match[2].trim();
+      if (!value) continue;
+      values.set(match[1], (values.get(match[1]) ?? new Set()).add(value));
+    }
+  });
+  return values;
+};
+
+const findText = (utterance: string, text: string) => {
+  const positions: number[] = [];
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  const pattern = new RegExp(`(^|\\W)(${escapeRegExp(text)})(?=\\W|$)`, 'gi');
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(utterance)) !== null) {
+    positions.push(match.index + match[1].length);
+  }
+  return positions;
+};
+
+const matchIntent = (utterance: string, words: Set<string>, candidate: IntentUtterance) => {
+  if (candidate.pattern) {
+    const match = candidate.pattern.regExp.exec(normalize(utterance));
+    return match ? { score: PATTERN_SCORE, kind: 'pattern' as const, match } : undefined;
+  }
+  if (normalize(candidate.text) === normalize(utterance)) {
+    return { score: EXACT_SCORE, kind: 'exact' as const };
+  }
+  const similarity = getSimilarity(words, candidate.words);
+  return similarity ? { score: similarity * SIMILARITY_WEIGHT, kind: 'similar' as const } : undefined;
+};
+
+/**
+ * Finds the intents an utterance is the closest to, best first, and the entities in it.
+ * @param utterance The test utterance.
+ * @param intents The intents of the parsed .lu file.
+ * @param content The content of the .lu file, for the entity definitions.
+ */
+export const matchUtterance = (
+  utterance: string,
+  intents: LuIntentSection[],
+  content: string
+): UtteranceMatchResult => {
+  const words = getWords(utterance);
+  const bestMatches = new Map<string, IntentMatch>();
+  const patternEntities: EntityMatch[] = [];
+  let bestPatternScore = 0;
+
+  getIntentUtterances(intents).forEach((candidate) => {
+    const result = matchIntent(utterance, words, candidate);
+    if (!result) return;
+
+    const current = bestMatches.get(candidate.intent);
+    if (!current || current.score < result.score) {
+      bestMatches.set(candidate.intent, {
+        intent: candidate.intent,
+        score: result.score,
+        kind: result.kind,
+        utterance: candidate.raw,
+      });
+    }
+
+    if (result.kind === 'pattern' && result.match && result.score > bestPatternScore && candidate.pattern) {
+      bestPatternScore = result.score;
+      patternEntities.length = 0;
+      candidate.pattern.entities.forEach((name, index) => {
+        // the pattern matched the normalized utterance
+        const normalized = result.match?.[index + 1]?.trim() ?? '';
+        const start = utterance.toLowerCase().indexOf(normalized);
+        const text = start === -1 ? normalized : utterance.substr(start, normalized.length);
+        patternEntities.push({ name, value: text, text, start, end: start + text.length, source: 'pattern' });
+      });
+    }
+  });
+
+  const entities: EntityMatch[] = [...patternEntities];
+
+  getRegexEntities(content).forEach(({ name, regExp }) => {
+    regExp.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = regExp.exec(utterance)) !== null && match[0]) {
+      entities.push({
+        name,
+        value: match[0],
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        source: 'regex',
+      });
+    }
+  });
+
+  getListEntities(content).forEach(({ name, values }) => {
+    values.forEach(({ value, text }) => {
+      findText(utterance, text).forEach((start) => {
+        const matched = utterance.substr(start, text.length);
+        entities.push({ name, value, text: matched, start, end: start + text.length, source: 'list' });
+      });
+    });
+  });
+
+  getLabeledValues(intents).forEach((values, name) => {
+    values.forEach((value) => {
+      findText(utterance, value).forEach((start) => {
+        const matched = utterance.substr(start, value.length);
+        entities.push({ name, value: matched, text: matched, start, end: start + value.length, source: 'label' });
+      });
+    });
+  });
+
+  return {
+    intents: Array.from(bestMatches.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_INTENTS),
+    entities: entities.sort((a, b) => a.start - b.start),
+  };
+};
+
+/**
+ * The utterances of the intents as written in the file, nested intents are named parent/child.
+ */
+export const getUtterancesOfIntents = (intents: LuIntentSection[]): { intent: string; utterance: string }[] =>
+  getIntentUtterances(intents).map(({ intent, raw }) => ({ intent, utterance: raw }));
+
+export type LabeledUtterance = {
+  /** what the utterance belongs to, utterances with the same label never conflict */
+  label: string;
+  utterance: string;
+};
+
+export type SimilarUtterances = {
+  labels: [string, string];
+  utterances: [string, string];
+  similarity: number;
+};
+
+/**
+ * Finds the utterances with different labels that are the same or nearly, best first. Utterances are compared by
+ * their words once their labeled values are replaced, patterns only conflict when they are the same.
+ * @param utterances The utterances to compare.
+ * @param threshold The word similarity from which two utterances conflict, between 0 and 1.
+ */
+export const findSimilarUtterances = (utterances: LabeledUtterance[], threshold = 0.9): SimilarUtterances[] => {
+  const items = utterances.map(({ label, utterance }) => {
+    const text = removeLabels(utterance);
+    return { label, utterance, normalized: normalize(text), words: getWords(text), isPattern: isPattern(utterance) };
+  });
+  const similarities: SimilarUtterances[] = [];
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i];
+      const b = items[j];
+      if (a.label === b.label) continue;
+      // the word counts alone bound the similarity
+      const sizes = [a.words.size, b.words.size].sort((x, y) => x - y);
+      if (a.normalized !== b.normalized && (2 * sizes[0]) / (sizes[0] + sizes[1]) < threshold) continue;
+
+      const similarity =
+        a.normalized === b.normalized ? 1 : a.isPattern || b.isPattern ? 0 : getSimilarity(a.words, b.words);
+      if (similarity >= threshold) {
+        similarities.push({ labels: [a.label, b.label], utterances: [a.utterance, b.utterance], similarity });
+      }
+    }
+  }
+
+  return similarities.sort((a, b) => b.similarity - a.similarity);
+};
+
+/**
+ * Finds the utterances of different intents that are the same or nearly, they make the recognition ambiguous.
+ * @param intents The intents of the parsed .lu file.
+ * @param threshold The word similarity from which two utterances conflict, between 0 and 1.
+ */
+export const findUtteranceConflicts = (intents: LuIntentSection[], threshold = 0.9): UtteranceConflict[] =>
+  findSimilarUtterances(
+    getUtterancesOfIntents(intents).map(({ intent, utterance }) => ({ label: intent, utterance })),
+    threshold
+  ).map(({ labels, utterances, similarity }) => ({ intents: labels, utterances, similarity }));
@@ -0,0 +1,194 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+/**
+ * Find the utterances that overlap between the intents of the dialogs of a bot and its QnA questions. Cross
+ * training blends them into the recognizers of each other, overlapping ones make them compete for the same input.
+ */
+import { Diagnostic, DiagnosticSeverity, IRange, LuFile, QnAFile } from '@bfc/shared';
+import formatMessage from 'format-message';
+import groupBy from 'lodash/groupBy';
+
+import { getBaseName, getLocale } from './utils/help';
+import { findSimilarUtterances, getUtterancesOfIntents, LabeledUtterance } from './utils/luUtteranceMatcher';
+
+export const UtteranceOverlapCodes = {
+  DuplicateUtterance: 'DuplicateUtterance',
+  SimilarUtterance: 'SimilarUtterance',
+};
+
+export type OverlapTargetKind = 'intent' | 'qna';
+
+/**
+ * An intent of an .lu file or a question and answer pair of a .qna file.
+ */
+export type OverlapTarget = {
+  id: string;
+  kind: OverlapTargetKind;
+  /** the intent name or the first question */
+  name: string;
+  fileId: string;
+  dialogId: string;
+  locale: string;
+  range?: IRange;
+};
+
+export type OverlapExample = {
+  utterances: [string, string];
+  similarity: number;
+};
+
+export type OverlapPair = {
+  targets: [string, string];
+  /** the similarity of the closest utterances */
+  similarity: number;
+  /** the overlapping utterances, closest first */
+  examples: OverlapExample[];
+};
+
+export type UtteranceOverlapReport = {
+  targets: OverlapTarget[];
+  /** closest first */
+  pairs: OverlapPair[];
+};
+
+type UtteranceOverlapAssets = {
+  luFiles: LuFile[];
+  qnaFiles: QnAFile[];
+  /** only the files of this locale are analyzed when set */
+  locale?: string;
+};
+
+const getTargets = ({ luFiles, qnaFiles, locale: analyzedLocale }: UtteranceOverlapAssets) => {
+  const targets: OverlapTarget[] = [];
+  const utterances: (LabeledUtterance & { locale: string })[] = [];
+  const isAnalyzed = ({ id, isContentUnparsed }: { id: string; isContentUnparsed: boolean }) =>
+    !isContentUnparsed && (analyzedLocale === undefined || getLocale(id) === analyzedLocale);
+
+  luFiles.filter(isAnalyzed).forEach(({ id: fileId, intents }) => {
+    const locale = getLocale(fileId) ?? '';
+    const dialogId = getBaseName(fileId);
+    intents
+      .filter(({ Children }) => !Children?.length)
+      .forEach(({ Name, range }) => {
+        targets.push({ id: `${fileId}#${Name}`, kind: 'intent', name: Name, fileId, dialogId, locale, range });
+      });
+    getUtterancesOfIntents(intents).forEach(({ intent, utterance }) => {
+      utterances.push({ label: `${fileId}#${intent}`, utterance, locale });
+    });
+  });
+
+  qnaFiles.filter(isAnalyzed).forEach(({ id: fileId, qnaSections }) => {
+    const locale = getLocale(fileId) ?? '';
+    const dialogId = getBaseName(fileId);
+    qnaSections
+      .filter(({ Questions }) => Questions.length)
+      .forEach(({ sectionId, Questions, range }) => {
+        const id = `${fileId}?${sectionId}`;
+        targets.push({ id, kind: 'qna', name: Questions[0].content, fileId, dialogId, locale, range });
+        Questions.forEach(({ content }) => utterances.push({ label: id, utterance: content, locale }));
+      });
+  });
+
+  return { targets, utterances };
+};
+
+/**
+ * Compares the utterances of every intent and QnA question with the ones of the other intents and questions of the
+ * same locale.
+ * @param assets The .lu and .qna files of the bot, and the locale to analyze.
+ * @param threshold The word similarity from which two utterances overlap, between 0 and 1.
+ */
+const analyze = (assets: UtteranceOverlapAssets, threshold?: number): UtteranceOverlapReport => {
+  const { targets, utterances } = getTargets(assets);
+  const pairs = new Map<string, OverlapPair>();
+
+  const utterancesByLocale = groupBy(utterances, 'locale');
+  Object.keys(utterancesByLocale).forEach((locale) => {
+    findSimilarUtterances(utterancesByLocale[locale], threshold).forEach(
+      ({ labels, utterances: texts, similarity }) => {
+        // the same pair whatever the order the utterances were found in
+        const sorted = labels[0] < labels[1];
+        const key = sorted ? labels.join('\n') : [labels[1], labels[0]].join('\n');
+        const example: OverlapExample = { utterances: sorted ? texts : [texts[1], texts[0]], similarity };
+        const pair = pairs.get(key);
+        if (pair) {
+          pair.examples.push(example);
+        } else {
+          pairs.set(key, {
+            targets: sorted ? labels : [labels[1], labels[0]],
+            similarity,
+            examples: [example],
+          });
+        }
+      }
+    );
+  });
+
+  return {
+    targets,
+    pairs: Array.from(pairs.values()).sort(
+      (a, b) => b.similarity - a.similarity || b.examples.length - a.examples.length
+    ),
+  };
+};
+
+const describeTarget = ({ kind, name, dialogId }: OverlapTarget) =>
+  kind === 'intent'
+    ? formatMessage('intent {name} of {dialog}', { name, dialog: dialogId })
+    : formatMessage('question "{name}" of {dialog}', { name, dialog: dialogId });
+
+/**
+ * One warning per overlapping pair, on the first .lu file of the pair, with its closest utterances.
+ */
+const getDiagnostics = ({ targets, pairs }: UtteranceOverlapReport): Diagnostic[] => {
+  const targetsById = new Map(targets.map((target) => [target.id, target]));
+
+  return pairs.reduce((diagnostics: Diagnostic[], { targets: ids, similarity, examples }) => {
+    const a = targetsById.get(ids[0]);
+    const b = targetsById.get(ids[1]);
+    if (!a || !b) return diagnostics;
+    // intents are reported rather than questions
+    const swap = a.kind === 'qna' && b.kind === 'intent';
+    const [target, other] = swap ? [b, a] : [a, b];
+    const [utterance, otherUtterance] = swap
+      ? [examples[0].utterances[1], examples[0].utterances[0]]
+      : examples[0].utterances;
+
+    const diagnostic = new Diagnostic(
+      examples.length > 1
+        ? formatMessage(
+            'The {target} overlaps with the {other}: "{utterance}" and "{otherUtterance}" ({similarity}%), and {count} more.',
+            {
+              target: describeTarget(target),
+              other: describeTarget(other),
+              utterance,
+              otherUtterance,
+              similarity: Math.round(similarity * 100),
+              count: examples.length - 1,
+            }
+          )
+        : formatMessage(
+            'The {target} overlaps with the {other}: "{utterance}" and "{otherUtterance}" ({similarity}%).',
+            {
+              target: describeTarget(target),
+              other: describeTarget(other),
+              utterance,
+              otherUtterance,
+              similarity: Math.round(similarity * 100),
+            }
+          ),
+      target.fileId,
+      DiagnosticSeverity.Warning
+    );
+    diagnostic.code =
+      similarity === 1 ? UtteranceOverlapCodes.DuplicateUtterance : UtteranceOverlapCodes.SimilarUtterance;
+    diagnostic.range = target.range;
+    diagnostics.push(diagnostic);
+    return diagnostics;
+  }, []);
+};
+
+export const UtteranceOverlapAnalyzer = {
+  analyze,
+  getDiagnostics,
+};
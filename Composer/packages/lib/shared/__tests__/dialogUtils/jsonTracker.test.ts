@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { deleteNode, queryNode, getParentPaths } from '../../src/dialogUtils/jsonTracker';
+import { deleteNode, queryNode, getParentPaths, toggleCollapsedBranch } from '../../src/dialogUtils/jsonTracker';
 
 describe('queryNode', () => {
   describe('can query correct result', () => {
@@ -82,3 +82,25 @@ describe('getParentPaths', () => {
     expect(getParentPaths('triggers[0].actions[0].actions')).toEqual(['triggers[0]', 'triggers[0].actions[0]']);
   });
 });
+
+describe('toggleCollapsedBranch', () => {
+  const dialog = {
+    triggers: [{ actions: [{ $kind: 'Microsoft.IfCondition', $designer: { id: '1234' }, actions: [] }] }],
+  };
+
+  it('collapses a branch in the $designer of the action', () => {
+    const result = toggleCollapsedBranch(dialog, 'triggers[0].actions[0]', 'elseActions');
+    expect(result.triggers[0].actions[0].$designer).toEqual({ id: '1234', collapsedBranches: ['elseActions'] });
+    expect(dialog.triggers[0].actions[0].$designer).toEqual({ id: '1234' });
+  });
+
+  it('expands a collapsed branch', () => {
+    const collapsed = toggleCollapsedBranch(dialog, 'triggers[0].actions[0]', 'elseActions');
+    const result = toggleCollapsedBranch(collapsed, 'triggers[0].actions[0]', 'elseActions');
+    expect(result.triggers[0].actions[0].$designer).toEqual({ id: '1234' });
+  });
+
+  it('returns the dialog when the action does not exist', () => {
+    expect(toggleCollapsedBranch(dialog, 'triggers[0].actions[3]', 'actions')).toBe(dialog);
+  });
+});
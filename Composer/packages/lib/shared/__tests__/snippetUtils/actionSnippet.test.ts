@@ -0,0 +1,92 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  createSnippetActions,
+  fillSnippetParameters,
+  findSnippetParameters,
+  replaceWithSnippetParameter,
+} from '../../src/snippetUtils/actionSnippet';
+
+// LG templates generated for an action are named after its kind and id
+const textTemplateName = 'SendActivity_1234_text';
+
+const serializedLg = JSON.stringify({
+  originalId: '1234',
+  mainTemplateBody: `[Activity\n    Text = \${${textTemplateName}()}\n]`,
+  relatedLgTemplateBodies: { [textTemplateName]: '- Retrying {{operation}}' },
+});
+
+const copiedActions: any[] = [
+  {
+    $kind: 'Microsoft.SetProperty',
+    $designer: { id: '1111', name: 'Reset {{counter}}' },
+    property: 'dialog.retries',
+    value: '0',
+  },
+  {
+    $kind: 'Microsoft.IfCondition',
+    $designer: { id: '2222' },
+    condition: 'dialog.retries < {{ maxRetries }}',
+    actions: [{ $kind: 'Microsoft.SendActivity', $designer: { id: '1234' }, activity: serializedLg }],
+  },
+];
+
+describe('findSnippetParameters', () => {
+  it('finds the placeholders of the actions and of their LG responses', () => {
+    expect(findSnippetParameters(copiedActions)).toEqual(['counter', 'maxRetries', 'operation']);
+  });
+});
+
+describe('replaceWithSnippetParameter', () => {
+  it('turns a text into a placeholder everywhere', () => {
+    const actions = replaceWithSnippetParameter(copiedActions, 'dialog.retries', 'counter');
+    expect(actions[0].property).toBe('{{counter}}');
+    expect(actions[1].condition).toBe('{{counter}} < {{ maxRetries }}');
+    expect(copiedActions[0].property).toBe('dialog.retries');
+  });
+});
+
+describe('fillSnippetParameters', () => {
+  it('replaces the placeholders with the values and keeps the LG responses serialized', () => {
+    const actions = fillSnippetParameters(copiedActions, {
+      counter: 'user.retries',
+      maxRetries: '3',
+      operation: 'the "payment"',
+    }) as any[];
+
+    expect(actions[0].$designer.name).toBe('Reset user.retries');
+    expect(actions[1].condition).toBe('dialog.retries < 3');
+    expect(JSON.parse(actions[1].actions[0].activity)).toEqual({
+      originalId: '1234',
+      mainTemplateBody: `[Activity\n    Text = \${${textTemplateName}()}\n]`,
+      relatedLgTemplateBodies: { [textTemplateName]: '- Retrying the "payment"' },
+    });
+  });
+
+  it('keeps the placeholders without a value', () => {
+    expect((fillSnippetParameters(copiedActions, {}) as any[])[1].condition).toBe('dialog.retries < {{ maxRetries }}');
+  });
+});
+
+describe('createSnippetActions', () => {
+  it('drops the designer ids of the actions and of the actions they hold', async () => {
+    const actions = (await createSnippetActions(copiedActions)) as any[];
+
+    expect(actions[0].$designer).toEqual({ name: 'Reset {{counter}}' });
+    expect(actions[1].$designer).toEqual({});
+    expect(actions[1].actions[0]).toEqual({ $kind: 'Microsoft.SendActivity', $designer: {}, activity: serializedLg });
+  });
+
+  it('keeps the LU intent of the inputs', async () => {
+    const input = {
+      $kind: 'Microsoft.TextInput',
+      $designer: { id: '3333' },
+      prompt: 'Your {{field}}?',
+      _lu: { Name: 'TextInput_Response_3333', Body: '- my {{field}} is {value}' },
+    };
+    const [copy] = (await createSnippetActions([input as any])) as any[];
+
+    expect(copy).toEqual({ ...input, $designer: {} });
+  });
+});
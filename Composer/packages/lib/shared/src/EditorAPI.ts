@@ -15,6 +15,7 @@ export interface EditorAPI {
     DeleteSelection: EditorAPIHandler;
     DisableSelection: EditorAPIHandler;
     EnableSelection: EditorAPIHandler;
+    SaveSelectionAsSnippet: EditorAPIHandler;
   };
 }
 
@@ -32,6 +33,7 @@ const DefaultEditorAPI: EditorAPI = {
     DeleteSelection: EmptyHandler,
     DisableSelection: EmptyHandler,
     EnableSelection: EmptyHandler,
+    SaveSelectionAsSnippet: EmptyHandler,
   },
 };
 
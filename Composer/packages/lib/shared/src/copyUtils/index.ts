@@ -2,4 +2,5 @@
 // Licensed under the MIT License.
 
 export { copyAdaptiveAction } from './copyAdaptiveAction';
+export { copyAdaptiveActionList } from './copyAdaptiveActionList';
 export { FieldProcessorAsync } from './ExternalApi';
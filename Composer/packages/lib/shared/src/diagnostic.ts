@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { IRange, IPosition, IDiagnostic, DiagnosticSeverity } from '@botframework-composer/types';
+import { IRange, IPosition, IDiagnostic, DiagnosticSeverity, DiagnosticQuickFix } from '@botframework-composer/types';
 
 export class Range implements IRange {
   start: Position;
@@ -58,6 +58,11 @@ export class Diagnostic implements IDiagnostic {
    */
   code?: string;
 
+  /**
+   * changes that resolve the problem, the first one is the preferred fix
+   */
+  quickFixes?: DiagnosticQuickFix[];
+
   constructor(message: string, source: string, severity?: DiagnosticSeverity, path?: string) {
     this.message = message;
     this.source = source;
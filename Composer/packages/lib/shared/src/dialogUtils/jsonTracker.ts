@@ -183,6 +183,26 @@ export function enableNodes(inputDialog, nodeIds: string[]) {
   return dialog;
 }
 
+/**
+ * Collapses or expands a branch of an action on the flow canvas, e.g. 'elseActions' of an IfCondition or 'cases[1]'
+ * of a SwitchCondition. The collapsed branches are saved in the '$designer' of the action.
+ */
+export function toggleCollapsedBranch(inputDialog, nodeId: string, branch: string) {
+  const dialog = cloneDeep(inputDialog);
+  const action = queryNode(dialog, nodeId);
+  if (!action || typeof action !== 'object') return inputDialog;
+
+  const collapsed: string[] = action.$designer?.collapsedBranches ?? [];
+  const collapsedBranches = collapsed.includes(branch) ? collapsed.filter((x) => x !== branch) : [...collapsed, branch];
+
+  action.$designer = { ...action.$designer, collapsedBranches };
+  if (!collapsedBranches.length) {
+    delete action.$designer.collapsedBranches;
+  }
+
+  return dialog;
+}
+
 export function insertAction(inputDialog, arrayPath: string, position: number, newAction) {
   const dialog = cloneDeep(inputDialog);
   const current = get(dialog, arrayPath, []);
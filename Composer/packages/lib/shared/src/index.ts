@@ -26,6 +26,7 @@ export * from './resolverFactory';
 export * from './schemaUtils';
 export * from './settings';
 export * from './skillsUtils';
+export * from './snippetUtils';
 export * from './viewUtils';
 export * from './walkerUtils';
 export * from './httpsProxy';
@@ -0,0 +1,81 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DesignerData, MicrosoftIDialog } from '@botframework-composer/types';
+
+import { copyAdaptiveActionList } from '../copyUtils/copyAdaptiveActionList';
+
+const SnippetParameterPattern = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+export const isValidSnippetParameterName = (name: string) => /^[A-Za-z_]\w*$/.test(name);
+
+export const toSnippetPlaceholder = (name: string) => `{{${name}}}`;
+
+/** LG responses of copied actions are JSON holding the template bodies, see serializeLgTemplate in the client. */
+const parseSerializedLg = (text: string) => {
+  if (!text.startsWith('{')) return undefined;
+  try {
+    const parsed = JSON.parse(text);
+    return parsed !== null && typeof parsed === 'object' && 'originalId' in parsed ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Maps every string of the actions, the template bodies of their serialized LG responses included.
+ */
+const mapStrings = (value: any, map: (text: string) => string): any => {
+  if (typeof value === 'string') {
+    const serializedLg = parseSerializedLg(value);
+    return serializedLg ? JSON.stringify(mapStrings(serializedLg, map)) : map(value);
+  }
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, map));
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = mapStrings(value[key], map);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Names of the {{name}} placeholders of the actions, in the order they appear.
+ */
+export const findSnippetParameters = (actions: MicrosoftIDialog[]): string[] => {
+  const names: string[] = [];
+  mapStrings(actions, (text) =>
+    text.replace(SnippetParameterPattern, (placeholder, name) => {
+      if (!names.includes(name)) names.push(name);
+      return placeholder;
+    })
+  );
+  return names;
+};
+
+/**
+ * Turns every occurrence of a text of the actions into the placeholder of a parameter.
+ */
+export const replaceWithSnippetParameter = (actions: MicrosoftIDialog[], text: string, name: string) =>
+  text ? mapStrings(actions, (value) => value.split(text).join(toSnippetPlaceholder(name))) : actions;
+
+/**
+ * Replaces the placeholders of the actions with the values of their parameters. Placeholders without a value are kept.
+ */
+export const fillSnippetParameters = (actions: MicrosoftIDialog[], values: Record<string, string>) =>
+  mapStrings(actions, (text) =>
+    text.replace(SnippetParameterPattern, (placeholder, name) => values[name] ?? placeholder)
+  ) as MicrosoftIDialog[];
+
+/**
+ * Prepares copied actions to be stored as a snippet: their designer ids are dropped, the copy constructors generate
+ * new ones each time the snippet is inserted. The LG responses and LU intents the copy inlined are kept as they are.
+ */
+export const createSnippetActions = (copiedActions: MicrosoftIDialog[]) =>
+  copyAdaptiveActionList(copiedActions, {
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars
+    getDesignerId: ({ id, ...designer } = {} as DesignerData) => designer as DesignerData,
+    copyLgField: async (fromId, fromAction, toId, toAction, fieldName) => fromAction[fieldName] as string,
+    copyLuField: async () => undefined,
+  });
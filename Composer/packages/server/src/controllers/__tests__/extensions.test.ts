@@ -21,6 +21,19 @@ jest.mock('../../services/extensionManager', () => ({
   },
 }));
 
+jest.mock('../../models/extension/extensionContext', () => ({
+  ExtensionContext: {
+    extensions: {
+      recognizerBuilders: {
+        'Contoso.NluRecognizer': {
+          plugin: { kind: 'Contoso.NluRecognizer', name: 'Contoso NLU', extensionId: 'contoso-nlu' },
+          methods: { build: jest.fn() },
+        },
+      },
+    },
+  },
+}));
+
 const req: Request = {} as Request;
 let res: Response = {} as Response;
 
@@ -350,6 +363,16 @@ describe('getting a view bundle', () => {
   });
 });
 
+describe('listing recognizer builders', () => {
+  it('returns the recognizer builders without their build method', async () => {
+    await ExtensionsController.getRecognizerBuilders(req, res);
+
+    expect(res.json).toHaveBeenCalledWith([
+      { kind: 'Contoso.NluRecognizer', name: 'Contoso NLU', extensionId: 'contoso-nlu' },
+    ]);
+  });
+});
+
 describe('proxying extension requests', () => {
   it.todo('proxies requests from extensions');
 });
@@ -0,0 +1,54 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import OrchestratorController from '../orchestrator';
+
+const mockGetProjectById = jest.fn();
+
+jest.mock('@microsoft/bf-orchestrator', () => ({ Orchestrator: {} }));
+
+jest.mock('../../services/project', () => ({
+  BotProjectService: {
+    getProjectById: (...args) => mockGetProjectById(...args),
+  },
+}));
+
+jest.mock('../../models/extension/extensionContext', () => ({
+  ExtensionContext: {
+    getUserFromRequest: jest.fn().mockResolvedValue(undefined),
+  },
+}));
+
+describe('score', () => {
+  const req: any = { params: { projectId: '123' }, body: { luFileId: 'main.en-us', utterance: 'hello' } };
+  const res: any = { json: jest.fn(), status: jest.fn().mockReturnThis(), sendStatus: jest.fn() };
+
+  beforeEach(() => {
+    mockGetProjectById.mockReset();
+    res.json.mockClear();
+    res.status.mockClear();
+  });
+
+  it('answers 404 when the project is not opened', async () => {
+    mockGetProjectById.mockRejectedValue(new Error('project 123 not found in cache'));
+    await OrchestratorController.score(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: 'No such bot project opened' });
+  });
+
+  it('scores the utterance with the lu file of the project', async () => {
+    const luFile = { name: 'main.en-us.lu' };
+    const scores = [{ label: { name: 'Greeting' }, score: 0.9 }];
+    const project = {
+      getFile: jest.fn().mockReturnValue(luFile),
+      builder: { scoreOrchestratorUtterance: jest.fn().mockResolvedValue(scores) },
+    };
+    mockGetProjectById.mockResolvedValue(project);
+    await OrchestratorController.score(req, res);
+
+    expect(project.getFile).toHaveBeenCalledWith('main.en-us.lu');
+    expect(project.builder.scoreOrchestratorUtterance).toHaveBeenCalledWith(luFile, 'hello');
+    expect(res.json).toHaveBeenCalledWith(scores);
+  });
+});
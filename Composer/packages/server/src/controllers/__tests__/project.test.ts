@@ -23,6 +23,7 @@ jest.mock('../../models/extension/extensionContext', () => {
       extensions: {
         botTemplates: [],
         baseTemplates: [],
+        recognizerBuilders: {},
         publish: [],
       },
       getUserFromRequest: jest.fn(),
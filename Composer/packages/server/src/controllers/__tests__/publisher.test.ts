@@ -14,6 +14,7 @@ jest.mock('../../models/extension/extensionContext', () => {
       extensions: {
         botTemplates: [],
         baseTemplates: [],
+        recognizerBuilders: {},
         runtimeTemplates: [],
         publish: {
           azureplugin: { plugin: { name: 'azure' }, methods: {} },
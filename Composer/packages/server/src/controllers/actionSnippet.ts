@@ -0,0 +1,63 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ActionSnippetScope } from '@bfc/shared';
+import { Request } from 'express';
+
+import { ActionSnippetStore } from '../models/actionSnippet/actionSnippetStore';
+import { ExtensionContext } from '../models/extension/extensionContext';
+import { BotProject } from '../models/bot/botProject';
+import log from '../logger';
+import { projectHandler } from '../utility/projectStore';
+
+const debug = log.extend('action-snippet');
+
+const withProject = projectHandler(debug, 'Action snippet operation');
+
+const isScope = (scope: string): scope is ActionSnippetScope => scope === 'user' || scope === 'project';
+
+// the user snippets are the ones of the user of the request
+const getStore = async (project: BotProject, req: Request) =>
+  new ActionSnippetStore(project.dir, project.fileStorage, await ExtensionContext.getUserFromRequest(req));
+
+const getSnippets = withProject(async (project, req, res) => {
+  const store = await getStore(project, req);
+  const snippets = await store.list();
+  res.status(200).json(snippets);
+});
+
+const saveSnippet = withProject(async (project, req, res) => {
+  const { scope, name } = req.params;
+  const { description, parameters, actions } = req.body;
+  if (!isScope(scope)) {
+    res.status(400).json({ message: `Invalid snippet scope: ${scope}` });
+    return;
+  }
+  if (!Array.isArray(actions)) {
+    res.status(400).json({ message: 'Parameters not provided, requires "actions" parameter' });
+    return;
+  }
+
+  const snippet = { name, scope, description, parameters: Array.isArray(parameters) ? parameters : [], actions };
+  const store = await getStore(project, req);
+  await store.save(snippet);
+  res.status(200).json(snippet);
+});
+
+const removeSnippet = withProject(async (project, req, res) => {
+  const { scope, name } = req.params;
+  if (!isScope(scope)) {
+    res.status(400).json({ message: `Invalid snippet scope: ${scope}` });
+    return;
+  }
+
+  const store = await getStore(project, req);
+  await store.remove(scope, name);
+  res.status(204).end();
+});
+
+export const ActionSnippetController = {
+  getSnippets,
+  saveSnippet,
+  removeSnippet,
+};
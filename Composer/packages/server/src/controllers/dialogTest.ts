@@ -0,0 +1,62 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogTestRunOptions } from '@bfc/shared';
+
+import { DialogTestStore } from '../models/dialogTest/dialogTestStore';
+import { DialogTestRunner } from '../models/dialogTest/dialogTestRunner';
+import DLServerContext from '../directline/store/dlServerState';
+import log from '../logger';
+import { projectHandler } from '../utility/projectStore';
+
+const debug = log.extend('dialog-test');
+
+const withProject = projectHandler(debug, 'Dialog test operation');
+
+const getTests = withProject(async (project, req, res) => {
+  const scripts = await new DialogTestStore(project.dir, project.fileStorage).list();
+  res.status(200).json(scripts);
+});
+
+const saveTest = withProject(async (project, req, res) => {
+  const { activities } = req.body;
+  if (!Array.isArray(activities)) {
+    res.status(400).json({ message: 'Parameters not provided, requires "activities" parameter' });
+    return;
+  }
+
+  const script = { name: req.params.name, activities };
+  await new DialogTestStore(project.dir, project.fileStorage).save(script);
+  res.status(200).json(script);
+});
+
+const removeTest = withProject(async (project, req, res) => {
+  await new DialogTestStore(project.dir, project.fileStorage).remove(req.params.name);
+  res.status(204).end();
+});
+
+const runTests = withProject(async (project, req, res) => {
+  const options: DialogTestRunOptions = req.body;
+  if (!options.botUrl) {
+    res.status(400).json({ message: 'Parameters not provided, requires "botUrl" parameter' });
+    return;
+  }
+
+  const store = new DialogTestStore(project.dir, project.fileStorage);
+  let scripts = options.scripts;
+  if (!scripts) {
+    scripts = options.names ? await Promise.all(options.names.map((name) => store.get(name))) : await store.list();
+  }
+  const runner = new DialogTestRunner(DLServerContext.getInstance().state, {
+    ...options,
+    lgFiles: project.lgFiles.map(({ content }) => content),
+  });
+  res.status(200).json(await runner.runAll(scripts));
+});
+
+export const DialogTestController = {
+  getTests,
+  saveTest,
+  removeTest,
+  runTests,
+};
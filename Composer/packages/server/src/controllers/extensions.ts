@@ -5,6 +5,7 @@ import { Request, Response } from 'express';
 import { ExtensionMetadata } from '@botframework-composer/types';
 
 import { ExtensionManager } from '../services/extensionManager';
+import { ExtensionContext } from '../models/extension/extensionContext';
 
 interface AddExtensionRequest extends Request {
   body: {
@@ -192,3 +193,7 @@ export async function updateSettings(req: Request, res: Response) {
   ExtensionManager.updateSettings(req.body ?? {});
   res.json(ExtensionManager.getSettings(true));
 }
+
+export async function getRecognizerBuilders(req: Request, res: Response) {
+  res.json(Object.values(ExtensionContext.extensions.recognizerBuilders).map(({ plugin }) => plugin));
+}
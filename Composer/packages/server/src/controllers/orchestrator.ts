@@ -6,6 +6,9 @@ import { Request, Response } from 'express';
 import { pathExists } from 'fs-extra';
 import { OrchestratorModelRequest, DownloadState, IOrchestratorNLRList } from '@bfc/shared';
 
+import { BotProject } from '../models/bot/botProject';
+import { ExtensionContext } from '../models/extension/extensionContext';
+import { BotProjectService } from '../services/project';
 import { TelemetryService } from '../services/telemetry';
 import { Path } from '../utility/path';
 
@@ -89,6 +92,35 @@ class OrchestratorController {
       this.state = DownloadState.STOPPED;
     }
   };
+
+  public score = async (req: Request, res: Response) => {
+    const { luFileId, utterance } = req.body ?? {};
+    if (!luFileId || typeof utterance !== 'string') {
+      return res.sendStatus(400);
+    }
+
+    let project: BotProject;
+    try {
+      const user = await ExtensionContext.getUserFromRequest(req);
+      project = await BotProjectService.getProjectById(req.params.projectId, user);
+    } catch (err) {
+      return res.status(404).json({ message: 'No such bot project opened' });
+    }
+    const luFile = project.getFile(`${luFileId}.lu`);
+    if (!luFile) {
+      return res.status(404).json({ message: `${luFileId}.lu not found` });
+    }
+
+    try {
+      const scores = await project.builder.scoreOrchestratorUtterance(luFile, utterance);
+      if (!scores) {
+        return res.status(404).json({ message: 'Orchestrator model not downloaded' });
+      }
+      res.json(scores);
+    } catch (err) {
+      res.status(400).json({ message: err instanceof Error ? err.message : err });
+    }
+  };
 }
 
 export default new OrchestratorController();
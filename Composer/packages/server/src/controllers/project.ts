@@ -383,15 +383,24 @@ async function removeSkillFiles(req: Request, res: Response) {
 
 async function exportProject(req: Request, res: Response) {
   const currentProject = await BotProjectService.getProjectById(req.params.projectId);
-  currentProject.exportToZip(null, (archive: Archiver) => {
-    archive.on('error', (err) => {
-      res.status(500).send({ error: err.message });
-    });
+  try {
+    await currentProject.exportToZip(null, (archive: Archiver) => {
+      archive.on('error', (err) => {
+        res.status(500).send({ error: err.message });
+      });
 
-    res.attachment('tmp-archive.zip');
+      res.attachment('tmp-archive.zip');
 
-    archive.pipe(res);
-  });
+      archive.pipe(res);
+    });
+  } catch (err) {
+    // the archive may be streaming already, the response can only be ended then
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).send({ error: err.message });
+    }
+  }
 }
 
 async function setQnASettings(req: Request, res: Response) {
@@ -440,15 +449,23 @@ async function build(req: Request, res: Response) {
   const currentProject = await BotProjectService.getProjectById(projectId, user);
   if (currentProject !== undefined) {
     try {
-      const { luisConfig, qnaConfig, orchestratorConfig, luFiles, qnaFiles } = req.body;
-      const files = await currentProject.buildFiles({
+      const { luisConfig, qnaConfig, orchestratorConfig, luFiles, qnaFiles, dryRun } = req.body;
+      const buildConfig = {
         luisConfig,
         qnaConfig,
         orchestratorConfig,
         luResource: luFiles,
         qnaResource: qnaFiles,
-      });
-      res.status(200).json(files);
+        recognizerBuilders: Object.values(ExtensionContext.extensions.recognizerBuilders).map(({ methods }) => methods),
+      };
+      // a dry run stops before calling LUIS, QnA Maker or Orchestrator and returns what the build would generate
+      if (dryRun) {
+        res.status(200).json(await currentProject.dryRunBuild(buildConfig));
+        return;
+      }
+      // which models were built again and which ones were kept from the previous build
+      const summary = await currentProject.buildFiles(buildConfig);
+      res.status(200).json(summary);
     } catch (error) {
       res.status(400).json({
         message: error instanceof Error ? error.message : error,
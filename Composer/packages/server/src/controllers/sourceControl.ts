@@ -0,0 +1,83 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Request } from 'express';
+
+import { GitRepository } from '../models/sourceControl/gitRepository';
+import log from '../logger';
+import { projectHandler } from '../utility/projectStore';
+
+const debug = log.extend('source-control');
+
+const withProject = projectHandler(debug, 'Git operation');
+
+const getPaths = (req: Request): string[] => {
+  const { files } = req.body;
+  return Array.isArray(files) ? files : [];
+};
+
+const getStatus = withProject(async (project, req, res) => {
+  const status = await new GitRepository(project.dir).getStatus();
+  res.status(200).json(status);
+});
+
+const getDiff = withProject(async (project, req, res) => {
+  const path = req.query.path;
+  if (!path || typeof path !== 'string') {
+    res.status(400).json({ message: 'Parameters not provided, requires "path" parameter' });
+    return;
+  }
+
+  const diff = await new GitRepository(project.dir).getFileDiff(path);
+  res.status(200).json(diff);
+});
+
+const stage = withProject(async (project, req, res) => {
+  const repo = new GitRepository(project.dir);
+  await repo.stage(getPaths(req));
+  res.status(200).json(await repo.getStatus());
+});
+
+const unstage = withProject(async (project, req, res) => {
+  const repo = new GitRepository(project.dir);
+  await repo.unstage(getPaths(req));
+  res.status(200).json(await repo.getStatus());
+});
+
+const commit = withProject(async (project, req, res) => {
+  const { message = '' } = req.body;
+  const result = await new GitRepository(project.dir).commit(message);
+  res.status(200).json(result);
+});
+
+const getBranches = withProject(async (project, req, res) => {
+  const branches = await new GitRepository(project.dir).getBranches();
+  res.status(200).json(branches);
+});
+
+const checkout = withProject(async (project, req, res) => {
+  const { branch, create = false } = req.body;
+  await new GitRepository(project.dir).checkout(branch, !!create);
+  // switching branches rewrites the files underneath the project, refresh the in memory copy
+  await project.init();
+  res.status(200).json({ id: project.id, filesChanged: true });
+});
+
+const pull = withProject(async (project, req, res) => {
+  const result = await new GitRepository(project.dir).pull();
+  if (result.filesChanged) {
+    await project.init();
+  }
+  res.status(result.success ? 200 : 409).json({ id: project.id, ...result });
+});
+
+export const SourceControlController = {
+  getStatus,
+  getDiff,
+  stage,
+  unstage,
+  commit,
+  getBranches,
+  checkout,
+  pull,
+};
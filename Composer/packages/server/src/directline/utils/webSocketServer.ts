@@ -55,6 +55,11 @@ export class WebSocketServer {
     this.queuedMessages[conversationId].push(activity);
   }
 
+  /** Drops the activities kept for a conversation nobody is going to connect to, like the ones of test runs. */
+  public static clearQueuedActivities(conversationId: string): void {
+    delete this.queuedMessages[conversationId];
+  }
+
   public static sendToSubscribers(conversationId: string, activity: Activity): void {
     const socket = this.sockets[conversationId];
     if (socket) {
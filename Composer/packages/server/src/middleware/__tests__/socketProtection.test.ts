@@ -0,0 +1,35 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { isTrustedSocketRequest } from '../socketProtection';
+
+jest.mock('../../services/auth/auth', () => ({
+  authService: {
+    csrfToken: 'csrfToken',
+  },
+}));
+
+const request = (path: string, headers: Record<string, string>): any => ({ url: path, headers });
+
+describe('websocket protection', () => {
+  it('should accept a request from the same host with the CSRF token', () => {
+    expect(
+      isTrustedSocketRequest(
+        request('/collaboration?csrf=csrfToken', { host: 'localhost:5000', origin: 'http://localhost:3000' })
+      )
+    ).toBe(true);
+  });
+
+  it('should refuse a request from another origin', () => {
+    expect(
+      isTrustedSocketRequest(
+        request('/collaboration?csrf=csrfToken', { host: 'localhost:5000', origin: 'https://example.com' })
+      )
+    ).toBe(false);
+  });
+
+  it('should refuse a request without the CSRF token', () => {
+    expect(isTrustedSocketRequest(request('/debugger', { host: 'localhost:5000' }))).toBe(false);
+    expect(isTrustedSocketRequest(request('/debugger?csrf=other', { host: 'localhost:5000' }))).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import * as http from 'http';
+import * as url from 'url';
+
+import { authService } from '../services/auth/auth';
+
+const getHostname = (host?: string) => {
+  if (!host) return undefined;
+  try {
+    return new url.URL(host.includes('://') ? host : `http://${host}`).hostname;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Verifies a websocket upgrade request before it is accepted. Browsers do not apply CORS to websockets, so the
+ * request must come from a page of the same host, and carry the server-generated CSRF token in the query string
+ * since a websocket cannot send headers.
+ */
+export const isTrustedSocketRequest = (request: http.IncomingMessage) => {
+  const { origin, host } = request.headers;
+  // the port is not compared, the client dev server proxies the sockets from another port
+  if (origin && getHostname(origin) !== getHostname(host)) {
+    return false;
+  }
+
+  // the CSRF token will only be generated in the production environment
+  if (authService.csrfToken) {
+    const { query } = url.parse(request.url ?? '', true);
+    return query.csrf === authService.csrfToken;
+  }
+  return true;
+};
@@ -0,0 +1,49 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ActionSnippet } from '@bfc/shared';
+
+import { IFileStorage } from '../../storage/interface';
+import { ActionSnippetStore, getUserKey } from '../actionSnippetStore';
+
+jest.mock('../../../store/store', () => {
+  const data: Record<string, any> = {};
+  return {
+    Store: {
+      get: (key: string, defaultValue?: any) => data[key] ?? defaultValue,
+      set: (key: string, value: any) => {
+        data[key] = value;
+      },
+    },
+  };
+});
+
+const storage = ({ exists: jest.fn().mockResolvedValue(false) } as unknown) as IFileStorage;
+
+const snippet = (name: string): ActionSnippet => ({
+  name,
+  scope: 'user',
+  parameters: [],
+  actions: [{ $kind: 'Microsoft.SendActivity' }],
+});
+
+describe('ActionSnippetStore', () => {
+  it('keeps the user snippets of each user apart', async () => {
+    const alice = new ActionSnippetStore('/bots/test', storage, { id: 'alice' });
+    const bob = new ActionSnippetStore('/bots/test', storage, { id: 'bob' });
+
+    await alice.save(snippet('greeting'));
+    await bob.save(snippet('goodbye'));
+
+    expect((await alice.list()).map(({ name }) => name)).toEqual(['greeting']);
+    expect((await bob.list()).map(({ name }) => name)).toEqual(['goodbye']);
+
+    await bob.remove('user', 'greeting');
+    expect((await alice.list()).map(({ name }) => name)).toEqual(['greeting']);
+  });
+
+  it('refuses a user it cannot tell apart from the others', () => {
+    expect(getUserKey()).toBe('local');
+    expect(() => getUserKey({ token: 'abc' })).toThrow();
+  });
+});
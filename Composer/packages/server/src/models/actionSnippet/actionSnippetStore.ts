@@ -0,0 +1,123 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ActionSnippet, ActionSnippetScope } from '@bfc/shared';
+import { UserIdentity } from '@botframework-composer/types';
+
+import { Path } from '../../utility/path';
+import { IFileStorage } from '../storage/interface';
+import { assertValidName } from '../../utility/projectStore';
+import { Store } from '../../store/store';
+
+export const SNIPPETS_FOLDER = 'snippets';
+export const SNIPPET_EXTENSION = '.snippet';
+
+// user snippets of Composer running without authentication, where there's a single user
+export const LOCAL_USER = 'local';
+
+const byName = (a: ActionSnippet, b: ActionSnippet) => a.name.localeCompare(b.name);
+
+/**
+ * The key the snippets of a user are stored under in the data store.
+ */
+export const getUserKey = (user?: UserIdentity): string => {
+  if (!user) return LOCAL_USER;
+
+  const key = user.id ?? user.email ?? user.name;
+  if (!key) {
+    throw new Error('Snippets of a user need the id of the user');
+  }
+  return `user:${key}`;
+};
+
+/**
+ * Reads a .snippet file, which holds a snippet without its name and scope.
+ */
+export const parseProjectSnippet = (name: string, content: string): ActionSnippet => {
+  const { description, parameters, actions } = JSON.parse(content);
+  if (!Array.isArray(actions)) {
+    throw new Error(`Snippet ${name} has no list of actions`);
+  }
+  return { name, scope: 'project', description, parameters: Array.isArray(parameters) ? parameters : [], actions };
+};
+
+/**
+ * Action snippets of a user and of a bot. The user snippets are shared by all the bots of the user and kept in the data
+ * store of Composer under the key of the user, the project snippets are stored as .snippet files in the snippets folder of the bot project, through the
+ * storage of the project.
+ */
+export class ActionSnippetStore {
+  private readonly dir: string;
+
+  private readonly userKey: string;
+
+  constructor(botDir: string, private readonly storage: IFileStorage, user?: UserIdentity) {
+    this.dir = Path.join(botDir, SNIPPETS_FOLDER);
+    this.userKey = getUserKey(user);
+  }
+
+  private getPath(name: string) {
+    return Path.join(this.dir, `${name}${SNIPPET_EXTENSION}`);
+  }
+
+  private getUserSnippets(): ActionSnippet[] {
+    return Store.get('actionSnippets', {})[this.userKey] ?? [];
+  }
+
+  private setUserSnippets(snippets: ActionSnippet[]) {
+    Store.set('actionSnippets', { ...Store.get('actionSnippets', {}), [this.userKey]: snippets });
+  }
+
+  private async getProjectSnippets(): Promise<ActionSnippet[]> {
+    if (!(await this.storage.exists(this.dir))) return [];
+
+    const files = (await this.storage.readDir(this.dir)).filter((file) => file.endsWith(SNIPPET_EXTENSION));
+    const snippets: ActionSnippet[] = [];
+    for (const file of files) {
+      try {
+        snippets.push(
+          parseProjectSnippet(
+            Path.basename(file, SNIPPET_EXTENSION),
+            await this.storage.readFile(Path.join(this.dir, file))
+          )
+        );
+      } catch (err) {
+        // a snippet that can't be read can't be inserted either
+      }
+    }
+    return snippets;
+  }
+
+  public async list(): Promise<ActionSnippet[]> {
+    const userSnippets = this.getUserSnippets().map((snippet) => ({ ...snippet, scope: 'user' as const }));
+    return [...userSnippets.sort(byName), ...(await this.getProjectSnippets()).sort(byName)];
+  }
+
+  public async save(snippet: ActionSnippet) {
+    assertValidName(snippet.name, 'snippet');
+    if (!Array.isArray(snippet.actions)) {
+      throw new Error(`Snippet ${snippet.name} has no list of actions`);
+    }
+
+    const { name, scope, description, parameters = [], actions } = snippet;
+    if (scope === 'user') {
+      const others = this.getUserSnippets().filter((other) => other.name !== name);
+      this.setUserSnippets([...others, { name, scope, description, parameters, actions }]);
+    } else {
+      if (!(await this.storage.exists(this.dir))) {
+        await this.storage.mkDir(this.dir, { recursive: true });
+      }
+      await this.storage.writeFile(this.getPath(name), JSON.stringify({ description, parameters, actions }, null, 2));
+    }
+  }
+
+  public async remove(scope: ActionSnippetScope, name: string) {
+    assertValidName(name, 'snippet');
+
+    if (scope === 'user') {
+      this.setUserSnippets(this.getUserSnippets().filter((other) => other.name !== name));
+    } else if (await this.storage.exists(this.getPath(name))) {
+      await this.storage.removeFile(this.getPath(name));
+    }
+  }
+}
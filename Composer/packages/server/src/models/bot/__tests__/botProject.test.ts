@@ -352,6 +352,132 @@ describe('buildFiles', () => {
     expect(proj.builder.luBuilder.build).toHaveReturnedWith(['a', 'b', 'bot1']);
     expect(proj.builder.qnaBuilder.build).toHaveReturnedWith(['a', 'b', 'bot1']);
   });
+
+  it('should only build the models whose content changed since the last build', async () => {
+    const luisConfig = {
+      authoringEndpoint: '',
+      authoringKey: 'test',
+      defaultLanguage: 'en-us',
+      endpoint: '',
+      endpointKey: '',
+      environment: 'composer',
+      name: 'alan-qna',
+    };
+    const qnaConfig = { endpointKey: '', qnaRegion: 'westus', subscriptionKey: 'test' };
+    const luResource: Resource[] = [
+      { id: 'a.en-us', isEmpty: false },
+      { id: 'bot1.en-us', isEmpty: false },
+    ];
+    const qnaResource: Resource[] = [{ id: 'bot1.en-us', isEmpty: false }];
+    cleanup(Path.join(botDir, 'generated'));
+    proj.builder.luBuilder.build = jest.fn((items) => items.map((item) => item.id));
+    proj.builder.qnaBuilder.build = jest.fn((items) => items.map((item) => item.id));
+    proj.builder.qnaBuilder.writeDialogAssets = jest.fn();
+
+    const first = await proj.buildFiles({ luisConfig, qnaConfig, luResource, qnaResource });
+    expect(first?.luis).toEqual({ rebuilt: ['a.en-us.lu', 'bot1.en-us.lu'], skipped: [] });
+
+    const second = await proj.buildFiles({ luisConfig, qnaConfig, luResource, qnaResource });
+    expect(second?.luis).toEqual({ rebuilt: [], skipped: ['a.en-us.lu', 'bot1.en-us.lu'] });
+    expect(second?.qna).toEqual({ rebuilt: [], skipped: ['bot1.en-us.qna'] });
+    expect(proj.builder.luBuilder.build).toHaveBeenCalledTimes(1);
+    expect(proj.builder.qnaBuilder.build).toHaveBeenCalledTimes(1);
+
+    const third = await proj.buildFiles({
+      luisConfig: { ...luisConfig, environment: 'dev' },
+      qnaConfig,
+      luResource,
+      qnaResource,
+    });
+    expect(third?.luis.skipped).toEqual([]);
+  });
+
+  it('should drop the models of removed files from the settings of the skipped ones', async () => {
+    const luisConfig = {
+      authoringEndpoint: '',
+      authoringKey: 'test',
+      defaultLanguage: 'en-us',
+      endpoint: '',
+      endpointKey: '',
+      environment: 'composer',
+      name: 'alan-qna',
+    };
+    const qnaConfig = { endpointKey: '', qnaRegion: 'westus', subscriptionKey: 'test' };
+    const settingsName = 'luis.settings.composer.westus.json';
+    cleanup(Path.join(botDir, 'generated'));
+    proj.builder.luBuilder.build = jest.fn((items) => [
+      {
+        id: settingsName,
+        content: JSON.stringify({
+          luis: items.reduce((luis, { id }) => ({ ...luis, [`${id}_en_us_lu`]: { appId: id } }), {}),
+        }),
+      },
+    ]);
+    proj.builder.qnaBuilder.build = jest.fn(() => []);
+    proj.builder.qnaBuilder.writeDialogAssets = jest.fn();
+
+    await proj.buildFiles({
+      luisConfig,
+      qnaConfig,
+      luResource: [
+        { id: 'a.en-us', isEmpty: false },
+        { id: 'bot1.en-us', isEmpty: false },
+      ],
+      qnaResource: [],
+    });
+    await proj.buildFiles({
+      luisConfig,
+      qnaConfig,
+      luResource: [{ id: 'bot1.en-us', isEmpty: false }],
+      qnaResource: [],
+    });
+
+    const settings = await fs.readJson(Path.join(botDir, 'generated', settingsName));
+    expect(Object.keys(settings.luis)).toEqual(['bot1_en_us_lu']);
+  });
+});
+
+describe('crossTrainFiles', () => {
+  it('should only cross train lu & qna files', async () => {
+    const luResource: Resource[] = [{ id: 'bot1.en-us', isEmpty: false }];
+    const qnaResource: Resource[] = [{ id: 'bot1.en-us', isEmpty: false }];
+    proj.builder.luBuilder.build = jest.fn();
+    proj.builder.qnaBuilder.build = jest.fn();
+    await proj.crossTrainFiles({ luResource, qnaResource });
+    expect(fs.existsSync(Path.join(botDir, 'generated', 'interruption'))).toBe(true);
+    expect(proj.builder.luBuilder.build).not.toHaveBeenCalled();
+    expect(proj.builder.qnaBuilder.build).not.toHaveBeenCalled();
+  });
+});
+
+describe('dryRunBuild', () => {
+  it('should describe the build without writing the generated folder or calling the services', async () => {
+    const luisConfig = {
+      authoringEndpoint: '',
+      authoringKey: '',
+      defaultLanguage: 'en-us',
+      endpoint: '',
+      endpointKey: '',
+      environment: 'composer',
+      name: 'alan-qna',
+    };
+    const qnaConfig = { endpointKey: '', qnaRegion: 'westus', subscriptionKey: '' };
+    const luResource: Resource[] = [{ id: 'bot1.en-us', isEmpty: false }];
+    const qnaResource: Resource[] = [{ id: 'bot1.en-us', isEmpty: false }];
+    cleanup(Path.join(botDir, 'generated'));
+    proj.builder.luBuilder.build = jest.fn();
+    proj.builder.qnaBuilder.build = jest.fn();
+    const result = await proj.dryRunBuild({ luisConfig, qnaConfig, luResource, qnaResource });
+
+    expect(fs.existsSync(Path.join(botDir, 'generated'))).toBe(false);
+    expect(proj.builder.luBuilder.build).not.toHaveBeenCalled();
+    expect(proj.builder.qnaBuilder.build).not.toHaveBeenCalled();
+    expect(result?.crossTrained.map(({ name }) => name)).toEqual(
+      expect.arrayContaining([Path.join('interruption', 'bot1.en-us.lu'), Path.join('interruption', 'bot1.en-us.qna')])
+    );
+    expect(result?.luisApplications['bot1.en-us.lu']).toBe('alan-qna(composer)-bot1.en-us.lu');
+    expect(result?.recognizers.map(({ name }) => name)).toContain('bot1.en-us.qna.dialog');
+  });
 });
 
 describe('dialog operations', () => {
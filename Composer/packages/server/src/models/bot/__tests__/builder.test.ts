@@ -0,0 +1,205 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { BuildArtifact, FileInfo, ModelType } from '@bfc/shared';
+
+import { IFileStorage } from '../../storage/interface';
+import { Builder } from '../builder';
+
+jest.mock('../process/orchestratorBuilder', () => ({
+  warmupCache: jest.fn(),
+  build: jest.fn(),
+}));
+
+const luFile: FileInfo = {
+  name: 'faq.en-us.lu',
+  content: '# Greeting\n- hi',
+  path: '/bots/test/generated/interruption/faq.en-us.lu',
+  relativePath: 'faq.en-us.lu',
+  lastModified: '',
+};
+
+describe('recognizer builders', () => {
+  const storage = { mkDir: jest.fn(), writeFile: jest.fn() };
+
+  const runBuilder = (artifacts: BuildArtifact[]) => {
+    const builder = new Builder('/bots/test', (storage as unknown) as IFileStorage, 'en-us');
+    builder.recognizerBuilders = [{ kind: 'Contoso.Recognizer', name: 'Contoso', build: async () => ({ artifacts }) }];
+    return builder.runRecognizerBuilders({ 'Contoso.Recognizer': [luFile] }, []);
+  };
+
+  beforeEach(() => {
+    storage.mkDir.mockClear();
+    storage.writeFile.mockClear();
+  });
+
+  it('writes the artifacts into the generated folder', async () => {
+    await runBuilder([{ name: 'contoso/faq.en-us.json', content: '{}' }]);
+
+    expect(storage.writeFile).toHaveBeenCalledWith('/bots/test/generated/contoso/faq.en-us.json', '{}');
+  });
+
+  it('refuses artifacts outside of the generated folder', async () => {
+    for (const name of ['../settings/appsettings.json', '/etc/passwd', '']) {
+      await expect(runBuilder([{ name, content: '{}' }])).rejects.toThrow('outside of the generated folder');
+    }
+    expect(storage.writeFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('QnA Maker build', () => {
+  const qnaFile = (name: string): FileInfo => ({
+    name,
+    content: '# ? hi\n```\nhello\n```',
+    path: `/bots/test/generated/interruption/${name}`,
+    relativePath: name,
+    lastModified: '',
+  });
+
+  it('keeps the cultures that were not rebuilt in the multi language recognizer', async () => {
+    const storage = { writeFile: jest.fn() };
+    const builder = new Builder('/bots/test', (storage as unknown) as IFileStorage, 'en-us');
+    builder.setBuildConfig({ name: 'test', defaultLanguage: 'en-us' } as any);
+    const qnaBuilder = {
+      loadContents: jest.fn(async () => [{ id: 'faq.fr-fr' }]),
+      build: jest.fn(async () => []),
+      writeDialogAssets: jest.fn(),
+    };
+    builder.qnaBuilder = qnaBuilder as any;
+
+    // only the French knowledge base changed since the last build
+    const files = [qnaFile('faq.en-us.qna'), qnaFile('faq.fr-fr.qna'), qnaFile('faq.source.qna')];
+    await builder.runQnaBuild([files[1]], files);
+
+    expect(qnaBuilder.loadContents).toHaveBeenCalledWith([files[1].path], expect.anything());
+    expect(qnaBuilder.writeDialogAssets).toHaveBeenCalled();
+    const [path, content] = storage.writeFile.mock.calls[0];
+    expect(path).toBe('/bots/test/generated/faq.qna.dialog');
+    expect(JSON.parse(content).recognizers).toEqual({
+      '': 'faq.en-us.qna',
+      'en-us': 'faq.en-us.qna',
+      'fr-fr': 'faq.fr-fr.qna',
+    });
+  });
+});
+
+describe('incremental build', () => {
+  // generated folder in memory
+  const createStorage = () => {
+    const files = new Map<string, string>();
+    return {
+      files,
+      exists: async (path: string) => files.has(path) || [...files.keys()].some((key) => key.startsWith(`${path}/`)),
+      readFile: async (path: string) => files.get(path),
+      writeFile: async (path: string, content: string) => {
+        files.set(path, content);
+      },
+      removeFile: async (path: string) => {
+        files.delete(path);
+      },
+      readDir: async () => [],
+      mkDir: async () => undefined,
+      rmDir: async () => undefined,
+      glob: async () => [],
+    };
+  };
+
+  it('rebuilds the Orchestrator snapshots when the default model changed', async () => {
+    const storage = createStorage();
+    const builder = new Builder('/bots/test', (storage as unknown) as IFileStorage, 'en-us');
+    builder.setBuildConfig({ name: 'test', defaultLanguage: 'en-us', model: {} } as any);
+    (builder as any).runCrossTrainer = async () => ({
+      luResult: new Map([['faq.en-us', { Content: luFile.content }]]),
+      qnaResult: new Map(),
+    });
+    builder.runOrchestratorBuild = jest.fn();
+    const enIntent: ModelType = 'en_intent';
+    const useDefaultModel = (model: string) => {
+      builder.runOrchestratorNlrList = jest.fn(async () => ({ defaults: { [enIntent]: model } })) as any;
+    };
+    const recognizer = {
+      ...luFile,
+      name: 'faq.en-us.lu.dialog',
+      content: '{ "$kind": "Microsoft.OrchestratorRecognizer" }',
+    };
+    const build = async () => (await builder.build([luFile], [], [recognizer], {}, false)).orchestrator;
+
+    useDefaultModel('pretrained.20200924.microsoft.dte.00.06.en.onnx');
+    expect(await build()).toEqual({ rebuilt: ['faq.en-us.lu'], skipped: [] });
+    expect(await build()).toEqual({ rebuilt: [], skipped: ['faq.en-us.lu'] });
+
+    useDefaultModel('pretrained.20210205.microsoft.dte.00.06.en.onnx');
+    expect(await build()).toEqual({ rebuilt: ['faq.en-us.lu'], skipped: [] });
+    expect(builder.runOrchestratorBuild).toHaveBeenLastCalledWith(
+      [expect.objectContaining({ name: 'faq.en-us.lu' })],
+      {},
+      [],
+      { en: 'pretrained.20210205.microsoft.dte.00.06.en.onnx', multilang: undefined }
+    );
+  });
+
+  it('removes the generated files of the models that are no longer built', async () => {
+    const storage = { exists: jest.fn(async () => true), removeFile: jest.fn() };
+    const builder = new Builder('/bots/test', (storage as unknown) as IFileStorage, 'en-us');
+    const previous = {
+      settings: 'abc',
+      luis: {},
+      qna: { 'faq.en-us.qna': '1', 'faq.fr-fr.qna': '2', 'help.en-us.qna': '3', 'help.source.qna': '4' },
+      orchestrator: { 'main.en-us.lu': '5' },
+    };
+    const current = { settings: 'abc', luis: {}, qna: { 'faq.en-us.qna': '1' }, orchestrator: {} };
+
+    await builder.removeStaleModels(previous, current);
+
+    expect(storage.removeFile.mock.calls.map(([path]) => path).sort()).toEqual([
+      '/bots/test/generated/faq.fr-fr.qna.dialog',
+      '/bots/test/generated/help.en-us.qna.dialog',
+      '/bots/test/generated/help.qna.dialog',
+      '/bots/test/generated/main.en-us.blu',
+      '/bots/test/generated/orchestrator.settings.json',
+    ]);
+  });
+});
+
+describe('build dry run', () => {
+  const recognizer = {
+    ...luFile,
+    name: 'faq.en-us.lu.dialog',
+    content: '{ "$kind": "Microsoft.OrchestratorRecognizer" }',
+  };
+
+  const enIntent: ModelType = 'en_intent';
+
+  const dryRun = (model: Partial<Record<ModelType, string>>) => {
+    const builder = new Builder('/bots/test', ({} as unknown) as IFileStorage, 'en-us');
+    builder.setBuildConfig({ name: 'test', defaultLanguage: 'en-us', model } as any);
+    (builder as any).runCrossTrainer = async () => ({
+      luResult: new Map([['faq.en-us', { Content: luFile.content }]]),
+      qnaResult: new Map(),
+    });
+    builder.runOrchestratorNlrList = jest.fn();
+    return { builder, result: builder.dryRun([luFile], [], [recognizer], {}) };
+  };
+
+  it('plans the Orchestrator snapshots with the configured model', async () => {
+    const { builder, result } = dryRun({ [enIntent]: 'pretrained.20200924.microsoft.dte.00.06.en.onnx' });
+
+    expect((await result).orchestrator).toEqual([
+      expect.objectContaining({
+        lang: 'en',
+        model: 'pretrained.20200924.microsoft.dte.00.06.en.onnx',
+        luFiles: ['faq.en-us.lu'],
+      }),
+    ]);
+    expect(builder.runOrchestratorNlrList).not.toHaveBeenCalled();
+  });
+
+  it('leaves the default Orchestrator model unresolved without querying the model list', async () => {
+    const { builder, result } = dryRun({});
+
+    expect((await result).orchestrator).toEqual([
+      expect.objectContaining({ lang: 'en', model: undefined, modelDownloaded: false, luFiles: ['faq.en-us.lu'] }),
+    ]);
+    expect(builder.runOrchestratorNlrList).not.toHaveBeenCalled();
+  });
+});
@@ -4,7 +4,7 @@
 import { LabelResolver, Utility, Orchestrator } from '@microsoft/bf-orchestrator';
 import { pathExists, readdir, readJson } from 'fs-extra';
 
-import { cache, handleMessage, warmUpCache } from '../process/orchestratorWorker';
+import { cache, handleMessage, scoreUtterance, warmUpCache } from '../process/orchestratorWorker';
 
 jest.mock('@microsoft/bf-orchestrator');
 jest.mock('fs-extra', () => ({
@@ -183,3 +183,76 @@ describe('Orchestrator Warmup Cache', () => {
     });
   });
 });
+
+describe('Orchestrator Score Utterance', () => {
+  const scoreResult = (name: string, score: number, closestText: string) => ({
+    label: { name },
+    score,
+    // the results of the Orchestrator library name the closest example in snake case
+    // eslint-disable-next-line @typescript-eslint/camelcase
+    closest_text: closestText,
+  });
+
+  const luFile = { name: 'test.en.lu', content: '# Greeting\n- hi', path: '', relativePath: '', lastModified: '' };
+
+  beforeEach(async () => {
+    cache.clear();
+    cache.set('abc', new Map([['test.en.lu', {} as LabelResolver]]));
+
+    (Orchestrator.buildAsync as jest.Mock).mockClear();
+    (LabelResolver.getConfigJson as jest.Mock).mockImplementation(() => '{}');
+    (LabelResolver.score as jest.Mock).mockImplementation(() => [
+      scoreResult('Greeting', 0.4, 'hi'),
+      scoreResult('Help', 0.8, 'help me'),
+    ]);
+  });
+
+  it('refreshes the cached label resolvers without recognizer dialogs', async () => {
+    await scoreUtterance('abc', [luFile], './model/en', 'hello');
+
+    expect(Orchestrator.buildAsync).toHaveBeenCalledWith(
+      './model/en',
+      [{ id: 'test.en.lu', content: luFile.content }],
+      cache.get('abc'),
+      false,
+      '',
+      null,
+      false
+    );
+  });
+
+  it('returns the intents best first', async () => {
+    expect(await scoreUtterance('abc', [luFile], './model/en', 'hello')).toEqual([
+      { intent: 'Help', score: 0.8, closestText: 'help me' },
+      { intent: 'Greeting', score: 0.4, closestText: 'hi' },
+    ]);
+  });
+
+  it('returns no intent when the file has no label resolver', async () => {
+    expect(await scoreUtterance('abc', [{ ...luFile, name: 'other.en.lu' }], './model/en', 'hello')).toEqual([]);
+  });
+
+  it('process.send is called with the scores back to orchestratorBuilder', async () => {
+    const processSpy = jest.spyOn(process, 'send');
+
+    await handleMessage({
+      id: '2',
+      payload: {
+        type: 'score',
+        projectId: 'abc',
+        modelPath: './model/en',
+        files: [luFile],
+        generatedFolderPath: './generatedFolder',
+        utterance: 'hello',
+      },
+    });
+
+    expect(processSpy).toHaveBeenCalledWith({
+      id: '2',
+      payload: [
+        { intent: 'Help', score: 0.8, closestText: 'help me' },
+        { intent: 'Greeting', score: 0.4, closestText: 'hi' },
+      ],
+    });
+  });
+});
@@ -18,6 +18,8 @@ import {
   DialogUtils,
   checkForPVASchema,
   isManifestJson,
+  BuildDryRunResult,
+  BuildSummary,
 } from '@bfc/shared';
 import merge from 'lodash/merge';
 import { UserIdentity } from '@bfc/extension';
@@ -46,7 +48,7 @@ import {
 } from './botStructure';
 import { Builder } from './builder';
 import { IFileStorage } from './../storage/interface';
-import { LocationRef, IBuildConfig } from './interface';
+import { LocationRef, IBuildConfig, Resource } from './interface';
 import { getSkillManifest } from './skillManager';
 
 const debug = log.extend('bot-project');
@@ -136,6 +138,17 @@ export class BotProject implements IBotProject {
     return files;
   }
 
+  public get jsonFiles() {
+    const files: FileInfo[] = [];
+    this.files.forEach((file) => {
+      if (file.name.endsWith('.json')) {
+        files.push(file);
+      }
+    });
+
+    return files;
+  }
+
   public get dialogSchemaFiles() {
     const files: FileInfo[] = [];
     this.files.forEach((file) => {
@@ -279,11 +292,12 @@ export class BotProject implements IBotProject {
     this.settings = config;
   };
 
-  public exportToZip = (exclusions, cb) => {
+  public exportToZip = async (exclusions, cb) => {
     try {
-      this.fileStorage.zip(this.dataDir, exclusions, cb);
+      await this.fileStorage.zip(this.dataDir, exclusions, cb);
     } catch (e) {
       debug('error zipping assets', e);
+      throw e;
     }
   };
 
@@ -562,55 +576,94 @@ export class BotProject implements IBotProject {
     return createdFiles;
   };
 
-  public buildFiles = async ({
-    luisConfig,
-    qnaConfig,
-    orchestratorConfig,
+  public buildFiles = async (buildConfig: IBuildConfig): Promise<BuildSummary | undefined> => {
+    if (this.settings) {
+      const { luResource = [], qnaResource = [] } = buildConfig;
+      const { luFiles, qnaFiles, emptyFiles } = this.getBuildFiles(luResource, qnaResource);
+
+      this.setBuildConfig(buildConfig);
+      return await this.builder.build(
+        luFiles,
+        qnaFiles,
+        Array.from(this.files.values()) as FileInfo[],
+        emptyFiles,
+        !!this.settings.luis.directVersionPublish
+      );
+    }
+  };
+
+  /**
+   * Describe what buildFiles would generate and train, without writing the generated folder or calling any service.
+   */
+  public dryRunBuild = async (buildConfig: IBuildConfig): Promise<BuildDryRunResult | undefined> => {
+    if (this.settings) {
+      const { luResource = [], qnaResource = [] } = buildConfig;
+      const { luFiles, qnaFiles, emptyFiles } = this.getBuildFiles(luResource, qnaResource);
+
+      this.setBuildConfig(buildConfig);
+      return await this.builder.dryRun(luFiles, qnaFiles, Array.from(this.files.values()) as FileInfo[], emptyFiles);
+    }
+  };
+
+  /**
+   * Only run the cross training step of the build, writing its output to the generated folder.
+   */
+  public crossTrainFiles = async ({
     luResource = [],
     qnaResource = [],
-  }: IBuildConfig) => {
+  }: Pick<IBuildConfig, 'luResource' | 'qnaResource'>) => {
     if (this.settings) {
-      const luFiles: FileInfo[] = [];
-      const emptyFiles = {};
-      luResource.forEach(({ id, isEmpty }) => {
-        const fileName = `${id}.lu`;
-        const f = this.files.get(fileName);
-        if (isEmpty) emptyFiles[fileName] = true;
-        if (f) {
-          luFiles.push(f);
-        }
-      });
-      const qnaFiles: FileInfo[] = [];
-      qnaResource.forEach(({ id, isEmpty }) => {
-        const fileName = `${id}.qna`;
-        const f = this.files.get(fileName);
-        if (isEmpty) emptyFiles[fileName] = true;
-        if (f) {
-          qnaFiles.push(f);
-        }
-      });
+      const { luFiles, qnaFiles } = this.getBuildFiles(luResource, qnaResource);
 
       this.builder.rootDir = this.dir;
       this.builder.setBuildConfig(
-        {
-          ...luisConfig,
-          subscriptionKey: qnaConfig.subscriptionKey ?? '',
-          qnaRegion: qnaConfig.qnaRegion ?? '',
-          ...orchestratorConfig,
-        },
+        { ...this.settings.luis, subscriptionKey: '', qnaRegion: '' },
         this.settings.downsampling,
         this.settings.crossTrain
       );
-      await this.builder.build(
-        luFiles,
-        qnaFiles,
-        Array.from(this.files.values()) as FileInfo[],
-        emptyFiles,
-        !!this.settings.luis.directVersionPublish
-      );
+      await this.builder.runCrossTrain(luFiles, qnaFiles, Array.from(this.files.values()) as FileInfo[]);
     }
   };
 
+  // buildFiles and dryRunBuild configure the builder the same way, so the dry run describes the real build
+  private setBuildConfig({ luisConfig, qnaConfig, orchestratorConfig, recognizerBuilders = [] }: IBuildConfig) {
+    this.builder.rootDir = this.dir;
+    this.builder.recognizerBuilders = recognizerBuilders;
+    this.builder.setBuildConfig(
+      {
+        ...luisConfig,
+        subscriptionKey: qnaConfig.subscriptionKey ?? '',
+        qnaRegion: qnaConfig.qnaRegion ?? '',
+        ...orchestratorConfig,
+      },
+      this.settings?.downsampling,
+      this.settings?.crossTrain
+    );
+  }
+
+  private getBuildFiles(luResource: Resource[], qnaResource: Resource[]) {
+    const luFiles: FileInfo[] = [];
+    const emptyFiles = {};
+    luResource.forEach(({ id, isEmpty }) => {
+      const fileName = `${id}.lu`;
+      const f = this.files.get(fileName);
+      if (isEmpty) emptyFiles[fileName] = true;
+      if (f) {
+        luFiles.push(f);
+      }
+    });
+    const qnaFiles: FileInfo[] = [];
+    qnaResource.forEach(({ id, isEmpty }) => {
+      const fileName = `${id}.qna`;
+      const f = this.files.get(fileName);
+      if (isEmpty) emptyFiles[fileName] = true;
+      if (f) {
+        qnaFiles.push(f);
+      }
+    });
+    return { luFiles, qnaFiles, emptyFiles };
+  }
+
   public cloneFiles = async (locationRef: LocationRef): Promise<LocationRef> => {
     // get destination storage client
     const dstStorage = StorageService.getStorageClient(locationRef.storageId);
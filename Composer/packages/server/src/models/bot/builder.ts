@@ -2,8 +2,25 @@
 // Licensed under the MIT License.
 
 /* eslint-disable @typescript-eslint/no-var-requires */
+import { createHash } from 'crypto';
+
 import { pathExists, writeFile, copy, existsSync, mkdirSync } from 'fs-extra';
-import { FileInfo, IConfig, SDKKinds, IOrchestratorNLRList } from '@bfc/shared';
+import {
+  BuildArtifact,
+  BuildDownSamplingDecision,
+  BuildDryRunResult,
+  BuildModelStatus,
+  BuildSummary,
+  DiagnosticSeverity,
+  FileInfo,
+  IConfig,
+  IDiagnostic,
+  SDKKinds,
+  IOrchestratorNLRList,
+  OrchestratorIntentScore,
+  OrchestratorSnapshotPlan,
+  RecognizerBuilder,
+} from '@bfc/shared';
 import { ComposerReservoirSampler } from '@microsoft/bf-dispatcher/lib/mathematics/sampler/ComposerReservoirSampler';
 import { luImportResolverGenerator, getLUFiles, getQnAFiles } from '@bfc/shared/lib/luBuildResolver';
 import { Orchestrator } from '@microsoft/bf-orchestrator';
@@ -11,12 +28,15 @@ import cloneDeep from 'lodash/cloneDeep';
 import keys from 'lodash/keys';
 import has from 'lodash/has';
 import partition from 'lodash/partition';
+import pick from 'lodash/pick';
+import pickBy from 'lodash/pickBy';
 
 import { Path } from '../../utility/path';
 import { IFileStorage } from '../storage/interface';
 import log from '../../logger';
 import { setEnvDefault } from '../../utility/setEnvDefault';
 import { useElectronContext } from '../../utility/electronContext';
+import { isSubdirectory } from '../../utility/isSubdirectory';
 import { TelemetryService } from '../../services/telemetry';
 
 import { CrossTrainingSetting, IOrchestratorProgress, IOrchestratorSettings } from './interface';
@@ -33,6 +53,7 @@ const SETTINGS = 'settings';
 const INTERRUPTION = 'interruption';
 const CrossTrainConfigName = 'cross-train.config.json';
 const MODEL = 'model';
+const BUILD_MANIFEST = 'build.manifest.json';
 
 export type SingleConfig = {
   rootDialog: boolean;
@@ -49,6 +70,60 @@ export type DownSamplingConfig = {
   maxImbalanceRatio: number;
 };
 
+/**
+ * Content hashes of the crosstrained files of the last successful build, by model kind and file name. The models of
+ * the files with the same hash are not built again, unless the build settings changed. The hashes of the Orchestrator
+ * files include the model their snapshot is built with.
+ */
+export type BuildManifest = {
+  settings: string;
+  luis: Record<string, string>;
+  qna: Record<string, string>;
+  orchestrator: Record<string, string>;
+};
+
+// settings the LUIS and QnA builds write into the generated folder, with the id of each application or knowledge base
+const MODEL_SETTINGS = {
+  lu: { pattern: 'luis.settings.*', property: 'luis' },
+  qna: { pattern: 'qnamaker.settings.*', property: 'qna' },
+};
+
+type ModelSettings = { path: string; content: any };
+
+const hash = (content: string) => createHash('sha256').update(content).digest('hex');
+
+const deferToOrchestrator = (content: string) =>
+  content.replace('DeferToRecognizer_LUIS', 'DeferToRecognizer_ORCHESTRATOR');
+
+const isEnglishFile = (file: FileInfo) => file.name.split('.')?.[1]?.toLowerCase()?.startsWith('en');
+
+type OrchestratorModels = Record<OrchestratorSnapshotPlan['lang'], string | undefined>;
+
+// the model the snapshot of an .lu file is built with, by the language of the file
+const getOrchestratorModel = (models: OrchestratorModels, file: FileInfo) =>
+  isEnglishFile(file) ? models.en : models.multilang;
+
+// same keys as the snapshots written by the Orchestrator build
+const getSnapshotKey = (luFileName: string) => luFileName.replace('.lu', '').replace(/[-.]/g, '_');
+
+// key of the LUIS application or QnA knowledge base of a crosstrained file in the model settings
+const getModelSettingsKey = (fileName: string, kind: 'lu' | 'qna') => {
+  const [dialog, culture] = fileName.split('.');
+  return `${dialog}_${culture.replace(/-/g, '_')}_${kind}`;
+};
+
+const hashFiles = (files: FileInfo[]) =>
+  files.reduce((result: Record<string, string>, { name, content }) => ({ ...result, [name]: hash(content) }), {});
+
+const getModelStatus = (
+  files: FileInfo[],
+  hashes: Record<string, string>,
+  previousHashes: Record<string, string> = {}
+): BuildModelStatus => {
+  const [skipped, rebuilt] = partition(files, ({ name }) => previousHashes[name] === hashes[name]);
+  return { rebuilt: rebuilt.map(({ name }) => name), skipped: skipped.map(({ name }) => name) };
+};
+
 const getUserAgent = () => {
   const platform = useElectronContext() ? 'desktop' : 'web';
   return `microsoft.bot.composer/${process.env.COMPOSER_VERSION} ${platform}`;
@@ -62,6 +137,8 @@ export class Builder {
   public config: IConfig | null = null;
   public downSamplingConfig: DownSamplingConfig = { maxImbalanceRatio: -1 };
   public crossTrainingSetting: CrossTrainingSetting = { inter: true, intra: true };
+  /** the recognizers of these kinds are built by extensions instead of LUIS or Orchestrator */
+  public recognizerBuilders: RecognizerBuilder[] = [];
   private _locale: string;
   private orchestratorCachedBuild = false;
   private orchestratorSettings: IOrchestratorSettings = {
@@ -98,7 +175,7 @@ export class Builder {
     allFiles: FileInfo[],
     emptyFiles: { [key: string]: boolean },
     directVersionPublish: boolean
-  ) => {
+  ): Promise<BuildSummary> => {
     const userAgent = getUserAgent();
     setEnvDefault('LUIS_USER_AGENT', userAgent);
     setEnvDefault('QNA_USER_AGENT', userAgent);
@@ -111,19 +188,66 @@ export class Builder {
     }
 
     try {
-      await this.createGeneratedDir();
+      const settingsHash = this.getSettingsHash(directVersionPublish);
+      const previousManifest = await this.readBuildManifest(settingsHash);
+      // the models of the previous build are kept when it was done with the same settings
+      await this.createGeneratedDir(!!previousManifest);
       //do cross train before publish
-      await this.crossTrain(luFiles, qnaFiles, allFiles);
-      await this.downSamplingInterruption((await this.getInterruptionFiles()).interruptionLuFiles);
-
-      const { interruptionLuFiles, interruptionQnaFiles } = await this.getInterruptionFiles();
-      const { luBuildFiles, orchestratorBuildFiles } = this.separateFiles(interruptionLuFiles, allFiles, 'lu');
-      const { orchestratorBuildFiles: needReplacedFiles } = this.separateFiles(interruptionQnaFiles, allFiles, 'qna');
-      await this.replaceDeferToForOrchestrator(needReplacedFiles);
-
-      await this.runLuBuild(luBuildFiles, directVersionPublish);
-      await this.runQnaBuild(interruptionQnaFiles);
-      await this.runOrchestratorBuild(orchestratorBuildFiles, emptyFiles);
+      const {
+        crossTrainedLuHashes,
+        interruptionLuFiles,
+        interruptionQnaFiles,
+        luBuildFiles,
+        orchestratorBuildFiles,
+        recognizerBuildFiles,
+      } = await this.prepareBuildFiles(luFiles, qnaFiles, allFiles);
+      await this.writeInterruptionFiles([...interruptionLuFiles, ...interruptionQnaFiles]);
+      // the default Orchestrator models can change between builds, a snapshot is rebuilt when its model changed
+      const orchestratorModels = orchestratorBuildFiles.some((file) => !emptyFiles[file.name])
+        ? await this.getOrchestratorModels()
+        : undefined;
+      const orchestratorHashes = orchestratorBuildFiles.reduce((result: Record<string, string>, file) => {
+        const model = orchestratorModels && getOrchestratorModel(orchestratorModels, file);
+        return { ...result, [file.name]: hash(`${crossTrainedLuHashes[file.name]}:${model}`) };
+      }, {});
+
+      const manifest: BuildManifest = {
+        settings: settingsHash,
+        luis: pick(
+          crossTrainedLuHashes,
+          luBuildFiles.map(({ name }) => name)
+        ),
+        qna: hashFiles(interruptionQnaFiles),
+        orchestrator: orchestratorHashes,
+      };
+      const summary: BuildSummary = {
+        luis: getModelStatus(luBuildFiles, manifest.luis, previousManifest?.luis),
+        qna: getModelStatus(interruptionQnaFiles, manifest.qna, previousManifest?.qna),
+        orchestrator: getModelStatus(orchestratorBuildFiles, manifest.orchestrator, previousManifest?.orchestrator),
+      };
+      const isRebuilt = (models: BuildModelStatus) => (file: FileInfo) => models.rebuilt.includes(file.name);
+      if (previousManifest) await this.removeStaleModels(previousManifest, manifest);
+
+      // the builds only write the settings of the models they built, the skipped ones are added back afterwards
+      const previousLuisSettings = await this.takeModelSettings('lu');
+      const previousQnaSettings = await this.takeModelSettings('qna');
+      await this.runLuBuild(luBuildFiles.filter(isRebuilt(summary.luis)), directVersionPublish);
+      await this.runQnaBuild(interruptionQnaFiles.filter(isRebuilt(summary.qna)), interruptionQnaFiles);
+      await this.mergeModelSettings('lu', previousLuisSettings, luBuildFiles);
+      await this.mergeModelSettings('qna', previousQnaSettings, interruptionQnaFiles);
+      await this.runOrchestratorBuild(
+        orchestratorBuildFiles,
+        emptyFiles,
+        summary.orchestrator.skipped,
+        orchestratorModels
+      );
+      const diagnostics = await this.runRecognizerBuilders(recognizerBuildFiles, interruptionQnaFiles);
+
+      await this.storage.writeFile(
+        Path.join(this.generatedFolderPath, BUILD_MANIFEST),
+        JSON.stringify(manifest, null, 2)
+      );
+      return diagnostics.length ? { ...summary, diagnostics } : summary;
     } catch (error) {
       // handle this special error case where QnA Maker returns this uninformative error.
       // in their portal, it is accompanied by a message about the search service limits
@@ -138,14 +262,53 @@ export class Builder {
     }
   };
 
-  public replaceDeferToForOrchestrator = async (files: FileInfo[]) => {
-    await Promise.all(
-      files.map((file) => {
-        file.content = file.content.replace('DeferToRecognizer_LUIS', 'DeferToRecognizer_ORCHESTRATOR');
-        this.storage.writeFile(file.path, file.content);
-        return file;
-      })
-    );
+  public runCrossTrain = async (luFiles: FileInfo[], qnaFiles: FileInfo[], allFiles: FileInfo[]) => {
+    try {
+      await this.createGeneratedDir();
+      await this.crossTrain(luFiles, qnaFiles, allFiles);
+    } catch (error) {
+      throw new Error(error.message ?? error.text ?? 'Error cross training LU and QnA files.');
+    }
+  };
+
+  /**
+   * Run the steps of the build that don't need LUIS, QnA Maker or Orchestrator in memory and describe what the build
+   * would write in the generated folder. Nothing is written, no model is trained and no service is called: the
+   * Orchestrator models are the configured ones, the default ones are left to the build to resolve.
+   */
+  public dryRun = async (
+    luFiles: FileInfo[],
+    qnaFiles: FileInfo[],
+    allFiles: FileInfo[],
+    emptyFiles: { [key: string]: boolean }
+  ): Promise<BuildDryRunResult> => {
+    const downSampling: BuildDownSamplingDecision[] = [];
+    const {
+      interruptionLuFiles,
+      interruptionQnaFiles,
+      luBuildFiles,
+      orchestratorBuildFiles,
+      recognizerBuildFiles,
+    } = await this.prepareBuildFiles(luFiles, qnaFiles, allFiles, downSampling);
+
+    const config = this._getConfig([]);
+    const appName = (file: FileInfo) => `${config.botName}(${config.suffix})-${file.name}`;
+    const qnaBuildFiles = interruptionQnaFiles.filter((file) => !file.name.endsWith('.source.qna'));
+
+    return {
+      crossTrained: [...interruptionLuFiles, ...interruptionQnaFiles].map(({ name, content }) => ({
+        name: Path.join(INTERRUPTION, name),
+        content,
+      })),
+      recognizers: [...this.getLuisArtifacts(luBuildFiles), ...this.getQnaArtifacts(qnaBuildFiles)],
+      downSampling,
+      luisApplications: luBuildFiles.reduce((result, file) => ({ ...result, [file.name]: appName(file) }), {}),
+      qnaKnowledgeBases: qnaBuildFiles.reduce((result, file) => ({ ...result, [file.name]: appName(file) }), {}),
+      orchestrator: await this.getOrchestratorPlan(orchestratorBuildFiles, emptyFiles),
+      recognizerBuilders: this.recognizerBuilders
+        .filter(({ kind }) => recognizerBuildFiles[kind]?.length)
+        .map(({ kind, name }) => ({ kind, name, luFiles: recognizerBuildFiles[kind].map((file) => file.name) })),
+    };
   };
 
   public getQnaEndpointKey = async (subscriptionKey: string, config: IConfig) => {
@@ -197,23 +360,23 @@ export class Builder {
    * 3) Generate the embedding/snapshot data for Orchestrator (.blu files) and place in /generated folder
    * 4) Generate settings file for runtime containing model and snapshot paths and place in /generated folder
    * @param luFiles LU Files needed to build snapshot data
+   * @param skippedFiles names of the LU files whose snapshot is kept from the previous build
+   * @param models the models of the languages when already resolved by the build
    */
-  public runOrchestratorBuild = async (luFiles: FileInfo[], emptyFiles: { [key: string]: boolean }) => {
+  public runOrchestratorBuild = async (
+    luFiles: FileInfo[],
+    emptyFiles: { [key: string]: boolean },
+    skippedFiles: string[] = [],
+    models?: OrchestratorModels
+  ) => {
     if (!luFiles.filter((file) => !emptyFiles[file.name]).length) return;
 
-    const [enLuFiles, multiLangLuFiles] = partition(luFiles, (f) =>
-      f.name.split('.')?.[1]?.toLowerCase()?.startsWith('en')
-    );
-
-    const nlrList = await this.runOrchestratorNlrList();
+    const [enLuFiles, multiLangLuFiles] = partition(luFiles, isEnglishFile);
+    models = models ?? (await this.getOrchestratorModels());
 
     const modelDatas = [
-      { model: this.config?.model?.en_intent ?? nlrList?.defaults?.en_intent, lang: 'en', luFiles: enLuFiles },
-      {
-        model: this.config?.model?.multilingual_intent ?? nlrList?.defaults?.multilingual_intent,
-        lang: 'multilang',
-        luFiles: multiLangLuFiles,
-      },
+      { model: models.en, lang: 'en', luFiles: enLuFiles },
+      { model: models.multilang, lang: 'multilang', luFiles: multiLangLuFiles },
     ];
 
     for (const modelData of modelDatas) {
@@ -231,7 +394,12 @@ export class Builder {
           firstBuild: !this.orchestratorCachedBuild,
         });
 
-        const snapshotData = await this.buildOrchestratorSnapshots(modelPath, modelData.luFiles, emptyFiles);
+        const snapshotData = await this.buildOrchestratorSnapshots(
+          modelPath,
+          modelData.luFiles,
+          emptyFiles,
+          skippedFiles
+        );
 
         TelemetryService.endEvent('OrchestratorBuildCompleted', 'OrchestratorBuilder');
 
@@ -255,17 +423,78 @@ export class Builder {
    * Part of the Orchestrator training pipeline
    * @param modelPath Local Path to the model that is used for training
    * @param luFiles Array of FileInfo[] to the LU files that are used for training
+   * @param skippedFiles names of the LU files whose snapshot is kept from the previous build
    */
   public buildOrchestratorSnapshots = async (
     modelPath: string,
     luFiles: FileInfo[],
-    emptyFiles: { [key: string]: boolean }
+    emptyFiles: { [key: string]: boolean },
+    skippedFiles: string[] = []
   ) => {
     if (!luFiles.filter((file) => !emptyFiles[file.name]).length) return {};
+
+    const [skipped, changed] = partition(luFiles, ({ name }) => skippedFiles.includes(name));
+    const snapshots: Record<string, string> = {};
+    for (const file of skipped) {
+      const snapshotPath = Path.resolve(this.generatedFolderPath, file.name.replace('.lu', '.blu'));
+      if (await pathExists(snapshotPath)) {
+        snapshots[getSnapshotKey(file.name)] = snapshotPath;
+      } else {
+        changed.push(file);
+      }
+    }
+    if (!changed.length) return snapshots;
+
     // build snapshots from LU files
-    return await orchestratorBuilder.build(this.botDir, luFiles, modelPath, this.generatedFolderPath);
+    return {
+      ...snapshots,
+      ...(await orchestratorBuilder.build(this.botDir, changed, modelPath, this.generatedFolderPath)),
+    };
+  };
+
+  /**
+   * Orchestrator: Score an utterance against the intents of an .lu file with the model its language is built with.
+   * The model has to be downloaded beforehand.
+   * @param luFile LU file the intents are defined in
+   * @param utterance the utterance to score
+   * @returns the scores of the intents, best first, or undefined when the model is not downloaded
+   */
+  public scoreOrchestratorUtterance = async (
+    luFile: FileInfo,
+    utterance: string
+  ): Promise<OrchestratorIntentScore[] | undefined> => {
+    const models = await this.getOrchestratorModels();
+    const model = getOrchestratorModel(models, luFile);
+    if (!model) return undefined;
+
+    const modelPath = Path.resolve(await this.getModelPathAsync(), model.replace('.onnx', ''));
+    if (!(await pathExists(modelPath))) return undefined;
+
+    return await orchestratorBuilder.score(this.botDir, [luFile], modelPath, utterance);
   };
 
+  /**
+   * Orchestrator: The model each language is built with, the configured one or the default of the Orchestrator service
+   */
+  private async getOrchestratorModels(): Promise<OrchestratorModels> {
+    const configured = this.getConfiguredOrchestratorModels();
+    const nlrList = await this.runOrchestratorNlrList();
+    return {
+      en: configured.en ?? nlrList?.defaults?.en_intent,
+      multilang: configured.multilang ?? nlrList?.defaults?.multilingual_intent,
+    };
+  }
+
+  /**
+   * Orchestrator: The model configured for each language in the settings of the bot
+   */
+  private getConfiguredOrchestratorModels(): OrchestratorModels {
+    return {
+      en: this.config?.model?.en_intent,
+      multilang: this.config?.model?.multilingual_intent,
+    };
+  }
+
   /**
    * Orchestrator: Get available list of NLR models
    */
@@ -358,7 +587,38 @@ export class Builder {
     return qna;
   }
 
-  private async createGeneratedDir() {
+  private getSettingsHash(directVersionPublish: boolean) {
+    return hash(
+      JSON.stringify({
+        ...this.config,
+        directVersionPublish,
+        maxImbalanceRatio: this.downSamplingConfig.maxImbalanceRatio,
+      })
+    );
+  }
+
+  /**
+   * The manifest of the previous build when it was done with the same settings.
+   */
+  private async readBuildManifest(settingsHash: string): Promise<BuildManifest | undefined> {
+    const manifestPath = Path.join(this.generatedFolderPath, BUILD_MANIFEST);
+    if (!(await this.storage.exists(manifestPath))) return undefined;
+    try {
+      const manifest: BuildManifest = JSON.parse(await this.storage.readFile(manifestPath));
+      return manifest.settings === settingsHash ? manifest : undefined;
+    } catch (err) {
+      log(err);
+      return undefined;
+    }
+  }
+
+  private async createGeneratedDir(keepModels = false) {
+    if (keepModels) {
+      // a build that fails from now on leaves no manifest, the next one builds everything again
+      await this.storage.removeFile(Path.join(this.generatedFolderPath, BUILD_MANIFEST));
+      await this.cleanCrossTrain();
+      return;
+    }
     // clear previous folder
     await this.deleteDir(this.generatedFolderPath);
     //remove the cross train result
@@ -366,7 +626,7 @@ export class Builder {
     await this.storage.mkDir(this.generatedFolderPath);
   }
 
-  private async crossTrain(luFiles: FileInfo[], qnaFiles: FileInfo[], allFiles: FileInfo[]) {
+  private async runCrossTrainer(luFiles: FileInfo[], qnaFiles: FileInfo[], allFiles: FileInfo[]) {
     const crossTrainConfigPath = Path.join(this.botDir, SETTINGS, CrossTrainConfigName);
     let crossTrainConfig = {};
     if (await this.storage.exists(crossTrainConfigPath)) {
@@ -385,40 +645,67 @@ export class Builder {
 
     const importResolver = luImportResolverGenerator([...getLUFiles(allFiles), ...getQnAFiles(allFiles)]);
     const { inter, intra } = this.crossTrainingSetting;
-    const result = await crossTrainer.crossTrain(luContents, qnaContents, crossTrainConfig, {
+    return await crossTrainer.crossTrain(luContents, qnaContents, crossTrainConfig, {
       importResolver,
       trainingOpt: { inner: inter, intra },
     });
+  }
 
-    await this.writeFiles(result.luResult, 'lu');
-    await this.writeFiles(result.qnaResult, 'qna');
+  private async crossTrain(luFiles: FileInfo[], qnaFiles: FileInfo[], allFiles: FileInfo[]) {
+    const { luResult, qnaResult } = await this.runCrossTrainer(luFiles, qnaFiles, allFiles);
+    await this.writeInterruptionFiles([
+      ...this.toInterruptionFiles(luResult, 'lu'),
+      ...this.toInterruptionFiles(qnaResult, 'qna'),
+    ]);
   }
 
-  private async getInterruptionFiles() {
-    const files = await this.storage.readDir(this.interruptionFolderPath);
-    const interruptionLuFiles: FileInfo[] = [];
-    const interruptionQnaFiles: FileInfo[] = [];
-    for (const file of files) {
-      const content = await this.storage.readFile(Path.join(this.interruptionFolderPath, file));
-      const path = Path.join(this.interruptionFolderPath, file);
-      const stats = await this.storage.stat(path);
-      const fileInfo: FileInfo = {
-        name: file,
-        content,
-        path: Path.join(this.interruptionFolderPath, file),
-        relativePath: Path.relative(this.interruptionFolderPath, path),
-        lastModified: stats.lastModified,
-      };
-      if (file.endsWith('qna')) {
-        interruptionQnaFiles.push(fileInfo);
-      } else if (file.endsWith('lu')) {
-        interruptionLuFiles.push(fileInfo);
-      }
+  /**
+   * The steps of the build before the models are trained, shared by the build and the dry run: cross train,
+   * downsample the interruption utterances and separate the crosstrained files by the recognizer they are built for.
+   * Nothing is written.
+   * @param downSampling gets the downsampling decisions
+   */
+  private async prepareBuildFiles(
+    luFiles: FileInfo[],
+    qnaFiles: FileInfo[],
+    allFiles: FileInfo[],
+    downSampling: BuildDownSamplingDecision[] = []
+  ) {
+    const { luResult, qnaResult } = await this.runCrossTrainer(luFiles, qnaFiles, allFiles);
+    let interruptionLuFiles = this.toInterruptionFiles(luResult, 'lu');
+    const interruptionQnaFiles = this.toInterruptionFiles(qnaResult, 'qna');
+    // downsampling picks the interruption utterances at random, the files are hashed before
+    const crossTrainedLuHashes = hashFiles(interruptionLuFiles);
+
+    if (this.downSamplingConfig.maxImbalanceRatio !== -1) {
+      const luContents = await this.downsizeUtterances(
+        interruptionLuFiles.map(({ name, content }) => ({ id: name, content })),
+        downSampling
+      );
+      interruptionLuFiles = interruptionLuFiles.map((file, index) => ({ ...file, content: luContents[index].content }));
     }
-    return { interruptionLuFiles, interruptionQnaFiles };
+
+    const { luBuildFiles, orchestratorBuildFiles, recognizerBuildFiles } = this.separateFiles(
+      interruptionLuFiles,
+      allFiles,
+      'lu'
+    );
+    const { orchestratorBuildFiles: needReplacedFiles } = this.separateFiles(interruptionQnaFiles, allFiles, 'qna');
+    needReplacedFiles.forEach((file) => {
+      file.content = deferToOrchestrator(file.content);
+    });
+
+    return {
+      crossTrainedLuHashes,
+      interruptionLuFiles,
+      interruptionQnaFiles,
+      luBuildFiles,
+      orchestratorBuildFiles,
+      recognizerBuildFiles,
+    };
   }
 
-  private doDownSampling(luObject: any) {
+  private doDownSampling(luObject: any, id: string, decisions: BuildDownSamplingDecision[]) {
     if (!luObject) return luObject;
 
     //separate the intents, we only do downsampling for interruption intent
@@ -446,18 +733,26 @@ export class Builder {
       interruptionItems,
       this.downSamplingConfig.maxImbalanceRatio * minNum
     );
-    const finalItems = [...normalItems, ...reservoirSampler.getSampledUtterances()];
+    const sampledItems = reservoirSampler.getSampledUtterances();
+    decisions.push({
+      id,
+      maxImbalanceRatio: this.downSamplingConfig.maxImbalanceRatio,
+      intents: intentsMap,
+      interruptionUtterances: interruptionItems.length,
+      sampledInterruptionUtterances: sampledItems.length,
+    });
+    const finalItems = [...normalItems, ...sampledItems];
     luObject.utterances = finalItems.filter((item) => !has(item, 'pattern'));
     luObject.patterns = finalItems.filter((item) => has(item, 'pattern'));
     return luObject;
   }
 
-  private async downsizeUtterances(luContents: any) {
+  private async downsizeUtterances(luContents: any[], decisions: BuildDownSamplingDecision[] = []) {
     return await Promise.all(
       luContents.map(async (luContent) => {
         if (luContent.content) {
           const result = await LuisBuilder.fromLUAsync(luContent.content);
-          const sampledResult = this.doDownSampling(result);
+          const sampledResult = this.doDownSampling(result, luContent.id, decisions);
           const content = luisToLuContent(sampledResult);
           return { ...luContent, content };
         }
@@ -467,35 +762,22 @@ export class Builder {
     );
   }
 
-  private async writeFiles(crossTrainResult, fileExtension: 'lu' | 'qna') {
-    if (!(await this.storage.exists(this.interruptionFolderPath))) {
-      await this.storage.mkDir(this.interruptionFolderPath);
-    }
-    await Promise.all(
-      [...crossTrainResult.keys()].map(async (key: string) => {
-        const fileName = `${key}.${fileExtension}`;
-        const newFileId = Path.join(this.interruptionFolderPath, fileName);
-        await this.storage.writeFile(newFileId, crossTrainResult.get(key).Content);
-      })
-    );
-  }
-
-  private async downSamplingInterruption(files: FileInfo[]) {
-    if (this.downSamplingConfig.maxImbalanceRatio === -1) return;
-
-    const models = files.map((file) => file.path);
-
-    let luContents = await this.luBuilder.loadContents(models, {
-      culture: this.config?.defaultLanguage || 'en-us',
+  private toInterruptionFiles(crossTrainResult, fileExtension: 'lu' | 'qna'): FileInfo[] {
+    return [...crossTrainResult.keys()].map((key: string) => {
+      const name = `${key}.${fileExtension}`;
+      const path = Path.join(this.interruptionFolderPath, name);
+      return {
+        name,
+        content: crossTrainResult.get(key).Content,
+        path,
+        relativePath: Path.relative(this.interruptionFolderPath, path),
+        lastModified: '',
+      };
     });
+  }
 
-    luContents = await this.downsizeUtterances(luContents);
-    //write downsampling result to the interruption folder
-    await Promise.all(
-      luContents.map(async ({ path, content }) => {
-        return await this.storage.writeFile(path, content);
-      })
-    );
+  private async writeInterruptionFiles(files: FileInfo[]) {
+    await Promise.all(files.map(({ path, content }) => this.storage.writeFile(path, content)));
   }
 
   private async runLuBuild(files: FileInfo[], directVersionPublish: boolean) {
@@ -521,29 +803,153 @@ export class Builder {
     await this.writeLuisSettings(buildResult, this.generatedFolderPath, directVersionPublish);
   }
 
-  private async runQnaBuild(files: FileInfo[]) {
+  /**
+   * Build the QnA Maker knowledge bases of the given files and write the recognizers of all the knowledge bases.
+   * @param files crosstrained .qna files to build
+   * @param allFiles crosstrained .qna files of this build, built or skipped
+   */
+  public async runQnaBuild(files: FileInfo[], allFiles: FileInfo[]) {
     const config = this._getConfig(files);
 
-    const qnaContents = await this.qnaBuilder.loadContents(config.models, {
-      culture: config.fallbackLocal,
-    });
+    const qnaContents = files.length
+      ? await this.qnaBuilder.loadContents(config.models, {
+          culture: config.fallbackLocal,
+        })
+      : [];
 
     //we need to filter the source qna file out.
     const filteredQnaContents = qnaContents?.filter((content) => !content.id.endsWith('.source'));
 
-    if (!filteredQnaContents || filteredQnaContents.length === 0) return;
+    if (filteredQnaContents?.length) {
+      const subscriptionKeyEndpoint = `https://${config.qnaRegion}.api.cognitive.microsoft.com/qnamaker/v4.0`;
 
-    const subscriptionKeyEndpoint = `https://${config.qnaRegion}.api.cognitive.microsoft.com/qnamaker/v4.0`;
+      const buildResult = await this.qnaBuilder.build(filteredQnaContents, config.subscriptionKey, config.botName, {
+        endpoint: subscriptionKeyEndpoint,
+        suffix: config.suffix,
+      });
 
-    const buildResult = await this.qnaBuilder.build(filteredQnaContents, config.subscriptionKey, config.botName, {
-      endpoint: subscriptionKeyEndpoint,
-      suffix: config.suffix,
-    });
+      await this.qnaBuilder.writeDialogAssets(buildResult, {
+        force: true,
+        out: this.generatedFolderPath,
+      });
+    }
 
-    await this.qnaBuilder.writeDialogAssets(buildResult, {
-      force: true,
-      out: this.generatedFolderPath,
-    });
+    // the multi language recognizer of a dialog is written with the cultures just built, the skipped ones are added back
+    const qnaBuildFiles = allFiles.filter((file) => !file.name.endsWith('.source.qna'));
+    for (const { name, content } of this.getQnaMultiLanguageRecognizers(qnaBuildFiles)) {
+      await this.storage.writeFile(Path.join(this.generatedFolderPath, name), content);
+    }
+  }
+
+  private async readModelSettings(kind: 'lu' | 'qna'): Promise<ModelSettings | undefined> {
+    const paths = await this.storage.glob(MODEL_SETTINGS[kind].pattern, this.generatedFolderPath);
+    if (!paths.length) return undefined;
+
+    const path = Path.join(this.generatedFolderPath, paths[0]);
+    return { path, content: JSON.parse(await this.storage.readFile(path)) };
+  }
+
+  /**
+   * Read and remove the model settings of the previous build, so the settings found after the build are its own.
+   */
+  private async takeModelSettings(kind: 'lu' | 'qna') {
+    const settings = await this.readModelSettings(kind);
+    if (settings) await this.storage.removeFile(settings.path);
+    return settings;
+  }
+
+  /**
+   * Add the models of the previous build that were skipped to the settings of this build. The settings are rebuilt
+   * from the files of this build only, the models of dialogs or locales that were removed since are dropped.
+   * @param previous model settings of the previous build
+   * @param files crosstrained files of this build, built or skipped
+   */
+  private async mergeModelSettings(kind: 'lu' | 'qna', previous: ModelSettings | undefined, files: FileInfo[]) {
+    if (!previous) return;
+
+    const { property } = MODEL_SETTINGS[kind];
+    const isModelKey = (key: string) => key.endsWith(`_${kind}`);
+    const modelKeys = files.map(({ name }) => getModelSettingsKey(name, kind));
+    // entries that are not models, like the QnA host name, are kept as they are
+    const kept = pickBy(previous.content[property], (_, key) => !isModelKey(key) || modelKeys.includes(key));
+
+    const current = await this.readModelSettings(kind);
+    if (!current && !Object.keys(kept).some(isModelKey)) return;
+
+    const settings = current ?? previous;
+    settings.content[property] = { ...kept, ...current?.content[property] };
+    await this.storage.writeFile(settings.path, JSON.stringify(settings.content, null, 4));
+  }
+
+  /**
+   * Remove the generated files of the models the previous build kept in the generated folder and this build no longer
+   * has, for the dialogs or locales that were removed or moved to another recognizer since. The settings of the LUIS
+   * applications and QnA knowledge bases are dropped by mergeModelSettings.
+   * @param previous manifest of the previous build
+   * @param current manifest of this build
+   */
+  public async removeStaleModels(previous: BuildManifest, current: BuildManifest) {
+    const removed = (kind: 'qna' | 'orchestrator') =>
+      Object.keys(previous[kind]).filter((name) => current[kind][name] === undefined);
+    const remove = async (name: string) => {
+      const path = Path.join(this.generatedFolderPath, name);
+      if (await this.storage.exists(path)) await this.storage.removeFile(path);
+    };
+
+    // the source .qna files have no recognizer
+    const withRecognizer = (names: string[]) => names.filter((name) => !name.endsWith('.source.qna'));
+    const currentQnaDialogs = withRecognizer(Object.keys(current.qna)).map((name) => name.split('.')[0]);
+    for (const name of withRecognizer(removed('qna'))) {
+      await remove(`${name}.dialog`);
+      // the multi language recognizer of a dialog goes with its last culture
+      const dialog = name.split('.')[0];
+      if (!currentQnaDialogs.includes(dialog)) await remove(`${dialog}.qna.dialog`);
+    }
+
+    for (const name of removed('orchestrator')) {
+      await remove(name.replace('.lu', '.blu'));
+      delete this.orchestratorSettings.orchestrator.snapshots[getSnapshotKey(name)];
+    }
+    // runOrchestratorBuild only writes the settings when there is something to build
+    if (!Object.keys(current.orchestrator).length) await remove('orchestrator.settings.json');
+  }
+
+  /**
+   * Hand the crosstrained files of the dialogs whose recognizers are built by an extension to its builder and write
+   * the artifacts it returns into the generated folder.
+   * @param luFiles crosstrained .lu files by recognizer kind
+   * @param qnaFiles crosstrained .qna files of the bot
+   */
+  public async runRecognizerBuilders(luFiles: Record<string, FileInfo[]>, qnaFiles: FileInfo[]) {
+    const diagnostics: IDiagnostic[] = [];
+    for (const builder of this.recognizerBuilders) {
+      const files = luFiles[builder.kind];
+      if (!files?.length) continue;
+
+      const qnaFileNames = files.map(({ name }) => name.replace(/\.lu$/, '.qna'));
+      const { artifacts = [], diagnostics: builderDiagnostics = [] } = await builder.build({
+        botName: this.config?.name ?? '',
+        generatedFolderPath: this.generatedFolderPath,
+        luFiles: files,
+        qnaFiles: qnaFiles.filter(({ name }) => qnaFileNames.includes(name)),
+      });
+
+      const errors = builderDiagnostics.filter(({ severity }) => severity === DiagnosticSeverity.Error);
+      if (errors.length) {
+        throw new Error(`${builder.name} build failed: ${errors.map(({ message }) => message).join('\n')}`);
+      }
+
+      for (const { name, content } of artifacts) {
+        const artifactPath = Path.resolve(this.generatedFolderPath, name);
+        if (!name || Path.isAbsolute(name) || !isSubdirectory(this.generatedFolderPath, artifactPath)) {
+          throw new Error(`${builder.name} build failed: cannot write ${name} outside of the generated folder.`);
+        }
+        await this.storage.mkDir(Path.dirname(artifactPath), { recursive: true });
+        await this.storage.writeFile(artifactPath, content);
+      }
+      diagnostics.push(...builderDiagnostics);
+    }
+    return diagnostics;
   }
 
   private writeLuisSettings = async (contents, out: string, directVersionPublish: boolean) => {
@@ -585,6 +991,124 @@ export class Builder {
     }
   };
 
+  /**
+   * The LUIS settings the build writes, the application ids are only known once the applications are published.
+   */
+  private getLuisArtifacts(files: FileInfo[]): BuildArtifact[] {
+    if (!files.length) return [];
+
+    const { suffix, region } = this._getConfig(files);
+    const luis = files.reduce(
+      (result, file) => ({ ...result, [getModelSettingsKey(file.name, 'lu')]: { appId: '' } }),
+      {}
+    );
+
+    return [{ name: `luis.settings.${suffix}.${region}.json`, content: JSON.stringify({ luis }, null, 4) }];
+  }
+
+  /**
+   * The QnA Maker recognizers and settings the build writes, one multi language recognizer per dialog.
+   */
+  private getQnaArtifacts(files: FileInfo[]): BuildArtifact[] {
+    if (!files.length) return [];
+
+    const { suffix, qnaRegion } = this._getConfig(files);
+    const artifacts: BuildArtifact[] = [];
+    const qna = {};
+    files.forEach((file) => {
+      const [dialog, culture] = file.name.split('.');
+      const key = getModelSettingsKey(file.name, 'qna');
+      qna[key] = '';
+      artifacts.push({
+        name: `${dialog}.${culture}.qna.dialog`,
+        content: JSON.stringify(
+          {
+            $kind: SDKKinds.QnAMakerRecognizer,
+            id: `QnA_${dialog}`,
+            knowledgeBaseId: `=settings.qna.${key}`,
+            hostname: '=settings.qna.hostname',
+            endpointKey: '=settings.qna.endpointKey',
+          },
+          null,
+          4
+        ),
+      });
+    });
+
+    artifacts.push(...this.getQnaMultiLanguageRecognizers(files));
+
+    artifacts.push({
+      name: `qnamaker.settings.${suffix}.${qnaRegion}.json`,
+      content: JSON.stringify({ qna: { ...qna, hostname: '' } }, null, 4),
+    });
+    return artifacts;
+  }
+
+  /**
+   * The multi language recognizer of each dialog, pointing to the QnA Maker recognizer of each of its cultures.
+   */
+  private getQnaMultiLanguageRecognizers(files: FileInfo[]): BuildArtifact[] {
+    if (!files.length) return [];
+
+    const { fallbackLocal } = this._getConfig(files);
+    const culturesByDialog: Record<string, string[]> = {};
+    files.forEach((file) => {
+      const [dialog, culture] = file.name.split('.');
+      culturesByDialog[dialog] = [...(culturesByDialog[dialog] ?? []), culture];
+    });
+
+    return Object.keys(culturesByDialog).map((dialog) => {
+      const cultures = culturesByDialog[dialog];
+      const fallback = cultures.includes(fallbackLocal) ? fallbackLocal : cultures[0];
+      const recognizers = cultures.reduce((result, culture) => ({ ...result, [culture]: `${dialog}.${culture}.qna` }), {
+        '': `${dialog}.${fallback}.qna`,
+      });
+      return {
+        name: `${dialog}.qna.dialog`,
+        content: JSON.stringify({ $kind: SDKKinds.MultiLanguageRecognizer, recognizers }, null, 4),
+      };
+    });
+  }
+
+  /**
+   * The Orchestrator snapshots each language would be built into, with the configured model. The default model is only
+   * known to the Orchestrator service, so the model of a language without one is left unresolved.
+   */
+  private async getOrchestratorPlan(
+    luFiles: FileInfo[],
+    emptyFiles: { [key: string]: boolean }
+  ): Promise<OrchestratorSnapshotPlan[]> {
+    if (!luFiles.filter((file) => !emptyFiles[file.name]).length) return [];
+
+    const [enLuFiles, multiLangLuFiles] = partition(luFiles, isEnglishFile);
+    const models = this.getConfiguredOrchestratorModels();
+    const modelDatas = [
+      { model: models.en, lang: 'en' as const, luFiles: enLuFiles },
+      { model: models.multilang, lang: 'multilang' as const, luFiles: multiLangLuFiles },
+    ];
+
+    const plans: OrchestratorSnapshotPlan[] = [];
+    for (const { model, lang, luFiles: files } of modelDatas) {
+      if (!files.length) continue;
+      const modelPath = model ? Path.resolve(await this.getModelPathAsync(), model.replace('.onnx', '')) : undefined;
+      plans.push({
+        lang,
+        model,
+        modelPath,
+        modelDownloaded: modelPath ? await pathExists(modelPath) : false,
+        luFiles: files.map(({ name }) => name),
+        snapshots: files.reduce(
+          (result, { name }) => ({
+            ...result,
+            [getSnapshotKey(name)]: name.replace('.lu', '.blu'),
+          }),
+          {}
+        ),
+      });
+    }
+    return plans;
+  }
+
   //delete files in generated folder
   private async deleteDir(path: string) {
     if (await this.storage.exists(path)) {
@@ -624,10 +1148,15 @@ export class Builder {
     const luRecoginzers = allFiles.filter((item) => item.name.endsWith(`.lu.dialog`));
     const luBuildFiles: FileInfo[] = [];
     const orchestratorBuildFiles: FileInfo[] = [];
+    // by recognizer kind
+    const recognizerBuildFiles: Record<string, FileInfo[]> = {};
     files.forEach((file) => {
       const recognizer = luRecoginzers.find((item) => item.name.replace('lu.dialog', type) === file.name);
-      if (recognizer && JSON.parse(recognizer.content).$kind === SDKKinds.OrchestratorRecognizer) {
+      const kind = recognizer && JSON.parse(recognizer.content).$kind;
+      if (kind === SDKKinds.OrchestratorRecognizer) {
         orchestratorBuildFiles.push(file);
+      } else if (this.recognizerBuilders.some((builder) => builder.kind === kind)) {
+        recognizerBuildFiles[kind] = [...(recognizerBuildFiles[kind] ?? []), file];
       } else {
         luBuildFiles.push(file);
       }
@@ -636,6 +1165,7 @@ export class Builder {
     return {
       luBuildFiles,
       orchestratorBuildFiles,
+      recognizerBuildFiles,
     };
   };
 
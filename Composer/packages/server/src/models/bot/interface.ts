@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { BaseSchema, ILuisConfig, IQnAConfig, IOrchestratorConfig } from '@bfc/shared';
+import { BaseSchema, ILuisConfig, IQnAConfig, IOrchestratorConfig, RecognizerBuilder } from '@bfc/shared';
 
 export type Resource = { id: string; isEmpty: boolean };
 
@@ -16,6 +16,8 @@ export interface IBuildConfig {
   orchestratorConfig?: IOrchestratorConfig;
   luResource: Resource[];
   qnaResource: Resource[];
+  /** registered by the extensions */
+  recognizerBuilders?: RecognizerBuilder[];
 }
 
 export interface ILuisSettings {
@@ -4,7 +4,7 @@ import fs from 'fs';
 import { fork, ChildProcess } from 'child_process';
 import path from 'path';
 
-import { FileInfo } from '@bfc/shared';
+import { FileInfo, OrchestratorIntentScore } from '@bfc/shared';
 import uniqueId from 'lodash/uniqueId';
 
 import { ResponseMsg } from './types';
@@ -44,6 +44,22 @@ class OrchestratorBuilder {
     });
   }
 
+  public async score(
+    projectId: string,
+    files: FileInfo[],
+    modelPath: string,
+    utterance: string
+  ): Promise<OrchestratorIntentScore[]> {
+    const msgId = uniqueId();
+    const msg = { id: msgId, payload: { type: 'score', projectId, files, modelPath, utterance } };
+
+    return new Promise((resolve, reject) => {
+      this.resolves[msgId] = resolve;
+      this.rejects[msgId] = reject;
+      OrchestratorBuilder.worker.send(msg);
+    });
+  }
+
   // Handle incoming calculation result
   public handleMsg(msg: ResponseMsg) {
     const { id, error, payload } = msg;
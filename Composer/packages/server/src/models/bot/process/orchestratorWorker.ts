@@ -1,7 +1,8 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { FileInfo } from '@bfc/shared';
+import { FileInfo, OrchestratorIntentScore } from '@bfc/shared';
+import { LabelType } from '@microsoft/bf-dispatcher';
 import { LabelResolver, Orchestrator, Utility } from '@microsoft/bf-orchestrator';
 import debug from 'debug';
 import { writeFile, readdir, readFile, pathExists, readJson } from 'fs-extra';
@@ -190,6 +191,33 @@ export async function writeSnapshot(output: IOrchestratorBuildOutput, generatedF
   return snapshots;
 }
 
+/**
+ * Orchestrator: Scores an utterance against the intents of an .lu file.
+ *
+ * The label resolver of the file is built like for a bot build, so the embeddings of the utterances that did not
+ * change are reused from the cache.
+ *
+ * @param files - The .lu file to score against
+ * @param modelPath - Path to NLR model folder
+ * @param utterance - The utterance to score
+ * @returns The intents, best first
+ */
+export async function scoreUtterance(
+  projectId: string,
+  files: FileInfo[],
+  modelPath: string,
+  utterance: string
+): Promise<OrchestratorIntentScore[]> {
+  await orchestratorBuilder(projectId, files, modelPath, false);
+
+  const labelResolver = files.length ? cache.get(projectId).get(files[0].name) : undefined;
+  if (!labelResolver) return [];
+
+  return LabelResolver.score(utterance, LabelType.Intent, labelResolver)
+    .map((result) => ({ intent: result.label.name, score: result.score, closestText: result.closest_text }))
+    .sort((a, b) => b.score - a.score);
+}
+
 export const handleMessage = async (msg: RequestMsg) => {
   const { payload } = msg;
   try {
@@ -207,6 +235,12 @@ export const handleMessage = async (msg: RequestMsg) => {
         process.send?.({ id: msg.id, payload: done });
         break;
       }
+      case 'score': {
+        const { files, modelPath, projectId, utterance = '' } = payload;
+        const scores = await scoreUtterance(projectId, files, modelPath, utterance);
+        process.send?.({ id: msg.id, payload: scores });
+        break;
+      }
     }
   } catch (error) {
     process.send?.({ id: msg.id, error: error ? { message: error.message, stack: error.stack } : undefined });
@@ -3,11 +3,13 @@
 import { FileInfo } from '@bfc/shared';
 
 export type BuildPayload = {
-  type: 'build' | 'warmup';
+  type: 'build' | 'warmup' | 'score';
   projectId: string;
   files: FileInfo[];
   modelPath: string;
   generatedFolderPath: string;
+  /** the utterance to score */
+  utterance?: string;
 };
 
 export type RequestMsg = {
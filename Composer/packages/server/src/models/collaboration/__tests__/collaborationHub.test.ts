@@ -0,0 +1,131 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { IncomingMessage } from 'http';
+
+import { CollaborationHub, CollaborationSocket } from '../collaborationHub';
+
+// the hub handles the messages of a socket one after the other, once the project of the join is loaded
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+class MockSocket implements CollaborationSocket {
+  public sent: any[] = [];
+  private messageHandler: (data: any) => void = () => undefined;
+  private closeHandler: () => void = () => undefined;
+
+  send(content: string) {
+    this.sent.push(JSON.parse(content));
+  }
+  onMessage(cb) {
+    this.messageHandler = cb;
+  }
+  onClose(cb) {
+    this.closeHandler = cb;
+  }
+  async receive(message: any) {
+    this.messageHandler(JSON.stringify(message));
+    await flush();
+  }
+  async receiveRaw(data: string) {
+    this.messageHandler(data);
+    await flush();
+  }
+  close() {
+    this.closeHandler();
+  }
+  last(type: string) {
+    return [...this.sent].reverse().find((message) => message.type === type);
+  }
+}
+
+const request = {} as IncomingMessage;
+
+const connect = async (hub: CollaborationHub, name: string, projectId = 'project') => {
+  const socket = new MockSocket();
+  hub.connect(socket, request);
+  await socket.receive({ type: 'join', projectId, name, color: '#000' });
+  return socket;
+};
+
+describe('CollaborationHub', () => {
+  let hub: CollaborationHub;
+
+  beforeEach(() => {
+    hub = new CollaborationHub(async (projectId) => {
+      if (projectId === 'secret') throw new Error('Not allowed');
+    });
+  });
+
+  it('welcomes a client with the people already in the project', async () => {
+    await connect(hub, 'Ada');
+    const bob = await connect(hub, 'Bob');
+    const welcome = bob.last('welcome');
+    expect(welcome.collaborators.map(({ name }) => name)).toEqual(['Ada', 'Bob']);
+    expect(hub.getCollaborators('other')).toEqual([]);
+  });
+
+  it('broadcasts presence to the other clients', async () => {
+    const ada = await connect(hub, 'Ada');
+    const bob = await connect(hub, 'Bob');
+    await bob.receive({ type: 'presence', location: { dialogId: 'main', selected: 'triggers[0]' } });
+    const bobInfo = ada.last('collaborators').collaborators.find(({ name }) => name === 'Bob');
+    expect(bobInfo.location).toEqual({ dialogId: 'main', selected: 'triggers[0]' });
+  });
+
+  it('relays changes with increasing versions and acknowledges the sender', async () => {
+    const ada = await connect(hub, 'Ada');
+    const bob = await connect(hub, 'Bob');
+    const carol = await connect(hub, 'Carol', 'another project');
+    const delta = { kind: 'text', start: 0, deleteCount: 1, insert: ['# hi'] };
+
+    await ada.receive({ type: 'change', file: 'main.lg', delta, version: 0 });
+    expect(ada.last('ack')).toEqual({ type: 'ack', file: 'main.lg', version: 1 });
+    expect(bob.last('change')).toMatchObject({ file: 'main.lg', delta, baseVersion: 0, version: 1 });
+    expect(carol.last('change')).toBeUndefined();
+
+    await bob.receive({ type: 'change', file: 'main.lg', delta, version: 1 });
+    expect(ada.last('change')).toMatchObject({ baseVersion: 1, version: 2 });
+  });
+
+  it('rejects changes made against an older version', async () => {
+    const ada = await connect(hub, 'Ada');
+    const bob = await connect(hub, 'Bob');
+    const delta = { kind: 'text', start: 0, deleteCount: 1, insert: ['# hi'] };
+
+    await ada.receive({ type: 'change', file: 'main.lg', delta, version: 0 });
+    await bob.receive({ type: 'change', file: 'main.lg', delta, version: 0 });
+    expect(bob.last('reject')).toEqual({ type: 'reject', file: 'main.lg', version: 1 });
+    expect(bob.last('ack')).toBeUndefined();
+    expect(ada.last('change')).toBeUndefined();
+
+    expect((await connect(hub, 'Carol')).last('welcome').versions).toEqual({ 'main.lg': 1 });
+  });
+
+  it('rejects changes before joining and malformed messages', async () => {
+    const socket = new MockSocket();
+    hub.connect(socket, request);
+    await socket.receive({ type: 'presence' });
+    expect(socket.last('error').message).toBe('Join a project before sending changes.');
+    await socket.receiveRaw('not json');
+    expect(socket.last('error').message).toBe('Messages must be JSON.');
+  });
+
+  it('refuses to join a project the user cannot open', async () => {
+    const ada = await connect(hub, 'Ada', 'secret');
+    expect(ada.last('error').message).toBe('Could not open bot project secret.');
+    expect(ada.last('welcome')).toBeUndefined();
+    expect(hub.getCollaborators('secret')).toEqual([]);
+
+    await ada.receive({ type: 'change', file: 'main.lg', delta: {}, version: 0 });
+    expect(ada.last('error').message).toBe('Join a project before sending changes.');
+  });
+
+  it('removes a client when the socket closes', async () => {
+    const ada = await connect(hub, 'Ada');
+    const bob = await connect(hub, 'Bob');
+    bob.close();
+    expect(ada.last('collaborators').collaborators.map(({ name }) => name)).toEqual(['Ada']);
+    ada.close();
+    expect(hub.getCollaborators('project')).toEqual([]);
+  });
+});
@@ -0,0 +1,178 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import * as http from 'http';
+
+import { v4 as uuid } from 'uuid';
+import { CollaborationClientMessage, CollaborationServerMessage, Collaborator } from '@bfc/shared';
+
+import log from '../../logger';
+
+const debug = log.extend('collaboration');
+
+export interface CollaborationSocket {
+  send(content: string): void;
+  onMessage(cb: (data: any) => void): void;
+  onClose(cb: (code: number, reason: string) => void): void;
+}
+
+/**
+ * Loads the project for the user of the socket request, throws when the project can't be found or opened by the user.
+ */
+export type CollaborationProjectResolver = (projectId: string, request: http.IncomingMessage) => Promise<unknown>;
+
+type Connection = Collaborator & { projectId: string; socket: CollaborationSocket };
+
+type Room = {
+  connections: Map<string, Connection>;
+  /** version of every file changed in this session, incremented on each accepted change */
+  versions: Map<string, number>;
+};
+
+const toCollaborator = ({ clientId, name, color, location }: Connection): Collaborator => ({
+  clientId,
+  name,
+  color,
+  location,
+});
+
+/**
+ * Relays file deltas and presence between the clients that have the same bot project open.
+ * The hub orders the changes of every file with a version number and only accepts changes made against the
+ * current version, merging is done by the clients.
+ */
+export class CollaborationHub {
+  private rooms = new Map<string, Room>();
+
+  constructor(private readonly resolveProject: CollaborationProjectResolver) {}
+
+  public connect(socket: CollaborationSocket, request: http.IncomingMessage) {
+    let connection: Connection | undefined;
+    let closed = false;
+    // the messages of a socket are handled in order, the changes sent right after a join wait for the project to load
+    let received = Promise.resolve();
+
+    const receive = async (data) => {
+      let message: CollaborationClientMessage;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return this.send(socket, { type: 'error', message: 'Messages must be JSON.' });
+      }
+
+      if (message.type === 'join') {
+        if (connection) this.leave(connection);
+        connection = undefined;
+        try {
+          await this.resolveProject(message.projectId, request);
+        } catch (err) {
+          debug('Could not open project %s: %O', message.projectId, err);
+          return this.send(socket, { type: 'error', message: `Could not open bot project ${message.projectId}.` });
+        }
+        if (closed) return;
+        connection = this.join(socket, message.projectId, message.name, message.color);
+        return;
+      }
+
+      if (!connection) {
+        return this.send(socket, { type: 'error', message: 'Join a project before sending changes.' });
+      }
+
+      if (message.type === 'presence') {
+        connection.location = message.location;
+        this.broadcastCollaborators(connection.projectId);
+      } else if (message.type === 'change') {
+        this.change(connection, message.file, message.delta, message.version);
+      }
+    };
+
+    socket.onMessage((data) => {
+      received = received.then(() => receive(data));
+    });
+
+    socket.onClose(() => {
+      closed = true;
+      if (connection) this.leave(connection);
+    });
+  }
+
+  public getCollaborators(projectId: string): Collaborator[] {
+    const room = this.rooms.get(projectId);
+    return room ? Array.from(room.connections.values()).map(toCollaborator) : [];
+  }
+
+  private join(socket: CollaborationSocket, projectId: string, name: string, color: string) {
+    const room = this.rooms.get(projectId) ?? { connections: new Map(), versions: new Map() };
+    this.rooms.set(projectId, room);
+
+    const connection: Connection = { clientId: uuid(), projectId, name, color, socket };
+    room.connections.set(connection.clientId, connection);
+    debug('%s joined %s', name, projectId);
+
+    this.send(socket, {
+      type: 'welcome',
+      clientId: connection.clientId,
+      collaborators: this.getCollaborators(projectId),
+      versions: Array.from(room.versions.entries()).reduce((versions, [file, version]) => {
+        versions[file] = version;
+        return versions;
+      }, {} as Record<string, number>),
+    });
+    this.broadcastCollaborators(projectId, connection.clientId);
+    return connection;
+  }
+
+  private leave({ clientId, projectId, name }: Connection) {
+    const room = this.rooms.get(projectId);
+    if (!room) return;
+
+    room.connections.delete(clientId);
+    debug('%s left %s', name, projectId);
+    if (room.connections.size === 0) {
+      this.rooms.delete(projectId);
+    } else {
+      this.broadcastCollaborators(projectId);
+    }
+  }
+
+  private change({ clientId, projectId, socket }: Connection, file: string, delta, baseVersion: number) {
+    const room = this.rooms.get(projectId);
+    if (!room) return;
+
+    // the delta only applies to the version it was made against, the sender merges what it missed and sends it again
+    const currentVersion = room.versions.get(file) ?? 0;
+    if (baseVersion !== currentVersion) {
+      this.send(socket, { type: 'reject', file, version: currentVersion });
+      return;
+    }
+
+    const version = currentVersion + 1;
+    room.versions.set(file, version);
+
+    room.connections.forEach((connection) => {
+      if (connection.clientId === clientId) {
+        this.send(connection.socket, { type: 'ack', file, version });
+      } else {
+        this.send(connection.socket, { type: 'change', clientId, file, delta, baseVersion, version });
+      }
+    });
+  }
+
+  private broadcastCollaborators(projectId: string, exceptClientId?: string) {
+    const room = this.rooms.get(projectId);
+    if (!room) return;
+
+    const collaborators = this.getCollaborators(projectId);
+    room.connections.forEach(({ clientId, socket }) => {
+      if (clientId !== exceptClientId) this.send(socket, { type: 'collaborators', collaborators });
+    });
+  }
+
+  private send(socket: CollaborationSocket, message: CollaborationServerMessage) {
+    try {
+      socket.send(JSON.stringify(message));
+    } catch (err) {
+      debug('Could not send a collaboration message: %O', err);
+    }
+  }
+}
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { EventEmitter } from 'events';
+
+import { DebugAdapterClient, DebugProtocolMessage, encodeMessage, MessageReader } from '../debugAdapterClient';
+
+// the answer of the adapter to the first request, the protocol names its fields in snake case
+const createResponse = (seq: number, body?: any): DebugProtocolMessage => ({
+  seq,
+  type: 'response',
+  // eslint-disable-next-line @typescript-eslint/camelcase
+  request_seq: 1,
+  success: true,
+  body,
+});
+
+describe('debug adapter framing', () => {
+  it('prefixes messages with their length in bytes', () => {
+    const encoded = encodeMessage({ seq: 1, type: 'event', event: 'output', body: { output: 'é' } });
+    const [header, json] = encoded.split('\r\n\r\n');
+    expect(header).toBe(`Content-Length: ${Buffer.byteLength(json)}`);
+    expect(JSON.parse(json).body.output).toBe('é');
+  });
+
+  it('reads messages split across and packed into chunks', () => {
+    const reader = new MessageReader();
+    const first = encodeMessage(createResponse(1));
+    const second = encodeMessage({ seq: 2, type: 'event', event: 'stopped' });
+    const data = Buffer.from(first + second);
+
+    expect(reader.read(data.slice(0, 10))).toEqual([]);
+    expect(reader.read(data.slice(10, first.length + 5)).map(({ seq }) => seq)).toEqual([1]);
+    expect(reader.read(data.slice(first.length + 5)).map(({ event }) => event)).toEqual(['stopped']);
+  });
+
+  it('skips headers without a length', () => {
+    const reader = new MessageReader();
+    const message = encodeMessage({ seq: 3, type: 'event', event: 'initialized' });
+    expect(reader.read(Buffer.from(`X-Unknown: 1\r\n\r\n${message}`)).map(({ seq }) => seq)).toEqual([3]);
+  });
+});
+
+describe('DebugAdapterClient', () => {
+  class MockSocket extends EventEmitter {
+    public written: string[] = [];
+    write(data: string) {
+      this.written.push(data);
+    }
+  }
+
+  it('rejects a request the adapter does not answer in time', async () => {
+    const socket = new MockSocket();
+    const client = new DebugAdapterClient(socket as any, 10);
+    await expect(client.request('threads')).rejects.toThrow('The debug adapter did not answer the threads request.');
+
+    // a late answer is ignored
+    socket.emit('data', Buffer.from(encodeMessage(createResponse(1))));
+  });
+
+  it('resolves with the body of the response', async () => {
+    const socket = new MockSocket();
+    const client = new DebugAdapterClient(socket as any, 10);
+    const response = client.request('threads');
+    socket.emit('data', Buffer.from(encodeMessage(createResponse(1, { threads: [] }))));
+    await expect(response).resolves.toEqual({ threads: [] });
+  });
+});
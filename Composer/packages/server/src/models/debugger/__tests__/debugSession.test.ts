@@ -0,0 +1,181 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DebugSession, DebuggerSocket, DialogResource } from '../debugSession';
+import { getActionLine } from '../sourceMap';
+
+class MockSocket implements DebuggerSocket {
+  public sent: any[] = [];
+  private messageHandler: (data: any) => void = () => undefined;
+
+  send(content: string) {
+    this.sent.push(JSON.parse(content));
+  }
+  onMessage(cb) {
+    this.messageHandler = cb;
+  }
+  onClose() {
+    // not needed by these tests
+  }
+  receive(message: any) {
+    return this.messageHandler(JSON.stringify(message));
+  }
+  last(type: string) {
+    return [...this.sent].reverse().find((message) => message.type === type);
+  }
+}
+
+class MockAdapter {
+  public requests: { command: string; args: any }[] = [];
+  private eventHandler: (event: string, body: any) => void = () => undefined;
+
+  constructor(private responses: Record<string, (args: any) => any>) {}
+
+  async request(command: string, args?: any) {
+    this.requests.push({ command, args });
+    return this.responses[command]?.(args);
+  }
+  onEvent(handler) {
+    this.eventHandler = handler;
+  }
+  onClose() {
+    // not needed by these tests
+  }
+  close() {
+    // not needed by these tests
+  }
+  emit(event: string, body: any) {
+    this.eventHandler(event, body);
+  }
+}
+
+const content = JSON.stringify(
+  {
+    $kind: 'Microsoft.AdaptiveDialog',
+    triggers: [{ $kind: 'Microsoft.OnBeginDialog', actions: [{ $kind: 'Microsoft.SendActivity' }] }],
+  },
+  null,
+  2
+);
+const dialogs: DialogResource[] = [{ id: 'main', path: '/bots/echo/main.dialog', content }];
+const actionLine = getActionLine(content, 'triggers[0].actions[0]');
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('DebugSession', () => {
+  let socket: MockSocket;
+  let adapter: MockAdapter;
+
+  beforeEach(async () => {
+    socket = new MockSocket();
+    adapter = new MockAdapter({
+      setBreakpoints: ({ breakpoints }) => ({
+        breakpoints: breakpoints.map(({ line }) => ({ line, verified: true })),
+      }),
+      stackTrace: () => ({
+        stackFrames: [{ id: 7, line: actionLine, source: { path: '/runtime/copy/main.dialog' } }],
+      }),
+      scopes: () => ({ scopes: [{ name: 'memory', variablesReference: 1 }] }),
+      variables: ({ variablesReference }) =>
+        ({
+          1: {
+            variables: [
+              { name: 'user', value: '{...}', variablesReference: 2 },
+              { name: 'turn', value: '{...}', variablesReference: 3 },
+            ],
+          },
+          2: { variables: [{ name: 'name', value: '"Ada"', variablesReference: 0 }] },
+          3: {
+            variables: [
+              { name: 'count', value: '2', variablesReference: 0 },
+              { name: 'items', value: '[...]', variablesReference: 4 },
+            ],
+          },
+          4: { variables: [{ name: '[0]', value: 'true', variablesReference: 0 }] },
+        }[variablesReference]),
+    });
+    new DebugSession(
+      socket,
+      () => dialogs,
+      async () => 4712,
+      async () => adapter as any
+    );
+    await socket.receive({
+      type: 'attach',
+      projectId: 'echo',
+      breakpoints: [{ dialogId: 'main', path: 'triggers[0].actions[0]' }],
+    });
+  });
+
+  it('sends breakpoints on actions as lines of the dialog file', () => {
+    expect(adapter.requests.map(({ command }) => command)).toEqual([
+      'initialize',
+      'attach',
+      'setBreakpoints',
+      'configurationDone',
+    ]);
+    expect(adapter.requests[2].args).toEqual({
+      source: { path: dialogs[0].path },
+      breakpoints: [{ line: actionLine }],
+    });
+    expect(socket.last('breakpoints').breakpoints).toEqual([
+      { dialogId: 'main', path: 'triggers[0].actions[0]', verified: true },
+    ]);
+    expect(socket.last('attached')).toBeDefined();
+  });
+
+  it('clears the breakpoints of a file when the last one is removed', async () => {
+    await socket.receive({ type: 'setBreakpoints', breakpoints: [] });
+    expect(adapter.requests[adapter.requests.length - 1].args).toEqual({
+      source: { path: dialogs[0].path },
+      breakpoints: [],
+    });
+  });
+
+  it('reports the action and memory scopes where the bot paused', async () => {
+    adapter.emit('stopped', { reason: 'breakpoint', threadId: 3 });
+    await flush();
+    expect(socket.last('stopped')).toEqual({
+      type: 'stopped',
+      reason: 'breakpoint',
+      location: { dialogId: 'main', path: 'triggers[0].actions[0]' },
+      scopes: { user: { name: 'Ada' }, turn: { count: 2, items: [true] } },
+    });
+  });
+
+  it('steps on the thread that stopped', async () => {
+    adapter.emit('stopped', { reason: 'breakpoint', threadId: 3 });
+    await flush();
+    await socket.receive({ type: 'next' });
+    expect(adapter.requests[adapter.requests.length - 1]).toEqual({ command: 'next', args: { threadId: 3 } });
+    expect(socket.last('continued')).toBeDefined();
+  });
+
+  it('reports an error when stepping without a running bot', async () => {
+    const other = new MockSocket();
+    new DebugSession(
+      other,
+      () => dialogs,
+      async () => 4712,
+      async () => adapter as any
+    );
+    await other.receive({ type: 'continue' });
+    expect(other.last('error').message).toBe('Start the bot before debugging it.');
+  });
+
+  it('does not connect when the runtime of the bot has no debug adapter', async () => {
+    const other = new MockSocket();
+    const connect = jest.fn();
+    new DebugSession(
+      other,
+      () => dialogs,
+      async () => undefined,
+      connect
+    );
+    await other.receive({ type: 'attach', projectId: 'echo', breakpoints: [] });
+    expect(connect).not.toHaveBeenCalled();
+    expect(other.last('error').message).toBe(
+      'The runtime of this bot does not support debugging, or the bot is not running.'
+    );
+  });
+});
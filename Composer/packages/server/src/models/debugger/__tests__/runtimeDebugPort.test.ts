@@ -0,0 +1,47 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getRuntimeDebugPort } from '../runtimeDebugPort';
+
+const mockGetProjectById = jest.fn();
+const mockGetStatus = jest.fn();
+
+jest.mock('../../../services/project', () => ({
+  BotProjectService: {
+    getProjectById: (...args) => mockGetProjectById(...args),
+  },
+}));
+
+jest.mock('../../extension/extensionContext', () => ({
+  ExtensionContext: {
+    extensions: {
+      publish: { localpublish: { methods: { getStatus: (...args) => mockGetStatus(...args) } } },
+    },
+  },
+}));
+
+describe('getRuntimeDebugPort', () => {
+  const user = { id: 'alice' };
+
+  beforeEach(() => {
+    mockGetProjectById.mockReset();
+    mockGetStatus.mockReset();
+  });
+
+  it('reads the port from the runtime of a project the user can open', async () => {
+    const project = { id: '123' };
+    mockGetProjectById.mockResolvedValue(project);
+    mockGetStatus.mockResolvedValue({ status: 200, result: { debugPort: 4712 } });
+
+    expect(await getRuntimeDebugPort('123', user)).toBe(4712);
+    expect(mockGetProjectById).toHaveBeenCalledWith('123', user);
+    expect(mockGetStatus).toHaveBeenCalledWith(expect.anything(), project);
+  });
+
+  it('refuses a project the user cannot open', async () => {
+    mockGetProjectById.mockRejectedValue(new Error('project 123 not found in cache'));
+
+    await expect(getRuntimeDebugPort('123', user)).rejects.toThrow('Could not open bot project 123.');
+    expect(mockGetStatus).not.toHaveBeenCalled();
+  });
+});
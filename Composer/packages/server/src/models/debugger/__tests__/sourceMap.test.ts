@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getActionLine, getActionPath, getJsonRanges } from '../sourceMap';
+
+const dialog = {
+  $kind: 'Microsoft.AdaptiveDialog',
+  triggers: [
+    {
+      $kind: 'Microsoft.OnBeginDialog',
+      actions: [
+        { $kind: 'Microsoft.SendActivity', activity: '${SendActivity_1()}' },
+        {
+          $kind: 'Microsoft.IfCondition',
+          condition: 'user.name == "{\\"a\\"}"',
+          actions: [{ $kind: 'Microsoft.EndDialog' }],
+          elseActions: [],
+        },
+      ],
+    },
+  ],
+};
+
+const content = JSON.stringify(dialog, null, 2);
+const lineOf = (text: string) => content.split('\n').findIndex((line) => line.includes(text)) + 1;
+
+describe('getJsonRanges', () => {
+  it('records the lines of every object by its path', () => {
+    const ranges = getJsonRanges(content);
+    expect(ranges.get('')).toEqual({ start: 1, end: content.split('\n').length });
+    expect(ranges.get('triggers[0]')?.start).toBe(lineOf('"triggers"') + 1);
+    expect(ranges.get('triggers[0].actions[1].actions[0]')?.start).toBe(lineOf('Microsoft.EndDialog') - 1);
+  });
+
+  it('skips escaped quotes in strings', () => {
+    expect(getJsonRanges(content).has('triggers[0].actions[1]')).toBe(true);
+  });
+});
+
+describe('getActionLine', () => {
+  it('returns the line of the opening brace of an action', () => {
+    expect(getActionLine(content, 'triggers[0].actions[0]')).toBe(lineOf('Microsoft.SendActivity') - 1);
+    expect(getActionLine(content, 'triggers[0].actions[5]')).toBeUndefined();
+  });
+});
+
+describe('getActionPath', () => {
+  it('returns the innermost action around a line', () => {
+    expect(getActionPath(content, lineOf('Microsoft.SendActivity'))).toBe('triggers[0].actions[0]');
+    expect(getActionPath(content, lineOf('"condition"'))).toBe('triggers[0].actions[1]');
+    expect(getActionPath(content, lineOf('Microsoft.EndDialog'))).toBe('triggers[0].actions[1].actions[0]');
+    expect(getActionPath(content, 1)).toBeUndefined();
+  });
+
+  it('round trips with getActionLine', () => {
+    const path = 'triggers[0].actions[1].actions[0]';
+    expect(getActionPath(content, getActionLine(content, path) as number)).toBe(path);
+  });
+});
@@ -0,0 +1,156 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import * as net from 'net';
+
+import log from '../../logger';
+
+const debug = log.extend('debug-adapter');
+
+const HEADER_DELIMITER = '\r\n\r\n';
+const CONTENT_LENGTH = /Content-Length: (\d+)/i;
+/** a runtime that stopped answering should not keep the debug panel waiting */
+export const REQUEST_TIMEOUT = 10000;
+
+export type DebugProtocolMessage = {
+  seq: number;
+  type: 'request' | 'response' | 'event';
+  command?: string;
+  event?: string;
+  request_seq?: number;
+  success?: boolean;
+  message?: string;
+  arguments?: any;
+  body?: any;
+};
+
+/**
+ * Debug adapter protocol messages are JSON preceded by a Content-Length header.
+ */
+export const encodeMessage = (message: Partial<DebugProtocolMessage>) => {
+  const json = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(json, 'utf8')}${HEADER_DELIMITER}${json}`;
+};
+
+/**
+ * Collects the chunks read from the socket and returns the messages once they are complete.
+ */
+export class MessageReader {
+  private buffer = Buffer.alloc(0);
+
+  public read(chunk: Buffer): DebugProtocolMessage[] {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const messages: DebugProtocolMessage[] = [];
+
+    for (;;) {
+      const headerEnd = this.buffer.indexOf(HEADER_DELIMITER);
+      if (headerEnd === -1) break;
+
+      const match = CONTENT_LENGTH.exec(this.buffer.slice(0, headerEnd).toString('utf8'));
+      if (!match) {
+        // not a header we know, drop it to get back in sync
+        this.buffer = this.buffer.slice(headerEnd + HEADER_DELIMITER.length);
+        continue;
+      }
+
+      const start = headerEnd + HEADER_DELIMITER.length;
+      const end = start + parseInt(match[1], 10);
+      if (this.buffer.length < end) break;
+
+      messages.push(JSON.parse(this.buffer.slice(start, end).toString('utf8')));
+      this.buffer = this.buffer.slice(end);
+    }
+
+    return messages;
+  }
+}
+
+type PendingRequest = { resolve: (body: any) => void; reject: (error: Error) => void };
+
+/**
+ * Client side of the debug adapter the runtime started by the local publisher listens on.
+ */
+export class DebugAdapterClient {
+  private seq = 1;
+  private pending = new Map<number, PendingRequest>();
+  private eventHandlers: ((event: string, body: any) => void)[] = [];
+  private closeHandlers: (() => void)[] = [];
+
+  constructor(private socket: net.Socket, private timeout = REQUEST_TIMEOUT) {
+    const reader = new MessageReader();
+    socket.on('data', (chunk: Buffer) => {
+      try {
+        reader.read(chunk).forEach(this.handleMessage);
+      } catch (err) {
+        debug('Invalid message from the debug adapter: %O', err);
+      }
+    });
+    socket.on('close', () => {
+      this.pending.forEach(({ reject }) => reject(new Error('The connection to the debug adapter was closed.')));
+      this.pending.clear();
+      this.closeHandlers.forEach((handler) => handler());
+    });
+    socket.on('error', (err) => debug('Debug adapter socket error: %O', err));
+  }
+
+  public static connect(port: number, host = '127.0.0.1'): Promise<DebugAdapterClient> {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, host);
+      const onError = (err: Error) => reject(err);
+      socket.once('error', onError);
+      socket.once('connect', () => {
+        socket.removeListener('error', onError);
+        resolve(new DebugAdapterClient(socket));
+      });
+    });
+  }
+
+  public request<T = any>(command: string, args?: any): Promise<T> {
+    const seq = this.seq++;
+    return new Promise<T>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(seq);
+        reject(new Error(`The debug adapter did not answer the ${command} request.`));
+      }, this.timeout);
+      this.pending.set(seq, {
+        resolve: (body) => {
+          clearTimeout(timer);
+          resolve(body);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      this.socket.write(encodeMessage({ seq, type: 'request', command, arguments: args }));
+    });
+  }
+
+  public onEvent(handler: (event: string, body: any) => void) {
+    this.eventHandlers.push(handler);
+  }
+
+  public onClose(handler: () => void) {
+    this.closeHandlers.push(handler);
+  }
+
+  public close() {
+    this.socket.end();
+  }
+
+  private handleMessage = (message: DebugProtocolMessage) => {
+    if (message.type === 'response' && message.request_seq !== undefined) {
+      const request = this.pending.get(message.request_seq);
+      if (!request) return;
+      this.pending.delete(message.request_seq);
+      if (message.success) {
+        request.resolve(message.body);
+      } else {
+        request.reject(new Error(message.message || `${message.command} failed`));
+      }
+    } else if (message.type === 'event' && message.event) {
+      const { event, body } = message;
+      this.eventHandlers.forEach((handler) => handler(event, body));
+    }
+  };
+}
@@ -0,0 +1,295 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import fromPairs from 'lodash/fromPairs';
+import {
+  DebuggerBreakpoint,
+  DebuggerClientMessage,
+  DebuggerLocation,
+  DebuggerScopes,
+  DebuggerServerMessage,
+} from '@bfc/shared';
+
+import log from '../../logger';
+import { Path } from '../../utility/path';
+
+import { DebugAdapterClient } from './debugAdapterClient';
+import { getActionLine, getActionPath } from './sourceMap';
+
+const debug = log.extend('debugger');
+
+/** levels of nested objects read from the runtime for the memory scopes */
+const MAX_VARIABLE_DEPTH = 4;
+const MEMORY_SCOPES: (keyof DebuggerScopes)[] = ['turn', 'dialog', 'user', 'conversation'];
+
+export interface DebuggerSocket {
+  send(content: string): void;
+  onMessage(cb: (data: any) => void): void;
+  onClose(cb: (code: number, reason: string) => void): void;
+}
+
+export type DialogResource = { id: string; path: string; content: string };
+
+type Variable = { name: string; value: string; variablesReference: number };
+type StackFrame = { id: number; line: number; source?: { path?: string } };
+type Scope = { name: string; variablesReference: number };
+
+const isSameFile = (a: string, b: string) => Path.resolve(a).toLowerCase() === Path.resolve(b).toLowerCase();
+
+// the runtime may run from a copy of the bot, stack frames are matched by file name when the path differs
+const findDialog = (dialogs: DialogResource[], path: string) =>
+  dialogs.find((dialog) => isSameFile(dialog.path, path)) ??
+  dialogs.find((dialog) => Path.basename(dialog.path).toLowerCase() === Path.basename(path).toLowerCase());
+
+const parseValue = (value: string) => {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * One visual editor attached to the debug adapter of a running bot. Breakpoints are set on actions and
+ * sent to the runtime as lines of the .dialog files, stack frames are turned back into actions.
+ */
+export class DebugSession {
+  private adapter?: DebugAdapterClient;
+  private projectId = '';
+  private threadId?: number;
+  /** files sent to the runtime with breakpoints, they are cleared when their last breakpoint is removed */
+  private sources = new Set<string>();
+
+  constructor(
+    private socket: DebuggerSocket,
+    private getDialogs: (projectId: string) => DialogResource[],
+    /** port of the debug adapter of the bot running locally, undefined when its runtime has none */
+    private getDebugPort: (projectId: string) => Promise<number | undefined>,
+    private connect: (port: number) => Promise<DebugAdapterClient> = DebugAdapterClient.connect
+  ) {
+    socket.onMessage(async (data) => {
+      let message: DebuggerClientMessage;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return this.send({ type: 'error', message: 'Messages must be JSON.' });
+      }
+
+      try {
+        await this.handleMessage(message);
+      } catch (err) {
+        debug('Debugger request %s failed: %O', message.type, err);
+        this.send({ type: 'error', message: err instanceof Error ? err.message : String(err) });
+      }
+    });
+
+    socket.onClose(() => this.detach(false));
+  }
+
+  private async handleMessage(message: DebuggerClientMessage) {
+    if (message.type === 'attach') {
+      return this.attach(message.projectId, message.breakpoints);
+    }
+
+    const adapter = this.adapter;
+    if (!adapter) {
+      throw new Error('Start the bot before debugging it.');
+    }
+
+    switch (message.type) {
+      case 'setBreakpoints':
+        return this.setBreakpoints(message.breakpoints);
+      case 'pause':
+        return adapter.request('pause', { threadId: await this.getThreadId() });
+      case 'continue':
+      case 'next':
+      case 'stepIn':
+      case 'stepOut':
+        await adapter.request(message.type, { threadId: await this.getThreadId() });
+        return this.send({ type: 'continued' });
+      case 'detach':
+        return this.detach(true);
+    }
+  }
+
+  private async attach(projectId: string, breakpoints: DebuggerLocation[]) {
+    this.detach(false);
+    this.projectId = projectId;
+
+    // the port comes from the runtime the server started, never from the client
+    const port = await this.getDebugPort(projectId);
+    if (!port) {
+      throw new Error('The runtime of this bot does not support debugging, or the bot is not running.');
+    }
+
+    const adapter = await this.connect(port);
+    this.adapter = adapter;
+    adapter.onEvent(this.handleEvent);
+    adapter.onClose(() => {
+      if (this.adapter !== adapter) return;
+      this.adapter = undefined;
+      this.send({ type: 'detached' });
+    });
+
+    await adapter.request('initialize', {
+      clientID: 'composer',
+      adapterID: 'bot',
+      linesStartAt1: true,
+      columnsStartAt1: true,
+      pathFormat: 'path',
+    });
+    await adapter.request('attach', {});
+    await this.setBreakpoints(breakpoints);
+    await adapter.request('configurationDone').catch(() => {
+      // older runtimes do not implement it and are configured once attached
+    });
+    this.send({ type: 'attached' });
+  }
+
+  private detach(notify: boolean) {
+    const adapter = this.adapter;
+    if (!adapter) return;
+    this.adapter = undefined;
+    this.threadId = undefined;
+    this.sources.clear();
+    adapter
+      .request('disconnect', { terminateDebuggee: false })
+      .catch(() => undefined)
+      .then(() => adapter.close());
+    if (notify) this.send({ type: 'detached' });
+  }
+
+  private async setBreakpoints(breakpoints: DebuggerLocation[]) {
+    const adapter = this.adapter;
+    if (!adapter) return;
+
+    const dialogs = this.getDialogs(this.projectId);
+    const byFile = new Map<string, { dialog: DialogResource; locations: DebuggerLocation[] }>();
+    // files that had breakpoints before are sent without any to clear them
+    this.sources.forEach((file) => {
+      const dialog = dialogs.find((item) => item.path === file);
+      if (dialog) byFile.set(file, { dialog, locations: [] });
+    });
+    breakpoints.forEach((location) => {
+      const dialog = dialogs.find((item) => item.id === location.dialogId);
+      if (!dialog) return;
+      const entry = byFile.get(dialog.path) ?? { dialog, locations: [] };
+      entry.locations.push(location);
+      byFile.set(dialog.path, entry);
+    });
+
+    const results: DebuggerBreakpoint[] = [];
+    for (const [file, { dialog, locations }] of byFile) {
+      const lines = locations.map(({ path }) => getActionLine(dialog.content, path));
+      const body = await adapter.request('setBreakpoints', {
+        source: { path: file },
+        breakpoints: lines.filter((line) => line !== undefined).map((line) => ({ line })),
+      });
+      const verified: { verified: boolean; line?: number }[] = body?.breakpoints ?? [];
+      locations.forEach((location, index) => {
+        const line = lines[index];
+        const match = verified.find((item) => item.line === line);
+        results.push({ ...location, verified: line !== undefined && (match?.verified ?? false) });
+      });
+
+      if (locations.length) {
+        this.sources.add(file);
+      } else {
+        this.sources.delete(file);
+      }
+    }
+
+    this.send({ type: 'breakpoints', breakpoints: results });
+  }
+
+  private async getThreadId() {
+    if (this.threadId !== undefined) return this.threadId;
+    const body = await this.adapter?.request('threads');
+    return body?.threads?.[0]?.id ?? 0;
+  }
+
+  private handleEvent = (event: string, body: any) => {
+    switch (event) {
+      case 'stopped':
+        this.threadId = body?.threadId;
+        this.stopped(body?.reason ?? 'pause').catch((err) => {
+          debug('Reading the paused state failed: %O', err);
+          this.send({ type: 'stopped', reason: body?.reason ?? 'pause', scopes: {} });
+        });
+        return;
+      case 'continued':
+        return this.send({ type: 'continued' });
+      case 'terminated':
+      case 'exited':
+        return this.detach(true);
+    }
+  };
+
+  private async stopped(reason: string) {
+    const adapter = this.adapter;
+    if (!adapter) return;
+
+    const { stackFrames = [] } = await adapter.request<{ stackFrames?: StackFrame[] }>('stackTrace', {
+      threadId: this.threadId,
+      startFrame: 0,
+    });
+    const dialogs = this.getDialogs(this.projectId);
+
+    let location: DebuggerLocation | undefined;
+    for (const frame of stackFrames) {
+      const dialog = frame.source?.path && findDialog(dialogs, frame.source.path);
+      const path = dialog && getActionPath(dialog.content, frame.line);
+      if (dialog && path) {
+        location = { dialogId: dialog.id, path };
+        break;
+      }
+    }
+
+    const scopes = stackFrames.length ? await this.getScopes(stackFrames[0].id) : {};
+    this.send({ type: 'stopped', reason, location, scopes });
+  }
+
+  private async getScopes(frameId: number): Promise<DebuggerScopes> {
+    const adapter = this.adapter;
+    if (!adapter) return {};
+
+    const { scopes = [] } = await adapter.request<{ scopes?: Scope[] }>('scopes', { frameId });
+    const memory: Record<string, any> = {};
+    for (const scope of scopes) {
+      memory[scope.name] = await this.getVariables(scope.variablesReference, 1);
+    }
+
+    // the runtime either has a scope per memory scope or one scope holding all of them
+    const result: DebuggerScopes = {};
+    MEMORY_SCOPES.forEach((name) => {
+      const value =
+        memory[name] ??
+        Object.values(memory).find((scope) => scope && typeof scope === 'object' && name in scope)?.[name];
+      if (value !== undefined) result[name] = value;
+    });
+    return result;
+  }
+
+  private async getVariables(variablesReference: number, depth: number): Promise<any> {
+    const adapter = this.adapter;
+    if (!adapter || !variablesReference) return undefined;
+
+    const { variables = [] } = await adapter.request<{ variables?: Variable[] }>('variables', { variablesReference });
+    const entries: [string, any][] = [];
+    for (const variable of variables) {
+      const value =
+        variable.variablesReference && depth < MAX_VARIABLE_DEPTH
+          ? await this.getVariables(variable.variablesReference, depth + 1)
+          : parseValue(variable.value);
+      entries.push([variable.name, value]);
+    }
+
+    const isArray =
+      entries.length > 0 && entries.every(([name], index) => name === `[${index}]` || name === `${index}`);
+    return isArray ? entries.map(([, value]) => value) : fromPairs(entries);
+  }
+
+  private send(message: DebuggerServerMessage) {
+    this.socket.send(JSON.stringify(message));
+  }
+}
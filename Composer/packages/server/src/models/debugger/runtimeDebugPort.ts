@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { defaultPublishConfig } from '@bfc/shared';
+import { UserIdentity } from '@bfc/extension';
+
+import { ExtensionContext } from '../extension/extensionContext';
+import { BotProjectService } from '../../services/project';
+import log from '../../logger';
+
+const debug = log.extend('debugger');
+
+/**
+ * Port of the debug adapter of the bot the local publisher runs for a project the user can open.
+ * Undefined when the bot is not running or its runtime does not start a debug adapter.
+ */
+export const getRuntimeDebugPort = async (projectId: string, user?: UserIdentity): Promise<number | undefined> => {
+  const project = await BotProjectService.getProjectById(projectId, user).catch((err) => {
+    debug('Could not open project %s: %O', projectId, err);
+    throw new Error(`Could not open bot project ${projectId}.`);
+  });
+  const getStatus = ExtensionContext.extensions.publish[defaultPublishConfig.type]?.methods.getStatus;
+  if (typeof getStatus !== 'function') return undefined;
+
+  const { status, result } = await getStatus.call(null, { profileName: defaultPublishConfig.name }, project);
+  return status === 200 ? result?.debugPort : undefined;
+};
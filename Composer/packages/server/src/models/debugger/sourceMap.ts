@@ -0,0 +1,111 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+export type JsonRange = {
+  /** 1 based lines of the opening and closing brace */
+  start: number;
+  end: number;
+};
+
+const isWhitespace = (char: string) => char === ' ' || char === '\t' || char === '\r' || char === '\n';
+
+/**
+ * Lines of every object in a JSON document keyed by its path in the visual editor format, like triggers[0].actions[1].
+ * The runtime maps breakpoints and stack frames to lines of the .dialog files, this is how they are turned into actions.
+ */
+export const getJsonRanges = (content: string): Map<string, JsonRange> => {
+  const ranges = new Map<string, JsonRange>();
+  let offset = 0;
+  let line = 1;
+
+  const next = () => {
+    const char = content[offset++];
+    if (char === '\n') line++;
+    return char;
+  };
+
+  const skipWhitespace = () => {
+    while (offset < content.length && isWhitespace(content[offset])) next();
+  };
+
+  const readString = () => {
+    let value = '';
+    // opening quote
+    next();
+    while (offset < content.length) {
+      const char = next();
+      if (char === '"') break;
+      if (char === '\\') {
+        const escaped = next();
+        value += escaped === 'u' ? String.fromCharCode(parseInt(content.substr(offset, 4), 16)) : escaped;
+        if (escaped === 'u') offset += 4;
+      } else {
+        value += char;
+      }
+    }
+    return value;
+  };
+
+  const readValue = (path: string) => {
+    skipWhitespace();
+    const char = content[offset];
+    if (char === '{') {
+      const start = line;
+      next();
+      skipWhitespace();
+      while (offset < content.length && content[offset] !== '}') {
+        const key = readString();
+        skipWhitespace();
+        // colon
+        next();
+        readValue(path ? `${path}.${key}` : key);
+        skipWhitespace();
+        if (content[offset] === ',') next();
+        skipWhitespace();
+      }
+      next();
+      ranges.set(path, { start, end: line });
+    } else if (char === '[') {
+      next();
+      skipWhitespace();
+      let index = 0;
+      while (offset < content.length && content[offset] !== ']') {
+        readValue(`${path}[${index++}]`);
+        skipWhitespace();
+        if (content[offset] === ',') next();
+        skipWhitespace();
+      }
+      next();
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (offset < content.length && !isWhitespace(content[offset]) && !',]}'.includes(content[offset])) next();
+    }
+  };
+
+  readValue('');
+  return ranges;
+};
+
+/**
+ * Line of the opening brace of an action, this is where the runtime binds a breakpoint.
+ */
+export const getActionLine = (content: string, path: string): number | undefined => {
+  return getJsonRanges(content).get(path)?.start;
+};
+
+/**
+ * The innermost action or trigger around a line of a .dialog file.
+ */
+export const getActionPath = (content: string, line: number): string | undefined => {
+  let result: { path: string; range: JsonRange } | undefined;
+  getJsonRanges(content).forEach((range, path) => {
+    // actions and triggers are items of arrays
+    if (!path.endsWith(']') || range.start > line || range.end < line) return;
+    // inner objects are added to the map first, on a tie the outer one wins as it is where the runtime stops first
+    if (!result || range.start >= result.range.start) {
+      result = { path, range };
+    }
+  });
+  return result?.path;
+};
@@ -0,0 +1,136 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Activity } from 'botframework-schema';
+import { DialogTestScript } from '@bfc/shared';
+
+import { DLServerState } from '../../../directline/store/dlServerState';
+import { Attachments } from '../../../directline/store/entities/attachments';
+import { BotEndpoint } from '../../../directline/store/entities/botEndpoint';
+import { ConversationSet } from '../../../directline/store/entities/conversationSet';
+import { EndpointSet } from '../../../directline/store/entities/endpointSet';
+import { DialogTestRunner } from '../dialogTestRunner';
+
+const createState = (): DLServerState => ({
+  conversations: new ConversationSet(),
+  endpoints: new EndpointSet(),
+  attachments: new Attachments(),
+  serviceUrl: 'http://localhost:5000',
+  dispatchers: {
+    getDefaultEndpoint: jest.fn(),
+    updateConversation: jest.fn(),
+  },
+});
+
+// an echo bot that greets new users, replies are posted back the way the runtime does through the service url
+const mockBot = (state: DLServerState) =>
+  jest.spyOn(BotEndpoint.prototype, 'fetchWithAuth').mockImplementation(async (url, { body }) => {
+    const activity: Activity = body;
+    const conversation = state.conversations.conversationById(activity.conversation.id);
+    const reply = (text: string) =>
+      conversation.prepActivityToBeSentToUser(activity.from.id, {
+        type: 'message',
+        text,
+        from: { id: 'bot', name: 'Bot', role: 'bot' },
+      } as Activity);
+
+    if (activity.type === 'conversationUpdate') {
+      reply('Welcome!');
+    } else {
+      reply(`You said ${activity.text}`);
+    }
+    return { status: 200 };
+  });
+
+const user = (text: string) => ({ type: 'message', from: { role: 'user' as const }, text });
+const bot = (text: string, assert?: any) => ({ type: 'message', from: { role: 'bot' as const }, text, assert });
+
+describe('DialogTestRunner', () => {
+  let state: DLServerState;
+
+  beforeEach(() => {
+    state = createState();
+    mockBot(state);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = (script: DialogTestScript) =>
+    new DialogTestRunner(state, { botUrl: 'http://localhost:3979/api/messages', settleTime: 1 }).run(script);
+
+  it('passes when every reply matches', async () => {
+    const result = await run({
+      name: 'echo',
+      activities: [bot('Welcome!'), user('hello'), bot('', { type: 'regex', value: 'said hello$' })],
+    });
+
+    expect(result.status).toBe('passed');
+    expect(result.steps).toEqual([
+      { index: 0, passed: true, expected: 'Welcome!', actual: 'Welcome!' },
+      { index: 2, passed: true, expected: '/said hello$/', actual: 'You said hello' },
+    ]);
+    expect(state.conversations.getConversationIds()).toHaveLength(0);
+  });
+
+  it('fails on wrong, missing and unexpected replies', async () => {
+    const result = await run({
+      name: 'echo',
+      activities: [user('hello'), bot('Welcome!'), bot('You said hi'), bot('Bye')],
+    });
+
+    expect(result.status).toBe('failed');
+    expect(result.steps).toEqual([
+      { index: 0, passed: false, expected: '', actual: 'Welcome!', message: 'Unexpected reply' },
+      { index: 1, passed: false, expected: 'Welcome!', actual: 'You said hello' },
+      { index: 2, passed: false, expected: 'You said hi', message: 'The bot did not reply' },
+      { index: 3, passed: false, expected: 'Bye', message: 'The bot did not reply' },
+    ]);
+  });
+
+  it('replays every run in a fresh conversation of a new user', async () => {
+    // a bot that remembers its users, a run that reused the previous user would be welcomed back
+    const seen = new Set<string>();
+    const fetchWithAuth = jest
+      .spyOn(BotEndpoint.prototype, 'fetchWithAuth')
+      .mockImplementation(async (url, { body }) => {
+        const activity: Activity = body;
+        if (activity.type === 'conversationUpdate') {
+          const conversation = state.conversations.conversationById(activity.conversation.id);
+          conversation.prepActivityToBeSentToUser(activity.from.id, {
+            type: 'message',
+            text: seen.has(activity.from.id) ? 'Welcome back!' : 'Welcome!',
+            from: { id: 'bot', name: 'Bot', role: 'bot' },
+          } as Activity);
+          seen.add(activity.from.id);
+        }
+        return { status: 200 };
+      });
+    const script = { name: 'welcome', activities: [bot('Welcome!')] };
+
+    const first = await run(script);
+    const second = await run(script);
+
+    expect(first.status).toBe('passed');
+    expect(second.status).toBe('passed');
+    const conversationIds = fetchWithAuth.mock.calls.map(([, { body }]) => body.conversation.id);
+    expect(new Set(conversationIds).size).toBe(2);
+    expect(state.conversations.getConversationIds()).toHaveLength(0);
+  });
+
+  it('reports an error when the bot cannot be reached', async () => {
+    jest.spyOn(BotEndpoint.prototype, 'fetchWithAuth').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await run({ name: 'echo', activities: [user('hello')] });
+
+    expect(result).toMatchObject({ status: 'error', error: 'connect ECONNREFUSED' });
+  });
+
+  it('fails an unreadable script without running it', async () => {
+    const result = await run({ name: 'broken', activities: [], parseError: 'Unexpected end of JSON input' });
+
+    expect(result).toMatchObject({ status: 'failed', error: 'Unexpected end of JSON input', steps: [] });
+    expect(state.conversations.getConversationIds()).toHaveLength(0);
+  });
+});
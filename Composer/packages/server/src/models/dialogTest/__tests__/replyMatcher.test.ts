@@ -0,0 +1,95 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getLgTemplateRegExp, getLgTemplates, matchReply, testRegExp } from '../replyMatcher';
+
+const lgFile = `# Greeting
+- Hello \${user.name}!
+- Hi there
+# Welcome
+- IF: \${turn.first}
+  - \${Greeting()} Welcome to the bot.
+- ELSE:
+  - Welcome back.
+# Card
+[Activity
+  Text = Pick an option
+]
+`;
+
+const templates = getLgTemplates([lgFile]);
+
+const botActivity = (assert?: any, text?: string) => ({
+  type: 'message',
+  from: { role: 'bot' as const },
+  text,
+  assert,
+});
+
+describe('getLgTemplateRegExp', () => {
+  it('matches every variation and treats expressions as any text', () => {
+    const regExp = getLgTemplateRegExp(templates, 'Greeting');
+    expect(regExp?.test('Hello Ada!')).toBe(true);
+    expect(regExp?.test('Hi there')).toBe(true);
+    expect(regExp?.test('Good morning')).toBe(false);
+  });
+
+  it('expands conditional branches and nested template references', () => {
+    const regExp = getLgTemplateRegExp(templates, 'Welcome');
+    expect(regExp?.test('Hi there Welcome to the bot.')).toBe(true);
+    expect(regExp?.test('Welcome back.')).toBe(true);
+    expect(regExp?.test('Welcome')).toBe(false);
+  });
+
+  it('uses the text of structured responses', () => {
+    expect(getLgTemplateRegExp(templates, 'Card')?.test('Pick an option')).toBe(true);
+  });
+
+  it('returns undefined for unknown templates', () => {
+    expect(getLgTemplateRegExp(templates, 'Missing')).toBeUndefined();
+  });
+});
+
+describe('testRegExp', () => {
+  it('tests the text against the regular expression', () => {
+    expect(testRegExp(/^hi/i, 'Hi there')).toBe(true);
+    expect(testRegExp(/(a)\1/, 'ab')).toBe(false);
+  });
+
+  it('interrupts patterns that backtrack catastrophically', () => {
+    [/^(a+)+$/, /^(.*a){20}$/, /^.*.*.*.*.*.*.*.*x$/].forEach((regExp) =>
+      expect(testRegExp(regExp, 'a'.repeat(40) + '!', 50)).toBeUndefined()
+    );
+  });
+});
+
+describe('matchReply', () => {
+  it('compares the text exactly by default', () => {
+    expect(matchReply(botActivity(undefined, 'Hi'), 'Hi', templates).passed).toBe(true);
+    expect(matchReply(botActivity(undefined, 'Hi'), 'Hi!', templates)).toEqual({ passed: false, expected: 'Hi' });
+  });
+
+  it('supports regular expressions', () => {
+    expect(matchReply(botActivity({ type: 'regex', value: '^hi', flags: 'i' }), 'Hi there', templates).passed).toBe(
+      true
+    );
+    expect(matchReply(botActivity({ type: 'regex', value: '(' }), 'Hi', templates)).toMatchObject({
+      passed: false,
+      message: expect.stringContaining('Invalid regular expression'),
+    });
+    expect(matchReply(botActivity({ type: 'regex', value: '(a+)+$' }), 'a'.repeat(40) + '!', templates)).toMatchObject({
+      passed: false,
+      message: expect.stringContaining('took longer than'),
+    });
+  });
+
+  it('supports LG templates', () => {
+    expect(matchReply(botActivity({ type: 'lg', template: 'Greeting' }), 'Hi there', templates)).toEqual({
+      passed: true,
+      expected: '${Greeting()}',
+    });
+    expect(matchReply(botActivity({ type: 'lg', template: 'Missing' }), 'Hi', templates).message).toBe(
+      'Template Missing is not defined in the bot'
+    );
+  });
+});
@@ -0,0 +1,190 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Activity } from 'botframework-schema';
+import omit from 'lodash/omit';
+import {
+  DialogTestActivity,
+  DialogTestResult,
+  DialogTestRunOptions,
+  DialogTestScript,
+  DialogTestStepResult,
+} from '@bfc/shared';
+
+import { DLServerState } from '../../directline/store/dlServerState';
+import { BotEndpoint } from '../../directline/store/entities/botEndpoint';
+import { Conversation } from '../../directline/store/entities/conversation';
+import { generateUniqueId } from '../../directline/utils/helpers';
+import { WebSocketServer } from '../../directline/utils/webSocketServer';
+import log from '../../logger';
+
+import { getLgTemplates, matchReply } from './replyMatcher';
+
+const debug = log.extend('dialog-test');
+
+// a turn is over when the bot has not replied for this long
+const DEFAULT_SETTLE_TIME = 300;
+// longest time to wait for the replies of a single turn
+const DEFAULT_TURN_TIMEOUT = 10 * 1000;
+
+// properties of a recorded activity that belong to the old conversation
+const recordedProperties = [
+  'id',
+  'from',
+  'recipient',
+  'conversation',
+  'timestamp',
+  'localTimestamp',
+  'replyToId',
+  'serviceUrl',
+  'channelId',
+  'assert',
+];
+
+export type DialogTestRunnerOptions = DialogTestRunOptions & {
+  /** content of the .lg files of the bot, used by the LG template matcher */
+  lgFiles?: string[];
+  settleTime?: number;
+  turnTimeout?: number;
+};
+
+const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isReply = (activity: Activity) => activity.type === 'message' && activity.recipient?.role === 'user';
+
+/**
+ * Replays test scripts against a running bot through the Direct Line emulator.
+ * Every script gets its own conversation, the user activities are posted to the bot and the
+ * message replies it sends back are compared in order with the bot activities of the script.
+ */
+export class DialogTestRunner {
+  private readonly templates: Record<string, string[]>;
+
+  constructor(private readonly state: DLServerState, private readonly options: DialogTestRunnerOptions) {
+    this.templates = getLgTemplates(options.lgFiles ?? []);
+  }
+
+  private async getReplies(conversation: Conversation) {
+    return (await conversation.getTranscript()).filter(isReply);
+  }
+
+  /** Waits until the bot stops replying, then returns every reply of the conversation. */
+  private async waitForReplies(conversation: Conversation) {
+    const { settleTime = DEFAULT_SETTLE_TIME, turnTimeout = DEFAULT_TURN_TIMEOUT } = this.options;
+    const start = Date.now();
+    let replies = await this.getReplies(conversation);
+    while (Date.now() - start < turnTimeout) {
+      await delay(settleTime);
+      const latest = await this.getReplies(conversation);
+      if (latest.length === replies.length) break;
+      replies = latest;
+    }
+    return replies;
+  }
+
+  private async send(conversation: Conversation, activity: Partial<Activity>) {
+    const { status } = await conversation.postActivityToBot(this.state, {
+      ...activity,
+      from: { ...conversation.user, role: 'user' },
+    } as Activity);
+    if (status >= 400) {
+      throw new Error(`The bot responded with status ${status}`);
+    }
+  }
+
+  private createConversation() {
+    const { botUrl, msaAppId, msaPassword, locale } = this.options;
+    const endpointId = generateUniqueId();
+    const endpoint = new BotEndpoint(endpointId, endpointId, botUrl, msaAppId, msaPassword);
+    return this.state.conversations.newConversation(
+      endpoint,
+      { id: generateUniqueId(), name: 'User' },
+      'livechat',
+      locale
+    );
+  }
+
+  public async run(script: DialogTestScript): Promise<DialogTestResult> {
+    if (script.parseError) {
+      return { name: script.name, status: 'failed', duration: 0, steps: [], error: script.parseError };
+    }
+
+    const start = Date.now();
+    const steps: DialogTestStepResult[] = [];
+    const conversation = this.createConversation();
+    let received = 0;
+
+    const checkReply = (expected: DialogTestActivity, index: number, replies: Activity[]) => {
+      const reply = replies[received];
+      if (!reply) {
+        const { expected: expectedText } = matchReply(expected, '', this.templates);
+        steps.push({ index, passed: false, expected: expectedText, message: 'The bot did not reply' });
+        return;
+      }
+      received++;
+      const actual = reply.text ?? '';
+      steps.push({ index, actual, ...matchReply(expected, actual, this.templates) });
+    };
+
+    const checkUnexpectedReplies = (index: number, replies: Activity[]) => {
+      while (received < replies.length) {
+        steps.push({
+          index,
+          passed: false,
+          expected: '',
+          actual: replies[received++].text ?? '',
+          message: 'Unexpected reply',
+        });
+      }
+    };
+
+    try {
+      await this.send(conversation, {
+        type: 'conversationUpdate',
+        membersAdded: [{ ...conversation.user, role: 'user' }] as any,
+        membersRemoved: [],
+      });
+      let replies = await this.waitForReplies(conversation);
+
+      for (let index = 0; index < script.activities.length; index++) {
+        const activity = script.activities[index];
+        if (activity.from.role === 'bot') {
+          checkReply(activity, index, replies);
+          continue;
+        }
+        checkUnexpectedReplies(index, replies);
+        await this.send(conversation, omit(activity, recordedProperties));
+        replies = await this.waitForReplies(conversation);
+      }
+      checkUnexpectedReplies(script.activities.length, replies);
+    } catch (err) {
+      debug('Running test %s failed: %O', script.name, err);
+      return {
+        name: script.name,
+        status: 'error',
+        duration: Date.now() - start,
+        steps,
+        error: err instanceof Error ? err.message : err?.message ?? String(err),
+      };
+    } finally {
+      this.state.conversations.deleteConversation(conversation.conversationId);
+      WebSocketServer.clearQueuedActivities(conversation.conversationId);
+    }
+
+    return {
+      name: script.name,
+      status: steps.every(({ passed }) => passed) ? 'passed' : 'failed',
+      duration: Date.now() - start,
+      steps,
+    };
+  }
+
+  public async runAll(scripts: DialogTestScript[]) {
+    const results: DialogTestResult[] = [];
+    // one at a time, scripts of the same bot can share state like user profile storage
+    for (const script of scripts) {
+      results.push(await this.run(script));
+    }
+    return results;
+  }
+}
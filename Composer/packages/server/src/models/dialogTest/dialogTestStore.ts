@@ -0,0 +1,82 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogTestActivity, DialogTestScript } from '@bfc/shared';
+
+import { Path } from '../../utility/path';
+import { IFileStorage } from '../storage/interface';
+import { assertValidName } from '../../utility/projectStore';
+
+export const TESTS_FOLDER = 'tests';
+export const TEST_SCRIPT_EXTENSION = '.transcript';
+
+const isActivity = (value: any): value is DialogTestActivity =>
+  value !== null &&
+  typeof value === 'object' &&
+  typeof value.type === 'string' &&
+  (value.from?.role === 'user' || value.from?.role === 'bot');
+
+/**
+ * Reads the activities of a .transcript file, activities that are neither from the user nor from the bot are skipped.
+ */
+export const parseTestScript = (name: string, content: string): DialogTestScript => {
+  const parsed = JSON.parse(content);
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Test script ${name} is not a list of activities`);
+  }
+  return { name, activities: parsed.filter(isActivity) };
+};
+
+/**
+ * Test scripts of a bot, stored as .transcript files in the tests folder of the bot project, through the storage of the
+ * project.
+ */
+export class DialogTestStore {
+  private readonly dir: string;
+
+  constructor(botDir: string, private readonly storage: IFileStorage) {
+    this.dir = Path.join(botDir, TESTS_FOLDER);
+  }
+
+  private getPath(name: string) {
+    assertValidName(name, 'test');
+    return Path.join(this.dir, `${name}${TEST_SCRIPT_EXTENSION}`);
+  }
+
+  public async list(): Promise<DialogTestScript[]> {
+    if (!(await this.storage.exists(this.dir))) return [];
+
+    const files = (await this.storage.readDir(this.dir)).filter((file) => file.endsWith(TEST_SCRIPT_EXTENSION)).sort();
+    const scripts: DialogTestScript[] = [];
+    for (const file of files) {
+      scripts.push(await this.get(Path.basename(file, TEST_SCRIPT_EXTENSION)));
+    }
+    return scripts;
+  }
+
+  /**
+   * An unreadable script is returned without activities and with the parse error, which running it reports.
+   */
+  public async get(name: string): Promise<DialogTestScript> {
+    try {
+      return parseTestScript(name, await this.storage.readFile(this.getPath(name)));
+    } catch (err) {
+      return { name, activities: [], parseError: err instanceof Error ? err.message : String(err) };
+    }
+  }
+
+  public async save(script: DialogTestScript) {
+    const path = this.getPath(script.name);
+    if (!(await this.storage.exists(this.dir))) {
+      await this.storage.mkDir(this.dir, { recursive: true });
+    }
+    await this.storage.writeFile(path, JSON.stringify(script.activities, null, 2));
+  }
+
+  public async remove(name: string) {
+    const path = this.getPath(name);
+    if (await this.storage.exists(path)) {
+      await this.storage.removeFile(path);
+    }
+  }
+}
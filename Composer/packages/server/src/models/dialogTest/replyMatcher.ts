@@ -0,0 +1,154 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import vm from 'vm';
+
+import escapeRegExp from 'lodash/escapeRegExp';
+import { DialogTestActivity } from '@bfc/shared';
+
+// nested template references are expanded this deep, anything deeper matches any text
+const MAX_TEMPLATE_DEPTH = 5;
+
+// regular expressions of test scripts run on the server, a match that backtracks longer than this fails
+export const MATCH_TIMEOUT = 200;
+const ANY_TEXT = '[\\s\\S]*?';
+
+// only the name of the template is needed, the parameters that may follow it are ignored
+const templateHeader = /^#\s*([^\s(]+)/;
+const conditionLine = /^(IF|ELSEIF|ELSE|SWITCH|CASE|DEFAULT)\s*:/i;
+const structuredTextLine = /^(Text|Speak)\s*=\s*(.*)$/i;
+
+/**
+ * Bodies of every template in the given .lg file contents, keyed by template name.
+ */
+export const getLgTemplates = (lgFiles: string[]): Record<string, string[]> => {
+  const templates: Record<string, string[]> = {};
+  lgFiles.forEach((content) => {
+    let current: string[] | undefined;
+    content.split(/\r?\n/).forEach((line) => {
+      const header = templateHeader.exec(line.trim());
+      if (header) {
+        current = templates[header[1]] = [];
+      } else if (current) {
+        current.push(line);
+      }
+    });
+  });
+  return templates;
+};
+
+/**
+ * The texts a template can produce: the lines of a simple or conditional response,
+ * or the Text and Speak properties of a structured response.
+ */
+const getVariations = (body: string[]) =>
+  body.reduce((variations: string[], line) => {
+    const trimmed = line.trim();
+    const structured = structuredTextLine.exec(trimmed);
+    if (structured) {
+      variations.push(structured[2]);
+    } else if (trimmed.startsWith('-')) {
+      const text = trimmed.substring(1).trim();
+      if (!conditionLine.test(text)) variations.push(text);
+    }
+    return variations;
+  }, []);
+
+const templatePattern = (templates: Record<string, string[]>, name: string, depth: number): string => {
+  const body = templates[name];
+  if (!body || depth > MAX_TEMPLATE_DEPTH) return ANY_TEXT;
+
+  const variations = getVariations(body).map((variation) =>
+    variation
+      .split(/(\$\{[^}]*\})/)
+      .map((part) => {
+        const expression = /^\$\{\s*([\w.]+)\(\s*\)\s*\}$/.exec(part);
+        if (expression) return templatePattern(templates, expression[1], depth + 1);
+        if (part.startsWith('${')) return ANY_TEXT;
+        return escapeRegExp(part);
+      })
+      .join('')
+      // consecutive expressions match any text just as well as one
+      .split(`${ANY_TEXT}${ANY_TEXT}`)
+      .join(ANY_TEXT)
+  );
+  return `(?:${variations.join('|')})`;
+};
+
+/**
+ * Regular expression that matches every text the template can produce, expressions match any text.
+ * Returns undefined when no .lg file of the bot defines the template.
+ */
+export const getLgTemplateRegExp = (templates: Record<string, string[]>, name: string) => {
+  if (!templates[name]) return undefined;
+  // the texts of the templates are escaped, only the fixed patterns above are left unescaped
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  return new RegExp(`^${templatePattern(templates, name, 0)}$`);
+};
+
+/**
+ * Tests the text against a regular expression within the given time, a pattern that backtracks catastrophically
+ * is interrupted instead of hanging the server. Returns undefined when the match ran out of time.
+ */
+export const testRegExp = (regExp: RegExp, text: string, timeout = MATCH_TIMEOUT): boolean | undefined => {
+  try {
+    return vm.runInNewContext('regExp.test(text)', { regExp, text }, { timeout });
+  } catch (err) {
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return undefined;
+    throw err;
+  }
+};
+
+const timedOut = (expected: string): ReplyMatch => ({
+  passed: false,
+  expected,
+  message: `The regular expression took longer than ${MATCH_TIMEOUT}ms to match the reply`,
+});
+
+export type ReplyMatch = {
+  passed: boolean;
+  /** readable form of the expectation, shown next to the actual reply */
+  expected: string;
+  message?: string;
+};
+
+/**
+ * Compares the text of a bot reply with an expected bot activity of a test script.
+ */
+export const matchReply = (
+  expected: DialogTestActivity,
+  actual: string,
+  templates: Record<string, string[]>
+): ReplyMatch => {
+  const matcher = expected.assert ?? { type: 'exact', value: expected.text ?? '' };
+  switch (matcher.type) {
+    case 'regex': {
+      let regExp: RegExp;
+      try {
+        // only run through testRegExp, which interrupts matches that take too long
+        // eslint-disable-next-line security/detect-non-literal-regexp
+        regExp = new RegExp(matcher.value, matcher.flags);
+      } catch (err) {
+        return { passed: false, expected: `/${matcher.value}/`, message: `Invalid regular expression: ${err.message}` };
+      }
+      const expectedText = `/${matcher.value}/${matcher.flags ?? ''}`;
+      const passed = testRegExp(regExp, actual);
+      return passed === undefined ? timedOut(expectedText) : { passed, expected: expectedText };
+    }
+    case 'lg': {
+      const regExp = getLgTemplateRegExp(templates, matcher.template);
+      if (!regExp) {
+        return {
+          passed: false,
+          expected: `\${${matcher.template}()}`,
+          message: `Template ${matcher.template} is not defined in the bot`,
+        };
+      }
+      const passed = testRegExp(regExp, actual);
+      const expectedText = `\${${matcher.template}()}`;
+      return passed === undefined ? timedOut(expectedText) : { passed, expected: expectedText };
+    }
+    default:
+      return { passed: actual === matcher.value, expected: matcher.value };
+  }
+};
@@ -34,6 +34,7 @@ class ExtensionContext implements IExtensionContext {
       runtimeTemplates: [],
       botTemplates: [],
       baseTemplates: [],
+      recognizerBuilders: {},
     };
     this._passport = passport;
   }
@@ -0,0 +1,156 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { execFileSync } from 'child_process';
+import os from 'os';
+
+import { mkdtempSync, outputFileSync, removeSync } from 'fs-extra';
+
+import { Path } from '../../../utility/path';
+import { getGitErrorMessage, GitRepository, parseStatus } from '../gitRepository';
+
+describe('parseStatus', () => {
+  it('parses the branch header', () => {
+    expect(parseStatus('## main...origin/main [ahead 2, behind 1]\0')).toEqual({
+      branch: 'main',
+      upstream: 'origin/main',
+      ahead: 2,
+      behind: 1,
+      files: [],
+    });
+    expect(parseStatus('## No commits yet on main\0').branch).toBe('main');
+    expect(parseStatus('## feature\0')).toMatchObject({ branch: 'feature', ahead: 0, behind: 0 });
+  });
+
+  it('reports staged and unstaged changes separately', () => {
+    const output = ['## main', 'MM bot.dialog', 'A  new.lg', ' D old.lu', '?? todo.qna', ''].join('\0');
+    expect(parseStatus(output).files).toEqual([
+      { path: 'bot.dialog', status: 'modified', staged: true },
+      { path: 'bot.dialog', status: 'modified', staged: false },
+      { path: 'new.lg', status: 'added', staged: true },
+      { path: 'old.lu', status: 'deleted', staged: false },
+      { path: 'todo.qna', status: 'untracked', staged: false },
+    ]);
+  });
+
+  it('reports renames with their original path', () => {
+    const output = ['## main', 'R  dialogs/b.dialog', 'dialogs/a.dialog', ''].join('\0');
+    expect(parseStatus(output).files).toEqual([
+      { path: 'dialogs/b.dialog', originalPath: 'dialogs/a.dialog', status: 'renamed', staged: true },
+    ]);
+  });
+
+  it('reports conflicts', () => {
+    const output = ['## main', 'UU bot.lg', 'AA other.lg', ''].join('\0');
+    expect(parseStatus(output).files).toEqual([
+      { path: 'bot.lg', status: 'conflicted', staged: false },
+      { path: 'other.lg', status: 'conflicted', staged: false },
+    ]);
+  });
+
+  it('strips the project prefix from paths', () => {
+    const output = ['## main', ' M bots/echo/echo.dialog', ''].join('\0');
+    expect(parseStatus(output, 'bots/echo/').files).toEqual([
+      { path: 'echo.dialog', status: 'modified', staged: false },
+    ]);
+  });
+});
+
+describe('getGitErrorMessage', () => {
+  it('reports a remote that needs credentials', () => {
+    const stderr = "fatal: could not read Username for 'https://example.com': terminal prompts disabled\n";
+    expect(getGitErrorMessage(['pull'], { stderr })).toMatch('requires credentials');
+    expect(getGitErrorMessage(['pull'], { stderr: 'git@example.com: Permission denied (publickey).' })).toMatch(
+      'requires credentials'
+    );
+  });
+
+  it('reports a command that timed out', () => {
+    expect(getGitErrorMessage(['pull', '--no-rebase'], { killed: true, message: 'Command failed' })).toBe(
+      'git pull did not finish in time.'
+    );
+  });
+
+  it('returns what git printed otherwise', () => {
+    expect(getGitErrorMessage(['commit'], { stderr: 'nothing to commit\n' })).toBe('nothing to commit');
+  });
+});
+
+describe('GitRepository', () => {
+  let root: string;
+  let botDir: string;
+
+  const git = (...args: string[]) => execFileSync('git', args, { cwd: root }).toString();
+
+  beforeEach(() => {
+    root = Path.resolve(mkdtempSync(Path.join(os.tmpdir(), 'composer-git-')));
+    botDir = Path.join(root, 'bots', 'echo');
+    outputFileSync(Path.join(botDir, 'echo.dialog'), '{}');
+    git('init', '--quiet');
+    git('config', 'user.email', 'composer@example.com');
+    git('config', 'user.name', 'Composer');
+    git('checkout', '--quiet', '-b', 'main');
+  });
+
+  afterEach(() => {
+    removeSync(root);
+  });
+
+  it('returns an empty status outside of a repository', async () => {
+    removeSync(Path.join(root, '.git'));
+    const status = await new GitRepository(botDir).getStatus();
+    expect(status.isRepository).toBe(false);
+  });
+
+  it('stages and commits files relative to the project folder', async () => {
+    const repo = new GitRepository(botDir);
+    expect((await repo.getStatus()).files).toEqual([{ path: 'echo.dialog', status: 'untracked', staged: false }]);
+
+    await repo.stage(['echo.dialog']);
+    expect((await repo.getStatus()).files).toEqual([{ path: 'echo.dialog', status: 'added', staged: true }]);
+
+    const result = await repo.commit('Add echo bot');
+    expect(result.summary).toBe('Add echo bot');
+    expect((await repo.getStatus()).files).toEqual([]);
+  });
+
+  it('returns the original and modified content of a file', async () => {
+    const repo = new GitRepository(botDir);
+    await repo.stage(['echo.dialog']);
+    await repo.commit('Add echo bot');
+    outputFileSync(Path.join(botDir, 'echo.dialog'), '{ "id": "echo" }');
+
+    expect(await repo.getFileDiff('echo.dialog')).toEqual({
+      path: 'echo.dialog',
+      original: '{}',
+      modified: '{ "id": "echo" }',
+    });
+  });
+
+  it('creates and switches branches', async () => {
+    const repo = new GitRepository(botDir);
+    await repo.stage(['echo.dialog']);
+    await repo.commit('Add echo bot');
+
+    await repo.checkout('feature', true);
+    expect(await repo.getBranches()).toEqual({ current: 'feature', branches: ['feature', 'main'] });
+  });
+
+  it('rejects names that are not branches', async () => {
+    const repo = new GitRepository(botDir);
+    await repo.stage(['echo.dialog']);
+    await repo.commit('Add echo bot');
+    outputFileSync(Path.join(botDir, 'echo.dialog'), '{ "id": "echo" }');
+
+    await expect(repo.checkout('echo.dialog')).rejects.toThrow('Branch not found: echo.dialog');
+    await expect(repo.checkout('bad..name', true)).rejects.toThrow('Invalid branch name: bad..name');
+    await expect(repo.checkout('--force')).rejects.toThrow('Invalid branch name: --force');
+    expect((await repo.getStatus()).files).toEqual([{ path: 'echo.dialog', status: 'modified', staged: false }]);
+  });
+
+  it('rejects paths outside of the project folder', async () => {
+    const repo = new GitRepository(botDir);
+    await expect(repo.stage(['../../secret.txt'])).rejects.toThrow('outside of current project folder');
+    await expect(repo.getFileDiff('/etc/hosts')).rejects.toThrow('outside of current project folder');
+  });
+});
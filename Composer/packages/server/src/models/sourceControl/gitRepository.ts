@@ -0,0 +1,334 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import { readFile } from 'fs-extra';
+import {
+  GitBranchList,
+  GitCommitResult,
+  GitFileChange,
+  GitFileDiff,
+  GitFileStatus,
+  GitPullResult,
+  GitStatus,
+} from '@bfc/shared';
+
+import log from '../../logger';
+import { Path } from '../../utility/path';
+import { isSubdirectory } from '../../utility/isSubdirectory';
+
+const execFileAsync = promisify(execFile);
+const debug = log.extend('source-control');
+
+// git prints a lot for big diffs, give it more room than the 1MB default
+const MAX_BUFFER = 50 * 1024 * 1024;
+// long enough for a pull over a slow network, the request of the client is answered in any case
+const TIMEOUT = 2 * 60 * 1000;
+
+// what git prints when the remote wants credentials it cannot ask for
+const authErrors = [
+  /terminal prompts disabled/i,
+  /could not read (username|password)/i,
+  /authentication failed/i,
+  /permission denied \(publickey/i,
+  /host key verification failed/i,
+];
+
+const conflictCodes = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+
+const statusFromCode = (code: string): GitFileStatus => {
+  switch (code) {
+    case 'A':
+    case 'C':
+      return 'added';
+    case 'D':
+      return 'deleted';
+    case 'R':
+      return 'renamed';
+    default:
+      return 'modified';
+  }
+};
+
+const parseBranchHeader = (header: string) => {
+  const result = { branch: '', upstream: undefined as string | undefined, ahead: 0, behind: 0 };
+  const noCommits = /^No commits yet on (.+)$/.exec(header);
+  if (noCommits) {
+    result.branch = noCommits[1];
+    return result;
+  }
+
+  const [refs, tracking = ''] = header.split(' [');
+  const [branch, upstream] = refs.split('...');
+  result.branch = branch === 'HEAD (no branch)' ? 'HEAD' : branch;
+  result.upstream = upstream;
+  result.ahead = Number(/ahead (\d+)/.exec(tracking)?.[1] ?? 0);
+  result.behind = Number(/behind (\d+)/.exec(tracking)?.[1] ?? 0);
+  return result;
+};
+
+/**
+ * Parses the output of `git status --porcelain=v1 --branch -z`.
+ * A file changed both in the index and in the working tree is reported twice, once staged and once unstaged.
+ * @param output raw git output
+ * @param prefix path of the bot project relative to the repository root, stripped from every reported path
+ */
+export const parseStatus = (output: string, prefix = ''): Omit<GitStatus, 'isRepository'> => {
+  const entries = output.split('\0').filter(Boolean);
+  const status: Omit<GitStatus, 'isRepository'> = { branch: '', ahead: 0, behind: 0, files: [] };
+  const toProjectPath = (path: string) => (prefix && path.startsWith(prefix) ? path.substr(prefix.length) : path);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.startsWith('## ')) {
+      Object.assign(status, parseBranchHeader(entry.substr(3)));
+      continue;
+    }
+
+    const code = entry.substr(0, 2);
+    const path = toProjectPath(entry.substr(3));
+    // renames and copies are followed by an extra entry holding the original path
+    const originalPath = code[0] === 'R' || code[0] === 'C' ? toProjectPath(entries[++i]) : undefined;
+
+    if (code === '??') {
+      status.files.push({ path, status: 'untracked', staged: false });
+    } else if (conflictCodes.includes(code)) {
+      status.files.push({ path, status: 'conflicted', staged: false });
+    } else {
+      if (code[0] !== ' ') {
+        const change: GitFileChange = { path, status: statusFromCode(code[0]), staged: true };
+        if (originalPath) change.originalPath = originalPath;
+        status.files.push(change);
+      }
+      if (code[1] !== ' ') {
+        status.files.push({ path, status: statusFromCode(code[1]), staged: false });
+      }
+    }
+  }
+
+  return status;
+};
+
+/**
+ * The message of a failed git command. Git never prompts for credentials here, a remote that needs them fails with
+ * a message telling the user to set them up outside of Composer.
+ * @param args arguments of the git command
+ * @param err error of the git process
+ */
+export const getGitErrorMessage = (args: string[], err: { stderr?: string; message?: string; killed?: boolean }) => {
+  if (err.killed) {
+    return `git ${args[0]} did not finish in time.`;
+  }
+  const message = (err.stderr || err.message || '').trim();
+  if (authErrors.some((pattern) => pattern.test(message))) {
+    return 'The remote repository requires credentials. Set them up in git outside of Composer and try again.';
+  }
+  return message;
+};
+
+/**
+ * Thin wrapper around the git cli scoped to a bot project folder.
+ * The project folder may live anywhere inside the working tree, every path is relative to the project folder.
+ */
+export class GitRepository {
+  constructor(public readonly dir: string) {}
+
+  public isRepository = async (): Promise<boolean> => {
+    try {
+      const { stdout } = await this.git(['rev-parse', '--is-inside-work-tree']);
+      return stdout.trim() === 'true';
+    } catch (err) {
+      return false;
+    }
+  };
+
+  public getStatus = async (): Promise<GitStatus> => {
+    if (!(await this.isRepository())) {
+      return { isRepository: false, branch: '', ahead: 0, behind: 0, files: [] };
+    }
+
+    const prefix = await this.getPrefix();
+    const { stdout } = await this.git([
+      'status',
+      '--porcelain=v1',
+      '--branch',
+      '-z',
+      '--untracked-files=all',
+      '--',
+      '.',
+    ]);
+    return { isRepository: true, ...parseStatus(stdout, prefix) };
+  };
+
+  public getFileDiff = async (path: string): Promise<GitFileDiff> => {
+    this.validatePaths([path]);
+    let original = '';
+    try {
+      const { stdout } = await this.git(['show', `HEAD:./${path}`]);
+      original = stdout;
+    } catch (err) {
+      // new file, or a repository without commits
+    }
+
+    let modified = '';
+    try {
+      modified = await readFile(Path.join(this.dir, path), 'utf-8');
+    } catch (err) {
+      // deleted file
+    }
+
+    return { path, original, modified };
+  };
+
+  public stage = async (paths: string[]) => {
+    this.validatePaths(paths);
+    await this.git(['add', '--all', '--', ...paths]);
+  };
+
+  public unstage = async (paths: string[]) => {
+    this.validatePaths(paths);
+    if (await this.hasCommits()) {
+      await this.git(['reset', '--quiet', 'HEAD', '--', ...paths]);
+    } else {
+      await this.git(['rm', '--cached', '--quiet', '-r', '--', ...paths]);
+    }
+  };
+
+  public commit = async (message: string): Promise<GitCommitResult> => {
+    if (!message.trim()) {
+      throw new Error('A commit message is required.');
+    }
+
+    await this.git(['commit', '--message', message]);
+    const { stdout } = await this.git(['log', '-1', '--format=%h%n%s']);
+    const [commit, summary = ''] = stdout.trim().split('\n');
+    return { commit, summary };
+  };
+
+  public getBranches = async (): Promise<GitBranchList> => {
+    const { stdout } = await this.git(['branch', '--format=%(refname:short)']);
+    const branches = stdout.split('\n').filter(Boolean);
+    let current = '';
+    try {
+      current = (await this.git(['rev-parse', '--abbrev-ref', 'HEAD'])).stdout.trim();
+    } catch (err) {
+      // no commits yet, fall back to the branch git reports in status
+      current = (await this.getStatus()).branch;
+    }
+
+    return { current, branches };
+  };
+
+  /**
+   * Switches to a branch, or creates it from the current commit.
+   * The name must be a valid branch name and, unless it is created, an existing local branch:
+   * git would otherwise read it as a path and discard the changes made to that file.
+   */
+  public checkout = async (branch: string, create = false) => {
+    if (!branch || branch.startsWith('-')) {
+      throw new Error(`Invalid branch name: ${branch}`);
+    }
+    try {
+      await this.git(['check-ref-format', '--branch', branch]);
+    } catch (err) {
+      throw new Error(`Invalid branch name: ${branch}`);
+    }
+
+    if (create) {
+      await this.git(['checkout', '-b', branch, '--']);
+      return;
+    }
+
+    try {
+      await this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    } catch (err) {
+      throw new Error(`Branch not found: ${branch}`);
+    }
+    await this.git(['checkout', branch, '--']);
+  };
+
+  /**
+   * Pulls the upstream of the current branch.
+   * When the merge ends in conflicts it is aborted so the project is never left with conflict markers in its files.
+   */
+  public pull = async (): Promise<GitPullResult> => {
+    const headBefore = await this.getHead();
+    try {
+      const { stdout } = await this.git(['pull', '--no-rebase', '--no-edit']);
+      const headAfter = await this.getHead();
+      return { success: true, conflicts: [], filesChanged: headBefore !== headAfter, message: stdout.trim() };
+    } catch (err) {
+      const conflicts = await this.getConflicts();
+      if (conflicts.length === 0) {
+        throw err;
+      }
+
+      debug('Pull ended in conflicts, aborting merge: %O', conflicts);
+      await this.git(['merge', '--abort']);
+      return {
+        success: false,
+        conflicts,
+        filesChanged: false,
+        message: 'Pulling would result in merge conflicts. Resolve them outside of Composer and try again.',
+      };
+    }
+  };
+
+  private getConflicts = async () => {
+    const prefix = await this.getPrefix();
+    try {
+      const { stdout } = await this.git(['diff', '--name-only', '--diff-filter=U', '-z']);
+      return stdout
+        .split('\0')
+        .filter(Boolean)
+        .map((path) => (prefix && path.startsWith(prefix) ? path.substr(prefix.length) : path));
+    } catch (err) {
+      return [];
+    }
+  };
+
+  private getHead = async () => {
+    try {
+      return (await this.git(['rev-parse', 'HEAD'])).stdout.trim();
+    } catch (err) {
+      return '';
+    }
+  };
+
+  private hasCommits = async () => !!(await this.getHead());
+
+  private getPrefix = async () => (await this.git(['rev-parse', '--show-prefix'])).stdout.trim();
+
+  private validatePaths = (paths: string[]) => {
+    if (!paths.length) {
+      throw new Error('No files specified.');
+    }
+
+    for (const path of paths) {
+      if (!path || Path.isAbsolute(path) || !isSubdirectory(this.dir, Path.resolve(this.dir, path))) {
+        throw new Error(`Cannot access file outside of current project folder: ${path}`);
+      }
+    }
+  };
+
+  private git = async (args: string[]) => {
+    debug('git %s', args.join(' '));
+    try {
+      return await execFileAsync('git', args, {
+        cwd: this.dir,
+        maxBuffer: MAX_BUFFER,
+        timeout: TIMEOUT,
+        // there is no terminal to answer a credential prompt, git would wait for it forever
+        env: {
+          ...process.env,
+          GIT_TERMINAL_PROMPT: '0',
+          GIT_SSH_COMMAND: process.env.GIT_SSH_COMMAND ?? 'ssh -o BatchMode=yes',
+        },
+      });
+    } catch (err) {
+      throw Object.assign(new Error(getGitErrorMessage(args, err)), { stderr: err.stderr, stdout: err.stdout });
+    }
+  };
+}
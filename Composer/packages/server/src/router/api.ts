@@ -20,6 +20,9 @@ import { StatusController } from '../controllers/status';
 import { SettingsController } from '../controllers/settings';
 import { TelemetryController } from '../controllers/telemetry';
 import OrchestratorController from '../controllers/orchestrator';
+import { SourceControlController } from '../controllers/sourceControl';
+import { DialogTestController } from '../controllers/dialogTest';
+import { ActionSnippetController } from '../controllers/actionSnippet';
 
 import { UtilitiesController } from './../controllers/utilities';
 
@@ -54,6 +57,27 @@ router.post('/projects/:projectId/backup', ProjectController.backupProject);
 router.post('/projects/:projectId/copyTemplateToExisting', ProjectController.copyTemplateToExistingProject);
 router.get('/projects/:projectId/variables', ProjectController.getVariablesByProjectId);
 
+// source control
+router.get('/projects/:projectId/git/status', SourceControlController.getStatus);
+router.get('/projects/:projectId/git/diff', SourceControlController.getDiff);
+router.post('/projects/:projectId/git/stage', SourceControlController.stage);
+router.post('/projects/:projectId/git/unstage', SourceControlController.unstage);
+router.post('/projects/:projectId/git/commit', SourceControlController.commit);
+router.get('/projects/:projectId/git/branches', SourceControlController.getBranches);
+router.post('/projects/:projectId/git/checkout', SourceControlController.checkout);
+router.post('/projects/:projectId/git/pull', SourceControlController.pull);
+
+// dialog tests
+router.get('/projects/:projectId/tests', DialogTestController.getTests);
+router.post('/projects/:projectId/tests/run', DialogTestController.runTests);
+router.put('/projects/:projectId/tests/:name', DialogTestController.saveTest);
+router.delete('/projects/:projectId/tests/:name', DialogTestController.removeTest);
+
+// action snippets
+router.get('/projects/:projectId/snippets', ActionSnippetController.getSnippets);
+router.put('/projects/:projectId/snippets/:scope/:name', ActionSnippetController.saveSnippet);
+router.delete('/projects/:projectId/snippets/:scope/:name', ActionSnippetController.removeSnippet);
+
 // form dialog generation apis
 router.post('/formDialogs/expandJsonSchemaProperty', FormDialogController.expandJsonSchemaProperty);
 router.get('/formDialogs/templateSchemas', FormDialogController.getTemplateSchemas);
@@ -114,6 +138,7 @@ router.get('/extensions/search', ExtensionsController.searchExtensions);
 router.get('/extensions/settings/schema.json', ExtensionsController.getSettingsSchema);
 router.get('/extensions/settings', ExtensionsController.getSettings);
 router.patch('/extensions/settings', ExtensionsController.updateSettings);
+router.get('/extensions/recognizerBuilders', ExtensionsController.getRecognizerBuilders);
 router.get('/extensions/:id/:bundleId', ExtensionsController.getBundleForView);
 // proxy route for extensions (allows extension client code to make fetch calls using the Composer server as a proxy -- avoids browser blocking request due to CORS)
 router.post('/extensions/proxy/:url', ExtensionsController.performExtensionFetch);
@@ -149,6 +174,7 @@ router.post('/telemetry/events', TelemetryController.track);
 router.post('/orchestrator/download', OrchestratorController.downloadLanguageModel);
 router.get('/orchestrator/status', OrchestratorController.status);
 router.get('/orchestrator/getModelList', OrchestratorController.getModelList);
+router.post('/projects/:projectId/orchestrator/score', OrchestratorController.score);
 
 const errorHandler = (handler: RequestHandler) => (req: Request, res: Response, next: NextFunction) => {
   Promise.resolve(handler(req, res, next)).catch(next);
@@ -26,6 +26,10 @@ import { getAuthProvider } from './router/auth';
 import { apiRouter } from './router/api';
 import { BASEURL } from './constants';
 import { attachLSPServer } from './utility/attachLSP';
+import { isTrustedSocketRequest } from './middleware/socketProtection';
+import { CollaborationHub } from './models/collaboration/collaborationHub';
+import { DebugSession } from './models/debugger/debugSession';
+import { getRuntimeDebugPort } from './models/debugger/runtimeDebugPort';
 import log from './logger';
 import { setEnvDefault } from './utility/setEnvDefault';
 import { ElectronContext, setElectronContext } from './utility/electronContext';
@@ -40,6 +44,9 @@ import { getVersion } from './utility/getVersion';
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const session = require('express-session');
 
+// the command line tools open bots without starting the server
+export { BotProject } from './models/bot/botProject';
+
 export async function start(electronContext?: ElectronContext): Promise<number | string> {
   setEnvDefault('COMPOSER_VERSION', getVersion());
   if (electronContext) {
@@ -194,13 +201,27 @@ export async function start(electronContext?: ElectronContext): Promise<number |
     perMessageDeflate: false,
   });
 
-  const { getLgResources, luImportResolver, staticMemoryResolver, staticEntityResolver } = BotProjectService;
+  const {
+    getLgResources,
+    getDialogResources,
+    getLuResources,
+    luImportResolver,
+    staticMemoryResolver,
+    staticMemoryTypesResolver,
+    staticEntityResolver,
+  } = BotProjectService;
 
   function launchLanguageServer(socket: rpc.IWebSocket) {
     const reader = new rpc.WebSocketMessageReader(socket);
     const writer = new rpc.WebSocketMessageWriter(socket);
     const connection: IConnection = createConnection(reader, writer);
-    const server = new LGServer(connection, getLgResources, staticMemoryResolver, staticEntityResolver);
+    const server = new LGServer(
+      connection,
+      getLgResources,
+      staticMemoryResolver,
+      staticEntityResolver,
+      getDialogResources
+    );
     server.start();
   }
 
@@ -208,7 +229,7 @@ export async function start(electronContext?: ElectronContext): Promise<number |
     const reader = new rpc.WebSocketMessageReader(socket);
     const writer = new rpc.WebSocketMessageWriter(socket);
     const connection: IConnection = createConnection(reader, writer);
-    const server = new LUServer(connection, luImportResolver);
+    const server = new LUServer(connection, luImportResolver, getLuResources, getDialogResources);
     server.start();
   }
 
@@ -216,7 +237,7 @@ export async function start(electronContext?: ElectronContext): Promise<number |
     const reader = new rpc.WebSocketMessageReader(socket);
     const writer = new rpc.WebSocketMessageWriter(socket);
     const connection: IConnection = createConnection(reader, writer);
-    const server = new IntellisenseServer(connection, staticMemoryResolver);
+    const server = new IntellisenseServer(connection, staticMemoryResolver, staticMemoryTypesResolver);
     server.start();
   };
 
@@ -242,6 +263,35 @@ export async function start(electronContext?: ElectronContext): Promise<number |
     }
   });
 
+  // file changes and presence of the people editing the same bot, who can only join the projects they can open
+  const collaborationHub = new CollaborationHub(async (projectId, request) => {
+    const user = await ExtensionContext.getUserFromRequest(request);
+    await BotProjectService.getProjectById(projectId, user);
+  });
+  attachLSPServer(
+    wss,
+    server,
+    '/collaboration',
+    (webSocket, request) => {
+      collaborationHub.connect(webSocket, request);
+    },
+    isTrustedSocketRequest
+  );
+
+  // breakpoints and stepping through the dialogs of a bot started locally
+  attachLSPServer(
+    wss,
+    server,
+    '/debugger',
+    (webSocket, request) => {
+      // the runtime is only attached for the projects the user of the socket can open
+      const getDebugPort = async (projectId: string) =>
+        getRuntimeDebugPort(projectId, await ExtensionContext.getUserFromRequest(request));
+      new DebugSession(webSocket, getDialogResources, getDebugPort);
+    },
+    isTrustedSocketRequest
+  );
+
   attachLSPServer(wss, server, '/intellisense-language-server', (webSocket) => {
     if (webSocket.readyState === webSocket.OPEN) {
       launchIntellisenseLanguageServer(webSocket);
@@ -7,8 +7,10 @@ import { promisify } from 'util';
 import merge from 'lodash/merge';
 import find from 'lodash/find';
 import flatten from 'lodash/flatten';
-import { luImportResolverGenerator, ResolverResource, DialogSetting } from '@bfc/shared';
+import { luImportResolverGenerator, ResolverResource, DialogSetting, DialogInfo } from '@bfc/shared';
 import extractMemoryPaths from '@bfc/indexers/lib/dialogUtils/extractMemoryPaths';
+import { extractSchemaPropertyTypes } from '@bfc/indexers/lib/extractSchemaProperties';
+import { jsonSchemaFileIndexer } from '@bfc/indexers/lib/jsonSchemaFileIndexer';
 import { UserIdentity } from '@bfc/extension';
 import { ensureDir, existsSync, remove } from 'fs-extra';
 import { Request } from 'express';
@@ -95,6 +97,26 @@ export class BotProjectService {
     return resources;
   }
 
+  public static getDialogResources(projectId?: string): (ResolverResource & { path: string })[] {
+    BotProjectService.initialize();
+    const project = BotProjectService.getIndexedProjectById(projectId);
+    if (!project) throw new Error('project not found');
+    return project.dialogFiles.map((file) => {
+      const { name, content, path } = file;
+      return { id: Path.basename(name, '.dialog'), content, path };
+    });
+  }
+
+  public static getLuResources(projectId?: string): ResolverResource[] {
+    BotProjectService.initialize();
+    const project = BotProjectService.getIndexedProjectById(projectId);
+    if (!project) throw new Error('project not found');
+    return project.luFiles.map((file) => {
+      const { name, content } = file;
+      return { id: Path.basename(name, '.lu'), content };
+    });
+  }
+
   public static luImportResolver(source: string, id: string, projectId: string): ResolverResource {
     BotProjectService.initialize();
     const project = BotProjectService.getIndexedProjectById(projectId);
@@ -163,6 +185,35 @@ export class BotProjectService {
     return [...defaultProperties, ...userDefined];
   }
 
+  /**
+   * Json schema types of the dialog.* properties the dialog schemas declare. A property the dialogs declare with
+   * different types has none.
+   */
+  public static staticMemoryTypesResolver(projectId: string): Record<string, string> {
+    const project = BotProjectService.getIndexedProjectById(projectId);
+    if (!project) return {};
+
+    const jsonSchemaFiles = jsonSchemaFileIndexer.index(project.jsonFiles);
+    const types: Record<string, string> = {};
+    const conflicts = new Set<string>();
+    project.dialogFiles.forEach(({ name, content }) => {
+      try {
+        const dialog = { id: Path.basename(name, '.dialog'), content: JSON.parse(content) } as DialogInfo;
+        const propertyTypes = extractSchemaPropertyTypes(dialog, jsonSchemaFiles);
+        Object.keys(propertyTypes).forEach((property) => {
+          const path = `dialog.${property}`;
+          if (types[path] && types[path] !== propertyTypes[property]) conflicts.add(path);
+          types[path] = propertyTypes[property];
+        });
+      } catch (error) {
+        // a dialog that does not parse declares no types
+      }
+    });
+    conflicts.forEach((path) => delete types[path]);
+
+    return types;
+  }
+
   public static staticEntityResolver(projectId: string): string[] | undefined {
     const contents = BotProjectService.getIndexedProjectById(projectId)?.luFiles.map((file) => file.content);
     return flatten(contents);
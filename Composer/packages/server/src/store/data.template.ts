@@ -1,7 +1,7 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { getDefaultFeatureFlags, ServerSettings } from '@bfc/shared';
+import { ActionSnippet, getDefaultFeatureFlags, ServerSettings } from '@bfc/shared';
 
 import settings from '../settings';
 import { LocationRef } from '../models/bot/interface';
@@ -27,4 +27,5 @@ export default {
   settings: {
     telemetry: {},
   } as ServerSettings,
+  actionSnippets: {} as Record<string, ActionSnippet[]>,
 };
@@ -40,6 +40,11 @@ const migrations: Migration<any>[] = [
     condition: (data) => get(data, 'storageConnections.0.platform') !== settings.platform,
     run: (data) => set(data, 'storageConnections[0].platform', settings.platform),
   },
+  {
+    name: 'Key action snippets by user',
+    condition: (data) => Array.isArray(data?.actionSnippets),
+    run: (data) => set(data, 'actionSnippets', { local: data.actionSnippets }),
+  },
   {
     name: 'Re-init when version update',
     condition: (data) => !data?.version || data?.version != initData.version,
@@ -0,0 +1,62 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { assertValidName, projectHandler } from '../projectStore';
+
+const mockGetProjectById = jest.fn();
+
+jest.mock('../../services/project', () => ({
+  BotProjectService: {
+    getProjectById: (...args) => mockGetProjectById(...args),
+  },
+}));
+
+jest.mock('../../models/extension/extensionContext', () => ({
+  ExtensionContext: {
+    getUserFromRequest: jest.fn().mockResolvedValue(undefined),
+  },
+}));
+
+describe('projectHandler', () => {
+  const req: any = { params: { projectId: '123' } };
+  const res: any = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+  const withProject = projectHandler(jest.fn() as any, 'Test operation');
+
+  beforeEach(() => {
+    mockGetProjectById.mockReset();
+    res.json.mockClear();
+    res.status.mockClear();
+  });
+
+  it('answers 404 when the project cannot be loaded', async () => {
+    mockGetProjectById.mockRejectedValue(new Error('project 123 not found in cache'));
+    const handler = jest.fn();
+    await withProject(handler)(req, res);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('answers 400 with the error of the handler', async () => {
+    const project = { dir: '/bots/echo' };
+    mockGetProjectById.mockResolvedValue(project);
+    const handler = jest.fn().mockRejectedValue(new Error('Invalid test name: ../a'));
+    await withProject(handler)(req, res);
+
+    expect(handler).toHaveBeenCalledWith(project, req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Invalid test name: ../a' });
+  });
+});
+
+describe('assertValidName', () => {
+  it('accepts plain file names', () => {
+    expect(() => assertValidName('Greeting test-1', 'test')).not.toThrow();
+  });
+
+  it('refuses names that are paths', () => {
+    ['../secret', 'a/b', 'a\\b', ''].forEach((name) =>
+      expect(() => assertValidName(name, 'snippet')).toThrow(`Invalid snippet name: ${name}`)
+    );
+  });
+});
@@ -19,12 +19,23 @@ export function createSocketHandler(webSocket): rpc.IWebSocket {
   return socket;
 }
 
-export function attachLSPServer(wss: ws.Server, server: http.Server, path: string, handler: (webSocket) => void) {
+export function attachLSPServer(
+  wss: ws.Server,
+  server: http.Server,
+  path: string,
+  handler: (webSocket, request: http.IncomingMessage) => void,
+  verify?: (request: http.IncomingMessage) => boolean
+) {
   server.on('upgrade', (request: http.IncomingMessage, socket: net.Socket, head: Buffer) => {
     const pathname = request.url ? url.parse(request.url).pathname : undefined;
     if (pathname === path) {
+      if (verify && !verify(request)) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        socket.destroy();
+        return;
+      }
       wss.handleUpgrade(request, socket, head, (webSocket) => {
-        handler(createSocketHandler(webSocket));
+        handler(createSocketHandler(webSocket), request);
       });
     }
   });
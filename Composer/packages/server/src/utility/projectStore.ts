@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Request, Response } from 'express';
+import { Debugger } from 'debug';
+
+import { ExtensionContext } from '../models/extension/extensionContext';
+import { BotProject } from '../models/bot/botProject';
+import { BotProjectService } from '../services/project';
+
+// names end up in file paths, keep them to a single plain file name
+const validName = /^[\w\- ]+$/;
+
+/**
+ * Throws unless the name of a file a store keeps in the project, like a test script or a snippet,
+ * is a single plain file name.
+ * @param kind what the name is for, used in the error message
+ */
+export const assertValidName = (name: string, kind: string) => {
+  if (!validName.test(name)) {
+    throw new Error(`Invalid ${kind} name: ${name}`);
+  }
+};
+
+type ProjectHandler = (project: BotProject, req: Request, res: Response) => Promise<void>;
+
+/**
+ * Wraps the handlers of the routes of a project store. The project of the route is loaded for the handler,
+ * a project that cannot be loaded answers 404 and an error of the handler answers 400.
+ * @param debug logger of the controller
+ * @param operation what failed, used in the log
+ */
+export const projectHandler = (debug: Debugger, operation: string) => (handler: ProjectHandler) => async (
+  req: Request,
+  res: Response
+) => {
+  const projectId = req.params.projectId;
+  const user = await ExtensionContext.getUserFromRequest(req);
+
+  let project: BotProject;
+  try {
+    project = await BotProjectService.getProjectById(projectId, user);
+  } catch (err) {
+    debug('Could not load project %s: %O', projectId, err);
+    res.status(404).json({
+      message: `Could not find bot project with ID: ${projectId}`,
+    });
+    return;
+  }
+
+  try {
+    await handler(project, req, res);
+  } catch (err) {
+    debug('%s failed for project %s: %O', operation, projectId, err);
+    res.status(400).json({
+      message: err instanceof Error ? err.message : err,
+    });
+  }
+};
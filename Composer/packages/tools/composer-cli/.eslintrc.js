@@ -0,0 +1,11 @@
+module.exports = {
+  extends: ['../../../.eslintrc.js'],
+  parserOptions: {
+    project: './tsconfig.json',
+    tsconfigRootDir: __dirname,
+  },
+  rules: {
+    'security/detect-non-literal-fs-filename': 'off',
+    'no-console': 'off',
+  },
+};
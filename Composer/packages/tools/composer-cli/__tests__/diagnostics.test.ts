@@ -0,0 +1,106 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DiagnosticSeverity, DialogSetting, FileInfo } from '@bfc/shared';
+
+import {
+  getProjectDiagnostics,
+  getReferredResources,
+  hasErrors,
+  indexProject,
+  ProjectAssets,
+} from '../src/diagnostics';
+
+const file = (relativePath: string, content: string): FileInfo => ({
+  name: relativePath.split('/').pop() as string,
+  path: `/bots/test/${relativePath}`,
+  relativePath,
+  content,
+  lastModified: '',
+});
+
+const dialog = JSON.stringify({
+  $kind: 'Microsoft.AdaptiveDialog',
+  $designer: { id: 'root' },
+  recognizer: 'test.lu.qna',
+  triggers: [
+    {
+      $kind: 'Microsoft.OnBeginDialog',
+      $designer: { id: 'trigger' },
+      actions: [{ $kind: 'Microsoft.SendActivity', $designer: { id: 'send' }, activity: '${SendActivity_send()}' }],
+    },
+  ],
+});
+
+const settings = ({
+  defaultLanguage: 'en-us',
+  languages: ['en-us'],
+  luFeatures: {},
+  luis: { authoringKey: 'key', authoringRegion: 'westus' },
+  qna: { subscriptionKey: 'key' },
+} as unknown) as DialogSetting;
+
+const createProject = (lg: string): ProjectAssets => ({
+  botName: 'test',
+  settings,
+  sdkSchema: { definitions: {} },
+  files: [
+    file('test.dialog', dialog),
+    file('language-generation/en-us/test.en-us.lg', lg),
+    file('language-understanding/en-us/test.en-us.lu', '# Greeting\n- hi'),
+  ],
+});
+
+describe('getProjectDiagnostics', () => {
+  it('returns no errors for a valid bot', () => {
+    const diagnostics = getProjectDiagnostics(createProject('# SendActivity_send\n- hi'));
+    expect(hasErrors(diagnostics)).toBe(false);
+  });
+
+  it('reports lg errors with the path of the lg file', () => {
+    const diagnostics = getProjectDiagnostics(createProject('# SendActivity_send\n- ${notDefined()}'));
+    const lgDiagnostic = diagnostics.find(({ location }) => location === 'test.en-us.lg');
+
+    expect(lgDiagnostic).toMatchObject({
+      severity: DiagnosticSeverity.Error,
+      file: 'language-generation/en-us/test.en-us.lg',
+    });
+    expect(hasErrors(diagnostics)).toBe(true);
+  });
+
+  it('reports the parts of the bot nothing reaches like the Problems pane', () => {
+    const diagnostics = getProjectDiagnostics(createProject('# SendActivity_send\n- hi\n# Unused\n- bye'));
+
+    expect(diagnostics).toContainEqual(
+      expect.objectContaining({
+        severity: DiagnosticSeverity.Warning,
+        code: 'UnusedLgTemplate',
+        location: 'test.en-us.lg',
+        file: 'language-generation/en-us/test.en-us.lg',
+      })
+    );
+    expect(hasErrors(diagnostics, true)).toBe(true);
+  });
+
+  it('includes diagnostics reported when the project was loaded', () => {
+    const project = createProject('# SendActivity_send\n- hi');
+    project.diagnostics = [
+      { message: 'Error in sdk.schema', source: 'sdk.schema', severity: DiagnosticSeverity.Warning },
+    ];
+
+    const diagnostics = getProjectDiagnostics(project);
+    expect(diagnostics).toContainEqual(expect.objectContaining({ message: 'Error in sdk.schema' }));
+    expect(hasErrors(diagnostics)).toBe(false);
+    expect(hasErrors(diagnostics, true)).toBe(true);
+  });
+});
+
+describe('getReferredResources', () => {
+  it('returns the lu files used by dialogs', () => {
+    const indexed = indexProject(createProject('# SendActivity_send\n- hi'));
+    expect(getReferredResources(indexed)).toEqual({
+      luResource: [{ id: 'test.en-us', isEmpty: false }],
+      qnaResource: [],
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DiagnosticSeverity } from '@bfc/shared';
+
+import { ProjectDiagnostic } from '../src/diagnostics';
+import { formatJson, formatSarif, formatText } from '../src/formatters';
+
+const diagnostics: ProjectDiagnostic[] = [
+  {
+    severity: DiagnosticSeverity.Error,
+    message: 'Template not found. ',
+    file: 'language-generation/en-us/main.en-us.lg',
+    location: 'main.en-us.lg',
+    range: { start: { line: 3, character: 2 }, end: { line: 3, character: 10 } },
+  },
+  {
+    severity: DiagnosticSeverity.Warning,
+    message: 'Missing skill manifest',
+    file: 'manifest.json',
+    location: 'manifest.json',
+  },
+  {
+    severity: DiagnosticSeverity.Error,
+    message: 'must be an expression',
+    file: 'main.dialog',
+    location: 'main.dialog',
+    path: 'main.triggers[0].actions[0]',
+    code: 'CA2001',
+  },
+];
+
+describe('formatText', () => {
+  it('prints one line per diagnostic and a summary', () => {
+    expect(formatText(diagnostics).split('\n')).toEqual([
+      'language-generation/en-us/main.en-us.lg:3:3 - error: Template not found.',
+      'manifest.json - warning: Missing skill manifest',
+      'main.dialog (main.triggers[0].actions[0]) - error: must be an expression',
+      '2 error(s), 1 warning(s)',
+    ]);
+  });
+});
+
+describe('formatJson', () => {
+  it('uses readable severities', () => {
+    const result = JSON.parse(formatJson(diagnostics));
+    expect(result.map(({ severity }) => severity)).toEqual(['error', 'warning', 'error']);
+    expect(result[0].file).toBe('language-generation/en-us/main.en-us.lg');
+  });
+});
+
+describe('formatSarif', () => {
+  it('creates a sarif log', () => {
+    const log = JSON.parse(formatSarif(diagnostics, '1.2.3'));
+    expect(log.version).toBe('2.1.0');
+
+    const [run] = log.runs;
+    expect(run.tool.driver).toMatchObject({ name: 'composer-cli', version: '1.2.3' });
+    expect(run.tool.driver.rules).toEqual([{ id: 'composer/lg' }, { id: 'composer/json' }, { id: 'CA2001' }]);
+    expect(run.results.map(({ level, ruleIndex }) => [level, ruleIndex])).toEqual([
+      ['error', 0],
+      ['warning', 1],
+      ['error', 2],
+    ]);
+  });
+
+  it('adds regions and logical locations when known', () => {
+    const [lg, manifest, dialog] = JSON.parse(formatSarif(diagnostics)).runs[0].results;
+    expect(lg.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'language-generation/en-us/main.en-us.lg', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 3, startColumn: 3, endLine: 3, endColumn: 11 },
+    });
+    expect(manifest.locations[0].physicalLocation.region).toBeUndefined();
+    expect(dialog.locations[0].logicalLocations).toEqual([{ fullyQualifiedName: 'main.triggers[0].actions[0]' }]);
+  });
+});
@@ -0,0 +1,3 @@
+const { createConfig } = require('@botframework-composer/test-utils');
+
+module.exports = createConfig('composer-cli', 'node');
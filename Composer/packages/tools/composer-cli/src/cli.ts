@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { Command } from 'commander';
+
+import { build } from './commands/build';
+import { crossTrain } from './commands/crossTrain';
+import { exportProject } from './commands/exportProject';
+import { generateFormDialog } from './commands/generateFormDialog';
+import { validate } from './commands/validate';
+import { OutputFormat, outputFormats } from './formatters';
+import { CliError, log } from './project';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { version } = require('../package.json');
+
+// the exit code is the only result CI looks at, so any failure has to surface as a non-zero code
+const run = (command: (...args: any[]) => Promise<number>) => async (...args: any[]) => {
+  try {
+    process.exitCode = await command(...args);
+  } catch (error) {
+    log(error instanceof CliError ? error.message : error?.stack ?? String(error));
+    process.exitCode = error instanceof CliError ? 2 : 1;
+  }
+};
+
+const parseFormat = (value: string): OutputFormat => {
+  if (!outputFormats.includes(value as OutputFormat)) {
+    throw new CliError(`Unknown format ${value}, expected one of ${outputFormats.join(', ')}.`);
+  }
+  return value as OutputFormat;
+};
+
+const formatOption: [string, string, string] = [
+  '-f, --format <format>',
+  `diagnostics output format: ${outputFormats.join(', ')}`,
+  'text',
+];
+
+const program = new Command();
+program.name('composer-cli').version(version);
+
+program
+  .command('validate <botDir>')
+  .description('report the diagnostics the Problems pane shows for a bot')
+  .option(...formatOption)
+  .option('-o, --out <file>', 'write the diagnostics to a file instead of stdout')
+  .option('--strict', 'exit with an error when there are warnings')
+  .action(
+    run((botDir, { format, out, strict }) => validate(botDir, { format: parseFormat(format), out, strict, version }))
+  );
+
+program
+  .command('build <botDir>')
+  .description('validate the bot, then build its LUIS, QnA Maker and Orchestrator models')
+  .option(...formatOption)
+  .option('-o, --out <file>', 'write the diagnostics to a file instead of stdout')
+  .option('--strict', 'skip the build when there are warnings')
+  .option('--luis-authoring-key <key>', 'LUIS authoring key, overrides the bot settings')
+  .option('--luis-authoring-region <region>', 'LUIS authoring region, overrides the bot settings')
+  .option('--qna-subscription-key <key>', 'QnA Maker subscription key, overrides the bot settings')
+  .action(
+    run((botDir, options) =>
+      build(botDir, {
+        format: parseFormat(options.format),
+        out: options.out,
+        strict: options.strict,
+        version,
+        luisAuthoringKey: options.luisAuthoringKey,
+        luisAuthoringRegion: options.luisAuthoringRegion,
+        qnaSubscriptionKey: options.qnaSubscriptionKey,
+      })
+    )
+  );
+
+program
+  .command('crosstrain <botDir>')
+  .description('cross train the LU and QnA files of a bot into its generated folder')
+  .action(run(crossTrain));
+
+program
+  .command('export <botDir>')
+  .description('export a bot to a zip file, the same way the Export menu does')
+  .requiredOption('-o, --out <file>', 'path of the zip file')
+  .action(run((botDir, options) => exportProject(botDir, options.out)));
+
+program
+  .command('generate-form-dialog <botDir> <name>')
+  .description('generate the dialog and assets of the <name>.form schema in a bot')
+  .option('-t, --templates <dirs...>', 'folders with customized form dialog templates')
+  .action(run((botDir, name, { templates }) => generateFormDialog(botDir, name, { templates })));
+
+program.parseAsync(process.argv);
@@ -0,0 +1,60 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DialogSetting } from '@bfc/shared';
+
+import { getProjectDiagnostics, getReferredResources, hasErrors, indexProject } from '../diagnostics';
+import { formatDiagnostics } from '../formatters';
+import { getProjectAssets, log, openProject, writeOutput } from '../project';
+
+import { ValidateOptions } from './validate';
+
+export type BuildOptions = ValidateOptions & {
+  luisAuthoringKey?: string;
+  luisAuthoringRegion?: string;
+  qnaSubscriptionKey?: string;
+};
+
+// keys are usually kept out of the bot folder in CI, so they can be passed in on the command line instead
+const applyKeys = (settings: DialogSetting, options: BuildOptions) => {
+  settings.luis = {
+    ...settings.luis,
+    authoringKey: options.luisAuthoringKey ?? settings.luis?.authoringKey,
+    authoringRegion: options.luisAuthoringRegion ?? settings.luis?.authoringRegion,
+  };
+  settings.qna = {
+    ...settings.qna,
+    subscriptionKey: options.qnaSubscriptionKey ?? settings.qna?.subscriptionKey,
+  };
+};
+
+export const build = async (botDir: string, options: BuildOptions) => {
+  const project = await openProject(botDir);
+  if (project.settings) {
+    applyKeys(project.settings, options);
+  }
+
+  const assets = getProjectAssets(project);
+  const diagnostics = getProjectDiagnostics(assets);
+  writeOutput(formatDiagnostics(diagnostics, options.format, options.version), options.out);
+
+  if (hasErrors(diagnostics, options.strict)) {
+    log('Build skipped because the bot has errors.');
+    return 1;
+  }
+
+  const { settings } = assets;
+  const { luResource, qnaResource } = getReferredResources(indexProject(assets));
+  log(`Building ${luResource.length} LU and ${qnaResource.length} QnA file(s)...`);
+
+  await project.buildFiles({
+    luisConfig: settings.luis,
+    qnaConfig: settings.qna,
+    orchestratorConfig: settings.orchestrator,
+    luResource,
+    qnaResource,
+  });
+
+  log('Build succeeded.');
+  return 0;
+};
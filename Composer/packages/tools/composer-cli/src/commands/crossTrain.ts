@@ -0,0 +1,22 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getReferredResources, indexProject } from '../diagnostics';
+import { getProjectAssets, log, openProject } from '../project';
+
+export const crossTrain = async (botDir: string) => {
+  const project = await openProject(botDir);
+  if (!project.settings) {
+    log(`Cross train failed because ${project.dir} has no settings.`);
+    return 1;
+  }
+
+  const { luResource, qnaResource } = getReferredResources(indexProject(getProjectAssets(project)));
+
+  await project.crossTrainFiles({ luResource, qnaResource });
+
+  log(
+    `Cross trained ${luResource.length} LU and ${qnaResource.length} QnA file(s) into ${project.builder.generatedFolderPath}.`
+  );
+  return 0;
+};
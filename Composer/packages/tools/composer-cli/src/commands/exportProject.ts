@@ -0,0 +1,38 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import fs from 'fs';
+import path from 'path';
+
+import { Archiver } from 'archiver';
+
+import { log, openProject } from '../project';
+
+export const exportProject = async (botDir: string, out: string) => {
+  const project = await openProject(botDir);
+  const zipPath = path.resolve(out);
+  fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+
+  const output = fs.createWriteStream(zipPath);
+  try {
+    await new Promise<void>((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+
+      project
+        .exportToZip(null, (archive: Archiver) => {
+          archive.on('error', reject);
+          archive.pipe(output);
+        })
+        .catch(reject);
+    });
+  } catch (error) {
+    // do not leave a partial zip behind for CI to pick up
+    output.destroy();
+    if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
+    throw error;
+  }
+
+  log(`Exported ${project.name} to ${zipPath}.`);
+  return 0;
+};
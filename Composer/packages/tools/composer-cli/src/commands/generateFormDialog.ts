@@ -0,0 +1,34 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import path from 'path';
+
+import { FileExtensions } from '@bfc/shared';
+
+import { CliError, log, openProject } from '../project';
+
+export type GenerateFormDialogOptions = {
+  /** folders with customized form dialog templates */
+  templates?: string[];
+};
+
+export const generateFormDialog = async (botDir: string, name: string, options: GenerateFormDialogOptions) => {
+  const project = await openProject(botDir);
+
+  const schemaName = `${name}${FileExtensions.FormDialogSchema}`;
+  if (!project.formDialogSchemaFiles.some((file) => file.name === schemaName)) {
+    throw new CliError(`Form dialog schema ${schemaName} was not found in ${project.dir}.`);
+  }
+
+  const templateDirs = (options.templates ?? []).map((dir) => path.resolve(dir));
+  const { success, errors } = await project.generateDialog(name, templateDirs);
+
+  if (!success) {
+    errors.forEach((error) => log(error));
+    log(`Failed to generate form dialog ${name}.`);
+    return 1;
+  }
+
+  log(`Generated form dialog ${name}.`);
+  return 0;
+};
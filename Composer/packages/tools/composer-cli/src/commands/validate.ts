@@ -0,0 +1,23 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getProjectDiagnostics, hasErrors } from '../diagnostics';
+import { formatDiagnostics, OutputFormat } from '../formatters';
+import { getProjectAssets, openProject, writeOutput } from '../project';
+
+export type ValidateOptions = {
+  format: OutputFormat;
+  out?: string;
+  /** treat warnings as errors */
+  strict?: boolean;
+  version?: string;
+};
+
+export const validate = async (botDir: string, options: ValidateOptions) => {
+  const project = await openProject(botDir);
+  const diagnostics = getProjectDiagnostics(getProjectAssets(project));
+
+  writeOutput(formatDiagnostics(diagnostics, options.format, options.version), options.out);
+
+  return hasErrors(diagnostics, options.strict) ? 1 : 0;
+};
@@ -0,0 +1,167 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { BotIndexer, indexer, lgIndexer, luUtil, qnaUtil, validateDialog, validateSchema } from '@bfc/indexers';
+import {
+  Diagnostic,
+  DiagnosticSeverity,
+  DialogInfo,
+  DialogSetting,
+  FileInfo,
+  lgImportResolverGenerator,
+  LuProviderType,
+  RecognizerFile,
+  SchemaDefinitions,
+  SDKKinds,
+} from '@bfc/shared';
+
+export type ProjectDiagnostic = {
+  severity: DiagnosticSeverity;
+  message: string;
+  /** path of the offending file, relative to the bot folder */
+  file: string;
+  /** the location shown in the Problems pane, e.g. main.dialog or common.en-us.lg */
+  location: string;
+  path?: string;
+  range?: Diagnostic['range'];
+  code?: string;
+};
+
+export type ProjectAssets = {
+  botName: string;
+  files: FileInfo[];
+  settings: DialogSetting;
+  /** the sdk schema merged with the schema overrides of the project */
+  sdkSchema: SchemaDefinitions;
+  /** diagnostics the server reported while loading the project */
+  diagnostics?: Diagnostic[];
+};
+
+const getBaseName = (filename: string) => filename.substring(0, filename.lastIndexOf('.')) || filename;
+
+const getLuProvider = (dialogId: string, recognizers: RecognizerFile[]): LuProviderType | undefined => {
+  let kind: LuProviderType | undefined = undefined;
+  for (const {
+    id,
+    content: { $kind },
+  } of recognizers) {
+    if (id.split('.')[0] === dialogId) {
+      if ($kind === SDKKinds.OrchestratorRecognizer) return $kind;
+      if ($kind === SDKKinds.LuisRecognizer) kind = $kind;
+    }
+  }
+  return kind;
+};
+
+/**
+ * Parses the bot files the same way the client does when a project is opened.
+ */
+export const indexProject = ({ botName, files, settings }: ProjectAssets) => {
+  const assets = indexer.index(files, botName);
+  const { lgResources, luResources, qnaResources, recognizers } = assets;
+
+  const dialogs: DialogInfo[] = assets.dialogs.map((dialog) => ({
+    ...dialog,
+    luProvider: getLuProvider(dialog.id, recognizers),
+  }));
+
+  const lgImportResolver = lgImportResolverGenerator(lgResources, '.lg');
+  const lgFiles = lgResources.map(({ id, content }) => lgIndexer.parse(content, id, lgImportResolver));
+
+  const luFiles = luResources.map(({ id, content }) => {
+    const isOrchestartor = recognizers.some(
+      (f) => f.id === `${id}.lu.dialog` && f.content.$kind === SDKKinds.OrchestratorRecognizer
+    );
+    return luUtil.parse(id, content, { ...settings.luFeatures, isOrchestartor }, luResources);
+  });
+
+  const qnaFiles = qnaResources.map(({ id, content }) => qnaUtil.parse(id, content));
+
+  return { ...assets, dialogs, lgFiles, luFiles, qnaFiles };
+};
+
+export type IndexedProject = ReturnType<typeof indexProject>;
+
+/**
+ * Luis and QnA files that a build or cross train of the project would pick up.
+ */
+export const getReferredResources = ({ dialogs, luFiles, qnaFiles }: IndexedProject) => {
+  const isReferred = (id: string, key: 'luFile' | 'qnaFile') =>
+    dialogs.some((dialog) => dialog[key]?.replace(/\.(lu|qna)$/, '') === getBaseName(id));
+
+  return {
+    luResource: luFiles.filter(({ id }) => isReferred(id, 'luFile')).map(({ id, empty }) => ({ id, isEmpty: empty })),
+    qnaResource: qnaFiles
+      .filter(({ id }) => isReferred(id, 'qnaFile'))
+      .map(({ id, empty }) => ({ id, isEmpty: empty })),
+  };
+};
+
+/**
+ * Collects the same diagnostics the Problems pane shows for a single bot.
+ */
+export const getProjectDiagnostics = (project: ProjectAssets): ProjectDiagnostic[] => {
+  const { files, settings, sdkSchema } = project;
+  const indexed = indexProject(project);
+  const {
+    dialogs,
+    lgFiles,
+    luFiles,
+    qnaFiles,
+    dialogSchemas,
+    skillManifests,
+    botProjectSpaceFiles,
+    recognizers,
+  } = indexed;
+  const locale = settings.defaultLanguage;
+
+  const result: ProjectDiagnostic[] = [];
+  const add = (location: string, diagnostics: Diagnostic[]) => {
+    // skill diagnostics use the bare dialog id as their source
+    const file = files.find(({ name }) => name === location || name === `${location}.dialog`);
+    diagnostics.forEach(({ severity, message, path, range, code }) => {
+      result.push({ severity, message, file: file?.relativePath ?? location, location, path, range, code });
+    });
+  };
+  const addBySource = (diagnostics: Diagnostic[]) => diagnostics.forEach((d) => add(d.source, [d]));
+
+  addBySource(project.diagnostics ?? []);
+  addBySource(
+    BotIndexer.validate({
+      dialogs,
+      lgFiles,
+      luFiles,
+      qnaFiles,
+      setting: settings,
+      skillManifests,
+      botProjectFile: botProjectSpaceFiles[0],
+      recognizers,
+      isRootBot: true,
+    })
+  );
+
+  // the sdk.schema file of the project is indexed with an empty id
+  const projectSchema: SchemaDefinitions | undefined = dialogSchemas.find(({ id }) => id === '')?.content;
+
+  dialogs.forEach((dialog) => {
+    const lgFile = lgFiles.find(({ id }) => id === `${dialog.id}.${locale}`);
+    const { diagnostics } = validateDialog(dialog, sdkSchema, settings, lgFile ? [lgFile] : [], []);
+    add(`${dialog.id}.dialog`, diagnostics ?? []);
+    if (projectSchema) {
+      add(`${dialog.id}.dialog`, validateSchema(dialog.id, dialog.content, projectSchema));
+    }
+  });
+
+  luFiles
+    .filter(({ id, content }) => !!content && dialogs.some(({ luFile }) => luFile === getBaseName(id)))
+    .forEach((luFile) => add(`${luFile.id}.lu`, luFile.diagnostics));
+  lgFiles.forEach((lgFile) => add(`${lgFile.id}.lg`, lgFile.diagnostics));
+  qnaFiles.forEach((qnaFile) => add(`${qnaFile.id}.qna`, qnaFile.diagnostics ?? []));
+
+  return result;
+};
+
+export const hasErrors = (diagnostics: ProjectDiagnostic[], strict = false) =>
+  diagnostics.some(
+    ({ severity }) => severity === DiagnosticSeverity.Error || (strict && severity === DiagnosticSeverity.Warning)
+  );
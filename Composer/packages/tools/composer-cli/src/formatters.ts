@@ -0,0 +1,121 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DiagnosticSeverity } from '@bfc/shared';
+
+import { ProjectDiagnostic } from './diagnostics';
+
+export type OutputFormat = 'text' | 'json' | 'sarif';
+
+export const outputFormats: OutputFormat[] = ['text', 'json', 'sarif'];
+
+const severityNames = {
+  [DiagnosticSeverity.Error]: 'error',
+  [DiagnosticSeverity.Warning]: 'warning',
+  [DiagnosticSeverity.Information]: 'information',
+  [DiagnosticSeverity.Hint]: 'hint',
+};
+
+const sarifLevels = {
+  [DiagnosticSeverity.Error]: 'error',
+  [DiagnosticSeverity.Warning]: 'warning',
+  [DiagnosticSeverity.Information]: 'note',
+  [DiagnosticSeverity.Hint]: 'note',
+};
+
+// diagnostics without a code are grouped by the kind of file they were reported on
+const getRuleId = ({ code, location }: ProjectDiagnostic) => {
+  if (code) return code;
+  const extension = /\.(dialog|lg|lu|qna|json)$/.exec(location);
+  return extension ? `composer/${extension[1]}` : 'composer/bot';
+};
+
+const formatPosition = ({ range, path }: ProjectDiagnostic) => {
+  if (range && range.start.line > 0) return `:${range.start.line}:${range.start.character + 1}`;
+  if (path) return ` (${path})`;
+  return '';
+};
+
+export const formatText = (diagnostics: ProjectDiagnostic[]) => {
+  const lines = diagnostics.map(
+    (d) => `${d.file}${formatPosition(d)} - ${severityNames[d.severity]}: ${d.message.trim()}`
+  );
+  const count = (severity: DiagnosticSeverity) => diagnostics.filter((d) => d.severity === severity).length;
+  lines.push(`${count(DiagnosticSeverity.Error)} error(s), ${count(DiagnosticSeverity.Warning)} warning(s)`);
+  return lines.join('\n');
+};
+
+export const formatJson = (diagnostics: ProjectDiagnostic[]) =>
+  JSON.stringify(
+    diagnostics.map((d) => ({ ...d, severity: severityNames[d.severity] })),
+    null,
+    2
+  );
+
+/**
+ * Static Analysis Results Interchange Format, understood by most CI code scanning tools.
+ * https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ */
+export const formatSarif = (diagnostics: ProjectDiagnostic[], version = '0.0.0') => {
+  const ruleIds = Array.from(new Set(diagnostics.map(getRuleId)));
+
+  const results = diagnostics.map((d) => {
+    const physicalLocation: Record<string, any> = {
+      artifactLocation: { uri: d.file, uriBaseId: '%SRCROOT%' },
+    };
+    if (d.range && d.range.start.line > 0) {
+      physicalLocation.region = {
+        startLine: d.range.start.line,
+        startColumn: d.range.start.character + 1,
+        endLine: Math.max(d.range.end.line, d.range.start.line),
+        endColumn: d.range.end.character + 1,
+      };
+    }
+
+    return {
+      ruleId: getRuleId(d),
+      ruleIndex: ruleIds.indexOf(getRuleId(d)),
+      level: sarifLevels[d.severity],
+      message: { text: d.message.trim() },
+      locations: [
+        {
+          physicalLocation,
+          ...(d.path ? { logicalLocations: [{ fullyQualifiedName: d.path }] } : {}),
+        },
+      ],
+    };
+  });
+
+  return JSON.stringify(
+    {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'composer-cli',
+              version,
+              informationUri: 'https://github.com/microsoft/BotFramework-Composer',
+              rules: ruleIds.map((id) => ({ id })),
+            },
+          },
+          results,
+        },
+      ],
+    },
+    null,
+    2
+  );
+};
+
+export const formatDiagnostics = (diagnostics: ProjectDiagnostic[], format: OutputFormat, version?: string) => {
+  switch (format) {
+    case 'json':
+      return formatJson(diagnostics);
+    case 'sarif':
+      return formatSarif(diagnostics, version);
+    default:
+      return formatText(diagnostics);
+  }
+};
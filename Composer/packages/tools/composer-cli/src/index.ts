@@ -0,0 +1,11 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+export * from './commands/build';
+export * from './commands/crossTrain';
+export * from './commands/exportProject';
+export * from './commands/generateFormDialog';
+export * from './commands/validate';
+export * from './diagnostics';
+export * from './formatters';
+export { CliError, openProject, getProjectAssets } from './project';
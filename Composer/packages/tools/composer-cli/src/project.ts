@@ -0,0 +1,47 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import fs from 'fs';
+import path from 'path';
+
+import { DialogSetting } from '@bfc/shared';
+import { BotProject } from '@bfc/server';
+
+import { ProjectAssets } from './diagnostics';
+
+/**
+ * An error caused by the command line input rather than by the bot project itself.
+ */
+export class CliError extends Error {}
+
+export const openProject = async (botDir: string) => {
+  const dir = path.resolve(botDir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new CliError(`Bot folder ${dir} does not exist.`);
+  }
+
+  const project = new BotProject({ storageId: 'default', path: dir });
+  await project.init();
+
+  if (project.dialogFiles.length === 0) {
+    throw new CliError(`${dir} does not contain a Composer bot project.`);
+  }
+  return project;
+};
+
+export const getProjectAssets = (project: BotProject): ProjectAssets => {
+  const { botName, files, settings, schemas, diagnostics } = project.getProject();
+  return { botName, files, settings: settings as DialogSetting, sdkSchema: schemas.sdk.content, diagnostics };
+};
+
+export const writeOutput = (content: string, out?: string) => {
+  if (out) {
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, `${content}\n`);
+  } else {
+    process.stdout.write(`${content}\n`);
+  }
+};
+
+// progress messages go to stderr so that stdout only carries the requested output
+export const log = (message: string) => process.stderr.write(`${message}\n`);
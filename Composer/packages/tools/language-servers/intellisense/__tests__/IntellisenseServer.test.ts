@@ -8,6 +8,7 @@ import {
   CompletionParams,
   DidChangeTextDocumentParams,
   DidChangeConfigurationParams,
+  TextDocumentPositionParams,
 } from 'vscode-languageserver';
 
 import { startServer } from './helpers/server';
@@ -213,4 +214,59 @@ describe('Intellisense LSP server test', () => {
 
     currentMessageId += 1;
   });
+
+  it('should return the signature of the function being called in an expression', async () => {
+    const didChangeConfigurationParams: DidChangeConfigurationParams = {
+      settings: {
+        scopes: ['expressions'],
+      },
+    };
+
+    await send(
+      `{ "jsonrpc":"2.0","method":"workspace/didChangeConfiguration","params": ${JSON.stringify(
+        didChangeConfigurationParams
+      )} }`,
+      []
+    );
+
+    typedText = '=add(1, ';
+    currentDocumentVersion += 1;
+    const didChangeTextDocumentParams: DidChangeTextDocumentParams = {
+      contentChanges: [{ text: typedText }],
+      textDocument: {
+        uri: FIELD_URI,
+        version: currentDocumentVersion,
+      },
+    };
+
+    await send(
+      `{ "jsonrpc":"2.0","method":"textDocument/didChange","params": ${JSON.stringify(didChangeTextDocumentParams)} }`,
+      []
+    );
+
+    const signatureHelpParams: TextDocumentPositionParams = {
+      position: {
+        line: 0,
+        character: typedText.length,
+      },
+      textDocument: {
+        uri: FIELD_URI,
+      },
+    };
+
+    await send(
+      `{ "jsonrpc":"2.0","id":${currentMessageId},"method":"textDocument/signatureHelp","params": ${JSON.stringify(
+        signatureHelpParams
+      )} }`,
+      [
+        (response) => {
+          expect(response.id).toEqual(currentMessageId);
+          expect(response.result.signatures[0].label).toEqual('add(num1: number, num2: number): number');
+          expect(response.result.activeParameter).toEqual(1);
+        },
+      ]
+    );
+
+    currentMessageId += 1;
+  });
 });
@@ -0,0 +1,91 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import {
+  getCallAtOffset,
+  getExpressionDiagnostics,
+  getFunctionSignature,
+  getIdentifierAtOffset,
+  inferExpressionType,
+  parseFunctionParameter,
+} from '../src/utils/expressionAnalyzer';
+
+const memoryTypes = { 'user.age': 'number', 'user.name': 'string', 'dialog.items': 'array' } as const;
+
+describe('parseFunctionParameter', () => {
+  it('reads optional, variadic and union parameters', () => {
+    expect(parseFunctionParameter('locale?: string')).toMatchObject({
+      name: 'locale',
+      types: ['string'],
+      optional: true,
+      variadic: false,
+    });
+    expect(parseFunctionParameter('...numbers: number[]')).toMatchObject({ name: 'numbers', types: ['number'] });
+    expect(parseFunctionParameter('collection: string|Array').types).toEqual(['string', 'array']);
+  });
+});
+
+describe('getFunctionSignature', () => {
+  it('describes a prebuilt function', () => {
+    expect(getFunctionSignature('add')?.label).toBe('add(num1: number, num2: number): number');
+    expect(getFunctionSignature('missing')).toBeUndefined();
+  });
+});
+
+describe('inferExpressionType', () => {
+  it('infers literals, memory paths, calls and operators', () => {
+    expect(inferExpressionType("='hi'")).toBe('string');
+    expect(inferExpressionType('=user.age', memoryTypes)).toBe('number');
+    expect(inferExpressionType('=$items', memoryTypes)).toBe('array');
+    expect(inferExpressionType('=add(1, 2)')).toBe('number');
+    expect(inferExpressionType('=user.age > 18', memoryTypes)).toBe('boolean');
+    expect(inferExpressionType("=user.name + '!'", memoryTypes)).toBe('string');
+    expect(inferExpressionType('=user.other')).toBe('any');
+  });
+});
+
+describe('getExpressionDiagnostics', () => {
+  it('reports the arguments of the wrong type', () => {
+    expect(getExpressionDiagnostics('=add(user.name, 1)', memoryTypes)).toEqual([
+      { message: 'add expects number for num1, got string.', start: 5, end: 14 },
+    ]);
+  });
+
+  it('reports the number of arguments of closed calls only', () => {
+    expect(getExpressionDiagnostics('=add(1)')[0].message).toBe('add expects at least 2 arguments, got 1.');
+    expect(getExpressionDiagnostics('=add(1, ')).toEqual([]);
+    expect(getExpressionDiagnostics('=add(1, 2, 3)')[0].message).toBe('add expects at most 2 arguments, got 3.');
+  });
+
+  it('reports arithmetic on other types than numbers', () => {
+    expect(getExpressionDiagnostics('=user.name * 2', memoryTypes)).toEqual([
+      { message: 'Operator * expects numbers, got string.', start: 1, end: 10 },
+    ]);
+  });
+
+  it('accepts values of unknown types', () => {
+    expect(getExpressionDiagnostics('=add(user.other, first(dialog.items)) + max(1, 2, 3)', memoryTypes)).toEqual([]);
+  });
+});
+
+describe('getCallAtOffset', () => {
+  it('finds the innermost call and the active argument', () => {
+    const text = '=concat(user.name, add(1, ';
+    expect(getCallAtOffset(text, text.length)).toEqual({ name: 'add', activeParameter: 1 });
+    expect(getCallAtOffset(text, 17)).toEqual({ name: 'concat', activeParameter: 0 });
+    expect(getCallAtOffset('=concat([1, 2', 13)).toEqual({ name: 'concat', activeParameter: 0 });
+    expect(getCallAtOffset('=user.name', 5)).toBeUndefined();
+  });
+});
+
+describe('getIdentifierAtOffset', () => {
+  it('finds the identifier and whether it is called', () => {
+    expect(getIdentifierAtOffset('=add(user.age, 1)', 2)).toEqual({ value: 'add', isCall: true, start: 1, end: 4 });
+    expect(getIdentifierAtOffset('=add(user.age, 1)', 8)).toEqual({
+      value: 'user.age',
+      isCall: false,
+      start: 5,
+      end: 13,
+    });
+  });
+});
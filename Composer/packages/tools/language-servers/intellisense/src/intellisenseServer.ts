@@ -6,15 +6,36 @@ import {
   DidChangeConfigurationParams,
   IConnection,
   InitializeParams,
+  MarkupKind,
+  TextDocument,
+  TextDocumentPositionParams,
   TextDocuments,
 } from 'vscode-languageserver';
-import { CompletionItem, CompletionList } from 'vscode-languageserver-types';
+import {
+  CompletionItem,
+  CompletionList,
+  Diagnostic,
+  DiagnosticSeverity,
+  Hover,
+  Range,
+  SignatureHelp,
+} from 'vscode-languageserver-types';
 import Fuse from 'fuse.js';
 
 import { expressionsResolver } from './resolvers/expressions';
 import { userVariablesResolver } from './resolvers/userVariables';
 import { variableScopesResolver } from './resolvers/variableScopes';
 import { getCompletionString, getRangeAtPosition } from './utils/intellisenseServerUtils';
+import { builtInMemoryTypes } from './utils/builtInMemoryTypes';
+import {
+  getCallAtOffset,
+  getExpressionDiagnostics,
+  getFunctionSignature,
+  getIdentifierAtOffset,
+  getMemoryType,
+  MemoryTypes,
+  toExpressionType,
+} from './utils/expressionAnalyzer';
 
 type IntellisenseScope = 'expressions' | 'user-variables' | 'variable-scopes';
 
@@ -25,15 +46,22 @@ export class IntellisenseServer {
   protected scopes: IntellisenseScope[] | undefined;
   // Project id is necessary when calling memoryResolver to get user variables
   protected projectId: string | undefined;
+  // Documents with diagnostics, the others do not need a notification to clear them
+  protected readonly documentsWithDiagnostics = new Set<string>();
 
   constructor(
     protected readonly connection: IConnection,
-    protected readonly memoryResolver: (projectId: string) => string[]
+    protected readonly memoryResolver: (projectId: string) => string[],
+    // json schema types of the memory paths the dialogs declare, like the properties of their schemas
+    protected readonly memoryTypesResolver?: (projectId: string) => Record<string, string>
   ) {
     this.documents.listen(connection);
+    this.documents.onDidChangeContent((change) => this.validate(change.document));
     this.connection.onInitialize((params) => this.initialize(params));
     this.connection.onDidChangeConfiguration((params) => this.changeConfiguration(params));
     this.connection.onCompletion(async (params) => this.completion(params));
+    this.connection.onSignatureHelp(async (params) => this.signatureHelp(params));
+    this.connection.onHover(async (params) => this.hover(params));
   }
 
   start() {
@@ -49,12 +77,17 @@ export class IntellisenseServer {
         completionProvider: {
           resolveProvider: true,
         },
+        signatureHelpProvider: {
+          triggerCharacters: ['(', ','],
+        },
+        hoverProvider: true,
       },
     };
   };
 
   protected changeConfiguration = (params: DidChangeConfigurationParams) => {
     this.scopes = params.settings.scopes;
+    this.documents.all().forEach((document) => this.validate(document));
   };
 
   protected async completion(params: CompletionParams): Promise<CompletionList | null> {
@@ -99,6 +132,81 @@ export class IntellisenseServer {
     return Promise.resolve(null);
   }
 
+  protected async signatureHelp(params: TextDocumentPositionParams): Promise<SignatureHelp | null> {
+    const text = this.getExpressionText(params.textDocument.uri);
+    if (text === undefined) return null;
+
+    const call = getCallAtOffset(text, params.position.character);
+    const signature = call && getFunctionSignature(call.name);
+    if (!call || !signature) return null;
+
+    const { label, documentation, parameters } = signature;
+    const variadicIndex = parameters.findIndex(({ variadic }) => variadic);
+    return {
+      signatures: [{ label, documentation, parameters: parameters.map((parameter) => ({ label: parameter.label })) }],
+      activeSignature: 0,
+      activeParameter: variadicIndex === -1 ? call.activeParameter : Math.min(call.activeParameter, variadicIndex),
+    };
+  }
+
+  protected async hover(params: TextDocumentPositionParams): Promise<Hover | null> {
+    const text = this.getExpressionText(params.textDocument.uri);
+    if (text === undefined) return null;
+
+    const identifier = getIdentifierAtOffset(text, params.position.character);
+    if (!identifier) return null;
+
+    const range = Range.create(0, identifier.start, 0, identifier.end);
+    const signature = getFunctionSignature(identifier.value);
+    if (signature && identifier.isCall) {
+      return {
+        contents: { kind: MarkupKind.Markdown, value: `~~~\n${signature.label}\n~~~\n${signature.documentation}` },
+        range,
+      };
+    }
+
+    const type = getMemoryType(identifier.value, this.getMemoryTypes());
+    return type === 'any'
+      ? null
+      : { contents: { kind: MarkupKind.Markdown, value: `${identifier.value}: ${type}` }, range };
+  }
+
+  // the language service only reads expressions, the values of the fields starting with =
+  protected getExpressionText(uri: string): string | undefined {
+    const text = this.documents.get(uri)?.getText();
+    if (!this.scopes?.includes('expressions') || !text?.trim().startsWith('=')) return;
+    return text;
+  }
+
+  protected getMemoryTypes(): MemoryTypes {
+    const projectTypes = (this.projectId && this.memoryTypesResolver?.(this.projectId)) || {};
+    return Object.keys(projectTypes).reduce(
+      (types, path) => ({ ...types, [path]: toExpressionType(projectTypes[path]) }),
+      builtInMemoryTypes
+    );
+  }
+
+  protected validate(document: TextDocument): void {
+    const text = this.getExpressionText(document.uri);
+    const diagnostics: Diagnostic[] =
+      text === undefined
+        ? []
+        : getExpressionDiagnostics(text, this.getMemoryTypes()).map(({ message, start, end }) => ({
+            message,
+            range: Range.create(0, start, 0, end),
+            severity: DiagnosticSeverity.Warning,
+            source: 'expression',
+          }));
+
+    if (!diagnostics.length && !this.documentsWithDiagnostics.has(document.uri)) return;
+    if (diagnostics.length) {
+      this.documentsWithDiagnostics.add(document.uri);
+    } else {
+      this.documentsWithDiagnostics.delete(document.uri);
+    }
+    this.connection.sendDiagnostics({ uri: document.uri, diagnostics });
+  }
+
   protected getCompletionItems(): CompletionItem[] {
     let completionItems: CompletionItem[] = [];
 
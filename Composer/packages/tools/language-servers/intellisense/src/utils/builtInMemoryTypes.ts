@@ -0,0 +1,44 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { MemoryTypes } from './expressionAnalyzer';
+
+// types of the memory the runtime sets, the other default properties can hold any value
+export const builtInMemoryTypes: MemoryTypes = {
+  'this.turnCount': 'number',
+  'this.options': 'object',
+  'dialog.eventCounter': 'number',
+  'dialog.expectedProperties': 'array',
+  'dialog.requiredProperties': 'array',
+  'dialog.retries': 'number',
+  'dialog.lastIntent': 'string',
+  'turn.recognized': 'object',
+  'turn.recognized.intent': 'string',
+  'turn.recognized.score': 'number',
+  'turn.recognized.text': 'string',
+  'turn.recognized.alteredText': 'string',
+  'turn.recognized.entities': 'object',
+  'turn.recognized.intents': 'object',
+  'turn.unrecognizedText': 'string',
+  'turn.interrupted': 'boolean',
+  'turn.repeatedIds': 'array',
+  'turn.activityProcessed': 'boolean',
+  'turn.activity.type': 'string',
+  'turn.activity.timestamp': 'string',
+  'turn.activity.localTimestamp': 'string',
+  'turn.activity.localTimezone': 'string',
+  'turn.activity.from': 'object',
+  'turn.activity.recipient': 'object',
+  'turn.activity.topicName': 'string',
+  'turn.activity.locale': 'string',
+  'turn.activity.text': 'string',
+  'turn.activity.speak': 'string',
+  'turn.activity.summary': 'string',
+  'turn.activity.suggestedActions': 'object',
+  'turn.activity.attachments': 'array',
+  'turn.activity.entities': 'array',
+  'turn.activity.action': 'string',
+  'turn.activity.name': 'string',
+  'turn.activity.importance': 'string',
+  'turn.activity.semanticAction': 'object',
+};
@@ -0,0 +1,475 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { buildInFunctionsMap } from '@bfc/built-in-functions';
+
+/**
+ * A light weight reading of adaptive expressions for the language service of the expression fields: types of the
+ * values, signatures of the prebuilt functions and type mismatches of their arguments. It does not validate the
+ * syntax, the expression parser does it when the bot runs.
+ */
+
+export type ExpressionType = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any';
+
+export type MemoryTypes = Record<string, ExpressionType>;
+
+export type ExpressionDiagnostic = {
+  message: string;
+  start: number;
+  end: number;
+};
+
+type Token = {
+  kind: 'number' | 'string' | 'identifier' | 'operator' | 'punctuation';
+  value: string;
+  start: number;
+  end: number;
+};
+
+type ExpressionNode =
+  | { kind: 'literal'; type: ExpressionType; items?: ExpressionNode[]; start: number; end: number }
+  | { kind: 'path'; path: string; start: number; end: number }
+  | { kind: 'call'; name: string; args: ExpressionNode[]; closed: boolean; start: number; end: number }
+  | { kind: 'unary'; operator: string; operand: ExpressionNode; start: number; end: number }
+  | { kind: 'binary'; operator: string; left: ExpressionNode; right: ExpressionNode; start: number; end: number }
+  | { kind: 'unknown'; start: number; end: number };
+
+type FunctionParameter = {
+  label: string;
+  name: string;
+  types: ExpressionType[];
+  optional: boolean;
+  variadic: boolean;
+};
+
+const operators = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '&'];
+
+// lowest precedence first
+const binaryOperators = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-', '&'], ['*', '/', '%'], ['^']];
+
+const arithmeticOperators = ['-', '*', '/', '%', '^'];
+
+const returnTypeFlags: [number, ExpressionType][] = [
+  [16, 'array'],
+  [8, 'string'],
+  [4, 'object'],
+  [2, 'number'],
+  [1, 'boolean'],
+];
+
+const typeNames: Record<string, ExpressionType> = {
+  string: 'string',
+  xml: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  bool: 'boolean',
+  object: 'object',
+  map: 'object',
+  array: 'array',
+};
+
+/**
+ * Maps a type name of a function parameter or of a json schema to an expression type.
+ */
+export const toExpressionType = (typeName: unknown): ExpressionType => {
+  if (typeof typeName !== 'string') return 'any';
+  const name = typeName.trim();
+  if (name.endsWith('[]')) return 'array';
+  return typeNames[name.toLowerCase()] ?? 'any';
+};
+
+/**
+ * The types in the flags of the ReturnType of a prebuilt function.
+ */
+export const getReturnTypes = (returnType: number): ExpressionType[] => {
+  let flags = returnType;
+  return returnTypeFlags.reduce((types: ExpressionType[], [flag, type]) => {
+    if (flags >= flag) {
+      flags -= flag;
+      types.push(type);
+    }
+    return types;
+  }, []);
+};
+
+/**
+ * Reads a parameter of a prebuilt function, like 'text: string', 'locale?: string' or '...numbers: number[]'.
+ */
+export const parseFunctionParameter = (label: string): FunctionParameter => {
+  const [rawName, rawType = 'any'] = label.split(':');
+  const variadic = rawName.trim().startsWith('...');
+  const optional = rawName.includes('?');
+  const name = rawName.replace(/[.?]/g, '').trim();
+  // each argument of a variadic parameter is an item of its array
+  const typeText = variadic ? rawType.trim().replace(/\[\]$/, '') : rawType;
+  const types = typeText.split('|').map(toExpressionType);
+
+  return { label, name, types: Array.from(new Set(types)), optional, variadic };
+};
+
+export const getFunctionSignature = (name: string) => {
+  const entity = buildInFunctionsMap.get(name);
+  if (!entity) return;
+
+  const returnTypes = getReturnTypes(entity.Returntype.valueOf() as number);
+  return {
+    name,
+    parameters: entity.Params.map(parseFunctionParameter),
+    returnTypes,
+    label: `${name}(${entity.Params.join(', ')}): ${returnTypes.join(' | ') || 'any'}`,
+    documentation: entity.Introduction,
+  };
+};
+
+/* eslint-disable security/detect-unsafe-regex */
+const tokenPatterns: [Token['kind'], RegExp][] = [
+  ['number', /^\d+(\.\d+)?/],
+  ['string', /^('([^'\\]|\\.)*'?|"([^"\\]|\\.)*"?|`([^`\\]|\\.)*`?)/],
+  ['identifier', /^[a-zA-Z_@$#][\w]*(\.[a-zA-Z_][\w]*)*/],
+];
+/* eslint-enable security/detect-unsafe-regex */
+
+export const tokenize = (text: string): Token[] => {
+  const tokens: Token[] = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const rest = text.substring(index);
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace) {
+      index += whitespace[0].length;
+      continue;
+    }
+
+    const pattern = tokenPatterns.find(([, regex]) => regex.test(rest));
+    const operator = operators.find((item) => rest.startsWith(item));
+    const value = pattern ? (pattern[1].exec(rest) as RegExpExecArray)[0] : operator ?? rest[0];
+    const kind = pattern ? pattern[0] : operator ? 'operator' : 'punctuation';
+    tokens.push({ kind, value, start: index, end: index + value.length });
+    index += value.length;
+  }
+
+  return tokens;
+};
+
+/**
+ * The leading = of the expression fields is not part of the expression, blanking it keeps the offsets of the field.
+ */
+const stripEqualsSign = (text: string) => text.replace(/^(\s*)=/, '$1 ');
+
+class ExpressionParser {
+  private index = 0;
+
+  constructor(private readonly tokens: Token[], private readonly textLength: number) {}
+
+  parse(): ExpressionNode[] {
+    const nodes: ExpressionNode[] = [];
+    while (this.peek()) {
+      const start = this.index;
+      nodes.push(this.parseBinary(0));
+      // skip what can not start an expression, like an unbalanced )
+      if (this.index === start) this.index++;
+    }
+    return nodes;
+  }
+
+  private peek(offset = 0): Token | undefined {
+    return this.tokens[this.index + offset];
+  }
+
+  private isPunctuation(value: string, offset = 0) {
+    const token = this.peek(offset);
+    return token?.kind === 'punctuation' && token.value === value;
+  }
+
+  private get end() {
+    return this.tokens[this.index - 1]?.end ?? 0;
+  }
+
+  private parseBinary(level: number): ExpressionNode {
+    if (level >= binaryOperators.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    let token = this.peek();
+    while (token?.kind === 'operator' && binaryOperators[level].includes(token.value)) {
+      this.index++;
+      const right = this.parseBinary(level + 1);
+      left = { kind: 'binary', operator: token.value, left, right, start: left.start, end: right.end };
+      token = this.peek();
+    }
+    return left;
+  }
+
+  private parseUnary(): ExpressionNode {
+    const token = this.peek();
+    if (token?.kind === 'operator' && ['!', '-', '+'].includes(token.value)) {
+      this.index++;
+      const operand = this.parseUnary();
+      return { kind: 'unary', operator: token.value, operand, start: token.start, end: operand.end };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  // accessors like [0] and .name after a value, the path of the memory is not known anymore
+  private parsePostfix(node: ExpressionNode): ExpressionNode {
+    let result = node;
+    while (this.isPunctuation('[') || (this.isPunctuation('.') && this.peek(1)?.kind === 'identifier')) {
+      if (this.isPunctuation('.')) {
+        this.index += 2;
+      } else {
+        this.parseList(']');
+      }
+      result = { kind: 'unknown', start: result.start, end: this.end };
+    }
+    return result;
+  }
+
+  private parseList(closing: string): { items: ExpressionNode[]; closed: boolean } {
+    // the opening token
+    this.index++;
+    const items: ExpressionNode[] = [];
+    while (this.peek() && !this.isPunctuation(closing)) {
+      if (this.isPunctuation(',')) {
+        this.index++;
+        continue;
+      }
+      const start = this.index;
+      items.push(this.parseBinary(0));
+      if (this.index === start) this.index++;
+    }
+    const closed = this.isPunctuation(closing);
+    if (closed) this.index++;
+    return { items, closed };
+  }
+
+  private parsePrimary(): ExpressionNode {
+    const token = this.peek();
+    if (!token) return { kind: 'unknown', start: this.textLength, end: this.textLength };
+
+    const { start, end } = token;
+    switch (token.kind) {
+      case 'number':
+        this.index++;
+        return { kind: 'literal', type: 'number', start, end };
+      case 'string':
+        this.index++;
+        return { kind: 'literal', type: 'string', start, end };
+      case 'identifier':
+        if (this.isPunctuation('(', 1)) {
+          this.index++;
+          const { items, closed } = this.parseList(')');
+          return { kind: 'call', name: token.value, args: items, closed, start, end: this.end };
+        }
+        this.index++;
+        if (['true', 'false'].includes(token.value)) return { kind: 'literal', type: 'boolean', start, end };
+        if (token.value === 'null') return { kind: 'literal', type: 'any', start, end };
+        return { kind: 'path', path: token.value, start, end };
+      case 'punctuation':
+        if (token.value === '(') {
+          const { items } = this.parseList(')');
+          return items.length === 1 ? items[0] : { kind: 'unknown', start, end: this.end };
+        }
+        if (token.value === '[') {
+          const { items } = this.parseList(']');
+          return { kind: 'literal', type: 'array', items, start, end: this.end };
+        }
+        if (token.value === '{') {
+          // the values of the properties, the keys and the : are skipped
+          const { items } = this.parseList('}');
+          return { kind: 'literal', type: 'object', items, start, end: this.end };
+        }
+        if (token.value === ':') {
+          this.index++;
+          return this.parseBinary(0);
+        }
+        return { kind: 'unknown', start, end };
+      default:
+        return { kind: 'unknown', start, end };
+    }
+  }
+}
+
+const parse = (text: string): ExpressionNode[] => {
+  const expression = stripEqualsSign(text);
+  return new ExpressionParser(tokenize(expression), expression.length).parse();
+};
+
+/**
+ * The type of a memory path, $name is the short hand of dialog.name.
+ */
+export const getMemoryType = (path: string, memoryTypes: MemoryTypes): ExpressionType => {
+  const fullPath = path.startsWith('$') ? `dialog.${path.substring(1)}` : path;
+  return memoryTypes[fullPath] ?? 'any';
+};
+
+const inferType = (node: ExpressionNode, memoryTypes: MemoryTypes): ExpressionType => {
+  switch (node.kind) {
+    case 'literal':
+      return node.type;
+    case 'path':
+      return getMemoryType(node.path, memoryTypes);
+    case 'call': {
+      const returnTypes = getFunctionSignature(node.name)?.returnTypes ?? [];
+      // object is also the return type of the functions returning any value, like if() or first()
+      return returnTypes.length === 1 && returnTypes[0] !== 'object' ? returnTypes[0] : 'any';
+    }
+    case 'unary':
+      return node.operator === '!' ? 'boolean' : 'number';
+    case 'binary': {
+      if (['||', '&&', '==', '!=', '<', '<=', '>', '>='].includes(node.operator)) return 'boolean';
+      if (node.operator === '&') return 'string';
+      if (node.operator !== '+') return 'number';
+      const types = [inferType(node.left, memoryTypes), inferType(node.right, memoryTypes)];
+      if (types.includes('string')) return 'string';
+      return types.every((type) => type === 'number') ? 'number' : 'any';
+    }
+    default:
+      return 'any';
+  }
+};
+
+/**
+ * The type of the value of an expression, 'any' when it can not be known before the bot runs.
+ */
+export const inferExpressionType = (text: string, memoryTypes: MemoryTypes = {}): ExpressionType => {
+  const nodes = parse(text);
+  return nodes.length === 1 ? inferType(nodes[0], memoryTypes) : 'any';
+};
+
+const isCompatible = (actual: ExpressionType, expected: ExpressionType[]) =>
+  actual === 'any' ||
+  !expected.length ||
+  expected.includes('any') ||
+  expected.includes(actual) ||
+  (actual === 'array' && expected.includes('object'));
+
+const checkNode = (node: ExpressionNode, memoryTypes: MemoryTypes, diagnostics: ExpressionDiagnostic[]) => {
+  switch (node.kind) {
+    case 'literal':
+      node.items?.forEach((item) => checkNode(item, memoryTypes, diagnostics));
+      return;
+    case 'unary':
+      checkNode(node.operand, memoryTypes, diagnostics);
+      if (node.operator !== '!') {
+        const type = inferType(node.operand, memoryTypes);
+        if (!isCompatible(type, ['number'])) {
+          diagnostics.push({
+            message: `Operator ${node.operator} expects a number, got ${type}.`,
+            start: node.start,
+            end: node.end,
+          });
+        }
+      }
+      return;
+    case 'binary':
+      checkNode(node.left, memoryTypes, diagnostics);
+      checkNode(node.right, memoryTypes, diagnostics);
+      if (arithmeticOperators.includes(node.operator)) {
+        [node.left, node.right].forEach((operand) => {
+          const type = inferType(operand, memoryTypes);
+          if (!isCompatible(type, ['number'])) {
+            diagnostics.push({
+              message: `Operator ${node.operator} expects numbers, got ${type}.`,
+              start: operand.start,
+              end: operand.end,
+            });
+          }
+        });
+      }
+      return;
+    case 'call': {
+      node.args.forEach((arg) => checkNode(arg, memoryTypes, diagnostics));
+      const signature = getFunctionSignature(node.name);
+      if (!signature) return;
+
+      const { name, parameters } = signature;
+      const required = parameters.filter(({ optional, variadic }) => !optional && !variadic).length;
+      const variadic = parameters.find((parameter) => parameter.variadic);
+      // an open call is still being typed
+      if (node.closed && node.args.length < required) {
+        diagnostics.push({
+          message: `${name} expects at least ${required} arguments, got ${node.args.length}.`,
+          start: node.start,
+          end: node.end,
+        });
+      }
+      if (!variadic && node.args.length > parameters.length) {
+        diagnostics.push({
+          message: `${name} expects at most ${parameters.length} arguments, got ${node.args.length}.`,
+          start: node.start,
+          end: node.end,
+        });
+      }
+
+      node.args.forEach((arg, index) => {
+        const parameter = parameters[index]?.variadic ? variadic : parameters[index] ?? variadic;
+        if (!parameter) return;
+        const type = inferType(arg, memoryTypes);
+        if (!isCompatible(type, parameter.types)) {
+          diagnostics.push({
+            message: `${name} expects ${parameter.types.join(' | ')} for ${parameter.name}, got ${type}.`,
+            start: arg.start,
+            end: arg.end,
+          });
+        }
+      });
+      return;
+    }
+    default:
+      return;
+  }
+};
+
+/**
+ * Type mismatches of the arguments of the prebuilt functions and of the arithmetic operators.
+ */
+export const getExpressionDiagnostics = (text: string, memoryTypes: MemoryTypes = {}): ExpressionDiagnostic[] => {
+  const diagnostics: ExpressionDiagnostic[] = [];
+  parse(text).forEach((node) => checkNode(node, memoryTypes, diagnostics));
+  return diagnostics;
+};
+
+/**
+ * The innermost call of a prebuilt function around an offset of the text, and the index of its argument at the offset.
+ */
+export const getCallAtOffset = (
+  text: string,
+  offset: number
+): { name: string; activeParameter: number } | undefined => {
+  const frames: { name?: string; commas: number }[] = [];
+  const tokens = tokenize(stripEqualsSign(text)).filter(({ end }) => end <= offset);
+
+  tokens.forEach((token, index) => {
+    if (token.kind !== 'punctuation') return;
+    if (['(', '[', '{'].includes(token.value)) {
+      const previous = tokens[index - 1];
+      const name = token.value === '(' && previous?.kind === 'identifier' ? previous.value : undefined;
+      frames.push({ name, commas: 0 });
+    } else if ([')', ']', '}'].includes(token.value)) {
+      frames.pop();
+    } else if (token.value === ',' && frames.length) {
+      frames[frames.length - 1].commas++;
+    }
+  });
+
+  const frame = [...frames].reverse().find(({ name }) => name);
+  if (!frame?.name || !buildInFunctionsMap.has(frame.name)) return;
+  return { name: frame.name, activeParameter: frame.commas };
+};
+
+/**
+ * The identifier or memory path at an offset of the text.
+ */
+export const getIdentifierAtOffset = (
+  text: string,
+  offset: number
+): { value: string; isCall: boolean; start: number; end: number } | undefined => {
+  const tokens = tokenize(stripEqualsSign(text));
+  const index = tokens.findIndex(({ kind, start, end }) => kind === 'identifier' && start <= offset && offset <= end);
+  if (index === -1) return;
+
+  const { value, start, end } = tokens[index];
+  const next = tokens[index + 1];
+  return { value, isCall: next?.kind === 'punctuation' && next.value === '(', start, end };
+};
@@ -120,6 +120,68 @@ describe('LG LSP server test', () => {
     );
   });
 
+  it('references on a template name should return its definition', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":4,"method":"textDocument/references","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":0,"character":4},"context":{"includeDeclaration":true}}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(4);
+          expect(response.result).toEqual([
+            {
+              uri: 'inmemory://model/1',
+              range: { start: { line: 0, character: 2 }, end: { line: 0, character: 11 } },
+            },
+          ]);
+        },
+      ]
+    );
+  });
+
+  it('rename on a template name should return the edits', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":5,"method":"textDocument/rename","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":0,"character":4},"newName":"Hello"}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(5);
+          expect(response.result.changes['inmemory://model/1']).toEqual([
+            { range: { start: { line: 0, character: 2 }, end: { line: 0, character: 11 } }, newText: 'Hello' },
+          ]);
+        },
+      ]
+    );
+  });
+
+  it('rename to an invalid template name should fail', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":6,"method":"textDocument/rename","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":0,"character":4},"newName":"not valid"}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(6);
+          expect(response.error.message).toContain('not a valid template name');
+        },
+      ]
+    );
+  });
+
+  it('code actions on a simple response should convert it to an Activity template', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":7,"method":"textDocument/codeAction","params":{"textDocument":{"uri":"inmemory://model/1"},"range":{"start":{"line":1,"character":0},"end":{"line":1,"character":0}},"context":{"diagnostics":[]}}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(7);
+          expect(response.result.length).toEqual(1);
+          expect(response.result[0].title).toEqual('Convert Greeting1 to an Activity template');
+          expect(response.result[0].edit.changes['inmemory://model/1']).toEqual([
+            {
+              range: { start: { line: 1, character: 0 }, end: { line: 1, character: 13 } },
+              newText: '[Activity\n    Text = ${Greeting1_text()}\n]\n\n# Greeting1_text()\n-Good morning',
+            },
+          ]);
+        },
+      ]
+    );
+  });
+
   it('diagnostics, if typing content is invalid should return error', async () => {
     // didChange
     const newContent = `${content}-\${G\\r\\n`;
@@ -3,9 +3,11 @@
 import path from 'path';
 
 import URI from 'vscode-uri';
-import { IConnection, MarkupKind, TextDocuments } from 'vscode-languageserver';
+import { ErrorCodes, IConnection, MarkupKind, ResponseError, TextDocuments } from 'vscode-languageserver';
 import formatMessage from 'format-message';
 import {
+  CodeAction,
+  CodeActionKind,
   Diagnostic,
   CompletionList,
   Hover,
@@ -14,20 +16,33 @@ import {
   Range,
   DiagnosticSeverity,
   TextEdit,
+  WorkspaceEdit,
 } from 'vscode-languageserver-types';
 import { TextDocument } from 'vscode-languageserver-textdocument';
 import {
+  CodeActionParams,
   TextDocumentPositionParams,
   DocumentOnTypeFormattingParams,
   FoldingRangeParams,
   FoldingRange,
   Location,
+  ReferenceParams,
+  RenameParams,
 } from 'vscode-languageserver-protocol';
 import get from 'lodash/get';
 import uniq from 'lodash/uniq';
 import merge from 'lodash/merge';
 import isEqual from 'lodash/isEqual';
-import { filterTemplateDiagnostics, isValid, lgUtil } from '@bfc/indexers';
+import {
+  filterTemplateDiagnostics,
+  findLgTemplateReferences,
+  findLgTemplateReferencesInDialog,
+  getLgTemplateBodyStart,
+  isValid,
+  isValidLgTemplateName,
+  lgUtil,
+  LgTemplateReference,
+} from '@bfc/indexers';
 import { MemoryResolver, ResolverResource, LgFile } from '@bfc/shared';
 import { buildInFunctionsMap } from '@bfc/built-in-functions';
 import { LgTemplate } from '@botframework-composer/types';
@@ -45,11 +60,15 @@ import {
   cardPropDict,
   cardPropPossibleValueType,
   createFoldingRanges,
+  createResourceUri,
 } from './utils';
 
 // define init methods call from client
 const initializeDocumentsMethodName = 'initializeDocuments';
 
+// structured templates and conditions are already more than a simple response
+const nonSimpleBodyLineRegex = /^\s*(\[|-\s*(IF|ELSEIF|ELSE|SWITCH|CASE|DEFAULT)\s*:|-\s*```)/i;
+
 const { ROOT, TEMPLATENAME, TEMPLATEBODY, EXPRESSION, COMMENTS, SINGLE, DOUBLE, STRUCTURELG } = LGCursorState;
 
 export class LGServer {
@@ -70,7 +89,8 @@ export class LGServer {
     protected readonly connection: IConnection,
     protected readonly getLgResources: (projectId?: string) => ResolverResource[],
     protected readonly memoryResolver?: MemoryResolver,
-    protected readonly entitiesResolver?: MemoryResolver
+    protected readonly entitiesResolver?: MemoryResolver,
+    protected readonly getDialogResources?: (projectId?: string) => ResolverResource[]
   ) {
     this.documents.listen(this.connection);
     this.documents.onDidChangeContent((change) => {
@@ -93,7 +113,7 @@ export class LGServer {
       return {
         capabilities: {
           textDocumentSync: this.documents.syncKind,
-          codeActionProvider: false,
+          codeActionProvider: true,
           completionProvider: {
             resolveProvider: true,
             triggerCharacters: ['.', '[', '[', '\n', '@'],
@@ -101,6 +121,8 @@ export class LGServer {
           hoverProvider: true,
           foldingRangeProvider: true,
           definitionProvider: true,
+          referencesProvider: true,
+          renameProvider: true,
           documentOnTypeFormattingProvider: {
             firstTriggerCharacter: '\n',
           },
@@ -109,6 +131,9 @@ export class LGServer {
     });
     this.connection.onCompletion(async (params) => await this.completion(params));
     this.connection.onDefinition((params: TextDocumentPositionParams) => this.definitionHandler(params));
+    this.connection.onReferences(async (params) => await this.referencesHandler(params));
+    this.connection.onRenameRequest(async (params) => await this.renameHandler(params));
+    this.connection.onCodeAction(async (params) => await this.codeActionHandler(params));
     this.connection.onHover(async (params) => await this.hover(params));
     this.connection.onDocumentOnTypeFormatting((docTypingParams) => this.docTypeFormat(docTypingParams));
     this.connection.onFoldingRanges((foldingRangeParams: FoldingRangeParams) =>
@@ -182,6 +207,245 @@ export class LGServer {
     return;
   }
 
+  protected async referencesHandler(params: ReferenceParams): Promise<Location[]> {
+    const result = await this.findTemplateReferences(params);
+    if (!result) return [];
+
+    return result.references.map(({ uri, line, start, end }) =>
+      Location.create(uri, Range.create(line, start, line, end))
+    );
+  }
+
+  protected async renameHandler(params: RenameParams): Promise<WorkspaceEdit | ResponseError<void> | null> {
+    const { newName } = params;
+    if (!isValidLgTemplateName(newName)) {
+      return new ResponseError(
+        ErrorCodes.InvalidParams,
+        formatMessage('{name} is not a valid template name.', { name: newName })
+      );
+    }
+
+    const result = await this.findTemplateReferences(params);
+    if (!result) return null;
+
+    const changes: Record<string, TextEdit[]> = {};
+    result.references.forEach(({ uri, line, start, end }) => {
+      (changes[uri] = changes[uri] ?? []).push(TextEdit.replace(Range.create(line, start, line, end), newName));
+    });
+    return { changes };
+  }
+
+  /**
+   * References to the template at the position in every .lg file of the bot, all locales included as dialogs
+   * call templates whatever the locale, and in every dialog. Files other than the open document have composer uris.
+   */
+  private async findTemplateReferences(
+    params: TextDocumentPositionParams
+  ): Promise<{ name: string; references: (LgTemplateReference & { uri: string })[] } | undefined> {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return;
+    const lgDocument = this.getLGDocument(document);
+    const wordRange = getRangeAtPosition(document, params.position, true);
+    if (!lgDocument || !wordRange) return;
+
+    const name = document.getText(wordRange);
+    const lgFile = await lgDocument.index();
+    if (!lgFile.allTemplates.some((template) => template.name === name)) return;
+
+    const { uri, projectId, fileId, templateId } = lgDocument;
+    // an inline editor holds a single template body, the rest of its file comes from the bot
+    const isInline = !!(fileId && templateId);
+    const references = findLgTemplateReferences(document.getText(), name, !isInline).map((reference) => ({
+      ...reference,
+      uri,
+    }));
+    if (!projectId) return { name, references };
+
+    this.getLgResources(projectId).forEach((file) => {
+      if (file.id === fileId && !isInline) return;
+      const inlineLines = file.id === fileId && templateId ? this.getTemplateBodyLines(file.content, templateId) : [];
+      findLgTemplateReferences(file.content, name)
+        .filter(({ line }) => !inlineLines.includes(line))
+        .forEach((reference) => references.push({ ...reference, uri: createResourceUri(projectId, `${file.id}.lg`) }));
+    });
+
+    this.getDialogResources?.(projectId).forEach((dialog) => {
+      findLgTemplateReferencesInDialog(this.getDialogText(dialog.content), name).forEach((reference) =>
+        references.push({ ...reference, uri: createResourceUri(projectId, `${dialog.id}.dialog`) })
+      );
+    });
+
+    return { name, references };
+  }
+
+  /**
+   * The text of a dialog as Composer saves it, the positions of the references are the ones the client applies.
+   */
+  private getDialogText(content: string): string {
+    try {
+      return JSON.stringify(JSON.parse(content), null, 2);
+    } catch (error) {
+      return content;
+    }
+  }
+
+  private getTemplateBodyLines(content: string, templateName: string): number[] {
+    const lines = content.split('\n');
+    const body: number[] = [];
+    const bodyStart = getLgTemplateBodyStart(content, templateName);
+    if (bodyStart < 0) return body;
+
+    for (let line = bodyStart; line < lines.length && !/^\s*#/.test(lines[line]); line++) {
+      body.push(line);
+    }
+    return body;
+  }
+
+  protected async codeActionHandler(params: CodeActionParams): Promise<CodeAction[]> {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return [];
+    const lgDocument = this.getLGDocument(document);
+    // an inline editor holds a single template body, the fixes need the rest of its file
+    if (lgDocument?.fileId && lgDocument.templateId) return [];
+
+    const actions: CodeAction[] = [];
+    params.context.diagnostics.forEach((diagnostic) => {
+      const name = diagnostic.message.match(/([a-zA-Z0-9_.-]+) does not have an evaluator/)?.[1];
+      if (!name || !isValidLgTemplateName(name) || buildInFunctionsMap.has(name)) return;
+
+      actions.push(this.createMissingTemplateAction(document, diagnostic, name));
+      actions.push(...this.createImportTemplateActions(document, diagnostic, name, lgDocument));
+    });
+
+    const convertAction = this.createConvertToActivityAction(document, params.range.start.line);
+    if (convertAction) actions.push(convertAction);
+
+    return actions;
+  }
+
+  private createMissingTemplateAction(document: TextDocument, diagnostic: Diagnostic, name: string): CodeAction {
+    const text = document.getText();
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lineText = text.split(/\r?\n/g)[diagnostic.range.start.line] ?? '';
+    // eslint-disable-next-line security/detect-non-literal-regexp
+    const args = lineText.match(new RegExp(`${name.replace(/\./g, '\\.')}\\s*\\(([^()]*)\\)`))?.[1].trim();
+    const parameters = args
+      ? args.split(',').map((arg, index) => arg.trim().match(/^[\w.]*?([a-zA-Z_]\w*)$/)?.[1] ?? `param${index + 1}`)
+      : [];
+    const definition = `# ${name}${parameters.length ? `(${parameters.join(', ')})` : ''}${eol}- `;
+    const separator = !text.length ? '' : text.endsWith('\n') ? eol : `${eol}${eol}`;
+
+    return {
+      title: formatMessage('Create template {name}', { name }),
+      kind: CodeActionKind.QuickFix,
+      diagnostics: [diagnostic],
+      edit: {
+        changes: {
+          [document.uri]: [TextEdit.insert(document.positionAt(text.length), `${separator}${definition}`)],
+        },
+      },
+    };
+  }
+
+  /**
+   * Imports of the other .lg files of the same locale that define the template.
+   */
+  private createImportTemplateActions(
+    document: TextDocument,
+    diagnostic: Diagnostic,
+    name: string,
+    lgDocument?: LGDocument
+  ): CodeAction[] {
+    const { projectId, fileId } = lgDocument ?? {};
+    if (!projectId) return [];
+
+    const text = document.getText();
+    const lines = text.split(/\r?\n/g);
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const firstTemplateLine = lines.findIndex((line) => /^\s*#/.test(line));
+    const importLines = lines
+      .slice(0, firstTemplateLine === -1 ? lines.length : firstTemplateLine)
+      .map((line, index) => (/^\s*\[[^[\]]*\]\([^()]+\)\s*$/.test(line) ? index : -1))
+      .filter((index) => index !== -1);
+    const position = { line: importLines.length ? importLines[importLines.length - 1] + 1 : 0, character: 0 };
+
+    return this.getLgResources(projectId)
+      .filter((file) => file.id !== fileId && this.getLocale(file.id) === this.getLocale(fileId))
+      .filter((file) => {
+        const fileLines = file.content.split('\n');
+        return findLgTemplateReferences(file.content, name).some(({ line }) => /^\s*#/.test(fileLines[line]));
+      })
+      .map((file) => `${this.removeLocaleInId(file.id)}.lg`)
+      .filter((source) => !text.includes(`](${source})`))
+      .map((source) => ({
+        title: formatMessage('Import {name} from {source}', { name, source }),
+        kind: CodeActionKind.QuickFix,
+        diagnostics: [diagnostic],
+        edit: { changes: { [document.uri]: [TextEdit.insert(position, `[import](${source})${eol}`)] } },
+      }));
+  }
+
+  /**
+   * Moves the variations of a simple response template to a {name}_text template and makes the template an
+   * [Activity], the way the response editor writes them.
+   */
+  private createConvertToActivityAction(document: TextDocument, line: number): CodeAction | undefined {
+    const text = document.getText();
+    const lines = text.split(/\r?\n/g);
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+
+    let definitionLine = line;
+    while (definitionLine >= 0 && !/^\s*#/.test(lines[definitionLine])) definitionLine--;
+    const definition = lines[definitionLine]?.match(/^\s*#\s*([a-zA-Z0-9_.-]+)(.*)$/);
+    // the name may only be followed by a parameter list, checked apart so the pattern has no nested quantifier
+    const parameterList = definition?.[2].trim();
+    if (!definition || (parameterList && !/^\([^()]*\)$/.test(parameterList))) return;
+
+    let lastLine = definitionLine + 1;
+    while (lastLine < lines.length && !/^\s*#/.test(lines[lastLine])) lastLine++;
+    const bodyLines = lines.slice(definitionLine + 1, lastLine);
+    while (bodyLines.length && !bodyLines[bodyLines.length - 1].trim()) bodyLines.pop();
+    const variations = bodyLines.filter((bodyLine) => bodyLine.trim() && !/^\s*>/.test(bodyLine));
+
+    const name = definition[1];
+    const parameters = parameterList || '()';
+    const textTemplateName = `${name}_text`;
+    if (
+      !variations.length ||
+      variations.some((variation) => !/^\s*-/.test(variation) || nonSimpleBodyLineRegex.test(variation)) ||
+      findLgTemplateReferences(text, textTemplateName).length
+    ) {
+      return;
+    }
+
+    const call = `${textTemplateName}(${parameters
+      .slice(1, -1)
+      .split(',')
+      .map((parameter) => parameter.trim())
+      .filter(Boolean)
+      .join(', ')})`;
+    const newBody = [
+      '[Activity',
+      `    Text = \${${call}}`,
+      ']',
+      '',
+      `# ${textTemplateName}${parameters}`,
+      ...variations.map((variation) => variation.trim()),
+    ].join(eol);
+    const range = Range.create(
+      definitionLine + 1,
+      0,
+      definitionLine + bodyLines.length,
+      bodyLines[bodyLines.length - 1].length
+    );
+
+    return {
+      title: formatMessage('Convert {name} to an Activity template', { name }),
+      kind: CodeActionKind.RefactorRewrite,
+      edit: { changes: { [document.uri]: [TextEdit.replace(range, newBody)] } },
+    };
+  }
+
   protected foldingRangeHandler(params: FoldingRangeParams): FoldingRange[] {
     const document = this.documents.get(params.textDocument.uri);
     if (!document) {
@@ -49,6 +49,13 @@ export interface LGDocument {
 
 export type LGFileResolver = (id: string) => LgFile | undefined;
 
+/**
+ * Uri of a file of the bot that is not open in an editor, like composer://projectId/main.en-us.lg
+ */
+export function createResourceUri(projectId: string, fileName: string): string {
+  return `composer://${projectId}/${fileName}`;
+}
+
 export function getRangeAtPosition(
   document: TextDocument,
   position: Position,
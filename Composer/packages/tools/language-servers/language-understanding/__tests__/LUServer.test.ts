@@ -88,4 +88,66 @@ describe('lu lsp server', () => {
       []
     );
   });
+
+  it('hover on an intent should show its utterances', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":1,"method":"textDocument/hover","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":1,"character":4}}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(1);
+          expect(response.result.contents.value).toContain('**# Greeting** (intent)');
+          expect(response.result.contents.value).toContain('- hi\n- hello');
+        },
+      ]
+    );
+  });
+
+  it('references on an intent should return its section', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":2,"method":"textDocument/references","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":1,"character":4},"context":{"includeDeclaration":true}}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(2);
+          expect(response.result).toEqual([
+            {
+              uri: 'inmemory://model/1',
+              range: { start: { line: 1, character: 2 }, end: { line: 1, character: 10 } },
+            },
+          ]);
+        },
+      ]
+    );
+  });
+
+  it('rename to an invalid name should fail', async () => {
+    await send(
+      `{"jsonrpc":"2.0","id":3,"method":"textDocument/rename","params":{"textDocument":{"uri":"inmemory://model/1"},"position":{"line":1,"character":4},"newName":"not valid"}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(3);
+          expect(response.error.message).toContain('not a valid name');
+        },
+      ]
+    );
+  });
+
+  it('code actions on an utterance should define its undefined entities', async () => {
+    await send(
+      `{"jsonrpc":"2.0","method":"textDocument/didChange","params":{"textDocument":{"uri":"inmemory://model/1","version":3},"contentChanges":[{"text": "# BookFlight\\n- fly to {city=Seattle}\\n"}]}}`,
+      []
+    );
+    await send(
+      `{"jsonrpc":"2.0","id":4,"method":"textDocument/codeAction","params":{"textDocument":{"uri":"inmemory://model/1"},"range":{"start":{"line":1,"character":0},"end":{"line":1,"character":0}},"context":{"diagnostics":[]}}}`,
+      [
+        (response) => {
+          expect(response.id).toEqual(4);
+          expect(response.result.length).toEqual(1);
+          expect(response.result[0].title).toEqual('Add entity definition "@ ml city"');
+          expect(response.result[0].edit.changes['inmemory://model/1']).toEqual([
+            { range: { start: { line: 2, character: 0 }, end: { line: 2, character: 0 } }, newText: '@ ml city\n' },
+          ]);
+        },
+      ]
+    );
+  });
 });
@@ -4,8 +4,17 @@ import path from 'path';
 
 import uniq from 'lodash/uniq';
 import URI from 'vscode-uri';
-import { FoldingRangeParams, IConnection, TextDocuments } from 'vscode-languageserver';
 import {
+  ErrorCodes,
+  FoldingRangeParams,
+  IConnection,
+  MarkupKind,
+  ResponseError,
+  TextDocuments,
+} from 'vscode-languageserver';
+import {
+  CodeAction,
+  CodeActionKind,
   Diagnostic,
   CompletionList,
   Position,
@@ -14,25 +23,50 @@ import {
   Range,
   DiagnosticSeverity,
   TextEdit,
+  Hover,
+  WorkspaceEdit,
 } from 'vscode-languageserver-types';
 import { TextDocument } from 'vscode-languageserver-textdocument';
 import {
+  CodeActionParams,
   TextDocumentPositionParams,
   DocumentOnTypeFormattingParams,
   FoldingRange,
+  Location,
+  ReferenceParams,
+  RenameParams,
 } from 'vscode-languageserver-protocol';
 import { isValid, PlaceHolderSectionName } from '@bfc/indexers/lib/utils/luUtil';
+import {
+  findLuReferences,
+  findLuReferencesInDialog,
+  getLuFileDialogId,
+  getLuReferenceAtPosition,
+  getLuRenameFileIds,
+  isValidLuName,
+  LuReference,
+  LuReferenceKind,
+} from '@bfc/indexers';
+import { ResolverResource, SDKKinds } from '@bfc/shared';
 
 import { LuParser } from './luParser';
 import { EntityTypesObj, LineState } from './entityEnum';
 import * as util from './matchingPattern';
-import { LUOption, LUDocument, generateDiagnostic, convertDiagnostics, createFoldingRanges } from './utils';
+import {
+  LUOption,
+  LUDocument,
+  generateDiagnostic,
+  convertDiagnostics,
+  createFoldingRanges,
+  createResourceUri,
+} from './utils';
 
 // define init methods call from client
 const LABELEXPERIENCEREQUEST = 'labelingExperienceRequest';
 const InitializeDocumentsMethodName = 'initializeDocuments';
 const SIMPLEINTENTSECTION = 'simpleIntentSection';
 const NEWENTITYSECTION = 'newEntitySection';
+const HOVER_UTTERANCE_COUNT = 5;
 
 export class LUServer {
   protected workspaceRoot: URI | undefined;
@@ -53,7 +87,9 @@ export class LUServer {
     ) => {
       content: string;
       id: string;
-    }
+    },
+    protected readonly getLuResources?: (projectId?: string) => ResolverResource[],
+    protected readonly getDialogResources?: (projectId?: string) => ResolverResource[]
   ) {
     this.documents.listen(this.connection);
     this.documents.onDidChangeContent((change) => this.validate(change.document));
@@ -72,8 +108,11 @@ export class LUServer {
       return {
         capabilities: {
           textDocumentSync: this.documents.syncKind,
-          codeActionProvider: false,
+          codeActionProvider: true,
           definitionProvider: true,
+          hoverProvider: true,
+          referencesProvider: true,
+          renameProvider: true,
           completionProvider: {
             resolveProvider: true,
             triggerCharacters: ['@', ' ', '{', ':', '[', '('],
@@ -88,6 +127,10 @@ export class LUServer {
     this.connection.onCompletion((params) => this.completion(params));
     this.connection.onDocumentOnTypeFormatting((docTypingParams) => this.docTypeFormat(docTypingParams));
     this.connection.onDefinition((params: TextDocumentPositionParams) => this.definitionHandler(params));
+    this.connection.onHover((params: TextDocumentPositionParams) => this.hoverHandler(params));
+    this.connection.onReferences((params: ReferenceParams) => this.referencesHandler(params));
+    this.connection.onRenameRequest((params: RenameParams) => this.renameHandler(params));
+    this.connection.onCodeAction((params: CodeActionParams) => this.codeActionHandler(params));
     this.connection.onFoldingRanges((foldingRangeParams: FoldingRangeParams) =>
       this.foldingRangeHandler(foldingRangeParams)
     );
@@ -140,6 +183,220 @@ export class LUServer {
     return;
   }
 
+  protected async hoverHandler(params: TextDocumentPositionParams): Promise<Hover | null> {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return null;
+    const target = this.getReferenceTarget(document, params.position);
+    if (!target) return null;
+
+    const { kind, name } = target;
+    const luDocument = this.getLUDocument(document);
+    const lines: string[] = [];
+
+    if (kind === 'intent') {
+      const luFile = luDocument
+        ? await luDocument.index()
+        : await this.luParser.parse(document.getText(), document.uri, {});
+      const section = (luFile.sections ?? luFile.intents ?? []).find(({ Name }) => Name === name);
+      const utterances: string[] = (section?.Body ?? '')
+        .split(/\r?\n/g)
+        .filter((line) => line.trim().startsWith('-'))
+        .map((line) => line.trim());
+
+      lines.push(`**# ${name}** (intent)`);
+      if (utterances.length) {
+        lines.push(utterances.slice(0, HOVER_UTTERANCE_COUNT).join('\n'));
+        if (utterances.length > HOVER_UTTERANCE_COUNT) {
+          lines.push(`${utterances.length - HOVER_UTTERANCE_COUNT} more utterances`);
+        }
+      }
+
+      const dialogIds = this.findOnIntentDialogs(name, luDocument?.projectId);
+      if (dialogIds) {
+        lines.push(
+          dialogIds.length
+            ? `Used by OnIntent triggers in: ${dialogIds.join(', ')}`
+            : 'Not used by any OnIntent trigger.'
+        );
+      }
+    } else {
+      lines.push(`**@ ${name}** (entity)`);
+      const definition = this.findEntityDefinition(document, name, luDocument);
+      if (definition) {
+        lines.push(`~~~\n${definition}\n~~~`);
+      }
+    }
+
+    return { contents: { kind: MarkupKind.Markdown, value: lines.join('\n\n') } };
+  }
+
+  protected async referencesHandler(params: ReferenceParams): Promise<Location[]> {
+    const result = this.findItemReferences(params);
+    if (!result) return [];
+
+    return result.references.map(({ uri, line, start, end }) =>
+      Location.create(uri, Range.create(line, start, line, end))
+    );
+  }
+
+  protected async renameHandler(params: RenameParams): Promise<WorkspaceEdit | ResponseError<void> | null> {
+    const { newName } = params;
+    if (!isValidLuName(newName)) {
+      return new ResponseError(
+        ErrorCodes.InvalidParams,
+        `${newName} is not a valid name. Use letters, numbers, - and _ only.`
+      );
+    }
+
+    const result = this.findItemReferences(params);
+    if (!result) return null;
+
+    const changes: Record<string, TextEdit[]> = {};
+    result.references.forEach(({ uri, line, start, end }) => {
+      (changes[uri] = changes[uri] ?? []).push(TextEdit.replace(Range.create(line, start, line, end), newName));
+    });
+    return { changes };
+  }
+
+  /**
+   * Offers to define the entities labeled in the utterances of the range that are not defined in the file or its
+   * imports, as ml entities or as prebuilt ones for the prebuilt names.
+   */
+  protected async codeActionHandler(params: CodeActionParams): Promise<CodeAction[]> {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return [];
+
+    const text = document.getText();
+    const lines = text.split(/\r?\n/g);
+    const labelRegex = /\{\s*@?\s*([\w-]+)\s*(?=[=}:])/g;
+    const labels: string[] = [];
+    for (let line = params.range.start.line; line <= params.range.end.line && line < lines.length; line++) {
+      if (!/^\s*-/.test(lines[line])) continue;
+      let match: RegExpExecArray | null;
+      while ((match = labelRegex.exec(lines[line])) !== null) labels.push(match[1]);
+    }
+    if (!labels.length) return [];
+
+    // the index has the whole file of inline editors and finds the imported entities
+    const luFile = await this.getLUDocument(document)?.index();
+    const contents = luFile ? [text, luFile.content] : [text];
+    const isDefinition = (line: string) => /^\s*-?\s*@/.test(line) && !/^\s*@\s*intent\s/.test(line);
+    const isDefined = (name: string) =>
+      this._importedEntities.includes(name) ||
+      contents.some((content) => {
+        const contentLines = content.split(/\r?\n/g);
+        return findLuReferences(content, 'entity', name).some(({ line }) => isDefinition(contentLines[line]));
+      });
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const separator = !text.length || text.endsWith('\n') ? '' : eol;
+    return uniq(labels)
+      .filter((name) => !isDefined(name))
+      .map((name) => {
+        const definition = EntityTypesObj.Prebuilt.includes(name) ? `@ prebuilt ${name}` : `@ ml ${name}`;
+        return {
+          title: `Add entity definition "${definition}"`,
+          kind: CodeActionKind.QuickFix,
+          diagnostics: params.context.diagnostics.filter(({ message }) => message.includes(name)),
+          edit: {
+            changes: {
+              [document.uri]: [TextEdit.insert(document.positionAt(text.length), `${separator}${definition}${eol}`)],
+            },
+          },
+        };
+      });
+  }
+
+  private getReferenceTarget(document: TextDocument, position: Position) {
+    const lineText = document.getText(Range.create(position.line, 0, position.line + 1, 0)).replace(/\r?\n$/, '');
+    return getLuReferenceAtPosition(lineText, position.character);
+  }
+
+  /**
+   * References to the intent or entity at the position in the .lu files of the dialog of the open document, all locales
+   * included, the .lu files that import them and the triggers of the dialog. Files other than the open document have
+   * composer uris.
+   */
+  private findItemReferences(
+    params: TextDocumentPositionParams
+  ): { kind: LuReferenceKind; name: string; references: (LuReference & { uri: string })[] } | undefined {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return;
+    const target = this.getReferenceTarget(document, params.position);
+    if (!target) return;
+
+    const { kind, name } = target;
+    const { uri, projectId, fileId, sectionId } = this.getLUDocument(document) ?? { uri: document.uri };
+    const references = findLuReferences(document.getText(), kind, name).map((reference) => ({ ...reference, uri }));
+    if (!projectId || !fileId) return { kind, name, references };
+
+    const dialogId = getLuFileDialogId(fileId);
+    const luFiles = this.getLuResources?.(projectId) ?? [];
+    const fileIds = getLuRenameFileIds(dialogId, luFiles);
+    // an inline editor holds a single section body, the rest of its file comes from the bot
+    const isInline = !!sectionId;
+    luFiles.forEach((file) => {
+      if (!fileIds.includes(file.id) || (file.id === fileId && !isInline)) return;
+      const inlineLines = file.id === fileId && sectionId ? this.getSectionBodyLines(file.content, sectionId) : [];
+      findLuReferences(file.content, kind, name)
+        .filter(({ line }) => !inlineLines.includes(line))
+        .forEach((reference) => references.push({ ...reference, uri: createResourceUri(projectId, `${file.id}.lu`) }));
+    });
+
+    this.getDialogResources?.(projectId)
+      .filter(({ id }) => id === dialogId)
+      .forEach((dialog) => {
+        findLuReferencesInDialog(dialog.content, kind, name).forEach((reference) =>
+          references.push({ ...reference, uri: createResourceUri(projectId, `${dialog.id}.dialog`) })
+        );
+      });
+
+    return { kind, name, references };
+  }
+
+  private getSectionBodyLines(content: string, sectionName: string): number[] {
+    const lines = content.split('\n');
+    const definition = findLuReferences(content, 'intent', sectionName).find(({ line }) => /^\s*#/.test(lines[line]));
+    if (!definition) return [];
+
+    const body: number[] = [];
+    for (let line = definition.line + 1; line < lines.length && !/^\s*#(?!#)/.test(lines[line]); line++) {
+      body.push(line);
+    }
+    return body;
+  }
+
+  /**
+   * Ids of the dialogs with an OnIntent trigger of the intent, undefined when the dialogs are not known.
+   */
+  private findOnIntentDialogs(intent: string, projectId?: string): string[] | undefined {
+    if (!projectId || !this.getDialogResources) return;
+
+    return this.getDialogResources(projectId)
+      .filter(({ content }) => {
+        try {
+          const { triggers = [] } = JSON.parse(content);
+          return triggers.some((trigger) => trigger?.$kind === SDKKinds.OnIntent && trigger.intent === intent);
+        } catch (error) {
+          return false;
+        }
+      })
+      .map(({ id }) => id);
+  }
+
+  private findEntityDefinition(document: TextDocument, name: string, luDocument?: LUDocument): string | undefined {
+    const isDefinition = (line: string) => /^\s*-?\s*@/.test(line) && !/^\s*@\s*intent\s/.test(line);
+    const findIn = (content: string) => {
+      const lines = content.split(/\r?\n/g);
+      const definition = findLuReferences(content, 'entity', name).find(({ line }) => isDefinition(lines[line]));
+      return definition && lines[definition.line].trim();
+    };
+
+    const { projectId } = luDocument ?? {};
+    const files = projectId ? this.getLuResources?.(projectId) ?? [] : [];
+    return findIn(document.getText()) ?? files.map(({ content }) => findIn(content)).find((line) => line);
+  }
+
   protected async foldingRangeHandler(params: FoldingRangeParams): Promise<FoldingRange[]> {
     const document = this.documents.get(params.textDocument.uri);
     if (!document) {
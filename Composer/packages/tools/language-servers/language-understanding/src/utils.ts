@@ -73,6 +73,13 @@ export function convertDiagnostics(lgDiags: BFDiagnostic[] = [], document: TextD
   return diagnostics;
 }
 
+/**
+ * Uri of a file of the bot that is not open in an editor, like composer://projectId/main.en-us.lu
+ */
+export function createResourceUri(projectId: string, fileName: string): string {
+  return `composer://${projectId}/${fileName}`;
+}
+
 export function createFoldingRanges(lines: string[], prefix: string) {
   const items: FoldingRange[] = [];
 
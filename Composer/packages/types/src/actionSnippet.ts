@@ -0,0 +1,26 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { MicrosoftIDialog } from './sdk';
+
+/** Snippets of the user are offered in all their bots, the ones of a project are stored with the bot. */
+export type ActionSnippetScope = 'user' | 'project';
+
+/** A value asked when the snippet is inserted, written as {{name}} in the actions. */
+export type ActionSnippetParameter = {
+  name: string;
+  description?: string;
+  defaultValue?: string;
+};
+
+export type ActionSnippet = {
+  name: string;
+  scope: ActionSnippetScope;
+  description?: string;
+  parameters: ActionSnippetParameter[];
+  /**
+   * The actions as copied in the flow editor, with their LG responses and LU intents inlined and without designer ids.
+   * Inserting the snippet constructs them again, with new ids, LG templates and LU intents.
+   */
+  actions: MicrosoftIDialog[];
+};
@@ -0,0 +1,104 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { IDiagnostic } from './diagnostic';
+import { FileInfo } from './indexers';
+
+/** A file the build writes into the generated folder of the bot. */
+export type BuildArtifact = {
+  /** path relative to the generated folder */
+  name: string;
+  content: string;
+};
+
+/** How the utterances of the interruption intent of a crosstrained .lu file were downsampled. */
+export type BuildDownSamplingDecision = {
+  /** crosstrained .lu file name */
+  id: string;
+  maxImbalanceRatio: number;
+  /** utterance count of each intent that is not the interruption intent */
+  intents: Record<string, number>;
+  interruptionUtterances: number;
+  /** what is left of the interruption utterances once downsampled */
+  sampledInterruptionUtterances: number;
+};
+
+/** The Orchestrator snapshots the build would create for a language. */
+export type OrchestratorSnapshotPlan = {
+  lang: 'en' | 'multilang';
+  /** missing when no model is configured, the build then uses the default of the Orchestrator service */
+  model?: string;
+  modelPath?: string;
+  modelDownloaded: boolean;
+  /** crosstrained .lu files the snapshots are computed from */
+  luFiles: string[];
+  /** .blu snapshot path relative to the generated folder, by snapshot setting key */
+  snapshots: Record<string, string>;
+};
+
+/** What a build would do, without calling LUIS, QnA Maker or Orchestrator. */
+export type BuildDryRunResult = {
+  crossTrained: BuildArtifact[];
+  /** recognizers and settings, the application and knowledge base ids are only known once the services are called */
+  recognizers: BuildArtifact[];
+  /** empty when downsampling is turned off */
+  downSampling: BuildDownSamplingDecision[];
+  /** LUIS application names, by crosstrained .lu file name */
+  luisApplications: Record<string, string>;
+  /** QnA Maker knowledge base names, by crosstrained .qna file name */
+  qnaKnowledgeBases: Record<string, string>;
+  orchestrator: OrchestratorSnapshotPlan[];
+  /** builders of the extensions and the crosstrained .lu files they would be given, they don't run in a dry run */
+  recognizerBuilders: { kind: string; name: string; luFiles: string[] }[];
+};
+
+/** Names of the crosstrained files whose model a build trained again or kept from the previous build. */
+export type BuildModelStatus = {
+  rebuilt: string[];
+  /** their content did not change since the previous build */
+  skipped: string[];
+};
+
+export type BuildSummary = {
+  luis: BuildModelStatus;
+  qna: BuildModelStatus;
+  orchestrator: BuildModelStatus;
+  /** warnings and information reported by the recognizer builders of the extensions */
+  diagnostics?: IDiagnostic[];
+};
+
+/** What a recognizer builder is given once the .lu and .qna files of the bot are crosstrained. */
+export type RecognizerBuildContext = {
+  botName: string;
+  generatedFolderPath: string;
+  /** crosstrained .lu files of the dialogs whose recognizers have the kind of the builder, one per language */
+  luFiles: FileInfo[];
+  /** crosstrained .qna files of the same dialogs, QnA Maker still builds them */
+  qnaFiles: FileInfo[];
+};
+
+export type RecognizerBuildResult = {
+  /** files written into the generated folder, like the settings the recognizers read at runtime */
+  artifacts?: BuildArtifact[];
+  /** an error fails the build */
+  diagnostics?: IDiagnostic[];
+};
+
+/** Builds the recognizers of a $kind the bot declares in its schema, in place of LUIS or Orchestrator. */
+export type RecognizerBuilder = {
+  /** $kind of the recognizers */
+  kind: string;
+  name: string;
+  description?: string;
+  /**
+   * properties of the recognizer of each language, besides its $kind and its id, which is the name of its .lu file
+   * like `main.en-us`
+   */
+  recognizer?: Record<string, unknown>;
+  build: (context: RecognizerBuildContext) => Promise<RecognizerBuildResult>;
+};
+
+/** What the client knows of a recognizer builder. */
+export type RecognizerBuilderInfo = Omit<RecognizerBuilder, 'build'> & {
+  extensionId: string;
+};
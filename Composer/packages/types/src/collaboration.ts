@@ -0,0 +1,54 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** where a collaborator is working, mirrors the design page location */
+export type CollaboratorLocation = {
+  dialogId: string;
+  /** trigger or action path selected in the visual editor */
+  selected?: string;
+};
+
+export type Collaborator = {
+  /** id of the connection, one user can have several tabs open */
+  clientId: string;
+  name: string;
+  color: string;
+  location?: CollaboratorLocation;
+};
+
+/** replaces deleteCount lines starting at line start with the inserted lines */
+export type TextDelta = {
+  kind: 'text';
+  start: number;
+  deleteCount: number;
+  insert: string[];
+};
+
+export type JsonPathSegment = string | number;
+
+export type JsonOperation =
+  | { op: 'set'; path: JsonPathSegment[]; value: any }
+  | { op: 'remove'; path: JsonPathSegment[] };
+
+export type JsonDelta = {
+  kind: 'json';
+  operations: JsonOperation[];
+};
+
+export type FileDelta = TextDelta | JsonDelta;
+
+export type CollaborationClientMessage =
+  | { type: 'join'; projectId: string; name: string; color: string }
+  | { type: 'presence'; location?: CollaboratorLocation }
+  /** version is the version of the file the delta was made against */
+  | { type: 'change'; file: string; delta: FileDelta; version: number };
+
+export type CollaborationServerMessage =
+  /** versions of the files changed since the first client joined, files not listed are at version 0 */
+  | { type: 'welcome'; clientId: string; collaborators: Collaborator[]; versions: Record<string, number> }
+  | { type: 'collaborators'; collaborators: Collaborator[] }
+  | { type: 'change'; clientId: string; file: string; delta: FileDelta; baseVersion: number; version: number }
+  | { type: 'ack'; file: string; version: number }
+  /** the change was made against an older version than the current one, version, and was dropped */
+  | { type: 'reject'; file: string; version: number }
+  | { type: 'error'; message: string };
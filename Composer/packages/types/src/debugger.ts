@@ -0,0 +1,48 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** an action of a dialog, path is the id of the action in the visual editor, like triggers[0].actions[1] */
+export type DebuggerLocation = {
+  dialogId: string;
+  path: string;
+};
+
+export type DebuggerBreakpoint = DebuggerLocation & {
+  /** false when the runtime could not bind the breakpoint to an action */
+  verified?: boolean;
+};
+
+/** memory scopes of the bot while it is paused */
+export type DebuggerScopes = {
+  turn?: any;
+  dialog?: any;
+  user?: any;
+  conversation?: any;
+};
+
+export type DebuggerStatus = 'detached' | 'attaching' | 'running' | 'paused';
+
+export type DebuggerClientMessage =
+  /** the server looks up the debug adapter of the bot it runs for the project */
+  | { type: 'attach'; projectId: string; breakpoints: DebuggerLocation[] }
+  | { type: 'setBreakpoints'; breakpoints: DebuggerLocation[] }
+  | { type: 'continue' }
+  | { type: 'next' }
+  | { type: 'stepIn' }
+  | { type: 'stepOut' }
+  | { type: 'pause' }
+  | { type: 'detach' };
+
+export type DebuggerServerMessage =
+  | { type: 'attached' }
+  | { type: 'detached' }
+  | { type: 'breakpoints'; breakpoints: DebuggerBreakpoint[] }
+  | {
+      type: 'stopped';
+      reason: string;
+      /** missing when the runtime stopped outside of the dialogs of the bot */
+      location?: DebuggerLocation;
+      scopes: DebuggerScopes;
+    }
+  | { type: 'continued' }
+  | { type: 'error'; message: string };
@@ -18,6 +18,18 @@ export enum DiagnosticSeverity {
   Hint = 3,
 }
 
+/**
+ * A change that resolves a diagnostic. It is plain data so it survives the trip from the indexers
+ * to the client, which applies it.
+ */
+export type DiagnosticQuickFix =
+  | { kind: 'removeDialog'; title: string; dialogId: string }
+  | { kind: 'beginDialog'; title: string; dialogId: string; fromDialogId: string }
+  | { kind: 'removeLgTemplate'; title: string; lgFileId: string; templateName: string }
+  | { kind: 'removeLuIntent'; title: string; luFileId: string; intentName: string }
+  | { kind: 'addIntentTrigger'; title: string; dialogId: string; intentName: string }
+  | { kind: 'setProperty'; title: string; dialogId: string; property: string };
+
 export type IDiagnostic = {
   /**
    * Error
@@ -52,4 +64,9 @@ export type IDiagnostic = {
    * for example CA2001
    */
   code?: string;
+
+  /**
+   * changes that resolve the problem, the first one is the preferred fix
+   */
+  quickFixes?: DiagnosticQuickFix[];
 };
@@ -0,0 +1,63 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+/** How the text of a bot reply is compared with the expected reply. */
+export type DialogTestMatcher =
+  | { type: 'exact'; value: string }
+  | { type: 'regex'; value: string; flags?: string }
+  /** the reply has to be one of the variations of an LG template of the bot */
+  | { type: 'lg'; template: string };
+
+/**
+ * One activity of a test script, in the same shape as the activities of a .transcript file.
+ * Activities from the user are sent to the bot, activities from the bot are the replies it is expected to send.
+ */
+export type DialogTestActivity = {
+  type: string;
+  from: { id?: string; name?: string; role: 'user' | 'bot' };
+  text?: string;
+  /** compares the reply text exactly with `text` when missing */
+  assert?: DialogTestMatcher;
+  [key: string]: any;
+};
+
+export type DialogTestScript = {
+  /** file name without the .transcript extension */
+  name: string;
+  activities: DialogTestActivity[];
+  /** why the .transcript file could not be read, running the script reports it as a failure */
+  parseError?: string;
+};
+
+export type DialogTestStepResult = {
+  /** index of the bot activity in the script */
+  index: number;
+  passed: boolean;
+  expected: string;
+  /** text of the reply, missing when the bot did not reply */
+  actual?: string;
+  message?: string;
+};
+
+export type DialogTestStatus = 'passed' | 'failed' | 'error';
+
+export type DialogTestResult = {
+  name: string;
+  status: DialogTestStatus;
+  /** milliseconds */
+  duration: number;
+  steps: DialogTestStepResult[];
+  /** set when the script could not be run to the end, for example when the bot is not reachable or the script is unreadable */
+  error?: string;
+};
+
+export type DialogTestRunOptions = {
+  botUrl: string;
+  msaAppId?: string;
+  msaPassword?: string;
+  locale?: string;
+  /** scripts to run, all scripts of the bot when missing */
+  names?: string[];
+  /** scripts that are not saved in the bot, like a Web Chat conversation being replayed, run instead of the saved ones */
+  scripts?: DialogTestScript[];
+};
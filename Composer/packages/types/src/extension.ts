@@ -6,6 +6,7 @@ import { JSONSchema7 } from 'json-schema';
 import { Express } from 'express';
 import { PassportStatic } from 'passport';
 
+import { RecognizerBuilder, RecognizerBuilderInfo } from './build';
 import { PublishPlugin } from './publish';
 import { RuntimeTemplate, BotTemplate } from './runtime';
 import { BotProjectService } from './project';
@@ -117,6 +118,12 @@ export type ExtensionCollection = {
   runtimeTemplates: RuntimeTemplate[];
   botTemplates: BotTemplate[];
   baseTemplates: BotTemplate[];
+  recognizerBuilders: {
+    [kind: string]: {
+      plugin: RecognizerBuilderInfo;
+      methods: RecognizerBuilder;
+    };
+  };
 };
 
 export type IExtensionContext = {
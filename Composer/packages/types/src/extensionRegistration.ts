@@ -5,6 +5,7 @@ import { RequestHandler } from 'express-serve-static-core';
 import { Debugger } from 'debug';
 import { PassportStatic } from 'passport';
 
+import { RecognizerBuilder } from './build';
 import { IExtensionContext, ExtensionSettings } from './extension';
 import { PublishPlugin } from './publish';
 import { RuntimeTemplate, BotTemplate } from './runtime';
@@ -38,6 +39,23 @@ export type IExtensionRegistration = {
    * @param plugin
    */
   addPublishMethod(plugin: PublishPlugin): Promise<void>;
+  /**
+   * Build the recognizers of a custom $kind. The dialogs whose recognizers have this kind are listed in the "Recognizers"
+   * picker, their crosstrained .lu files are handed to `build` instead of LUIS or Orchestrator and the artifacts it
+   * returns are written into the generated folder of the bot. Diagnostics with an error severity fail the build.
+   * @param builder
+   * ```ts
+   * await composer.addRecognizerBuilder({
+   *   kind: 'Contoso.NluRecognizer',
+   *   name: 'Contoso NLU',
+   *   recognizer: { endpoint: '=settings.contoso.endpoint' },
+   *   build: async ({ luFiles }) => ({
+   *     artifacts: luFiles.map(({ name, content }) => ({ name: `contoso/${name}.json`, content: toModel(content) })),
+   *   }),
+   * });
+   * ```
+   */
+  addRecognizerBuilder(builder: RecognizerBuilder): Promise<void>;
   /**
    * Expose a runtime template to the Composer UI. Registered templates will become available in the "Runtime settings" tab.
    * When selected, the full content of the `path` will be copied into the project's `runtime` folder. Then, when a user clicks
@@ -4,6 +4,7 @@
 export * from './appUpdates';
 export * from './auth';
 export * from './azure';
+export * from './build';
 export * from './diagnostic';
 export * from './dialogUtils';
 export * from './extension';
@@ -23,3 +24,8 @@ export * from './user';
 export * from './featureFlags';
 export * from './creation';
 export * from './orchestrator';
+export * from './sourceControl';
+export * from './collaboration';
+export * from './dialogTest';
+export * from './debugger';
+export * from './actionSnippet';
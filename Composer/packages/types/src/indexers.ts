@@ -48,7 +48,8 @@ export type DialogSchemaFile = {
   content: any;
 };
 
-export type LuProviderType = SDKKinds.LuisRecognizer | SDKKinds.OrchestratorRecognizer;
+/** LUIS, Orchestrator or the $kind of a recognizer built by an extension */
+export type LuProviderType = SDKKinds.LuisRecognizer | SDKKinds.OrchestratorRecognizer | string;
 
 export type DialogInfo = {
   content: MicrosoftIDialog;
@@ -204,6 +205,28 @@ export type LgFile = {
   isContentUnparsed: boolean;
 };
 
+/**
+ * What a bot would send for an evaluated LG template.
+ */
+export type LgTemplatePreview = {
+  text?: string;
+  speak?: string;
+  attachments: { contentType: string; content: unknown }[];
+  suggestedActions: string[];
+};
+
+export type LgTemplateEvaluation = {
+  /**
+   * One evaluation of the template, picking its alternatives at random like the runtime does.
+   */
+  result?: LgTemplatePreview;
+  /**
+   * Every variation of the template, none when it has too many to list.
+   */
+  variations: LgTemplatePreview[];
+  error?: string;
+};
+
 export type Manifest = {
   name: string;
   version: string;
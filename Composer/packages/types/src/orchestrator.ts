@@ -27,3 +27,10 @@ export type IOrchestratorNLRList = {
     }
   >;
 };
+
+export type OrchestratorIntentScore = {
+  intent: string;
+  score: number;
+  /** the utterance of the intent the scored utterance is the closest to */
+  closestText: string;
+};
@@ -20,6 +20,8 @@ export type PublishResult = {
   /** for local publish */
   endpointURL?: string;
   port?: number;
+  /** port of the debug adapter of the local runtime */
+  debugPort?: number;
   /** for PVA publish */
   action?: {
     href: string;
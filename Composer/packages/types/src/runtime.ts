@@ -107,4 +107,7 @@ export type RuntimeTemplate = {
 
   /** command used to start runtime */
   startCommand: string;
+
+  /** the runtime starts a debug adapter on the port passed with `--debugport`, to stop on breakpoints set in Composer */
+  debugAdapter?: boolean;
 };
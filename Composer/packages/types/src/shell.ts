@@ -12,10 +12,12 @@ import type {
   QnAFile,
   LuIntentSection,
   LgTemplate,
+  LgTemplateEvaluation,
   DialogSchemaFile,
   LuProviderType,
 } from './indexers';
 import type { JSONSchema7, SDKKinds } from './schema';
+import type { ActionSnippet, ActionSnippetScope } from './actionSnippet';
 import { Skill } from './indexers';
 import type { ILUFeaturesConfig, SkillSetting, UserSettings, DialogSetting } from './settings';
 import { MicrosoftIDialog } from './sdk';
@@ -37,6 +39,9 @@ export type ZoomInfo = {
   currentRate: number;
 };
 
+/** The flow canvas is drawn top-down or left-to-right. */
+export type FlowLayoutDirection = 'vertical' | 'horizontal';
+
 export type EditorSchema = {
   content?: {
     fieldTemplateOverrides: any;
@@ -95,6 +100,8 @@ export type ApplicationContextApi = {
   confirm: (title: string, subTitle: string, settings?: any) => Promise<boolean>;
   updateFlowZoomRate: (currentRate: number) => void;
   toggleFlowComments: () => void;
+  toggleFlowCoverage: () => void;
+  toggleFlowLayoutDirection: () => void;
   telemetryClient: TelemetryClient;
   addNotification: (notification: Notification) => string;
   deleteNotification: (id: string) => void;
@@ -112,6 +119,8 @@ export type ApplicationContext = {
   schemas: BotSchemas;
   flowZoomRate: ZoomInfo;
   flowCommentsVisible: boolean;
+  flowCoverageVisible: boolean;
+  flowLayoutDirection: FlowLayoutDirection;
 
   httpClient: HttpClient;
 };
@@ -147,6 +156,11 @@ export type LgContextApi = {
   debouncedUpdateLgTemplate: (id: string, templateName: string, templateStr: string) => Promise<LgFile[] | undefined>;
   removeLgTemplate: (id: string, templateName: string) => Promise<LgFile[] | undefined>;
   removeLgTemplates: (id: string, templateNames: string[]) => Promise<LgFile[] | undefined>;
+  evaluateLgTemplate: (
+    id: string,
+    templateName: string,
+    memory: Record<string, unknown>
+  ) => Promise<LgTemplateEvaluation | undefined>;
 };
 
 export type ProjectContextApi = {
@@ -219,6 +233,11 @@ export type DialogEditingContextApi = {
   onFocusEvent: (eventId: string) => Promise<void>;
   onSelect: (ids: string[]) => void;
   onCopy: (clipboardActions: any[]) => void;
+  toggleBreakpoint: (actionId: string) => void;
+  clearCoverage: () => void;
+  /** Resolves to false when the snippet could not be saved, the error is shown by the app. */
+  saveActionSnippet: (snippet: ActionSnippet) => Promise<boolean>;
+  deleteActionSnippet: (scope: ActionSnippetScope, name: string) => Promise<void>;
   undo: () => void;
   redo: () => void;
 };
@@ -233,6 +252,14 @@ export type DialogEditingContext = {
   focusedSteps: string[];
   focusedTab?: string;
   focusPath: string;
+  /** ids of the actions of the current dialog the bot pauses on when it is debugged */
+  breakpoints?: string[];
+  /** id of the action of the current dialog the bot is paused on */
+  pausedAction?: string;
+  /** ids of the triggers and actions of the current dialog that ran in Web Chat, only set while coverage is shown */
+  executedActions?: string[];
+  /** snippets of the user and of the project, offered in the menu adding actions */
+  actionSnippets?: ActionSnippet[];
 };
 
 export type ShellData = ApplicationContext & AuthContext & ProjectContext & DialogEditingContext;
@@ -0,0 +1,51 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+export type GitFileStatus = 'modified' | 'added' | 'deleted' | 'renamed' | 'untracked' | 'conflicted';
+
+export type GitFileChange = {
+  /** path relative to the bot project folder, always posix style */
+  path: string;
+  /** previous path of a renamed file */
+  originalPath?: string;
+  status: GitFileStatus;
+  /** true when the change is in the index and will be part of the next commit */
+  staged: boolean;
+};
+
+export type GitStatus = {
+  /** false when the bot project folder is not inside a git working tree */
+  isRepository: boolean;
+  branch: string;
+  upstream?: string;
+  ahead: number;
+  behind: number;
+  files: GitFileChange[];
+};
+
+export type GitBranchList = {
+  current: string;
+  branches: string[];
+};
+
+export type GitFileDiff = {
+  path: string;
+  /** content at HEAD, empty for new files */
+  original: string;
+  /** content in the working tree, empty for deleted files */
+  modified: string;
+};
+
+export type GitCommitResult = {
+  commit: string;
+  summary: string;
+};
+
+export type GitPullResult = {
+  success: boolean;
+  /** files left with merge conflicts, the merge is aborted when this is not empty */
+  conflicts: string[];
+  /** true when project files were changed and the project needs to be reloaded */
+  filesChanged: boolean;
+  message: string;
+};
@@ -31,6 +31,7 @@ export enum PageNames {
   BotProjectsSettings = 'BotProjectsSettings',
   Plugin = 'Plugin',
   Settings = 'Settings',
+  SourceControl = 'SourceControl',
   Unknown = 'Unknown',
 
   // Extensions
@@ -100,6 +101,9 @@ type DesignerEvents = {
   AddNewSkillCompleted: { from: string };
   NewTemplateAdded: undefined;
   FormDialogGenerated: { durationMilliseconds: number };
+  BulkEditApplied: { operation: string; count: number };
+  ActionSnippetSaved: { scope: string; actions: number; parameters: number };
+  ActionSnippetInserted: { scope: string; parameters: number };
 };
 
 type QnaEvents = {
@@ -202,13 +206,19 @@ type WebChatEvents = {
   WebChatConversationRestarted: { restartType: 'SameUserId' | 'NewUserId' };
   DrawerPaneOpened: undefined;
   DrawerPaneClosed: undefined;
-  DrawerPaneTabOpened: { tabType: 'Diagnostics' | 'WebChatInspector' | 'RuntimeLog' | 'Watch' };
+  DrawerPaneTabOpened: { tabType: 'Diagnostics' | 'WebChatInspector' | 'RuntimeLog' | 'Watch' | 'History' | 'Tests' };
   SaveTranscriptClicked: undefined;
+  SaveAsTestClicked: undefined;
+  ConversationReplayed: { passed: boolean };
 };
 
 type DebuggingEvents = {
   StateWatchPropertyAdded: { property: string };
   StateWatchPropertyRemoved: { property: string };
+  DialogTestsRun: { total: number; passed: number };
+  BreakpointToggled: { enabled: boolean };
+  DebuggerStarted: undefined;
+  DebuggerCommandSent: { command: string };
 };
 
 type ABSChannelsEvents = {
@@ -230,6 +240,12 @@ type PropertyEditorEvents = {
   RecognizerChanged: { recognizer: string };
 };
 
+type SourceControlEvents = {
+  GitChangesCommitted: undefined;
+  GitBranchCheckedOut: { created: boolean };
+  GitChangesPulled: { filesChanged: boolean };
+};
+
 type OtherEvents = {};
 
 type PageView = {
@@ -243,6 +259,7 @@ type PageView = {
   [PageNames.BotProjectsSettings]: undefined;
   [PageNames.Plugin]: undefined;
   [PageNames.Settings]: undefined;
+  [PageNames.SourceControl]: undefined;
   [PageNames.Unknown]: undefined;
   [PageNames.Forms]: undefined;
   [PageNames.PackageManger]: undefined;
@@ -275,7 +292,8 @@ export type TelemetryEvents = ApplicationEvents &
   PropertyEditorEvents &
   CreationEvents &
   SurveyEvents &
-  DebuggingEvents;
+  DebuggingEvents &
+  SourceControlEvents;
 
 export type TelemetryEventName = keyof TelemetryEvents;
 
@@ -15,7 +15,8 @@ const config: PluginConfig = {
             'Gives your bot the ability to extract intent and entity data from an utterance based on a cross trained recognizer set.'
           ),
         isSelected: (data, dialog: DialogInfo) => {
-          if (dialog.luProvider === SDKKinds.OrchestratorRecognizer) return false;
+          // Orchestrator or a recognizer built by an extension
+          if (dialog.luProvider && dialog.luProvider !== SDKKinds.LuisRecognizer) return false;
           return typeof data === 'string' && data.endsWith('.lu.qna');
         },
         intentEditor: 'LuIntentEditor',
@@ -256,6 +256,11 @@ const LgField: React.FC<FieldProps<string>> = (props) => {
     [onTemplateChange]
   );
 
+  const evaluateTemplate = useCallback(
+    (templateId: string, memory: Record<string, unknown>) => shellApi.evaluateLgTemplate(lgFileId, templateId, memory),
+    [shellApi, lgFileId]
+  );
+
   const popExpandOptions = React.useMemo(() => ({ popExpandTitle: label || formatMessage('Bot response') }), [label]);
 
   return (
@@ -303,6 +308,7 @@ const LgField: React.FC<FieldProps<string>> = (props) => {
         value={template.body}
         onChange={onChange}
         onChangeSettings={handleSettingsChange}
+        onEvaluateTemplate={evaluateTemplate}
         onNavigateToLgPage={navigateToLgPage}
         onRemoveTemplate={onRemoveTemplate}
         onTemplateChange={onTemplateChange}
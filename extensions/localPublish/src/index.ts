@@ -17,6 +17,8 @@ import { RuntimeLogServer } from './runtimeLogServer';
 interface RunningBot {
   process?: ChildProcess;
   port?: number;
+  /** port of the debug adapter the runtime listens on for breakpoints and stepping */
+  debugPort?: number;
   status: number;
   result: {
     message: string;
@@ -77,6 +79,13 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
       updatedBotData.port = data.port;
     }
 
+    // the debug port belongs to the process it was started with, a process started without a debug adapter has none
+    if (data.process && data.process !== LocalPublisher.runningBots[botId]?.process) {
+      updatedBotData.debugPort = data.debugPort;
+    } else if (data.debugPort && !LocalPublisher.runningBots[botId]?.debugPort) {
+      updatedBotData.debugPort = data.debugPort;
+    }
+
     if (data.result.message) {
       updatedBotData.result = {
         ...updatedBotData.result,
@@ -114,6 +123,20 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
     );
   };
 
+  private getDebugPort = async () => {
+    // each bot gets its own debug adapter port, counting up from 4712 which is the default of the runtime
+    const maxPort = max(map(LocalPublisher.runningBots, 'debugPort')) ?? 4711;
+    const retry = 10;
+    let i = 0;
+    let port = maxPort;
+    do {
+      // start past the port found by the previous attempt, portfinder would find the same one again
+      port = await portfinder.getPortPromise({ port: port + 1, stopPort: 6000 });
+      i++;
+    } while (Object.values(LocalPublisher.runningBots).some((bot) => bot.debugPort === port) && i < retry);
+    return port;
+  };
+
   private isPortUsed = (port: number) => {
     for (const key in LocalPublisher.runningBots) {
       const bot = LocalPublisher.runningBots[key];
@@ -207,13 +230,14 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
     const botId = project.id;
     if (LocalPublisher.runningBots[botId]) {
       if (LocalPublisher.runningBots[botId].status === 200) {
-        const port = LocalPublisher.runningBots[botId].port;
+        const { port, debugPort } = LocalPublisher.runningBots[botId];
         const url = `http://localhost:${port}`;
         return {
           status: 200,
           result: {
             message: 'Running',
             port,
+            debugPort,
             endpointURL: url,
           },
         };
@@ -272,10 +296,18 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
   private startBot = async (botId: string, port: number, settings: any, project: any): Promise<string> => {
     const botDir = project.getRuntimePath();
 
-    const commandAndArgs =
-      settings.runtime?.customRuntime === true
-        ? settings.runtime.command.split(/\s+/)
-        : this.composer.getRuntimeByProject(project).startCommand.split(/\s+/);
+    const customRuntime = settings.runtime?.customRuntime === true;
+    const runtime = customRuntime ? undefined : this.composer.getRuntimeByProject(project);
+    const commandAndArgs = (runtime ? runtime.startCommand : settings.runtime.command).split(/\s+/);
+
+    // only runtimes with a debug adapter get a debug port, a custom command passes its own (e.g. --debugport 4712)
+    let debugPort: number | undefined;
+    if (runtime?.debugAdapter) {
+      debugPort = await this.getDebugPort();
+    } else if (customRuntime) {
+      const match = /--debugport (\d+)/.exec(settings.runtime.command);
+      debugPort = match ? parseInt(match[1], 10) : undefined;
+    }
 
     return new Promise((resolve, reject) => {
       // ensure the specified runtime path exists
@@ -295,7 +327,15 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
       }
       config = this.getConfig(settings, skillHostEndpoint);
       let spawnProcess;
-      const args = [...commandAndArgs, '--port', port, `--urls`, `http://0.0.0.0:${port}`, ...config];
+      const args = [
+        ...commandAndArgs,
+        '--port',
+        port,
+        `--urls`,
+        `http://0.0.0.0:${port}`,
+        ...(runtime?.debugAdapter ? ['--debugport', debugPort] : []),
+        ...config,
+      ];
       this.composer.log('Executing command with arguments: %s %s', startCommand, args.join(' '));
       try {
         spawnProcess = spawn(startCommand, args, {
@@ -308,6 +348,7 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
         this.setBotStatus(botId, {
           process: spawnProcess,
           port,
+          debugPort,
           status: 202,
           result: { message: 'Starting runtime' },
         });
@@ -324,6 +365,7 @@ class LocalPublisher implements PublishPlugin<PublishConfig> {
             this.setBotStatus(botId, {
               process: spawnProcess,
               port: port,
+              debugPort,
               status: 200,
               result: { message: 'Runtime started' },
             });
@@ -70,6 +70,7 @@ export default async (composer: any): Promise<void> => {
   composer.addRuntimeTemplate({
     key: 'adaptive-runtime-dotnet-webapp',
     name: 'C# - Web App',
+    debugAdapter: true,
     build: async (runtimePath: string, project: IBotProject) => {
       composer.log(`BUILD THIS C# WEBAPP PROJECT! at ${runtimePath}...`);
       composer.log('Run dotnet user-secrets init...');